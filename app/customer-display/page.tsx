@@ -0,0 +1,7 @@
+"use client"
+
+import CustomerDisplayPage from "@/src/views/CustomerDisplayPage"
+
+export default function Page() {
+  return <CustomerDisplayPage />
+}
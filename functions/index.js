@@ -55,3 +55,9 @@ exports.syncAuthClaimsFromUserProfile = functions.firestore
     await admin.auth().setCustomUserClaims(uid, claims);
   });
 
+// M-Pesa STK Push proxy (see mpesa.js)
+const mpesa = require("./mpesa");
+
+exports.mpesaStkPush = mpesa.mpesaStkPush;
+exports.mpesaStkQuery = mpesa.mpesaStkQuery;
+exports.mpesaCallback = mpesa.mpesaCallback;
@@ -0,0 +1,332 @@
+/**
+ * M-Pesa STK Push proxy (Safaricom Daraja)
+ *
+ * The POS never sees the Daraja consumer key/secret or the Lipa na M-Pesa
+ * passkey. The browser calls these functions with the signed-in user's ID token:
+ *
+ * - mpesaStkPush:  { phone, amount, accountReference, description } -> { checkoutRequestId, customerMessage }
+ * - mpesaStkQuery: { checkoutRequestId } -> { status, resultCode, resultDesc, mpesaReceiptNumber, phone, amount }
+ * - mpesaCallback: Safaricom posts the payment result here (set MPESA_CALLBACK_URL to its URL)
+ *
+ * Results are kept in Firestore at mpesaStkRequests/{CheckoutRequestID}. A status
+ * query answers from the stored callback when there is one and only asks Daraja
+ * directly when the callback hasn't arrived yet. Only the organisation that
+ * started a payment can query it.
+ *
+ * The callback URL is public, so every push sends it with MPESA_CALLBACK_TOKEN
+ * as its `token` parameter and callbacks without that token are refused. A
+ * callback only settles a request this proxy started and that is still
+ * pending, and only for the amount that was asked for.
+ *
+ * Configuration (environment variables):
+ * - MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET
+ * - MPESA_SHORTCODE, MPESA_PASSKEY
+ * - MPESA_CALLBACK_URL, MPESA_CALLBACK_TOKEN (a long random secret)
+ * - MPESA_ENV: "production" or "sandbox" (default)
+ * - MPESA_TRANSACTION_TYPE: "CustomerPayBillOnline" (default) or "CustomerBuyGoodsOnline"
+ * - MPESA_PARTY_B: till number for Buy Goods, defaults to MPESA_SHORTCODE
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const functions = require("firebase-functions");
+
+const REQUESTS_COLLECTION = "mpesaStkRequests";
+
+function getConfig() {
+  const env = process.env;
+  return {
+    baseUrl: env.MPESA_ENV === "production"
+      ? "https://api.safaricom.co.ke"
+      : "https://sandbox.safaricom.co.ke",
+    consumerKey: env.MPESA_CONSUMER_KEY,
+    consumerSecret: env.MPESA_CONSUMER_SECRET,
+    shortcode: env.MPESA_SHORTCODE,
+    passkey: env.MPESA_PASSKEY,
+    callbackUrl: env.MPESA_CALLBACK_URL,
+    callbackToken: env.MPESA_CALLBACK_TOKEN,
+    transactionType: env.MPESA_TRANSACTION_TYPE || "CustomerPayBillOnline",
+    partyB: env.MPESA_PARTY_B || env.MPESA_SHORTCODE,
+  };
+}
+
+// Same mapping as src/utils/mpesa.js getStatusForResultCode
+function statusForResultCode(resultCode) {
+  const code = Number(resultCode);
+  if (code === 0) return "success";
+  if (code === 1032) return "cancelled";
+  if (code === 1037) return "timeout";
+  return "failed";
+}
+
+// Daraja wants yyyyMMddHHmmss in Kenyan time
+function darajaTimestamp() {
+  const nairobi = new Date(Date.now() + 3 * 60 * 60 * 1000);
+  return nairobi.toISOString().replace(/[-:TZ]/g, "").slice(0, 14);
+}
+
+// The callback URL Daraja is given, carrying the shared secret
+function callbackUrlWithToken(config) {
+  const url = new URL(config.callbackUrl);
+  url.searchParams.set("token", config.callbackToken);
+  return url.toString();
+}
+
+function hasCallbackToken(config, req) {
+  const expected = Buffer.from(String(config.callbackToken || ""));
+  const given = Buffer.from(String((req.query && req.query.token) || ""));
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// A payment request belongs to the organisation that started it, or to the
+// user who started it when they have no organisation
+function ownsRequest(stored, user) {
+  return stored.adminId ? stored.adminId === user.adminId : stored.requestedBy === user.uid;
+}
+
+// Apply an outcome only while the request is still waiting for one, so a late
+// or replayed result can't overwrite the first. `update` may be a function of
+// the stored request. Returns whether it was applied.
+async function settlePending(docRef, update) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists || snapshot.data().status !== "pending") return false;
+    transaction.update(docRef, typeof update === "function" ? update(snapshot.data()) : update);
+    return true;
+  });
+}
+
+function stkPassword(config, timestamp) {
+  return Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString("base64");
+}
+
+async function getAccessToken(config) {
+  const credentials = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString("base64");
+  const response = await fetch(`${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Daraja authentication failed (HTTP ${response.status})`);
+  }
+  const data = await response.json();
+  return data.access_token;
+}
+
+async function darajaPost(config, path, body) {
+  const token = await getAccessToken(config);
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, data };
+}
+
+function setCors(req, res) {
+  res.set("Access-Control-Allow-Origin", req.get("Origin") || "*");
+  res.set("Vary", "Origin");
+  res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+// Only signed-in POS users may start or query payments
+async function verifyUser(req) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) return null;
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+function posEndpoint(handler) {
+  return functions.https.onRequest(async (req, res) => {
+    setCors(req, res);
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    const user = await verifyUser(req);
+    if (!user) {
+      res.status(401).json({ error: "Sign in again to take M-Pesa payments" });
+      return;
+    }
+
+    try {
+      await handler(req, res, user);
+    } catch (error) {
+      console.error("M-Pesa proxy error:", error);
+      res.status(502).json({ error: error.message || "M-Pesa request failed" });
+    }
+  });
+}
+
+exports.mpesaStkPush = posEndpoint(async (req, res, user) => {
+  const config = getConfig();
+  const { phone, amount, accountReference, description } = req.body || {};
+  if (!config.callbackToken) {
+    throw new Error("MPESA_CALLBACK_TOKEN is not configured");
+  }
+
+  if (!/^254[17]\d{8}$/.test(String(phone || ""))) {
+    res.status(400).json({ error: "Invalid phone number" });
+    return;
+  }
+  const wholeAmount = Math.ceil(Number(amount) || 0);
+  if (wholeAmount < 1) {
+    res.status(400).json({ error: "Invalid amount" });
+    return;
+  }
+
+  const timestamp = darajaTimestamp();
+  const { ok, data } = await darajaPost(config, "/mpesa/stkpush/v1/processrequest", {
+    BusinessShortCode: config.shortcode,
+    Password: stkPassword(config, timestamp),
+    Timestamp: timestamp,
+    TransactionType: config.transactionType,
+    Amount: wholeAmount,
+    PartyA: phone,
+    PartyB: config.partyB,
+    PhoneNumber: phone,
+    CallBackURL: callbackUrlWithToken(config),
+    // Daraja limits: 12 characters for the reference, 13 for the description
+    AccountReference: String(accountReference || "POS").slice(0, 12),
+    TransactionDesc: String(description || "Purchase").slice(0, 13),
+  });
+
+  if (!ok || String(data.ResponseCode) !== "0") {
+    res.status(502).json({ error: data.errorMessage || data.ResponseDescription || "M-Pesa rejected the request" });
+    return;
+  }
+
+  await admin.firestore().collection(REQUESTS_COLLECTION).doc(data.CheckoutRequestID).set({
+    status: "pending",
+    phone,
+    amount: wholeAmount,
+    accountReference: accountReference || null,
+    merchantRequestId: data.MerchantRequestID,
+    requestedBy: user.uid,
+    adminId: user.adminId || null,
+    requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  res.json({
+    checkoutRequestId: data.CheckoutRequestID,
+    customerMessage: data.CustomerMessage,
+  });
+});
+
+exports.mpesaStkQuery = posEndpoint(async (req, res, user) => {
+  const config = getConfig();
+  const { checkoutRequestId } = req.body || {};
+  if (!checkoutRequestId) {
+    res.status(400).json({ error: "checkoutRequestId is required" });
+    return;
+  }
+
+  const docRef = admin.firestore().collection(REQUESTS_COLLECTION).doc(checkoutRequestId);
+  const snapshot = await docRef.get();
+  const stored = snapshot.exists ? snapshot.data() : null;
+  if (!stored || !ownsRequest(stored, user)) {
+    res.status(404).json({ error: "Payment request not found" });
+    return;
+  }
+
+  if (stored.status !== "pending") {
+    res.json({
+      status: stored.status,
+      resultCode: stored.resultCode,
+      resultDesc: stored.resultDesc,
+      mpesaReceiptNumber: stored.mpesaReceiptNumber || null,
+      phone: stored.phone,
+      amount: stored.amount,
+    });
+    return;
+  }
+
+  // No callback yet: ask Daraja. It answers with an error while the customer is still on the PIN prompt.
+  const timestamp = darajaTimestamp();
+  const { data } = await darajaPost(config, "/mpesa/stkpushquery/v1/query", {
+    BusinessShortCode: config.shortcode,
+    Password: stkPassword(config, timestamp),
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestId,
+  });
+
+  if (data.ResultCode === undefined) {
+    res.json({ status: "pending" });
+    return;
+  }
+
+  const status = statusForResultCode(data.ResultCode);
+  if (status === "success") {
+    // The query response has no receipt number; wait for the callback to bring it
+    res.json({ status: "pending" });
+    return;
+  }
+
+  await settlePending(docRef, { status, resultCode: Number(data.ResultCode), resultDesc: data.ResultDesc });
+  res.json({
+    status,
+    resultCode: Number(data.ResultCode),
+    resultDesc: data.ResultDesc,
+  });
+});
+
+exports.mpesaCallback = functions.https.onRequest(async (req, res) => {
+  if (!hasCallbackToken(getConfig(), req)) {
+    res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    return;
+  }
+
+  const callback = req.body && req.body.Body && req.body.Body.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) {
+    res.status(400).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    return;
+  }
+
+  const metadata = {};
+  ((callback.CallbackMetadata && callback.CallbackMetadata.Item) || []).forEach((item) => {
+    metadata[item.Name] = item.Value;
+  });
+
+  const update = {
+    status: statusForResultCode(callback.ResultCode),
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc || null,
+    callbackAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (metadata.MpesaReceiptNumber) update.mpesaReceiptNumber = metadata.MpesaReceiptNumber;
+  if (metadata.PhoneNumber !== undefined) update.phone = String(metadata.PhoneNumber);
+
+  try {
+    const docRef = admin.firestore().collection(REQUESTS_COLLECTION).doc(callback.CheckoutRequestID);
+    const applied = await settlePending(docRef, (stored) => {
+      // A payment for anything but the amount asked for doesn't settle the sale
+      if (update.status === "success" && Number(metadata.Amount) !== stored.amount) {
+        console.error(`M-Pesa callback amount ${metadata.Amount} does not match request ${callback.CheckoutRequestID}`);
+        return { ...update, status: "failed", resultDesc: "Paid amount does not match the request" };
+      }
+      return update;
+    });
+    if (!applied) {
+      console.warn(`Ignored M-Pesa callback for unknown or settled request ${callback.CheckoutRequestID}`);
+    }
+  } catch (error) {
+    console.error("Failed to store M-Pesa callback:", error);
+  }
+
+  // Always acknowledge so Safaricom doesn't keep retrying
+  res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+});
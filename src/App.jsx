@@ -18,8 +18,11 @@ import UserGuidePage from "./views/UserGuidePage"
 import AdminSettingsPage from "./views/AdminSettingsPage"
 import BranchManagementPage from "./views/BranchManagementPage"
 import TransactionsHistoryPage from "./views/TransactionsHistoryPage"
+import MpesaReconciliationPage from "./views/MpesaReconciliationPage"
+import ShiftsPage from "./views/ShiftsPage"
 import ProfilePage from "./views/ProfilePage"
 import BranchStaffPage from "./views/BranchStaffPage"
+import StockTransfersPage from "./views/StockTransfersPage"
 import Sidebar from "./components/Sidebar"
 import ScrollArea from "./components/ScrollArea"
 import PWAInstallPrompt from "./components/PWAInstallPrompt"
@@ -394,6 +397,8 @@ export default function App() {
           )}
           {currentPage === "reports" && <ReportsPage key={currentUser?.id} currentUser={currentUser} />}
           {currentPage === "transactions-history" && <TransactionsHistoryPage key={currentUser?.id} currentUser={currentUser} />}
+          {currentPage === "mpesa-reconciliation" && <MpesaReconciliationPage key={currentUser?.id} currentUser={currentUser} />}
+          {currentPage === "shifts" && <ShiftsPage key={currentUser?.id} currentUser={currentUser} />}
           {currentPage === "expenses" && <ExpensesPage key={currentUser?.id} currentUser={currentUser} />}
           {currentPage === "branch-staff" && <BranchStaffPage key={currentUser?.id} currentUser={currentUser} />}
           {currentPage === "user-guide" && <UserGuidePage />}
@@ -402,6 +407,7 @@ export default function App() {
           {currentPage === "branch-management" && <BranchManagementPage currentUser={currentUser} />}
           {currentPage === "suppliers" && <SuppliersPage key={currentUser?.id} currentUser={currentUser} />}
           {currentPage === "purchase-orders" && <PurchaseOrdersPage key={currentUser?.id} currentUser={currentUser} onInventoryChange={setInventory} />}
+          {currentPage === "stock-transfers" && <StockTransfersPage key={currentUser?.id} currentUser={currentUser} onInventoryChange={setInventory} />}
           {currentPage === "supplier-payments" && <SupplierPaymentsPage key={currentUser?.id} currentUser={currentUser} />}
         </ScrollArea>
         <PWAInstallPrompt />
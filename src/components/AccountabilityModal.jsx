@@ -5,6 +5,7 @@ import { readSharedData, readData } from "../utils/storage"
 import { getAllUsers, getAdminIdForStorage } from "../utils/auth"
 import { getAllBranches } from "../services/branchService"
 import { exportTransactionsToCSV, exportExpensesToCSV } from "../utils/csvExport"
+import { getTenderAmount, transactionUsesTender, isSplitTender, describePayments } from "../utils/tenders"
 
 // Constants for unknown user fallback values
 const UNKNOWN_USER = {
@@ -73,10 +74,8 @@ export default function AccountabilityModal({ type, onClose, dateRange = 'today'
             
             // Filter by payment method if type is 'cash' or 'mpesa'
             let matchesPaymentMethod = true
-            if (type === 'cash') {
-              matchesPaymentMethod = t.paymentMethod === 'cash'
-            } else if (type === 'mpesa') {
-              matchesPaymentMethod = t.paymentMethod === 'mpesa'
+            if (type === 'cash' || type === 'mpesa') {
+              matchesPaymentMethod = transactionUsesTender(t, type)
             }
             
             // Admin: all; Manager: all transactions in their branch; Cashier: only their own (match userId or cashierId, normalized)
@@ -103,7 +102,10 @@ export default function AccountabilityModal({ type, onClose, dateRange = 'today'
           // Group transactions by userId; use name from user map or transaction.cashier (stored at sale time)
           const { salesByUser, total } = filteredTransactions.reduce((acc, transaction) => {
             const userId = transaction.userId
-            const amount = transaction.total || 0
+            // Cash/M-Pesa views only credit the cashier with that tender's share of a split sale
+            const amount = type === 'cash' || type === 'mpesa'
+              ? getTenderAmount(transaction, type)
+              : (transaction.total || 0)
             
             if (!acc.salesByUser[userId]) {
               acc.salesByUser[userId] = {
@@ -493,7 +495,8 @@ export default function AccountabilityModal({ type, onClose, dateRange = 'today'
                                     })}
                                   </p>
                                   <p className="text-xs text-muted-foreground">
-                                    {transaction.paymentMethod === 'mpesa' ? 'M-Pesa' : 
+                                    {isSplitTender(transaction) ? describePayments(transaction) :
+                                     transaction.paymentMethod === 'mpesa' ? 'M-Pesa' : 
                                      transaction.paymentMethod === 'credit' ? 'Credit' : 'Cash'}
                                   </p>
                                 </div>
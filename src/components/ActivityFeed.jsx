@@ -60,6 +60,8 @@ export default function ActivityFeed({ currentUser, limit = 10, branchId = null
         return '💰'
       case 'stock_adjusted':
         return '📦'
+      case 'stock_transferred':
+        return '🚚'
       case 'product_added':
         return '➕'
       case 'product_updated':
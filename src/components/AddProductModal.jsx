@@ -3,6 +3,9 @@
 import { useState, useMemo } from "react"
 import { getImageSrc, fileToBase64, compressImage } from "../utils/images"
 import { calculatePricingMetrics, formatKES } from "../utils/pricing"
+import DepositLinkFields from "./DepositLinkFields"
+import PackUnitsFields from "./PackUnitsFields"
+import { validatePackUnits } from "../utils/unitsOfMeasure"
 
 const PRODUCT_CATEGORIES = [
   "Red Wine",
@@ -22,7 +25,7 @@ const PRODUCT_CATEGORIES = [
   "Other"
 ]
 
-export default function AddProductModal({ onAdd, onClose }) {
+export default function AddProductModal({ onAdd, onClose, depositItems = [], inventory = [] }) {
   const [formData, setFormData] = useState({
     name: "",
     sku: "",
@@ -38,6 +41,7 @@ export default function AddProductModal({ onAdd, onClose }) {
     bottleSize: "750ml",
     kebsNumber: "", // Initialize as empty string
     inventoryUnits: "bottle",
+    packUnits: [],
     vatRate: 0.16
   })
 
@@ -172,6 +176,11 @@ export default function AddProductModal({ onAdd, onClose }) {
       alert("Selling price must be greater than 0")
       return
     }
+    const packErrors = validatePackUnits(formData.packUnits, { inventory })
+    if (packErrors.length > 0) {
+      alert(packErrors.join("\n"))
+      return
+    }
     
     // Calculate VAT and metrics before saving
     const metrics = pricingMetrics || calculatePricingMetrics(formData.sellingPrice, formData.costPrice, 0.16)
@@ -457,7 +466,10 @@ export default function AddProductModal({ onAdd, onClose }) {
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium text-foreground mb-2">Inventory Unit</label>
+                <label className="block text-sm font-medium text-foreground mb-2">
+                  Stock Unit
+                  <span className="text-xs text-muted-foreground ml-1 block">(quantity counts these)</span>
+                </label>
                 <select
                   name="inventoryUnits"
                   value={formData.inventoryUnits ?? ""}
@@ -472,6 +484,17 @@ export default function AddProductModal({ onAdd, onClose }) {
             </div>
           </div>
 
+          <PackUnitsFields
+            formData={formData}
+            onChange={(updates) => setFormData(prev => ({ ...prev, ...updates }))}
+          />
+
+          <DepositLinkFields
+            formData={formData}
+            depositItems={depositItems}
+            onChange={(updates) => setFormData(prev => ({ ...prev, ...updates }))}
+          />
+
           {/* Stock & Expiry Section */}
           <div className="grid grid-cols-2 gap-3">
             <div>
@@ -1,20 +1,135 @@
-import React from 'react'
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode'
+import {
+  ID_TYPES,
+  LEGAL_DRINKING_AGE,
+  VERIFICATION_METHODS,
+  calculateAge,
+  parseIdBarcode,
+  buildAgeVerification
+} from '../utils/ageVerification'
+
+// ID barcodes: PDF417 on licences, QR and Code 128 on newer national IDs
+const ID_BARCODE_FORMATS = [
+  Html5QrcodeSupportedFormats.PDF_417,
+  Html5QrcodeSupportedFormats.QR_CODE,
+  Html5QrcodeSupportedFormats.CODE_128,
+  Html5QrcodeSupportedFormats.DATA_MATRIX
+]
 
 /**
  * Age Verification Modal for Alcohol Sales Compliance
- * Required by Kenyan law - must verify customer is 18+ before completing sale
+ * Required by Kenyan law - the cashier checks the customer's ID and the sale
+ * only goes ahead if they are 18+. The date of birth is used to work out the
+ * age and is not kept; the sale stores the record passed to onConfirm.
  */
-export default function AgeVerificationModal({ isOpen, onConfirm, onCancel }) {
+export default function AgeVerificationModal({ isOpen, currentUser, onConfirm, onRefuse, onCancel }) {
+  const [idType, setIdType] = useState(ID_TYPES[0].code)
+  const [dateOfBirth, setDateOfBirth] = useState('')
+  const [method, setMethod] = useState(VERIFICATION_METHODS.MANUAL)
+  const [isScanning, setIsScanning] = useState(false)
+  const [error, setError] = useState('')
+  const scannerRef = useRef(null)
+  const scannerElementId = useRef(`id-reader-${Date.now()}`).current
+
+  useEffect(() => {
+    if (!isOpen) {
+      setIdType(ID_TYPES[0].code)
+      setDateOfBirth('')
+      setMethod(VERIFICATION_METHODS.MANUAL)
+      setError('')
+    }
+  }, [isOpen])
+
+  const stopScanning = async () => {
+    const scanner = scannerRef.current
+    scannerRef.current = null
+    setIsScanning(false)
+    if (scanner) {
+      try {
+        await scanner.stop()
+      } catch (err) {
+        console.error('Error stopping ID scanner:', err)
+      }
+    }
+  }
+
+  // Release the camera if the modal goes away mid-scan
+  useEffect(() => {
+    if (!isOpen) stopScanning()
+    return () => { stopScanning() }
+  }, [isOpen])
+
+  const handleScanned = async (decodedText) => {
+    await stopScanning()
+    const scannedDob = parseIdBarcode(decodedText)
+    if (!scannedDob) {
+      setError('No date of birth found on that barcode. Type it in from the ID instead.')
+      return
+    }
+    setDateOfBirth(scannedDob)
+    setMethod(VERIFICATION_METHODS.SCAN)
+    setError('')
+  }
+
+  const startScanning = async () => {
+    setError('')
+    setIsScanning(true)
+    try {
+      const scanner = new Html5Qrcode(scannerElementId, { formatsToSupport: ID_BARCODE_FORMATS, verbose: false })
+      scannerRef.current = scanner
+      await scanner.start(
+        { facingMode: 'environment' },
+        { fps: 15, qrbox: { width: 300, height: 150 } },
+        handleScanned,
+        () => {} // Frames without a barcode fail continuously while scanning
+      )
+    } catch (err) {
+      console.error('Error starting ID scanner:', err)
+      scannerRef.current = null
+      setIsScanning(false)
+      setError(err?.name === 'NotAllowedError'
+        ? 'Camera permission denied. Type the date of birth in instead.'
+        : 'Unable to start the camera. Type the date of birth in instead.')
+    }
+  }
+
   if (!isOpen) return null
 
+  const age = calculateAge(dateOfBirth)
+  const isUnderAge = age !== null && age < LEGAL_DRINKING_AGE
+
+  const handleConfirm = async () => {
+    setError('')
+    try {
+      const record = buildAgeVerification({ idType, dateOfBirth, method, user: currentUser })
+      await stopScanning()
+      await onConfirm(record)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRefuse = async () => {
+    await stopScanning()
+    onRefuse({ idType, age, method })
+  }
+
+  const handleCancel = async () => {
+    await stopScanning()
+    onCancel()
+  }
+
   return (
     <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-      <div className="bg-[#2C1810] border-2 border-[#D4AF37] rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn">
+      <div className="bg-[#2C1810] border-2 border-[#D4AF37] rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn max-h-[95vh] overflow-y-auto">
         {/* Icon */}
         <div className="flex justify-center mb-4">
-          <div className="w-20 h-20 bg-[#6B0F1A] rounded-full flex items-center justify-center">
+          <div className="w-16 h-16 bg-[#6B0F1A] rounded-full flex items-center justify-center">
             <svg
-              className="w-12 h-12 text-[#D4AF37]"
+              className="w-10 h-10 text-[#D4AF37]"
               fill="none"
               stroke="currentColor"
               viewBox="0 0 24 24"
@@ -30,63 +145,99 @@ export default function AgeVerificationModal({ isOpen, onConfirm, onCancel }) {
         </div>
 
         {/* Title */}
-        <h2 className="text-2xl font-bold text-[#D4AF37] text-center mb-3">
-          Age Verification Required
+        <h2 className="text-2xl font-bold text-[#D4AF37] text-center mb-1">
+          Check the Customer's ID
         </h2>
-
-        {/* Subtitle */}
-        <p className="text-[#F5E6D3] text-center text-sm mb-6">
-          Alcohol Sale Compliance
+        <p className="text-[#F5E6D3] text-center text-sm mb-5">
+          Alcohol sale under the <strong className="text-[#D4AF37]">Alcoholic Drinks Control Act, 2010</strong>
         </p>
 
-        {/* Content */}
-        <div className="bg-[#1a0f0a] border border-[#D4AF37]/30 rounded-lg p-4 mb-6">
-          <p className="text-[#F5E6D3] text-center leading-relaxed mb-4">
-            This transaction contains alcoholic beverages regulated under the
-            <strong className="text-[#D4AF37]"> Alcoholic Drinks Control Act, 2010</strong>.
-          </p>
-          
-          <p className="text-[#E5C158] text-center font-semibold mb-3">
-            You must confirm that the customer is <span className="text-[#D4AF37] text-xl">18 years or older</span>.
-          </p>
-
-          <div className="bg-[#6B0F1A]/20 border border-[#6B0F1A] rounded p-3">
-            <p className="text-[#F5E6D3] text-xs text-center">
-              ⚠️ By confirming, you certify that you have verified the customer's age and
-              that they meet the legal requirements to purchase alcohol in Kenya.
-            </p>
+        {/* ID details */}
+        <div className="bg-[#1a0f0a] border border-[#D4AF37]/30 rounded-lg p-4 mb-4 space-y-4">
+          <div>
+            <label className="block text-xs font-semibold text-[#E5C158] uppercase tracking-wider mb-1">ID type</label>
+            <select
+              value={idType}
+              onChange={(e) => setIdType(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg bg-[#2C1810] border border-[#D4AF37]/40 text-[#F5E6D3] focus:outline-none focus:ring-2 focus:ring-[#D4AF37]"
+            >
+              {ID_TYPES.map(type => <option key={type.code} value={type.code}>{type.label}</option>)}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-xs font-semibold text-[#E5C158] uppercase tracking-wider mb-1">Date of birth</label>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={dateOfBirth}
+                onChange={(e) => {
+                  setDateOfBirth(e.target.value)
+                  setMethod(VERIFICATION_METHODS.MANUAL)
+                  setError('')
+                }}
+                max={new Date().toISOString().split('T')[0]}
+                className="flex-1 px-3 py-2 rounded-lg bg-[#2C1810] border border-[#D4AF37]/40 text-[#F5E6D3] focus:outline-none focus:ring-2 focus:ring-[#D4AF37]"
+              />
+              <button
+                type="button"
+                onClick={isScanning ? stopScanning : startScanning}
+                className="px-3 py-2 rounded-lg border border-[#D4AF37]/60 text-[#D4AF37] hover:bg-[#D4AF37]/10 transition-colors text-sm font-semibold whitespace-nowrap"
+              >
+                {isScanning ? 'Stop scan' : '📷 Scan ID'}
+              </button>
+            </div>
+            {method === VERIFICATION_METHODS.SCAN && dateOfBirth && (
+              <p className="text-xs text-[#E5C158]/80 mt-1">Read from the ID barcode - check it matches the card</p>
+            )}
           </div>
+
+          <div className={`relative bg-black rounded-lg overflow-hidden ${isScanning ? '' : 'hidden'}`}>
+            <div id={scannerElementId} className="w-full" />
+          </div>
+
+          {age !== null && (
+            <div className={`rounded-lg p-3 text-center border ${isUnderAge ? 'bg-[#6B0F1A]/40 border-[#6B0F1A]' : 'bg-green-900/30 border-green-700'}`}>
+              <p className="text-xs text-[#F5E6D3]/80 uppercase tracking-wider">Age today</p>
+              <p className={`text-3xl font-bold ${isUnderAge ? 'text-red-300' : 'text-green-300'}`}>{age}</p>
+              <p className="text-sm text-[#F5E6D3] font-semibold">
+                {isUnderAge ? `Under ${LEGAL_DRINKING_AGE} - do not sell` : `${LEGAL_DRINKING_AGE} or older`}
+              </p>
+            </div>
+          )}
+
+          {error && <p className="text-sm font-semibold text-red-300">⚠️ {error}</p>}
         </div>
 
         {/* Legal Notice */}
-        <div className="mb-6">
-          <p className="text-[#E5C158]/70 text-xs text-center italic">
-            Sale of alcohol to persons under 18 years is prohibited by law.
-            <br />
-            This verification will be recorded for compliance purposes.
-          </p>
-        </div>
+        <p className="text-[#E5C158]/70 text-xs text-center italic mb-4">
+          Sale of alcohol to persons under {LEGAL_DRINKING_AGE} years is prohibited by law.
+          <br />
+          The ID type, age and your name are recorded with the sale. The date of birth is not kept.
+        </p>
 
         {/* Buttons */}
         <div className="flex gap-3">
           <button
-            onClick={onCancel}
-            className="flex-1 bg-transparent border-2 border-[#6B0F1A] text-[#F5E6D3] px-6 py-3 rounded-lg hover:bg-[#6B0F1A]/20 transition-colors font-semibold"
+            onClick={handleCancel}
+            className="flex-1 bg-transparent border-2 border-[#D4AF37]/40 text-[#F5E6D3] px-4 py-3 rounded-lg hover:bg-[#D4AF37]/10 transition-colors font-semibold"
           >
-            Cancel Sale
+            Back
           </button>
           <button
-            onClick={onConfirm}
-            className="flex-1 bg-[#D4AF37] text-[#2C1810] px-6 py-3 rounded-lg hover:bg-[#E5C158] transition-colors font-bold shadow-lg"
+            onClick={handleRefuse}
+            className="flex-1 bg-[#6B0F1A] text-[#F5E6D3] px-4 py-3 rounded-lg hover:bg-[#6B0F1A]/80 transition-colors font-semibold"
           >
-            Customer is 18+
+            Refuse Sale
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={age === null || isUnderAge}
+            className="flex-1 bg-[#D4AF37] text-[#2C1810] px-4 py-3 rounded-lg hover:bg-[#E5C158] transition-colors font-bold shadow-lg disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Verified 18+
           </button>
         </div>
-
-        {/* Timestamp Info */}
-        <p className="text-[#E5C158]/50 text-xs text-center mt-4">
-          Verification timestamp will be recorded with transaction ID
-        </p>
       </div>
     </div>
   )
@@ -1,35 +1,71 @@
 "use client"
 
-export default function BarcodeModal({ product, onClose }) {
+import { useState } from "react"
+import BarcodeSymbol from "./BarcodeSymbol"
+import { getSymbology, isInternalBarcode } from "../utils/barcodes"
+
+const SYMBOLOGY_LABELS = { ean13: "EAN-13", ean8: "EAN-8", code128: "Code 128" }
+
+export default function BarcodeModal({ product, onAssign, onPrintLabels, onClose }) {
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+  const barcode = String(product.barcode || "").trim()
+
+  const handleAssign = async () => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await onAssign(product)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg shadow-lg max-w-sm w-full max-h-[90vh] flex flex-col p-8 my-4">
-        <h2 className="text-2xl font-bold text-text-primary mb-6 text-center">Barcode</h2>
-
-        <div className="bg-surface rounded-lg p-6 mb-6 text-center">
-          <div className="text-5xl font-bold tracking-widest font-mono mb-4 text-text-primary">{product.barcode}</div>
-          <div className="h-16 bg-white rounded flex items-center justify-center mb-4 border border-border">
-            <div className="flex gap-1">
-              {product.barcode.split("").map((digit, i) => (
-                <div key={i} className="flex flex-col">
-                  <div className="w-1 h-8 bg-black" style={{ height: ["8px", "16px", "8px"][i % 3] }}></div>
-                </div>
-              ))}
-            </div>
-          </div>
-          <p className="text-sm text-text-secondary">{product.name}</p>
+      <div className="bg-card rounded-lg shadow-lg max-w-sm w-full max-h-[90vh] flex flex-col p-8 my-4 border-2 border-border">
+        <h2 className="text-2xl font-bold text-foreground mb-6 text-center">Barcode</h2>
+
+        <div className="bg-white rounded-lg p-6 mb-6 text-center border border-border">
+          {barcode ? (
+            <>
+              <BarcodeSymbol code={barcode} className="w-full h-28" />
+              <p className="text-xs text-gray-500 mt-2">
+                {SYMBOLOGY_LABELS[getSymbology(barcode)]}
+                {isInternalBarcode(barcode) && " · internal barcode"}
+              </p>
+            </>
+          ) : (
+            <p className="text-sm text-gray-600 py-6">This product has no barcode yet</p>
+          )}
+          <p className="text-sm font-semibold text-gray-900 mt-2">{product.name}</p>
         </div>
 
+        {error && <p className="text-sm font-semibold text-destructive mb-3">⚠️ {error}</p>}
+
         <div className="space-y-3">
-          <button
-            onClick={() => window.print()}
-            className="w-full px-4 py-2 bg-primary hover:bg-primary-dark text-white font-semibold rounded-lg"
-          >
-            Print Barcode
-          </button>
+          {!barcode && onAssign && (
+            <button
+              onClick={handleAssign}
+              disabled={isSaving}
+              className="w-full px-4 py-2 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg"
+            >
+              {isSaving ? "Assigning..." : "Assign Internal Barcode"}
+            </button>
+          )}
+          {onPrintLabels && (
+            <button
+              onClick={() => onPrintLabels(product)}
+              className="w-full px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg"
+            >
+              🏷️ Print Labels
+            </button>
+          )}
           <button
             onClick={onClose}
-            className="w-full px-4 py-2 border border-border text-text-primary font-semibold rounded-lg hover:bg-surface"
+            className="w-full px-4 py-2 border border-border text-foreground font-semibold rounded-lg hover:bg-accent"
           >
             Close
           </button>
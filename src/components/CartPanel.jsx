@@ -1,8 +1,8 @@
 "use client"
 
-import { useState } from "react"
 import TrashIcon from "./icons/TrashIcon"
 import { calculateCartTotals, formatKES } from "../utils/pricing"
+import { getDepositTotal } from "../utils/deposits"
 
 export default function CartPanel({ 
   items, 
@@ -12,25 +12,18 @@ export default function CartPanel({
   total, 
   onRemoveItem, 
   onUpdateQuantity, 
-  onUpdatePrice, 
+  onEditPrice, 
   onCheckout,
-  selectedCustomer
+  selectedCustomer,
+  heldCount = 0,
+  onOpenHeldSales,
+  promotions = [],
+  deposits = []
 }) {
-  const [editingPriceId, setEditingPriceId] = useState(null)
-  const [editingPrice, setEditingPrice] = useState("")
-
   // Calculate VAT breakdown using pricing utility
   const cartTotals = calculateCartTotals(items, discount, 0.16)
-
-  const handlePriceEdit = (item) => {
-    setEditingPriceId(item.id)
-    setEditingPrice(item.price)
-  }
-
-  const savePriceEdit = (itemId) => {
-    onUpdatePrice(itemId, Number.parseFloat(editingPrice) || 0)
-    setEditingPriceId(null)
-  }
+  // Deposits sit outside the VAT breakdown and are added on top
+  const depositTotal = getDepositTotal(deposits)
 
   const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0)
 
@@ -45,9 +38,26 @@ export default function CartPanel({
               {items.length === 0 ? "Cart is empty" : `${totalQuantity} items • ${items.length} products`}
             </p>
           </div>
-          <div className="bg-white/20 backdrop-blur-sm px-4 py-2 rounded-lg">
-            <div className="text-3xl font-bold">{items.length}</div>
-            <div className="text-xs opacity-90 text-center">Items</div>
+          <div className="flex items-center gap-2">
+            {onOpenHeldSales && (
+              <button
+                onClick={onOpenHeldSales}
+                className="relative bg-white/20 hover:bg-white/30 backdrop-blur-sm px-3 py-2 rounded-lg transition-colors text-center"
+                title="Hold or recall a sale"
+              >
+                <div className="text-2xl">⏸️</div>
+                <div className="text-xs opacity-90">Hold</div>
+                {heldCount > 0 && (
+                  <span className="absolute -top-2 -right-2 bg-[#D4AF37] text-blue-950 text-xs font-black rounded-full w-6 h-6 flex items-center justify-center">
+                    {heldCount}
+                  </span>
+                )}
+              </button>
+            )}
+            <div className="bg-white/20 backdrop-blur-sm px-4 py-2 rounded-lg">
+              <div className="text-3xl font-bold">{items.length}</div>
+              <div className="text-xs opacity-90 text-center">Items</div>
+            </div>
           </div>
         </div>
       </div>
@@ -103,23 +113,19 @@ export default function CartPanel({
                   </div>
                   <div>
                     <label className="text-xs font-medium text-muted-foreground block mb-1">Price</label>
-                    {editingPriceId === item.id ? (
-                      <input
-                        type="number"
-                        value={editingPrice}
-                        onChange={(e) => setEditingPrice(e.target.value)}
-                        onBlur={() => savePriceEdit(item.id)}
-                        onKeyDown={(e) => e.key === "Enter" && savePriceEdit(item.id)}
-                        className="w-full px-2 py-1.5 border border-primary rounded text-sm font-bold text-center focus:outline-none focus:ring-1 focus:ring-primary bg-card"
-                        autoFocus
-                      />
-                    ) : (
-                      <button
-                        onClick={() => handlePriceEdit(item)}
-                        className="w-full px-2 py-1.5 border border-border rounded text-sm font-bold hover:border-primary hover:bg-primary/5 text-center transition-colors"
-                      >
-                        {item.price}
-                      </button>
+                    <button
+                      onClick={() => onEditPrice(item)}
+                      className={`w-full px-2 py-1.5 border rounded text-sm font-bold hover:border-primary hover:bg-primary/5 text-center transition-colors ${
+                        item.priceOverride ? "border-amber-500 text-amber-700 dark:text-amber-400" : "border-border"
+                      }`}
+                      title={item.priceOverride ? `Overridden from ${item.priceOverride.originalPrice}` : "Change price"}
+                    >
+                      {item.price}
+                    </button>
+                    {item.priceOverride && (
+                      <p className="text-[10px] text-muted-foreground text-center mt-0.5 line-through">
+                        {item.priceOverride.originalPrice.toLocaleString()}
+                      </p>
                     )}
                   </div>
                   <div>
@@ -127,6 +133,11 @@ export default function CartPanel({
                     <div className="px-2 py-1.5 bg-primary/10 border border-primary/30 rounded text-sm font-bold text-primary text-center">
                       {((item.price ?? 0) * (item.quantity ?? 0)).toLocaleString()}
                     </div>
+                    {item.promotionDiscount > 0 && (
+                      <p className="text-[10px] font-bold text-green-600 text-center mt-0.5">
+                        Promo -{item.promotionDiscount.toLocaleString()}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -144,6 +155,14 @@ export default function CartPanel({
             <span className="text-sm font-medium text-muted-foreground">Subtotal</span>
             <span className="text-lg font-bold text-foreground">{formatKES(cartTotals.subtotal)}</span>
           </div>
+
+          {/* Promotion Lines */}
+          {promotions.map((promotion) => (
+            <div key={promotion.promotionId} className="flex justify-between items-center">
+              <span className="text-xs font-semibold text-green-600 truncate pr-2">🏷️ {promotion.name}</span>
+              <span className="text-xs font-bold text-green-600 whitespace-nowrap">-{formatKES(promotion.discount)}</span>
+            </div>
+          ))}
           
           {/* Discount Row */}
           <div className="flex items-center gap-2">
@@ -179,6 +198,19 @@ export default function CartPanel({
             </div>
             <p className="text-[10px] text-muted-foreground/70 italic mt-1">*All prices are VAT-inclusive</p>
           </div>
+
+          {/* Deposit Lines - added automatically for returnable bottles and crates */}
+          {deposits.length > 0 && (
+            <div className="pt-2 border-t border-border/50 space-y-1">
+              {deposits.map((deposit) => (
+                <div key={deposit.depositItemId} className="flex justify-between items-center text-xs">
+                  <span className="text-muted-foreground truncate pr-2">♻️ {deposit.quantity}x {deposit.name}</span>
+                  <span className="font-semibold text-foreground whitespace-nowrap">{formatKES(deposit.amount)}</span>
+                </div>
+              ))}
+              <p className="text-[10px] text-muted-foreground/70 italic">Refunded when the empties come back</p>
+            </div>
+          )}
         </div>
 
         {/* Total Section - Prominent with Gold/Burgundy Theme */}
@@ -191,7 +223,7 @@ export default function CartPanel({
             <div className="text-right">
               <div className="text-xs font-medium text-[#D4AF37] uppercase">KES</div>
               <div className="text-4xl font-black text-[#6B0F1A] dark:text-[#D4AF37]">
-                {(cartTotals.total ?? 0).toLocaleString()}
+                {((cartTotals.total ?? 0) + depositTotal).toLocaleString()}
               </div>
             </div>
           </div>
@@ -240,6 +272,21 @@ export default function CartPanel({
             </div>
           </button>
         </div>
+
+        {/* Split Payment Button - several tenders on one sale */}
+        <div className="px-4 pb-4 bg-card">
+          <button
+            onClick={() => onCheckout("split")}
+            disabled={items.length === 0}
+            className="w-full bg-gradient-to-br from-blue-900 to-blue-800 hover:from-blue-950 hover:to-blue-900 disabled:from-gray-300 disabled:to-gray-400 text-white font-bold py-3 px-4 rounded-xl disabled:cursor-not-allowed transition-all shadow-lg hover:shadow-xl flex items-center justify-center gap-3 group"
+          >
+            <span className="text-2xl group-hover:scale-110 transition-transform">🔀</span>
+            <div className="text-left">
+              <div className="text-base font-extrabold">SPLIT PAYMENT</div>
+              <div className="text-xs opacity-90">Cash + M-Pesa + Credit</div>
+            </div>
+          </button>
+        </div>
         </div>
       </div>
     </div>
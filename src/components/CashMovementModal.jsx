@@ -0,0 +1,102 @@
+"use client"
+
+import { useState } from "react"
+import { CASH_MOVEMENT_TYPES } from "../utils/shifts"
+
+const PAY_OUT_REASONS = ["Petty cash", "Supplier delivery", "Cash drop to safe", "Staff advance"]
+const PAY_IN_REASONS = ["Float top-up", "Change from bank"]
+
+/**
+ * Record cash put into or taken out of the drawer outside a sale
+ */
+export default function CashMovementModal({ type, onSave, onClose }) {
+  const [amount, setAmount] = useState("")
+  const [reason, setReason] = useState("")
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const isPayIn = type === CASH_MOVEMENT_TYPES.PAY_IN
+  const suggestions = isPayIn ? PAY_IN_REASONS : PAY_OUT_REASONS
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError("")
+    setIsSaving(true)
+    try {
+      await onSave({ type, amount: Number(amount), reason })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-card rounded-lg shadow-2xl max-w-sm w-full border-2 border-border relative"
+      >
+        <div className={`p-5 border-b-2 border-border text-white rounded-t-lg bg-gradient-to-r ${isPayIn ? "from-green-700 to-green-600" : "from-orange-700 to-orange-600"}`}>
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">{isPayIn ? "Cash Pay-In" : "Cash Pay-Out"}</h2>
+          <p className="text-sm opacity-90 mt-1">
+            {isPayIn ? "Cash added to the drawer" : "Cash taken from the drawer"}
+          </p>
+        </div>
+
+        <div className="p-5 space-y-3">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount (KES)"
+            className={`${inputClass} text-2xl font-bold`}
+            autoFocus
+          />
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason"
+            className={inputClass}
+          />
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map(s => (
+              <button
+                key={s}
+                type="button"
+                onClick={() => setReason(s)}
+                className="px-2 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+          {error && <p className="text-sm font-semibold text-destructive">{error}</p>}
+        </div>
+
+        <div className="p-5 pt-0">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="w-full py-3 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg disabled:opacity-50 transition-colors"
+          >
+            {isSaving ? "Saving..." : "Record"}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
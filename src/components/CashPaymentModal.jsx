@@ -5,7 +5,7 @@ import { formatKES } from "../utils/pricing"
 
 const AUTO_PROCEED_DELAY = 1000 // 1 second so receipt opens quickly
 
-export default function CashPaymentModal({ total, onComplete, onClose }) {
+export default function CashPaymentModal({ total, onComplete, onClose, onAmountChange }) {
   const [amountPaid, setAmountPaid] = useState("")
   const [showChange, setShowChange] = useState(false)
   const inputRef = useRef(null)
@@ -25,6 +25,12 @@ export default function CashPaymentModal({ total, onComplete, onClose }) {
     }
   }, [])
 
+  // Let the customer display follow along as the cash is counted in
+  useEffect(() => {
+    if (onAmountChange) onAmountChange(amountPaid)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [amountPaid])
+
   // Parse amount paid once to avoid redundant computation
   const parsedAmount = parseFloat(amountPaid) || 0
   
@@ -0,0 +1,81 @@
+"use client"
+
+import { useState } from "react"
+import DenominationCount from "./DenominationCount"
+
+/**
+ * Blind closing count: the cashier enters what is in the drawer and the M-Pesa
+ * received without seeing what the system expects
+ */
+export default function CloseShiftModal({ shift, onCloseShift, onClose }) {
+  const [counts, setCounts] = useState({})
+  const [countedMpesa, setCountedMpesa] = useState("")
+  const [notes, setNotes] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const handleSubmit = async () => {
+    if (!window.confirm("Close this shift? The count can't be changed afterwards.")) return
+    setIsSaving(true)
+    try {
+      await onCloseShift({ denominations: counts, countedMpesa: Number(countedMpesa) || 0, notes })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-md w-full border-2 border-border relative max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 p-5 border-b-2 border-border bg-gradient-to-r from-gray-900 to-gray-800 text-white z-10">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">Close Shift</h2>
+          <p className="text-sm opacity-90 mt-1">
+            Opened {new Date(shift.openedAt).toLocaleString()}
+          </p>
+        </div>
+
+        <div className="p-5 space-y-4">
+          <p className="text-sm text-muted-foreground">Count the cash in the drawer, including the float.</p>
+          <DenominationCount counts={counts} onChange={setCounts} />
+
+          <div>
+            <label className="block text-sm font-semibold text-muted-foreground mb-1">M-Pesa received this shift (KES)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={countedMpesa}
+              onChange={(e) => setCountedMpesa(e.target.value)}
+              placeholder="From the till statement or SMS"
+              className="w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+          </div>
+
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes (optional)"
+            rows={2}
+            className="w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </div>
+
+        <div className="p-5 pt-0">
+          <button
+            onClick={handleSubmit}
+            disabled={isSaving}
+            className="w-full py-3 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg disabled:opacity-50 transition-colors"
+          >
+            {isSaving ? "Closing..." : "Close Shift & Print Z-Report"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,143 @@
+"use client"
+
+import { Fragment, useState } from "react"
+import { Command, CommandInput, CommandList, CommandEmpty, CommandGroup, CommandItem, CommandShortcut } from "@/components/ui/command"
+import { Dialog, DialogContent, DialogTitle, DialogDescription } from "@/components/ui/dialog"
+import { formatKES } from "../utils/pricing"
+import { getPackUnits, getPackPrice } from "../utils/unitsOfMeasure"
+import { parseQuantityPrefix, parseDiscountInput } from "../utils/hotkeys"
+
+const MAX_PRODUCT_RESULTS = 8
+
+/**
+ * Keyboard command palette for the till. Type to find a product ("3*jameson"
+ * adds three), a discount ("10%"), or any POS action. Filtering is done here
+ * rather than by cmdk so the quantity prefix doesn't stop products matching.
+ */
+export default function CommandPalette({
+  mode = "all",
+  products = [],
+  commands = [],
+  bindings = {},
+  discount = 0,
+  pendingQuantity = null,
+  onAddProduct,
+  onSetQuantity,
+  onApplyDiscount,
+  onRunCommand,
+  onClose
+}) {
+  const [query, setQuery] = useState("")
+
+  const { quantity, text } = parseQuantityPrefix(query)
+  const discountRate = parseDiscountInput(query)
+  const search = text.toLowerCase()
+  const addQuantity = quantity || pendingQuantity || 1
+  const discountOnly = mode === "discount"
+
+  const productResults = !discountOnly && search
+    ? products
+      .filter(p => p.name?.toLowerCase().includes(search) || p.sku?.toLowerCase().includes(search) || p.barcode?.includes(text))
+      .slice(0, MAX_PRODUCT_RESULTS)
+    : []
+  const commandResults = discountOnly || (quantity && !text)
+    ? []
+    : commands.filter(command => !search || command.label.toLowerCase().includes(search))
+
+  const run = (action) => {
+    onClose()
+    action()
+  }
+
+  return (
+    <Dialog open onOpenChange={(isOpen) => { if (!isOpen) onClose() }}>
+      <DialogContent className="overflow-hidden p-0" showCloseButton={false}>
+        <DialogTitle className="sr-only">Command palette</DialogTitle>
+        <DialogDescription className="sr-only">Search products, apply a discount or run a till action</DialogDescription>
+        <Command
+          shouldFilter={false}
+          className="[&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:font-medium [&_[cmdk-group-heading]]:text-muted-foreground [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:px-2 [&_[cmdk-item]]:py-2.5"
+        >
+          <CommandInput
+            value={query}
+            onValueChange={setQuery}
+            placeholder={discountOnly ? "Type the sale discount, e.g. 10%" : "Product, 3*product, 10% or an action…"}
+          />
+          <CommandList className="max-h-[360px]">
+            <CommandEmpty>
+              {discountOnly ? "Type a percentage from 0 to 100 followed by %" : "Nothing matches. Try a product name, SKU or barcode."}
+            </CommandEmpty>
+
+            {quantity && !text && (
+              <CommandGroup heading="Quantity">
+                <CommandItem value="quantity-set" onSelect={() => run(() => onSetQuantity(quantity))}>
+                  ✖️ Add the next scan or product {quantity} times
+                </CommandItem>
+              </CommandGroup>
+            )}
+            {discountRate !== null && (
+              <CommandGroup heading="Discount">
+                <CommandItem value="discount-apply" onSelect={() => run(() => onApplyDiscount(discountRate))}>
+                  🏷️ Apply {discountRate}% discount to the sale
+                </CommandItem>
+              </CommandGroup>
+            )}
+            {discountOnly && discount > 0 && (
+              <CommandGroup heading="Discount">
+                <CommandItem value="discount-remove" onSelect={() => run(() => onApplyDiscount(0))}>
+                  ✕ Remove the {discount}% discount
+                </CommandItem>
+              </CommandGroup>
+            )}
+
+            {productResults.length > 0 && (
+              <CommandGroup heading={addQuantity > 1 ? `Add ${addQuantity} to the cart` : "Add to the cart"}>
+                {productResults.map(product => (
+                  <Fragment key={product.id}>
+                    <CommandItem
+                      value={`product-${product.id}`}
+                      disabled={product.quantity <= 0}
+                      onSelect={() => run(() => onAddProduct(product, quantity, null))}
+                    >
+                      <span className="truncate">{product.name}</span>
+                      <span className="text-xs text-muted-foreground">{product.quantity <= 0 ? "out of stock" : `${product.quantity} left`}</span>
+                      <CommandShortcut className="tracking-normal">{formatKES(product.price ?? 0)}</CommandShortcut>
+                    </CommandItem>
+                    {getPackUnits(product).map(pack => (
+                      <CommandItem
+                        key={pack.id}
+                        value={`product-${product.id}-${pack.id}`}
+                        disabled={product.quantity < pack.factor}
+                        onSelect={() => run(() => onAddProduct(product, quantity, pack))}
+                      >
+                        <span className="truncate pl-4">{product.name} · {pack.name}</span>
+                        <CommandShortcut className="tracking-normal">{formatKES(getPackPrice(product, pack))}</CommandShortcut>
+                      </CommandItem>
+                    ))}
+                  </Fragment>
+                ))}
+              </CommandGroup>
+            )}
+
+            {commandResults.length > 0 && (
+              <CommandGroup heading="Actions">
+                {commandResults.map(command => (
+                  <CommandItem
+                    key={command.id}
+                    value={`command-${command.id}`}
+                    disabled={command.disabled}
+                    onSelect={() => run(() => onRunCommand(command.id))}
+                  >
+                    <span>{command.icon}</span>
+                    <span>{command.label}</span>
+                    {bindings[command.id] && <CommandShortcut>{bindings[command.id]}</CommandShortcut>}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </DialogContent>
+    </Dialog>
+  )
+}
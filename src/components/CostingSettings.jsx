@@ -0,0 +1,99 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import { COSTING_METHODS, COSTING_METHOD_LABELS, DEFAULT_COSTING_SETTINGS, getCostingSettings, saveCostingSettings } from "../utils/costing"
+
+const METHOD_DESCRIPTIONS = {
+  [COSTING_METHODS.WEIGHTED_AVERAGE]: 'Each sale is costed at the average of everything in stock. The average moves with every delivery.',
+  [COSTING_METHODS.FIFO]: 'Each sale is costed at the oldest delivery still in stock, so stock on hand is valued at the latest prices.'
+}
+
+/**
+ * How stock is costed for gross profit and valuation across the organisation
+ */
+export default function CostingSettings({ adminId }) {
+  const [settings, setSettings] = useState(DEFAULT_COSTING_SETTINGS)
+  const [savedMethod, setSavedMethod] = useState(DEFAULT_COSTING_SETTINGS.method)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!adminId) return
+    let cancelled = false
+    getCostingSettings(adminId)
+      .then(loaded => {
+        if (cancelled) return
+        setSettings(loaded)
+        setSavedMethod(loaded.method)
+      })
+      .catch(error => console.error('Error loading costing settings:', error))
+      .finally(() => { if (!cancelled) setIsLoading(false) })
+    return () => { cancelled = true }
+  }, [adminId])
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      const saved = await saveCostingSettings(adminId, settings)
+      setSettings(saved)
+      setSavedMethod(saved.method)
+      toast.success('Costing method saved', { description: 'Sales already made keep the cost they were sold at' })
+    } catch (error) {
+      console.error('Error saving costing settings:', error)
+      toast.error(error.message || 'Could not save the costing method')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <h2 className="text-xl font-bold text-foreground mb-1">🧮 Stock Costing</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        How the cost of goods sold is worked out. Every sale records its cost when it is made, and every delivery updates the cost of what is in stock.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        {Object.values(COSTING_METHODS).map(method => (
+          <label
+            key={method}
+            className={`flex items-start gap-3 p-4 border-2 rounded-lg cursor-pointer transition-colors ${
+              settings.method === method ? 'border-primary bg-primary/5' : 'border-border hover:bg-muted'
+            }`}
+          >
+            <input
+              type="radio"
+              name="costingMethod"
+              value={method}
+              checked={settings.method === method}
+              onChange={() => setSettings({ ...settings, method })}
+              disabled={isLoading}
+              className="mt-1"
+            />
+            <div>
+              <div className="font-semibold text-foreground">{COSTING_METHOD_LABELS[method]}</div>
+              <p className="text-xs text-muted-foreground mt-1">{METHOD_DESCRIPTIONS[method]}</p>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {settings.method !== savedMethod && !isLoading && (
+        <p className="text-xs text-yellow-600 dark:text-yellow-500 mt-3">
+          The new method applies from the next sale. Past sales keep their recorded cost.
+        </p>
+      )}
+
+      <div className="flex justify-end mt-5">
+        <button
+          onClick={handleSave}
+          disabled={isLoading || isSaving}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-lg font-semibold hover:bg-primary/90 disabled:opacity-50 transition-colors"
+        >
+          {isSaving ? 'Saving...' : 'Save Method'}
+        </button>
+      </div>
+    </div>
+  )
+}
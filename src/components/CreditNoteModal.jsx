@@ -0,0 +1,156 @@
+"use client"
+
+import { toast } from "sonner"
+import { formatKES } from "../utils/pricing"
+import { usesEscPosPrinter, printReceipt } from "../utils/receiptPrinter"
+import { getTransactionPayments, getTenderLabel } from "../utils/tenders"
+import { RETURN_DISPOSITIONS } from "../utils/returns"
+import FiscalReceiptBlock from "./FiscalReceiptBlock"
+
+/**
+ * Printable credit note for a customer return (80mm slip, same layout as the sales receipt)
+ */
+export default function CreditNoteModal({ creditNote, onClose }) {
+  if (!creditNote) return null
+
+  const issuedAt = new Date(creditNote.timestamp)
+  const dateStr = issuedAt.toLocaleDateString('en-KE', { year: 'numeric', month: 'long', day: 'numeric' })
+  const timeStr = issuedAt.toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })
+
+  const printInBrowser = () => {
+    const style = document.createElement('style')
+    style.textContent = `
+      @page {
+        margin: 0 !important;
+        size: 80mm auto;
+      }
+      @media print {
+        header, footer { display: none !important; }
+      }
+    `
+    document.head.appendChild(style)
+    window.print()
+    setTimeout(() => style.remove(), 1000)
+  }
+
+  const handlePrint = async () => {
+    if (!usesEscPosPrinter()) {
+      printInBrowser()
+      return
+    }
+    try {
+      await printReceipt(creditNote, { prompt: true })
+    } catch (error) {
+      console.error('Error printing credit note:', error)
+      toast.error('Receipt printer not responding', { description: `${error.message}. Opening the print dialog instead.` })
+      printInBrowser()
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-[70] backdrop-blur-sm">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full border-2 border-black relative max-h-[90vh] flex flex-col my-4 print:max-h-none">
+        <button
+          onClick={onClose}
+          className="absolute top-3 right-3 z-10 w-7 h-7 flex items-center justify-center rounded-lg bg-gray-200 hover:bg-gray-300 text-black transition-colors print:hidden"
+          title="Close"
+          aria-label="Close modal"
+        >
+          <span className="text-xl font-bold" aria-hidden="true">×</span>
+        </button>
+
+        <div className="p-1 border-b border-black bg-white flex-shrink-0">
+          <h1 className="text-xs font-black text-black text-center leading-none mt-2">WHISKEY BALLET</h1>
+          <p className="text-[9px] font-black text-black text-center leading-none">WINES & SPIRITS</p>
+          <h2 className="text-[10px] font-black text-black text-center border-y border-black py-0.5 mt-0.5">CREDIT NOTE</h2>
+
+          <div className="mt-2 space-y-1">
+            <div className="flex justify-between text-sm">
+              <span className="font-black text-black">Credit Note:</span>
+              <span className="font-black text-black">{creditNote.creditNoteNumber}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="font-black text-black">Original Receipt:</span>
+              <span className="font-black text-black">{creditNote.originalReceiptNumber}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="font-black text-black">Date:</span>
+              <span className="font-black text-black">{dateStr} {timeStr}</span>
+            </div>
+            {creditNote.customerName && (
+              <div className="flex justify-between text-sm">
+                <span className="font-black text-black">Customer:</span>
+                <span className="font-black text-black">{creditNote.customerName}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-sm">
+              <span className="font-black text-black">Processed by:</span>
+              <span className="font-black text-black">{creditNote.cashier}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="px-1 pt-1 pb-0 overflow-y-auto flex-1 min-h-0 bg-white">
+          <div className="space-y-0.5">
+            {creditNote.items.map((item) => (
+              <div key={item.id} className="border-b border-black py-0.5">
+                <div className="flex justify-between text-sm">
+                  <p className="font-black text-black">{Math.abs(item.quantity)}x {item.name}</p>
+                  <p className="font-black text-black">{formatKES(Math.abs(item.itemTotal))}</p>
+                </div>
+                {item.disposition === RETURN_DISPOSITIONS.DAMAGED && (
+                  <p className="text-[10px] font-black text-black">Written off - damaged</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="border-t-2 border-black pt-1 mt-1 space-y-1">
+            <div className="flex justify-between text-sm">
+              <span className="font-black text-black">VAT (16%):</span>
+              <span className="text-black font-black">{formatKES(Math.abs(creditNote.vatAmount))}</span>
+            </div>
+            <div className="flex justify-between font-black text-base border-t-2 border-black pt-1">
+              <span className="text-black">TOTAL REFUND:</span>
+              <span className="text-black">{formatKES(Math.abs(creditNote.total))}</span>
+            </div>
+            {getTransactionPayments(creditNote).map((payment, index) => (
+              <div key={index} className="flex justify-between text-sm">
+                <span className="font-black text-black">
+                  Refunded via {getTenderLabel(payment.method)}{payment.reference ? ` (${payment.reference})` : ''}
+                </span>
+              </div>
+            ))}
+            {creditNote.reason && (
+              <p className="text-sm font-black text-black">Reason: {creditNote.reason}</p>
+            )}
+          </div>
+
+          <FiscalReceiptBlock fiscal={creditNote.fiscal} />
+
+          <div className="text-center text-sm text-black my-3">
+            <p className="font-black">Customer signature: ____________________</p>
+            <p className="mt-1 font-black">Contact: 0723037017</p>
+          </div>
+        </div>
+
+        <div className="p-2 border-t-2 border-black bg-white flex-shrink-0 print:hidden m-0">
+          <div className="flex gap-2">
+            <button
+              onClick={handlePrint}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+            >
+              🖨️ Print Credit Note
+            </button>
+            <button
+              onClick={onClose}
+              className="flex-1 bg-gray-200 hover:bg-gray-300 text-black font-bold py-3 px-4 rounded-lg transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { getLoyaltyPoints, getPointsValue } from "../utils/loyalty"
+
+/**
+ * Put a customer on the sale so it earns loyalty points and gets their pricing,
+ * without taking it on credit
+ */
+export default function CustomerLookupModal({ customers = [], selectedCustomer, loyaltySettings, onSelect, onClear, onClose }) {
+  const [searchTerm, setSearchTerm] = useState("")
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const term = searchTerm.trim().toLowerCase()
+  const matches = customers
+    .filter(c => !c.deletedAt)
+    .filter(c => !term || c.name?.toLowerCase().includes(term) || c.phone?.toLowerCase().includes(term))
+    .slice(0, 50)
+
+  const handleSelect = async (customer) => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await onSelect(customer)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-lg w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b-2 border-border bg-gradient-to-r from-amber-700 to-amber-600 rounded-t-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold text-white">👤 Customer</h2>
+          <p className="text-sm text-white/90 mt-1">
+            {loyaltySettings?.enabled ? "Find the customer to earn points and apply their tier pricing" : "Find the customer to apply their pricing"}
+          </p>
+        </div>
+
+        <div className="p-5 space-y-3 overflow-y-auto">
+          {selectedCustomer && (
+            <div className="flex items-center justify-between bg-amber-50 dark:bg-amber-950/30 border-2 border-amber-300 dark:border-amber-800 rounded-lg px-3 py-2">
+              <span className="text-sm font-semibold text-foreground">On this sale: {selectedCustomer.name}</span>
+              <button
+                type="button"
+                onClick={onClear}
+                className="text-xs font-semibold text-destructive hover:underline"
+              >
+                Remove from sale
+              </button>
+            </div>
+          )}
+
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search by name or phone..."
+            className="w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+            autoFocus
+          />
+
+          {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+
+          {matches.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              {term ? "No customers found" : "No customers yet. Add them on the Customers page."}
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {matches.map(customer => {
+                const points = getLoyaltyPoints(customer)
+                return (
+                  <button
+                    key={customer.id}
+                    type="button"
+                    disabled={isSaving}
+                    onClick={() => handleSelect(customer)}
+                    className={`w-full text-left p-3 rounded-lg border-2 transition-colors disabled:opacity-60 ${
+                      selectedCustomer?.id === customer.id ? "border-primary bg-primary/5" : "border-border hover:border-primary hover:bg-primary/5"
+                    }`}
+                  >
+                    <div className="flex justify-between items-start gap-3">
+                      <div className="min-w-0">
+                        <p className="font-semibold text-foreground truncate">{customer.name}</p>
+                        {customer.phone && <p className="text-xs text-muted-foreground">📞 {customer.phone}</p>}
+                      </div>
+                      <div className="text-right text-xs">
+                        {loyaltySettings?.enabled && (
+                          <p className="font-bold text-amber-700 dark:text-amber-400">
+                            ⭐ {points.toLocaleString()} pts
+                            {points > 0 && <span className="font-normal text-muted-foreground"> · {formatKES(getPointsValue(points, loyaltySettings))}</span>}
+                          </p>
+                        )}
+                        {customer.specialPricing && customer.discountRate > 0 && (
+                          <p className="font-semibold text-green-700 dark:text-green-400">{customer.discountRate}% special pricing</p>
+                        )}
+                      </div>
+                    </div>
+                  </button>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+"use client"
+
+import { formatKES } from "../utils/pricing"
+import { KES_DENOMINATIONS, sumDenominations } from "../utils/shifts"
+
+/**
+ * Notes-and-coins count grid used for the opening float and the closing count
+ */
+export default function DenominationCount({ counts, onChange }) {
+  const setCount = (value, count) => {
+    onChange({ ...counts, [value]: count.replace(/\D/g, "") })
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2">
+        {KES_DENOMINATIONS.map(value => (
+          <label key={value} className="flex flex-col text-xs font-semibold text-muted-foreground">
+            {value >= 50 ? `KES ${value}` : `${value} coin`}
+            <input
+              type="text"
+              inputMode="numeric"
+              value={counts[value] || ""}
+              onChange={(e) => setCount(value, e.target.value)}
+              placeholder="0"
+              className="mt-1 w-full px-2 py-2 border-2 border-border rounded-lg bg-background text-foreground text-right font-mono focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-between items-center mt-3 px-3 py-2 bg-muted rounded-lg">
+        <span className="text-sm font-semibold text-muted-foreground">Counted</span>
+        <span className="text-lg font-bold text-foreground">{formatKES(sumDenominations(counts))}</span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,66 @@
+"use client"
+
+import { formatKES } from "../utils/pricing"
+
+/**
+ * Deposit section of the add/edit product forms: either mark the record as a
+ * deposit item (its selling price is the deposit) or link the product to one.
+ */
+export default function DepositLinkFields({ formData, depositItems = [], onChange }) {
+  const linkableItems = depositItems.filter(item => item.id !== formData.id)
+
+  return (
+    <div className="bg-muted/30 border border-border rounded-lg p-4 space-y-3">
+      <h3 className="text-sm font-semibold text-foreground">♻️ Returnable Deposit</h3>
+      <label className="flex items-center gap-2 text-sm text-foreground">
+        <input
+          type="checkbox"
+          checked={!!formData.isDepositItem}
+          onChange={(e) => onChange(e.target.checked
+            ? { isDepositItem: true, depositItemId: null, depositUnits: null, reorderLevel: 0 }
+            : { isDepositItem: false })}
+        />
+        This is a deposit item (empty bottle or crate)
+      </label>
+      {formData.isDepositItem ? (
+        <p className="text-xs text-muted-foreground">
+          The selling price is the deposit refunded per empty. Deposit items are hidden from the POS product list and
+          quantity counts the empties held for the distributor.
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-foreground mb-2">Deposit charged</label>
+            <select
+              value={formData.depositItemId ?? ""}
+              onChange={(e) => onChange({ depositItemId: e.target.value === "" ? null : Number(e.target.value) })}
+              className="w-full px-4 py-2 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary bg-card text-foreground"
+            >
+              <option value="">No deposit</option>
+              {linkableItems.map(item => (
+                <option key={item.id} value={item.id}>{item.name} ({formatKES(item.price ?? item.sellingPrice ?? 0)})</option>
+              ))}
+            </select>
+            {linkableItems.length === 0 && (
+              <p className="text-xs text-muted-foreground mt-1">Add a deposit item in this branch first.</p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-foreground mb-2">
+              Deposits per unit
+              <span className="text-xs text-muted-foreground ml-1 block">(e.g. 6 for a six-pack)</span>
+            </label>
+            <input
+              type="number"
+              value={formData.depositUnits ?? 1}
+              onChange={(e) => onChange({ depositUnits: Math.max(1, Number.parseInt(e.target.value) || 1) })}
+              disabled={formData.depositItemId == null}
+              className="w-full px-4 py-2 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary bg-card text-foreground disabled:opacity-50"
+              min="1"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -3,6 +3,9 @@
 import { useState, useMemo } from "react"
 import { getImageSrc, fileToBase64, compressImage } from "../utils/images"
 import { calculatePricingMetrics, formatKES } from "../utils/pricing"
+import DepositLinkFields from "./DepositLinkFields"
+import PackUnitsFields from "./PackUnitsFields"
+import { validatePackUnits } from "../utils/unitsOfMeasure"
 
 const PRODUCT_CATEGORIES = [
   "Red Wine",
@@ -22,7 +25,7 @@ const PRODUCT_CATEGORIES = [
   "Other"
 ]
 
-export default function EditProductModal({ product, onSave, onClose, onDelete, onBarcode }) {
+export default function EditProductModal({ product, onSave, onClose, onDelete, onBarcode, depositItems = [], inventory = [] }) {
   const [formData, setFormData] = useState({
     ...product,
     costPrice: product.costPrice || 0,
@@ -158,6 +161,12 @@ export default function EditProductModal({ product, onSave, onClose, onDelete, o
 
   const handleSubmit = (e) => {
     e.preventDefault()
+
+    const packErrors = validatePackUnits(formData.packUnits, { inventory, productId: product.id })
+    if (packErrors.length > 0) {
+      alert(packErrors.join("\n"))
+      return
+    }
     
     // Calculate VAT and metrics before saving
     const metrics = pricingMetrics || calculatePricingMetrics(formData.sellingPrice, formData.costPrice, 0.16)
@@ -392,7 +401,10 @@ export default function EditProductModal({ product, onSave, onClose, onDelete, o
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium text-foreground mb-2">Inventory Unit</label>
+                <label className="block text-sm font-medium text-foreground mb-2">
+                  Stock Unit
+                  <span className="text-xs text-muted-foreground ml-1 block">(quantity counts these)</span>
+                </label>
                 <select
                   name="inventoryUnits"
                   value={formData.inventoryUnits}
@@ -407,6 +419,17 @@ export default function EditProductModal({ product, onSave, onClose, onDelete, o
             </div>
           </div>
 
+          <PackUnitsFields
+            formData={formData}
+            onChange={(updates) => setFormData(prev => ({ ...prev, ...updates }))}
+          />
+
+          <DepositLinkFields
+            formData={formData}
+            depositItems={depositItems}
+            onChange={(updates) => setFormData(prev => ({ ...prev, ...updates }))}
+          />
+
           {/* Stock Section */}
           <div className="grid grid-cols-2 gap-3">
             <div>
@@ -0,0 +1,129 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { getTenderLabel } from "../utils/tenders"
+import { DEPOSIT_REFUND_METHODS, getDepositAmount } from "../utils/deposits"
+
+/**
+ * Refund deposits on empties a customer brings back, without ringing up a sale
+ */
+export default function EmptiesReturnModal({ depositItems, onSave, onClose }) {
+  const [quantities, setQuantities] = useState({})
+  const [refundMethod, setRefundMethod] = useState(DEPOSIT_REFUND_METHODS[0])
+  const [reference, setReference] = useState("")
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const lines = depositItems.map(depositItem => ({ depositItem, quantity: quantities[depositItem.id] || 0 }))
+  const refundTotal = lines.reduce((sum, line) => sum + getDepositAmount(line.depositItem) * line.quantity, 0)
+
+  const setQuantity = (id, value) => {
+    setQuantities(prev => ({ ...prev, [id]: Math.max(0, Number.parseInt(value) || 0) }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError("")
+    setIsSaving(true)
+    try {
+      await onSave({ lines, refundMethod, reference: reference.trim() })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-card rounded-lg shadow-2xl max-w-md w-full border-2 border-border relative max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b-2 border-border text-white rounded-t-lg bg-gradient-to-r from-teal-700 to-teal-600">
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">♻️ Empties Return</h2>
+          <p className="text-sm opacity-90 mt-1">Refund deposits on returned bottles and crates</p>
+        </div>
+
+        <div className="p-5 space-y-3 overflow-y-auto">
+          {depositItems.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              No deposit items are set up for this branch. Add one in Inventory and tick &quot;This is a deposit item&quot;.
+            </p>
+          ) : (
+            depositItems.map(item => (
+              <div key={item.id} className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-sm text-foreground truncate">{item.name}</p>
+                  <p className="text-xs text-muted-foreground">{formatKES(getDepositAmount(item))} each</p>
+                </div>
+                <input
+                  type="number"
+                  min="0"
+                  value={quantities[item.id] || ""}
+                  onChange={(e) => setQuantity(item.id, e.target.value)}
+                  placeholder="0"
+                  className={`${inputClass} w-24 text-center font-bold`}
+                />
+              </div>
+            ))
+          )}
+
+          <div>
+            <label className="block text-xs font-medium text-muted-foreground mb-1">Refund with</label>
+            <div className="grid grid-cols-2 gap-2">
+              {DEPOSIT_REFUND_METHODS.map(method => (
+                <button
+                  key={method}
+                  type="button"
+                  onClick={() => setRefundMethod(method)}
+                  className={`py-2 rounded-lg border-2 font-semibold transition-colors ${
+                    refundMethod === method ? "border-primary bg-primary/10 text-primary" : "border-border text-foreground hover:bg-muted"
+                  }`}
+                >
+                  {getTenderLabel(method)}
+                </button>
+              ))}
+            </div>
+          </div>
+          {refundMethod !== DEPOSIT_REFUND_METHODS[0] && (
+            <input
+              type="text"
+              value={reference}
+              onChange={(e) => setReference(e.target.value.toUpperCase())}
+              placeholder="M-Pesa transaction code"
+              className={inputClass}
+            />
+          )}
+
+          <div className="flex justify-between items-center pt-2 border-t border-border">
+            <span className="text-sm font-medium text-muted-foreground">Refund due</span>
+            <span className="text-2xl font-black text-foreground">{formatKES(refundTotal)}</span>
+          </div>
+          {error && <p className="text-sm font-semibold text-destructive">{error}</p>}
+        </div>
+
+        <div className="p-5 pt-0">
+          <button
+            type="submit"
+            disabled={isSaving || refundTotal <= 0}
+            className="w-full py-3 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg disabled:opacity-50 transition-colors"
+          >
+            {isSaving ? "Saving..." : "Refund Deposits"}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
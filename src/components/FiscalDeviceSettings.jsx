@@ -0,0 +1,155 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import { getTerminalId, getTerminalSettings, updateTerminalSettings } from "../utils/terminal"
+import { FISCAL_ADAPTERS, MAX_FISCAL_ATTEMPTS, getQueuedFiscalInvoices, retryFiscalQueue } from "../utils/fiscal"
+
+const ADAPTER_OPTIONS = [
+  { value: FISCAL_ADAPTERS.NONE, label: "Off" },
+  { value: FISCAL_ADAPTERS.MOCK, label: "Mock control unit (testing)" },
+  { value: FISCAL_ADAPTERS.ETIMS, label: "KRA eTIMS (OSCU / VSCU)" },
+]
+
+/**
+ * Fiscal device configuration for the terminal this browser runs on, plus the retry queue
+ */
+export default function FiscalDeviceSettings({ adminId }) {
+  const [fiscal, setFiscal] = useState(() => getTerminalSettings().fiscal)
+  const [queued, setQueued] = useState([])
+  const [isRetrying, setIsRetrying] = useState(false)
+
+  const loadQueue = async () => {
+    try {
+      setQueued(await getQueuedFiscalInvoices(adminId))
+    } catch (error) {
+      console.error('Error loading fiscal queue:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadQueue()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminId])
+
+  const handleSave = () => {
+    if (fiscal.adapter === FISCAL_ADAPTERS.ETIMS && (!fiscal.baseUrl || !fiscal.tin || !fiscal.cmcKey)) {
+      toast.error('eTIMS needs the device URL, KRA PIN and communication key')
+      return
+    }
+    updateTerminalSettings({ fiscal })
+    toast.success('Fiscal device saved for this terminal')
+  }
+
+  const handleRetry = async () => {
+    setIsRetrying(true)
+    try {
+      const { signed, remaining } = await retryFiscalQueue(adminId, { includeFailed: true })
+      toast.success(`${signed} invoice(s) signed`, {
+        description: remaining > 0 ? `${remaining} still waiting for the device` : 'Queue is empty'
+      })
+    } catch (error) {
+      console.error('Error retrying fiscal queue:', error)
+      toast.error('Could not retry queued invoices')
+    } finally {
+      setIsRetrying(false)
+      loadQueue()
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <h2 className="text-xl font-bold text-foreground mb-1">🧾 Fiscal Device (this terminal)</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Terminal <span className="font-mono">{getTerminalId()}</span>. Sales and credit notes are signed by this device before the receipt prints.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-muted-foreground mb-1">Adapter</label>
+          <select
+            value={fiscal.adapter}
+            onChange={(e) => setFiscal({ ...fiscal, adapter: e.target.value })}
+            className={inputClass}
+          >
+            {ADAPTER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {fiscal.adapter === FISCAL_ADAPTERS.ETIMS && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-muted-foreground mb-1">Device URL</label>
+              <input
+                type="url"
+                value={fiscal.baseUrl}
+                onChange={(e) => setFiscal({ ...fiscal, baseUrl: e.target.value.trim() })}
+                placeholder="http://192.168.1.50:8088"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-muted-foreground mb-1">KRA PIN</label>
+              <input
+                type="text"
+                value={fiscal.tin}
+                onChange={(e) => setFiscal({ ...fiscal, tin: e.target.value.toUpperCase().trim() })}
+                placeholder="P051234567X"
+                maxLength={11}
+                className={`${inputClass} font-mono uppercase`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-muted-foreground mb-1">KRA Branch ID</label>
+              <input
+                type="text"
+                value={fiscal.bhfId}
+                onChange={(e) => setFiscal({ ...fiscal, bhfId: e.target.value.trim() })}
+                placeholder="00"
+                maxLength={2}
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-muted-foreground mb-1">Communication Key</label>
+              <input
+                type="password"
+                value={fiscal.cmcKey}
+                onChange={(e) => setFiscal({ ...fiscal, cmcKey: e.target.value.trim() })}
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        <p className="text-sm text-muted-foreground">
+          {queued.length === 0
+            ? 'No invoices waiting for the device'
+            : `${queued.length} invoice(s) queued${queued.some(q => q.attempts >= MAX_FISCAL_ATTEMPTS) ? ' (some stopped retrying)' : ''}`}
+        </p>
+        <div className="flex gap-2">
+          {queued.length > 0 && (
+            <button
+              onClick={handleRetry}
+              disabled={isRetrying || fiscal.adapter === FISCAL_ADAPTERS.NONE}
+              className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted disabled:opacity-50 transition-colors text-foreground"
+            >
+              {isRetrying ? 'Retrying...' : '🔁 Retry Now'}
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import QRCode from "qrcode"
+
+/**
+ * Control unit details + verification QR printed at the foot of receipts and credit notes
+ */
+export default function FiscalReceiptBlock({ fiscal }) {
+  const [qrUrl, setQrUrl] = useState("")
+
+  useEffect(() => {
+    if (!fiscal?.qrPayload) {
+      setQrUrl("")
+      return
+    }
+    let cancelled = false
+    QRCode.toDataURL(fiscal.qrPayload, { width: 160, margin: 1, errorCorrectionLevel: 'M' })
+      .then(url => { if (!cancelled) setQrUrl(url) })
+      .catch(error => console.error('Error generating fiscal QR code:', error))
+    return () => { cancelled = true }
+  }, [fiscal?.qrPayload])
+
+  if (!fiscal) return null
+
+  if (fiscal.status !== 'signed') {
+    return (
+      <div className="border-2 border-dashed border-black rounded p-2 my-2 text-center">
+        <p className="text-xs font-black text-black">FISCAL SIGNATURE PENDING</p>
+        <p className="text-[10px] font-black text-black">Will be signed by the control unit when it is reachable</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="border-t-2 border-black pt-1 my-2 space-y-0.5">
+      <div className="flex justify-between text-xs">
+        <span className="font-black text-black">CU Serial No:</span>
+        <span className="font-black text-black">{fiscal.cuSerialNumber}</span>
+      </div>
+      <div className="flex justify-between text-xs">
+        <span className="font-black text-black">CU Invoice No:</span>
+        <span className="font-black text-black">{fiscal.cuInvoiceNumber}</span>
+      </div>
+      {fiscal.internalData && (
+        <div className="flex justify-between text-xs">
+          <span className="font-black text-black">Internal Data:</span>
+          <span className="font-black text-black font-mono">{fiscal.internalData}</span>
+        </div>
+      )}
+      <div className="flex justify-between text-xs">
+        <span className="font-black text-black">Signature:</span>
+        <span className="font-black text-black font-mono">{fiscal.receiptSignature}</span>
+      </div>
+      {qrUrl && (
+        <img src={qrUrl} alt="KRA fiscal receipt verification QR code" className="w-28 h-28 mx-auto mt-1" />
+      )}
+    </div>
+  )
+}
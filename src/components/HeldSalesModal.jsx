@@ -0,0 +1,146 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+
+const EXPIRY_OPTIONS = [
+  { value: 1, label: "1 hour" },
+  { value: 4, label: "4 hours" },
+  { value: 12, label: "12 hours" },
+  { value: 24, label: "24 hours" },
+  { value: 72, label: "3 days" },
+]
+
+const formatHeldTime = (iso) =>
+  new Date(iso).toLocaleString('en-KE', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+/**
+ * Hold the current cart under a name, or recall/discard carts held on this terminal.
+ */
+export default function HeldSalesModal({
+  heldSales,
+  cartItemCount,
+  defaultName,
+  expiryHours,
+  onExpiryHoursChange,
+  onHold,
+  onRecall,
+  onDiscard,
+  onClose
+}) {
+  const [holdName, setHoldName] = useState(defaultName || "")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const handleHold = async () => {
+    setIsSaving(true)
+    try {
+      await onHold(holdName)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-lg w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b-2 border-border bg-gradient-to-r from-blue-900 to-blue-800 rounded-t-lg flex-shrink-0 relative">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white text-center">⏸️ Held Sales</h2>
+          <p className="text-sm text-white/90 text-center mt-1">Park a cart and serve the next customer</p>
+        </div>
+
+        <div className="p-6 space-y-5 overflow-y-auto">
+          {/* Hold current cart */}
+          {cartItemCount > 0 && (
+            <div className="border-2 border-dashed border-border rounded-lg p-4 space-y-3">
+              <label className="block text-sm font-semibold text-foreground">
+                Hold current sale ({cartItemCount} items)
+              </label>
+              <input
+                type="text"
+                value={holdName}
+                onChange={(e) => setHoldName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && !isSaving && handleHold()}
+                placeholder="Name or note, e.g. John - table 4"
+                className="w-full px-3 py-2 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground"
+                autoFocus
+              />
+              <button
+                onClick={handleHold}
+                disabled={isSaving}
+                className="w-full px-4 py-2 bg-blue-700 hover:bg-blue-800 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+              >
+                {isSaving ? "Holding..." : "⏸️ Hold Sale"}
+              </button>
+            </div>
+          )}
+
+          {/* Held list */}
+          <div>
+            <p className="text-sm font-semibold text-foreground mb-2">On hold at this till ({heldSales.length})</p>
+            {heldSales.length === 0 ? (
+              <p className="text-sm text-muted-foreground italic">No held sales</p>
+            ) : (
+              <div className="space-y-2">
+                {heldSales.map((sale) => (
+                  <div key={sale.id} className="bg-muted/30 border border-border rounded-lg p-3">
+                    <div className="flex justify-between items-start gap-3">
+                      <div className="min-w-0">
+                        <p className="font-semibold text-foreground truncate">{sale.name}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {sale.itemCount} items • {formatKES(sale.total)}
+                          {sale.customer?.name ? ` • ${sale.customer.name}` : ''}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          Held {formatHeldTime(sale.heldAt)}{sale.heldBy?.name ? ` by ${sale.heldBy.name}` : ''} • Expires {formatHeldTime(sale.expiresAt)}
+                        </p>
+                      </div>
+                      <div className="flex gap-2 flex-shrink-0">
+                        <button
+                          onClick={() => onRecall(sale)}
+                          disabled={cartItemCount > 0}
+                          title={cartItemCount > 0 ? "Hold or clear the current sale first" : "Recall this sale"}
+                          className="px-3 py-1.5 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white text-sm font-semibold rounded-lg transition-colors"
+                        >
+                          ▶️ Recall
+                        </button>
+                        <button
+                          onClick={() => onDiscard(sale)}
+                          className="px-2 py-1.5 text-destructive hover:bg-destructive/10 text-sm rounded-lg"
+                          title="Discard held sale"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer - expiry setting for this terminal */}
+        <div className="p-4 border-t-2 border-border bg-muted/30 flex items-center justify-between gap-3 flex-shrink-0 rounded-b-lg">
+          <label className="text-xs font-medium text-muted-foreground">Held sales expire after</label>
+          <select
+            value={expiryHours}
+            onChange={(e) => onExpiryHoursChange(Number(e.target.value))}
+            className="px-3 py-1.5 border border-border rounded-lg text-sm bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,109 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Kbd } from "@/components/ui/kbd"
+import { HOTKEY_ACTIONS, getEventHotkey, getHotkeyBindings, validateHotkeyBindings } from "../utils/hotkeys"
+
+/**
+ * The signed-in cashier's keyboard shortcuts. Click Change and press the new
+ * key; Backspace leaves the action without a key, Escape keeps the old one.
+ */
+export default function HotkeySettingsModal({ bindings, onSave, onClose }) {
+  const [draft, setDraft] = useState(bindings)
+  const [capturing, setCapturing] = useState(null)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!capturing) return
+    const handleKeyDown = (e) => {
+      const hotkey = getEventHotkey(e)
+      if (!hotkey) return
+      // Capture phase, so the till doesn't act on the key being recorded
+      e.preventDefault()
+      e.stopPropagation()
+      if (hotkey !== "Escape") {
+        setDraft(prev => ({ ...prev, [capturing]: hotkey === "Backspace" ? "" : hotkey }))
+      }
+      setCapturing(null)
+    }
+    window.addEventListener("keydown", handleKeyDown, true)
+    return () => window.removeEventListener("keydown", handleKeyDown, true)
+  }, [capturing])
+
+  const problem = validateHotkeyBindings(draft)
+
+  const handleSave = async () => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await onSave(draft)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-lg w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border bg-gradient-to-r from-slate-800 to-slate-700 rounded-t-lg flex-shrink-0 relative">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white text-center">⌨️ Keyboard Shortcuts</h2>
+          <p className="text-sm text-white/90 text-center mt-1">Your keys follow you to any till you sign in on</p>
+        </div>
+
+        <div className="p-6 space-y-2 overflow-y-auto">
+          {HOTKEY_ACTIONS.map(action => (
+            <div key={action.id} className="flex items-center justify-between gap-3 py-1.5 border-b border-border last:border-b-0">
+              <span className="text-sm font-medium text-foreground">{action.label}</span>
+              <div className="flex items-center gap-2">
+                {capturing === action.id ? (
+                  <span className="text-xs font-semibold text-primary animate-pulse">Press a key…</span>
+                ) : draft[action.id] ? (
+                  <Kbd className="text-sm">{draft[action.id]}</Kbd>
+                ) : (
+                  <span className="text-xs text-muted-foreground">No key</span>
+                )}
+                <button
+                  onClick={() => setCapturing(capturing === action.id ? null : action.id)}
+                  className="px-3 py-1 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-xs"
+                >
+                  {capturing === action.id ? "Cancel" : "Change"}
+                </button>
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-muted-foreground pt-2">
+            In the palette or on the till, type <Kbd>3</Kbd><Kbd>*</Kbd> before scanning or choosing a product to add three at once.
+          </p>
+          {(problem || error) && <p className="text-sm font-semibold text-destructive">⚠️ {problem || error}</p>}
+        </div>
+
+        <div className="p-4 border-t-2 border-border flex gap-2 flex-shrink-0">
+          <button
+            onClick={() => setDraft(getHotkeyBindings())}
+            disabled={isSaving}
+            className="px-4 py-2.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg transition-colors"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving || !!problem || !!capturing}
+            className="flex-1 py-2.5 bg-slate-800 hover:bg-slate-900 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+          >
+            {isSaving ? "Saving..." : "Save Shortcuts"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
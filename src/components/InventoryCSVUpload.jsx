@@ -6,6 +6,7 @@ import { Alert, AlertDescription } from "@/components/ui/alert"
 import { readSharedData, writeSharedData } from "../utils/storage"
 import { getAdminIdForStorage } from "../utils/auth"
 import { getAllBranches } from "../services/branchService"
+import { MOVEMENT_REASONS, getInventoryMovements } from "../utils/stockMovements"
 
 export default function InventoryCSVUpload({ currentUser, onInventoryUpdate, selectedBranch }) {
   const [isDragging, setIsDragging] = useState(false)
@@ -233,7 +234,15 @@ export default function InventoryCSVUpload({ currentUser, onInventoryUpdate, sel
 
       await writeSharedData({
         ...sharedData,
-        inventory: finalInventory
+        inventory: finalInventory,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(sharedData.inventory, finalInventory, {
+            reason: MOVEMENT_REASONS.IMPORT,
+            source: { type: 'csv_import' },
+            user: currentUser
+          })
+        ]
       }, adminId)
 
       // Small delay to ensure Firestore has indexed the new documents before we trigger UI update
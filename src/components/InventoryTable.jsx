@@ -14,6 +14,8 @@ export default function InventoryTable({
   onEdit,
   onBarcode,
   onAdjust,
+  onLots,
+  onHistory,
   branchId,
   enableSelection = false,
   selectedIds = [],
@@ -85,6 +87,8 @@ export default function InventoryTable({
   }
 
   // Helper to check if item is expired
+  const liveLotCount = (item) => (item.lots || []).filter(lot => lot.quantity > 0).length
+
   const isExpired = (expiryDate) => {
     if (!expiryDate) return false
     const expiry = new Date(expiryDate)
@@ -189,6 +193,24 @@ export default function InventoryTable({
                     🔧
                   </button>
                 )}
+                {onLots && (
+                  <button
+                    onClick={() => onLots(item)}
+                    className="px-3 py-2 bg-muted text-foreground rounded-lg hover:bg-muted/80 transition-colors text-sm"
+                    title="Lots and trace"
+                  >
+                    🏷️
+                  </button>
+                )}
+                {onHistory && (
+                  <button
+                    onClick={() => onHistory(item)}
+                    className="px-3 py-2 bg-muted text-foreground rounded-lg hover:bg-muted/80 transition-colors text-sm"
+                    title="Stock history"
+                  >
+                    📜
+                  </button>
+                )}
               </div>
             </div>
           )
@@ -294,6 +316,9 @@ export default function InventoryTable({
                       {!isExpired(item.expiryDate) && isExpiringSoon(item.expiryDate) && (
                         <div className="text-xs text-yellow-600 dark:text-yellow-500 font-semibold">Expiring Soon</div>
                       )}
+                      {liveLotCount(item) > 1 && (
+                        <div className="text-xs text-muted-foreground">first of {liveLotCount(item)} lots</div>
+                      )}
                     </div>
                   ) : (
                     <span className="text-muted-foreground text-xs">N/A</span>
@@ -341,6 +366,24 @@ export default function InventoryTable({
                         <span className="text-sm">🔧</span>
                       </button>
                     )}
+                    {onLots && (
+                      <button
+                        onClick={() => onLots(item)}
+                        className="p-2 hover:bg-muted rounded-lg transition-colors"
+                        title="Lots and trace"
+                      >
+                        <span className="text-sm">🏷️</span>
+                      </button>
+                    )}
+                    {onHistory && (
+                      <button
+                        onClick={() => onHistory(item)}
+                        className="p-2 hover:bg-muted rounded-lg transition-colors"
+                        title="Stock history"
+                      >
+                        <span className="text-sm">📜</span>
+                      </button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -0,0 +1,173 @@
+"use client"
+
+import { useState } from "react"
+import { LABEL_LAYOUTS, DEFAULT_LABEL_FIELDS, getLabelLayout, getLabelPages, buildLabelSheetHTML, printLabelSheet } from "../utils/labelPrinting"
+
+const FIELD_LABELS = { name: "Name", price: "Price", barcode: "Barcode", sku: "SKU" }
+
+// Roughly how many screen pixels a millimetre takes at 96dpi
+const PX_PER_MM = 3.78
+const PREVIEW_WIDTH_PX = 420
+
+/**
+ * Print shelf labels or A4 sticker sheets for chosen products. The preview is
+ * the first page of the real print, scaled to fit.
+ */
+export default function LabelDesignerModal({ products, onAssignBarcodes, onClose }) {
+  const [layoutId, setLayoutId] = useState(products.length > 1 ? "a4-24" : "shelf")
+  const [copies, setCopies] = useState(1)
+  const [skip, setSkip] = useState(0)
+  const [fields, setFields] = useState(DEFAULT_LABEL_FIELDS)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const layout = getLabelLayout(layoutId)
+  const options = { layoutId, copies, skip, fields }
+  const pages = getLabelPages(products, options)
+  const labelCount = pages.reduce((sum, page) => sum + page.filter(Boolean).length, 0)
+  const html = buildLabelSheetHTML(products, options)
+  const missing = products.filter(p => !String(p.barcode || "").trim())
+  const scale = Math.min(1.5, PREVIEW_WIDTH_PX / (layout.pageWidth * PX_PER_MM))
+
+  const handleAssign = async () => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await onAssignBarcodes(missing)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-4xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border flex items-start justify-between gap-4 flex-shrink-0">
+          <div>
+            <h2 className="text-2xl font-bold text-foreground">🏷️ Print Labels</h2>
+            <p className="text-sm text-muted-foreground mt-1">
+              {products.length} product{products.length === 1 ? "" : "s"} · {labelCount} label{labelCount === 1 ? "" : "s"} on {pages.length} page{pages.length === 1 ? "" : "s"}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-accent rounded-lg transition-colors" title="Close">✕</button>
+        </div>
+
+        <div className="p-6 overflow-y-auto grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-semibold text-foreground mb-1">Label stock</label>
+              <select
+                value={layoutId}
+                onChange={(e) => setLayoutId(e.target.value)}
+                className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              >
+                {LABEL_LAYOUTS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-semibold text-foreground mb-1">Copies of each</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={copies}
+                  onChange={(e) => setCopies(e.target.value)}
+                  className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+                />
+              </div>
+              {layout.id !== "shelf" && (
+                <div>
+                  <label className="block text-sm font-semibold text-foreground mb-1">Skip used labels</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={layout.columns * layout.rows - 1}
+                    value={skip}
+                    onChange={(e) => setSkip(e.target.value)}
+                    className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-semibold text-foreground mb-1">Show on the label</label>
+              <div className="flex flex-wrap gap-3">
+                {Object.keys(FIELD_LABELS).map(field => (
+                  <label key={field} className="flex items-center gap-2 text-sm text-foreground">
+                    <input
+                      type="checkbox"
+                      checked={fields[field]}
+                      onChange={(e) => setFields({ ...fields, [field]: e.target.checked })}
+                    />
+                    {FIELD_LABELS[field]}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {fields.barcode && missing.length > 0 && (
+              <div className="border-2 border-yellow-500/50 rounded-lg p-3 space-y-2">
+                <p className="text-sm text-foreground">
+                  ⚠️ {missing.length} product{missing.length === 1 ? " has" : "s have"} no barcode and will print without one.
+                </p>
+                {onAssignBarcodes && (
+                  <button
+                    onClick={handleAssign}
+                    disabled={isSaving}
+                    className="px-3 py-1.5 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg text-sm"
+                  >
+                    {isSaving ? "Assigning..." : "Assign internal barcodes"}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+          </div>
+
+          <div className="flex justify-center">
+            <div
+              className="border border-border shadow-sm overflow-hidden bg-white"
+              style={{ width: layout.pageWidth * PX_PER_MM * scale, height: layout.pageHeight * PX_PER_MM * scale }}
+            >
+              <iframe
+                title="Label preview"
+                srcDoc={html}
+                style={{
+                  width: `${layout.pageWidth}mm`,
+                  height: `${layout.pageHeight}mm`,
+                  border: 0,
+                  transform: `scale(${scale})`,
+                  transformOrigin: "top left",
+                  pointerEvents: "none"
+                }}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="p-4 border-t-2 border-border flex gap-2 flex-shrink-0">
+          <button
+            onClick={onClose}
+            className="px-4 py-2.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => printLabelSheet(html)}
+            disabled={labelCount === 0}
+            className="flex-1 py-2.5 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg transition-colors"
+          >
+            🖨️ Print {labelCount} Label{labelCount === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
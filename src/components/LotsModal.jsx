@@ -0,0 +1,112 @@
+"use client"
+
+import { useState } from "react"
+import { isExpired, isExpiringSoon } from "../utils/dateHelpers"
+import { UNTRACKED_LOT_ID, getLotHistory, getLotLabel, getLotTrace } from "../utils/lots"
+import { describeStock } from "../utils/unitsOfMeasure"
+
+/**
+ * A product's lots with their expiry and what is left, in the order the till
+ * sells them, and the receipts that sold each one
+ */
+export default function LotsModal({ product, transactions, onClose }) {
+  const [tracedLotId, setTracedLotId] = useState(null)
+  const lots = getLotHistory(product)
+  const trace = tracedLotId && transactions ? getLotTrace(transactions, product.id, tracedLotId) : []
+
+  const expiryClass = (lot) => {
+    if (lot.quantity === 0) return "text-muted-foreground"
+    if (isExpired(lot.expiryDate)) return "text-destructive font-semibold"
+    if (isExpiringSoon(lot.expiryDate)) return "text-yellow-600 dark:text-yellow-500 font-semibold"
+    return "text-foreground"
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-3xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border flex items-start justify-between gap-4 flex-shrink-0">
+          <div>
+            <h2 className="text-2xl font-bold text-foreground">🏷️ Lots · {product.name}</h2>
+            <p className="text-sm text-muted-foreground mt-1">
+              {describeStock(product.quantity || 0, product)} on hand. Sales take the lot that expires first.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-accent rounded-lg transition-colors" title="Close">✕</button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {lots.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No stock has been received against this product yet</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-3">Lot</th>
+                  <th className="py-2 pr-3">Received</th>
+                  <th className="py-2 pr-3">Expiry</th>
+                  <th className="py-2 pr-3 text-right">Left</th>
+                  <th className="py-2 pr-3 text-right">Unit cost</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {lots.map(lot => (
+                  <tr key={lot.id} className={`border-b border-border last:border-0 ${tracedLotId === lot.id ? "bg-accent/50" : ""}`}>
+                    <td className="py-2 pr-3 font-mono">{getLotLabel(lot)}</td>
+                    <td className="py-2 pr-3 text-muted-foreground">
+                      {lot.receivedAt ? new Date(lot.receivedAt).toLocaleDateString() : "—"}
+                      {lot.grnNumber ? ` · ${lot.grnNumber}` : ""}
+                    </td>
+                    <td className={`py-2 pr-3 ${expiryClass(lot)}`}>
+                      {lot.expiryDate ? new Date(lot.expiryDate).toLocaleDateString() : "None"}
+                      {lot.quantity > 0 && isExpired(lot.expiryDate) && " · Expired"}
+                    </td>
+                    <td className="py-2 pr-3 text-right font-semibold">{lot.quantity > 0 ? lot.quantity : "Sold out"}</td>
+                    <td className="py-2 pr-3 text-right text-muted-foreground">
+                      {lot.unitCost > 0 ? `KES ${lot.unitCost.toLocaleString()}` : "—"}
+                    </td>
+                    <td className="py-2 text-right">
+                      {lot.id !== UNTRACKED_LOT_ID && (
+                        <button
+                          onClick={() => setTracedLotId(tracedLotId === lot.id ? null : lot.id)}
+                          className="px-3 py-1 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-xs"
+                        >
+                          {tracedLotId === lot.id ? "Hide" : "Trace"}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {tracedLotId && (
+            <div className="border-2 border-border rounded-lg p-4">
+              <h3 className="font-bold text-foreground mb-2">
+                Receipts that sold lot {getLotLabel(lots.find(lot => lot.id === tracedLotId))}
+              </h3>
+              {!transactions ? (
+                <p className="text-sm text-muted-foreground">Loading sales...</p>
+              ) : trace.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Nothing has been sold from this lot</p>
+              ) : (
+                <div className="space-y-1">
+                  {trace.map(row => (
+                    <div key={row.transactionId} className="flex items-center justify-between text-sm">
+                      <span className={row.cancelled ? "line-through text-muted-foreground" : "text-foreground"}>
+                        <span className="font-mono">{row.receiptNumber}</span>
+                        <span className="text-muted-foreground"> · {new Date(row.timestamp).toLocaleString()} · {row.cashier}</span>
+                      </span>
+                      <span className="font-semibold">{row.quantity}{row.cancelled ? " (cancelled)" : ""}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
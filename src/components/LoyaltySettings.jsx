@@ -0,0 +1,193 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import { DEFAULT_LOYALTY_SETTINGS, getLoyaltySettings, saveLoyaltySettings } from "../utils/loyalty"
+
+/**
+ * Loyalty programme for every till: how points are earned and spent, and the
+ * spend-based tiers that give customers automatic pricing
+ */
+export default function LoyaltySettings({ adminId, inventory = [] }) {
+  const [settings, setSettings] = useState(DEFAULT_LOYALTY_SETTINGS)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!adminId) return
+    let cancelled = false
+    getLoyaltySettings(adminId)
+      .then(loaded => { if (!cancelled) setSettings(loaded) })
+      .catch(error => console.error('Error loading loyalty settings:', error))
+      .finally(() => { if (!cancelled) setIsLoading(false) })
+    return () => { cancelled = true }
+  }, [adminId])
+
+  const categories = [...new Set(inventory.map(p => p.category).filter(Boolean))].sort()
+  const unratedCategories = categories.filter(c => !settings.categoryRates.some(rate => rate.category === c))
+
+  const update = (changes) => setSettings({ ...settings, ...changes })
+
+  const updateTier = (index, changes) => update({
+    tiers: settings.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier))
+  })
+
+  const updateCategoryRate = (index, changes) => update({
+    categoryRates: settings.categoryRates.map((rate, i) => (i === index ? { ...rate, ...changes } : rate))
+  })
+
+  const handleSave = async () => {
+    if (settings.tiers.some(tier => !tier.name.trim())) {
+      toast.error('Every tier needs a name')
+      return
+    }
+    setIsSaving(true)
+    try {
+      setSettings(await saveLoyaltySettings(adminId, settings))
+      toast.success('Loyalty programme saved', { description: 'Tills pick up the new rates when they next load' })
+    } catch (error) {
+      console.error('Error saving loyalty settings:', error)
+      toast.error(error.message || 'Could not save the loyalty programme')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+  const labelClass = "block text-sm font-medium text-muted-foreground mb-1"
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-foreground mb-1">⭐ Loyalty Programme</h2>
+          <p className="text-sm text-muted-foreground">
+            Customers on a sale earn points they can spend at the till, and move up tiers by what they spend.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm font-semibold text-foreground whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4"
+            disabled={isLoading}
+          />
+          Enabled
+        </label>
+      </div>
+
+      <div className="grid md:grid-cols-4 gap-4">
+        <div>
+          <label className={labelClass}>Points per KES 100</label>
+          <input type="number" min="0" step="0.1" value={settings.pointsPerHundred} onChange={(e) => update({ pointsPerHundred: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>1 point is worth (KES)</label>
+          <input type="number" min="0" step="0.1" value={settings.pointValue} onChange={(e) => update({ pointValue: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Points needed to redeem</label>
+          <input type="number" min="0" value={settings.minRedeemPoints} onChange={(e) => update({ minRedeemPoints: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Tier spend window (days)</label>
+          <input type="number" min="1" value={settings.windowDays} onChange={(e) => update({ windowDays: e.target.value })} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="mt-5">
+        <h3 className="text-sm font-bold text-foreground mb-2">Category earn rates</h3>
+        {settings.categoryRates.length === 0 && (
+          <p className="text-xs text-muted-foreground mb-2">Every category earns the rate above.</p>
+        )}
+        <div className="space-y-2">
+          {settings.categoryRates.map((rate, index) => (
+            <div key={rate.category} className="flex items-center gap-3">
+              <span className="flex-1 text-sm font-semibold text-foreground">{rate.category}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={rate.pointsPerHundred}
+                onChange={(e) => updateCategoryRate(index, { pointsPerHundred: e.target.value })}
+                className={`${inputClass} w-28`}
+                aria-label={`Points per KES 100 on ${rate.category}`}
+              />
+              <span className="text-xs text-muted-foreground w-24">per KES 100</span>
+              <button
+                type="button"
+                onClick={() => update({ categoryRates: settings.categoryRates.filter((_, i) => i !== index) })}
+                className="text-destructive hover:bg-destructive/10 px-2 py-1 rounded text-sm"
+                title="Remove rate"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        {unratedCategories.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && update({
+              categoryRates: [...settings.categoryRates, { category: e.target.value, pointsPerHundred: settings.pointsPerHundred }]
+            })}
+            className={`${inputClass} mt-2 md:w-64`}
+          >
+            <option value="">+ Set a rate for a category...</option>
+            {unratedCategories.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+        )}
+      </div>
+
+      <div className="mt-5">
+        <h3 className="text-sm font-bold text-foreground mb-2">Tiers</h3>
+        <div className="space-y-2">
+          {settings.tiers.map((tier, index) => (
+            <div key={tier.id} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-end">
+              <div>
+                {index === 0 && <label className={labelClass}>Name</label>}
+                <input type="text" value={tier.name} onChange={(e) => updateTier(index, { name: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                {index === 0 && <label className={labelClass}>Spend in window (KES)</label>}
+                <input type="number" min="0" value={tier.minSpend} onChange={(e) => updateTier(index, { minSpend: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                {index === 0 && <label className={labelClass}>Discount (%)</label>}
+                <input type="number" min="0" max="100" value={tier.discountRate} onChange={(e) => updateTier(index, { discountRate: e.target.value })} className={inputClass} />
+              </div>
+              <button
+                type="button"
+                onClick={() => update({ tiers: settings.tiers.filter((_, i) => i !== index) })}
+                className="text-destructive hover:bg-destructive/10 px-2 py-2 rounded text-sm"
+                title="Remove tier"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => update({
+            tiers: [...settings.tiers, { id: `tier-${Date.now()}`, name: '', minSpend: 0, discountRate: 0 }]
+          })}
+          className="mt-2 px-3 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+        >
+          + Add tier
+        </button>
+      </div>
+
+      <div className="flex justify-end mt-5">
+        <button
+          onClick={handleSave}
+          disabled={isLoading || isSaving}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-lg font-semibold hover:bg-primary/90 disabled:opacity-50 transition-colors"
+        >
+          {isSaving ? 'Saving...' : 'Save Programme'}
+        </button>
+      </div>
+    </div>
+  )
+}
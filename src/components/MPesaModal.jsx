@@ -1,73 +1,217 @@
 "use client"
 
-import { useState } from "react"
+import { useState, useRef, useEffect } from "react"
+import {
+  MPESA_STATUS,
+  getMpesaAdapter,
+  normalizeMpesaPhone,
+  formatMpesaPhone,
+  getStkAmount,
+  waitForPayment
+} from "../utils/mpesa"
 
-export default function MPesaModal({ total, onClose, onComplete }) {
-  const [mpesaCode, setMpesaCode] = useState("")
-  const [confirmed, setConfirmed] = useState(false)
+const FAILURE_TITLES = {
+  [MPESA_STATUS.CANCELLED]: "Payment Cancelled",
+  [MPESA_STATUS.TIMEOUT]: "No Response",
+  [MPESA_STATUS.FAILED]: "Payment Failed",
+}
+
+/**
+ * Lipa na M-Pesa: send an STK Push to the customer's phone and wait for the result.
+ * onComplete only fires once M-Pesa confirms the payment.
+ */
+export default function MPesaModal({ total, customerPhone = "", accountReference = "", onClose, onComplete }) {
+  const [phone, setPhone] = useState(customerPhone)
+  const [step, setStep] = useState("phone") // phone | waiting | success | failed
+  const [message, setMessage] = useState("")
+  const [result, setResult] = useState(null)
+  const [checkoutRequestId, setCheckoutRequestId] = useState(null)
+  const adapterRef = useRef(null)
+  const cancelledRef = useRef(false)
+
+  const amount = getStkAmount(total)
+  const normalizedPhone = normalizeMpesaPhone(phone)
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    if (mpesaCode.length >= 10) {
-      setConfirmed(true)
+  // Stop polling if the modal goes away mid-request
+  useEffect(() => () => { cancelledRef.current = true }, [])
+
+  const awaitResult = async (requestId) => {
+    cancelledRef.current = false
+    setStep("waiting")
+    const outcome = await waitForPayment(adapterRef.current, requestId, {
+      isCancelled: () => cancelledRef.current
+    })
+    if (cancelledRef.current) return
+
+    setResult(outcome)
+    if (outcome.status === MPESA_STATUS.SUCCESS) {
+      setStep("success")
       setTimeout(() => {
-        onComplete()
-      }, 2000)
+        onComplete({
+          receiptNumber: outcome.mpesaReceiptNumber,
+          phone: outcome.phone || normalizedPhone,
+          amount: outcome.amount ?? amount,
+          checkoutRequestId: requestId
+        })
+      }, 1500)
+    } else {
+      setStep("failed")
     }
   }
 
+  const handleSendRequest = async (e) => {
+    e?.preventDefault()
+    if (!normalizedPhone) return
+
+    setMessage("")
+    setResult(null)
+    try {
+      adapterRef.current = getMpesaAdapter()
+      const response = await adapterRef.current.requestPayment({
+        phone: normalizedPhone,
+        amount,
+        accountReference: accountReference || "WHISKEY BALLET",
+        description: "Purchase"
+      })
+      setCheckoutRequestId(response.checkoutRequestId)
+      setMessage(response.customerMessage || "")
+      await awaitResult(response.checkoutRequestId)
+    } catch (error) {
+      console.error('Error sending M-Pesa request:', error)
+      setResult({ status: MPESA_STATUS.FAILED, resultDesc: error.message || "Could not reach M-Pesa" })
+      setStep("failed")
+    }
+  }
+
+  const handleStopWaiting = () => {
+    cancelledRef.current = true
+    // Treated like a timeout: the customer may still approve, so "Check Again" stays available
+    setResult({ status: MPESA_STATUS.TIMEOUT, resultDesc: "Stopped waiting at the till" })
+    setStep("failed")
+  }
+
+  const handleClose = () => {
+    cancelledRef.current = true
+    onClose()
+  }
+
   return (
     <div className="fixed inset-0 bg-black/70 dark:bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
       <div className="bg-card border border-border rounded-lg shadow-2xl max-w-md w-full p-6">
-        {!confirmed ? (
-          <>
-            <h2 className="text-2xl font-bold text-foreground mb-2">M-Pesa Payment</h2>
-            <p className="text-muted-foreground mb-6">Enter M-Pesa confirmation code</p>
-
-            <div className="bg-primary/10 dark:bg-primary/20 border border-primary/30 rounded-lg p-4 mb-6">
-              <p className="text-sm text-muted-foreground">Amount Due</p>
-              <p className="text-3xl font-bold text-primary">KES {total.toLocaleString()}</p>
+        <h2 className="text-2xl font-bold text-foreground mb-2">M-Pesa Payment</h2>
+
+        <div className="bg-primary/10 dark:bg-primary/20 border border-primary/30 rounded-lg p-4 mb-6">
+          <p className="text-sm text-muted-foreground">Amount Due</p>
+          <p className="text-3xl font-bold text-primary">KES {amount.toLocaleString()}</p>
+          {amount !== total && (
+            <p className="text-xs text-muted-foreground mt-1">Rounded up from KES {total.toLocaleString()} (M-Pesa takes whole shillings)</p>
+          )}
+        </div>
+
+        {step === "phone" && (
+          <form onSubmit={handleSendRequest} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Customer Phone</label>
+              <input
+                type="tel"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                placeholder="e.g., 0712 345 678"
+                className="w-full px-4 py-3 bg-input border border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary text-foreground text-center text-lg tracking-widest placeholder:text-muted-foreground"
+                autoFocus
+              />
+              {phone && !normalizedPhone && (
+                <p className="text-xs text-destructive mt-1">Enter a valid Safaricom number (07XX or 01XX)</p>
+              )}
             </div>
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-foreground mb-2">M-Pesa Code</label>
-                <input
-                  type="text"
-                  value={mpesaCode}
-                  onChange={(e) => setMpesaCode(e.target.value.toUpperCase())}
-                  placeholder="e.g., SYD123456XY"
-                  maxLength="10"
-                  className="w-full px-4 py-3 bg-input border border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary text-foreground text-center text-lg tracking-widest placeholder:text-muted-foreground"
-                  autoFocus
-                />
-              </div>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="flex-1 px-4 py-2 border border-border text-foreground bg-muted/50 hover:bg-muted font-semibold rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!normalizedPhone}
+                className="flex-1 px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                📲 Send Request
+              </button>
+            </div>
+          </form>
+        )}
 
+        {step === "waiting" && (
+          <div className="text-center space-y-4">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto"></div>
+            <div>
+              <p className="font-semibold text-foreground">Waiting for the customer to enter their M-Pesa PIN</p>
+              <p className="text-sm text-muted-foreground mt-1">Request sent to {formatMpesaPhone(normalizedPhone)}</p>
+              {message && <p className="text-xs text-muted-foreground mt-1">{message}</p>}
+            </div>
+            <button
+              onClick={handleStopWaiting}
+              className="w-full px-4 py-2 border border-border text-foreground bg-muted/50 hover:bg-muted font-semibold rounded-lg transition-colors"
+            >
+              Stop Waiting
+            </button>
+          </div>
+        )}
+
+        {step === "success" && (
+          <div className="text-center">
+            <div className="w-16 h-16 bg-success rounded-full flex items-center justify-center mx-auto mb-4 shadow-lg">
+              <span className="text-success-foreground text-2xl">✓</span>
+            </div>
+            <h3 className="text-xl font-bold text-foreground mb-2">Payment Confirmed</h3>
+            <p className="text-muted-foreground font-mono">{result?.mpesaReceiptNumber}</p>
+            <p className="text-muted-foreground">Processing transaction...</p>
+          </div>
+        )}
+
+        {step === "failed" && (
+          <div className="space-y-4">
+            <div className="text-center">
+              <div className="w-16 h-16 bg-destructive/20 rounded-full flex items-center justify-center mx-auto mb-4">
+                <span className="text-destructive text-2xl">✕</span>
+              </div>
+              <h3 className="text-xl font-bold text-foreground mb-1">{FAILURE_TITLES[result?.status] || "Payment Failed"}</h3>
+              <p className="text-sm text-muted-foreground">{result?.resultDesc}</p>
+              <p className="text-xs text-muted-foreground mt-2">The sale has not been completed.</p>
+            </div>
+            <div className="flex flex-col gap-2">
+              {checkoutRequestId && result?.status === MPESA_STATUS.TIMEOUT && (
+                <button
+                  onClick={() => awaitResult(checkoutRequestId)}
+                  className="w-full px-4 py-2 border border-border text-foreground bg-muted/50 hover:bg-muted font-semibold rounded-lg transition-colors"
+                >
+                  🔄 Check Again (customer says they paid)
+                </button>
+              )}
               <div className="flex gap-3">
                 <button
-                  type="button"
-                  onClick={onClose}
+                  onClick={() => setStep("phone")}
                   className="flex-1 px-4 py-2 border border-border text-foreground bg-muted/50 hover:bg-muted font-semibold rounded-lg transition-colors"
                 >
-                  Cancel
+                  Change Number
                 </button>
                 <button
-                  type="submit"
-                  disabled={mpesaCode.length < 10}
-                  className="flex-1 px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  onClick={handleSendRequest}
+                  className="flex-1 px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors"
                 >
-                  Confirm
+                  Resend Request
                 </button>
               </div>
-            </form>
-          </>
-        ) : (
-          <div className="text-center">
-            <div className="w-16 h-16 bg-success rounded-full flex items-center justify-center mx-auto mb-4 shadow-lg">
-              <span className="text-success-foreground text-2xl">✓</span>
+              <button
+                onClick={handleClose}
+                className="w-full px-4 py-2 text-sm text-muted-foreground hover:text-foreground transition-colors"
+              >
+                Cancel M-Pesa Payment
+              </button>
             </div>
-            <h3 className="text-xl font-bold text-foreground mb-2">Payment Confirmed</h3>
-            <p className="text-muted-foreground">Processing transaction...</p>
           </div>
         )}
       </div>
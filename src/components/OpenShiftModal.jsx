@@ -0,0 +1,60 @@
+"use client"
+
+import { useState } from "react"
+import DenominationCount from "./DenominationCount"
+import { formatKES } from "../utils/pricing"
+import { sumDenominations } from "../utils/shifts"
+
+/**
+ * Count the opening float into the drawer and start a shift
+ */
+export default function OpenShiftModal({ currentUser, terminalId, onOpen, onClose }) {
+  const [counts, setCounts] = useState({})
+  const [isSaving, setIsSaving] = useState(false)
+
+  const float = sumDenominations(counts)
+
+  const handleOpen = async () => {
+    setIsSaving(true)
+    try {
+      await onOpen(counts)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-md w-full border-2 border-border relative max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 p-5 border-b-2 border-border bg-gradient-to-r from-green-700 to-green-600 text-white z-10">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">Open Shift</h2>
+          <p className="text-sm opacity-90 mt-1">
+            {currentUser?.name} · Terminal {terminalId}
+          </p>
+        </div>
+
+        <div className="p-5 space-y-4">
+          <p className="text-sm text-muted-foreground">Count the float in the drawer before your first sale.</p>
+          <DenominationCount counts={counts} onChange={setCounts} />
+        </div>
+
+        <div className="p-5 pt-0">
+          <button
+            onClick={handleOpen}
+            disabled={isSaving}
+            className="w-full py-3 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg disabled:opacity-50 transition-colors"
+          >
+            {isSaving ? "Opening..." : `Open with ${formatKES(float)} float`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,126 @@
+"use client"
+
+import { formatKES } from "../utils/pricing"
+import { PACK_PRESETS, createPackUnit, getBaseUnitName, getPackPrice, getPackCost } from "../utils/unitsOfMeasure"
+
+/**
+ * Packs and cases a product is bought and sold in. Stock stays in the base unit;
+ * each pack says how many base units it holds and can have its own barcode and price.
+ */
+export default function PackUnitsFields({ formData, onChange }) {
+  const packUnits = formData.packUnits || []
+  const baseUnit = getBaseUnitName(formData)
+
+  const updatePack = (id, updates) => {
+    onChange({ packUnits: packUnits.map(unit => (unit.id === id ? { ...unit, ...updates } : unit)) })
+  }
+
+  const addPack = (values) => {
+    onChange({ packUnits: [...packUnits, createPackUnit(values)] })
+  }
+
+  const removePack = (id) => {
+    onChange({ packUnits: packUnits.filter(unit => unit.id !== id) })
+  }
+
+  const inputClass = "w-full px-2 py-1.5 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground text-sm"
+
+  return (
+    <div className="bg-muted/30 border border-border rounded-lg p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-semibold text-foreground">📦 Packs & Cases</h3>
+        <p className="text-xs text-muted-foreground">
+          Stock is counted in {baseUnit}s. Leave a pack price at 0 to charge {baseUnit} price × units.
+        </p>
+      </div>
+
+      {packUnits.map(unit => (
+        <div key={unit.id} className="grid grid-cols-12 gap-2 items-end">
+          <div className="col-span-3">
+            <label className="block text-xs text-muted-foreground mb-1">Pack</label>
+            <input
+              type="text"
+              value={unit.name}
+              onChange={(e) => updatePack(unit.id, { name: e.target.value })}
+              placeholder="12-case"
+              className={inputClass}
+            />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-muted-foreground mb-1">{baseUnit}s</label>
+            <input
+              type="number"
+              min="2"
+              value={unit.factor}
+              onChange={(e) => updatePack(unit.id, { factor: Number.parseInt(e.target.value) || 0 })}
+              className={inputClass}
+            />
+          </div>
+          <div className="col-span-3">
+            <label className="block text-xs text-muted-foreground mb-1">Barcode</label>
+            <input
+              type="text"
+              value={unit.barcode || ""}
+              onChange={(e) => updatePack(unit.id, { barcode: e.target.value.trim() })}
+              placeholder="Scan case barcode"
+              className={inputClass}
+            />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-muted-foreground mb-1">Price</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={unit.price || ""}
+              onChange={(e) => updatePack(unit.id, { price: Number.parseFloat(e.target.value) || 0 })}
+              placeholder={String(getPackPrice(formData, unit))}
+              className={inputClass}
+            />
+          </div>
+          <div className="col-span-1">
+            <label className="block text-xs text-muted-foreground mb-1">Cost</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={unit.costPrice || ""}
+              onChange={(e) => updatePack(unit.id, { costPrice: Number.parseFloat(e.target.value) || 0 })}
+              placeholder={String(getPackCost(formData, unit))}
+              className={inputClass}
+              title={`Defaults to ${formatKES(getPackCost(formData, unit))}`}
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => removePack(unit.id)}
+            className="col-span-1 py-1.5 text-destructive hover:bg-destructive/10 rounded-lg transition-colors"
+            title="Remove pack"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap gap-2">
+        {PACK_PRESETS.filter(preset => !packUnits.some(unit => unit.name === preset.name)).map(preset => (
+          <button
+            key={preset.name}
+            type="button"
+            onClick={() => addPack(preset)}
+            className="px-2 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+          >
+            + {preset.name}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => addPack({ name: '' })}
+          className="px-2 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+        >
+          + Other pack
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,241 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { getAdminIdForStorage, verifyManagerCredentials } from "../utils/auth"
+import {
+  OVERRIDE_REASONS,
+  getOverrideDiscount,
+  requiresApproval,
+  validateOverride,
+  buildPriceOverride,
+} from "../utils/priceOverrides"
+
+/**
+ * Change a cart line's price with a reason code, asking for a manager when the
+ * discount is above this terminal's limits
+ */
+export default function PriceOverrideModal({ item, currentUser, thresholds, onApply, onRemove, onClose }) {
+  const originalPrice = item.priceOverride?.originalPrice ?? item.price
+  const [mode, setMode] = useState("price") // "price" or "percent"
+  const [value, setValue] = useState(String(item.price))
+  const [reasonCode, setReasonCode] = useState(item.priceOverride?.reasonCode || "")
+  const [reasonNote, setReasonNote] = useState(item.priceOverride?.reasonNote || "")
+  const [step, setStep] = useState("edit") // "edit" | "approve"
+  const [email, setEmail] = useState("")
+  const [password, setPassword] = useState("")
+  const [error, setError] = useState("")
+  const [isVerifying, setIsVerifying] = useState(false)
+
+  const parsed = Number.parseFloat(value)
+  const newPrice = mode === "percent"
+    ? Math.round(originalPrice * (1 - (Number.isFinite(parsed) ? parsed : 0) / 100) * 100) / 100
+    : parsed
+  const { lineDiscount, percent } = getOverrideDiscount(originalPrice, newPrice, item.quantity)
+  const needsApproval = requiresApproval({
+    originalPrice,
+    newPrice,
+    quantity: item.quantity,
+    role: currentUser?.role,
+    thresholds,
+  })
+  const scope = { adminId: getAdminIdForStorage(currentUser), branchId: currentUser?.branchId || null }
+
+  const apply = (approvedBy) => {
+    onApply(newPrice, buildPriceOverride({
+      originalPrice,
+      newPrice,
+      reasonCode,
+      reasonNote,
+      cashier: currentUser,
+      approver: approvedBy,
+    }))
+  }
+
+  const handleContinue = () => {
+    const validationError = validateOverride({ originalPrice, newPrice, reasonCode, reasonNote })
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+    setError("")
+    if (needsApproval) {
+      setStep("approve")
+    } else {
+      apply(null)
+    }
+  }
+
+  const handleApprove = async (e) => {
+    e.preventDefault()
+    setIsVerifying(true)
+    setError("")
+    try {
+      const result = await verifyManagerCredentials({ email, password, ...scope })
+      if (!result.success) {
+        setError(result.error)
+        setPassword("")
+        return
+      }
+      apply({ ...result.approver, method: "login" })
+    } catch (err) {
+      console.error("Error verifying manager approval:", err)
+      setError("Could not verify approval. Please try again.")
+    } finally {
+      setIsVerifying(false)
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-md w-full border-2 border-border relative max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 p-5 border-b-2 border-border bg-gradient-to-r from-blue-900 to-blue-800 text-white z-10">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">
+            {step === "edit" ? "Change Price" : "Manager Approval"}
+          </h2>
+          <p className="text-sm opacity-90 mt-1 truncate">
+            {item.quantity}x {item.name} · was {formatKES(originalPrice)}
+          </p>
+        </div>
+
+        <div className="p-5 space-y-4">
+          {step === "edit" && (
+            <>
+              <div className="flex bg-muted/50 rounded-lg p-1">
+                {[["price", "New price"], ["percent", "% off"]].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => {
+                      setMode(key)
+                      setValue(key === "percent" ? String(Math.max(0, percent)) : String(newPrice || originalPrice))
+                    }}
+                    className={`flex-1 py-1.5 rounded-md text-sm font-semibold transition-colors ${mode === key ? "bg-card shadow text-foreground" : "text-muted-foreground"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <input
+                type="number"
+                min="0"
+                step={mode === "percent" ? "1" : "0.01"}
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                className={`${inputClass} text-2xl font-bold text-center`}
+                autoFocus
+              />
+
+              <div className="text-sm text-center text-muted-foreground">
+                {Number.isFinite(newPrice) && (
+                  lineDiscount >= 0
+                    ? <>Unit price {formatKES(newPrice)} · line discount <span className="font-bold text-destructive">{formatKES(lineDiscount)}</span> ({percent}%)</>
+                    : <>Unit price {formatKES(newPrice)} · line increase {formatKES(-lineDiscount)}</>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-muted-foreground mb-1">Reason</label>
+                <select value={reasonCode} onChange={(e) => setReasonCode(e.target.value)} className={inputClass}>
+                  <option value="">Choose a reason...</option>
+                  {OVERRIDE_REASONS.map(reason => (
+                    <option key={reason.code} value={reason.code}>{reason.label}</option>
+                  ))}
+                </select>
+              </div>
+              <input
+                type="text"
+                value={reasonNote}
+                onChange={(e) => setReasonNote(e.target.value)}
+                placeholder={reasonCode === "other" ? "Explain the reason (required)" : "Note (optional)"}
+                className={inputClass}
+              />
+
+              {needsApproval && (
+                <p className="text-sm font-semibold text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 rounded-lg p-2">
+                  🔒 Above {thresholds?.maxPercent}% or {formatKES(thresholds?.maxAmount || 0)}: a manager must approve
+                </p>
+              )}
+            </>
+          )}
+
+          {step === "approve" && (
+            <form onSubmit={handleApprove} className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                {formatKES(originalPrice)} → <span className="font-bold text-foreground">{formatKES(newPrice)}</span> ({percent}% off) ·{" "}
+                {OVERRIDE_REASONS.find(r => r.code === reasonCode)?.label}
+              </p>
+              <input
+                type="email"
+                autoComplete="off"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Manager email"
+                className={inputClass}
+                autoFocus
+              />
+              <input
+                type="password"
+                autoComplete="off"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={isVerifying || !email || !password}
+                className="w-full py-3 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg disabled:opacity-50 transition-colors"
+              >
+                {isVerifying ? "Checking..." : "Approve"}
+              </button>
+            </form>
+          )}
+
+          {error && <p className="text-sm font-semibold text-destructive">{error}</p>}
+        </div>
+
+        <div className="p-5 pt-0 flex gap-2">
+          {step === "edit" && (
+            <>
+              {item.priceOverride && (
+                <button
+                  onClick={onRemove}
+                  className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted transition-colors text-foreground"
+                >
+                  Restore {formatKES(originalPrice)}
+                </button>
+              )}
+              <button
+                onClick={handleContinue}
+                className="flex-1 px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-bold rounded-lg transition-colors"
+              >
+                {needsApproval ? "Request Approval" : "Apply"}
+              </button>
+            </>
+          )}
+          {step === "approve" && (
+            <button
+              onClick={() => {
+                setStep("edit")
+                setError("")
+              }}
+              className="flex-1 px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted transition-colors text-foreground"
+            >
+              Back
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
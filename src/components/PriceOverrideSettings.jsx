@@ -0,0 +1,67 @@
+"use client"
+
+import { useState } from "react"
+import { toast } from "sonner"
+import { getTerminalSettings, updateTerminalSettings } from "../utils/terminal"
+
+/**
+ * Limits above which a cashier's line discount needs a manager, for this terminal
+ */
+export default function PriceOverrideSettings() {
+  const [limits, setLimits] = useState(() => getTerminalSettings().priceOverrides)
+
+  const handleSave = () => {
+    const maxPercent = Number(limits.maxPercent)
+    const maxAmount = Number(limits.maxAmount)
+    if (!(maxPercent >= 0 && maxPercent <= 100) || !(maxAmount >= 0)) {
+      toast.error('Enter a percentage between 0 and 100 and an amount of 0 or more')
+      return
+    }
+    updateTerminalSettings({ priceOverrides: { maxPercent, maxAmount } })
+    toast.success('Approval limits saved for this terminal')
+  }
+
+  const inputClass = "w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <h2 className="text-xl font-bold text-foreground mb-1">🔒 Price Override Approval (this terminal)</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Cashiers need a manager to sign in and approve a line discount above either limit. Set 0 to require approval for every discount.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-muted-foreground mb-1">Max discount without approval (%)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={limits.maxPercent}
+            onChange={(e) => setLimits({ ...limits, maxPercent: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-muted-foreground mb-1">Max line discount without approval (KES)</label>
+          <input
+            type="number"
+            min="0"
+            value={limits.maxAmount}
+            onChange={(e) => setLimits({ ...limits, maxAmount: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end mt-4">
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  )
+}
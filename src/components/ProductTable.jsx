@@ -2,14 +2,12 @@
 
 import { getImageSrc } from "../utils/images"
 import { isExpired, isExpiringSoon } from "../utils/dateHelpers"
+import { getBaseQuantities, getPackUnits, getPackPrice, describeStock } from "../utils/unitsOfMeasure"
 
-export default function ProductTable({ products, onAddProduct, cart = [], selectedCustomer = null, branchId }) {
-  // Calculate available quantity for each product (total - what's in cart)
-  const getAvailableQuantity = (product) => {
-    const cartItem = cart.find(item => item.id === product.id)
-    const inCart = cartItem ? cartItem.quantity : 0
-    return (product.quantity ?? 0) - inCart
-  }
+export default function ProductTable({ products, onAddProduct, cart = [], customerDiscountRate = 0, branchId }) {
+  // Packs in the cart count against the product's base-unit stock
+  const cartQuantities = getBaseQuantities(cart)
+  const getAvailableQuantity = (product) => (product.quantity ?? 0) - (cartQuantities.get(product.id) || 0)
 
   // Get status badge - Pill-shaped with soft backgrounds
   const getStatusBadge = (product, availableQty) => {
@@ -29,25 +27,24 @@ export default function ProductTable({ products, onAddProduct, cart = [], select
   }
 
   // Handle add to cart
-  const handleAddToCart = (product) => {
+  const handleAddToCart = (product, pack = null) => {
     const quantity = 1 // Always add 1 item when clicking on a row
     const availableQty = getAvailableQuantity(product)
     
-    if (availableQty <= 0) {
-      alert("Product out of stock!")
+    if (availableQty < (pack ? pack.factor : 1)) {
+      alert(availableQty <= 0 ? "Product out of stock!" : `Not enough stock for a ${pack.name}`)
       return
     }
 
-    // Add to cart with quantity of 1
-    onAddProduct(product, quantity)
+    // Add to cart with quantity of 1 (one single, or one pack)
+    onAddProduct(product, quantity, pack)
   }
 
-  // Calculate effective price for customer
+  // Calculate effective price for the customer on the sale (special pricing or tier discount)
   const getEffectivePrice = (product) => {
     const basePrice = product.price ?? product.sellingPrice ?? 0
-    if (selectedCustomer?.specialPricing && selectedCustomer?.discountRate > 0) {
-      const discount = selectedCustomer.discountRate / 100
-      return basePrice * (1 - discount)
+    if (customerDiscountRate > 0) {
+      return basePrice * (1 - customerDiscountRate / 100)
     }
     return basePrice
   }
@@ -92,7 +89,7 @@ export default function ProductTable({ products, onAddProduct, cart = [], select
               const isOutOfStock = availableQty <= 0
               const expired = isExpired(product.expiryDate)
               const effectivePrice = getEffectivePrice(product)
-              const hasDiscount = selectedCustomer?.specialPricing && selectedCustomer?.discountRate > 0
+              const hasDiscount = customerDiscountRate > 0
               const rowKey = `${product.branchId ?? 'u'}_${product.id}_${idx}`
               return (
                 <tr 
@@ -128,6 +125,26 @@ export default function ProductTable({ products, onAddProduct, cart = [], select
                         <div className="text-xs text-muted-foreground">
                           {product.category || "Other"}
                         </div>
+                        {getPackUnits(product).length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {getPackUnits(product).map(pack => (
+                              <button
+                                key={pack.id}
+                                type="button"
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  handleAddToCart(product, pack)
+                                }}
+                                onKeyDown={(e) => e.stopPropagation()}
+                                disabled={expired || availableQty < pack.factor}
+                                className="px-2 py-0.5 text-xs font-semibold rounded-full border border-primary/40 text-primary hover:bg-primary/10 disabled:opacity-40 disabled:cursor-not-allowed"
+                                title={`Add a ${pack.name} (${pack.factor} units)`}
+                              >
+                                + {pack.name} · {getPackPrice(product, pack).toLocaleString()}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </td>
@@ -158,6 +175,9 @@ export default function ProductTable({ products, onAddProduct, cart = [], select
                     <div className="text-xs text-muted-foreground">
                       / {product.quantity}
                     </div>
+                    {getPackUnits(product).length > 0 && (
+                      <div className="text-xs text-muted-foreground">{describeStock(availableQty, product)}</div>
+                    )}
                   </td>
 
                   {/* Expiry Date */}
@@ -0,0 +1,473 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import { readSharedData, writeSharedData } from "../utils/storage"
+import { subscribeToPromotions } from "../services/realtimeExtraListeners"
+import { PROMOTION_TYPES, PROMOTION_TYPE_LABELS, describePromotion, validatePromotion } from "../utils/promotions"
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+const EMPTY_PROMOTION = {
+  name: "",
+  type: PROMOTION_TYPES.BUY_X_GET_Y,
+  active: true,
+  buyQuantity: 2,
+  getQuantity: 1,
+  getDiscountPercent: 100,
+  bundleQuantity: 3,
+  bundlePrice: 0,
+  tiers: [{ minQuantity: 6, discountPercent: 5 }],
+  discountPercent: 10,
+  productIds: [],
+  categories: [],
+  branchIds: [],
+  startDate: "",
+  endDate: "",
+  schedule: null,
+}
+
+// Only the fields for the chosen rule are saved, so switching type doesn't leave stale settings behind
+const RULE_FIELDS = {
+  buy_x_get_y: ["buyQuantity", "getQuantity", "getDiscountPercent"],
+  bundle: ["bundleQuantity", "bundlePrice"],
+  quantity_break: ["tiers"],
+  percent_off: ["discountPercent"],
+}
+
+/**
+ * Admin list and editor for cart promotions (BOGO, bundles, quantity breaks, happy hours)
+ */
+export default function PromotionsManager({ adminId, inventory = [], branches = [] }) {
+  const [promotions, setPromotions] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [productSearch, setProductSearch] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!adminId) return
+    const unsubscribe = subscribeToPromotions(
+      adminId,
+      (data) => setPromotions((data || []).filter(p => !p.deletedAt)),
+      (error) => console.error('Error loading promotions:', error)
+    )
+    return () => unsubscribe && unsubscribe()
+  }, [adminId])
+
+  const categories = [...new Set(inventory.map(item => item.category).filter(Boolean))].sort()
+  const products = [...new Map(inventory.map(item => [String(item.id), item])).values()]
+
+  const savePromotions = async (changed) => {
+    // Everything is read back, soft-deleted records too, because the desktop and
+    // localStorage stores keep only what the write hands them
+    const sharedData = await readSharedData(adminId, true)
+    const existing = sharedData.promotions || []
+    const updated = existing.some(p => p.id === changed.id)
+      ? existing.map(p => (p.id === changed.id ? changed : p))
+      : [...existing, changed]
+    await writeSharedData({ ...sharedData, promotions: updated }, adminId, { writeOnlyStores: ['promotions'] })
+    setPromotions(updated.filter(p => !p.deletedAt))
+  }
+
+  const handleSave = async () => {
+    const promotion = {
+      ...editing,
+      name: editing.name.trim(),
+      startDate: editing.startDate || null,
+      endDate: editing.endDate || null,
+    }
+    Object.entries(RULE_FIELDS).forEach(([type, fields]) => {
+      if (type !== promotion.type) fields.forEach(field => delete promotion[field])
+    })
+
+    const error = validatePromotion(promotion)
+    if (error) {
+      toast.error(error)
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      const now = new Date().toISOString()
+      await savePromotions({
+        ...promotion,
+        id: promotion.id || `PROMO-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+        createdAt: promotion.createdAt || now,
+        updatedAt: now,
+      })
+      toast.success(`Promotion "${promotion.name}" saved`)
+      setEditing(null)
+    } catch (error) {
+      console.error('Error saving promotion:', error)
+      toast.error('Failed to save promotion')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleToggle = async (promotion) => {
+    try {
+      await savePromotions({ ...promotion, active: promotion.active === false, updatedAt: new Date().toISOString() })
+    } catch (error) {
+      console.error('Error updating promotion:', error)
+      toast.error('Failed to update promotion')
+    }
+  }
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete promotion "${promotion.name}"?`)) return
+    try {
+      const now = new Date().toISOString()
+      await savePromotions({ ...promotion, active: false, deletedAt: now, updatedAt: now })
+      toast.success('Promotion deleted')
+    } catch (error) {
+      console.error('Error deleting promotion:', error)
+      toast.error('Failed to delete promotion')
+    }
+  }
+
+  const toggleInList = (field, value) => {
+    const list = editing[field] || []
+    setEditing({
+      ...editing,
+      [field]: list.includes(value) ? list.filter(v => v !== value) : [...list, value],
+    })
+  }
+
+  const updateSchedule = (changes) => {
+    setEditing({ ...editing, schedule: { days: [], startTime: "", endTime: "", ...editing.schedule, ...changes } })
+  }
+
+  const updateTier = (index, changes) => {
+    setEditing({
+      ...editing,
+      tiers: editing.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)),
+    })
+  }
+
+  const describeScope = (promotion) => {
+    const parts = []
+    if (promotion.categories?.length) parts.push(promotion.categories.join(", "))
+    if (promotion.productIds?.length) parts.push(`${promotion.productIds.length} product(s)`)
+    if (parts.length === 0) parts.push("All products")
+    if (promotion.schedule?.startTime && promotion.schedule?.endTime) {
+      const days = promotion.schedule.days?.length ? promotion.schedule.days.map(d => DAYS[d]).join(" ") : "Daily"
+      parts.push(`${days} ${promotion.schedule.startTime}-${promotion.schedule.endTime}`)
+    }
+    if (promotion.startDate || promotion.endDate) {
+      parts.push(`${promotion.startDate || "…"} to ${promotion.endDate || "…"}`)
+    }
+    if (promotion.branchIds?.length) {
+      parts.push(promotion.branchIds.map(id => branches.find(b => b.id === id)?.name || id).join(", "))
+    }
+    return parts.join(" · ")
+  }
+
+  const inputClass = "w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+  const labelClass = "block text-sm font-medium text-muted-foreground mb-1"
+  const chipClass = (selected) =>
+    `px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${
+      selected ? "bg-primary text-primary-foreground border-primary" : "border-border text-foreground hover:bg-muted"
+    }`
+
+  const matchingProducts = productSearch.trim()
+    ? products.filter(p => p.name?.toLowerCase().includes(productSearch.trim().toLowerCase())).slice(0, 20)
+    : []
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-foreground mb-1">🏷️ Promotions</h2>
+          <p className="text-sm text-muted-foreground">
+            Applied automatically at the till. Each item counts towards one promotion only.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setProductSearch("")
+            setEditing({ ...EMPTY_PROMOTION })
+          }}
+          className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors"
+        >
+          + New Promotion
+        </button>
+      </div>
+
+      {promotions.length === 0 ? (
+        <p className="text-sm text-muted-foreground py-4 text-center">No promotions yet</p>
+      ) : (
+        <div className="divide-y divide-border">
+          {promotions.map(promotion => (
+            <div key={promotion.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="font-semibold text-foreground">
+                  {promotion.name}
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${promotion.active === false ? "bg-muted text-muted-foreground" : "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400"}`}>
+                    {promotion.active === false ? "Paused" : "Active"}
+                  </span>
+                </p>
+                <p className="text-sm text-foreground">{PROMOTION_TYPE_LABELS[promotion.type]}: {describePromotion(promotion)}</p>
+                <p className="text-xs text-muted-foreground truncate">{describeScope(promotion)}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleToggle(promotion)}
+                  className="px-3 py-1.5 border border-border rounded-lg text-sm font-semibold hover:bg-muted text-foreground"
+                >
+                  {promotion.active === false ? "Resume" : "Pause"}
+                </button>
+                <button
+                  onClick={() => {
+                    setProductSearch("")
+                    setEditing({ ...EMPTY_PROMOTION, ...promotion, startDate: promotion.startDate || "", endDate: promotion.endDate || "" })
+                  }}
+                  className="px-3 py-1.5 border border-border rounded-lg text-sm font-semibold hover:bg-muted text-foreground"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(promotion)}
+                  className="px-3 py-1.5 border border-destructive/40 text-destructive rounded-lg text-sm font-semibold hover:bg-destructive/10"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 space-y-4">
+            <h3 className="text-xl font-bold text-foreground">{editing.id ? "Edit Promotion" : "New Promotion"}</h3>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Name</label>
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  placeholder="e.g. Friday Happy Hour"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Type</label>
+                <select
+                  value={editing.type}
+                  onChange={(e) => setEditing({ ...EMPTY_PROMOTION, ...editing, type: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.values(PROMOTION_TYPES).map(type => (
+                    <option key={type} value={type}>{PROMOTION_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+
+              {editing.type === PROMOTION_TYPES.BUY_X_GET_Y && (
+                <>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className={labelClass}>Buy</label>
+                      <input type="number" min="1" value={editing.buyQuantity} onChange={(e) => setEditing({ ...editing, buyQuantity: Number(e.target.value) })} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Get</label>
+                      <input type="number" min="1" value={editing.getQuantity} onChange={(e) => setEditing({ ...editing, getQuantity: Number(e.target.value) })} className={inputClass} />
+                    </div>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Discount on the &quot;get&quot; items (%)</label>
+                    <input type="number" min="1" max="100" value={editing.getDiscountPercent} onChange={(e) => setEditing({ ...editing, getDiscountPercent: Number(e.target.value) })} className={inputClass} />
+                  </div>
+                </>
+              )}
+
+              {editing.type === PROMOTION_TYPES.BUNDLE && (
+                <>
+                  <div>
+                    <label className={labelClass}>Items in bundle</label>
+                    <input type="number" min="2" value={editing.bundleQuantity} onChange={(e) => setEditing({ ...editing, bundleQuantity: Number(e.target.value) })} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Bundle price (KES)</label>
+                    <input type="number" min="0" value={editing.bundlePrice} onChange={(e) => setEditing({ ...editing, bundlePrice: Number(e.target.value) })} className={inputClass} />
+                  </div>
+                </>
+              )}
+
+              {editing.type === PROMOTION_TYPES.QUANTITY_BREAK && (
+                <div className="md:col-span-2 space-y-2">
+                  <label className={labelClass}>Tiers (eligible items in the cart)</label>
+                  {editing.tiers.map((tier, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input type="number" min="1" value={tier.minQuantity} onChange={(e) => updateTier(index, { minQuantity: Number(e.target.value) })} className={inputClass} />
+                      <span className="text-sm text-muted-foreground whitespace-nowrap">or more →</span>
+                      <input type="number" min="1" max="100" value={tier.discountPercent} onChange={(e) => updateTier(index, { discountPercent: Number(e.target.value) })} className={inputClass} />
+                      <span className="text-sm text-muted-foreground">%</span>
+                      <button
+                        onClick={() => setEditing({ ...editing, tiers: editing.tiers.filter((_, i) => i !== index) })}
+                        className="px-2 text-destructive font-bold"
+                        aria-label="Remove tier"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => setEditing({ ...editing, tiers: [...editing.tiers, { minQuantity: 12, discountPercent: 10 }] })}
+                    className="text-sm font-semibold text-primary"
+                  >
+                    + Add tier
+                  </button>
+                </div>
+              )}
+
+              {editing.type === PROMOTION_TYPES.PERCENT_OFF && (
+                <div>
+                  <label className={labelClass}>Discount (%)</label>
+                  <input type="number" min="1" max="100" value={editing.discountPercent} onChange={(e) => setEditing({ ...editing, discountPercent: Number(e.target.value) })} className={inputClass} />
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className={labelClass}>Categories (none selected = all products)</label>
+              <div className="flex flex-wrap gap-2">
+                {categories.map(category => (
+                  <button key={category} onClick={() => toggleInList("categories", category)} className={chipClass(editing.categories.includes(category))}>
+                    {category}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Specific products</label>
+              {editing.productIds.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {editing.productIds.map(id => (
+                    <button key={id} onClick={() => toggleInList("productIds", id)} className={chipClass(true)}>
+                      {products.find(p => String(p.id) === id)?.name || id} ✕
+                    </button>
+                  ))}
+                </div>
+              )}
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products to add..."
+                className={inputClass}
+              />
+              {matchingProducts.length > 0 && (
+                <div className="mt-1 border border-border rounded-lg max-h-40 overflow-y-auto">
+                  {matchingProducts.map(product => (
+                    <button
+                      key={product.id}
+                      onClick={() => toggleInList("productIds", String(product.id))}
+                      className="w-full text-left px-3 py-1.5 text-sm hover:bg-muted text-foreground"
+                    >
+                      {editing.productIds.includes(String(product.id)) ? "✓ " : ""}{product.name}
+                      <span className="text-muted-foreground"> · KES {Number(product.price || 0).toLocaleString()}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {branches.length > 0 && (
+              <div>
+                <label className={labelClass}>Branches (none selected = all branches)</label>
+                <div className="flex flex-wrap gap-2">
+                  {branches.map(branch => (
+                    <button key={branch.id} onClick={() => toggleInList("branchIds", branch.id)} className={chipClass(editing.branchIds.includes(branch.id))}>
+                      {branch.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Starts</label>
+                <input type="date" value={editing.startDate} onChange={(e) => setEditing({ ...editing, startDate: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Ends</label>
+                <input type="date" value={editing.endDate} onChange={(e) => setEditing({ ...editing, endDate: e.target.value })} className={inputClass} />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className={labelClass}>Time window</label>
+                {editing.schedule ? (
+                  <button onClick={() => setEditing({ ...editing, schedule: null })} className="text-xs font-semibold text-destructive">
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => updateSchedule({ days: [1, 2, 3, 4, 5], startTime: "17:00", endTime: "19:00" })}
+                    className="text-xs font-semibold text-primary"
+                  >
+                    + Happy hour (weekdays 17:00-19:00)
+                  </button>
+                )}
+              </div>
+              {editing.schedule ? (
+                <div className="space-y-2">
+                  <div className="flex flex-wrap gap-2">
+                    {DAYS.map((day, index) => (
+                      <button
+                        key={day}
+                        onClick={() => {
+                          const days = editing.schedule.days || []
+                          updateSchedule({ days: days.includes(index) ? days.filter(d => d !== index) : [...days, index].sort() })
+                        }}
+                        className={chipClass((editing.schedule.days || []).includes(index))}
+                      >
+                        {day}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <input type="time" value={editing.schedule.startTime} onChange={(e) => updateSchedule({ startTime: e.target.value })} className={inputClass} />
+                    <input type="time" value={editing.schedule.endTime} onChange={(e) => updateSchedule({ endTime: e.target.value })} className={inputClass} />
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">Runs all day</p>
+              )}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm font-medium text-foreground">
+              <input type="checkbox" checked={editing.active !== false} onChange={(e) => setEditing({ ...editing, active: e.target.checked })} />
+              Active
+            </label>
+
+            <div className="flex justify-end gap-2 pt-2">
+              <button
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted transition-colors text-foreground"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg disabled:opacity-50 transition-colors"
+              >
+                {isSaving ? "Saving..." : "Save Promotion"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
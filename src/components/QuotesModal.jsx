@@ -0,0 +1,232 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { formatTimeAgo } from "../utils/dateUtils"
+import { QUOTE_STATUS, getDefaultValidUntil, getQuoteStatus } from "../utils/quotations"
+
+const STATUS_BADGES = {
+  open: { label: "Sent", className: "bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300" },
+  accepted: { label: "Accepted", className: "bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300" },
+  declined: { label: "Declined", className: "bg-muted text-muted-foreground" },
+  converted: { label: "Sold", className: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300" },
+  expired: { label: "Expired", className: "bg-destructive/10 text-destructive" }
+}
+
+/**
+ * Quotations for the branch: save the cart as a quote for a client, send it as a
+ * PDF, record whether they accepted, and load an accepted quote into the till.
+ */
+export default function QuotesModal({
+  quotes,
+  customers = [],
+  selectedCustomer,
+  cartItemCount,
+  isConverting,
+  onCreate,
+  onSetStatus,
+  onConvert,
+  onDownload,
+  onClose
+}) {
+  const [customerId, setCustomerId] = useState(selectedCustomer ? String(selectedCustomer.id) : "")
+  const [client, setClient] = useState({ name: "", phone: "", email: "" })
+  const [validUntil, setValidUntil] = useState(() => getDefaultValidUntil())
+  const [notes, setNotes] = useState("")
+  const [showClosed, setShowClosed] = useState(false)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canQuoteCart = cartItemCount > 0 && !isConverting
+  const activeCustomers = customers.filter(c => !c.deletedAt)
+  const listed = quotes.filter(quote => showClosed || [QUOTE_STATUS.OPEN, QUOTE_STATUS.ACCEPTED].includes(getQuoteStatus(quote)))
+
+  const run = async (action) => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await action()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleCreate = async () => {
+    const customer = customerId
+      ? activeCustomers.find(c => String(c.id) === customerId)
+      : client
+    const saved = await run(() => onCreate({ customer, validUntil, notes }))
+    if (saved) {
+      setClient({ name: "", phone: "", email: "" })
+      setNotes("")
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-2xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border bg-gradient-to-r from-slate-800 to-slate-700 rounded-t-lg flex-shrink-0 relative">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white text-center">📄 Quotations</h2>
+          <p className="text-sm text-white/90 text-center mt-1">Quote event orders now, sell them when the client says yes</p>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          {canQuoteCart ? (
+            <div className="border-2 border-dashed border-border rounded-lg p-4 space-y-3">
+              <p className="text-sm font-semibold text-foreground">Save the current cart ({cartItemCount} items) as a quote</p>
+              <div>
+                <label className="block text-xs font-medium text-muted-foreground mb-1">Customer</label>
+                <select value={customerId} onChange={(e) => setCustomerId(e.target.value)} className={inputClass}>
+                  <option value="">New client (not on the customer list)</option>
+                  {activeCustomers.map(c => <option key={c.id} value={String(c.id)}>{c.name}{c.phone ? ` · ${c.phone}` : ""}</option>)}
+                </select>
+              </div>
+              {!customerId && (
+                <div className="grid sm:grid-cols-3 gap-2">
+                  <input
+                    type="text"
+                    value={client.name}
+                    onChange={(e) => setClient({ ...client, name: e.target.value })}
+                    placeholder="Client or company name"
+                    className={inputClass}
+                  />
+                  <input
+                    type="tel"
+                    value={client.phone}
+                    onChange={(e) => setClient({ ...client, phone: e.target.value })}
+                    placeholder="Phone"
+                    className={inputClass}
+                  />
+                  <input
+                    type="email"
+                    value={client.email}
+                    onChange={(e) => setClient({ ...client, email: e.target.value })}
+                    placeholder="Email"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              <div className="grid sm:grid-cols-[180px_1fr] gap-2">
+                <div>
+                  <label className="block text-xs font-medium text-muted-foreground mb-1">Valid until</label>
+                  <input type="date" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-muted-foreground mb-1">Notes for the client</label>
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="e.g. Delivery to venue on 14 Dec, glassware included"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <button
+                onClick={handleCreate}
+                disabled={isSaving}
+                className="w-full py-2.5 bg-slate-800 hover:bg-slate-900 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+              >
+                Save Quote
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-muted-foreground">
+              {isConverting ? "A quote is loaded in the till. Take payment or clear the cart first." : "Ring up the items in the cart to write a new quote."}
+            </p>
+          )}
+
+          {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+
+          <div className="flex items-center justify-between">
+            <h3 className="font-bold text-foreground">Quotes</h3>
+            <label className="flex items-center gap-2 text-xs text-muted-foreground">
+              <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+              Show sold, declined and expired
+            </label>
+          </div>
+
+          {listed.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No quotes waiting on a client</p>
+          ) : (
+            <div className="space-y-3">
+              {listed.map(quote => {
+                const status = getQuoteStatus(quote)
+                const badge = STATUS_BADGES[status] || STATUS_BADGES.open
+                const isLive = [QUOTE_STATUS.OPEN, QUOTE_STATUS.ACCEPTED].includes(status)
+                return (
+                  <div key={quote.id} className="border-2 border-border rounded-lg p-4">
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-bold text-foreground truncate">
+                          <span className="font-mono">{quote.quoteNumber}</span> · {quote.customer?.name}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {quote.createdBy} · {formatTimeAgo(quote.createdAt)} · valid until {quote.validUntil}
+                          {quote.receiptNumber ? ` · receipt ${quote.receiptNumber}` : ""}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-lg font-black text-foreground whitespace-nowrap">{formatKES(quote.total)}</p>
+                        <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${badge.className}`}>{badge.label}</span>
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      <button
+                        onClick={() => run(() => onDownload(quote))}
+                        className="px-3 py-1.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-sm"
+                      >
+                        ⬇️ PDF
+                      </button>
+                      {status === QUOTE_STATUS.OPEN && (
+                        <button
+                          onClick={() => run(() => onSetStatus(quote, QUOTE_STATUS.ACCEPTED))}
+                          disabled={isSaving}
+                          className="px-3 py-1.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-sm"
+                        >
+                          ✔ Accepted
+                        </button>
+                      )}
+                      {isLive && (
+                        <>
+                          <button
+                            onClick={() => run(() => onSetStatus(quote, QUOTE_STATUS.DECLINED))}
+                            disabled={isSaving}
+                            className="px-3 py-1.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-sm"
+                          >
+                            ✕ Declined
+                          </button>
+                          <button
+                            onClick={() => run(() => onConvert(quote))}
+                            disabled={isSaving || cartItemCount > 0}
+                            title={cartItemCount > 0 ? "Finish or hold the current sale first" : "Check stock and load into the till for payment"}
+                            className="px-3 py-1.5 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold rounded-lg text-sm"
+                          >
+                            💳 Convert to sale
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,15 +1,20 @@
 "use client"
 
 import { calculateCartTotals, formatKES } from "../utils/pricing"
+import { toast } from "sonner"
+import { getTenderLabel } from "../utils/tenders"
+import { usesEscPosPrinter, printReceipt } from "../utils/receiptPrinter"
+import { getDepositTotal } from "../utils/deposits"
+import FiscalReceiptBlock from "./FiscalReceiptBlock"
 
-export default function ReceiptModal({ items, subtotal, discount, total, paymentMethod, onClose, onNewSale, currentUser }) {
+export default function ReceiptModal({ items, subtotal, discount, total, paymentMethod, payments = [], receiptNumber, fiscal = null, promotions = [], deposits = [], onClose, onNewSale, currentUser }) {
   const cartTotals = calculateCartTotals(items, discount, 0.16)
-  const receiptNumber = `RCP-${Date.now().toString().slice(-6)}`
+  const depositTotal = getDepositTotal(deposits)
   const currentDate = new Date()
   const dateStr = currentDate.toLocaleDateString('en-KE', { year: 'numeric', month: 'long', day: 'numeric' })
   const timeStr = currentDate.toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
   
-  const handlePrint = () => {
+  const printInBrowser = () => {
     // Create a style element to inject @page rules for this print job
     const style = document.createElement('style')
     style.textContent = `
@@ -30,6 +35,34 @@ export default function ReceiptModal({ items, subtotal, discount, total, payment
     setTimeout(() => style.remove(), 1000)
   }
 
+  const handlePrint = async () => {
+    if (!usesEscPosPrinter()) {
+      printInBrowser()
+      return
+    }
+    try {
+      await printReceipt({
+        receiptNumber,
+        timestamp: currentDate.toISOString(),
+        cashier: currentUser?.name,
+        items,
+        promotions,
+        discount,
+        discountAmount: cartTotals.discountAmount,
+        ...(deposits.length > 0 ? { deposits, depositTotal } : {}),
+        vatAmount: cartTotals.totalVAT,
+        total: cartTotals.total + depositTotal,
+        paymentMethod,
+        payments,
+        fiscal
+      }, { prompt: true })
+    } catch (error) {
+      console.error('Error printing to receipt printer:', error)
+      toast.error('Receipt printer not responding', { description: `${error.message}. Opening the print dialog instead.` })
+      printInBrowser()
+    }
+  }
+
   const handleNewSale = () => {
     if (onNewSale) {
       onNewSale()
@@ -66,8 +99,8 @@ export default function ReceiptModal({ items, subtotal, discount, total, payment
           {/* Receipt Details */}
           <div className="mt-2 space-y-1">
             <div className="flex justify-between text-sm">
-              <span className="font-black text-black">Sales ID:</span>
-              <span className="font-black text-black">#{receiptNumber}</span>
+              <span className="font-black text-black">Receipt No:</span>
+              <span className="font-black text-black">#{receiptNumber || 'N/A'}</span>
             </div>
             <div className="flex justify-between text-sm">
               <span className="font-black text-black">Date:</span>
@@ -94,6 +127,18 @@ export default function ReceiptModal({ items, subtotal, discount, total, payment
                 <p className="font-black text-black">{formatKES(item.price * item.quantity)}</p>
               </div>
             ))}
+            {promotions.map((promotion) => (
+              <div key={promotion.promotionId} className="flex justify-between text-sm border-b border-black py-0.5">
+                <p className="font-black text-black">PROMO {promotion.name}</p>
+                <p className="font-black text-black">-{formatKES(promotion.discount)}</p>
+              </div>
+            ))}
+            {deposits.map((deposit) => (
+              <div key={deposit.depositItemId} className="flex justify-between text-sm border-b border-black py-0.5">
+                <p className="font-black text-black">{deposit.quantity}x {deposit.name}</p>
+                <p className="font-black text-black">{formatKES(deposit.amount)}</p>
+              </div>
+            ))}
           </div>
 
           {/* VAT and Total - Simplified */}
@@ -104,13 +149,31 @@ export default function ReceiptModal({ items, subtotal, discount, total, payment
             </div>
             <div className="flex justify-between font-black text-base border-t-2 border-black pt-1">
               <span className="text-black">TOTAL:</span>
-              <span className="text-black">{formatKES(cartTotals.total)}</span>
+              <span className="text-black">{formatKES(cartTotals.total + depositTotal)}</span>
             </div>
+            {payments.map((payment, index) => (
+              <div key={index} className="flex justify-between text-sm">
+                <span className="font-black text-black">
+                  {getTenderLabel(payment.method)}{payment.reference ? ` (${payment.reference})` : ''}:
+                </span>
+                <span className="text-black font-black">{formatKES(payment.tendered ?? payment.amount)}</span>
+              </div>
+            ))}
+            {payments.some(p => p.tendered) && (
+              <div className="flex justify-between text-sm">
+                <span className="font-black text-black">CHANGE:</span>
+                <span className="text-black font-black">
+                  {formatKES(payments.reduce((sum, p) => sum + (p.tendered ? p.tendered - p.amount : 0), 0))}
+                </span>
+              </div>
+            )}
           </div>
 
+          <FiscalReceiptBlock fiscal={fiscal} />
+
           <div className="bg-gray-100 border-2 border-black rounded-lg p-3 mb-3 print-hide">
             <p className="text-sm font-black text-black mb-1">Payment Method</p>
-            <p className="font-black text-lg text-black uppercase">{paymentMethod}</p>
+            <p className="font-black text-lg text-black uppercase">{getTenderLabel(paymentMethod)}</p>
           </div>
 
           {/* Age Verification Footer */}
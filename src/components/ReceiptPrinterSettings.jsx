@@ -0,0 +1,173 @@
+"use client"
+
+import { useState } from "react"
+import { toast } from "sonner"
+import { getTerminalSettings, updateTerminalSettings } from "../utils/terminal"
+import { PRINTER_TRANSPORTS, printTestPage, openCashDrawer } from "../utils/receiptPrinter"
+
+const TRANSPORT_OPTIONS = [
+  { value: PRINTER_TRANSPORTS.BROWSER, label: "Browser print dialog" },
+  { value: PRINTER_TRANSPORTS.WEBUSB, label: "USB thermal printer (WebUSB)" },
+  { value: PRINTER_TRANSPORTS.SERIAL, label: "Serial / Bluetooth printer (Web Serial)" },
+  { value: PRINTER_TRANSPORTS.NETWORK, label: "Network printer (print bridge)" },
+]
+
+/**
+ * ESC/POS receipt printer and cash drawer for the terminal this browser runs on
+ */
+export default function ReceiptPrinterSettings() {
+  const [printer, setPrinter] = useState(() => getTerminalSettings().receiptPrinter)
+  const [isBusy, setIsBusy] = useState(false)
+
+  const isEscPos = printer.transport !== PRINTER_TRANSPORTS.BROWSER
+
+  const save = () => {
+    if (printer.transport === PRINTER_TRANSPORTS.NETWORK && (!printer.bridgeUrl || !printer.host)) {
+      toast.error('A network printer needs the print bridge URL and the printer IP')
+      return false
+    }
+    updateTerminalSettings({ receiptPrinter: { ...printer, port: Number(printer.port) || 9100, baudRate: Number(printer.baudRate) || 9600 } })
+    return true
+  }
+
+  const handleSave = () => {
+    if (save()) toast.success('Receipt printer saved for this terminal')
+  }
+
+  // Saves first so the test goes to what is on screen; the click also lets the browser show its device picker
+  const runOnPrinter = async (action, successMessage) => {
+    if (!save()) return
+    setIsBusy(true)
+    try {
+      await action()
+      toast.success(successMessage)
+    } catch (error) {
+      console.error('Receipt printer error:', error)
+      toast.error(error.message || 'Could not reach the printer')
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const inputClass = "w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+      <h2 className="text-xl font-bold text-foreground mb-1">🖨️ Receipt Printer (this terminal)</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Thermal printers print faster and more reliably over ESC/POS than through the browser&apos;s print dialog.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-muted-foreground mb-1">Connection</label>
+          <select
+            value={printer.transport}
+            onChange={(e) => setPrinter({ ...printer, transport: e.target.value })}
+            className={inputClass}
+          >
+            {TRANSPORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        {isEscPos && (
+          <div>
+            <label className="block text-sm font-medium text-muted-foreground mb-1">Paper width</label>
+            <select
+              value={printer.paperWidth}
+              onChange={(e) => setPrinter({ ...printer, paperWidth: e.target.value })}
+              className={inputClass}
+            >
+              <option value="80mm">80mm (48 columns)</option>
+              <option value="58mm">58mm (32 columns)</option>
+            </select>
+          </div>
+        )}
+        {printer.transport === PRINTER_TRANSPORTS.SERIAL && (
+          <div>
+            <label className="block text-sm font-medium text-muted-foreground mb-1">Baud rate</label>
+            <select
+              value={printer.baudRate}
+              onChange={(e) => setPrinter({ ...printer, baudRate: e.target.value })}
+              className={inputClass}
+            >
+              {[9600, 19200, 38400, 115200].map(rate => <option key={rate} value={rate}>{rate}</option>)}
+            </select>
+          </div>
+        )}
+        {printer.transport === PRINTER_TRANSPORTS.NETWORK && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-muted-foreground mb-1">Print bridge URL</label>
+              <input
+                type="url"
+                value={printer.bridgeUrl}
+                onChange={(e) => setPrinter({ ...printer, bridgeUrl: e.target.value })}
+                placeholder="http://localhost:9101"
+                className={inputClass}
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-muted-foreground mb-1">Printer IP</label>
+                <input
+                  type="text"
+                  value={printer.host}
+                  onChange={(e) => setPrinter({ ...printer, host: e.target.value })}
+                  placeholder="192.168.1.50"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-muted-foreground mb-1">Port</label>
+                <input
+                  type="number"
+                  value={printer.port}
+                  onChange={(e) => setPrinter({ ...printer, port: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {isEscPos && (
+        <label className="flex items-center gap-2 mt-4 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={printer.openDrawerOnCash}
+            onChange={(e) => setPrinter({ ...printer, openDrawerOnCash: e.target.checked })}
+          />
+          Open the cash drawer when a cash receipt prints
+        </label>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-2 mt-4">
+        {isEscPos && (
+          <>
+            <button
+              onClick={() => runOnPrinter(openCashDrawer, 'Drawer opened')}
+              disabled={isBusy}
+              className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted disabled:opacity-50 transition-colors text-foreground"
+            >
+              Open Drawer
+            </button>
+            <button
+              onClick={() => runOnPrinter(printTestPage, 'Test page sent')}
+              disabled={isBusy}
+              className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted disabled:opacity-50 transition-colors text-foreground"
+            >
+              {isBusy ? 'Printing...' : 'Pair & Test Print'}
+            </button>
+          </>
+        )}
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  )
+}
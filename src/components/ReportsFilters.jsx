@@ -49,6 +49,7 @@ export default function ReportsFilters({
           <option value="all">All methods</option>
           <option value="cash">Cash only</option>
           <option value="mpesa">M-Pesa only</option>
+          <option value="split">Split payments</option>
         </select>
       </div>
       <p className="text-xs text-muted-foreground ml-1">
@@ -0,0 +1,208 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { getTenderLabel, getTenderIcon, TENDER_TYPES } from "../utils/tenders"
+import { getReceiptNumber } from "../utils/receiptNumbers"
+import {
+  RETURN_DISPOSITIONS,
+  getReturnableItems,
+  getAvailableRefundMethods,
+  calculateRefundTotal,
+  validateReturn
+} from "../utils/returns"
+
+/**
+ * Pick lines and quantities from a sale to return, choose how the refund is paid
+ * and whether each item goes back on the shelf or is written off.
+ */
+export default function ReturnItemsModal({ transaction, transactions, onSubmit, onClose }) {
+  const returnableItems = getReturnableItems(transaction, transactions)
+  const refundMethods = getAvailableRefundMethods(transaction)
+
+  const [lines, setLines] = useState(() =>
+    returnableItems.map(item => ({ id: item.id, quantity: 0, disposition: RETURN_DISPOSITIONS.RESTOCK }))
+  )
+  const [refundMethod, setRefundMethod] = useState(refundMethods[0])
+  const [reference, setReference] = useState("")
+  const [reason, setReason] = useState("")
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const refundTotal = calculateRefundTotal(transaction, lines)
+  const validationError = validateReturn(transaction, transactions, lines)
+  const needsReference = refundMethod === TENDER_TYPES.MPESA
+
+  const updateLine = (id, changes) => {
+    setLines(lines.map(line => (line.id === id ? { ...line, ...changes } : line)))
+  }
+
+  const handleSubmit = async () => {
+    if (validationError) return
+    if (needsReference && reference.trim().length === 0) return
+    setIsSubmitting(true)
+    try {
+      await onSubmit({
+        lines: lines.filter(line => line.quantity > 0),
+        refundMethod,
+        reference: needsReference ? reference.trim().toUpperCase() : "",
+        reason: reason.trim()
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-[60] backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-2xl w-full border-2 border-border max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border bg-gradient-to-r from-[#6B0F1A] to-[#8B1A2A] rounded-t-lg flex-shrink-0 relative">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white">↩️ Return Items</h2>
+          <p className="text-sm text-white/90 mt-1">
+            Receipt {getReceiptNumber(transaction)}
+            {transaction.customerName ? ` • ${transaction.customerName}` : ''}
+          </p>
+        </div>
+
+        <div className="p-6 space-y-5 overflow-y-auto">
+          {/* Lines */}
+          <div className="space-y-2">
+            {returnableItems.map(item => {
+              const line = lines.find(l => l.id === item.id)
+              const fullyReturned = item.returnableQuantity === 0
+              return (
+                <div key={item.id} className={`border border-border rounded-lg p-3 ${fullyReturned ? 'opacity-50' : 'bg-muted/20'}`}>
+                  <div className="flex justify-between items-start gap-3">
+                    <div className="min-w-0">
+                      <p className="font-semibold text-foreground truncate">{item.name}</p>
+                      <p className="text-xs text-muted-foreground">
+                        Sold {item.quantity} × {formatKES(item.price)}
+                        {item.returnedQuantity > 0 ? ` • ${item.returnedQuantity} already returned` : ''}
+                      </p>
+                    </div>
+                    {!fullyReturned && (
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <input
+                          type="number"
+                          min="0"
+                          max={item.returnableQuantity}
+                          value={line.quantity}
+                          onChange={(e) => updateLine(item.id, {
+                            quantity: Math.max(0, Math.min(item.returnableQuantity, Number.parseInt(e.target.value, 10) || 0))
+                          })}
+                          aria-label={`Quantity of ${item.name} to return`}
+                          className="w-16 px-2 py-1.5 border border-border rounded text-sm font-bold text-center focus:outline-none focus:ring-1 focus:ring-primary bg-card"
+                        />
+                        <span className="text-xs text-muted-foreground">/ {item.returnableQuantity}</span>
+                      </div>
+                    )}
+                  </div>
+                  {line.quantity > 0 && (
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => updateLine(item.id, { disposition: RETURN_DISPOSITIONS.RESTOCK })}
+                        className={`flex-1 px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors ${
+                          line.disposition === RETURN_DISPOSITIONS.RESTOCK
+                            ? 'bg-green-600 text-white border-green-600'
+                            : 'bg-muted text-foreground border-border hover:bg-green-600/10'
+                        }`}
+                      >
+                        📦 Back to stock
+                      </button>
+                      <button
+                        onClick={() => updateLine(item.id, { disposition: RETURN_DISPOSITIONS.DAMAGED })}
+                        className={`flex-1 px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors ${
+                          line.disposition === RETURN_DISPOSITIONS.DAMAGED
+                            ? 'bg-destructive text-white border-destructive'
+                            : 'bg-muted text-foreground border-border hover:bg-destructive/10'
+                        }`}
+                      >
+                        ⚠️ Write off (damaged)
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Refund tender */}
+          <div>
+            <p className="text-sm font-semibold text-foreground mb-2">Refund via</p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {refundMethods.map(method => (
+                <button
+                  key={method}
+                  onClick={() => setRefundMethod(method)}
+                  className={`px-3 py-2 rounded-lg text-sm font-semibold border transition-colors ${
+                    refundMethod === method
+                      ? 'bg-primary text-primary-foreground border-primary'
+                      : 'bg-muted hover:bg-primary/10 text-foreground border-border'
+                  }`}
+                >
+                  {getTenderIcon(method)} {method === TENDER_TYPES.MPESA ? 'M-Pesa Reversal' : method === TENDER_TYPES.CREDIT ? 'Reduce Balance' : getTenderLabel(method)}
+                </button>
+              ))}
+            </div>
+            {needsReference && (
+              <input
+                type="text"
+                value={reference}
+                onChange={(e) => setReference(e.target.value.toUpperCase())}
+                placeholder="M-Pesa reversal transaction code"
+                maxLength={10}
+                className="mt-2 w-full px-3 py-2 border-2 border-border rounded-lg font-mono uppercase focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground"
+              />
+            )}
+            {refundMethod === TENDER_TYPES.STORE_CREDIT && (
+              <p className="text-xs text-muted-foreground mt-2">Refund is added to {transaction.customerName}&apos;s store credit balance.</p>
+            )}
+          </div>
+
+          {/* Reason */}
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-2">Reason</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Corked bottle, wrong item"
+              className="w-full px-3 py-2 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground"
+            />
+          </div>
+        </div>
+
+        <div className="p-4 border-t-2 border-border bg-muted/20 flex-shrink-0 space-y-3 rounded-b-lg">
+          <div className="flex justify-between items-center">
+            <span className="text-sm font-semibold text-muted-foreground">Refund Total</span>
+            <span className="text-2xl font-black text-[#6B0F1A] dark:text-[#D4AF37]">{formatKES(refundTotal)}</span>
+          </div>
+          {validationError && lines.some(l => l.quantity > 0) && (
+            <p className="text-sm text-destructive font-semibold">⚠️ {validationError}</p>
+          )}
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-3 border-2 border-border rounded-lg font-semibold hover:bg-muted transition-colors text-foreground"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={!!validationError || isSubmitting || (needsReference && reference.trim().length === 0)}
+              className="flex-1 px-4 py-3 bg-[#6B0F1A] hover:bg-[#8B1A2A] disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-bold rounded-lg transition-colors"
+            >
+              {isSubmitting ? 'Processing...' : 'Issue Credit Note'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
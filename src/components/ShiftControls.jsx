@@ -0,0 +1,179 @@
+"use client"
+
+import { useState } from "react"
+import { toast } from "sonner"
+import OpenShiftModal from "./OpenShiftModal"
+import CashMovementModal from "./CashMovementModal"
+import CloseShiftModal from "./CloseShiftModal"
+import ShiftReportModal from "./ShiftReportModal"
+import { readSharedData } from "../utils/storage"
+import { getAdminIdForStorage } from "../utils/auth"
+import { getTerminalId } from "../utils/terminal"
+import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
+import { formatKES } from "../utils/pricing"
+import {
+  CASH_MOVEMENT_TYPES,
+  REPORT_TYPES,
+  openShift,
+  addCashMovement,
+  closeShift,
+  buildShiftReport
+} from "../utils/shifts"
+
+/**
+ * Shift status plus open / pay-in / pay-out / X-report / close actions for the signed-in cashier
+ */
+export default function ShiftControls({ currentUser, shift, onShiftChange }) {
+  const [showOpenModal, setShowOpenModal] = useState(false)
+  const [movementType, setMovementType] = useState(null)
+  const [showCloseModal, setShowCloseModal] = useState(false)
+  const [report, setReport] = useState(null)
+
+  const adminId = getAdminIdForStorage(currentUser)
+
+  // Totals are always worked out from storage so a sale rung up a moment ago is included
+  const loadTransactions = async () => {
+    const data = await readSharedData(adminId, false, { stores: ['transactions'] })
+    return data.transactions || []
+  }
+
+  const handleOpen = async (denominations) => {
+    try {
+      const opened = await openShift({ adminId, user: currentUser, terminalId: getTerminalId(), denominations })
+      onShiftChange(opened)
+      setShowOpenModal(false)
+      toast.success(`Shift opened with ${formatKES(opened.openingFloat)} float`)
+      logActivity(
+        ACTIVITY_TYPES.SHIFT_OPENED,
+        `Shift opened with KES ${opened.openingFloat.toLocaleString()} float`,
+        { shiftId: opened.id, terminalId: opened.terminalId },
+        currentUser
+      ).catch(error => console.error('Error logging shift open:', error))
+    } catch (error) {
+      console.error('Error opening shift:', error)
+      toast.error(error.message || 'Failed to open shift')
+    }
+  }
+
+  const handleMovement = async ({ type, amount, reason }) => {
+    const updated = await addCashMovement({ adminId, shiftId: shift.id, type, amount, reason, user: currentUser })
+    onShiftChange(updated)
+    setMovementType(null)
+    const label = type === CASH_MOVEMENT_TYPES.PAY_IN ? 'Pay-in' : 'Pay-out'
+    toast.success(`${label} of ${formatKES(amount)} recorded`)
+    logActivity(
+      ACTIVITY_TYPES.CASH_MOVEMENT,
+      `${label}: KES ${Number(amount).toLocaleString()} (${reason.trim()})`,
+      { shiftId: shift.id, type, amount },
+      currentUser
+    ).catch(error => console.error('Error logging cash movement:', error))
+  }
+
+  const handleXReport = async () => {
+    try {
+      setReport(buildShiftReport(shift, await loadTransactions(), REPORT_TYPES.X))
+    } catch (error) {
+      console.error('Error building X-report:', error)
+      toast.error('Failed to build X-report')
+    }
+  }
+
+  const handleClose = async ({ denominations, countedMpesa, notes }) => {
+    try {
+      const closed = await closeShift({
+        adminId,
+        shiftId: shift.id,
+        denominations,
+        countedMpesa,
+        notes,
+        transactions: await loadTransactions(),
+        user: currentUser
+      })
+      setShowCloseModal(false)
+      onShiftChange(null)
+      setReport(buildShiftReport(closed, [], REPORT_TYPES.Z))
+      toast.success('Shift closed')
+      logActivity(
+        ACTIVITY_TYPES.SHIFT_CLOSED,
+        `Shift closed (cash variance KES ${closed.cashVariance.toLocaleString()})`,
+        { shiftId: closed.id, cashVariance: closed.cashVariance, mpesaVariance: closed.mpesaVariance },
+        currentUser
+      ).catch(error => console.error('Error logging shift close:', error))
+    } catch (error) {
+      console.error('Error closing shift:', error)
+      toast.error(error.message || 'Failed to close shift')
+    }
+  }
+
+  const buttonClass = "px-3 py-2 rounded-lg font-semibold text-sm transition-colors touch-manipulation"
+
+  return (
+    <>
+      {shift ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="px-3 py-2 rounded-lg bg-green-100 dark:bg-green-950/40 text-green-800 dark:text-green-300 text-sm font-semibold">
+            🟢 Shift since {new Date(shift.openedAt).toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <button
+            onClick={() => setMovementType(CASH_MOVEMENT_TYPES.PAY_IN)}
+            className={`${buttonClass} bg-muted hover:bg-muted/70 text-foreground`}
+          >
+            ➕ Pay-in
+          </button>
+          <button
+            onClick={() => setMovementType(CASH_MOVEMENT_TYPES.PAY_OUT)}
+            className={`${buttonClass} bg-muted hover:bg-muted/70 text-foreground`}
+          >
+            ➖ Pay-out
+          </button>
+          <button
+            onClick={handleXReport}
+            className={`${buttonClass} bg-muted hover:bg-muted/70 text-foreground`}
+          >
+            📄 X-Report
+          </button>
+          <button
+            onClick={() => setShowCloseModal(true)}
+            className={`${buttonClass} bg-gray-900 hover:bg-gray-800 text-white`}
+          >
+            🔒 Close Shift
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setShowOpenModal(true)}
+          className={`${buttonClass} bg-green-600 hover:bg-green-700 text-white`}
+        >
+          🟢 Open Shift
+        </button>
+      )}
+
+      {showOpenModal && (
+        <OpenShiftModal
+          currentUser={currentUser}
+          terminalId={getTerminalId()}
+          onOpen={handleOpen}
+          onClose={() => setShowOpenModal(false)}
+        />
+      )}
+
+      {movementType && (
+        <CashMovementModal
+          type={movementType}
+          onSave={handleMovement}
+          onClose={() => setMovementType(null)}
+        />
+      )}
+
+      {showCloseModal && shift && (
+        <CloseShiftModal
+          shift={shift}
+          onCloseShift={handleClose}
+          onClose={() => setShowCloseModal(false)}
+        />
+      )}
+
+      {report && <ShiftReportModal report={report} onClose={() => setReport(null)} />}
+    </>
+  )
+}
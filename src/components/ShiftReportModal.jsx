@@ -0,0 +1,142 @@
+"use client"
+
+import { formatKES } from "../utils/pricing"
+import { CASH_MOVEMENT_TYPES, REPORT_TYPES } from "../utils/shifts"
+
+const Row = ({ label, value, bold = false }) => (
+  <div className={`flex justify-between text-sm ${bold ? "font-bold" : ""}`}>
+    <span>{label}</span>
+    <span className="font-mono">{value}</span>
+  </div>
+)
+
+const varianceText = (value) => {
+  if (!value) return formatKES(0)
+  return `${value > 0 ? "+" : "-"}${formatKES(Math.abs(value))} ${value > 0 ? "over" : "short"}`
+}
+
+/**
+ * Printable X (mid-shift) or Z (end of shift) report
+ */
+export default function ShiftReportModal({ report, review = null, onClose }) {
+  const { totals, counted } = report
+  const isZ = report.type === REPORT_TYPES.Z
+
+  const handlePrint = () => {
+    const style = document.createElement('style')
+    style.textContent = `
+      @page {
+        margin: 0 !important;
+        size: 80mm auto;
+      }
+      @media print {
+        header, footer { display: none !important; }
+      }
+    `
+    document.head.appendChild(style)
+    window.print()
+    setTimeout(() => style.remove(), 1000)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full border-2 border-black relative max-h-[90vh] flex flex-col my-4 print:max-h-none">
+        <button
+          onClick={onClose}
+          className="absolute top-3 right-3 z-10 w-7 h-7 flex items-center justify-center rounded-lg bg-gray-200 hover:bg-gray-300 text-black transition-colors print:hidden"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+
+        <div className="overflow-y-auto p-6 text-black space-y-3">
+          <div className="text-center border-b-2 border-dashed border-black pb-3">
+            <h2 className="text-xl font-bold">{isZ ? "Z-REPORT" : "X-REPORT"}</h2>
+            <p className="text-xs">{isZ ? "End of shift" : "Shift in progress"}</p>
+          </div>
+
+          <div className="space-y-1 border-b-2 border-dashed border-black pb-3">
+            <Row label="Cashier" value={report.cashierName} />
+            <Row label="Terminal" value={report.terminalId} />
+            <Row label="Opened" value={new Date(report.openedAt).toLocaleString('en-KE')} />
+            {report.closedAt && <Row label="Closed" value={new Date(report.closedAt).toLocaleString('en-KE')} />}
+            <Row label="Printed" value={new Date(report.generatedAt).toLocaleString('en-KE')} />
+          </div>
+
+          <div className="space-y-1 border-b-2 border-dashed border-black pb-3">
+            <Row label={`Sales (${totals.salesCount})`} value={formatKES(totals.grossSales)} />
+            <Row label={`Returns (${totals.returnsCount})`} value={`-${formatKES(totals.refunds)}`} />
+            <Row label="Cash sales" value={formatKES(totals.cashSales)} />
+            <Row label="M-Pesa sales" value={formatKES(totals.mpesaSales)} />
+            {totals.creditSales > 0 && <Row label="Credit sales" value={formatKES(totals.creditSales)} />}
+            {totals.depositsCollected > 0 && <Row label="Deposits taken (in sales)" value={formatKES(totals.depositsCollected)} />}
+            {totals.depositRefunds > 0 && <Row label="Empties refunded" value={`-${formatKES(totals.depositRefunds)}`} />}
+            {totals.voucherRedemptions > 0 && <Row label="Paid by gift voucher" value={formatKES(totals.voucherRedemptions)} />}
+            {totals.storeCreditRedemptions > 0 && <Row label="Paid by store credit" value={formatKES(totals.storeCreditRedemptions)} />}
+            {totals.loyaltyRedemptions > 0 && <Row label="Paid by loyalty points" value={formatKES(totals.loyaltyRedemptions)} />}
+            {totals.vouchersSold > 0 && <Row label="Gift vouchers sold" value={formatKES(totals.vouchersSold)} />}
+          </div>
+
+          <div className="space-y-1 border-b-2 border-dashed border-black pb-3">
+            <p className="text-xs font-bold uppercase">Cash drawer</p>
+            <Row label="Opening float" value={formatKES(totals.openingFloat)} />
+            <Row label="+ Cash sales" value={formatKES(totals.cashSales)} />
+            <Row label="- Cash refunds" value={formatKES(totals.cashRefunds)} />
+            {totals.cashDepositRefunds > 0 && <Row label="- Empties refunded" value={formatKES(totals.cashDepositRefunds)} />}
+            {totals.cashVoucherSales > 0 && <Row label="+ Vouchers sold" value={formatKES(totals.cashVoucherSales)} />}
+            <Row label="+ Pay-ins" value={formatKES(totals.payIns)} />
+            <Row label="- Pay-outs" value={formatKES(totals.payOuts)} />
+            <Row label="Expected cash" value={formatKES(totals.expectedCash)} bold />
+            <Row label="Expected M-Pesa" value={formatKES(totals.expectedMpesa)} bold />
+          </div>
+
+          {report.movements.length > 0 && (
+            <div className="space-y-1 border-b-2 border-dashed border-black pb-3">
+              <p className="text-xs font-bold uppercase">Pay-ins / Pay-outs</p>
+              {report.movements.map(m => (
+                <Row
+                  key={m.id}
+                  label={`${new Date(m.recordedAt).toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })} ${m.reason}`}
+                  value={`${m.type === CASH_MOVEMENT_TYPES.PAY_OUT ? "-" : "+"}${formatKES(m.amount)}`}
+                />
+              ))}
+            </div>
+          )}
+
+          {counted && (
+            <div className="space-y-1 border-b-2 border-dashed border-black pb-3">
+              <p className="text-xs font-bold uppercase">Closing count</p>
+              <Row label="Counted cash" value={formatKES(counted.countedCash)} />
+              <Row label="Cash variance" value={varianceText(counted.cashVariance)} bold />
+              <Row label="Counted M-Pesa" value={formatKES(counted.countedMpesa)} />
+              <Row label="M-Pesa variance" value={varianceText(counted.mpesaVariance)} bold />
+              {counted.notes && <p className="text-xs italic">Note: {counted.notes}</p>}
+            </div>
+          )}
+
+          {review && (
+            <p className="text-xs">
+              Reviewed by {review.reviewedBy} on {new Date(review.reviewedAt).toLocaleString('en-KE')}
+              {review.note ? ` — ${review.note}` : ""}
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 border-t-2 border-black flex gap-2 print:hidden">
+          <button
+            onClick={handlePrint}
+            className="flex-1 py-2 bg-black hover:bg-gray-800 text-white font-bold rounded-lg transition-colors"
+          >
+            🖨️ Print
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 py-2 border-2 border-black rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -119,9 +119,12 @@ export default function Sidebar({ currentPage, onPageChange, userRole, currentUs
     ? [
         { id: "admin-dashboard", label: "Dashboard", icon: DashboardIcon },
         { id: "inventory", label: "Inventory", icon: BoxIcon },
+        { id: "stock-transfers", label: "Stock Transfers", icon: BoxIcon },
         { id: "reports", label: "Reports", icon: ChartBarIcon },
         { id: "expenses", label: "Expense Tracker", icon: CashIcon },
         { id: "transactions-history", label: "Transaction History", icon: DocumentIcon },
+        { id: "mpesa-reconciliation", label: "M-Pesa Reconciliation", icon: CashIcon },
+        { id: "shifts", label: "Cashier Shifts", icon: DocumentIcon },
       ]
     : userRole === "manager"
     ? [
@@ -130,10 +133,13 @@ export default function Sidebar({ currentPage, onPageChange, userRole, currentUs
         { id: "customers", label: "Customers", icon: UsersIcon },
         { id: "suppliers", label: "Suppliers", icon: UsersIcon },
         { id: "purchase-orders", label: "Purchase Orders", icon: DocumentIcon },
+        { id: "stock-transfers", label: "Stock Transfers", icon: BoxIcon },
         { id: "supplier-payments", label: "Payments", icon: CashIcon },
         { id: "expenses", label: "Expense Tracker", icon: CashIcon },
         { id: "reports", label: "Reports", icon: ChartBarIcon },
         { id: "transactions-history", label: "Transaction History", icon: DocumentIcon },
+        { id: "mpesa-reconciliation", label: "M-Pesa Reconciliation", icon: CashIcon },
+        { id: "shifts", label: "Cashier Shifts", icon: DocumentIcon },
         { id: "branch-staff", label: "My Cashiers", icon: UsersIcon },
       ]
     : [
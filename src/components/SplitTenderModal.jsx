@@ -0,0 +1,374 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import {
+  TENDER_TYPES,
+  getTenderLabel,
+  getTenderIcon,
+  getTenderedTotal,
+  getRemainingBalance,
+  getChangeDue,
+  validatePayments
+} from "../utils/tenders"
+import { splitEvenly } from "../utils/tabs"
+import { normalizeVoucherCode, validateVoucherRedemption } from "../utils/vouchers"
+import { getStoreCreditBalance } from "../utils/storeCredit"
+import { getLoyaltyPoints, getPointsValue, getPointsForAmount, validatePointsRedemption } from "../utils/loyalty"
+
+const TENDER_OPTIONS = [TENDER_TYPES.CASH, TENDER_TYPES.MPESA, TENDER_TYPES.CREDIT, TENDER_TYPES.VOUCHER, TENDER_TYPES.STORE_CREDIT, TENDER_TYPES.LOYALTY_POINTS]
+
+/**
+ * Tender builder: lets the cashier settle one sale with several payment lines
+ * (e.g. part cash, rest M-Pesa). Calls onComplete(payments) once the lines cover the total.
+ * With `guests` > 1 (a bar tab split evenly) each guest's share is offered in turn.
+ * Gift vouchers are looked up with onLookupVoucher(code) and can be part-spent.
+ * Loyalty points are offered when the programme in `loyaltySettings` is switched on.
+ */
+export default function SplitTenderModal({ total, selectedCustomer, guests = 1, loyaltySettings = null, onLookupVoucher, onComplete, onClose }) {
+  const shares = guests > 1 ? splitEvenly(total, guests) : []
+  const [payments, setPayments] = useState([])
+  const [method, setMethod] = useState(TENDER_TYPES.CASH)
+  const [amount, setAmount] = useState(shares.length > 0 ? shares[0].toString() : "")
+  const [reference, setReference] = useState("")
+  const [error, setError] = useState("")
+  const [isChecking, setIsChecking] = useState(false)
+
+  const remaining = getRemainingBalance(payments, total)
+  const tendered = getTenderedTotal(payments)
+  const changeDue = getChangeDue(payments, total)
+  const validationError = validatePayments(payments, total)
+
+  const availableCredit = selectedCustomer
+    ? (selectedCustomer.creditLimit || 0) - (selectedCustomer.balance || 0)
+    : 0
+  const usedStoreCredit = payments
+    .filter(p => p.method === TENDER_TYPES.STORE_CREDIT)
+    .reduce((sum, p) => sum + p.amount, 0)
+  const availableStoreCredit = Math.max(0, getStoreCreditBalance(selectedCustomer) - usedStoreCredit)
+  const usedPointsValue = payments
+    .filter(p => p.method === TENDER_TYPES.LOYALTY_POINTS)
+    .reduce((sum, p) => sum + p.amount, 0)
+  const tenderOptions = TENDER_OPTIONS.filter(option => option !== TENDER_TYPES.LOYALTY_POINTS || loyaltySettings?.enabled)
+
+  // A voucher as it stands after the lines already drawn on it in this sale
+  const withLinesApplied = (voucher) => voucher && {
+    ...voucher,
+    balance: Math.round((voucher.balance - payments
+      .filter(p => p.method === TENDER_TYPES.VOUCHER && normalizeVoucherCode(p.reference) === normalizeVoucherCode(voucher.code))
+      .reduce((sum, p) => sum + p.amount, 0)) * 100) / 100
+  }
+
+  // Spend what is left on the voucher, up to what is still owed
+  const handleCheckVoucher = async () => {
+    setError("")
+    setIsChecking(true)
+    try {
+      const voucher = withLinesApplied(await onLookupVoucher(reference))
+      const spend = Math.min(voucher?.balance || 0, remaining)
+      const voucherError = validateVoucherRedemption(voucher, spend)
+      if (voucherError) {
+        setError(voucherError)
+        return
+      }
+      setReference(voucher.code)
+      setAmount(spend.toString())
+    } catch (err) {
+      console.error('Error looking up voucher:', err)
+      setError("Could not look the voucher up. Try again.")
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  const handleAddLine = async () => {
+    const parsedAmount = Math.round((parseFloat(amount) || 0) * 100) / 100
+    if (parsedAmount <= 0) {
+      setError("Enter an amount greater than zero")
+      return
+    }
+    if (method !== TENDER_TYPES.CASH && parsedAmount > remaining) {
+      setError(`${getTenderLabel(method)} cannot exceed the remaining ${formatKES(remaining)}`)
+      return
+    }
+    if (method === TENDER_TYPES.MPESA && reference.trim().length > 0 && reference.trim().length !== 10) {
+      setError("M-Pesa codes are 10 characters long")
+      return
+    }
+    if (method === TENDER_TYPES.CREDIT) {
+      if (!selectedCustomer) {
+        setError("Select a customer before adding a credit payment")
+        return
+      }
+      const creditSoFar = payments
+        .filter(p => p.method === TENDER_TYPES.CREDIT)
+        .reduce((sum, p) => sum + p.amount, 0)
+      if (creditSoFar + parsedAmount > availableCredit) {
+        setError(`Credit limit exceeded. Available credit: ${formatKES(Math.max(0, availableCredit - creditSoFar))}`)
+        return
+      }
+    }
+    if (method === TENDER_TYPES.STORE_CREDIT) {
+      if (!selectedCustomer) {
+        setError("Select a customer before using store credit")
+        return
+      }
+      if (parsedAmount > availableStoreCredit) {
+        setError(`${selectedCustomer.name} has ${formatKES(availableStoreCredit)} store credit`)
+        return
+      }
+    }
+    if (method === TENDER_TYPES.LOYALTY_POINTS) {
+      const pointsError = validatePointsRedemption(selectedCustomer, usedPointsValue + parsedAmount, loyaltySettings)
+      if (pointsError) {
+        setError(pointsError)
+        return
+      }
+    }
+    let lineReference = method === TENDER_TYPES.MPESA ? reference.trim().toUpperCase() : ""
+    if (method === TENDER_TYPES.VOUCHER) {
+      // Check the balance again; the voucher may have been spent on another till since it was looked up
+      setIsChecking(true)
+      try {
+        const voucher = withLinesApplied(await onLookupVoucher(reference))
+        const voucherError = validateVoucherRedemption(voucher, parsedAmount)
+        if (voucherError) {
+          setError(voucherError)
+          return
+        }
+        lineReference = voucher.code
+      } catch (err) {
+        console.error('Error looking up voucher:', err)
+        setError("Could not look the voucher up. Try again.")
+        return
+      } finally {
+        setIsChecking(false)
+      }
+    }
+
+    setPayments([
+      ...payments,
+      {
+        method,
+        amount: parsedAmount,
+        ...(lineReference ? { reference: lineReference } : {})
+      }
+    ])
+    // Line up the next guest's share
+    const nextShare = shares[payments.length + 1]
+    setAmount(nextShare != null ? nextShare.toString() : "")
+    setReference("")
+    setError("")
+  }
+
+  const handleRemoveLine = (index) => {
+    setPayments(payments.filter((_, i) => i !== index))
+    setError("")
+  }
+
+  const handleComplete = () => {
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+    onComplete(payments)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-lg w-full border-2 border-border relative max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 p-6 border-b-2 border-border bg-gradient-to-r from-blue-900 to-blue-800 z-10">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white text-center">🔀 Split Payment</h2>
+          <p className="text-sm text-white/90 text-center mt-1">
+            {shares.length > 0
+              ? `Split evenly: ${guests} guests × ${formatKES(shares[shares.length - 1])}`
+              : "Combine cash, M-Pesa, credit and vouchers on one sale"}
+          </p>
+        </div>
+
+        {/* Body */}
+        <div className="p-6 space-y-5">
+          {/* Totals */}
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className="bg-muted/50 border-2 border-border rounded-lg p-3">
+              <p className="text-xs text-muted-foreground mb-1">Total</p>
+              <p className="text-lg font-bold text-foreground">{formatKES(total)}</p>
+            </div>
+            <div className="bg-muted/50 border-2 border-border rounded-lg p-3">
+              <p className="text-xs text-muted-foreground mb-1">Paid</p>
+              <p className="text-lg font-bold text-green-600">{formatKES(tendered)}</p>
+            </div>
+            <div className={`border-2 rounded-lg p-3 ${remaining > 0 ? 'bg-destructive/10 border-destructive/40' : 'bg-green-50 dark:bg-green-950/30 border-green-500'}`}>
+              <p className="text-xs text-muted-foreground mb-1">{remaining > 0 ? 'Remaining' : 'Change'}</p>
+              <p className={`text-lg font-bold ${remaining > 0 ? 'text-destructive' : 'text-green-600'}`}>
+                {formatKES(remaining > 0 ? remaining : changeDue)}
+              </p>
+            </div>
+          </div>
+
+          {/* Payment lines */}
+          <div>
+            <p className="text-sm font-semibold text-foreground mb-2">Payments</p>
+            {payments.length === 0 ? (
+              <p className="text-sm text-muted-foreground italic">No payments added yet</p>
+            ) : (
+              <div className="space-y-2">
+                {payments.map((payment, index) => (
+                  <div key={index} className="flex items-center justify-between bg-muted/30 border border-border rounded-lg px-3 py-2">
+                    <div>
+                      <p className="text-sm font-semibold text-foreground">
+                        {getTenderIcon(payment.method)} {getTenderLabel(payment.method)}
+                      </p>
+                      {payment.reference && (
+                        <p className="text-xs text-muted-foreground font-mono">{payment.reference}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-bold text-foreground">{formatKES(payment.amount)}</span>
+                      <button
+                        onClick={() => handleRemoveLine(index)}
+                        className="text-destructive hover:bg-destructive/10 px-2 py-1 rounded text-sm"
+                        title="Remove payment"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Add payment line */}
+          {remaining > 0 && (
+            <div className="border-2 border-dashed border-border rounded-lg p-4 space-y-3">
+              {shares[payments.length] != null && (
+                <p className="text-sm font-semibold text-foreground">
+                  Guest {payments.length + 1} of {guests}: {formatKES(shares[payments.length])}
+                </p>
+              )}
+              <div className="grid grid-cols-3 gap-2">
+                {tenderOptions.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => { setMethod(option); setReference(""); setError("") }}
+                    className={`px-3 py-2 rounded-lg text-sm font-semibold border transition-colors ${
+                      method === option
+                        ? 'bg-primary text-primary-foreground border-primary'
+                        : 'bg-muted hover:bg-primary/10 text-foreground border-border'
+                    }`}
+                  >
+                    {getTenderIcon(option)} {getTenderLabel(option)}
+                  </button>
+                ))}
+              </div>
+              {method === TENDER_TYPES.CREDIT && (
+                <p className="text-xs text-muted-foreground">
+                  {selectedCustomer
+                    ? `On account for ${selectedCustomer.name} • Available credit: ${formatKES(Math.max(0, availableCredit))}`
+                    : 'Select a customer on the POS screen to use credit'}
+                </p>
+              )}
+              {method === TENDER_TYPES.STORE_CREDIT && (
+                <p className="text-xs text-muted-foreground">
+                  {selectedCustomer
+                    ? `${selectedCustomer.name} has ${formatKES(availableStoreCredit)} store credit to spend`
+                    : 'Select a customer on the POS screen to use their store credit'}
+                </p>
+              )}
+              {method === TENDER_TYPES.LOYALTY_POINTS && (
+                <p className="text-xs text-muted-foreground">
+                  {selectedCustomer
+                    ? `${selectedCustomer.name} has ${getLoyaltyPoints(selectedCustomer).toLocaleString()} points, worth ${formatKES(getPointsValue(getLoyaltyPoints(selectedCustomer), loyaltySettings))}${
+                        usedPointsValue > 0 ? ` (${getPointsForAmount(usedPointsValue, loyaltySettings).toLocaleString()} used on this sale)` : ""
+                      }`
+                    : 'Select a customer on the POS screen to use their points'}
+                </p>
+              )}
+              {method === TENDER_TYPES.VOUCHER && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={reference}
+                    onChange={(e) => setReference(e.target.value.toUpperCase())}
+                    onKeyDown={(e) => e.key === "Enter" && !isChecking && handleCheckVoucher()}
+                    placeholder="Scan or type the voucher code"
+                    aria-label="Voucher code"
+                    className="flex-1 px-3 py-2 border-2 border-border rounded-lg font-mono uppercase focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground"
+                  />
+                  <button
+                    onClick={handleCheckVoucher}
+                    disabled={isChecking || !reference.trim()}
+                    className="px-3 py-2 bg-muted hover:bg-primary/10 disabled:opacity-50 text-foreground font-semibold rounded-lg text-sm border border-border"
+                  >
+                    Check balance
+                  </button>
+                </div>
+              )}
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleAddLine()}
+                  placeholder={remaining.toString()}
+                  aria-label="Payment amount"
+                  className="flex-1 px-3 py-2 text-lg font-bold border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground text-right"
+                  min="0"
+                  step="0.01"
+                  autoFocus
+                />
+                <button
+                  onClick={() => setAmount(remaining.toString())}
+                  className="px-3 py-2 bg-muted hover:bg-primary/10 text-foreground font-semibold rounded-lg text-sm border border-border"
+                >
+                  Rest
+                </button>
+              </div>
+              {method === TENDER_TYPES.MPESA && (
+                <input
+                  type="text"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value.toUpperCase())}
+                  placeholder="M-Pesa code (optional)"
+                  maxLength={10}
+                  className="w-full px-3 py-2 border-2 border-border rounded-lg font-mono uppercase focus:outline-none focus:ring-2 focus:ring-primary bg-card text-foreground"
+                />
+              )}
+              <button
+                onClick={handleAddLine}
+                disabled={isChecking}
+                className="w-full px-4 py-2 bg-blue-700 hover:bg-blue-800 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+              >
+                + Add {getTenderLabel(method)} Payment
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <p className="text-sm text-destructive font-semibold">⚠️ {error}</p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t-2 border-border bg-muted/30">
+          <button
+            onClick={handleComplete}
+            disabled={!!validationError}
+            className="w-full px-6 py-4 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-bold rounded-lg transition-all shadow-lg disabled:cursor-not-allowed text-lg"
+          >
+            {validationError ? `Remaining ${formatKES(remaining)}` : "Complete Payment ✓"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,97 @@
+"use client"
+
+import { useState } from "react"
+import { MOVEMENT_REASON_LABELS, getProductMovements, getStockAsOf } from "../utils/stockMovements"
+import { describeStock } from "../utils/unitsOfMeasure"
+
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().split("T")[0]
+}
+
+/**
+ * Every recorded change to a product's stock, newest first, and what it had on
+ * hand at the end of any day
+ */
+export default function StockMovementsModal({ product, movements, onClose }) {
+  const [asOfDate, setAsOfDate] = useState(toDateInput(new Date()))
+  const history = movements ? getProductMovements(movements, product) : []
+  const asOfEnd = new Date(`${asOfDate}T23:59:59.999`)
+  const stockAsOf = movements && asOfDate ? getStockAsOf(product, movements, asOfEnd) : null
+  const firstRecorded = history.length > 0 ? new Date(history[history.length - 1].timestamp) : null
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-4xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border flex items-start justify-between gap-4 flex-shrink-0">
+          <div>
+            <h2 className="text-2xl font-bold text-foreground">📜 Stock history · {product.name}</h2>
+            <p className="text-sm text-muted-foreground mt-1">
+              {describeStock(product.quantity || 0, product)} on hand now.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-accent rounded-lg transition-colors" title="Close">✕</button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div className="flex flex-wrap items-end gap-3 border-2 border-border rounded-lg p-4">
+            <div>
+              <label className="block text-sm font-semibold text-foreground mb-1">Stock at the end of</label>
+              <input
+                type="date"
+                value={asOfDate}
+                max={toDateInput(new Date())}
+                onChange={(e) => setAsOfDate(e.target.value)}
+                className="px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              />
+            </div>
+            <div className="text-2xl font-bold text-foreground">
+              {stockAsOf === null ? "…" : describeStock(stockAsOf, product)}
+            </div>
+            {firstRecorded && asOfEnd < firstRecorded && (
+              <p className="text-xs text-yellow-600 dark:text-yellow-500 w-full">
+                Changes before {firstRecorded.toLocaleDateString()} were not recorded, so this is the stock when recording began.
+              </p>
+            )}
+          </div>
+
+          {!movements ? (
+            <p className="text-sm text-muted-foreground text-center py-6">Loading history...</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No stock changes have been recorded for this product yet</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-3">When</th>
+                  <th className="py-2 pr-3">Reason</th>
+                  <th className="py-2 pr-3">Document</th>
+                  <th className="py-2 pr-3 text-right">Change</th>
+                  <th className="py-2 pr-3 text-right">Stock</th>
+                  <th className="py-2">By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map(movement => (
+                  <tr key={movement.id} className="border-b border-border last:border-0 align-top">
+                    <td className="py-2 pr-3 text-muted-foreground whitespace-nowrap">{new Date(movement.timestamp).toLocaleString()}</td>
+                    <td className="py-2 pr-3 text-foreground">
+                      {MOVEMENT_REASON_LABELS[movement.reason] || movement.reason}
+                      {movement.notes && <div className="text-xs text-muted-foreground">{movement.notes}</div>}
+                    </td>
+                    <td className="py-2 pr-3 font-mono text-xs">{movement.sourceNumber || "—"}</td>
+                    <td className={`py-2 pr-3 text-right font-semibold ${movement.delta < 0 ? "text-destructive" : "text-green-600 dark:text-green-500"}`}>
+                      {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{movement.newStock}</td>
+                    <td className="py-2 text-muted-foreground">{movement.user?.name || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
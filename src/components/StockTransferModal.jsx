@@ -0,0 +1,246 @@
+"use client"
+
+import { useState } from "react"
+import { TRANSFER_STATUS } from "../utils/stockTransfers"
+import { getLotLabel } from "../utils/lots"
+
+export const TRANSFER_STATUS_LABELS = {
+  requested: "Requested",
+  dispatched: "Dispatched",
+  in_transit: "In Transit",
+  received: "Received",
+  cancelled: "Cancelled"
+}
+
+export const TRANSFER_STATUS_COLORS = {
+  requested: "bg-gray-100 text-gray-800 border-gray-300",
+  dispatched: "bg-blue-100 text-blue-800 border-blue-300",
+  in_transit: "bg-yellow-100 text-yellow-800 border-yellow-300",
+  received: "bg-green-100 text-green-800 border-green-300",
+  cancelled: "bg-red-100 text-red-800 border-red-300"
+}
+
+/**
+ * One transfer and the step that is up to this branch: the sending branch
+ * dispatches and hands it to the van, the receiving branch counts it in.
+ * `side` is 'source', 'destination' or null (admins watch without acting).
+ * `available` is the sending branch's stock for each line, by line index.
+ */
+export default function StockTransferModal({ transfer, side, available = [], onDispatch, onMarkInTransit, onReceive, onCancel, onClose }) {
+  const isInTransit = [TRANSFER_STATUS.DISPATCHED, TRANSFER_STATUS.IN_TRANSIT].includes(transfer.status)
+  const canDispatch = side === "source" && transfer.status === TRANSFER_STATUS.REQUESTED
+  const canReceive = side === "destination" && isInTransit
+  // A request can be withdrawn by either branch; stock on the road only goes back to the sender
+  const canCancel = (side && transfer.status === TRANSFER_STATUS.REQUESTED) || (side === "source" && isInTransit)
+
+  const [quantities, setQuantities] = useState(() => transfer.items.map((line, index) => (
+    canDispatch ? Math.min(line.requestedQuantity, Math.max(0, available[index] ?? 0)) : line.dispatchedQuantity
+  )))
+  const [carrier, setCarrier] = useState("")
+  const [notes, setNotes] = useState("")
+  const [cancelReason, setCancelReason] = useState("")
+  const [confirmingCancel, setConfirmingCancel] = useState(false)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const hasDiscrepancy = canReceive && transfer.items.some((line, index) => Number(quantities[index]) !== line.dispatchedQuantity)
+
+  const run = async (action) => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const setQuantity = (index, value) => {
+    setQuantities(quantities.map((quantity, i) => (i === index ? (value === "" ? "" : Number(value)) : quantity)))
+  }
+
+  const quantityInput = (index) => (
+    <input
+      type="number"
+      min="0"
+      step="1"
+      value={quantities[index]}
+      onChange={(e) => setQuantity(index, e.target.value)}
+      className="w-20 px-2 py-1 bg-background border-2 border-border rounded-lg text-right"
+    />
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-3xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border flex items-start justify-between gap-4 flex-shrink-0">
+          <div>
+            <div className="flex items-center gap-3">
+              <h2 className="text-2xl font-bold text-foreground">🚚 {transfer.transferNumber}</h2>
+              <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${TRANSFER_STATUS_COLORS[transfer.status]}`}>
+                {TRANSFER_STATUS_LABELS[transfer.status]}
+              </span>
+            </div>
+            <p className="text-sm text-muted-foreground mt-1">
+              {transfer.fromBranchName} → {transfer.toBranchName} · requested by {transfer.requestedBy?.name} on {new Date(transfer.requestedAt).toLocaleString()}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-accent rounded-lg transition-colors" title="Close">✕</button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {transfer.notes && <p className="text-sm text-foreground bg-muted rounded-lg p-3">📝 {transfer.notes}</p>}
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                <th className="py-2 pr-3">Product</th>
+                <th className="py-2 pr-3 text-right">Requested</th>
+                {canDispatch && <th className="py-2 pr-3 text-right">In stock</th>}
+                <th className="py-2 pr-3 text-right">Sent</th>
+                {(canReceive || transfer.status === TRANSFER_STATUS.RECEIVED) && <th className="py-2 text-right">Received</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {transfer.items.map((line, index) => (
+                <tr key={`${line.productId}-${index}`} className="border-b border-border last:border-0 align-top">
+                  <td className="py-2 pr-3">
+                    <div className="font-medium text-foreground">{line.name}</div>
+                    {line.lots?.length > 0 && (
+                      <div className="text-xs text-muted-foreground">
+                        {line.lots.map(lot => `${getLotLabel(lot)} × ${lot.quantity}`).join(", ")}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-right">{line.requestedQuantity}</td>
+                  {canDispatch && (
+                    <td className={`py-2 pr-3 text-right ${(available[index] ?? 0) < line.requestedQuantity ? "text-destructive font-semibold" : "text-muted-foreground"}`}>
+                      {available[index] ?? "Not stocked"}
+                    </td>
+                  )}
+                  <td className="py-2 pr-3 text-right">
+                    {canDispatch ? quantityInput(index) : (transfer.status === TRANSFER_STATUS.REQUESTED ? "—" : line.dispatchedQuantity)}
+                  </td>
+                  {canReceive && <td className="py-2 text-right">{quantityInput(index)}</td>}
+                  {transfer.status === TRANSFER_STATUS.RECEIVED && (
+                    <td className={`py-2 text-right font-semibold ${line.receivedQuantity !== line.dispatchedQuantity ? "text-destructive" : "text-foreground"}`}>
+                      {line.receivedQuantity}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {transfer.discrepancies?.length > 0 && (
+            <div className="border-2 border-destructive/40 rounded-lg p-4">
+              <h3 className="font-bold text-destructive mb-2">⚠️ Discrepancies</h3>
+              {transfer.discrepancies.map(d => (
+                <div key={d.productId} className="flex items-center justify-between text-sm">
+                  <span className="text-foreground">{d.name}</span>
+                  <span className="font-semibold">{d.difference > 0 ? `${d.difference} over` : `${-d.difference} short`} (sent {d.dispatched}, received {d.received})</span>
+                </div>
+              ))}
+              {transfer.receiptNotes && <p className="text-sm text-muted-foreground mt-2">{transfer.receiptNotes}</p>}
+            </div>
+          )}
+
+          {canReceive && (
+            <div>
+              <label className="block text-sm font-semibold text-foreground mb-1">
+                Receiving notes{hasDiscrepancy ? " (say what happened to the difference)" : ""}
+              </label>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              />
+            </div>
+          )}
+
+          {side === "source" && transfer.status === TRANSFER_STATUS.DISPATCHED && (
+            <div>
+              <label className="block text-sm font-semibold text-foreground mb-1">Collected by</label>
+              <input
+                type="text"
+                value={carrier}
+                onChange={(e) => setCarrier(e.target.value)}
+                placeholder="Driver or vehicle, e.g. KDA 123X"
+                className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              />
+            </div>
+          )}
+
+          {confirmingCancel && (
+            <div className="border-2 border-border rounded-lg p-4 space-y-2">
+              <label className="block text-sm font-semibold text-foreground">Why is this transfer being cancelled?</label>
+              <input
+                type="text"
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              />
+              {isInTransit && <p className="text-xs text-muted-foreground">The stock goes back on {transfer.fromBranchName}'s shelf.</p>}
+            </div>
+          )}
+
+          <div className="border-t border-border pt-3 space-y-1">
+            {(transfer.statusHistory || []).map((entry, index) => (
+              <div key={index} className="text-xs text-muted-foreground">
+                {new Date(entry.timestamp).toLocaleString()} · {TRANSFER_STATUS_LABELS[entry.status]} by {entry.changedBy?.name}
+                {entry.status === TRANSFER_STATUS.IN_TRANSIT && transfer.carrier ? ` · ${transfer.carrier}` : ""}
+                {entry.status === TRANSFER_STATUS.CANCELLED && transfer.cancelReason ? ` · ${transfer.cancelReason}` : ""}
+              </div>
+            ))}
+          </div>
+
+          {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+        </div>
+
+        {(canDispatch || canReceive || canCancel || (side === "source" && transfer.status === TRANSFER_STATUS.DISPATCHED)) && (
+          <div className="p-4 border-t-2 border-border flex gap-2 flex-shrink-0">
+            {canCancel && (
+              <button
+                onClick={() => (confirmingCancel ? run(() => onCancel(cancelReason)) : setConfirmingCancel(true))}
+                disabled={isSaving}
+                className="px-4 py-2.5 bg-destructive hover:bg-destructive/90 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+              >
+                {confirmingCancel ? "Confirm Cancel" : "Cancel Transfer"}
+              </button>
+            )}
+            {canDispatch && (
+              <button
+                onClick={() => run(() => onDispatch(quantities))}
+                disabled={isSaving}
+                className="flex-1 py-2.5 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg transition-colors"
+              >
+                {isSaving ? "Saving..." : "Dispatch (takes stock off this branch)"}
+              </button>
+            )}
+            {side === "source" && transfer.status === TRANSFER_STATUS.DISPATCHED && (
+              <button
+                onClick={() => run(() => onMarkInTransit(carrier))}
+                disabled={isSaving}
+                className="flex-1 py-2.5 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg transition-colors"
+              >
+                {isSaving ? "Saving..." : "Mark Collected (in transit)"}
+              </button>
+            )}
+            {canReceive && (
+              <button
+                onClick={() => run(() => onReceive(quantities, notes))}
+                disabled={isSaving}
+                className="flex-1 py-2.5 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+              >
+                {isSaving ? "Saving..." : "Receive (adds stock to this branch)"}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,287 @@
+"use client"
+
+import { useState } from "react"
+import { formatKES } from "../utils/pricing"
+import { formatTimeAgo } from "../utils/dateUtils"
+import { getTabTotal, getTabItemCount, splitTabItems } from "../utils/tabs"
+
+/**
+ * Open tabs for the branch: start a tab, put the current cart on one, hand a tab
+ * to another cashier, or pick what is being paid for and load it into the till.
+ */
+export default function TabsModal({
+  tabs,
+  staff = [],
+  currentUser,
+  cartItemCount,
+  isSettling,
+  onOpenTab,
+  onAddCart,
+  onTransfer,
+  onSettle,
+  onCloseTab,
+  onClose
+}) {
+  const [newTabName, setNewTabName] = useState("")
+  const [transferring, setTransferring] = useState(null)
+  const [transferToId, setTransferToId] = useState("")
+  const [settling, setSettling] = useState(null)
+  const [selection, setSelection] = useState({})
+  const [guests, setGuests] = useState(1)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canMoveCart = cartItemCount > 0 && !isSettling
+
+  const run = async (action) => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await action()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleOpenTab = async () => {
+    if (await run(() => onOpenTab(newTabName))) setNewTabName("")
+  }
+
+  const startSettle = (tab) => {
+    setTransferring(null)
+    setSettling(tab)
+    setSelection(Object.fromEntries(tab.items.map(item => [item.tabLineId, item.quantity])))
+    setGuests(1)
+    setError("")
+  }
+
+  const startTransfer = (tab) => {
+    setSettling(null)
+    setTransferring(tab)
+    setTransferToId("")
+    setError("")
+  }
+
+  const handleTransfer = async () => {
+    const toUser = staff.find(user => String(user.id) === transferToId)
+    if (await run(() => onTransfer(transferring, toUser))) setTransferring(null)
+  }
+
+  const selectedTotal = settling
+    ? getTabTotal({ items: splitTabItems(settling.items, selection).selected })
+    : 0
+
+  const inputClass = "px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-2xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border bg-gradient-to-r from-purple-900 to-purple-800 rounded-t-lg flex-shrink-0 relative">
+          <button
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            title="Close"
+          >
+            <span className="text-xl font-bold">×</span>
+          </button>
+          <h2 className="text-2xl font-bold text-white text-center">🍷 Open Tabs</h2>
+          <p className="text-sm text-white/90 text-center mt-1">Run a tab through the evening and settle when the guests leave</p>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          {!settling && (
+            <div className="border-2 border-dashed border-border rounded-lg p-4 space-y-2">
+              <label className="block text-sm font-semibold text-foreground">
+                {canMoveCart ? `Open a tab with the current cart (${cartItemCount} items)` : "Open a new tab"}
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newTabName}
+                  onChange={(e) => setNewTabName(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && !isSaving && handleOpenTab()}
+                  placeholder="Guest or table, e.g. Wanjiru - table 2"
+                  className={`${inputClass} flex-1`}
+                  autoFocus
+                />
+                <button
+                  onClick={handleOpenTab}
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-purple-700 hover:bg-purple-800 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors"
+                >
+                  Open Tab
+                </button>
+              </div>
+            </div>
+          )}
+
+          {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+
+          {settling ? (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="font-bold text-foreground">Settle &quot;{settling.name}&quot;</h3>
+                <button onClick={() => setSettling(null)} className="text-sm text-muted-foreground hover:text-foreground">
+                  ← Back to tabs
+                </button>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Choose what is being paid now. Anything left stays on the tab.
+              </p>
+              {settling.items.map(item => (
+                <div key={item.tabLineId} className="flex items-center gap-3 bg-muted/30 rounded-lg px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-foreground truncate">{item.name}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {item.quantity} on tab × {formatKES(item.price)}{item.addedBy ? ` · ${item.addedBy}` : ""}
+                    </p>
+                  </div>
+                  <input
+                    type="number"
+                    min="0"
+                    max={item.quantity}
+                    value={selection[item.tabLineId] ?? 0}
+                    onChange={(e) => setSelection({
+                      ...selection,
+                      [item.tabLineId]: Math.max(0, Math.min(item.quantity, Number.parseInt(e.target.value, 10) || 0))
+                    })}
+                    className={`${inputClass} w-20 text-center font-bold`}
+                  />
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setSelection(Object.fromEntries(settling.items.map(item => [item.tabLineId, item.quantity])))}
+                  className="px-3 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+                >
+                  Everything
+                </button>
+                <button
+                  onClick={() => setSelection({})}
+                  className="px-3 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+                >
+                  Nothing
+                </button>
+              </div>
+              <div className="flex items-center gap-3">
+                <label className="text-sm font-medium text-foreground">Split evenly between</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={guests}
+                  onChange={(e) => setGuests(Math.max(1, Number.parseInt(e.target.value, 10) || 1))}
+                  className={`${inputClass} w-20 text-center`}
+                />
+                <span className="text-sm text-muted-foreground">guest{guests === 1 ? "" : "s"}</span>
+              </div>
+              <div className="flex justify-between items-center pt-2 border-t border-border">
+                <span className="text-sm font-medium text-muted-foreground">Paying now (before promotions and deposits)</span>
+                <span className="text-2xl font-black text-foreground">{formatKES(selectedTotal)}</span>
+              </div>
+              <button
+                onClick={() => run(() => onSettle(settling, selection, guests))}
+                disabled={isSaving || selectedTotal <= 0 || isSettling || cartItemCount > 0}
+                className="w-full py-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-bold rounded-lg transition-colors"
+              >
+                {cartItemCount > 0 ? "Finish or hold the current sale first" : "Load into till for payment"}
+              </button>
+            </div>
+          ) : tabs.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No open tabs in this branch</p>
+          ) : (
+            <div className="space-y-3">
+              {tabs.map(tab => {
+                const isMine = String(tab.cashierId) === String(currentUser?.id)
+                const itemCount = getTabItemCount(tab)
+                return (
+                  <div key={tab.id} className="border-2 border-border rounded-lg p-4">
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-bold text-foreground truncate">{tab.name}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {isMine ? "Your tab" : tab.cashierName} · opened {formatTimeAgo(tab.openedAt)} · {itemCount} item{itemCount === 1 ? "" : "s"}
+                        </p>
+                        {tab.transfers?.length > 0 && (
+                          <p className="text-xs text-muted-foreground">
+                            Handed over from {tab.transfers[tab.transfers.length - 1].fromName}
+                          </p>
+                        )}
+                      </div>
+                      <span className="text-lg font-black text-foreground whitespace-nowrap">{formatKES(getTabTotal(tab))}</span>
+                    </div>
+
+                    {transferring?.id === tab.id ? (
+                      <div className="flex gap-2 mt-3">
+                        <select
+                          value={transferToId}
+                          onChange={(e) => setTransferToId(e.target.value)}
+                          className={`${inputClass} flex-1`}
+                        >
+                          <option value="">Hand over to...</option>
+                          {staff.filter(user => String(user.id) !== String(tab.cashierId)).map(user => (
+                            <option key={user.id} value={String(user.id)}>{user.name} ({user.role})</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={handleTransfer}
+                          disabled={isSaving || !transferToId}
+                          className="px-3 py-2 bg-primary hover:bg-primary/90 disabled:opacity-50 text-primary-foreground font-semibold rounded-lg text-sm"
+                        >
+                          Transfer
+                        </button>
+                        <button
+                          onClick={() => setTransferring(null)}
+                          className="px-3 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex flex-wrap gap-2 mt-3">
+                        {canMoveCart && (
+                          <button
+                            onClick={() => run(() => onAddCart(tab))}
+                            disabled={isSaving}
+                            className="px-3 py-1.5 bg-purple-700 hover:bg-purple-800 disabled:bg-gray-400 text-white font-semibold rounded-lg text-sm"
+                          >
+                            + Add cart
+                          </button>
+                        )}
+                        {itemCount > 0 ? (
+                          <button
+                            onClick={() => startSettle(tab)}
+                            className="px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg text-sm"
+                          >
+                            💳 Settle
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => run(() => onCloseTab(tab))}
+                            disabled={isSaving}
+                            className="px-3 py-1.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-sm"
+                          >
+                            Close empty tab
+                          </button>
+                        )}
+                        <button
+                          onClick={() => startTransfer(tab)}
+                          className="px-3 py-1.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-sm"
+                        >
+                          🔁 Transfer
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
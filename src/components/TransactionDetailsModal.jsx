@@ -2,8 +2,16 @@
 
 import { useState } from "react"
 import { toast } from "sonner"
+import { getTransactionPayments, getTenderLabel, isSplitTender } from "../utils/tenders"
+import { isCreditNote, isSaleTransaction, RETURN_DISPOSITIONS } from "../utils/returns"
+import { isVoucherSale } from "../utils/vouchers"
+import { isDepositRefund } from "../utils/deposits"
+import { getReceiptNumber } from "../utils/receiptNumbers"
+import { getReasonLabel } from "../utils/priceOverrides"
+import { getIdTypeLabel } from "../utils/ageVerification"
+import { getLotLabel } from "../utils/lots"
 
-export default function TransactionDetailsModal({ transaction, onClose, onCancel, currentUser, cashierName, cashierRole, branchName }) {
+export default function TransactionDetailsModal({ transaction, onClose, onCancel, onReturn, onViewCreditNote, currentUser, cashierName, cashierRole, branchName }) {
   const [isCancelling, setIsCancelling] = useState(false)
 
   if (!transaction) return null
@@ -25,10 +33,17 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
       case 'mpesa': return 'M-Pesa'
       case 'credit': return 'Credit'
       case 'cash': return 'Cash'
+      case 'split': return 'Split'
+      case 'store_credit': return 'Store Credit'
+      case 'voucher': return 'Gift Voucher'
+      case 'loyalty_points': return 'Loyalty Points'
       default: return method || 'Cash'
     }
   }
 
+  const isSplit = isSplitTender(transaction)
+  const creditNote = isCreditNote(transaction)
+
   const handleCancelTransaction = async () => {
     if (!onCancel) {
       toast.error('Not Available', {
@@ -62,7 +77,20 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
     }
   }
 
-  const canCancel = (currentUser?.role === 'admin' || currentUser?.role === 'cashier') && transaction.paymentStatus !== 'cancelled'
+  // A sale with returns against it can't be cancelled outright - the credit notes already moved stock and money.
+  // Neither can an empties refund: the empties are back on the shelf and cancelling has no lines to take them off
+  const canCancel = (currentUser?.role === 'admin' || currentUser?.role === 'cashier') &&
+    transaction.paymentStatus !== 'cancelled' &&
+    !creditNote &&
+    !isVoucherSale(transaction) &&
+    !isDepositRefund(transaction) &&
+    !(transaction.returns?.length > 0)
+
+  const canReturn = !!onReturn &&
+    ['admin', 'manager', 'cashier'].includes(currentUser?.role) &&
+    isSaleTransaction(transaction) &&
+    transaction.paymentStatus !== 'cancelled' &&
+    transaction.refundStatus !== 'full'
 
   return (
     <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
@@ -78,8 +106,22 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
         
         <div className="p-6 border-b-2 border-border bg-primary/5 flex-shrink-0">
           <div className="flex items-center justify-between mb-2">
-            <h2 className="text-2xl font-bold text-foreground">Transaction Details</h2>
+            <h2 className="text-2xl font-bold text-foreground">{creditNote ? 'Credit Note' : 'Transaction Details'}</h2>
             <div className="flex items-center gap-2">
+              {creditNote && (
+                <div className="px-3 py-1 rounded-full bg-orange-500/20 border border-orange-500">
+                  <span className="text-sm font-semibold text-orange-600 dark:text-orange-400">
+                    {transaction.creditNoteNumber}
+                  </span>
+                </div>
+              )}
+              {transaction.refundStatus && (
+                <div className="px-3 py-1 rounded-full bg-orange-500/20 border border-orange-500">
+                  <span className="text-sm font-semibold text-orange-600 dark:text-orange-400">
+                    {transaction.refundStatus === 'full' ? 'RETURNED' : 'PARTLY RETURNED'}
+                  </span>
+                </div>
+              )}
               {transaction.paymentStatus === 'cancelled' && (
                 <div className="px-3 py-1 rounded-full bg-destructive/20 border border-destructive">
                   <span className="text-sm font-semibold text-destructive">
@@ -95,6 +137,11 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
             </div>
           </div>
           <div className="space-y-1">
+            {!creditNote && (
+              <p className="text-sm text-muted-foreground">
+                Receipt No: <span className="font-semibold font-mono text-foreground">{getReceiptNumber(transaction)}</span>
+              </p>
+            )}
             <p className="text-sm text-muted-foreground">
               Date: <span className="font-semibold text-foreground">{formatDateTime(transaction.timestamp)}</span>
             </p>
@@ -117,6 +164,30 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
                 )}
               </div>
             )}
+            {creditNote && (
+              <p className="text-sm text-muted-foreground">
+                Return against receipt: <span className="font-semibold text-foreground">{transaction.originalReceiptNumber}</span>
+                {transaction.reason ? <> • Reason: <span className="font-semibold text-foreground">{transaction.reason}</span></> : null}
+              </p>
+            )}
+            {transaction.quoteNumber && (
+              <p className="text-sm text-muted-foreground">
+                From quote: <span className="font-semibold font-mono text-foreground">{transaction.quoteNumber}</span>
+              </p>
+            )}
+            {transaction.ageVerification && (
+              <p className="text-sm text-muted-foreground">
+                ID checked: <span className="font-semibold text-foreground">
+                  {getIdTypeLabel(transaction.ageVerification.idType)}, age {transaction.ageVerification.age}
+                </span>
+                {' '}({transaction.ageVerification.method === 'scan' ? 'scanned' : 'typed in'} by {transaction.ageVerification.verifiedBy})
+              </p>
+            )}
+            {transaction.returns?.length > 0 && (
+              <p className="text-sm text-muted-foreground">
+                Credit notes: <span className="font-semibold text-foreground">{transaction.returns.map(r => r.creditNoteNumber).join(', ')}</span>
+              </p>
+            )}
             {transaction.cancelledAt && (
               <p className="text-sm text-destructive">
                 Cancelled: <span className="font-semibold">{formatDateTime(transaction.cancelledAt)}</span> by {transaction.cancelledBy || 'Admin'}
@@ -128,8 +199,8 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
         <div className="p-6 overflow-y-auto flex-1 min-h-0" role="region" aria-label="Transaction details" tabIndex={0}>
           <div className="mb-6">
             <h3 className="text-lg font-bold text-foreground mb-3 flex items-center gap-2">
-              <span>🛒</span>
-              <span>Items Purchased</span>
+              <span>{creditNote ? '↩️' : '🛒'}</span>
+              <span>{creditNote ? 'Items Returned' : 'Items Purchased'}</span>
             </h3>
             <div className="space-y-2">
               {transaction.items && transaction.items.length > 0 ? (
@@ -143,6 +214,21 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
                       <p className="text-sm text-muted-foreground">
                         {item.quantity} × KES {item.price.toLocaleString()}
                       </p>
+                      {item.priceOverride && (
+                        <p className="text-xs text-amber-700 dark:text-amber-400 font-semibold">
+                          Price changed from KES {item.priceOverride.originalPrice.toLocaleString()} · {getReasonLabel(item.priceOverride.reasonCode)}
+                          {item.priceOverride.reasonNote ? ` (${item.priceOverride.reasonNote})` : ''}
+                          {item.priceOverride.approvedBy ? ` · approved by ${item.priceOverride.approvedBy.name}` : ''}
+                        </p>
+                      )}
+                      {item.lots?.length > 0 && (
+                        <p className="text-xs text-muted-foreground">
+                          Lot {item.lots.map(pick => `${getLotLabel(pick)}${item.lots.length > 1 ? ` (${pick.quantity})` : ''}`).join(', ')}
+                        </p>
+                      )}
+                      {item.disposition === RETURN_DISPOSITIONS.DAMAGED && (
+                        <p className="text-xs text-destructive font-semibold">Written off - damaged</p>
+                      )}
                     </div>
                     <p className="font-bold text-foreground text-lg">
                       KES {(item.price * item.quantity).toLocaleString()}
@@ -167,6 +253,14 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
                   KES {(transaction.subtotal ?? 0).toLocaleString()}
                 </span>
               </div>
+              {(transaction.promotions || []).map((promotion) => (
+                <div key={promotion.promotionId} className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">🏷️ {promotion.name}:</span>
+                  <span className="text-destructive font-semibold">
+                    - KES {(promotion.discount ?? 0).toLocaleString()}
+                  </span>
+                </div>
+              ))}
               {transaction.discount > 0 && (
                 <div className="flex justify-between text-sm">
                   <span className="text-muted-foreground">Discount ({transaction.discount}%):</span>
@@ -176,7 +270,7 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
                 </div>
               )}
               <div className="flex justify-between font-bold text-lg pt-2 border-t border-border">
-                <span className="text-foreground">Total Paid:</span>
+                <span className="text-foreground">{creditNote ? 'Total Refunded:' : 'Total Paid:'}</span>
                 <span className="text-primary">KES {transaction.total.toLocaleString()}</span>
               </div>
               <div className="flex justify-between text-sm pt-2 border-t border-border">
@@ -185,6 +279,49 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
                   {getPaymentMethodLabel(transaction.paymentMethod)}
                 </span>
               </div>
+              {isSplit && getTransactionPayments(transaction).map((payment, index) => (
+                <div key={index} className="flex justify-between text-sm pl-4">
+                  <span className="text-muted-foreground">
+                    {getTenderLabel(payment.method)}
+                    {payment.reference && <span className="font-mono ml-1">({payment.reference})</span>}
+                  </span>
+                  <span className="text-foreground font-semibold">
+                    KES {(payment.amount || 0).toLocaleString()}
+                  </span>
+                </div>
+              ))}
+              {!isSplit && transaction.payments?.[0]?.method === 'mpesa' && transaction.payments[0].reference && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">M-Pesa Code:</span>
+                  <span className="text-foreground font-semibold font-mono">{transaction.payments[0].reference}</span>
+                </div>
+              )}
+              {transaction.mpesaReconciliation && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">M-Pesa Statement:</span>
+                  <span className={`font-semibold ${
+                    transaction.mpesaReconciliation.status === 'matched' ? 'text-success'
+                      : transaction.mpesaReconciliation.status === 'amount_mismatch' ? 'text-orange-600'
+                      : 'text-destructive'
+                  }`}>
+                    {transaction.mpesaReconciliation.status === 'matched' ? '✓ Reconciled'
+                      : transaction.mpesaReconciliation.status === 'amount_mismatch' ? `Amount differs by KES ${Math.abs(transaction.mpesaReconciliation.difference || 0).toLocaleString()}`
+                      : 'Not on statement'}
+                  </span>
+                </div>
+              )}
+              {transaction.fiscal && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">Fiscal Invoice:</span>
+                  {transaction.fiscal.status === 'signed' ? (
+                    <span className="text-foreground font-semibold font-mono">{transaction.fiscal.cuInvoiceNumber}</span>
+                  ) : (
+                    <span className={`font-semibold ${transaction.fiscal.status === 'failed' ? 'text-destructive' : 'text-orange-600'}`}>
+                      {transaction.fiscal.status === 'failed' ? 'Failed - retry from settings' : 'Pending'}
+                    </span>
+                  )}
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span className="text-muted-foreground">Total Items:</span>
                 <span className="text-foreground font-semibold">
@@ -197,6 +334,22 @@ export default function TransactionDetailsModal({ transaction, onClose, onCancel
 
         <div className="p-4 border-t-2 border-border bg-muted/20 flex-shrink-0">
           <div className="flex gap-3">
+            {creditNote && onViewCreditNote && (
+              <button
+                onClick={() => onViewCreditNote(transaction)}
+                className="flex-1 px-5 py-3 bg-orange-600 hover:bg-orange-700 text-white font-bold rounded-lg transition-all shadow-xl hover:scale-[1.02] active:scale-[0.98]"
+              >
+                🧾 View Credit Note
+              </button>
+            )}
+            {canReturn && (
+              <button
+                onClick={() => onReturn(transaction)}
+                className="flex-1 px-5 py-3 bg-orange-600 hover:bg-orange-700 text-white font-bold rounded-lg transition-all shadow-xl hover:scale-[1.02] active:scale-[0.98]"
+              >
+                ↩️ Return Items
+              </button>
+            )}
             {canCancel && (
               <button
                 onClick={handleCancelTransaction}
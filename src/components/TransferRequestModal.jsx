@@ -0,0 +1,177 @@
+"use client"
+
+import { useState } from "react"
+import { describeStock, getBaseUnitName } from "../utils/unitsOfMeasure"
+
+const MAX_PRODUCT_RESULTS = 8
+
+/**
+ * Ask another branch for stock. Products come from the requesting branch's own
+ * inventory; the other branch finds its copy of each when it dispatches.
+ */
+export default function TransferRequestModal({ branches, products, onCreate, onClose }) {
+  const [fromBranchId, setFromBranchId] = useState(branches[0]?.id || "")
+  const [search, setSearch] = useState("")
+  const [lines, setLines] = useState([])
+  const [notes, setNotes] = useState("")
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const term = search.trim().toLowerCase()
+  const results = term
+    ? products
+      .filter(p => !lines.some(line => line.product.id === p.id))
+      .filter(p => p.name?.toLowerCase().includes(term) || p.sku?.toLowerCase().includes(term) || p.barcode?.includes(search.trim()))
+      .slice(0, MAX_PRODUCT_RESULTS)
+    : []
+
+  const addLine = (product) => {
+    setLines([...lines, { product, quantity: Math.max(1, (product.reorderLevel || 0) - (product.quantity || 0)) }])
+    setSearch("")
+  }
+
+  const setQuantity = (productId, value) => {
+    setLines(lines.map(line => (line.product.id === productId ? { ...line, quantity: value === "" ? "" : Number(value) } : line)))
+  }
+
+  const handleSubmit = async () => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await onCreate({ fromBranchId, lines, notes })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-2xl w-full border-2 border-border relative max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b-2 border-border flex items-start justify-between gap-4 flex-shrink-0">
+          <div>
+            <h2 className="text-2xl font-bold text-foreground">🚚 Request Stock</h2>
+            <p className="text-sm text-muted-foreground mt-1">The other branch sends what it can spare; it reaches your shelf when you receive it</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-accent rounded-lg transition-colors" title="Close">✕</button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-1">Request from</label>
+            {branches.length === 0 ? (
+              <p className="text-sm text-muted-foreground">There are no other branches to request stock from</p>
+            ) : (
+              <select
+                value={fromBranchId}
+                onChange={(e) => setFromBranchId(e.target.value)}
+                className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+              >
+                {branches.map(branch => (
+                  <option key={branch.id} value={branch.id}>{branch.name || branch.id}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-1">Add products</label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search your products by name, SKU or barcode"
+              className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+            />
+            {results.length > 0 && (
+              <div className="mt-1 border-2 border-border rounded-lg divide-y divide-border">
+                {results.map(product => (
+                  <button
+                    key={product.id}
+                    onClick={() => addLine(product)}
+                    className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-accent transition-colors"
+                  >
+                    <span className="text-sm font-medium text-foreground">{product.name}</span>
+                    <span className="text-xs text-muted-foreground">{describeStock(product.quantity || 0, product)} here</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {lines.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-3">Product</th>
+                  <th className="py-2 pr-3 text-right">Here now</th>
+                  <th className="py-2 pr-3 text-right">Need</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map(line => (
+                  <tr key={line.product.id} className="border-b border-border last:border-0">
+                    <td className="py-2 pr-3 font-medium text-foreground">{line.product.name}</td>
+                    <td className="py-2 pr-3 text-right text-muted-foreground">{line.product.quantity || 0}</td>
+                    <td className="py-2 pr-3 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={line.quantity}
+                        onChange={(e) => setQuantity(line.product.id, e.target.value)}
+                        className="w-20 px-2 py-1 bg-background border-2 border-border rounded-lg text-right"
+                      />
+                      <span className="ml-1 text-xs text-muted-foreground">{getBaseUnitName(line.product)}</span>
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => setLines(lines.filter(other => other !== line))}
+                        className="px-2 py-1 text-destructive hover:bg-destructive/10 rounded-lg"
+                        title="Remove"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-1">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={2}
+              placeholder="e.g. Needed for Saturday's event"
+              className="w-full px-3 py-2 bg-background border-2 border-border rounded-lg text-foreground"
+            />
+          </div>
+
+          {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+        </div>
+
+        <div className="p-4 border-t-2 border-border flex gap-2 flex-shrink-0">
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="px-4 py-2.5 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSaving || lines.length === 0 || !fromBranchId}
+            className="flex-1 py-2.5 bg-primary hover:bg-primary/90 disabled:bg-gray-400 text-primary-foreground font-semibold rounded-lg transition-colors"
+          >
+            {isSaving ? "Sending request..." : "Send Request"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,300 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import QRCode from "qrcode"
+import { formatKES } from "../utils/pricing"
+import { getTenderLabel } from "../utils/tenders"
+import {
+  VOUCHER_STATUS,
+  VOUCHER_PURCHASE_METHODS,
+  DEFAULT_VOUCHER_VALIDITY_MONTHS,
+  getVoucherStatus
+} from "../utils/vouchers"
+
+const VALUE_PRESETS = [1000, 2000, 5000, 10000]
+
+const STATUS_STYLES = {
+  [VOUCHER_STATUS.ACTIVE]: "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400",
+  [VOUCHER_STATUS.REDEEMED]: "bg-muted text-muted-foreground",
+  [VOUCHER_STATUS.EXPIRED]: "bg-destructive/10 text-destructive"
+}
+
+/**
+ * Printable voucher: the code as text and as a QR the till can scan back in
+ */
+function VoucherCard({ voucher, storeName }) {
+  const [qrUrl, setQrUrl] = useState("")
+
+  useEffect(() => {
+    let cancelled = false
+    QRCode.toDataURL(voucher.code, { width: 200, margin: 1, errorCorrectionLevel: 'M' })
+      .then(url => { if (!cancelled) setQrUrl(url) })
+      .catch(error => console.error('Error generating voucher QR code:', error))
+    return () => { cancelled = true }
+  }, [voucher.code])
+
+  return (
+    <div className="bg-white text-black border-2 border-dashed border-black rounded-lg p-4 text-center space-y-1">
+      <p className="text-lg font-black uppercase">{storeName}</p>
+      <p className="text-sm font-bold uppercase tracking-widest">Gift Voucher</p>
+      <p className="text-3xl font-black">{formatKES(voucher.initialValue)}</p>
+      {voucher.recipientName && <p className="text-sm font-semibold">For {voucher.recipientName}</p>}
+      {qrUrl && <img src={qrUrl} alt={`QR code for voucher ${voucher.code}`} className="w-36 h-36 mx-auto" />}
+      <p className="text-xl font-black font-mono tracking-wider">{voucher.code}</p>
+      <p className="text-xs font-semibold">
+        Valid until {new Date(voucher.expiresAt).toLocaleDateString('en-KE')} · can be used over several visits
+      </p>
+    </div>
+  )
+}
+
+/**
+ * Sell a gift voucher, check what is left on one, and (re)print it
+ */
+export default function VouchersModal({ storeName = "Whiskey Ballet", onSell, onLookup, onClose }) {
+  const [mode, setMode] = useState("sell")
+  const [value, setValue] = useState("")
+  const [recipientName, setRecipientName] = useState("")
+  const [validityMonths, setValidityMonths] = useState(DEFAULT_VOUCHER_VALIDITY_MONTHS)
+  const [method, setMethod] = useState(VOUCHER_PURCHASE_METHODS[0])
+  const [reference, setReference] = useState("")
+  const [code, setCode] = useState("")
+  const [voucher, setVoucher] = useState(null)
+  const [error, setError] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+
+  const switchMode = (next) => {
+    setMode(next)
+    setVoucher(null)
+    setError("")
+  }
+
+  const run = async (action) => {
+    setError("")
+    setIsSaving(true)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSell = () => run(async () => {
+    const sold = await onSell({
+      value: Number.parseFloat(value) || 0,
+      recipientName,
+      validityMonths,
+      method,
+      reference: reference.trim()
+    })
+    setVoucher(sold)
+    setValue("")
+    setRecipientName("")
+    setReference("")
+  })
+
+  const handleLookup = () => run(async () => {
+    const found = await onLookup(code)
+    if (!found) throw new Error("No voucher with that code")
+    setVoucher(found)
+  })
+
+  const inputClass = "w-full px-3 py-2 border-2 border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+  const status = voucher ? getVoucherStatus(voucher) : null
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+      <div className="bg-card rounded-lg shadow-2xl max-w-md w-full border-2 border-border relative max-h-[90vh] flex flex-col print:max-h-none print:border-0 print:shadow-none">
+        <div className="p-5 border-b-2 border-border text-white rounded-t-lg bg-gradient-to-r from-rose-800 to-rose-700 print:hidden">
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-3 right-3 w-7 h-7 flex items-center justify-center rounded-lg bg-white/20 hover:bg-white/30 text-white transition-colors"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+          <h2 className="text-xl font-bold">🎁 Gift Vouchers</h2>
+          <p className="text-sm opacity-90 mt-1">Sell a voucher or check what is left on one</p>
+        </div>
+
+        <div className="p-5 space-y-4 overflow-y-auto">
+          <div className="grid grid-cols-2 gap-2 print:hidden">
+            {[["sell", "Sell voucher"], ["check", "Check balance"]].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => switchMode(key)}
+                className={`py-2 rounded-lg border-2 font-semibold transition-colors ${
+                  mode === key ? "border-primary bg-primary/10 text-primary" : "border-border text-foreground hover:bg-muted"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === "sell" && !voucher && (
+            <div className="space-y-3">
+              <div>
+                <label className="block text-xs font-medium text-muted-foreground mb-1">Value</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={value}
+                  onChange={(e) => setValue(e.target.value)}
+                  placeholder="KES"
+                  className={`${inputClass} text-lg font-bold`}
+                  autoFocus
+                />
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {VALUE_PRESETS.map(preset => (
+                    <button
+                      key={preset}
+                      type="button"
+                      onClick={() => setValue(String(preset))}
+                      className="px-3 py-1 text-xs border border-border rounded-full hover:bg-muted text-foreground"
+                    >
+                      {formatKES(preset)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-muted-foreground mb-1">For (optional)</label>
+                  <input
+                    type="text"
+                    value={recipientName}
+                    onChange={(e) => setRecipientName(e.target.value)}
+                    placeholder="Name on the voucher"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-muted-foreground mb-1">Valid for (months)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={validityMonths}
+                    onChange={(e) => setValidityMonths(Math.max(1, Number.parseInt(e.target.value, 10) || 1))}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-muted-foreground mb-1">Paid with</label>
+                <div className="grid grid-cols-2 gap-2">
+                  {VOUCHER_PURCHASE_METHODS.map(option => (
+                    <button
+                      key={option}
+                      type="button"
+                      onClick={() => setMethod(option)}
+                      className={`py-2 rounded-lg border-2 font-semibold transition-colors ${
+                        method === option ? "border-primary bg-primary/10 text-primary" : "border-border text-foreground hover:bg-muted"
+                      }`}
+                    >
+                      {getTenderLabel(option)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {method !== VOUCHER_PURCHASE_METHODS[0] && (
+                <input
+                  type="text"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value.toUpperCase())}
+                  placeholder="M-Pesa transaction code"
+                  className={inputClass}
+                />
+              )}
+              {error && <p className="text-sm font-semibold text-destructive">⚠️ {error}</p>}
+              <button
+                type="button"
+                onClick={handleSell}
+                disabled={isSaving || !(Number.parseFloat(value) > 0)}
+                className="w-full py-3 bg-rose-700 hover:bg-rose-800 disabled:bg-gray-400 text-white font-bold rounded-lg transition-colors"
+              >
+                {isSaving ? "Saving..." : `Sell ${Number.parseFloat(value) > 0 ? formatKES(Number.parseFloat(value)) : ""} voucher`}
+              </button>
+            </div>
+          )}
+
+          {mode === "check" && (
+            <div className="flex gap-2 print:hidden">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                onKeyDown={(e) => e.key === "Enter" && !isSaving && handleLookup()}
+                placeholder="Scan or type the voucher code"
+                className={`${inputClass} font-mono uppercase`}
+                autoFocus
+              />
+              <button
+                type="button"
+                onClick={handleLookup}
+                disabled={isSaving || !code.trim()}
+                className="px-4 py-2 bg-primary hover:bg-primary/90 disabled:opacity-50 text-primary-foreground font-semibold rounded-lg"
+              >
+                Check
+              </button>
+            </div>
+          )}
+          {mode === "check" && error && <p className="text-sm font-semibold text-destructive print:hidden">⚠️ {error}</p>}
+
+          {voucher && (
+            <div className="space-y-3">
+              {mode === "sell" && (
+                <p className="text-sm font-semibold text-green-600 print:hidden">
+                  ✓ Voucher sold. Print it for the customer.
+                </p>
+              )}
+              {mode === "check" && (
+                <div className="bg-muted/30 rounded-lg p-3 space-y-1 print:hidden">
+                  <div className="flex justify-between items-center">
+                    <span className="font-mono font-bold text-foreground">{voucher.code}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">Balance</span>
+                    <span className="font-black text-foreground">{formatKES(voucher.balance)} of {formatKES(voucher.initialValue)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">Expires</span>
+                    <span className="text-foreground">{new Date(voucher.expiresAt).toLocaleDateString('en-KE')}</span>
+                  </div>
+                  {(voucher.redemptions || []).filter(r => !r.reversedAt).map((r, index) => (
+                    <div key={index} className="flex justify-between text-xs text-muted-foreground">
+                      <span>{new Date(r.redeemedAt).toLocaleDateString('en-KE')} · {r.redeemedBy}</span>
+                      <span>-{formatKES(r.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <VoucherCard voucher={voucher} storeName={storeName} />
+              <div className="grid grid-cols-2 gap-2 print:hidden">
+                <button
+                  type="button"
+                  onClick={() => window.print()}
+                  className="py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg"
+                >
+                  🖨️ Print voucher
+                </button>
+                <button
+                  type="button"
+                  onClick={() => switchMode(mode)}
+                  className="py-2 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg"
+                >
+                  {mode === "sell" ? "Sell another" : "Check another"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
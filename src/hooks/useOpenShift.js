@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getAdminIdForStorage } from '../utils/auth'
+import { getOpenShift } from '../utils/shifts'
+
+/**
+ * Tracks the signed-in cashier's open shift
+ * @param {Object} currentUser
+ * @returns {{ shift: Object|null, setShift: Function, loading: boolean, refresh: Function }}
+ */
+export function useOpenShift(currentUser) {
+  const [shift, setShift] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const refresh = useCallback(async () => {
+    if (!currentUser?.id) {
+      setShift(null)
+      setLoading(false)
+      return
+    }
+    try {
+      setShift(await getOpenShift(getAdminIdForStorage(currentUser), currentUser.id))
+    } catch (error) {
+      console.error('Error loading open shift:', error)
+    } finally {
+      setLoading(false)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  return { shift, setShift, loading, refresh }
+}
@@ -1,4 +1,5 @@
 // Real-time listeners for additional Firestore collections
+import { where } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { subscribeToCollection } from './subscribeToCollection';
 
@@ -41,3 +42,55 @@ export function subscribeToExpenses(adminId, onUpdate, onError) {
     onError
   });
 }
+
+export function subscribeToPromotions(adminId, onUpdate, onError) {
+  return subscribeToCollection({
+    db,
+    collectionPath: 'promotions',
+    adminId,
+    onUpdate,
+    onError
+  });
+}
+
+export function subscribeToShifts(adminId, onUpdate, onError) {
+  return subscribeToCollection({
+    db,
+    collectionPath: 'shifts',
+    adminId,
+    onUpdate,
+    onError
+  });
+}
+
+export function subscribeToShiftsByBranch(adminId, branchId, onUpdate, onError) {
+  return subscribeToCollection({
+    db,
+    collectionPath: 'shifts',
+    adminId,
+    onUpdate,
+    onError,
+    queryConstraints: branchId ? [where('branchId', '==', branchId)] : []
+  });
+}
+
+export function subscribeToTabsByBranch(adminId, branchId, onUpdate, onError) {
+  return subscribeToCollection({
+    db,
+    collectionPath: 'tabs',
+    adminId,
+    onUpdate,
+    onError,
+    queryConstraints: branchId ? [where('branchId', '==', branchId)] : []
+  });
+}
+
+export function subscribeToVouchers(adminId, onUpdate, onError) {
+  return subscribeToCollection({
+    db,
+    collectionPath: 'vouchers',
+    adminId,
+    onUpdate,
+    onError
+  });
+}
@@ -57,6 +57,13 @@ export function subscribeToCollection({ db, collectionPath, adminId, onUpdate, o
         if (storeName === 'inventory') storeName = STORES.INVENTORY;
         if (storeName === 'customers') storeName = STORES.CUSTOMERS;
         if (storeName === 'expenses') storeName = STORES.EXPENSES;
+        if (storeName === 'promotions') storeName = STORES.PROMOTIONS;
+        if (storeName === 'shifts') storeName = STORES.SHIFTS;
+        if (storeName === 'tabs') storeName = STORES.TABS;
+        if (storeName === 'vouchers') storeName = STORES.VOUCHERS;
+        if (storeName === 'quotes') storeName = STORES.QUOTES;
+        if (storeName === 'stockTransfers') storeName = STORES.STOCK_TRANSFERS;
+        if (storeName === 'stockMovements') storeName = STORES.STOCK_MOVEMENTS;
         if (storeName === 'branches') storeName = STORES.BRANCHES;
         if (storeName === 'users') storeName = STORES.USERS;
         if (storeName === 'settings') storeName = STORES.SETTINGS;
@@ -0,0 +1,103 @@
+/**
+ * Tests for age verification at the till
+ */
+
+import {
+  requiresAgeCheck,
+  calculateAge,
+  parseIdBarcode,
+  buildAgeVerification,
+  getAgeVerificationLog
+} from '../ageVerification'
+
+describe('Age Verification Module', () => {
+  const now = new Date(2026, 9, 19, 12, 0, 0)
+
+  describe('requiresAgeCheck', () => {
+    test('should only skip carts with nothing but mixers', () => {
+      expect(requiresAgeCheck([{ category: 'Mixers' }])).toBe(false)
+      expect(requiresAgeCheck([{ category: 'Mixers' }, { category: 'Whisky' }])).toBe(true)
+      expect(requiresAgeCheck([{ name: 'No category' }])).toBe(true)
+      expect(requiresAgeCheck([])).toBe(false)
+    })
+  })
+
+  describe('calculateAge', () => {
+    test('should count whole years up to the birthday', () => {
+      expect(calculateAge('2008-10-19', now)).toBe(18)
+      expect(calculateAge('2008-10-20', now)).toBe(17)
+      expect(calculateAge('1990-02-28', now)).toBe(36)
+      expect(calculateAge('2008-02-30', now)).toBeNull()
+      expect(calculateAge('2030-01-01', now)).toBeNull()
+      expect(calculateAge('', now)).toBeNull()
+    })
+  })
+
+  describe('parseIdBarcode', () => {
+    test('should read the birth date from a passport MRZ', () => {
+      const mrz = [
+        'P<KENMWANGI<<JOHN<KAMAU<<<<<<<<<<<<<<<<<<<<<',
+        'AK12345674KEN9002288M3001012<<<<<<<<<<<<<<02'
+      ].join('\n')
+      expect(parseIdBarcode(mrz, now)).toBe('1990-02-28')
+    })
+
+    test('should read the birth date from an ID card MRZ', () => {
+      const mrz = [
+        'IDKEN1234567897<<<<<<<<<<<<<<<',
+        '0811052M3501011KEN<<<<<<<<<<<4',
+        'OTIENO<<AKINYI<<<<<<<<<<<<<<<<'
+      ].join('\n')
+      expect(parseIdBarcode(mrz, now)).toBe('2008-11-05')
+    })
+
+    test('should read AAMVA and plain dates', () => {
+      expect(parseIdBarcode('@\n\x1e\rANSI 636000090002DL00410278ZV03190008DLDAQT64235789\nDBB07041985\nDCSSAMPLE', now)).toBe('1985-07-04')
+      expect(parseIdBarcode('DOB: 05/11/2001', now)).toBe('2001-11-05')
+      expect(parseIdBarcode('born 2001-11-05', now)).toBe('2001-11-05')
+      expect(parseIdBarcode('https://example.com', now)).toBeNull()
+    })
+  })
+
+  describe('buildAgeVerification', () => {
+    test('should keep the age but not the date of birth', () => {
+      const record = buildAgeVerification({
+        idType: 'national_id',
+        dateOfBirth: '1990-02-28',
+        method: 'scan',
+        user: { id: 'u1', name: 'Jane' },
+        now
+      })
+      expect(record).toEqual({
+        idType: 'national_id',
+        method: 'scan',
+        age: 36,
+        verifiedAt: now.toISOString(),
+        verifiedBy: 'Jane',
+        verifiedById: 'u1'
+      })
+      expect(JSON.stringify(record)).not.toContain('1990')
+    })
+
+    test('should refuse under-age customers and incomplete checks', () => {
+      expect(() => buildAgeVerification({ idType: 'passport', dateOfBirth: '2008-10-20', now })).toThrow('under 18')
+      expect(() => buildAgeVerification({ idType: 'passport', dateOfBirth: '', now })).toThrow('valid date of birth')
+      expect(() => buildAgeVerification({ idType: 'library_card', dateOfBirth: '1990-02-28', now })).toThrow('type of ID')
+    })
+  })
+
+  describe('getAgeVerificationLog', () => {
+    test('should list verified sales newest first', () => {
+      const check = (verifiedAt) => ({ idType: 'passport', method: 'manual', age: 30, verifiedAt, verifiedBy: 'Jane' })
+      const log = getAgeVerificationLog([
+        { id: 't1', receiptNumber: 'R1', branchId: 'b1', total: 500, ageVerification: check('2026-10-18T10:00:00.000Z') },
+        { id: 't2', receiptNumber: 'R2', branchId: 'b1', total: 800, ageVerification: check('2026-10-19T10:00:00.000Z') },
+        { id: 't3', paymentStatus: 'cancelled', ageVerification: check('2026-10-19T11:00:00.000Z') },
+        { id: 't4', type: 'credit_note', ageVerification: check('2026-10-19T11:00:00.000Z') },
+        { id: 't5', total: 200 }
+      ])
+      expect(log.map(row => row.receiptNumber)).toEqual(['R2', 'R1'])
+      expect(log[0]).toMatchObject({ idType: 'Passport', method: 'Typed in', age: 30, verifiedBy: 'Jane', branchId: 'b1' })
+    })
+  })
+})
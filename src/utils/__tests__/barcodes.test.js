@@ -0,0 +1,137 @@
+/**
+ * Tests for barcode symbols and internal barcodes
+ */
+
+import {
+  getCheckDigit,
+  isValidEAN,
+  getSymbology,
+  getBarcodeBars,
+  getBarcodeLayout,
+  getBarcodeSVG,
+  isInternalBarcode,
+  buildInternalBarcode,
+  getNextInternalBarcode,
+  assignMissingBarcodes
+} from '../barcodes'
+
+// Turn bars back into a 1/0 module string without the quiet zones
+const toModules = ({ width, bars }, [before, after]) => {
+  const modules = Array(width).fill('0')
+  bars.forEach(bar => {
+    for (let i = 0; i < bar.width; i++) modules[bar.x + i] = '1'
+  })
+  return modules.slice(before, width - after).join('')
+}
+
+describe('Barcodes Module', () => {
+  describe('check digits', () => {
+    test('should calculate GS1 check digits', () => {
+      expect(getCheckDigit('400638133393')).toBe(1)
+      expect(getCheckDigit('9638507')).toBe(4)
+      expect(isValidEAN('4006381333931')).toBe(true)
+      expect(isValidEAN('4006381333932')).toBe(false)
+      expect(isValidEAN('96385074')).toBe(true)
+      expect(isValidEAN('12345678900')).toBe(false)
+    })
+
+    test('should pick the symbology from the code', () => {
+      expect(getSymbology('4006381333931')).toBe('ean13')
+      expect(getSymbology('96385074')).toBe('ean8')
+      expect(getSymbology('4006381333932')).toBe('code128')
+      expect(getSymbology('JAM-750')).toBe('code128')
+    })
+  })
+
+  describe('symbols', () => {
+    test('should encode EAN-13 with guard bars and the right digit patterns', () => {
+      const symbol = getBarcodeBars('4006381333931')
+      const modules = toModules(symbol, [11, 7])
+      expect(symbol.width).toBe(11 + 95 + 7)
+      expect(modules).toHaveLength(95)
+      expect(modules.slice(0, 3)).toBe('101')
+      expect(modules.slice(45, 50)).toBe('01010')
+      expect(modules.slice(-3)).toBe('101')
+      // First digit 4 sets parity LGLLGG, so the second digit (0) uses L and the third (0) uses G
+      expect(modules.slice(3, 10)).toBe('0001101')
+      expect(modules.slice(10, 17)).toBe('0100111')
+      // Right-hand 1 at the end
+      expect(modules.slice(85, 92)).toBe('1100110')
+    })
+
+    test('should encode EAN-8', () => {
+      const modules = toModules(getBarcodeBars('96385074'), [7, 7])
+      expect(modules).toHaveLength(67)
+      expect(modules.slice(3, 10)).toBe('0001011')
+      expect(modules.slice(31, 36)).toBe('01010')
+    })
+
+    test('should encode Code 128 in set B or, for even digit runs, set C', () => {
+      // Start B, "A" (33), check (104 + 33) % 103 = 34, stop: 11 * 3 + 13 modules
+      const text = getBarcodeBars('A')
+      expect(toModules(text, [10, 10])).toBe(
+        '11010010000' + '10100011000' + '10001011000' + '1100011101011'
+      )
+      // Set C packs "1234" into two symbols
+      expect(toModules(getBarcodeBars('1234'), [10, 10])).toHaveLength(11 * 4 + 13)
+      expect(toModules(getBarcodeBars('12345'), [10, 10])).toHaveLength(11 * 7 + 13)
+      expect(() => getBarcodeBars('café')).toThrow("can't be printed")
+      expect(() => getBarcodeBars('  ')).toThrow('no barcode')
+    })
+
+    test('should draw an SVG with the code under the bars', () => {
+      const svg = getBarcodeSVG('J&B <1L>')
+      expect(svg.startsWith('<svg')).toBe(true)
+      expect(svg).toContain('J&amp;B &lt;1L&gt;')
+      expect(getBarcodeSVG('96385074', { showText: false })).not.toContain('<text')
+    })
+
+    test('should lay out the bars and digits once for every renderer', () => {
+      const layout = getBarcodeLayout('96385074', { height: 40 })
+      expect(layout).toMatchObject({ text: '96385074', barHeight: 40, height: 52, label: { y: 51, fontSize: 10 } })
+      expect(layout.bars).toEqual(getBarcodeBars('96385074').bars)
+      expect(getBarcodeLayout('96385074', { showText: false })).toMatchObject({ height: 50, label: null })
+    })
+  })
+
+  describe('internal barcodes', () => {
+    test('should build valid EAN-13s in the reserved prefix', () => {
+      const code = buildInternalBarcode(1)
+      expect(code).toBe('2000000000015')
+      expect(isValidEAN(code)).toBe(true)
+      expect(isInternalBarcode(code)).toBe(true)
+      expect(isInternalBarcode('4006381333931')).toBe(false)
+      expect(() => buildInternalBarcode(10000000000)).toThrow('run out')
+    })
+
+    test('should continue from the highest internal barcode in any branch', () => {
+      const inventory = [
+        { id: 1, branchId: 'nakuru', barcode: buildInternalBarcode(7) },
+        { id: 2, branchId: 'kisumu', barcode: buildInternalBarcode(41) },
+        { id: 3, branchId: 'kisumu', barcode: '4006381333931' }
+      ]
+      expect(getNextInternalBarcode(inventory)).toBe(buildInternalBarcode(42))
+      expect(getNextInternalBarcode([])).toBe(buildInternalBarcode(1))
+    })
+
+    test('should reuse a barcode stocked under the same SKU and number the rest', () => {
+      const inventory = [
+        { id: 1, branchId: 'nakuru', sku: 'JAM-750', barcode: '5011007003029' },
+        { id: 2, branchId: 'nakuru', sku: 'TUS-500', barcode: buildInternalBarcode(3) }
+      ]
+      const { products, assigned } = assignMissingBarcodes([
+        { id: 3, branchId: 'kisumu', sku: 'jam-750' },
+        { id: 4, branchId: 'kisumu', sku: 'GIL-250', barcode: '' },
+        { id: 5, branchId: 'kisumu', barcode: '96385074' },
+        { id: 6, branchId: 'kisumu' }
+      ], inventory)
+      expect(assigned).toBe(3)
+      expect(products.map(p => p.barcode)).toEqual([
+        '5011007003029',
+        buildInternalBarcode(4),
+        '96385074',
+        buildInternalBarcode(5)
+      ])
+    })
+  })
+})
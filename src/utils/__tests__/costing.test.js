@@ -0,0 +1,182 @@
+/**
+ * Tests for stock costing
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  COSTING_METHODS,
+  getCostLayers,
+  getUnitCost,
+  getStockValue,
+  receiveCost,
+  takeCost,
+  costSaleLines,
+  returnCost,
+  getInventoryValuation,
+  getGrossProfit,
+  getCostingSettings,
+  saveCostingSettings
+} from '../costing'
+
+describe('Costing Module', () => {
+  const { FIFO, WEIGHTED_AVERAGE } = COSTING_METHODS
+  const now = new Date(2026, 9, 19, 10, 0, 0)
+
+  // 10 bottles from before costing was kept, at the cost price typed in
+  const jameson = { id: 1, branchId: 'nakuru', name: 'Jameson 750ml', quantity: 10, costPrice: 2000 }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test('should make up stock outside any layer at the cost price and trim layers beyond the quantity', () => {
+    expect(getCostLayers(jameson)).toEqual([{ quantity: 10, unitCost: 2000, receivedAt: null, reference: null }])
+
+    const counted = {
+      ...jameson,
+      quantity: 5,
+      costLayers: [{ quantity: 4, unitCost: 1900 }, { quantity: 6, unitCost: 2100 }]
+    }
+    expect(getCostLayers(counted).map(l => [l.quantity, l.unitCost])).toEqual([[5, 2100]])
+  })
+
+  test('should move the average on each receipt and keep FIFO layers in order', () => {
+    const average = receiveCost(jameson, 10, 2400, { method: WEIGHTED_AVERAGE, reference: 'GRN-1', now })
+    expect(average.costPrice).toBe(2200)
+    expect(average.costLayers).toEqual([
+      { quantity: 10, unitCost: 2000, receivedAt: null, reference: null },
+      { quantity: 10, unitCost: 2400, receivedAt: now.toISOString(), reference: 'GRN-1' }
+    ])
+
+    // Out of stock, the receipt sets the cost outright
+    expect(receiveCost({ ...jameson, quantity: -2 }, 6, 2500).costPrice).toBe(2500)
+    expect(receiveCost(jameson, 0, 2500)).toBe(jameson)
+    expect(receiveCost(jameson, 5, undefined).costPrice).toBe(2000)
+  })
+
+  test('should cost a sale from the oldest layers under FIFO and at the average otherwise', () => {
+    const stocked = { ...receiveCost(jameson, 10, 2400, { method: FIFO, now }), quantity: 20 }
+    expect(stocked.costPrice).toBe(2200)
+
+    const fifo = takeCost(stocked, 12, FIFO)
+    expect(fifo.unitCost).toBeCloseTo(2066.6667, 4)
+    expect(fifo.totalCost).toBe(24800)
+    expect(fifo.product.costLayers.map(l => [l.quantity, l.unitCost])).toEqual([[8, 2400]])
+    expect(fifo.product.costPrice).toBe(2400)
+
+    const average = takeCost(stocked, 12, WEIGHTED_AVERAGE)
+    expect(average.unitCost).toBe(2200)
+    expect(average.product.costPrice).toBe(2200)
+    expect(average.product.costLayers.map(l => l.quantity)).toEqual([8])
+
+    // Overselling costs the shortfall at the latest cost
+    expect(takeCost(stocked, 22, FIFO).totalCost).toBe(2000 * 10 + 2400 * 12)
+  })
+
+  test('should cost sale lines per unit sold, with packs at their factor', () => {
+    const stocked = { ...receiveCost(jameson, 12, 2400, { method: FIFO, now }), quantity: 22 }
+    const inventory = [stocked, { id: 2, branchId: 'nakuru', name: 'Tusker', quantity: 0, costPrice: 150 }]
+    const { inventory: after, costs } = costSaleLines(inventory, [
+      { id: 1, productId: 1, baseQuantity: 4 },
+      { id: '1:case', productId: 1, baseQuantity: 12, unitFactor: 12 },
+      { id: 2, productId: 2, baseQuantity: 0 }
+    ], FIFO)
+    expect(costs.get(1)).toBe(2000)
+    // Six bottles left in the old layer, then six from the new one
+    expect(costs.get('1:case')).toBe(6 * 2000 + 6 * 2400)
+    expect(costs.has(2)).toBe(false)
+    expect(after[0].costLayers.map(l => [l.quantity, l.unitCost])).toEqual([[6, 2400]])
+    expect(after[1]).toBe(inventory[1])
+  })
+
+  test('should put returned stock back at the cost it was sold at', () => {
+    const lines = [
+      { id: '1:case', productId: 1, quantity: -1, unitFactor: 6, unitCost: 13200 },
+      { id: 1, quantity: -2, unitCost: 2300 },
+      { id: 1, quantity: -1 }
+    ]
+    const restocked = returnCost({ ...jameson, quantity: 0 }, lines, { method: WEIGHTED_AVERAGE, reference: 'CN-1', now })
+    expect(restocked.costLayers).toEqual([{ quantity: 8, unitCost: 2225, receivedAt: now.toISOString(), reference: 'CN-1' }])
+    expect(restocked.costPrice).toBe(2225)
+    expect(returnCost(jameson, [{ id: 1, quantity: 2 }])).toBe(jameson)
+  })
+
+  test('should value stock on hand under either method', () => {
+    const stocked = { ...receiveCost(jameson, 10, 2600, { method: WEIGHTED_AVERAGE, now }), quantity: 20 }
+    const sold = { ...takeCost(stocked, 15, WEIGHTED_AVERAGE).product, quantity: 5 }
+    expect(getStockValue(sold, WEIGHTED_AVERAGE)).toBe(5 * 2300)
+    expect(getStockValue(sold, FIFO)).toBe(5 * 2600)
+    expect(getUnitCost(sold, FIFO)).toBe(2600)
+
+    const valuation = getInventoryValuation([
+      sold,
+      { id: 2, name: 'Tusker', quantity: 24, costPrice: 150 },
+      { id: 3, name: 'Empty', quantity: 0, costPrice: 900 },
+      { id: 4, name: 'Binned', quantity: 3, costPrice: 900, deletedAt: '2026-01-01' }
+    ], WEIGHTED_AVERAGE)
+    expect(valuation.rows.map(r => [r.name, r.quantity, r.value])).toEqual([
+      ['Jameson 750ml', 5, 11500],
+      ['Tusker', 24, 3600]
+    ])
+    expect(valuation.totalValue).toBe(15100)
+    expect(valuation.totalQuantity).toBe(29)
+  })
+
+  test('should work out gross profit from the frozen line costs', () => {
+    const sale = {
+      id: 'TXN-1',
+      branchId: 'nakuru',
+      discount: 10,
+      items: [
+        { id: 1, name: 'Jameson 750ml', quantity: 2, price: 3480, itemPriceBeforeVAT: 6000, unitCost: 2000 },
+        // Sold before costing was kept: costed at today's cost price
+        { id: 2, name: 'Tusker', quantity: 4, price: 232, itemPriceBeforeVAT: 800 }
+      ]
+    }
+    const creditNote = {
+      id: 'CN-1',
+      type: 'credit_note',
+      branchId: 'nakuru',
+      items: [
+        { id: 1, name: 'Jameson 750ml', quantity: -1, itemPriceBeforeVAT: -2700, unitCost: 2000, disposition: 'restock' },
+        { id: 2, name: 'Tusker', quantity: -1, itemPriceBeforeVAT: -180, disposition: 'damaged' }
+      ]
+    }
+    const depositRefund = { id: 'DR-1', type: 'deposit_refund', items: [{ id: 9, quantity: 1, itemPriceBeforeVAT: 50 }] }
+    const inventory = [
+      { id: 2, branchId: 'Nakuru', name: 'Tusker', quantity: 40, costPrice: 150 },
+      { id: 2, branchId: 'kisumu', name: 'Gilbeys', quantity: 5, costPrice: 900 }
+    ]
+
+    const profit = getGrossProfit([sale, creditNote, depositRefund], { inventory, method: WEIGHTED_AVERAGE })
+    expect(profit.revenue).toBe(5400 + 720 - 2700 - 180)
+    // The damaged Tusker's cost stays spent
+    expect(profit.cost).toBe(4000 + 600 - 2000)
+    expect(profit.grossProfit).toBe(3240 - 2600)
+    expect(profit.margin).toBe(19.8)
+    expect(profit.estimatedLines).toBe(1)
+    expect(profit.products.map(p => [p.name, p.quantity, p.grossProfit])).toEqual([
+      ['Jameson 750ml', 1, 700],
+      ['Tusker', 3, -60]
+    ])
+  })
+
+  test('should read and save the method in the shared settings', async () => {
+    readSharedData.mockResolvedValue({
+      inventory: [jameson],
+      settings: { loyalty: { enabled: true }, costing: { method: 'lifo' } }
+    })
+    await expect(getCostingSettings('a1')).resolves.toEqual({ method: WEIGHTED_AVERAGE })
+
+    await expect(saveCostingSettings('a1', { method: FIFO })).resolves.toEqual({ method: FIFO })
+    expect(writeSharedData).toHaveBeenCalledWith({
+      inventory: [jameson],
+      settings: { loyalty: { enabled: true }, costing: { method: FIFO } }
+    }, 'a1')
+  })
+})
@@ -0,0 +1,39 @@
+/**
+ * Tests for the customer display state
+ */
+
+import { buildDisplayState, DISPLAY_MODES } from '../customerDisplay'
+
+describe('Customer Display Module', () => {
+  const cart = [
+    { id: 1, name: 'Jameson 750ml', price: 2900, quantity: 2, promotionDiscount: 290 },
+    { id: 2, name: 'Tusker Lager', price: 250, quantity: 4 }
+  ]
+
+  test('should be idle with an empty cart', () => {
+    const state = buildDisplayState({ cart: [], idleMessages: ['Happy hour: 20% off'] })
+    expect(state.mode).toBe(DISPLAY_MODES.IDLE)
+    expect(state.idleMessages).toEqual(['Happy hour: 20% off'])
+  })
+
+  test('should mirror cart lines net of promotions with the VAT breakdown', () => {
+    const state = buildDisplayState({
+      cart,
+      appliedPromotions: [{ name: 'Jameson week', discount: 290, items: [] }]
+    })
+    expect(state.mode).toBe(DISPLAY_MODES.CART)
+    expect(state.items[0]).toMatchObject({ name: 'Jameson 750ml', lineTotal: 5510, promotionDiscount: 290 })
+    expect(state.promotions).toEqual([{ name: 'Jameson week', discount: 290 }])
+    expect(state.amountDue).toBe(6510)
+    expect(state.totals.totalVAT).toBe(897.93)
+  })
+
+  test('should work out change from the cash tendered', () => {
+    const state = buildDisplayState({ cart, mode: DISPLAY_MODES.PAYMENT, amountTendered: '7000' })
+    expect(state.amountTendered).toBe(7000)
+    expect(state.changeDue).toBe(490)
+
+    const short = buildDisplayState({ cart, mode: DISPLAY_MODES.PAYMENT, amountTendered: '5000' })
+    expect(short.changeDue).toBeNull()
+  })
+})
@@ -0,0 +1,92 @@
+/**
+ * Tests for bottle deposits and empties returns
+ */
+
+import {
+  getDepositLines,
+  getDepositTotal,
+  getTransactionDepositAmount,
+  buildDepositRefund,
+  getDepositLiability
+} from '../deposits'
+
+describe('Deposits Module', () => {
+  const crateDeposit = { id: 90, name: 'Crate deposit', price: 300, isDepositItem: true }
+  const bottleDeposit = { id: 91, name: 'Bottle deposit', price: 20, isDepositItem: true }
+  const inventory = [crateDeposit, bottleDeposit]
+
+  describe('getDepositLines', () => {
+    test('should charge one deposit line per deposit item, scaled by depositUnits', () => {
+      const lines = getDepositLines([
+        { id: 1, name: 'Tusker crate (25)', quantity: 2, depositItemId: 90 },
+        { id: 2, name: 'Tusker 500ml', quantity: 3, depositItemId: 91 },
+        { id: 3, name: 'Guinness 6-pack', quantity: 1, depositItemId: 91, depositUnits: 6 },
+        { id: 4, name: 'Jameson 750ml', quantity: 1 }
+      ], inventory)
+
+      expect(lines).toEqual([
+        { depositItemId: 90, name: 'Crate deposit', unitAmount: 300, quantity: 2, amount: 600 },
+        { depositItemId: 91, name: 'Bottle deposit', unitAmount: 20, quantity: 9, amount: 180 }
+      ])
+      expect(getDepositTotal(lines)).toBe(780)
+    })
+
+    test('should skip links to missing or deleted deposit items', () => {
+      const lines = getDepositLines([
+        { id: 1, quantity: 1, depositItemId: 92 },
+        { id: 2, quantity: 1, depositItemId: 93 }
+      ], [{ id: 92, name: 'Old deposit', price: 50, isDepositItem: true, deletedAt: '2026-01-01' }, { id: 93, name: 'Not a deposit', price: 10 }])
+      expect(lines).toEqual([])
+    })
+  })
+
+  describe('buildDepositRefund', () => {
+    test('should build a negative refund paid out with the chosen tender', () => {
+      const refund = buildDepositRefund({
+        lines: [{ depositItem: crateDeposit, quantity: 1 }, { depositItem: bottleDeposit, quantity: 4 }, { depositItem: bottleDeposit, quantity: 0 }],
+        refundMethod: 'cash',
+        depositRefundNumber: 'DR-NAK-00001',
+        user: { id: 'u1', name: 'Jane' },
+        branchId: 'nakuru',
+        shiftId: 'SHIFT-1'
+      })
+
+      expect(refund).toMatchObject({
+        type: 'deposit_refund',
+        depositRefundNumber: 'DR-NAK-00001',
+        shiftId: 'SHIFT-1',
+        items: [],
+        total: -380,
+        payments: [{ method: 'cash', amount: -380 }]
+      })
+      expect(refund.deposits).toHaveLength(2)
+      expect(getTransactionDepositAmount(refund)).toBe(-380)
+    })
+
+    test('should reject empty returns and tenders other than cash or M-Pesa', () => {
+      const base = { depositRefundNumber: 'DR-NAK-00001', user: { id: 'u1' }, branchId: 'nakuru' }
+      expect(() => buildDepositRefund({ ...base, lines: [{ depositItem: crateDeposit, quantity: 0 }], refundMethod: 'cash' })).toThrow()
+      expect(() => buildDepositRefund({ ...base, lines: [{ depositItem: crateDeposit, quantity: 1 }], refundMethod: 'credit' })).toThrow()
+    })
+  })
+
+  describe('getDepositLiability', () => {
+    test('should net refunds against deposits collected and ignore cancelled sales', () => {
+      const liability = getDepositLiability([
+        { total: 3100, depositTotal: 600, deposits: [{ depositItemId: 90, name: 'Crate deposit', unitAmount: 300, quantity: 2, amount: 600 }] },
+        { total: 400, depositTotal: 300, paymentStatus: 'cancelled', deposits: [{ depositItemId: 90, name: 'Crate deposit', unitAmount: 300, quantity: 1, amount: 300 }] },
+        { type: 'deposit_refund', total: -300, deposits: [{ depositItemId: 90, name: 'Crate deposit', unitAmount: 300, quantity: -1, amount: -300 }] },
+        { total: 2900 }
+      ])
+
+      expect(liability).toMatchObject({ collected: 600, refunded: 300, outstanding: 300 })
+      expect(liability.items).toEqual([expect.objectContaining({
+        depositItemId: 90,
+        issued: 2,
+        returned: 1,
+        outstandingQuantity: 1,
+        outstanding: 300
+      })])
+    })
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Tests for ESC/POS receipt rendering
+ */
+
+import { createEscPosDocument, buildReceiptDocument, toPrintableAscii } from '../escpos'
+
+const indexOfBytes = (bytes, pattern) => {
+  for (let i = 0; i <= bytes.length - pattern.length; i++) {
+    if (pattern.every((b, j) => bytes[i + j] === b)) return i
+  }
+  return -1
+}
+
+describe('ESC/POS Module', () => {
+  const sale = {
+    receiptNumber: 'NKR-01-000123',
+    timestamp: '2026-03-06T14:05:00.000Z',
+    cashier: 'Jane Wanjiru',
+    items: [
+      { id: 1, name: 'Jameson Irish Whiskey 750ml', quantity: 2, price: 2900 },
+      { id: 2, name: 'Tusker Lager 500ml', quantity: 6, price: 250 }
+    ],
+    promotions: [{ promotionId: 'p1', name: 'Beer 6-pack', discount: 100 }],
+    discount: 0,
+    discountAmount: 0,
+    vatAmount: 1007.59,
+    total: 7309,
+    paymentMethod: 'split',
+    payments: [
+      { method: 'cash', amount: 3309, tendered: 3500 },
+      { method: 'mpesa', amount: 4000, reference: 'QGH7K2L9' }
+    ],
+    fiscal: {
+      status: 'signed',
+      cuSerialNumber: 'KRAMW000MOCK0001',
+      cuInvoiceNumber: 'KRAMW000MOCK0001/00000042',
+      qrPayload: 'https://etims.kra.go.ke/r?Data=ABC'
+    }
+  }
+
+  describe('toPrintableAscii', () => {
+    test('should strip accents and replace typographic characters', () => {
+      expect(toPrintableAscii('Rosé × 2 — “Moët”')).toBe('Rose x 2 - "Moet"')
+      expect(toPrintableAscii('🍷 Wine')).toMatch(/^\?+ Wine$/)
+    })
+  })
+
+  describe('text rendering', () => {
+    test('should lay out an 80mm receipt', () => {
+      expect(buildReceiptDocument(sale, { paperWidth: '80mm', openDrawer: true }).toText()).toMatchSnapshot()
+    })
+
+    test('should lay out a 58mm receipt, wrapping long item names', () => {
+      const text = buildReceiptDocument(sale, { paperWidth: '58mm' }).toText()
+      expect(text).toMatchSnapshot()
+      text.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(32))
+    })
+
+    test('should head credit notes and show the refund', () => {
+      const text = buildReceiptDocument({
+        type: 'credit_note',
+        creditNoteNumber: 'CN-01-000004',
+        originalReceiptNumber: 'NKR-01-000123',
+        timestamp: sale.timestamp,
+        items: [{ id: 2, name: 'Tusker Lager 500ml', quantity: -2, price: 250 }],
+        vatAmount: -68.97,
+        total: -500,
+        payments: [{ method: 'cash', amount: -500 }]
+      }, { paperWidth: '58mm' }).toText()
+      expect(text).toContain('CREDIT NOTE')
+      expect(text).toContain('Original Receipt:')
+      expect(text).toMatch(/REFUND:\s+KES 500\.00/)
+      expect(text).toContain('2x Tusker Lager 500ml')
+    })
+
+    test('should list deposits and print empties returns as refunds', () => {
+      const text = buildReceiptDocument({
+        type: 'deposit_refund',
+        depositRefundNumber: 'DR-NKR-00002',
+        timestamp: sale.timestamp,
+        items: [],
+        deposits: [{ depositItemId: 90, name: 'Crate deposit', unitAmount: 300, quantity: -2, amount: -600 }],
+        total: -600,
+        payments: [{ method: 'cash', amount: -600 }]
+      }, { paperWidth: '58mm' }).toText()
+      expect(text).toContain('EMPTIES RETURN')
+      expect(text).toContain('DR-NKR-00002')
+      expect(text).toMatch(/2x Crate deposit\s+600\.00/)
+      expect(text).toMatch(/REFUND:\s+KES 600\.00/)
+    })
+  })
+
+  describe('byte stream', () => {
+    test('should initialise, style text, cut and kick the drawer', () => {
+      const bytes = Array.from(buildReceiptDocument(sale, { openDrawer: true }).toBytes())
+      expect(bytes.slice(0, 2)).toEqual([0x1b, 0x40])
+      expect(indexOfBytes(bytes, [0x1b, 0x45, 1])).toBeGreaterThan(-1)
+      expect(indexOfBytes(bytes, [0x1d, 0x21, 0x11])).toBeGreaterThan(-1)
+      const cut = indexOfBytes(bytes, [0x1d, 0x56, 0x42, 3])
+      const drawer = indexOfBytes(bytes, [0x1b, 0x70, 0, 0x19, 0xfa])
+      expect(cut).toBeGreaterThan(-1)
+      expect(drawer).toBeGreaterThan(cut)
+    })
+
+    test('should store and print the fiscal QR code', () => {
+      const bytes = Array.from(buildReceiptDocument(sale).toBytes())
+      const data = Array.from(sale.fiscal.qrPayload, ch => ch.charCodeAt(0))
+      const length = data.length + 3
+      expect(indexOfBytes(bytes, [0x1d, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30, ...data])).toBeGreaterThan(-1)
+      expect(indexOfBytes(bytes, [0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30])).toBeGreaterThan(-1)
+    })
+
+    test('should only emit printable ASCII as text', () => {
+      const bytes = createEscPosDocument({ paperWidth: '58mm' }).line('Côte du Rhône').toBytes()
+      expect(Array.from(bytes.slice(5))).toEqual([...Array.from('Cote du Rhone', ch => ch.charCodeAt(0)), 0x0a])
+    })
+  })
+})
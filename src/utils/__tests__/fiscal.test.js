@@ -0,0 +1,116 @@
+/**
+ * Tests for fiscal invoice building and the mock control unit
+ */
+
+import { readSharedData, writeSharedData } from '../storage'
+import { buildFiscalInvoice, fiscalizeTransaction } from '../fiscal'
+import { createMockFiscalAdapter } from '../fiscalAdapters'
+
+// Invoice building is pure; keep Firebase out of the test environment
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+jest.mock('../terminal', () => ({
+  getTerminalSettings: () => ({ fiscal: { adapter: 'mock' } })
+}))
+
+describe('Fiscal Module', () => {
+  const sale = {
+    id: 'TXN-1',
+    receiptNumber: 'NAK-9F3Q-000124',
+    timestamp: '2026-03-01T10:15:00.000Z',
+    branchId: 'nakuru',
+    cashier: 'Mary',
+    cashierId: 'U1',
+    discount: 0,
+    items: [
+      { id: 'P1', name: 'Jameson 750ml', sku: 'JAM750', price: 2320, quantity: 1, itemTotal: 2320, itemVAT: 320, itemPriceBeforeVAT: 2000 }
+    ],
+    priceBeforeVAT: 2000,
+    vatAmount: 320,
+    total: 2320,
+    paymentMethod: 'mpesa'
+  }
+
+  describe('buildFiscalInvoice', () => {
+    test('should map a sale to a standard-rated invoice', () => {
+      const invoice = buildFiscalInvoice(sale)
+      expect(invoice).toMatchObject({
+        transactionId: 'TXN-1',
+        invoiceNumber: 'NAK-9F3Q-000124',
+        sequence: 124,
+        receiptType: 'S',
+        paymentTypeCode: '06',
+        totals: { taxableAmount: 2000, taxAmount: 320, totalAmount: 2320 }
+      })
+      expect(invoice.items[0]).toMatchObject({ code: 'JAM750', quantity: 1, taxTypeCode: 'B', taxAmount: 320 })
+    })
+
+    test('should submit credit notes as refunds with positive amounts', () => {
+      const invoice = buildFiscalInvoice({
+        ...sale,
+        id: 'CN-1',
+        type: 'credit_note',
+        receiptNumber: undefined,
+        creditNoteNumber: 'CN-NAK-00002',
+        originalReceiptNumber: 'NAK-9F3Q-000124',
+        items: [{ ...sale.items[0], quantity: -1, itemTotal: -2320, itemVAT: -320, itemPriceBeforeVAT: -2000 }],
+        priceBeforeVAT: -2000,
+        vatAmount: -320,
+        total: -2320,
+        payments: [{ method: 'cash', amount: -2320 }]
+      })
+      expect(invoice).toMatchObject({ receiptType: 'R', sequence: 2, originalSequence: 124, paymentTypeCode: '01' })
+      expect(invoice.totals.totalAmount).toBe(2320)
+      expect(invoice.items[0].quantity).toBe(1)
+    })
+  })
+
+  describe('createMockFiscalAdapter', () => {
+    test('should sign invoices with increasing CU invoice numbers', async () => {
+      const adapter = createMockFiscalAdapter({ latencyMs: 0 })
+      const invoice = buildFiscalInvoice(sale)
+      const first = await adapter.submitInvoice(invoice)
+      const second = await adapter.submitInvoice(invoice)
+
+      expect(first.cuInvoiceNumber).toMatch(/^KRAMW000MOCK0001\/\d{8}$/)
+      expect(second.cuInvoiceNumber).not.toBe(first.cuInvoiceNumber)
+      expect(first.receiptSignature).toBeTruthy()
+      expect(first.qrPayload).toContain(first.receiptSignature)
+    })
+
+    test('should fail while offline so the sale gets queued', async () => {
+      const adapter = createMockFiscalAdapter({ latencyMs: 0 })
+      const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false)
+      await expect(adapter.submitInvoice(buildFiscalInvoice(sale))).rejects.toThrow('offline')
+      onLine.mockRestore()
+    })
+  })
+
+  describe('fiscalizeTransaction', () => {
+    test('should store the signature on the sale and save every other store with it', async () => {
+      const inventory = [{ id: 'P1', quantity: 4 }]
+      readSharedData.mockResolvedValue({ transactions: [sale, { id: 'TXN-2' }], inventory, settings: { loyalty: {} } })
+
+      // No fiscal queue on this terminal
+      const queue = global.indexedDB
+      global.indexedDB = null
+      let fiscal
+      try {
+        fiscal = await fiscalizeTransaction('a1', sale)
+      } finally {
+        global.indexedDB = queue
+      }
+
+      expect(fiscal.status).toBe('signed')
+      const [data, adminId] = writeSharedData.mock.calls[0]
+      expect(adminId).toBe('a1')
+      expect(data.inventory).toBe(inventory)
+      expect(data.settings).toEqual({ loyalty: {} })
+      expect(data.transactions.map(t => t.id)).toEqual(['TXN-1', 'TXN-2'])
+      expect(data.transactions[0].fiscal).toBe(fiscal)
+    })
+  })
+})
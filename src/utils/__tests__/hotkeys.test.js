@@ -0,0 +1,113 @@
+/**
+ * Tests for POS hotkeys
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  getEventHotkey,
+  normalizeHotkey,
+  getHotkeyBindings,
+  findHotkeyAction,
+  validateHotkeyBindings,
+  parseQuantityPrefix,
+  parseDiscountInput,
+  getUserHotkeys,
+  saveUserHotkeys
+} from '../hotkeys'
+
+describe('Hotkeys Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('getEventHotkey', () => {
+    test('should name key combinations', () => {
+      expect(getEventHotkey({ key: 'k', ctrlKey: true })).toBe('Ctrl+K')
+      expect(getEventHotkey({ key: 'k', metaKey: true })).toBe('Ctrl+K')
+      expect(getEventHotkey({ key: 'F4' })).toBe('F4')
+      expect(getEventHotkey({ key: 'H', altKey: true, shiftKey: true })).toBe('Alt+Shift+H')
+      expect(getEventHotkey({ key: '*', shiftKey: true })).toBe('*')
+      expect(getEventHotkey({ key: 'Control', ctrlKey: true })).toBeNull()
+    })
+  })
+
+  describe('bindings', () => {
+    test('should tidy typed keys', () => {
+      expect(normalizeHotkey('shift+ctrl+k')).toBe('Ctrl+Shift+K')
+      expect(normalizeHotkey('cmd + p')).toBe('Ctrl+P')
+      expect(normalizeHotkey('f9')).toBe('F9')
+      expect(normalizeHotkey('Ctrl+')).toBe('')
+    })
+
+    test('should lay overrides over the defaults', () => {
+      const bindings = getHotkeyBindings([{ action: 'pay_cash', key: 'f12' }, { action: 'hold', key: '' }, { action: 'nope', key: 'F1' }])
+      expect(bindings.pay_cash).toBe('F12')
+      expect(bindings.hold).toBe('')
+      expect(bindings.nope).toBeUndefined()
+      expect(findHotkeyAction('F12', bindings)).toBe('pay_cash')
+      expect(findHotkeyAction('F4', bindings)).toBeNull()
+      expect(findHotkeyAction('Ctrl+K', bindings)).toBe('palette')
+    })
+
+    test('should reject clashes and plain typing keys', () => {
+      const defaults = getHotkeyBindings()
+      expect(validateHotkeyBindings(defaults)).toBeNull()
+      expect(validateHotkeyBindings({ ...defaults, hold: 'F4' })).toMatch('F4 is set for both "Pay cash" and "Hold sale"')
+      expect(validateHotkeyBindings({ ...defaults, hold: 'H' })).toMatch('used for typing')
+    })
+  })
+
+  describe('palette input', () => {
+    test('should split a quantity off the front', () => {
+      expect(parseQuantityPrefix('3*jameson')).toEqual({ quantity: 3, text: 'jameson' })
+      expect(parseQuantityPrefix(' 12 * ')).toEqual({ quantity: 12, text: '' })
+      expect(parseQuantityPrefix('jameson')).toEqual({ quantity: null, text: 'jameson' })
+      expect(parseQuantityPrefix('0*tusker')).toEqual({ quantity: null, text: 'tusker' })
+      expect(parseQuantityPrefix('5000*x').quantity).toBeNull()
+    })
+
+    test('should read a discount percentage', () => {
+      expect(parseDiscountInput('10%')).toBe(10)
+      expect(parseDiscountInput(' 12.5 % ')).toBe(12.5)
+      expect(parseDiscountInput('150%')).toBeNull()
+      expect(parseDiscountInput('10')).toBeNull()
+    })
+  })
+
+  describe('storage', () => {
+    test('should keep only changed keys per user', async () => {
+      const inventory = [{ id: 1, name: 'Jameson 750ml' }]
+      const transactions = [{ id: 'TXN-1' }]
+      readSharedData.mockResolvedValue({
+        inventory,
+        transactions,
+        settings: { storeName: 'WB', hotkeys: { u1: { bindings: [{ action: 'hold', key: 'F1' }] }, u2: { bindings: [] } } }
+      })
+      expect(await getUserHotkeys('a1', 'u1')).toEqual([{ action: 'hold', key: 'F1' }])
+      expect(await getUserHotkeys('a1', 'u9')).toEqual([])
+
+      const saved = await saveUserHotkeys('a1', 'u1', { ...getHotkeyBindings(), pay_cash: 'ctrl+1' })
+      expect(saved).toEqual([{ action: 'pay_cash', key: 'Ctrl+1' }])
+      expect(readSharedData).toHaveBeenLastCalledWith('a1', true)
+      const [data, adminId, options] = writeSharedData.mock.calls[0]
+      expect(adminId).toBe('a1')
+      expect(options).toEqual({ writeOnlyStores: ['settings'] })
+      // The other stores go back with the settings, for storage that saves the object whole
+      expect(data.inventory).toBe(inventory)
+      expect(data.transactions).toBe(transactions)
+      expect(data.settings.storeName).toBe('WB')
+      expect(Object.keys(data.settings.hotkeys)).toEqual(['u1', 'u2'])
+      expect(data.settings.hotkeys.u1).toMatchObject({ bindings: saved })
+    })
+
+    test('should not save clashing keys', async () => {
+      await expect(saveUserHotkeys('a1', 'u1', { ...getHotkeyBindings(), hold: 'F5' })).rejects.toThrow('set for both')
+      expect(writeSharedData).not.toHaveBeenCalled()
+    })
+  })
+})
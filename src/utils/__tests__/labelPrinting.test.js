@@ -0,0 +1,46 @@
+/**
+ * Tests for shelf labels and sticker sheets
+ */
+
+import { getLabelLayout, getLabelPages, buildLabelSheetHTML } from '../labelPrinting'
+
+describe('Label Printing Module', () => {
+  const products = [
+    { id: 1, name: 'Jameson 750ml', sku: 'JAM-750', price: 2800, barcode: '2000000000015' },
+    { id: 2, name: 'Tusker <Lager> & Co', sku: 'TUS-500', price: 250 }
+  ]
+
+  test('should fall back to the shelf label', () => {
+    expect(getLabelLayout('a4-65').columns).toBe(5)
+    expect(getLabelLayout('nope').id).toBe('shelf')
+  })
+
+  test('should lay out copies after skipped positions', () => {
+    const pages = getLabelPages(products, { layoutId: 'a4-24', copies: 12, skip: 2 })
+    expect(pages).toHaveLength(2)
+    expect(pages[0]).toHaveLength(24)
+    expect(pages[0].slice(0, 3)).toEqual([null, null, products[0]])
+    expect(pages[0][14]).toBe(products[1])
+    expect(pages[1]).toEqual([products[1], products[1]])
+  })
+
+  test('should put one label on each shelf label page and ignore skip', () => {
+    const pages = getLabelPages(products, { layoutId: 'shelf', copies: 2, skip: 5 })
+    expect(pages).toEqual([[products[0]], [products[0]], [products[1]], [products[1]]])
+  })
+
+  test('should build a sheet with escaped text, prices and barcodes', () => {
+    const html = buildLabelSheetHTML(products, { layoutId: 'a4-40' })
+    expect(html).toContain('size: 210mm 297mm')
+    expect(html).toContain('Tusker &lt;Lager&gt; &amp; Co')
+    expect(html).not.toContain('<Lager>')
+    expect(html).toContain('2,800')
+    expect(html.match(/<svg/g)).toHaveLength(1)
+    expect(html).not.toContain('JAM-750')
+
+    const withSku = buildLabelSheetHTML(products, { fields: { name: false, price: false, barcode: false, sku: true } })
+    expect(withSku).toContain('JAM-750')
+    expect(withSku).not.toContain('<svg')
+    expect(withSku).not.toContain('Jameson')
+  })
+})
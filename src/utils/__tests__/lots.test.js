@@ -0,0 +1,118 @@
+/**
+ * Tests for batch/lot tracking
+ */
+
+import {
+  UNTRACKED_LOT_ID,
+  sortLotsFEFO,
+  getProductLots,
+  buildLot,
+  receiveLot,
+  consumeLots,
+  returnToLots,
+  getLotHistory,
+  pickSaleLots,
+  hasExpiredStock,
+  hasStockExpiringSoon,
+  isStockFresh,
+  getLotTrace
+} from '../lots'
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+describe('Lots Module', () => {
+  const lotA = { id: 'A', lotNumber: 'B-100', expiryDate: daysFromNow(90), quantity: 10, receivedAt: '2026-01-01' }
+  const lotB = { id: 'B', lotNumber: 'B-200', expiryDate: daysFromNow(30), quantity: 5, receivedAt: '2026-02-01' }
+  const product = { id: 'p1', name: 'Baileys', quantity: 15, lots: [lotA, lotB] }
+
+  describe('getProductLots', () => {
+    test('should order lots first-expiry-first-out with expired and undated lots last', () => {
+      const expired = { id: 'X', expiryDate: daysFromNow(-3), quantity: 1 }
+      const undated = { id: 'U', expiryDate: null, quantity: 1 }
+      expect(sortLotsFEFO([lotA, expired, undated, lotB]).map(l => l.id)).toEqual(['B', 'A', 'U', 'X'])
+    })
+
+    test('should match the lots to the stock level', () => {
+      expect(getProductLots(product).map(l => [l.id, l.quantity])).toEqual([['B', 5], ['A', 10]])
+      // Stock from before lots were kept, or put back by a return
+      const topped = getProductLots({ ...product, quantity: 18, expiryDate: daysFromNow(200) })
+      expect(topped[2]).toMatchObject({ id: UNTRACKED_LOT_ID, quantity: 3 })
+      // Breakage written off without saying which lot
+      expect(getProductLots({ ...product, quantity: 12 }).map(l => [l.id, l.quantity])).toEqual([['B', 2], ['A', 10]])
+    })
+  })
+
+  describe('receiving and selling', () => {
+    test('should add a GRN lot and move the expiry date to the first lot', () => {
+      const lot = buildLot({ expiryDate: daysFromNow(10), quantity: 24, unitCost: 150, grn: { id: 7, grnNumber: 'GRN-00007' }, index: 1 })
+      expect(lot).toMatchObject({ lotNumber: 'GRN-00007-2', grnId: 7, unitCost: 150 })
+      const received = receiveLot(product, lot)
+      expect(received.quantity).toBe(39)
+      expect(received.lots).toHaveLength(3)
+      expect(received.expiryDate).toBe(lot.expiryDate)
+      expect(() => buildLot({ quantity: 0 })).toThrow('quantity')
+      expect(() => buildLot({ quantity: 1, expiryDate: 'soon' })).toThrow('valid expiry')
+    })
+
+    test('should sell from the lot that expires first', () => {
+      const { product: sold, picks } = consumeLots(product, 7)
+      expect(picks).toEqual([
+        { lotId: 'B', lotNumber: 'B-200', expiryDate: lotB.expiryDate, quantity: 5 },
+        { lotId: 'A', lotNumber: 'B-100', expiryDate: lotA.expiryDate, quantity: 2 }
+      ])
+      expect(sold.quantity).toBe(8)
+      // The sold-out lot is kept at zero for tracing
+      expect(sold.lots).toEqual([{ ...lotA, quantity: 8 }, { ...lotB, quantity: 0 }])
+      expect(sold.expiryDate).toBe(lotA.expiryDate)
+      expect(getLotHistory(sold).map(l => [l.id, l.quantity])).toEqual([['A', 8], ['B', 0]])
+    })
+
+    test('should put a cancelled sale back into the lots it came from', () => {
+      const { product: sold, picks } = consumeLots({ ...product, quantity: 17 }, 16)
+      expect(picks.map(p => p.lotId)).toEqual(['B', 'A', UNTRACKED_LOT_ID])
+      const restored = returnToLots(sold, picks)
+      expect(restored.quantity).toBe(17)
+      expect(getProductLots(restored).map(l => [l.id, l.quantity])).toEqual([['B', 5], ['A', 10], [UNTRACKED_LOT_ID, 2]])
+    })
+
+    test('should pick lots line by line for packs and singles', () => {
+      const inventory = [product, { id: 'p2', quantity: 4 }]
+      const { inventory: updated, picks } = pickSaleLots(inventory, [
+        { id: 'p1:six', productId: 'p1', baseQuantity: 6 },
+        { id: 'p1', baseQuantity: 2 }
+      ])
+      expect(updated[0].quantity).toBe(7)
+      expect(updated[1]).toBe(inventory[1])
+      expect(picks.get('p1:six').map(p => [p.lotId, p.quantity])).toEqual([['B', 5], ['A', 1]])
+      expect(picks.get('p1').map(p => [p.lotId, p.quantity])).toEqual([['A', 2]])
+    })
+  })
+
+  describe('expiry filters', () => {
+    test('should look at every lot with stock', () => {
+      const mixed = { ...product, lots: [lotA, { ...lotB, expiryDate: daysFromNow(-1) }] }
+      expect(hasExpiredStock(mixed)).toBe(true)
+      expect(isStockFresh(mixed)).toBe(false)
+      expect(hasExpiredStock(product)).toBe(false)
+      expect(isStockFresh(product)).toBe(true)
+      expect(hasStockExpiringSoon({ ...product, lots: [lotA, { ...lotB, expiryDate: daysFromNow(3) }] })).toBe(true)
+      // Sold out of the expired lot: only what is on the shelf counts
+      expect(hasExpiredStock({ ...mixed, quantity: 10, lots: [lotA, { ...lotB, expiryDate: daysFromNow(-1), quantity: 0 }] })).toBe(false)
+      expect(hasExpiredStock({ id: 'p3', quantity: 0, expiryDate: daysFromNow(-1) })).toBe(true)
+    })
+  })
+
+  describe('getLotTrace', () => {
+    test('should list the receipts that sold a lot', () => {
+      const transactions = [
+        { id: 't1', receiptNumber: 'NAK-1', timestamp: '2026-03-01T10:00:00Z', items: [{ id: 'p1', lots: [{ lotId: 'B', quantity: 2 }] }] },
+        { id: 't2', receiptNumber: 'NAK-2', timestamp: '2026-03-02T10:00:00Z', paymentStatus: 'cancelled', items: [{ id: 'p1:six', productId: 'p1', lots: [{ lotId: 'B', quantity: 3 }, { lotId: 'A', quantity: 3 }] }] },
+        { id: 't3', receiptNumber: 'NAK-3', timestamp: '2026-03-03T10:00:00Z', items: [{ id: 'p2', lots: [{ lotId: 'B', quantity: 9 }] }] }
+      ]
+      expect(getLotTrace(transactions, 'p1', 'B')).toEqual([
+        expect.objectContaining({ receiptNumber: 'NAK-2', quantity: 3, cancelled: true }),
+        expect.objectContaining({ receiptNumber: 'NAK-1', quantity: 2, cancelled: false })
+      ])
+    })
+  })
+})
@@ -0,0 +1,154 @@
+/**
+ * Tests for the customer loyalty programme
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  LOYALTY_ENTRY_TYPES,
+  normalizeLoyaltySettings,
+  calculatePointsEarned,
+  getPointsForAmount,
+  validatePointsRedemption,
+  postLoyaltyPoints,
+  reverseSalePoints,
+  getRollingSpend,
+  getLoyaltyTier,
+  getNextLoyaltyTier,
+  getCustomerDiscountRate,
+  saveLoyaltySettings
+} from '../loyalty'
+
+describe('Loyalty Module', () => {
+  const settings = normalizeLoyaltySettings({
+    enabled: true,
+    pointsPerHundred: 1,
+    categoryRates: [{ category: 'Whisky', pointsPerHundred: 3 }],
+    pointValue: 0.5,
+    minRedeemPoints: 100
+  })
+  const customer = { id: 7, name: 'Wambui', loyaltyPoints: 0 }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('normalizeLoyaltySettings', () => {
+    test('should fill in defaults and order tiers by spend', () => {
+      const normalized = normalizeLoyaltySettings({
+        tiers: [
+          { id: 'gold', name: 'Gold', minSpend: '150000', discountRate: 10 },
+          { id: 'silver', name: 'Silver', minSpend: 50000, discountRate: 150 },
+          { id: 'blank', name: '' }
+        ]
+      })
+      expect(normalized.enabled).toBe(false)
+      expect(normalized.windowDays).toBe(365)
+      expect(normalized.tiers.map(t => [t.name, t.minSpend, t.discountRate])).toEqual([
+        ['Silver', 50000, 100],
+        ['Gold', 150000, 10]
+      ])
+    })
+  })
+
+  describe('calculatePointsEarned', () => {
+    test('should earn per category on what was charged', () => {
+      const items = [
+        { price: 4000, quantity: 1, category: 'Whisky' },
+        { price: 250, quantity: 4, category: 'Beer', promotionDiscount: 200 }
+      ]
+      // 4000 at 3/100 + 800 at 1/100
+      expect(calculatePointsEarned(items, settings)).toBe(128)
+      // 10% off the sale
+      expect(calculatePointsEarned(items, settings, { discount: 10 })).toBe(115)
+      // Half the sale paid with points earns on the other half
+      expect(calculatePointsEarned(items, settings, { pointsTender: 2400 })).toBe(64)
+      expect(calculatePointsEarned(items, { ...settings, enabled: false })).toBe(0)
+    })
+  })
+
+  describe('redemption', () => {
+    test('should need the minimum balance and enough points for the amount', () => {
+      expect(getPointsForAmount(75.25, settings)).toBe(151)
+      expect(validatePointsRedemption({ ...customer, loyaltyPoints: 80 }, 20, settings)).toMatch('needs 100 points')
+      expect(validatePointsRedemption({ ...customer, loyaltyPoints: 300 }, 200, settings)).toMatch('has 300 points (KES 150)')
+      expect(validatePointsRedemption({ ...customer, loyaltyPoints: 300 }, 150, settings)).toBeNull()
+      expect(validatePointsRedemption(null, 150, settings)).toMatch('Select the customer')
+    })
+
+    test('should keep the balance and ledger in step', () => {
+      const earned = postLoyaltyPoints(customer, { type: LOYALTY_ENTRY_TYPES.EARNED, points: 240, reference: 'NKR-T1-00001', user: { name: 'Jane' } })
+      const spent = postLoyaltyPoints(earned, { type: LOYALTY_ENTRY_TYPES.REDEEMED, points: -100 })
+
+      expect(spent.loyaltyPoints).toBe(140)
+      expect(spent.loyaltyLedger.map(e => [e.type, e.points, e.balanceAfter])).toEqual([
+        ['earned', 240, 240],
+        ['redeemed', -100, 140]
+      ])
+      expect(spent.loyaltyLedger[0].by).toBe('Jane')
+      expect(() => postLoyaltyPoints(spent, { type: LOYALTY_ENTRY_TYPES.REDEEMED, points: -200 })).toThrow('only has 140 points')
+    })
+
+    test('should undo a cancelled sale and the returned share of one', () => {
+      const sale = { loyaltyPointsEarned: 60, loyaltyPointsRedeemed: 200 }
+      const cancelled = reverseSalePoints({ ...customer, loyaltyPoints: 60 }, sale, { type: LOYALTY_ENTRY_TYPES.REVERSAL })
+      expect(cancelled.loyaltyPoints).toBe(200)
+      expect(cancelled.loyaltyLedger[0]).toMatchObject({ type: 'reversal', points: 140 })
+
+      const returned = reverseSalePoints({ ...customer, loyaltyPoints: 100 }, sale, { type: LOYALTY_ENTRY_TYPES.RETURN, share: 0.5 })
+      expect(returned.loyaltyPoints).toBe(70)
+      // Points already spent elsewhere stop the balance at zero
+      expect(reverseSalePoints({ ...customer, loyaltyPoints: 10 }, sale, { type: LOYALTY_ENTRY_TYPES.RETURN }).loyaltyPoints).toBe(0)
+      const untouched = { ...customer, loyaltyPoints: 10 }
+      expect(reverseSalePoints(untouched, {}, { type: LOYALTY_ENTRY_TYPES.REVERSAL })).toBe(untouched)
+    })
+  })
+
+  describe('tiers', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z')
+    const transactions = [
+      { customerId: 7, total: 40000, timestamp: '2026-09-01T10:00:00.000Z' },
+      { customerId: 7, total: 20500, depositTotal: 500, timestamp: '2026-10-01T10:00:00.000Z' },
+      { customerId: 7, type: 'credit_note', total: -5000, timestamp: '2026-10-02T10:00:00.000Z' },
+      { customerId: 7, total: 90000, paymentStatus: 'cancelled', timestamp: '2026-10-03T10:00:00.000Z' },
+      { customerId: 7, total: 90000, timestamp: '2025-06-01T10:00:00.000Z' },
+      { customerId: 7, type: 'loan_payment', total: 10000, timestamp: '2026-10-04T10:00:00.000Z' },
+      { customerId: 8, total: 99000, timestamp: '2026-10-05T10:00:00.000Z' }
+    ]
+
+    test('should work the tier out from rolling spend', () => {
+      const spend = getRollingSpend(transactions, 7, settings, now)
+      expect(spend).toBe(55000)
+      expect(getLoyaltyTier(spend, settings).name).toBe('Silver')
+      expect(getNextLoyaltyTier(spend, settings)).toMatchObject({ tier: { name: 'Gold' }, remaining: 95000 })
+      expect(getLoyaltyTier(49999, settings)).toBeNull()
+      expect(getLoyaltyTier(spend, { ...settings, enabled: false })).toBeNull()
+    })
+
+    test('should give the better of special pricing and the tier discount', () => {
+      const silver = settings.tiers[0]
+      expect(getCustomerDiscountRate({ specialPricing: true, discountRate: 8 }, silver)).toBe(8)
+      expect(getCustomerDiscountRate({ specialPricing: false, discountRate: 8 }, silver)).toBe(5)
+      expect(getCustomerDiscountRate(null, silver)).toBe(0)
+    })
+  })
+
+  describe('saveLoyaltySettings', () => {
+    test('should save into the shared settings and refuse duplicate tier names', async () => {
+      const customers = [{ id: 'c1', name: 'Wambui' }]
+      readSharedData.mockResolvedValue({ customers, settings: { storeName: 'Whiskey Ballet' } })
+      const saved = await saveLoyaltySettings('a1', { enabled: true, pointValue: '2' })
+      expect(saved.pointValue).toBe(2)
+      expect(readSharedData).toHaveBeenCalledWith('a1', true)
+      expect(writeSharedData).toHaveBeenCalledWith({ customers, settings: { storeName: 'Whiskey Ballet', loyalty: saved } }, 'a1')
+
+      await expect(saveLoyaltySettings('a1', {
+        tiers: [{ name: 'Gold', minSpend: 1 }, { name: 'gold ', minSpend: 2 }]
+      })).rejects.toThrow('same name')
+    })
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Tests for M-Pesa STK Push helpers and the mock adapter
+ */
+
+import {
+  MPESA_STATUS,
+  normalizeMpesaPhone,
+  formatMpesaPhone,
+  getStkAmount,
+  getStatusForResultCode,
+  createMockMpesaAdapter,
+  waitForPayment
+} from '../mpesa'
+
+// The Daraja adapter reads the signed-in user; keep Firebase out of the test environment
+jest.mock('../../config/firebase', () => ({ auth: null }))
+
+describe('M-Pesa Module', () => {
+  describe('normalizeMpesaPhone', () => {
+    test('should accept the common ways numbers are typed', () => {
+      expect(normalizeMpesaPhone('0712 345 678')).toBe('254712345678')
+      expect(normalizeMpesaPhone('+254712345678')).toBe('254712345678')
+      expect(normalizeMpesaPhone('712345678')).toBe('254712345678')
+      expect(normalizeMpesaPhone('0110-123-456')).toBe('254110123456')
+    })
+
+    test('should reject numbers that cannot receive an STK Push', () => {
+      expect(normalizeMpesaPhone('')).toBeNull()
+      expect(normalizeMpesaPhone('0201234567')).toBeNull()
+      expect(normalizeMpesaPhone('07123456')).toBeNull()
+    })
+
+    test('should format numbers for display', () => {
+      expect(formatMpesaPhone('254712345678')).toBe('0712 345 678')
+    })
+  })
+
+  describe('getStkAmount', () => {
+    test('should round part-shilling totals up', () => {
+      expect(getStkAmount(1499.5)).toBe(1500)
+      expect(getStkAmount(1500)).toBe(1500)
+      expect(getStkAmount(0)).toBe(1)
+    })
+  })
+
+  describe('getStatusForResultCode', () => {
+    test('should map Daraja result codes', () => {
+      expect(getStatusForResultCode(0)).toBe(MPESA_STATUS.SUCCESS)
+      expect(getStatusForResultCode('1032')).toBe(MPESA_STATUS.CANCELLED)
+      expect(getStatusForResultCode(1037)).toBe(MPESA_STATUS.TIMEOUT)
+      expect(getStatusForResultCode(1)).toBe(MPESA_STATUS.FAILED)
+    })
+  })
+
+  describe('mock adapter', () => {
+    test('should confirm payment with a receipt number', async () => {
+      const adapter = createMockMpesaAdapter({ approveAfterMs: 0 })
+      const { checkoutRequestId } = await adapter.requestPayment({ phone: '254712345678', amount: 1500 })
+      const result = await waitForPayment(adapter, checkoutRequestId, { intervalMs: 1, timeoutMs: 1000 })
+
+      expect(result.status).toBe(MPESA_STATUS.SUCCESS)
+      expect(result.mpesaReceiptNumber).toMatch(/^MCK/)
+      expect(result).toMatchObject({ phone: '254712345678', amount: 1500 })
+    })
+
+    test('should report a cancelled request', async () => {
+      const adapter = createMockMpesaAdapter({ approveAfterMs: 0 })
+      const { checkoutRequestId } = await adapter.requestPayment({ phone: '254712345111', amount: 100 })
+      const result = await waitForPayment(adapter, checkoutRequestId, { intervalMs: 1, timeoutMs: 1000 })
+
+      expect(result.status).toBe(MPESA_STATUS.CANCELLED)
+    })
+
+    test('should time out when the customer never responds', async () => {
+      const adapter = createMockMpesaAdapter({ approveAfterMs: 0 })
+      const { checkoutRequestId } = await adapter.requestPayment({ phone: '254712345222', amount: 100 })
+      const result = await waitForPayment(adapter, checkoutRequestId, { intervalMs: 1, timeoutMs: 20 })
+
+      expect(result.status).toBe(MPESA_STATUS.TIMEOUT)
+    })
+  })
+})
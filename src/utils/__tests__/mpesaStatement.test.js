@@ -0,0 +1,120 @@
+/**
+ * Tests for M-Pesa statement parsing and reconciliation
+ */
+
+import {
+  RECONCILIATION_STATUS,
+  MATCH_TYPES,
+  parseCsvRows,
+  parseStatementRows,
+  parseStatementDate,
+  reconcileMpesaStatement,
+  buildReconciliationReport,
+  getReconciliationFlags
+} from '../mpesaStatement'
+
+const at = (hour, minute) => new Date(2026, 2, 1, hour, minute).toISOString()
+
+describe('M-Pesa Statement Module', () => {
+  const csv = [
+    'Account Holder:,WHISKEY BALLET',
+    'Time Period:,01-03-2026 - 01-03-2026',
+    '',
+    'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance',
+    'QC11AAA111,2026-03-01 10:15:32,2026-03-01 10:15:20,"Pay Bill from 2547****678 - JOHN DOE",Completed,"1,500.00",,10000.00',
+    'QC11BBB222,2026-03-01 11:02:10,2026-03-01 11:02:00,Pay Bill from 2547****111,Completed,800.00,,10800.00',
+    'QC11CCC333,2026-03-01 12:30:00,2026-03-01 12:30:00,Pay Bill from 2547****222,Completed,450.00,,11250.00',
+    'QC11DDD444,2026-03-01 13:00:00,2026-03-01 13:00:00,Pay Bill from 2547****333,Failed,999.00,,11250.00',
+    'QC11EEE555,2026-03-01 14:00:00,2026-03-01 14:00:00,Withdrawal Charge,Completed,,30.00,11220.00'
+  ].join('\n')
+
+  describe('parseStatementRows', () => {
+    test('should skip the summary block and keep completed money-in lines', () => {
+      const lines = parseStatementRows(parseCsvRows(csv))
+      expect(lines.map(l => l.receiptNumber)).toEqual(['QC11AAA111', 'QC11BBB222', 'QC11CCC333'])
+      expect(lines[0]).toMatchObject({ amount: 1500, details: 'Pay Bill from 2547****678 - JOHN DOE' })
+      expect(lines[0].completedAt).toBe(new Date(2026, 2, 1, 10, 15, 32).toISOString())
+    })
+
+    test('should reject files without a receipt column', () => {
+      expect(() => parseStatementRows(parseCsvRows('name,price\nJameson,2320'))).toThrow('Receipt No.')
+    })
+  })
+
+  describe('parseStatementDate', () => {
+    test('should read day-first dates and Excel serials', () => {
+      expect(parseStatementDate('01/03/2026 10:15').getTime()).toBe(new Date(2026, 2, 1, 10, 15).getTime())
+      expect(parseStatementDate(46082.5).getTime()).toBe(new Date(2026, 2, 1, 12, 0).getTime())
+      expect(parseStatementDate('not a date')).toBeNull()
+    })
+  })
+
+  describe('reconcileMpesaStatement', () => {
+    const transactions = [
+      { id: 'T1', branchId: 'nakuru', timestamp: at(10, 15), total: 1500, payments: [{ method: 'mpesa', amount: 1500, reference: 'QC11AAA111' }] },
+      // Code typed wrong at the till; amount and time still line up
+      { id: 'T2', branchId: 'nakuru', timestamp: at(11, 0), total: 800, payments: [{ method: 'mpesa', amount: 800, reference: 'QC11XXX999' }] },
+      // Never paid
+      { id: 'T3', branchId: 'nakuru', timestamp: at(12, 0), total: 2500, payments: [{ method: 'cash', amount: 1000 }, { method: 'mpesa', amount: 1500 }] },
+      { id: 'T4', branchId: 'nakuru', timestamp: at(12, 5), total: 600, paymentMethod: 'cash' },
+      { id: 'T5', branchId: 'nakuru', timestamp: at(12, 10), total: 700, paymentMethod: 'mpesa', paymentStatus: 'cancelled' },
+      // Outside the statement period
+      { id: 'T6', branchId: 'nakuru', timestamp: new Date(2026, 1, 27, 9, 0).toISOString(), total: 100, paymentMethod: 'mpesa' }
+    ]
+    const statementLines = parseStatementRows(parseCsvRows(csv))
+    const result = reconcileMpesaStatement({ transactions, statementLines })
+
+    test('should match by code first, then by amount and time', () => {
+      expect(result.matched.map(m => [m.transaction.id, m.matchType, m.status])).toEqual([
+        ['T1', MATCH_TYPES.CODE, RECONCILIATION_STATUS.MATCHED],
+        ['T2', MATCH_TYPES.AMOUNT_TIME, RECONCILIATION_STATUS.MATCHED]
+      ])
+    })
+
+    test('should flag unpaid sales and orphan receipts', () => {
+      expect(result.unmatchedSales.map(u => u.transaction.id)).toEqual(['T3'])
+      expect(result.unmatchedSales[0].amount).toBe(1500)
+      expect(result.orphanReceipts.map(l => l.receiptNumber)).toEqual(['QC11CCC333'])
+    })
+
+    test('should report amount mismatches on code matches', () => {
+      const short = reconcileMpesaStatement({
+        transactions: [{ id: 'T9', branchId: 'nakuru', timestamp: at(10, 15), total: 1600, payments: [{ method: 'mpesa', amount: 1600, reference: 'qc11aaa111' }] }],
+        statementLines
+      })
+      expect(short.matched[0]).toMatchObject({ status: RECONCILIATION_STATUS.AMOUNT_MISMATCH, difference: -100 })
+    })
+
+    test('should not match by amount outside the time window', () => {
+      const late = reconcileMpesaStatement({
+        transactions: [{ id: 'T8', branchId: 'nakuru', timestamp: at(11, 40), total: 800, paymentMethod: 'mpesa' }],
+        statementLines
+      })
+      expect(late.unmatchedSales).toHaveLength(1)
+    })
+
+    test('should summarise per branch and day', () => {
+      const [row] = buildReconciliationReport(result, 'nakuru')
+      expect(row).toMatchObject({
+        branchId: 'nakuru',
+        date: '2026-03-01',
+        expectedCount: 3,
+        expectedAmount: 3800,
+        receivedAmount: 2750,
+        matchedCount: 2,
+        unmatchedCount: 1,
+        unmatchedAmount: 1500,
+        orphanCount: 1,
+        orphanAmount: 450,
+        variance: -1050
+      })
+    })
+
+    test('should build per-sale flags', () => {
+      const flags = getReconciliationFlags(result)
+      expect(flags.get('T1')).toMatchObject({ status: RECONCILIATION_STATUS.MATCHED, statementReceipts: ['QC11AAA111'] })
+      expect(flags.get('T3').status).toBe(RECONCILIATION_STATUS.UNMATCHED)
+      expect(flags.has('T4')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Tests for line-item price overrides
+ */
+
+import {
+  getOverrideDiscount,
+  requiresApproval,
+  validateOverride,
+  buildPriceOverride,
+  getOverridesReport
+} from '../priceOverrides'
+
+describe('Price Overrides Module', () => {
+  const thresholds = { maxPercent: 10, maxAmount: 500 }
+
+  describe('getOverrideDiscount', () => {
+    test('should work out the unit, line and percentage discount', () => {
+      expect(getOverrideDiscount(2000, 1800, 3)).toEqual({ unitDiscount: 200, lineDiscount: 600, percent: 10 })
+      expect(getOverrideDiscount(1000, 1100, 1).unitDiscount).toBe(-100)
+    })
+  })
+
+  describe('requiresApproval', () => {
+    test('should require approval above either limit for cashiers', () => {
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 1800, quantity: 1, role: 'cashier', thresholds })).toBe(false)
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 1700, quantity: 1, role: 'cashier', thresholds })).toBe(true)
+      // 10% each, but KES 600 off the line
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 1800, quantity: 3, role: 'cashier', thresholds })).toBe(true)
+    })
+
+    test('should not require approval from managers or for price increases', () => {
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 1000, quantity: 1, role: 'manager', thresholds })).toBe(false)
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 2500, quantity: 1, role: 'cashier', thresholds })).toBe(false)
+    })
+
+    test('should require approval for every discount when the limits are zero', () => {
+      expect(requiresApproval({ originalPrice: 2000, newPrice: 1990, quantity: 1, role: 'cashier', thresholds: { maxPercent: 0, maxAmount: 0 } })).toBe(true)
+    })
+  })
+
+  describe('validateOverride', () => {
+    test('should insist on a reason and a changed price', () => {
+      expect(validateOverride({ originalPrice: 2000, newPrice: 1800, reasonCode: '' })).toBe('Choose a reason')
+      expect(validateOverride({ originalPrice: 2000, newPrice: 2000, reasonCode: 'damaged' })).toBe('The price has not changed')
+      expect(validateOverride({ originalPrice: 2000, newPrice: 1800, reasonCode: 'other', reasonNote: ' ' })).toMatch('Explain')
+      expect(validateOverride({ originalPrice: 2000, newPrice: -1, reasonCode: 'damaged' })).toBe('Enter a valid price')
+      expect(validateOverride({ originalPrice: 2000, newPrice: 1800, reasonCode: 'damaged' })).toBeNull()
+    })
+  })
+
+  describe('getOverridesReport', () => {
+    test('should list overridden sale lines with reason and approver', () => {
+      const override = buildPriceOverride({
+        originalPrice: 2000,
+        newPrice: 1500,
+        reasonCode: 'damaged',
+        reasonNote: 'Torn label',
+        cashier: { id: 'c1', name: 'Jane' },
+        approver: { id: 'm1', name: 'Peter', role: 'manager', method: 'pin' }
+      })
+      const sale = {
+        id: 'T1',
+        receiptNumber: 'NKR-01-000012',
+        timestamp: '2026-03-06T10:00:00.000Z',
+        items: [
+          { id: 1, name: 'Jameson', quantity: 2, price: 1500, originalPrice: 2000, priceOverride: override },
+          { id: 2, name: 'Tusker', quantity: 6, price: 250 }
+        ]
+      }
+      const rows = getOverridesReport([sale, { ...sale, id: 'T2', paymentStatus: 'cancelled' }])
+      expect(rows).toHaveLength(1)
+      expect(rows[0]).toMatchObject({
+        receiptNumber: 'NKR-01-000012',
+        cashier: 'Jane',
+        itemName: 'Jameson',
+        originalPrice: 2000,
+        price: 1500,
+        lineDiscount: 1000,
+        percent: 25,
+        reason: 'Damaged / dented packaging',
+        reasonNote: 'Torn label',
+        approvedBy: 'Peter',
+        approvalMethod: 'pin'
+      })
+    })
+  })
+})
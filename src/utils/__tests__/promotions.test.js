@@ -0,0 +1,143 @@
+/**
+ * Tests for the promotions engine
+ */
+
+import {
+  PROMOTION_TYPES,
+  isPromotionActive,
+  evaluatePromotions,
+  applyPromotionsToCart,
+  validatePromotion,
+  getPromotionPerformance
+} from '../promotions'
+import { calculateCartTotals } from '../pricing'
+
+// Friday 6 March 2026
+const friday = (hour, minute = 0) => new Date(2026, 2, 6, hour, minute)
+
+describe('Promotions Module', () => {
+  const jameson = { id: 1, name: 'Jameson 750ml', price: 2400, quantity: 1, category: 'Whisky' }
+  const merlot = { id: 2, name: 'Merlot', price: 1500, quantity: 1, category: 'Red Wine' }
+  const shiraz = { id: 3, name: 'Shiraz', price: 1800, quantity: 1, category: 'Red Wine' }
+  const tusker = { id: 4, name: 'Tusker', price: 250, quantity: 1, category: 'Beer' }
+
+  describe('isPromotionActive', () => {
+    const happyHour = {
+      id: 'P1',
+      type: PROMOTION_TYPES.PERCENT_OFF,
+      discountPercent: 20,
+      schedule: { days: [5], startTime: '17:00', endTime: '19:00' }
+    }
+
+    test('should respect the weekly time window', () => {
+      expect(isPromotionActive(happyHour, { now: friday(17, 30) })).toBe(true)
+      expect(isPromotionActive(happyHour, { now: friday(19, 0) })).toBe(false)
+      expect(isPromotionActive(happyHour, { now: new Date(2026, 2, 5, 18, 0) })).toBe(false)
+    })
+
+    test('should carry windows past midnight into the next morning', () => {
+      const lateNight = { ...happyHour, schedule: { days: [5], startTime: '22:00', endTime: '02:00' } }
+      expect(isPromotionActive(lateNight, { now: friday(23, 0) })).toBe(true)
+      expect(isPromotionActive(lateNight, { now: new Date(2026, 2, 7, 1, 30) })).toBe(true)
+      expect(isPromotionActive(lateNight, { now: friday(1, 30) })).toBe(false)
+    })
+
+    test('should check dates, branches and the active flag', () => {
+      const promo = { id: 'P2', startDate: '2026-03-01', endDate: '2026-03-06', branchIds: ['nakuru'] }
+      expect(isPromotionActive(promo, { now: friday(12), branchId: 'nakuru' })).toBe(true)
+      expect(isPromotionActive(promo, { now: friday(12), branchId: 'westlands' })).toBe(false)
+      expect(isPromotionActive(promo, { now: new Date(2026, 2, 7, 12), branchId: 'nakuru' })).toBe(false)
+      expect(isPromotionActive({ ...promo, active: false }, { now: friday(12), branchId: 'nakuru' })).toBe(false)
+    })
+  })
+
+  describe('evaluatePromotions', () => {
+    test('should give the cheapest unit free on buy 2 get 1', () => {
+      const promo = { id: 'B1', name: 'Wine 2+1', type: PROMOTION_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1, categories: ['red wine'] }
+      const result = evaluatePromotions([{ ...merlot, quantity: 2 }, shiraz, jameson], [promo])
+      expect(result.totalDiscount).toBe(1500)
+      expect(result.applied[0].items).toEqual([
+        { id: 2, name: 'Merlot', quantity: 2, discount: 1500 },
+        { id: 3, name: 'Shiraz', quantity: 1, discount: 0 }
+      ])
+    })
+
+    test('should price mix-and-match bundles and spread the saving', () => {
+      const promo = { id: 'B2', name: 'Any 3 wines', type: PROMOTION_TYPES.BUNDLE, bundleQuantity: 3, bundlePrice: 4000, categories: ['Red Wine'] }
+      const result = evaluatePromotions([{ ...merlot, quantity: 2 }, shiraz], [promo])
+      expect(result.totalDiscount).toBe(800)
+      expect(result.itemDiscounts).toEqual({ 2: 500, 3: 300 })
+    })
+
+    test('should pick the highest quantity tier reached', () => {
+      const promo = {
+        id: 'Q1',
+        name: 'Beer case',
+        type: PROMOTION_TYPES.QUANTITY_BREAK,
+        categories: ['Beer'],
+        tiers: [{ minQuantity: 6, discountPercent: 5 }, { minQuantity: 12, discountPercent: 10 }]
+      }
+      expect(evaluatePromotions([{ ...tusker, quantity: 5 }], [promo]).applied).toHaveLength(0)
+      expect(evaluatePromotions([{ ...tusker, quantity: 6 }], [promo]).totalDiscount).toBe(75)
+      expect(evaluatePromotions([{ ...tusker, quantity: 12 }], [promo]).totalDiscount).toBe(300)
+    })
+
+    test('should use each unit in one promotion only', () => {
+      const bundle = { id: 'B2', name: 'Any 3 wines', type: PROMOTION_TYPES.BUNDLE, bundleQuantity: 3, bundlePrice: 4000, categories: ['Red Wine'] }
+      const happyHour = { id: 'H1', name: 'Happy hour', type: PROMOTION_TYPES.PERCENT_OFF, discountPercent: 10 }
+      const result = evaluatePromotions([{ ...merlot, quantity: 3 }, shiraz], [happyHour, bundle])
+      expect(result.applied.map(p => p.promotionId)).toEqual(['B2', 'H1'])
+      // The fourth bottle isn't in a bundle, so only it gets the happy hour price
+      expect(result.applied[1].items).toEqual([{ id: 2, name: 'Merlot', quantity: 1, discount: 150 }])
+    })
+
+    test('should skip promotions outside their window', () => {
+      const happyHour = { id: 'H1', name: 'Happy hour', type: PROMOTION_TYPES.PERCENT_OFF, discountPercent: 10, schedule: { startTime: '17:00', endTime: '19:00' } }
+      expect(evaluatePromotions([jameson], [happyHour], { now: friday(16, 59) }).totalDiscount).toBe(0)
+      expect(evaluatePromotions([jameson], [happyHour], { now: friday(17, 0) }).totalDiscount).toBe(240)
+    })
+  })
+
+  describe('applyPromotionsToCart', () => {
+    test('should feed promotion discounts into the cart totals', () => {
+      const promo = { id: 'B1', name: 'Wine 2+1', type: PROMOTION_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1 }
+      const cart = [{ ...merlot, quantity: 3 }]
+      const priced = applyPromotionsToCart(cart, evaluatePromotions(cart, [promo]))
+      expect(priced[0].promotionDiscount).toBe(1500)
+
+      const totals = calculateCartTotals(priced, 10)
+      expect(totals.promotionDiscount).toBe(1500)
+      expect(totals.discountAmount).toBe(300)
+      expect(totals.total).toBe(2700)
+    })
+
+    test('should clear stale discounts when a promotion no longer applies', () => {
+      const priced = applyPromotionsToCart([{ ...merlot, promotionDiscount: 100 }], evaluatePromotions([merlot], []))
+      expect(priced[0]).not.toHaveProperty('promotionDiscount')
+    })
+  })
+
+  describe('validatePromotion', () => {
+    test('should require the fields for the chosen type', () => {
+      expect(validatePromotion({ name: '', type: PROMOTION_TYPES.PERCENT_OFF })).toBe('Give the promotion a name')
+      expect(validatePromotion({ name: 'Deal', type: PROMOTION_TYPES.BUNDLE, bundleQuantity: 1, bundlePrice: 100 })).toMatch('at least 2')
+      expect(validatePromotion({ name: 'Deal', type: PROMOTION_TYPES.PERCENT_OFF, discountPercent: 10 })).toBeNull()
+    })
+  })
+
+  describe('getPromotionPerformance', () => {
+    test('should total uses, discount and promoted revenue per promotion', () => {
+      const applied = { promotionId: 'B1', name: 'Wine 2+1', type: PROMOTION_TYPES.BUY_X_GET_Y, discount: 1500, items: [{ id: 2, name: 'Merlot', quantity: 3, discount: 1500 }] }
+      const sale = { id: 'T1', items: [{ id: 2, price: 1500, quantity: 3, promotionDiscount: 1500 }], promotions: [applied] }
+      const result = getPromotionPerformance([
+        sale,
+        { ...sale, id: 'T2' },
+        { ...sale, id: 'T3', paymentStatus: 'cancelled' },
+        { ...sale, id: 'CN1', type: 'credit_note' }
+      ])
+      expect(result).toEqual([
+        { promotionId: 'B1', name: 'Wine 2+1', type: 'buy_x_get_y', uses: 2, units: 6, discountGiven: 3000, revenue: 6000 }
+      ])
+    })
+  })
+})
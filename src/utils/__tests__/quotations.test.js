@@ -0,0 +1,139 @@
+/**
+ * Tests for quotations
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  QUOTE_STATUS,
+  getDefaultValidUntil,
+  isQuoteExpired,
+  getQuoteStatus,
+  getQuoteTotals,
+  getNextQuoteNumber,
+  getQuoteShortages,
+  buildQuote,
+  createQuote,
+  setQuoteStatus,
+  validateQuoteConversion,
+  markQuoteConverted
+} from '../quotations'
+
+describe('Quotations Module', () => {
+  const now = new Date(2026, 9, 19, 10, 0, 0)
+  const user = { id: 'u1', name: 'Jane', branchId: 'nakuru' }
+  const cart = [
+    { id: 'p1', name: 'Jameson 750ml', price: 3000, quantity: 10, promotionDiscount: 500 },
+    { id: 'p2-case', productId: 'p2', unitId: 'case', unitName: 'Case of 24', unitFactor: 24, name: 'Tusker', price: 4800, quantity: 2 },
+    { id: 'p2', name: 'Tusker', price: 220, quantity: 6 }
+  ]
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('validity', () => {
+    test('should run to the end of the valid-until day', () => {
+      expect(getDefaultValidUntil(now)).toBe('2026-11-02')
+      const quote = { status: QUOTE_STATUS.OPEN, validUntil: '2026-10-19' }
+      expect(isQuoteExpired(quote, new Date(2026, 9, 19, 23, 0, 0))).toBe(false)
+      expect(isQuoteExpired(quote, new Date(2026, 9, 20, 0, 0, 1))).toBe(true)
+      expect(getQuoteStatus(quote, new Date(2026, 9, 20))).toBe('expired')
+      expect(getQuoteStatus({ ...quote, status: QUOTE_STATUS.CONVERTED }, new Date(2026, 9, 20))).toBe('converted')
+    })
+  })
+
+  describe('getNextQuoteNumber', () => {
+    test('should number quotes per branch', () => {
+      const quotes = [{ quoteNumber: 'QT-NAK-00004' }, { quoteNumber: 'QT-NAI-00009' }]
+      expect(getNextQuoteNumber(quotes, 'nakuru')).toBe('QT-NAK-00005')
+      expect(getNextQuoteNumber([], 'nairobi')).toBe('QT-NAI-00001')
+    })
+  })
+
+  describe('buildQuote', () => {
+    test('should save the cart without promotions and total it', () => {
+      const quote = buildQuote({
+        quoteNumber: 'QT-NAK-00001',
+        cart,
+        discount: 10,
+        customer: { name: ' Acme Events ', phone: '0712345678' },
+        validUntil: '2026-11-02',
+        user,
+        now
+      })
+      expect(quote).toMatchObject({
+        status: 'open',
+        branchId: 'nakuru',
+        customer: { id: null, name: 'Acme Events', phone: '0712345678', email: '' },
+        createdBy: 'Jane'
+      })
+      expect(quote.items[0].promotionDiscount).toBeUndefined()
+      // (30000 + 9600 + 1320) less 10%
+      expect(quote.total).toBe(36828)
+      expect(getQuoteTotals(quote).discountAmount).toBe(4092)
+    })
+
+    test('should need items, a customer and a future date', () => {
+      const base = { quoteNumber: 'QT-NAK-00001', cart, customer: { name: 'Acme' }, validUntil: '2026-11-02', user, now }
+      expect(() => buildQuote({ ...base, cart: [] })).toThrow('cart first')
+      expect(() => buildQuote({ ...base, customer: { name: ' ' } })).toThrow('who the quote is for')
+      expect(() => buildQuote({ ...base, validUntil: '' })).toThrow('valid until')
+      expect(() => buildQuote({ ...base, validUntil: '2026-10-18' })).toThrow('already passed')
+    })
+  })
+
+  describe('conversion', () => {
+    const quote = { quoteNumber: 'QT-NAK-00001', status: QUOTE_STATUS.ACCEPTED, validUntil: '2026-11-02', items: cart }
+
+    test('should add up pack and single lines against stock', () => {
+      const inventory = [
+        { id: 'p1', name: 'Jameson 750ml', quantity: 12 },
+        { id: 'p2', name: 'Tusker', quantity: 50 }
+      ]
+      expect(getQuoteShortages(cart, inventory)).toEqual([
+        { productId: 'p2', name: 'Tusker', needed: 54, available: 50 }
+      ])
+      expect(validateQuoteConversion(quote, inventory, now)).toMatch('Tusker (need 54, have 50)')
+      expect(validateQuoteConversion(quote, [...inventory.slice(0, 1), { id: 'p2', quantity: 60 }], now)).toBeNull()
+    })
+
+    test('should refuse quotes that are sold, declined or expired', () => {
+      const inventory = [{ id: 'p1', quantity: 99 }, { id: 'p2', quantity: 99 }]
+      expect(validateQuoteConversion({ ...quote, status: QUOTE_STATUS.CONVERTED }, inventory, now)).toMatch('already been sold')
+      expect(validateQuoteConversion({ ...quote, status: QUOTE_STATUS.DECLINED }, inventory, now)).toMatch('declined')
+      expect(validateQuoteConversion(quote, inventory, new Date(2026, 10, 3))).toMatch('expired on 2026-11-02')
+      expect(getQuoteShortages(cart, [])).toHaveLength(2)
+    })
+  })
+
+  describe('storage', () => {
+    test('should number and save a new quote', async () => {
+      const earlier = { id: 'q0', quoteNumber: 'QT-NAK-00002' }
+      const transactions = [{ id: 'TXN-1' }]
+      readSharedData.mockResolvedValue({ quotes: [earlier], transactions })
+      const quote = await createQuote({ adminId: 'a1', cart, customer: { name: 'Acme' }, validUntil: getDefaultValidUntil(), user })
+      expect(quote.quoteNumber).toBe('QT-NAK-00003')
+      expect(writeSharedData).toHaveBeenCalledWith({ quotes: [earlier, quote], transactions }, 'a1', { writeOnlyStores: ['quotes'] })
+    })
+
+    test('should record the answer and the sale', async () => {
+      const stored = { id: 'q1', quoteNumber: 'QT-NAK-00001', status: QUOTE_STATUS.OPEN, validUntil: getDefaultValidUntil() }
+      readSharedData.mockResolvedValue({ quotes: [stored] })
+
+      const accepted = await setQuoteStatus({ adminId: 'a1', quoteId: 'q1', status: QUOTE_STATUS.ACCEPTED, user })
+      expect(accepted).toMatchObject({ status: 'accepted', respondedBy: 'Jane' })
+      await expect(setQuoteStatus({ adminId: 'a1', quoteId: 'q1', status: 'open', user })).rejects.toThrow('Unknown quote status')
+
+      const converted = await markQuoteConverted({ adminId: 'a1', quoteId: 'q1', transactionId: 't1', receiptNumber: 'NAK-9F3Q-000001', user })
+      expect(converted).toMatchObject({ status: 'converted', transactionId: 't1', receiptNumber: 'NAK-9F3Q-000001', convertedBy: 'Jane' })
+
+      readSharedData.mockResolvedValue({ quotes: [converted] })
+      await expect(setQuoteStatus({ adminId: 'a1', quoteId: 'q1', status: QUOTE_STATUS.DECLINED, user })).rejects.toThrow('already been sold')
+    })
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Tests for receipt numbering helpers
+ */
+
+import {
+  DOCUMENT_SERIES,
+  getBranchCode,
+  getTerminalCode,
+  getReceiptPrefix,
+  formatReceiptNumber,
+  parseReceiptSequence,
+  getHighestReceiptSequence,
+  getReceiptNumber
+} from '../receiptNumbers'
+
+describe('Receipt Numbers Module', () => {
+  describe('getReceiptPrefix', () => {
+    test('should combine branch and terminal codes', () => {
+      expect(getBranchCode('nakuru-town')).toBe('NAK')
+      expect(getTerminalCode('T-LX8K2A-9F3Q')).toBe('9F3Q')
+      expect(getReceiptPrefix('nakuru-town', 'T-LX8K2A-9F3Q')).toBe('NAK-9F3Q')
+    })
+
+    test('should fall back when branch or terminal is missing', () => {
+      expect(getReceiptPrefix(null, '')).toBe('HQ-TILL')
+    })
+
+    test('should lead with the series code for other documents', () => {
+      expect(getReceiptPrefix('nakuru-town', 'T-LX8K2A-9F3Q', DOCUMENT_SERIES.CREDIT_NOTE)).toBe('CN-NAK-9F3Q')
+      expect(getReceiptPrefix('nakuru-town', 'T-LX8K2A-9F3Q', DOCUMENT_SERIES.DEPOSIT_REFUND)).toBe('DR-NAK-9F3Q')
+    })
+  })
+
+  describe('formatReceiptNumber / parseReceiptSequence', () => {
+    test('should zero-pad the sequence and read it back', () => {
+      const number = formatReceiptNumber('NAK-9F3Q', 124)
+      expect(number).toBe('NAK-9F3Q-000124')
+      expect(parseReceiptSequence(number, 'NAK-9F3Q')).toBe(124)
+    })
+
+    test('should ignore numbers from another till', () => {
+      expect(parseReceiptSequence('NAK-7ABC-000500', 'NAK-9F3Q')).toBeNull()
+      expect(parseReceiptSequence(undefined, 'NAK-9F3Q')).toBeNull()
+    })
+  })
+
+  describe('getHighestReceiptSequence', () => {
+    test('should find the highest number issued under the prefix', () => {
+      const transactions = [
+        { receiptNumber: 'NAK-9F3Q-000003' },
+        { receiptNumber: 'NAK-9F3Q-000011' },
+        { receiptNumber: 'NAK-7ABC-000900' },
+        { id: 'TXN-legacy' }
+      ]
+      expect(getHighestReceiptSequence(transactions, 'NAK-9F3Q')).toBe(11)
+      expect(getHighestReceiptSequence([], 'NAK-9F3Q')).toBe(0)
+    })
+
+    test('should read a series from its own field, per terminal', () => {
+      const transactions = [
+        { type: 'credit_note', creditNoteNumber: 'CN-NAK-9F3Q-000004' },
+        // The same number from another till doesn't count against this one
+        { type: 'credit_note', creditNoteNumber: 'CN-NAK-7ABC-000009' },
+        { type: 'deposit_refund', depositRefundNumber: 'DR-NAK-9F3Q-000007' },
+        { receiptNumber: 'NAK-9F3Q-000030' }
+      ]
+      const { CREDIT_NOTE, DEPOSIT_REFUND } = DOCUMENT_SERIES
+      expect(getHighestReceiptSequence(transactions, 'CN-NAK-9F3Q', CREDIT_NOTE.field)).toBe(4)
+      expect(getHighestReceiptSequence(transactions, 'DR-NAK-9F3Q', DEPOSIT_REFUND.field)).toBe(7)
+    })
+  })
+
+  describe('getReceiptNumber', () => {
+    test('should prefer the stored number and fall back for older sales', () => {
+      expect(getReceiptNumber({ id: 'TXN-1-abc', receiptNumber: 'NAK-9F3Q-000001' })).toBe('NAK-9F3Q-000001')
+      expect(getReceiptNumber({ id: 'CN-1', type: 'credit_note', creditNoteNumber: 'CN-NAK-00002' })).toBe('CN-NAK-00002')
+      expect(getReceiptNumber({ id: 'TXN-1700000000000-abcdefghi' })).toBe('bcdefghi')
+    })
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * Tests for returns and credit-note helpers
+ */
+
+import {
+  getAvailableRefundMethods,
+  getReturnableItems,
+  calculateRefundTotal,
+  validateReturn,
+  buildCreditNote
+} from '../returns'
+
+describe('Returns Module', () => {
+  const sale = {
+    id: 'TXN-1',
+    branchId: 'nakuru',
+    customerId: 'CUST-1',
+    customerName: 'Jane',
+    discount: 10,
+    total: 4500,
+    paymentMethod: 'cash',
+    items: [
+      { id: 'P1', name: 'Jameson 750ml', sku: 'JAM750', price: 2000, quantity: 2 },
+      { id: 'P2', name: 'Tusker 500ml', sku: 'TUS500', price: 250, quantity: 4 }
+    ]
+  }
+  const earlierNote = {
+    id: 'CN-1',
+    type: 'credit_note',
+    creditNoteNumber: 'CN-NAK-00003',
+    originalTransactionId: 'TXN-1',
+    items: [{ id: 'P2', quantity: -1 }]
+  }
+
+  describe('getReturnableItems', () => {
+    test('should subtract quantities already returned on earlier credit notes', () => {
+      const items = getReturnableItems(sale, [sale, earlierNote])
+      expect(items.find(i => i.id === 'P1').returnableQuantity).toBe(2)
+      expect(items.find(i => i.id === 'P2')).toMatchObject({ returnedQuantity: 1, returnableQuantity: 3 })
+    })
+  })
+
+  describe('calculateRefundTotal', () => {
+    test('should refund the discounted price actually paid', () => {
+      expect(calculateRefundTotal(sale, [{ id: 'P1', quantity: 1 }])).toBe(1800)
+    })
+  })
+
+  describe('validateReturn', () => {
+    test('should reject returning more than is left on the sale', () => {
+      expect(validateReturn(sale, [earlierNote], [{ id: 'P2', quantity: 4 }]))
+        .toBe('Only 3 of Tusker 500ml can still be returned')
+    })
+
+    test('should reject cancelled sales and empty selections', () => {
+      expect(validateReturn({ ...sale, paymentStatus: 'cancelled' }, [], [{ id: 'P1', quantity: 1 }])).toBeTruthy()
+      expect(validateReturn(sale, [], [{ id: 'P1', quantity: 0 }])).toBe('Select at least one item to return')
+    })
+
+    test('should accept a valid partial return', () => {
+      expect(validateReturn(sale, [earlierNote], [{ id: 'P2', quantity: 3 }])).toBeNull()
+    })
+  })
+
+  describe('getAvailableRefundMethods', () => {
+    test('should only offer account refunds when the sale was partly on credit', () => {
+      expect(getAvailableRefundMethods(sale)).toEqual(['cash', 'mpesa', 'store_credit'])
+      expect(getAvailableRefundMethods({ ...sale, paymentMethod: 'credit' })).toContain('credit')
+    })
+
+    test('should not offer store credit for walk-in sales', () => {
+      expect(getAvailableRefundMethods({ ...sale, customerId: null })).not.toContain('store_credit')
+    })
+  })
+
+  describe('buildCreditNote', () => {
+    test('should produce negative quantities and amounts that net out the sale', () => {
+      const note = buildCreditNote({
+        original: sale,
+        lines: [{ id: 'P1', quantity: 1, disposition: 'damaged' }, { id: 'P2', quantity: 0 }],
+        refundMethod: 'mpesa',
+        reference: 'QGH7ABC123',
+        reason: 'Broken seal',
+        creditNoteNumber: 'CN-NAK-00004',
+        user: { id: 'U1', name: 'Mary' }
+      })
+
+      expect(note.type).toBe('credit_note')
+      expect(note.originalTransactionId).toBe('TXN-1')
+      expect(note.items).toHaveLength(1)
+      expect(note.items[0]).toMatchObject({ id: 'P1', quantity: -1, itemTotal: -1800, disposition: 'damaged' })
+      expect(note.total).toBe(-1800)
+      expect(note.itemCount).toBe(-1)
+      expect(note.payments).toEqual([{ method: 'mpesa', amount: -1800, reference: 'QGH7ABC123' }])
+    })
+  })
+})
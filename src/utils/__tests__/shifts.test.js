@@ -0,0 +1,181 @@
+/**
+ * Tests for cashier shifts
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  SHIFT_STATUS,
+  CASH_MOVEMENT_TYPES,
+  REPORT_TYPES,
+  sumDenominations,
+  calculateShiftTotals,
+  buildShiftReport,
+  findOpenShift,
+  openShift,
+  addCashMovement,
+  closeShift
+} from '../shifts'
+
+describe('Shifts Module', () => {
+  const shift = {
+    id: 'SHIFT-1',
+    status: SHIFT_STATUS.OPEN,
+    cashierId: 'c1',
+    cashierName: 'Jane',
+    terminalId: 'T01',
+    openingFloat: 5000,
+    movements: [
+      { type: CASH_MOVEMENT_TYPES.PAY_IN, amount: 2000, reason: 'Float top-up' },
+      { type: CASH_MOVEMENT_TYPES.PAY_OUT, amount: 500, reason: 'Ice' }
+    ]
+  }
+
+  const transactions = [
+    { id: 'T1', shiftId: 'SHIFT-1', total: 3000, paymentMethod: 'cash', payments: [{ method: 'cash', amount: 3000 }] },
+    { id: 'T2', shiftId: 'SHIFT-1', total: 4000, paymentMethod: 'split', payments: [{ method: 'cash', amount: 1000 }, { method: 'mpesa', amount: 3000 }] },
+    { id: 'T3', shiftId: 'SHIFT-1', total: 1500, paymentMethod: 'cash', paymentStatus: 'cancelled', payments: [{ method: 'cash', amount: 1500 }] },
+    { id: 'T4', shiftId: 'SHIFT-2', total: 9000, paymentMethod: 'cash', payments: [{ method: 'cash', amount: 9000 }] },
+    { id: 'CN1', type: 'credit_note', shiftId: 'SHIFT-1', total: -800, paymentMethod: 'cash', payments: [{ method: 'cash', amount: -800 }] }
+  ]
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    writeSharedData.mockResolvedValue(true)
+  })
+
+  describe('sumDenominations', () => {
+    test('should total notes and coins', () => {
+      expect(sumDenominations({ 1000: 3, 50: 4, 1: 7 })).toBe(3207)
+      expect(sumDenominations({ 500: '', 200: 'x' })).toBe(0)
+      expect(sumDenominations()).toBe(0)
+    })
+  })
+
+  describe('calculateShiftTotals', () => {
+    test('should total the shift\'s own non-cancelled transactions', () => {
+      const totals = calculateShiftTotals(shift, transactions)
+      expect(totals.salesCount).toBe(2)
+      expect(totals.returnsCount).toBe(1)
+      expect(totals.grossSales).toBe(7000)
+      expect(totals.refunds).toBe(800)
+      expect(totals.cashSales).toBe(4000)
+      expect(totals.cashRefunds).toBe(800)
+      expect(totals.mpesaSales).toBe(3000)
+    })
+
+    test('should work out expected cash from float, sales, refunds and movements', () => {
+      const totals = calculateShiftTotals(shift, transactions)
+      expect(totals.payIns).toBe(2000)
+      expect(totals.payOuts).toBe(500)
+      // 5000 + 4000 - 800 + 2000 - 500
+      expect(totals.expectedCash).toBe(9700)
+      expect(totals.expectedMpesa).toBe(3000)
+    })
+
+    test('should keep deposits out of sales counts but pay empties out of the drawer', () => {
+      const totals = calculateShiftTotals(shift, [
+        ...transactions,
+        { id: 'T5', shiftId: 'SHIFT-1', total: 900, depositTotal: 300, paymentMethod: 'cash', payments: [{ method: 'cash', amount: 900 }] },
+        { id: 'DR1', type: 'deposit_refund', shiftId: 'SHIFT-1', total: -200, paymentMethod: 'cash', payments: [{ method: 'cash', amount: -200 }] }
+      ])
+      expect(totals.salesCount).toBe(3)
+      expect(totals.depositsCollected).toBe(300)
+      expect(totals.depositRefunds).toBe(200)
+      expect(totals.cashDepositRefunds).toBe(200)
+      // 9700 + 900 - 200
+      expect(totals.expectedCash).toBe(10400)
+    })
+  })
+
+  describe('buildShiftReport', () => {
+    test('should leave counted figures off an X report', () => {
+      const report = buildShiftReport(shift, transactions)
+      expect(report.type).toBe(REPORT_TYPES.X)
+      expect(report.counted).toBeNull()
+      expect(report.totals.expectedCash).toBe(9700)
+    })
+
+    test('should report the frozen totals and count of a closed shift', () => {
+      const closed = {
+        ...shift,
+        status: SHIFT_STATUS.CLOSED,
+        totals: { expectedCash: 100 },
+        closingCount: { countedCash: 90, countedMpesa: 0 },
+        cashVariance: -10,
+        mpesaVariance: 0
+      }
+      const report = buildShiftReport(closed, transactions)
+      expect(report.type).toBe(REPORT_TYPES.Z)
+      expect(report.totals.expectedCash).toBe(100)
+      expect(report.counted).toMatchObject({ countedCash: 90, cashVariance: -10 })
+    })
+  })
+
+  describe('findOpenShift', () => {
+    test('should find only the cashier\'s open shift', () => {
+      const shifts = [{ ...shift, status: SHIFT_STATUS.CLOSED, id: 'old' }, shift]
+      expect(findOpenShift(shifts, 'c1').id).toBe('SHIFT-1')
+      expect(findOpenShift(shifts, 'c2')).toBeNull()
+    })
+  })
+
+  describe('openShift', () => {
+    test('should open a shift with the counted float', async () => {
+      const earlier = { ...shift, id: 'SHIFT-0', cashierId: 'c9', status: SHIFT_STATUS.CLOSED }
+      readSharedData.mockResolvedValue({ shifts: [earlier], transactions })
+      const opened = await openShift({
+        adminId: 'a1',
+        user: { id: 'c1', name: 'Jane', branchId: 'b1' },
+        terminalId: 'T01',
+        denominations: { 1000: 4, 500: 2 }
+      })
+      expect(opened).toMatchObject({ status: SHIFT_STATUS.OPEN, openingFloat: 5000, branchId: 'b1', terminalId: 'T01' })
+      // Earlier shifts and the other stores are saved back with it
+      expect(writeSharedData).toHaveBeenCalledWith({ shifts: [earlier, opened], transactions }, 'a1', { writeOnlyStores: ['shifts'] })
+    })
+
+    test('should refuse a second open shift for the same cashier', async () => {
+      readSharedData.mockResolvedValue({ shifts: [shift] })
+      await expect(openShift({ adminId: 'a1', user: { id: 'c1' }, terminalId: 'T02' })).rejects.toThrow('already have a shift open')
+      expect(writeSharedData).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('addCashMovement', () => {
+    test('should validate amount and reason', async () => {
+      readSharedData.mockResolvedValue({ shifts: [shift] })
+      await expect(addCashMovement({ adminId: 'a1', shiftId: 'SHIFT-1', type: CASH_MOVEMENT_TYPES.PAY_OUT, amount: 0, reason: 'x' })).rejects.toThrow('greater than zero')
+      await expect(addCashMovement({ adminId: 'a1', shiftId: 'SHIFT-1', type: CASH_MOVEMENT_TYPES.PAY_OUT, amount: 100, reason: ' ' })).rejects.toThrow('reason')
+    })
+  })
+
+  describe('closeShift', () => {
+    test('should store the blind count, frozen totals and variances', async () => {
+      readSharedData.mockResolvedValue({ shifts: [shift] })
+      const closed = await closeShift({
+        adminId: 'a1',
+        shiftId: 'SHIFT-1',
+        denominations: { 1000: 9, 500: 1, 100: 1 },
+        countedMpesa: 3000,
+        transactions,
+        user: { name: 'Jane' }
+      })
+      expect(closed.status).toBe(SHIFT_STATUS.CLOSED)
+      expect(closed.closingCount.countedCash).toBe(9600)
+      expect(closed.totals.expectedCash).toBe(9700)
+      expect(closed.cashVariance).toBe(-100)
+      expect(closed.mpesaVariance).toBe(0)
+      expect(writeSharedData.mock.calls[0][0].shifts).toEqual([closed])
+    })
+
+    test('should not close a shift twice', async () => {
+      readSharedData.mockResolvedValue({ shifts: [{ ...shift, status: SHIFT_STATUS.CLOSED }] })
+      await expect(closeShift({ adminId: 'a1', shiftId: 'SHIFT-1', denominations: {}, countedMpesa: 0, transactions })).rejects.toThrow('already closed')
+    })
+  })
+})
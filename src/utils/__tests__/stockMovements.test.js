@@ -0,0 +1,109 @@
+/**
+ * Tests for the stock movement ledger
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData } from '../storage'
+import {
+  MOVEMENT_REASONS,
+  buildStockMovement,
+  getInventoryMovements,
+  getProductMovements,
+  getStockAsOf,
+  getStockMovements
+} from '../stockMovements'
+
+describe('Stock Movements Module', () => {
+  const cashier = { id: 'c1', name: 'Akinyi', role: 'cashier', branchId: 'nakuru' }
+  const at = (day, hour = 12) => new Date(2026, 9, day, hour, 0, 0)
+
+  // Ids repeat across branches, so product 1 is a different bottle in each
+  const jameson = { id: 1, branchId: 'nakuru', name: 'Jameson 750ml', sku: 'JAM-750', quantity: 10 }
+  const tusker = { id: 2, branchId: 'nakuru', name: 'Tusker', quantity: 48 }
+  const kisumuGin = { id: 1, branchId: 'kisumu', name: 'Gilbeys', quantity: 5 }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test('should record a change with its source document and user', () => {
+    const movement = buildStockMovement({
+      product: jameson,
+      previousStock: 12,
+      newStock: 10,
+      reason: MOVEMENT_REASONS.SALE,
+      source: { type: 'transaction', id: 'TXN-1', number: 'NAK-T1-000001' },
+      user: cashier,
+      now: at(19)
+    })
+    expect(movement).toMatchObject({
+      productId: 1,
+      productName: 'Jameson 750ml',
+      productSku: 'JAM-750',
+      branchId: 'nakuru',
+      delta: -2,
+      previousStock: 12,
+      newStock: 10,
+      reason: 'sale',
+      sourceType: 'transaction',
+      sourceId: 'TXN-1',
+      sourceNumber: 'NAK-T1-000001',
+      user: { id: 'c1', name: 'Akinyi', role: 'cashier' },
+      timestamp: at(19).toISOString()
+    })
+    expect(movement.id).toMatch(/^MOV-/)
+  })
+
+  test('should find the products whose quantity changed, matched by branch and id', () => {
+    const before = [jameson, tusker, kisumuGin, { id: 3, branchId: 'nakuru', name: 'Old stock', quantity: 4, deletedAt: '2026-01-01' }]
+    const after = [
+      { ...jameson, quantity: 7 },
+      tusker,
+      { ...kisumuGin, quantity: 5 },
+      { id: 4, branchId: ' Nakuru', name: 'Gilbeys', quantity: 6 },
+      { id: 3, branchId: 'nakuru', name: 'Old stock', quantity: 4 }
+    ]
+    const movements = getInventoryMovements(before, after, { reason: MOVEMENT_REASONS.STOCK_COUNT, user: cashier, now: at(19) })
+    expect(movements.map(m => [m.branchId, m.productId, m.previousStock, m.newStock, m.delta])).toEqual([
+      ['nakuru', 1, 10, 7, -3],
+      [' Nakuru', 4, 0, 6, 6],
+      // A product brought back from the bin starts from nothing
+      ['nakuru', 3, 0, 4, 4]
+    ])
+    expect(getInventoryMovements(before, before, { reason: MOVEMENT_REASONS.PRODUCT_EDIT, user: cashier })).toEqual([])
+  })
+
+  test('should work out stock on an earlier date from the later movements', () => {
+    const movements = [
+      buildStockMovement({ product: jameson, previousStock: 0, newStock: 24, reason: MOVEMENT_REASONS.GOODS_RECEIVED, user: cashier, now: at(10) }),
+      buildStockMovement({ product: jameson, previousStock: 24, newStock: 18, reason: MOVEMENT_REASONS.SALE, user: cashier, now: at(12) }),
+      buildStockMovement({ product: kisumuGin, previousStock: 9, newStock: 5, reason: MOVEMENT_REASONS.SALE, user: cashier, now: at(13) }),
+      buildStockMovement({ product: jameson, previousStock: 18, newStock: 10, reason: MOVEMENT_REASONS.TRANSFER_OUT, user: cashier, now: at(15) })
+    ]
+    expect(getProductMovements(movements, jameson).map(m => m.reason)).toEqual(['transfer_out', 'sale', 'goods_received'])
+    expect(getProductMovements(movements, { id: 1, branchId: 'KISUMU' })).toHaveLength(1)
+
+    expect(getStockAsOf(jameson, movements, at(19))).toBe(10)
+    expect(getStockAsOf(jameson, movements, at(14))).toBe(18)
+    expect(getStockAsOf(jameson, movements, at(11))).toBe(24)
+    expect(getStockAsOf(jameson, movements, at(1))).toBe(0)
+    expect(getStockAsOf(kisumuGin, movements, at(12, 23))).toBe(9)
+  })
+
+  test('should read one branch from the ledger, newest first', async () => {
+    readSharedData.mockResolvedValue({
+      stockMovements: [
+        { id: 'a', branchId: 'nakuru', timestamp: at(10).toISOString() },
+        { id: 'b', branchId: 'kisumu', timestamp: at(11).toISOString() },
+        { id: 'c', branchId: 'Nakuru', timestamp: at(12).toISOString() }
+      ]
+    })
+    const movements = await getStockMovements('a1', 'nakuru')
+    expect(readSharedData).toHaveBeenCalledWith('a1', false, { stores: ['stockMovements'] })
+    expect(movements.map(m => m.id)).toEqual(['c', 'a'])
+  })
+})
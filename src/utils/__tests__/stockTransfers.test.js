@@ -0,0 +1,238 @@
+/**
+ * Tests for stock transfers between branches
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+jest.mock('../receiptNumbers', () => ({
+  ...jest.requireActual('../receiptNumbers'),
+  allocateReceiptNumber: jest.fn(),
+  releaseReceiptNumber: jest.fn()
+}))
+jest.mock('../terminal', () => ({ getTerminalId: () => 'T-LX8K2A-9F3Q' }))
+
+import { readSharedData, writeSharedData } from '../storage'
+import { DOCUMENT_SERIES, allocateReceiptNumber, releaseReceiptNumber } from '../receiptNumbers'
+import { UNTRACKED_LOT_ID, getProductLots } from '../lots'
+import {
+  TRANSFER_STATUS,
+  getTransferSide,
+  findBranchProduct,
+  getInTransitSummary,
+  buildTransferRequest,
+  dispatchTransfer,
+  markTransferInTransit,
+  receiveTransfer,
+  cancelTransfer,
+  createTransferRequest,
+  saveDispatch,
+  saveReceipt
+} from '../stockTransfers'
+
+describe('Stock Transfers Module', () => {
+  const now = new Date(2026, 9, 19, 10, 0, 0)
+  const manager = { id: 'm1', name: 'Wanjiru', role: 'manager', branchId: 'kisumu' }
+  const sender = { id: 'm2', name: 'Otieno', role: 'manager', branchId: 'nakuru' }
+  const lotA = { id: 'A', lotNumber: 'B-100', expiryDate: '2027-06-01', quantity: 10, unitCost: 1500, grnNumber: 'GRN-00001' }
+  const lotB = { id: 'B', lotNumber: 'B-200', expiryDate: '2027-01-01', quantity: 4, unitCost: 1400, grnNumber: 'GRN-00002' }
+  // Both branches number their products from 1, so ids repeat across branches
+  const inventory = [
+    { id: 1, branchId: 'nakuru', name: 'Jameson 750ml', sku: 'JAM-750', quantity: 14, lots: [lotA, lotB] },
+    { id: 2, branchId: 'nakuru', name: 'Tusker', sku: '', barcode: '600123', quantity: 48 },
+    { id: 1, branchId: 'kisumu', name: 'Tusker', barcode: '600123', quantity: 2 },
+    { id: 2, branchId: 'kisumu', name: 'Jameson 750ml', sku: 'jam-750', quantity: 1 }
+  ]
+  const kisumu = (id) => inventory.find(p => p.branchId === 'kisumu' && p.id === id)
+
+  const request = () => buildTransferRequest({
+    transferNumber: 'TR-KIS-00001',
+    fromBranchId: 'nakuru',
+    toBranchId: 'kisumu',
+    branchNames: { from: 'Nakuru', to: 'Kisumu' },
+    lines: [{ product: kisumu(2), quantity: 6 }, { product: kisumu(1), quantity: 24 }],
+    user: manager,
+    now
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('requests', () => {
+    test('should match products across branches by SKU, barcode, then name', () => {
+      expect(findBranchProduct(inventory, 'nakuru', kisumu(2)).id).toBe(1)
+      expect(findBranchProduct(inventory, 'nakuru', kisumu(1)).id).toBe(2)
+      expect(findBranchProduct(inventory, 'Nakuru ', { name: 'tusker' }).id).toBe(2)
+      expect(findBranchProduct(inventory, 'nakuru', { name: 'Gilbeys' })).toBeUndefined()
+    })
+
+    test('should validate a request', () => {
+      const transfer = request()
+      expect(transfer).toMatchObject({ status: TRANSFER_STATUS.REQUESTED, fromBranchName: 'Nakuru', toBranchName: 'Kisumu' })
+      expect(transfer.items[0]).toMatchObject({ productId: 2, requestedQuantity: 6, dispatchedQuantity: 0 })
+      expect(transfer.statusHistory).toEqual([{ status: 'requested', timestamp: now.toISOString(), changedBy: { id: 'm1', name: 'Wanjiru', role: 'manager' } }])
+      expect(getTransferSide(transfer, 'nakuru')).toBe('source')
+      expect(getTransferSide(transfer, 'kisumu')).toBe('destination')
+      expect(() => buildTransferRequest({ fromBranchId: 'kisumu', toBranchId: 'kisumu', lines: [], user: manager })).toThrow('different branch')
+      expect(() => buildTransferRequest({ fromBranchId: 'nakuru', toBranchId: 'kisumu', lines: [{ product: kisumu(1), quantity: 1.5 }], user: manager })).toThrow('whole number')
+    })
+  })
+
+  describe('moving stock', () => {
+    test('should take dispatched stock off the sender first expiry first and hold it in transit', () => {
+      const { transfer, inventory: updated, adjustments } = dispatchTransfer(request(), inventory, { quantities: [6, 20], user: sender, now })
+      expect(transfer.status).toBe(TRANSFER_STATUS.DISPATCHED)
+      expect(transfer.items[0].lots.map(l => [l.lotId, l.quantity, l.unitCost])).toEqual([['B', 4, 1400], ['A', 2, 1500]])
+      expect(updated.find(p => p.branchId === 'nakuru' && p.id === 1).quantity).toBe(8)
+      expect(updated.find(p => p.branchId === 'nakuru' && p.id === 2).quantity).toBe(28)
+      // Nothing has reached the other branch yet
+      expect(updated.find(p => p.branchId === 'kisumu' && p.id === 2).quantity).toBe(1)
+      expect(adjustments.map(a => [a.branchId, a.adjustmentType, a.quantity, a.previousStock, a.newStock])).toEqual([
+        ['nakuru', 'transfer_out', -6, 14, 8],
+        ['nakuru', 'transfer_out', -20, 48, 28]
+      ])
+      expect(adjustments[0].notes).toBe('Sent to Kisumu on TR-KIS-00001')
+      expect(getInTransitSummary([transfer], 'kisumu')).toEqual({ incomingUnits: 26, incomingCount: 1, outgoingUnits: 0, outgoingCount: 0 })
+      expect(() => dispatchTransfer(request(), inventory, { quantities: [15, 0], user: sender })).toThrow('Only 14 Jameson 750ml in stock')
+      expect(() => dispatchTransfer(request(), inventory, { quantities: [0, 0], user: sender })).toThrow('at least one')
+    })
+
+    test('should put received stock on the receiver with its lots and record discrepancies', () => {
+      const dispatched = dispatchTransfer(request(), inventory, { quantities: [6, 20], user: sender, now })
+      const collected = markTransferInTransit(dispatched.transfer, { carrier: ' KDA 123X ', user: sender, now })
+      expect(collected).toMatchObject({ status: TRANSFER_STATUS.IN_TRANSIT, carrier: 'KDA 123X' })
+
+      expect(() => receiveTransfer(collected, dispatched.inventory, { quantities: [5, 20], user: manager })).toThrow('note')
+      const { transfer, inventory: updated, adjustments } = receiveTransfer(collected, dispatched.inventory, {
+        quantities: [5, 20],
+        notes: 'One bottle broken on the road',
+        user: manager,
+        now
+      })
+      expect(transfer.status).toBe(TRANSFER_STATUS.RECEIVED)
+      expect(transfer.discrepancies).toEqual([{ productId: 2, name: 'Jameson 750ml', dispatched: 6, received: 5, difference: -1 }])
+      const jameson = updated.find(p => p.branchId === 'kisumu' && p.id === 2)
+      expect(jameson.quantity).toBe(6)
+      expect(getProductLots(jameson).map(l => [l.id, l.quantity, l.unitCost])).toEqual([['B', 4, 1400], ['A', 1, 1500], [UNTRACKED_LOT_ID, 1, undefined]])
+      expect(updated.find(p => p.branchId === 'kisumu' && p.id === 1).quantity).toBe(22)
+      expect(adjustments.map(a => [a.branchId, a.adjustmentType, a.quantity, a.newStock])).toEqual([
+        ['kisumu', 'transfer_in', 5, 6],
+        ['kisumu', 'transfer_in', 20, 22]
+      ])
+      expect(getInTransitSummary([transfer], 'kisumu').incomingUnits).toBe(0)
+    })
+
+    test('should add a product the receiving branch no longer stocks', () => {
+      const dispatched = dispatchTransfer(request(), inventory, { quantities: [2, 0], user: sender, now })
+      const withoutJameson = dispatched.inventory.filter(p => !(p.branchId === 'kisumu' && p.id === 2))
+      const { inventory: updated } = receiveTransfer(dispatched.transfer, withoutJameson, { user: manager, now })
+      expect(updated.find(p => p.branchId === 'kisumu' && p.name === 'Jameson 750ml')).toMatchObject({ id: 3, sku: 'JAM-750', quantity: 2 })
+    })
+
+    test('should put cancelled stock back into the lots it left', () => {
+      const dispatched = dispatchTransfer(request(), inventory, { quantities: [6, 0], user: sender, now })
+      const { transfer, inventory: updated, adjustments } = cancelTransfer(dispatched.transfer, dispatched.inventory, { reason: 'Van broke down', user: sender, now })
+      expect(transfer).toMatchObject({ status: TRANSFER_STATUS.CANCELLED, cancelReason: 'Van broke down' })
+      const jameson = updated.find(p => p.branchId === 'nakuru' && p.id === 1)
+      expect(getProductLots(jameson).map(l => [l.id, l.quantity])).toEqual([['B', 4], ['A', 10]])
+      expect(adjustments.map(a => [a.adjustmentType, a.quantity])).toEqual([['transfer_return', 6]])
+      // A request that was never sent moves no stock
+      expect(cancelTransfer(request(), inventory, { user: manager, now }).adjustments).toEqual([])
+      expect(() => cancelTransfer({ ...transfer, status: TRANSFER_STATUS.RECEIVED }, inventory, { user: manager })).toThrow('already been received')
+    })
+  })
+
+  describe('saving', () => {
+    test('should save a new request under the next number for the branch and till', async () => {
+      const earlier = { id: 't3', transferNumber: 'TR-KIS-9F3Q-000003' }
+      const inventorySaved = [kisumu(1)]
+      readSharedData.mockResolvedValue({ stockTransfers: [earlier], inventory: inventorySaved })
+      allocateReceiptNumber.mockResolvedValue('TR-KIS-9F3Q-000004')
+      const transfer = await createTransferRequest({
+        adminId: 'a1',
+        fromBranchId: 'nakuru',
+        toBranchId: 'kisumu',
+        lines: [{ product: kisumu(1), quantity: 12 }],
+        user: manager
+      })
+      expect(allocateReceiptNumber).toHaveBeenCalledWith({
+        adminId: 'a1',
+        branchId: 'kisumu',
+        terminalId: 'T-LX8K2A-9F3Q',
+        series: DOCUMENT_SERIES.STOCK_TRANSFER,
+        transactions: [earlier]
+      })
+      expect(transfer.transferNumber).toBe('TR-KIS-9F3Q-000004')
+      // The other stores go back as they were read, for storage that saves the object whole
+      expect(writeSharedData).toHaveBeenCalledWith(
+        { stockTransfers: [earlier, transfer], inventory: inventorySaved },
+        'a1',
+        { writeOnlyStores: ['stockTransfers'] }
+      )
+    })
+
+    test('should hand the number back when the request is not saved', async () => {
+      readSharedData.mockResolvedValue({ stockTransfers: [] })
+      allocateReceiptNumber.mockResolvedValue('TR-KIS-9F3Q-000001')
+      releaseReceiptNumber.mockResolvedValue(true)
+      await expect(createTransferRequest({
+        adminId: 'a1',
+        fromBranchId: 'kisumu',
+        toBranchId: 'kisumu',
+        lines: [{ product: kisumu(1), quantity: 1 }],
+        user: manager
+      })).rejects.toThrow('different branch')
+      expect(writeSharedData).not.toHaveBeenCalled()
+      expect(releaseReceiptNumber).toHaveBeenCalledWith(expect.objectContaining({
+        receiptNumber: 'TR-KIS-9F3Q-000001',
+        series: DOCUMENT_SERIES.STOCK_TRANSFER
+      }))
+    })
+
+    test('should save a dispatch with the whole inventory and the adjustments', async () => {
+      const transfer = request()
+      const other = { ...request(), id: 'other' }
+      const earlierAdjustment = { id: 'adj-0', productId: 9 }
+      readSharedData.mockResolvedValue({
+        inventory,
+        stockTransfers: [transfer, other],
+        stockAdjustments: [earlierAdjustment],
+        customers: [{ id: 'c1' }]
+      })
+      const result = await saveDispatch({ adminId: 'a1', transferId: transfer.id, quantities: [1, 1], user: sender })
+      expect(readSharedData).toHaveBeenCalledWith('a1', true)
+      const [data, adminId, options] = writeSharedData.mock.calls[0]
+      expect(adminId).toBe('a1')
+      expect(options).toEqual({ writeOnlyStores: ['stockTransfers', 'inventory', 'stockAdjustments', 'stockMovements'] })
+      expect(data.stockTransfers).toEqual([result.transfer, other])
+      expect(data.customers).toEqual([{ id: 'c1' }])
+      expect(data.inventory).toHaveLength(4)
+      expect(data.stockAdjustments).toHaveLength(3)
+      expect(data.stockAdjustments[0]).toBe(earlierAdjustment)
+      expect(data.stockMovements.map(m => [m.branchId, m.reason, m.delta, m.sourceNumber])).toEqual([
+        ['nakuru', 'transfer_out', -1, 'TR-KIS-00001'],
+        ['nakuru', 'transfer_out', -1, 'TR-KIS-00001']
+      ])
+    })
+
+    test('should add each movement to the ledger that was read', async () => {
+      const transfer = request()
+      readSharedData.mockResolvedValue({ inventory, stockTransfers: [transfer], stockMovements: [] })
+      await saveDispatch({ adminId: 'a1', transferId: transfer.id, quantities: [2, 1], user: sender })
+      const [afterDispatch] = writeSharedData.mock.calls[0]
+
+      readSharedData.mockResolvedValue(afterDispatch)
+      await saveReceipt({ adminId: 'a1', transferId: transfer.id, user: manager })
+      const [afterReceipt] = writeSharedData.mock.calls[1]
+      expect(afterReceipt.stockMovements.slice(0, 2)).toEqual(afterDispatch.stockMovements)
+      expect(afterReceipt.stockMovements.map(m => [m.branchId, m.reason, m.delta])).toEqual([
+        ['nakuru', 'transfer_out', -2],
+        ['nakuru', 'transfer_out', -1],
+        ['kisumu', 'transfer_in', 2],
+        ['kisumu', 'transfer_in', 1]
+      ])
+    })
+  })
+})
@@ -0,0 +1,44 @@
+/**
+ * Tests for customer store credit
+ */
+
+import {
+  STORE_CREDIT_ENTRY_TYPES,
+  getStoreCreditBalance,
+  postStoreCredit,
+  getStoreCreditLiability
+} from '../storeCredit'
+
+describe('Store Credit Module', () => {
+  const customer = { id: 'cust-1', name: 'Achieng', storeCredit: 0 }
+
+  test('should keep the balance and ledger in step', () => {
+    const refunded = postStoreCredit(customer, { type: STORE_CREDIT_ENTRY_TYPES.REFUND, amount: 1200, reference: 'CN-NKR-00001', user: { name: 'Jane' } })
+    const spent = postStoreCredit(refunded, { type: STORE_CREDIT_ENTRY_TYPES.REDEMPTION, amount: -450, reference: 'NKR-T1-00042' })
+
+    expect(getStoreCreditBalance(spent)).toBe(750)
+    expect(spent.storeCreditLedger.map(e => [e.type, e.amount, e.balanceAfter])).toEqual([
+      ['refund', 1200, 1200],
+      ['redemption', -450, 750]
+    ])
+    expect(spent.storeCreditLedger[0].by).toBe('Jane')
+    expect(() => postStoreCredit(spent, { type: STORE_CREDIT_ENTRY_TYPES.REDEMPTION, amount: -800 })).toThrow('only has KES 750')
+  })
+
+  test('should carry credit from before the ledger in as an opening balance', () => {
+    const updated = postStoreCredit({ ...customer, storeCredit: 300 }, { type: STORE_CREDIT_ENTRY_TYPES.REDEMPTION, amount: -100 })
+    expect(updated.storeCreditLedger.map(e => [e.type, e.amount, e.balanceAfter])).toEqual([
+      ['opening', 300, 300],
+      ['redemption', -100, 200]
+    ])
+  })
+
+  test('should total credit owed to customers', () => {
+    expect(getStoreCreditLiability([
+      { storeCredit: 750 },
+      { storeCredit: 200.5 },
+      { storeCredit: 0 },
+      { storeCredit: 90, deletedAt: '2026-10-01' }
+    ])).toEqual({ total: 950.5, count: 2 })
+  })
+})
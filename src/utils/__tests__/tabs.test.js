@@ -0,0 +1,128 @@
+/**
+ * Tests for bar tabs
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import { readSharedData, writeSharedData } from '../storage'
+import {
+  TAB_STATUS,
+  getTabTotal,
+  getOutstandingTabs,
+  mergeTabItems,
+  splitTabItems,
+  splitEvenly,
+  openTab,
+  transferTab,
+  settleTabLines
+} from '../tabs'
+
+describe('Tabs Module', () => {
+  const tab = {
+    id: 'TAB-1',
+    name: 'Table 4',
+    status: TAB_STATUS.OPEN,
+    branchId: 'b1',
+    cashierId: 'c1',
+    cashierName: 'Jane',
+    openedAt: '2026-10-18T18:00:00.000Z',
+    items: [
+      { tabLineId: 'L1', id: 3, name: 'Tasting flight', price: 1500, quantity: 2 },
+      { tabLineId: 'L2', id: 9, name: 'Jameson 50ml', price: 450, quantity: 3 }
+    ],
+    transfers: [],
+    transactionIds: []
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('totals', () => {
+    test('should total a tab and the open tabs per branch and cashier', () => {
+      const tabs = [
+        tab,
+        { ...tab, id: 'TAB-2', cashierId: 'c2', items: [{ id: 3, price: 1500, quantity: 1 }] },
+        { ...tab, id: 'TAB-3', status: TAB_STATUS.SETTLED },
+        { ...tab, id: 'TAB-4', branchId: 'b2' }
+      ]
+      expect(getTabTotal(tab)).toBe(4350)
+      expect(getOutstandingTabs(tabs, { branchId: 'b1' })).toEqual({ count: 2, total: 5850 })
+      expect(getOutstandingTabs(tabs, { branchId: 'b1', cashierId: 'c1' })).toEqual({ count: 1, total: 4350 })
+    })
+  })
+
+  describe('mergeTabItems', () => {
+    test('should top up matching lines and keep overridden prices separate', () => {
+      const merged = mergeTabItems(tab.items, [
+        { id: 9, price: 450, quantity: 1 },
+        { id: 3, price: 1200, quantity: 1, priceOverride: { originalPrice: 1500, price: 1200 } }
+      ], { name: 'Ali' })
+      expect(merged).toHaveLength(3)
+      expect(merged[1].quantity).toBe(4)
+      expect(merged[2]).toMatchObject({ id: 3, price: 1200, addedBy: 'Ali' })
+      expect(merged[2].tabLineId).toBeDefined()
+      expect(tab.items[1].quantity).toBe(3)
+    })
+  })
+
+  describe('splitTabItems', () => {
+    test('should pay for the chosen quantities and leave the rest on the tab', () => {
+      const { selected, remaining } = splitTabItems(tab.items, { L2: 2, L1: 5 })
+      expect(selected.map(i => [i.tabLineId, i.quantity])).toEqual([['L1', 2], ['L2', 2]])
+      expect(remaining.map(i => [i.tabLineId, i.quantity])).toEqual([['L2', 1]])
+    })
+  })
+
+  describe('splitEvenly', () => {
+    test('should share to the cent without losing any', () => {
+      expect(splitEvenly(1000, 3)).toEqual([333.34, 333.33, 333.33])
+      expect(splitEvenly(4350, 2)).toEqual([2175, 2175])
+      expect(splitEvenly(99.99, 0)).toEqual([99.99])
+    })
+  })
+
+  describe('openTab', () => {
+    test('should open a tab owned by the cashier and refuse a duplicate name', async () => {
+      const settledTab = { ...tab, id: 'TAB-0', name: 'Old party', status: TAB_STATUS.SETTLED }
+      const customers = [{ id: 'cu1' }]
+      readSharedData.mockResolvedValue({ tabs: [settledTab], customers })
+      const opened = await openTab({ adminId: 'a1', name: ' Karanja party ', user: { id: 'c1', name: 'Jane', branchId: 'b1' } })
+      expect(opened).toMatchObject({ name: 'Karanja party', status: TAB_STATUS.OPEN, branchId: 'b1', cashierId: 'c1', items: [] })
+      expect(writeSharedData).toHaveBeenCalledWith({ tabs: [settledTab, opened], customers }, 'a1', { writeOnlyStores: ['tabs'] })
+
+      readSharedData.mockResolvedValue({ tabs: [tab] })
+      await expect(openTab({ adminId: 'a1', name: 'table 4', user: { id: 'c2', branchId: 'b1' } })).rejects.toThrow('already an open tab')
+    })
+  })
+
+  describe('transferTab', () => {
+    test('should hand the tab over and record the transfer', async () => {
+      readSharedData.mockResolvedValue({ tabs: [tab] })
+      const moved = await transferTab({ adminId: 'a1', tabId: 'TAB-1', toUser: { id: 'c2', name: 'Otieno' }, user: { name: 'Jane' } })
+      expect(moved).toMatchObject({ cashierId: 'c2', cashierName: 'Otieno' })
+      expect(moved.transfers[0]).toMatchObject({ fromName: 'Jane', toName: 'Otieno', transferredBy: 'Jane' })
+
+      await expect(transferTab({ adminId: 'a1', tabId: 'TAB-1', toUser: { id: 'c1' } })).rejects.toThrow('already has this tab')
+    })
+  })
+
+  describe('settleTabLines', () => {
+    test('should keep a part-paid tab open and settle it once empty', async () => {
+      readSharedData.mockResolvedValue({ tabs: [tab] })
+      const partPaid = await settleTabLines({ adminId: 'a1', tabId: 'TAB-1', selection: { L1: 2 }, transactionId: 'TXN-1' })
+      expect(partPaid).toMatchObject({ status: TAB_STATUS.OPEN, transactionIds: ['TXN-1'] })
+      expect(partPaid.items).toHaveLength(1)
+
+      readSharedData.mockResolvedValue({ tabs: [partPaid] })
+      const settled = await settleTabLines({ adminId: 'a1', tabId: 'TAB-1', selection: { L2: 3 }, transactionId: 'TXN-2', user: { name: 'Jane' } })
+      expect(settled).toMatchObject({ status: TAB_STATUS.SETTLED, settledBy: 'Jane', transactionIds: ['TXN-1', 'TXN-2'], items: [] })
+
+      readSharedData.mockResolvedValue({ tabs: [settled] })
+      await expect(settleTabLines({ adminId: 'a1', tabId: 'TAB-1', selection: {}, transactionId: 'TXN-3' })).rejects.toThrow('already been settled')
+    })
+  })
+})
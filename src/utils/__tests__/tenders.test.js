@@ -0,0 +1,117 @@
+/**
+ * Tests for split-tender payment helpers
+ */
+
+import {
+  getTransactionPayments,
+  getTenderAmount,
+  transactionUsesTender,
+  isSplitTender,
+  sumByTender,
+  validatePayments,
+  finalizePayments,
+  describePayments
+} from '../tenders'
+
+describe('Tenders Module', () => {
+  const legacyCash = { id: 'TXN-1', total: 1200, paymentMethod: 'cash' }
+  const splitSale = {
+    id: 'TXN-2',
+    total: 4500,
+    paymentMethod: 'split',
+    payments: [
+      { method: 'cash', amount: 3000 },
+      { method: 'mpesa', amount: 1500, reference: 'QGH7ABC123' }
+    ]
+  }
+
+  describe('getTransactionPayments', () => {
+    test('should treat legacy transactions as one line covering the total', () => {
+      expect(getTransactionPayments(legacyCash)).toEqual([{ method: 'cash', amount: 1200 }])
+    })
+
+    test('should default legacy transactions without a method to cash', () => {
+      expect(getTransactionPayments({ total: '250' })).toEqual([{ method: 'cash', amount: 250 }])
+    })
+
+    test('should return stored payment lines', () => {
+      expect(getTransactionPayments(splitSale)).toHaveLength(2)
+    })
+  })
+
+  describe('attribution', () => {
+    test('should attribute split sales per tender', () => {
+      expect(getTenderAmount(splitSale, 'cash')).toBe(3000)
+      expect(getTenderAmount(splitSale, 'mpesa')).toBe(1500)
+      expect(getTenderAmount(splitSale, 'credit')).toBe(0)
+    })
+
+    test('should sum tenders across transactions', () => {
+      expect(sumByTender([legacyCash, splitSale])).toEqual({ cash: 4200, mpesa: 1500, credit: 0 })
+    })
+
+    test('should match split sales for each tender used', () => {
+      expect(transactionUsesTender(splitSale, 'cash')).toBe(true)
+      expect(transactionUsesTender(splitSale, 'mpesa')).toBe(true)
+      expect(transactionUsesTender(splitSale, 'split')).toBe(true)
+      expect(transactionUsesTender(legacyCash, 'split')).toBe(false)
+      expect(isSplitTender(legacyCash)).toBe(false)
+    })
+
+    test('should describe how a sale was paid', () => {
+      expect(describePayments(splitSale)).toBe('Cash + M-Pesa')
+    })
+  })
+
+  describe('validatePayments', () => {
+    test('should require the total to be covered', () => {
+      expect(validatePayments([{ method: 'cash', amount: 1000 }], 1500)).toMatch(/outstanding/)
+      expect(validatePayments([{ method: 'cash', amount: 1000 }, { method: 'mpesa', amount: 500 }], 1500)).toBeNull()
+    })
+
+    test('should allow cash to be over-tendered but not M-Pesa', () => {
+      expect(validatePayments([{ method: 'cash', amount: 2000 }], 1500)).toBeNull()
+      expect(validatePayments([{ method: 'mpesa', amount: 2000 }], 1500)).toMatch(/cannot exceed/)
+    })
+
+    test('should reject empty and zero lines', () => {
+      expect(validatePayments([], 100)).not.toBeNull()
+      expect(validatePayments([{ method: 'cash', amount: 0 }], 100)).not.toBeNull()
+    })
+  })
+
+  describe('finalizePayments', () => {
+    test('should deduct change from the cash line', () => {
+      const result = finalizePayments([
+        { method: 'mpesa', amount: 1500 },
+        { method: 'cash', amount: 5000 }
+      ], 4500)
+      expect(result.changeDue).toBe(2000)
+      expect(result.amountTendered).toBe(6500)
+      expect(result.paymentMethod).toBe('split')
+      expect(getTenderAmount(result, 'cash')).toBe(3000)
+      expect(result.payments.find(p => p.method === 'cash').tendered).toBe(5000)
+    })
+
+    test('should merge lines of the same method', () => {
+      const result = finalizePayments([
+        { method: 'mpesa', amount: 1000, reference: 'AAA1111111' },
+        { method: 'mpesa', amount: 500, reference: 'BBB2222222' }
+      ], 1500)
+      expect(result.payments).toEqual([
+        { method: 'mpesa', amount: 1500, reference: 'AAA1111111, BBB2222222' }
+      ])
+      expect(result.paymentMethod).toBe('mpesa')
+    })
+
+    test('should keep one line per voucher code', () => {
+      const result = finalizePayments([
+        { method: 'voucher', amount: 1000, reference: 'WB-AAAA-AAAA' },
+        { method: 'voucher', amount: 700, reference: 'WB-BBBB-BBBB' }
+      ], 1700)
+      expect(result.payments).toHaveLength(2)
+      expect(result.paymentMethod).toBe('voucher')
+      expect(getTenderAmount(result, 'voucher')).toBe(1700)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * Tests for units of measure and pack conversions
+ */
+
+import {
+  getPackPrice,
+  getPackCost,
+  getLineBaseQuantity,
+  getBaseQuantities,
+  toPackLine,
+  findByBarcode,
+  describeStock,
+  validatePackUnits
+} from '../unitsOfMeasure'
+
+describe('Units of Measure Module', () => {
+  const tusker = {
+    id: 12,
+    name: 'Tusker 500ml',
+    sku: 'TUS500',
+    barcode: '6161101600010',
+    price: 250,
+    costPrice: 180,
+    quantity: 100,
+    depositItemId: 91,
+    packUnits: [
+      { id: 'six', name: '6-pack', factor: 6, barcode: '6161101600027', price: 1400 },
+      { id: 'case', name: '24-case', factor: 24, barcode: '6161101600034', price: 0, costPrice: 4000 }
+    ]
+  }
+
+  describe('pack pricing', () => {
+    test('should use the pack price and cost when set, else scale the base unit', () => {
+      expect(getPackPrice(tusker, tusker.packUnits[0])).toBe(1400)
+      expect(getPackPrice(tusker, tusker.packUnits[1])).toBe(6000)
+      expect(getPackCost(tusker, tusker.packUnits[0])).toBe(1080)
+      expect(getPackCost(tusker, tusker.packUnits[1])).toBe(4000)
+    })
+  })
+
+  describe('toPackLine', () => {
+    test('should make a separate cart line that converts back to base units', () => {
+      const line = { ...toPackLine(tusker, tusker.packUnits[0]), quantity: 2 }
+      expect(line).toMatchObject({
+        id: '12:six',
+        productId: 12,
+        unitFactor: 6,
+        name: 'Tusker 500ml (6-pack)',
+        price: 1400,
+        depositUnits: 6
+      })
+      expect(getLineBaseQuantity(line)).toBe(12)
+    })
+  })
+
+  describe('getBaseQuantities', () => {
+    test('should add singles and packs of the same product together', () => {
+      const totals = getBaseQuantities([
+        { id: 12, quantity: 3 },
+        { id: '12:case', productId: 12, unitFactor: 24, quantity: 1 },
+        { id: 7, quantity: 2 },
+        { id: '12:six', productId: 12, unitFactor: 6, quantity: -1 }
+      ])
+      expect(totals.get(12)).toBe(21)
+      expect(totals.get(7)).toBe(2)
+    })
+  })
+
+  describe('findByBarcode', () => {
+    test('should resolve pack barcodes to the pack and product codes to the single', () => {
+      expect(findByBarcode([tusker], '6161101600034')).toEqual({ product: tusker, pack: tusker.packUnits[1] })
+      expect(findByBarcode([tusker], 'TUS500')).toEqual({ product: tusker, pack: null })
+      expect(findByBarcode([tusker], '000')).toBeNull()
+    })
+  })
+
+  describe('describeStock', () => {
+    test('should break stock into the largest pack and loose units', () => {
+      expect(describeStock(100, tusker)).toBe('4 × 24-case + 4 bottle')
+      expect(describeStock(48, tusker)).toBe('2 × 24-case')
+      expect(describeStock(5, tusker)).toBe('5 bottle')
+    })
+  })
+
+  describe('validatePackUnits', () => {
+    test('should catch bad factors, duplicate names and barcodes in use', () => {
+      const errors = validatePackUnits([
+        { name: '6-pack', factor: 6, barcode: '111' },
+        { name: '6-Pack', factor: 1 },
+        { name: 'Case', factor: 12, barcode: '6161101600010' }
+      ], { inventory: [tusker], productId: 99 })
+      expect(errors).toEqual([
+        '"6-Pack" is listed twice',
+        '6-Pack must hold 2 or more units',
+        'Barcode 6161101600010 already belongs to another product'
+      ])
+      expect(validatePackUnits(tusker.packUnits, { inventory: [tusker], productId: 12 })).toEqual([])
+    })
+  })
+})
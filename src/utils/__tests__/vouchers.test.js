@@ -0,0 +1,115 @@
+/**
+ * Tests for gift vouchers
+ */
+
+jest.mock('../storage', () => ({
+  readSharedData: jest.fn(),
+  writeSharedData: jest.fn()
+}))
+
+import {
+  VOUCHER_STATUS,
+  isVoucherSale,
+  generateVoucherCode,
+  findVoucher,
+  getVoucherStatus,
+  validateVoucherRedemption,
+  buildVoucherSale,
+  applyVoucherRedemptions,
+  reverseVoucherRedemptions,
+  getVoucherLiability
+} from '../vouchers'
+
+describe('Vouchers Module', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z')
+  const voucher = {
+    id: 'VCH-1',
+    code: 'WB-7KQD-M2XA',
+    initialValue: 5000,
+    balance: 5000,
+    branchId: 'b1',
+    expiresAt: '2027-10-19T23:59:59.999Z',
+    redemptions: []
+  }
+
+  describe('codes', () => {
+    test('should generate unused codes and find vouchers however the code is typed', () => {
+      const code = generateVoucherCode([voucher])
+      expect(code).toMatch(/^WB-[A-Z2-9]{4}-[A-Z2-9]{4}$/)
+      expect(code).not.toBe(voucher.code)
+      expect(findVoucher([voucher], ' wb 7kqd m2xa ')).toBe(voucher)
+      expect(findVoucher([voucher], 'WB-0000-0000')).toBeNull()
+    })
+  })
+
+  describe('status and redemption checks', () => {
+    test('should refuse expired, used up and over-balance redemptions', () => {
+      expect(getVoucherStatus(voucher, now)).toBe(VOUCHER_STATUS.ACTIVE)
+      expect(getVoucherStatus({ ...voucher, balance: 0 }, now)).toBe(VOUCHER_STATUS.REDEEMED)
+      expect(getVoucherStatus({ ...voucher, expiresAt: '2026-10-01T00:00:00.000Z' }, now)).toBe(VOUCHER_STATUS.EXPIRED)
+
+      expect(validateVoucherRedemption(voucher, 2000, now)).toBeNull()
+      expect(validateVoucherRedemption(voucher, 6000, now)).toMatch('only has KES 5,000 left')
+      expect(validateVoucherRedemption({ ...voucher, expiresAt: '2026-10-01T00:00:00.000Z' }, 100, now)).toMatch('expired')
+      expect(validateVoucherRedemption(null, 100, now)).toBe('Voucher not found')
+    })
+  })
+
+  describe('buildVoucherSale', () => {
+    test('should build the voucher and a non-sale transaction paying for it', () => {
+      const { voucher: sold, transaction } = buildVoucherSale({
+        code: 'WB-AAAA-BBBB',
+        value: 2000,
+        expiresAt: voucher.expiresAt,
+        method: 'mpesa',
+        reference: 'QGH7ABC123',
+        user: { id: 'c1', name: 'Jane' },
+        branchId: 'b1',
+        shiftId: 'SH-1'
+      })
+      expect(sold).toMatchObject({ code: 'WB-AAAA-BBBB', initialValue: 2000, balance: 2000, issuedBy: 'Jane', saleTransactionId: transaction.id })
+      expect(isVoucherSale(transaction)).toBe(true)
+      expect(transaction).toMatchObject({ total: 2000, shiftId: 'SH-1', voucherCode: 'WB-AAAA-BBBB', items: [] })
+      expect(transaction.payments).toEqual([{ method: 'mpesa', amount: 2000, reference: 'QGH7ABC123' }])
+
+      expect(() => buildVoucherSale({ code: 'X', value: 500, method: 'credit' })).toThrow('cash or M-Pesa')
+    })
+  })
+
+  describe('applyVoucherRedemptions', () => {
+    test('should part-spend a voucher and put it back when the sale is cancelled', () => {
+      const payments = [
+        { method: 'cash', amount: 500 },
+        { method: 'voucher', amount: 3000, reference: 'WB-7KQD-M2XA' }
+      ]
+      const [spent] = applyVoucherRedemptions([voucher], payments, { transactionId: 'TXN-1', user: { name: 'Jane' } })
+      expect(spent.balance).toBe(2000)
+      expect(spent.redemptions[0]).toMatchObject({ transactionId: 'TXN-1', amount: 3000, redeemedBy: 'Jane' })
+
+      expect(() => applyVoucherRedemptions([spent], payments, { transactionId: 'TXN-2' })).toThrow('only has KES 2,000 left')
+
+      const [restored] = reverseVoucherRedemptions([spent], 'TXN-1')
+      expect(restored.balance).toBe(5000)
+      expect(restored.redemptions[0].reversedAt).toBeDefined()
+      expect(reverseVoucherRedemptions([restored], 'TXN-1')).toEqual([])
+    })
+  })
+
+  describe('getVoucherLiability', () => {
+    test('should total active and expired balances separately', () => {
+      const vouchers = [
+        voucher,
+        { ...voucher, id: 'VCH-2', balance: 1500 },
+        { ...voucher, id: 'VCH-3', balance: 800, expiresAt: '2026-01-01T00:00:00.000Z' },
+        { ...voucher, id: 'VCH-4', balance: 0 },
+        { ...voucher, id: 'VCH-5', branchId: 'b2' }
+      ]
+      expect(getVoucherLiability(vouchers, { branchId: 'b1', now })).toEqual({
+        outstanding: 6500,
+        outstandingCount: 2,
+        expired: 800,
+        expiredCount: 1
+      })
+    })
+  })
+})
@@ -11,7 +11,19 @@ export const ACTIVITY_TYPES = {
   USER_PASSWORD_CHANGED: 'user_password_changed',
   USER_PERMISSIONS_CHANGED: 'user_permissions_changed',
   TRANSACTION_COMPLETED: 'transaction_completed',
+  RETURN_PROCESSED: 'return_processed',
+  DEPOSIT_REFUNDED: 'deposit_refunded',
+  MPESA_RECONCILED: 'mpesa_reconciled',
+  PRICE_OVERRIDE: 'price_override',
+  SHIFT_OPENED: 'shift_opened',
+  SHIFT_CLOSED: 'shift_closed',
+  CASH_MOVEMENT: 'cash_movement',
+  TAB_OPENED: 'tab_opened',
+  TAB_TRANSFERRED: 'tab_transferred',
+  VOUCHER_SOLD: 'voucher_sold',
+  AGE_CHECK_REFUSED: 'age_check_refused',
   STOCK_ADJUSTED: 'stock_adjusted',
+  STOCK_TRANSFERRED: 'stock_transferred',
   PRODUCT_ADDED: 'product_added',
   PRODUCT_UPDATED: 'product_updated',
   EXPENSE_ADDED: 'expense_added',
@@ -0,0 +1,174 @@
+/**
+ * Age verification for alcohol sales (Alcoholic Drinks Control Act, 2010)
+ *
+ * Before a sale with alcohol goes through, the cashier records the type of ID
+ * they checked and the date of birth on it, typed in or read off the ID's
+ * barcode. The sale only keeps what an inspector needs: the ID type, how it
+ * was checked, the age worked out at the till and who checked it. The date
+ * of birth and ID number never leave the till.
+ */
+
+export const LEGAL_DRINKING_AGE = 18
+
+export const ID_TYPES = [
+  { code: 'national_id', label: 'National ID' },
+  { code: 'passport', label: 'Passport' },
+  { code: 'driving_licence', label: 'Driving licence' },
+  { code: 'alien_id', label: 'Alien / refugee ID' }
+]
+
+export const VERIFICATION_METHODS = {
+  MANUAL: 'manual',
+  SCAN: 'scan'
+}
+
+// Categories that can be sold without checking ID
+export const AGE_EXEMPT_CATEGORIES = ['Mixers']
+
+/**
+ * Label for an ID type code
+ * @param {string} code
+ * @returns {string}
+ */
+export const getIdTypeLabel = (code) => {
+  return ID_TYPES.find(t => t.code === code)?.label || code || 'Unknown'
+}
+
+/**
+ * Whether the cart needs the customer's age checked
+ * @param {Array} cart - Cart lines
+ * @returns {boolean}
+ */
+export const requiresAgeCheck = (cart = []) => {
+  return cart.some(item => !AGE_EXEMPT_CATEGORIES.includes(item.category))
+}
+
+const toDateParts = (year, month, day) => {
+  const y = Number(year)
+  const m = Number(month)
+  const d = Number(day)
+  const date = new Date(Date.UTC(y, m - 1, d))
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+}
+
+// MRZ years have two digits: anything that would be in the future is last century
+const expandMrzYear = (yy, now) => {
+  const year = 2000 + Number(yy)
+  return year > now.getFullYear() ? year - 100 : year
+}
+
+/**
+ * Age in whole years on a given day
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {number|null} Null when the date is missing, invalid or in the future
+ */
+export const calculateAge = (dateOfBirth, now = new Date()) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateOfBirth || '').trim())
+  if (!match || !toDateParts(match[1], match[2], match[3])) return null
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])]
+
+  let age = now.getFullYear() - year
+  if (now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day)) {
+    age -= 1
+  }
+  return age >= 0 ? age : null
+}
+
+/**
+ * Read the date of birth off a scanned ID barcode. Understands ICAO machine
+ * readable zones (passports and ID cards), AAMVA driving licence barcodes and
+ * barcodes that carry a plain date. Nothing else from the ID is returned.
+ * @param {string} text - Decoded barcode text
+ * @param {Date} [now]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const parseIdBarcode = (text, now = new Date()) => {
+  const raw = String(text || '')
+  const lines = raw.split(/\r?\n/).map(line => line.trim().toUpperCase()).filter(Boolean)
+
+  // Passport (TD3): two 44-character lines, birth date at 14-19 of the second
+  const td3 = lines.findIndex(line => line.length === 44 && line.startsWith('P'))
+  if (td3 !== -1 && lines[td3 + 1]?.length === 44) {
+    const dob = lines[td3 + 1].slice(13, 19)
+    if (/^\d{6}$/.test(dob)) return toDateParts(expandMrzYear(dob.slice(0, 2), now), dob.slice(2, 4), dob.slice(4, 6))
+  }
+
+  // ID card (TD1): three 30-character lines, birth date opens the second
+  const td1 = lines.findIndex(line => line.length === 30 && /^[IAC]/.test(line))
+  if (td1 !== -1 && lines[td1 + 1]?.length === 30) {
+    const dob = lines[td1 + 1].slice(0, 6)
+    if (/^\d{6}$/.test(dob)) return toDateParts(expandMrzYear(dob.slice(0, 2), now), dob.slice(2, 4), dob.slice(4, 6))
+  }
+
+  // AAMVA: DBB is MMDDCCYY in the US and CCYYMMDD in Canada
+  const aamva = /(?:^|[\n\r\x1e])DBB(\d{8})/.exec(raw)
+  if (aamva) {
+    const value = aamva[1]
+    return toDateParts(value.slice(4, 8), value.slice(0, 2), value.slice(2, 4)) ||
+      toDateParts(value.slice(0, 4), value.slice(4, 6), value.slice(6, 8))
+  }
+
+  const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(raw)
+  if (iso) return toDateParts(iso[1], iso[2], iso[3])
+
+  const dayFirst = /\b(\d{2})[/.](\d{2})[/.](\d{4})\b/.exec(raw)
+  if (dayFirst) return toDateParts(dayFirst[3], dayFirst[2], dayFirst[1])
+
+  return null
+}
+
+/**
+ * Verification record for a sale. Throws when the customer is under age,
+ * so the sale can't be completed with it.
+ * @param {Object} params
+ * @param {string} params.idType - Code from ID_TYPES
+ * @param {string} params.dateOfBirth - YYYY-MM-DD, used to work out the age and then dropped
+ * @param {string} [params.method] - From VERIFICATION_METHODS
+ * @param {Object} [params.user] - Cashier doing the check
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildAgeVerification = ({ idType, dateOfBirth, method = VERIFICATION_METHODS.MANUAL, user = null, now = new Date() }) => {
+  if (!ID_TYPES.some(t => t.code === idType)) {
+    throw new Error('Select the type of ID you checked')
+  }
+  const age = calculateAge(dateOfBirth, now)
+  if (age === null) {
+    throw new Error('Enter a valid date of birth')
+  }
+  if (age < LEGAL_DRINKING_AGE) {
+    throw new Error(`Customer is ${age}. Alcohol can't be sold to anyone under ${LEGAL_DRINKING_AGE}.`)
+  }
+  return {
+    idType,
+    method: method === VERIFICATION_METHODS.SCAN ? VERIFICATION_METHODS.SCAN : VERIFICATION_METHODS.MANUAL,
+    age,
+    verifiedAt: now.toISOString(),
+    verifiedBy: user?.name || 'Unknown',
+    verifiedById: user?.id || null
+  }
+}
+
+/**
+ * Rows for the compliance log, one per sale that needed an ID check
+ * @param {Array} transactions - Sales (other transaction types and cancelled sales are ignored)
+ * @returns {Array<Object>} Newest first
+ */
+export const getAgeVerificationLog = (transactions = []) => {
+  return transactions
+    .filter(t => !t.type && t.paymentStatus !== 'cancelled' && t.ageVerification)
+    .map(t => ({
+      transactionId: t.id,
+      receiptNumber: t.receiptNumber || t.id,
+      timestamp: t.ageVerification.verifiedAt || t.timestamp,
+      branchId: t.branchId || null,
+      idType: getIdTypeLabel(t.ageVerification.idType),
+      method: t.ageVerification.method === VERIFICATION_METHODS.SCAN ? 'ID scan' : 'Typed in',
+      age: t.ageVerification.age,
+      verifiedBy: t.ageVerification.verifiedBy || t.cashier || 'Unknown',
+      total: t.total ?? 0
+    }))
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+}
@@ -8,7 +8,7 @@ import { writeUserToRealtimeDB, readEntityFromRealtimeDB } from './firebaseRealt
 import { app, auth, db, isFirebaseConfigured } from '../config/firebase'
 import { createUserWithEmailAndPassword, signInWithEmailAndPassword, getAuth, signOut, deleteUser } from 'firebase/auth'
 import { initializeApp, deleteApp } from 'firebase/app'
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore'
+import { doc, getDoc, getFirestore, setDoc, serverTimestamp } from 'firebase/firestore'
 
 const USERS_STORAGE_KEY = 'pos-users-db'
 const SALT_ROUNDS = 10
@@ -1022,3 +1022,107 @@ export const deactivateUser = async (userId, adminEmail) => {
     return { success: false, error: 'Failed to delete user' }
   }
 }
+
+const APPROVER_ROLES = ['admin', 'manager']
+
+/**
+ * Check that an approver belongs to the till's organisation and branch
+ */
+const canApproveFor = (approver, { adminId, branchId }) => {
+  if (!APPROVER_ROLES.includes(approver?.role)) {
+    return 'Only a manager or admin can approve this'
+  }
+  if (adminId && getAdminIdForStorage(approver) !== adminId) {
+    return 'This account belongs to a different organisation'
+  }
+  if (approver.role === 'manager' && branchId && approver.branchId && approver.branchId !== branchId) {
+    return 'This manager is assigned to a different branch'
+  }
+  return null
+}
+
+/**
+ * Verify a manager's email and password at the till without changing who is signed in.
+ * Online, the credentials are checked on a secondary Firebase Auth instance; offline,
+ * against the locally cached users.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.password
+ * @param {string} params.adminId - Organisation of the till
+ * @param {string} [params.branchId] - Branch of the till
+ * @returns {Promise<{success: boolean, approver?: Object, error?: string}>}
+ */
+export const verifyManagerCredentials = async ({ email, password, adminId, branchId = null }) => {
+  const sanitizedEmail = email?.trim().toLowerCase()
+  if (!sanitizedEmail || !password) {
+    return { success: false, error: 'Email and password are required' }
+  }
+
+  const lockout = isAccountLockedOut(sanitizedEmail)
+  if (lockout.locked) {
+    return { success: false, error: `Too many attempts. Try again in ${lockout.remainingTime} minute(s)` }
+  }
+
+  let approver = null
+
+  if (isFirebaseConfigured() && app?.options && typeof window !== 'undefined' && navigator.onLine) {
+    let secondaryApp = null
+    try {
+      secondaryApp = initializeApp(app.options, `wb-approval-${Date.now()}`)
+      const secondaryAuth = getAuth(secondaryApp)
+      const { user } = await signInWithEmailAndPassword(secondaryAuth, sanitizedEmail, password)
+      // Read the profile as the manager, since the cashier's rules can't see other profiles
+      const profileSnap = await getDoc(doc(getFirestore(secondaryApp), 'userProfiles', user.uid))
+      if (profileSnap.exists()) {
+        const profile = profileSnap.data()
+        approver = {
+          id: profile.uid || user.uid,
+          name: profile.name || user.displayName || sanitizedEmail,
+          email: user.email,
+          role: profile.role,
+          adminId: profile.adminId || null,
+          branchId: profile.branchId || null,
+          createdBy: profile.createdBy || null
+        }
+      }
+      await signOut(secondaryAuth)
+    } catch (error) {
+      if (error?.code !== 'auth/network-request-failed') {
+        console.warn('Manager approval sign-in failed:', error?.code || error)
+      }
+    } finally {
+      if (secondaryApp) {
+        try {
+          await deleteApp(secondaryApp)
+        } catch {}
+      }
+    }
+  }
+
+  if (!approver) {
+    const users = await getUsersFromStorage()
+    const user = users.find(u => u.email?.toLowerCase() === sanitizedEmail && u.isActive !== false)
+    if (user?.passwordHash && await verifyPassword(password, user.passwordHash)) {
+      approver = {
+        id: user.firebaseUid || user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        adminId: user.adminId || null,
+        branchId: user.branchId || null,
+        createdBy: user.createdBy || null
+      }
+    }
+  }
+
+  if (!approver) {
+    const { attemptsRemaining } = recordFailedAttempt(sanitizedEmail)
+    return { success: false, error: `Invalid email or password (${attemptsRemaining} attempt(s) left)` }
+  }
+
+  const scopeError = canApproveFor(approver, { adminId, branchId })
+  if (scopeError) return { success: false, error: scopeError }
+
+  resetLoginAttempts(sanitizedEmail)
+  return { success: true, approver }
+}
@@ -0,0 +1,233 @@
+/**
+ * Barcode symbols and internal barcodes
+ *
+ * Encodes EAN-13, EAN-8 and Code 128 into bars for printing as SVG. A barcode
+ * that is 13 or 8 digits with a valid check digit prints as EAN; anything else
+ * (SKUs, older supplier codes) prints as Code 128.
+ *
+ * Products without a barcode get an internal EAN-13 in the 20 prefix, which
+ * GS1 keeps for numbers used inside one business, so they never clash with a
+ * supplier's barcode: "20" + a 10-digit running number + check digit.
+ */
+
+export const INTERNAL_BARCODE_PREFIX = '20'
+
+const INTERNAL_SEQUENCE_LENGTH = 10
+
+// EAN digit patterns, left-hand odd (L), left-hand even (G) and right-hand (R)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011']
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111']
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100']
+
+// Which left-hand digits of an EAN-13 use G, set by its first digit
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL']
+
+// Code 128 bar/space widths for symbol values 0-106 (103-105 are the start codes, 106 is stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+]
+const CODE128_START_B = 104
+const CODE128_START_C = 105
+const CODE128_STOP = 106
+
+// Blank modules either side so scanners can find the ends
+const QUIET_ZONE = { ean13: [11, 7], ean8: [7, 7], code128: [10, 10] }
+
+/**
+ * GS1 check digit for the digits before it (EAN-13, EAN-8, UPC)
+ * @param {string} digits - Without the check digit
+ * @returns {number}
+ */
+export const getCheckDigit = (digits) => {
+  const sum = String(digits).split('').reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0)
+  return (10 - (sum % 10)) % 10
+}
+
+/**
+ * Whether a code is an EAN-13 or EAN-8 with the right check digit
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isValidEAN = (code) => {
+  const value = String(code || '')
+  if (!/^(\d{8}|\d{13})$/.test(value)) return false
+  return getCheckDigit(value.slice(0, -1)) === Number(value.slice(-1))
+}
+
+/**
+ * The symbology a barcode prints in
+ * @param {string} code
+ * @returns {'ean13'|'ean8'|'code128'}
+ */
+export const getSymbology = (code) => {
+  const value = String(code || '')
+  if (isValidEAN(value)) return value.length === 13 ? 'ean13' : 'ean8'
+  return 'code128'
+}
+
+const encodeEAN13 = (code) => {
+  const parity = EAN13_PARITY[Number(code[0])]
+  const left = code.slice(1, 7).split('').map((digit, i) => (parity[i] === 'L' ? EAN_L : EAN_G)[Number(digit)]).join('')
+  const right = code.slice(7).split('').map(digit => EAN_R[Number(digit)]).join('')
+  return `101${left}01010${right}101`
+}
+
+const encodeEAN8 = (code) => {
+  const left = code.slice(0, 4).split('').map(digit => EAN_L[Number(digit)]).join('')
+  const right = code.slice(4).split('').map(digit => EAN_R[Number(digit)]).join('')
+  return `101${left}01010${right}101`
+}
+
+// Code set C packs digit pairs, so long all-digit codes come out half as wide
+const encodeCode128 = (code) => {
+  let values
+  if (code.length >= 4 && code.length % 2 === 0 && /^\d+$/.test(code)) {
+    values = [CODE128_START_C, ...code.match(/\d\d/g).map(Number)]
+  } else {
+    values = [CODE128_START_B, ...code.split('').map(char => {
+      const ascii = char.charCodeAt(0)
+      if (ascii < 32 || ascii > 126) throw new Error(`"${char}" can't be printed in a barcode`)
+      return ascii - 32
+    })]
+  }
+  const check = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103
+  return [...values, check, CODE128_STOP]
+    .map(value => CODE128_PATTERNS[value].split('').map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width))).join(''))
+    .join('')
+}
+
+/**
+ * Bars for a barcode, in modules (the width of the thinnest bar)
+ * @param {string} code
+ * @returns {{ symbology: string, text: string, width: number, bars: Array<{ x: number, width: number }> }} Width and positions include the quiet zones
+ */
+export const getBarcodeBars = (code) => {
+  const text = String(code || '').trim()
+  if (!text) throw new Error('There is no barcode to print')
+  const symbology = getSymbology(text)
+  const modules = symbology === 'ean13' ? encodeEAN13(text) : symbology === 'ean8' ? encodeEAN8(text) : encodeCode128(text)
+  const [before, after] = QUIET_ZONE[symbology]
+
+  const bars = []
+  for (let i = 0; i < modules.length; i++) {
+    if (modules[i] !== '1') continue
+    if (i > 0 && modules[i - 1] === '1') {
+      bars[bars.length - 1].width += 1
+    } else {
+      bars.push({ x: before + i, width: 1 })
+    }
+  }
+  return { symbology, text, width: before + modules.length + after, bars }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Where everything goes in a drawn barcode: the bars, the digits under them
+ * and the box around both. Both the SVG markup and the on-screen symbol are
+ * drawn from this.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.height] - Bar height in modules
+ * @param {boolean} [options.showText] - Print the digits under the bars
+ * @returns {{ text: string, width: number, height: number, barHeight: number, bars: Array, label: Object|null }}
+ */
+export const getBarcodeLayout = (code, { height = 50, showText = true } = {}) => {
+  const { text, width, bars } = getBarcodeBars(code)
+  const fontSize = 10
+  const totalHeight = showText ? height + fontSize + 2 : height
+  return {
+    text,
+    width,
+    height: totalHeight,
+    barHeight: height,
+    bars,
+    label: showText ? { x: width / 2, y: totalHeight - 1, fontSize } : null
+  }
+}
+
+/**
+ * A barcode as SVG markup that scales to the box it is put in
+ * @param {string} code
+ * @param {Object} [options] - As getBarcodeLayout
+ * @returns {string}
+ */
+export const getBarcodeSVG = (code, options) => {
+  const { text, width, height, barHeight, bars, label } = getBarcodeLayout(code, options)
+  const rects = bars.map(bar => `<rect x="${bar.x}" y="0" width="${bar.width}" height="${barHeight}"/>`).join('')
+  const caption = label
+    ? `<text x="${label.x}" y="${label.y}" text-anchor="middle" font-family="monospace" font-size="${label.fontSize}">${escapeXml(text)}</text>`
+    : ''
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" shape-rendering="crispEdges"><rect width="${width}" height="${height}" fill="#fff"/><g fill="#000">${rects}${caption}</g></svg>`
+}
+
+/**
+ * Whether a barcode is one this shop made up
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isInternalBarcode = (code) => (
+  isValidEAN(code) && String(code).length === 13 && String(code).startsWith(INTERNAL_BARCODE_PREFIX)
+)
+
+/**
+ * Internal barcode for a running number
+ * @param {number} sequence
+ * @returns {string}
+ */
+export const buildInternalBarcode = (sequence) => {
+  const body = `${INTERNAL_BARCODE_PREFIX}${String(sequence).padStart(INTERNAL_SEQUENCE_LENGTH, '0')}`
+  if (body.length !== 12) throw new Error('Internal barcodes have run out')
+  return `${body}${getCheckDigit(body)}`
+}
+
+/**
+ * Next unused internal barcode, counting every branch's products
+ * @param {Array} inventory
+ * @returns {string}
+ */
+export const getNextInternalBarcode = (inventory = []) => {
+  const highest = inventory
+    .filter(product => isInternalBarcode(product.barcode))
+    .reduce((max, product) => Math.max(max, Number(String(product.barcode).slice(INTERNAL_BARCODE_PREFIX.length, 12))), 0)
+  return buildInternalBarcode(highest + 1)
+}
+
+/**
+ * Give barcodes to products that have none. A product another branch already
+ * stocks under the same SKU gets that branch's barcode, so one label prints the
+ * same everywhere; the rest get new internal barcodes.
+ * @param {Array} products - Products to fill in
+ * @param {Array} inventory - Every branch's products, to keep codes unique
+ * @returns {{ products: Array, assigned: number }} The products in the same order
+ */
+export const assignMissingBarcodes = (products = [], inventory = []) => {
+  let known = [...inventory]
+  let assigned = 0
+  const updated = products.map(product => {
+    if (String(product.barcode || '').trim()) return product
+    const sku = String(product.sku || '').trim().toLowerCase()
+    const sameSku = sku && known.find(other => !other.deletedAt && String(other.barcode || '').trim() && String(other.sku || '').trim().toLowerCase() === sku)
+    const barcode = sameSku ? sameSku.barcode : getNextInternalBarcode(known)
+    assigned += 1
+    const withBarcode = { ...product, barcode }
+    known = [...known, withBarcode]
+    return withBarcode
+  })
+  return { products: updated, assigned }
+}
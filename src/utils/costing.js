@@ -0,0 +1,351 @@
+/**
+ * Stock costing
+ *
+ * Profit has to come from what the goods that were sold actually cost, not
+ * from whatever `costPrice` a product has on the day the report is run. So
+ * every receipt of stock (GRN, purchase order, a sale put back) adds a cost
+ * layer to the inventory item (`product.costLayers`, oldest first, quantities
+ * in base units), and every sale takes its cost off them and freezes it onto
+ * the transaction line (`item.unitCost`, per unit sold, so per case when a
+ * case is sold). Reports read the frozen cost and never look at today's.
+ *
+ * How a sale is costed is set once for the organisation (`settings.costing`):
+ * - FIFO: from the oldest layers first
+ * - Weighted average: at the moving average cost, which only changes when
+ *   stock comes in
+ *
+ * Layers are kept under both methods, so the method can be changed later
+ * without losing what the stock on hand was bought at. `product.costPrice`
+ * follows the current unit cost (the moving average, or under FIFO the value
+ * left over the quantity left) for the screens that show a single figure.
+ *
+ * As with lots, the quantity wins: stock that isn't in any layer (from before
+ * costing was kept, imports, upward counts) counts as the oldest layer at the
+ * product's cost price, and layers beyond the quantity come off the oldest.
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+import { getLineBaseQuantity, getLineProductId } from './unitsOfMeasure'
+import { RETURN_DISPOSITIONS, isCreditNote, isSaleTransaction } from './returns'
+
+export const COSTING_METHODS = {
+  FIFO: 'fifo',
+  WEIGHTED_AVERAGE: 'weighted_average'
+}
+
+export const COSTING_METHOD_LABELS = {
+  [COSTING_METHODS.FIFO]: 'FIFO (first in, first out)',
+  [COSTING_METHODS.WEIGHTED_AVERAGE]: 'Weighted average'
+}
+
+export const DEFAULT_COSTING_SETTINGS = {
+  method: COSTING_METHODS.WEIGHTED_AVERAGE
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+// A bottle out of a case costs a fraction of a shilling more or less than the
+// case price divides to, so unit costs keep four places
+const roundCost = (value) => Math.round((Number(value) || 0) * 10000) / 10000
+
+const totalOf = (layers) => layers.reduce((sum, layer) => sum + layer.quantity, 0)
+
+const valueOf = (layers) => layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0)
+
+const onHandOf = (product) => Math.max(0, Number(product?.quantity) || 0)
+
+const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+
+/**
+ * Fill in defaults and drop anything that isn't a costing method
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export const normalizeCostingSettings = (settings = {}) => {
+  const method = settings?.method
+  return {
+    method: Object.values(COSTING_METHODS).includes(method) ? method : DEFAULT_COSTING_SETTINGS.method
+  }
+}
+
+/**
+ * A product's cost layers, oldest first, adding up to its quantity
+ * @param {Object} product
+ * @returns {Array} [{ quantity, unitCost, receivedAt, reference }]
+ */
+export const getCostLayers = (product) => {
+  const onHand = onHandOf(product)
+  const layers = (product?.costLayers || [])
+    .filter(layer => Number(layer.quantity) > 0)
+    .map(layer => ({ ...layer, quantity: Number(layer.quantity), unitCost: Number(layer.unitCost) || 0 }))
+  const held = totalOf(layers)
+
+  if (held < onHand) {
+    return [{ quantity: onHand - held, unitCost: Number(product.costPrice) || 0, receivedAt: null, reference: null }, ...layers]
+  }
+  let excess = held - onHand
+  return layers
+    .map(layer => {
+      const taken = Math.min(layer.quantity, excess)
+      excess -= taken
+      return { ...layer, quantity: layer.quantity - taken }
+    })
+    .filter(layer => layer.quantity > 0)
+}
+
+/**
+ * What one base unit of the product costs under a method
+ * @param {Object} product
+ * @param {string} [method]
+ * @returns {number}
+ */
+export const getUnitCost = (product, method = DEFAULT_COSTING_SETTINGS.method) => {
+  if (method === COSTING_METHODS.FIFO) {
+    const layers = getCostLayers(product)
+    const held = totalOf(layers)
+    if (held > 0) return roundCost(valueOf(layers) / held)
+  }
+  return Number(product?.costPrice) || 0
+}
+
+/**
+ * What the stock on hand of a product is worth at cost
+ * @param {Object} product
+ * @param {string} [method]
+ * @returns {number}
+ */
+export const getStockValue = (product, method = DEFAULT_COSTING_SETTINGS.method) => {
+  if (method === COSTING_METHODS.FIFO) return roundMoney(valueOf(getCostLayers(product)))
+  return roundMoney(onHandOf(product) * (Number(product?.costPrice) || 0))
+}
+
+/**
+ * Add stock coming in at a cost. Call with the product as it was before the
+ * quantity goes up; the quantity itself is left to the caller (receiveLot etc.).
+ * @param {Object} product
+ * @param {number} quantity - Base units received
+ * @param {number} unitCost - Per base unit; the current cost price when missing
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {string} [options.reference] - GRN/PO/receipt number, for reading the layers back
+ * @param {Date} [options.now]
+ * @returns {Object} The product with its new layers and cost price
+ */
+export const receiveCost = (product, quantity, unitCost, { method = DEFAULT_COSTING_SETTINGS.method, reference = null, now = new Date() } = {}) => {
+  if (!(quantity > 0)) return product
+  // A receipt without a price comes in at the current cost rather than free
+  const cost = unitCost != null && Number.isFinite(Number(unitCost))
+    ? Math.max(0, Number(unitCost))
+    : Number(product.costPrice) || 0
+  const layers = [
+    ...getCostLayers(product),
+    { quantity, unitCost: roundCost(cost), receivedAt: now.toISOString(), reference }
+  ]
+  const onHand = onHandOf(product)
+  const costPrice = method === COSTING_METHODS.FIFO
+    ? valueOf(layers) / totalOf(layers)
+    : (onHand * (Number(product.costPrice) || 0) + quantity * cost) / (onHand + quantity)
+  return { ...product, costLayers: layers, costPrice: roundMoney(costPrice) }
+}
+
+/**
+ * Take the cost of stock going out. Call with the product as it was before the
+ * quantity goes down. Selling more than is held costs the rest at the latest cost.
+ * @param {Object} product
+ * @param {number} quantity - Base units
+ * @param {string} [method]
+ * @returns {{ product: Object, unitCost: number, totalCost: number }} unitCost per base unit
+ */
+export const takeCost = (product, quantity, method = DEFAULT_COSTING_SETTINGS.method) => {
+  const layers = getCostLayers(product)
+  let remaining = quantity
+  let fifoCost = 0
+  const left = layers
+    .map(layer => {
+      const taken = Math.min(layer.quantity, remaining)
+      remaining -= taken
+      fifoCost += taken * layer.unitCost
+      return { ...layer, quantity: layer.quantity - taken }
+    })
+    .filter(layer => layer.quantity > 0)
+  if (remaining > 0) {
+    fifoCost += remaining * (layers.length > 0 ? layers[layers.length - 1].unitCost : Number(product.costPrice) || 0)
+  }
+
+  const updated = { ...product, costLayers: left }
+  let unitCost = Number(product.costPrice) || 0
+  if (method === COSTING_METHODS.FIFO) {
+    unitCost = quantity > 0 ? fifoCost / quantity : 0
+    if (left.length > 0) updated.costPrice = roundMoney(valueOf(left) / totalOf(left))
+  }
+  return { product: updated, unitCost: roundCost(unitCost), totalCost: roundMoney(unitCost * quantity) }
+}
+
+/**
+ * Cost every line of a sale, the way pickSaleLots picks its lots. Lines for
+ * the same product take from the layers one after the other. Run it before
+ * pickSaleLots, on the inventory as it was before the sale.
+ * @param {Array} inventory - Before the sale
+ * @param {Array} lines - [{ id, productId, baseQuantity, unitFactor? }]
+ * @param {string} [method]
+ * @returns {{ inventory: Array, costs: Map }} costs: line id -> cost per unit sold
+ */
+export const costSaleLines = (inventory, lines, method = DEFAULT_COSTING_SETTINGS.method) => {
+  const products = new Map(inventory.map(product => [product.id, product]))
+  const costs = new Map()
+  lines.forEach(line => {
+    const productId = line.productId ?? line.id
+    const product = products.get(productId)
+    if (!product || !(line.baseQuantity > 0)) return
+    const result = takeCost(product, line.baseQuantity, method)
+    // Later lines for the product see the stock this one took
+    products.set(productId, { ...result.product, quantity: (Number(product.quantity) || 0) - line.baseQuantity })
+    costs.set(line.id, roundCost(result.unitCost * (Number(line.unitFactor) || 1)))
+  })
+  // Quantities are left for pickSaleLots to take down
+  return {
+    inventory: inventory.map(product => {
+      const costed = products.get(product.id)
+      return costed === product ? product : { ...costed, quantity: product.quantity }
+    }),
+    costs
+  }
+}
+
+/**
+ * Put a product's share of a cancelled sale or a return back into stock at
+ * the cost it went out at. Call before the quantity goes back up. Lines sold
+ * before costing was kept have no cost to give back and are left to the
+ * product's cost price.
+ * @param {Object} product
+ * @param {Array} lines - The transaction or credit-note lines for this product
+ * @param {Object} [options] - method, reference and now, as receiveCost
+ * @returns {Object}
+ */
+export const returnCost = (product, lines = [], options = {}) => {
+  const costed = lines.filter(line => line.unitCost != null)
+  const quantity = costed.reduce((sum, line) => sum + Math.abs(getLineBaseQuantity(line)), 0)
+  if (quantity <= 0) return product
+  const value = costed.reduce((sum, line) => sum + Math.abs(Number(line.quantity) || 0) * line.unitCost, 0)
+  return receiveCost(product, quantity, value / quantity, options)
+}
+
+/**
+ * What the stock on hand is worth, product by product
+ * @param {Array} inventory
+ * @param {string} [method]
+ * @returns {{ rows: Array, totalValue: number, totalQuantity: number }}
+ */
+export const getInventoryValuation = (inventory = [], method = DEFAULT_COSTING_SETTINGS.method) => {
+  const rows = inventory
+    .filter(product => !product.deletedAt && onHandOf(product) > 0)
+    .map(product => ({
+      id: product.id,
+      branchId: product.branchId || null,
+      name: product.name,
+      sku: product.sku || '',
+      category: product.category || '',
+      quantity: onHandOf(product),
+      unitCost: getUnitCost(product, method),
+      value: getStockValue(product, method)
+    }))
+    .sort((a, b) => b.value - a.value)
+  return {
+    rows,
+    totalValue: roundMoney(rows.reduce((sum, row) => sum + row.value, 0)),
+    totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0)
+  }
+}
+
+/**
+ * Gross profit on a set of sales and credit notes: revenue before VAT, less
+ * the cost frozen on each line when it was sold. Returns take their revenue
+ * and cost back off, except damaged returns, whose cost stays spent because
+ * the goods are gone. Lines sold before costing was kept are costed at the
+ * product's current cost and counted in `estimatedLines`.
+ * @param {Array} transactions - Completed sales and credit notes for the period
+ * @param {Object} [options]
+ * @param {Array} [options.inventory] - For costing old lines
+ * @param {string} [options.method]
+ * @returns {{ revenue: number, cost: number, grossProfit: number, margin: number, estimatedLines: number, products: Array }}
+ */
+export const getGrossProfit = (transactions = [], { inventory = [], method = DEFAULT_COSTING_SETTINGS.method } = {}) => {
+  const products = new Map(inventory.map(product => [`${normalizeBranchId(product.branchId)}|${product.id}`, product]))
+  const byProduct = {}
+  let estimatedLines = 0
+
+  transactions
+    .filter(t => isSaleTransaction(t) || isCreditNote(t))
+    .forEach(t => {
+      // Sale lines are before the cart discount; credit-note lines already have it taken off
+      const discountFactor = isCreditNote(t) ? 1 : 1 - (Number(t.discount) || 0) / 100
+      const items = t.items || []
+      items.forEach(item => {
+        const quantity = Number(item.quantity) || 0
+        const lineTotal = item.itemTotal ?? (quantity * (item.price || 0) - (item.promotionDiscount || 0))
+        const beforeVAT = item.itemPriceBeforeVAT ?? lineTotal / (1 + (item.vatRate ?? t.vatRate ?? 0.16))
+        const revenue = beforeVAT * discountFactor
+
+        let cost = 0
+        if (item.disposition === RETURN_DISPOSITIONS.DAMAGED) {
+          // Written off, so what it cost stays spent
+        } else if (item.unitCost != null) {
+          cost = item.unitCost * quantity
+        } else {
+          const product = products.get(`${normalizeBranchId(t.branchId)}|${getLineProductId(item)}`)
+          cost = getUnitCost(product, method) * getLineBaseQuantity(item)
+          estimatedLines++
+        }
+
+        const name = item.name || 'Unknown Product'
+        if (!byProduct[name]) byProduct[name] = { name, quantity: 0, revenue: 0, cost: 0 }
+        byProduct[name].quantity += quantity
+        byProduct[name].revenue += revenue
+        byProduct[name].cost += cost
+      })
+    })
+
+  const rows = Object.values(byProduct)
+    .map(row => ({
+      ...row,
+      revenue: roundMoney(row.revenue),
+      cost: roundMoney(row.cost),
+      grossProfit: roundMoney(row.revenue - row.cost)
+    }))
+    .sort((a, b) => b.grossProfit - a.grossProfit)
+  const revenue = roundMoney(rows.reduce((sum, row) => sum + row.revenue, 0))
+  const cost = roundMoney(rows.reduce((sum, row) => sum + row.cost, 0))
+  return {
+    revenue,
+    cost,
+    grossProfit: roundMoney(revenue - cost),
+    margin: revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : 0,
+    estimatedLines,
+    products: rows
+  }
+}
+
+/**
+ * The organisation's costing settings
+ * @param {string} adminId
+ * @returns {Promise<Object>}
+ */
+export const getCostingSettings = async (adminId) => {
+  const data = await readSharedData(adminId)
+  return normalizeCostingSettings(data.settings?.costing)
+}
+
+/**
+ * Save the costing method for every branch. Stock already sold keeps the cost
+ * it was sold at; the new method applies from the next sale.
+ * @param {string} adminId
+ * @param {Object} settings
+ * @returns {Promise<Object>} The settings as saved
+ */
+export const saveCostingSettings = async (adminId, settings) => {
+  const costing = normalizeCostingSettings(settings)
+  // Settings live beside every other store, and the desktop file is replaced by what is written
+  const data = await readSharedData(adminId, true)
+  await writeSharedData({ ...data, settings: { ...data.settings, costing } }, adminId)
+  return costing
+}
@@ -2,6 +2,9 @@
  * Utility functions for exporting data as CSV
  */
 
+import { getTenderAmount } from './tenders'
+import { getReceiptNumber } from './receiptNumbers'
+
 /**
  * Convert an array of objects to CSV format
  * @param {Array} data - Array of objects to convert
@@ -114,11 +117,16 @@ export function exportExpensesToCSV(expenses, filename = 'expenses.csv') {
 export function exportTransactionsToCSV(transactions, filename = 'sales.csv') {
   const headers = [
     { key: 'timestamp', label: 'Date & Time' },
+    { key: 'receiptNumber', label: 'Receipt No' },
     { key: 'id', label: 'Transaction ID' },
     { key: 'itemsSold', label: 'Items Sold' },
     { key: 'total', label: 'Total Amount (KES)' },
     { key: 'paymentMethod', label: 'Payment Method' },
+    { key: 'cashAmount', label: 'Cash (KES)' },
+    { key: 'mpesaAmount', label: 'M-Pesa (KES)' },
+    { key: 'creditAmount', label: 'Credit (KES)' },
     { key: 'paymentStatus', label: 'Status' },
+    { key: 'cuInvoiceNumber', label: 'CU Invoice No' },
     { key: 'customerName', label: 'Customer' },
     { key: 'itemCount', label: 'Item Count' },
     { key: 'recordedBy', label: 'Recorded By' },
@@ -132,11 +140,16 @@ export function exportTransactionsToCSV(transactions, filename = 'sales.csv') {
     
     return {
       timestamp: new Date(transaction.timestamp).toLocaleString(),
+      receiptNumber: getReceiptNumber(transaction),
       id: transaction.id || '',
       itemsSold: itemsSold,
       total: transaction.total || 0,
       paymentMethod: transaction.paymentMethod || 'cash',
+      cashAmount: getTenderAmount(transaction, 'cash'),
+      mpesaAmount: getTenderAmount(transaction, 'mpesa'),
+      creditAmount: getTenderAmount(transaction, 'credit'),
       paymentStatus: transaction.paymentStatus || 'completed',
+      cuInvoiceNumber: transaction.fiscal?.cuInvoiceNumber || (transaction.fiscal ? `(${transaction.fiscal.status})` : ''),
       customerName: transaction.customerName || 'Walk-in',
       itemCount: transaction.itemCount || transaction.items?.length || 0,
       recordedBy: transaction.cashier || transaction.cashierName || transaction.recordedBy || 'Unknown',
@@ -0,0 +1,108 @@
+/**
+ * Customer-facing display
+ *
+ * The POS opens /customer-display in a second window (usually dragged onto a
+ * customer-facing monitor) and pushes the whole screen state to it over a
+ * BroadcastChannel. The display never reads storage or needs a login: whatever
+ * it shows comes from the till. When it opens it asks for the current state so
+ * it doesn't sit blank until the next cart change.
+ */
+
+import { calculateCartTotals } from './pricing'
+import { getDepositTotal } from './deposits'
+
+export const CUSTOMER_DISPLAY_PATH = '/customer-display'
+export const CUSTOMER_DISPLAY_CHANNEL = 'whiskeyballet-customer-display'
+const CUSTOMER_DISPLAY_WINDOW = 'whiskeyballet-customer-display'
+
+export const DISPLAY_MESSAGES = {
+  STATE: 'state',
+  REQUEST_STATE: 'request_state'
+}
+
+export const DISPLAY_MODES = {
+  IDLE: 'idle',
+  CART: 'cart',
+  PAYMENT: 'payment',
+  COMPLETE: 'complete'
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Build what the customer display should show
+ * @param {Object} params
+ * @param {Array} params.cart - Priced cart (promotionDiscount already on the items)
+ * @param {Array} [params.deposits] - getDepositLines() for the cart
+ * @param {number} [params.discount] - Cart-wide discount percentage
+ * @param {Array} [params.appliedPromotions] - evaluatePromotions().applied
+ * @param {string} [params.mode] - DISPLAY_MODES.PAYMENT or COMPLETE; otherwise worked out from the cart
+ * @param {number} [params.amountTendered] - Cash handed over so far
+ * @param {number} [params.changeDue]
+ * @param {Object} [params.branding] - { businessName, branchName, tagline }
+ * @param {Array<string>} [params.idleMessages] - Promotions to rotate while idle
+ * @returns {Object}
+ */
+export const buildDisplayState = ({
+  cart = [],
+  deposits = [],
+  discount = 0,
+  appliedPromotions = [],
+  mode = null,
+  amountTendered = null,
+  changeDue = null,
+  branding = {},
+  idleMessages = []
+}) => {
+  const totals = calculateCartTotals(cart, discount, 0.16)
+  const amountDue = roundMoney(totals.total + getDepositTotal(deposits))
+  const tendered = amountTendered === null || amountTendered === '' ? null : roundMoney(amountTendered)
+
+  return {
+    mode: mode || (cart.length > 0 ? DISPLAY_MODES.CART : DISPLAY_MODES.IDLE),
+    items: cart.map(item => ({
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      lineTotal: roundMoney(item.price * item.quantity - (item.promotionDiscount || 0)),
+      promotionDiscount: item.promotionDiscount || 0
+    })),
+    promotions: appliedPromotions.map(p => ({ name: p.name, discount: p.discount })),
+    deposits: deposits.map(d => ({ name: d.name, quantity: d.quantity, amount: d.amount })),
+    totals,
+    amountDue,
+    amountTendered: tendered,
+    // Show change as the cashier types the cash in, before the sale settles it
+    changeDue: changeDue !== null
+      ? roundMoney(changeDue)
+      : tendered !== null && tendered >= amountDue ? roundMoney(tendered - amountDue) : null,
+    branding,
+    idleMessages,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Join the display channel
+ * @param {Function} [onMessage] - Called with each message's data
+ * @returns {BroadcastChannel|null} null where the browser has no BroadcastChannel
+ */
+export const openDisplayChannel = (onMessage) => {
+  if (typeof BroadcastChannel === 'undefined') return null
+  const channel = new BroadcastChannel(CUSTOMER_DISPLAY_CHANNEL)
+  if (onMessage) {
+    channel.onmessage = (event) => onMessage(event.data)
+  }
+  return channel
+}
+
+/**
+ * Open (or focus) the customer display window
+ * @returns {Window|null}
+ */
+export const openCustomerDisplayWindow = () => {
+  const displayWindow = window.open(CUSTOMER_DISPLAY_PATH, CUSTOMER_DISPLAY_WINDOW, 'popup,width=1024,height=768')
+  displayWindow?.focus()
+  return displayWindow
+}
@@ -0,0 +1,196 @@
+/**
+ * Bottle deposits and returnable empties
+ *
+ * A deposit item is an inventory record flagged `isDepositItem` (e.g. "Crate
+ * deposit", KES 300) whose price is the refundable deposit. Products point at
+ * one with `depositItemId`, and `depositUnits` says how many deposits each unit
+ * sold carries (a 6-pack of returnable bottles carries 6).
+ *
+ * Deposits never go through the items/VAT/promotion path. A sale stores them in
+ * `deposits` lines and `depositTotal`, which is included in `total` and the
+ * tender lines so the drawer balances, but is money held for the customer rather
+ * than revenue. Empties brought back are refunded with a 'deposit_refund'
+ * transaction whose amounts are negative, the same convention credit notes use.
+ */
+
+import { TENDER_TYPES } from './tenders'
+
+export const DEPOSIT_REFUND_TYPE = 'deposit_refund'
+
+/** Tenders an empties return can be paid out with */
+export const DEPOSIT_REFUND_METHODS = [TENDER_TYPES.CASH, TENDER_TYPES.MPESA]
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Whether an inventory record is a deposit item rather than something for sale
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export const isDepositItem = (product) => !!product?.isDepositItem
+
+/**
+ * Whether a transaction document is an empties return
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isDepositRefund = (transaction) => transaction?.type === DEPOSIT_REFUND_TYPE
+
+/**
+ * Deposit amount charged for one deposit item
+ * @param {Object} depositItem
+ * @returns {number}
+ */
+export const getDepositAmount = (depositItem) => roundMoney(depositItem?.price ?? depositItem?.sellingPrice ?? 0)
+
+/**
+ * Deposit lines the cart has to carry, one per deposit item
+ * @param {Array} cart - Cart items (products with quantity)
+ * @param {Array} inventory - Branch inventory holding the deposit items
+ * @returns {Array<{depositItemId, name, unitAmount, quantity, amount}>}
+ */
+export const getDepositLines = (cart = [], inventory = []) => {
+  const lines = new Map()
+
+  cart.forEach(item => {
+    if (item.depositItemId == null) return
+    const depositItem = inventory.find(p => p.id === item.depositItemId && isDepositItem(p) && !p.deletedAt)
+    if (!depositItem) return
+
+    const quantity = (item.quantity || 0) * (Number(item.depositUnits) || 1)
+    const line = lines.get(depositItem.id) || {
+      depositItemId: depositItem.id,
+      name: depositItem.name,
+      unitAmount: getDepositAmount(depositItem),
+      quantity: 0,
+      amount: 0
+    }
+    line.quantity += quantity
+    line.amount = roundMoney(line.unitAmount * line.quantity)
+    lines.set(depositItem.id, line)
+  })
+
+  return Array.from(lines.values()).filter(line => line.quantity > 0)
+}
+
+/**
+ * Sum of deposit lines
+ * @param {Array} lines
+ * @returns {number}
+ */
+export const getDepositTotal = (lines = []) => roundMoney(lines.reduce((sum, line) => sum + (line.amount || 0), 0))
+
+/**
+ * Deposit money in a transaction: positive on a sale, negative on an empties return
+ * @param {Object} transaction
+ * @returns {number}
+ */
+export const getTransactionDepositAmount = (transaction) => {
+  if (isDepositRefund(transaction)) return roundMoney(transaction.total)
+  return roundMoney(transaction?.depositTotal)
+}
+
+/**
+ * Build the transaction for empties a customer brings back
+ * @param {Object} params
+ * @param {Array<{depositItem, quantity}>} params.lines - Empties returned per deposit item
+ * @param {string} params.refundMethod - DEPOSIT_REFUND_METHODS
+ * @param {string} [params.reference] - M-Pesa transaction code
+ * @param {string} params.depositRefundNumber
+ * @param {Object} params.user - User paying out the deposit
+ * @param {string} params.branchId
+ * @param {string} [params.shiftId]
+ * @param {string} [params.terminalId]
+ * @returns {Object} Deposit-refund transaction
+ */
+export const buildDepositRefund = ({ lines, refundMethod, reference, depositRefundNumber, user, branchId, shiftId = null, terminalId = null }) => {
+  if (!DEPOSIT_REFUND_METHODS.includes(refundMethod)) throw new Error('Deposits can only be refunded in cash or M-Pesa')
+
+  const deposits = lines
+    .filter(line => (line.quantity || 0) > 0)
+    .map(line => {
+      const unitAmount = getDepositAmount(line.depositItem)
+      return {
+        depositItemId: line.depositItem.id,
+        name: line.depositItem.name,
+        unitAmount,
+        quantity: -line.quantity,
+        amount: -roundMoney(unitAmount * line.quantity)
+      }
+    })
+  if (deposits.length === 0) throw new Error('Enter the empties being returned')
+
+  const total = getDepositTotal(deposits)
+
+  return {
+    id: `DR-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+    type: DEPOSIT_REFUND_TYPE,
+    depositRefundNumber,
+    terminalId,
+    shiftId,
+    timestamp: new Date().toISOString(),
+    userId: user?.id,
+    cashier: user?.name || 'Unknown',
+    cashierId: user?.id,
+    branchId,
+    items: [],
+    deposits,
+    depositTotal: total,
+    subtotal: 0,
+    vatAmount: 0,
+    total,
+    paymentMethod: refundMethod,
+    payments: [{
+      method: refundMethod,
+      amount: total,
+      ...(reference ? { reference } : {})
+    }],
+    paymentStatus: 'completed'
+  }
+}
+
+/**
+ * Deposits taken and refunded, per deposit item. What is still outstanding is
+ * owed to customers until the empties come back.
+ * @param {Array} transactions - Cancelled sales are ignored
+ * @returns {{ collected: number, refunded: number, outstanding: number, items: Array }}
+ */
+export const getDepositLiability = (transactions = []) => {
+  const byItem = new Map()
+
+  transactions.forEach(t => {
+    if (t.paymentStatus === 'cancelled') return
+    const lines = t.deposits || []
+    lines.forEach(line => {
+      const entry = byItem.get(line.depositItemId) || {
+        depositItemId: line.depositItemId,
+        name: line.name,
+        issued: 0,
+        returned: 0,
+        collected: 0,
+        refunded: 0
+      }
+      if (line.amount < 0) {
+        entry.returned += Math.abs(line.quantity)
+        entry.refunded = roundMoney(entry.refunded + Math.abs(line.amount))
+      } else {
+        entry.issued += line.quantity
+        entry.collected = roundMoney(entry.collected + line.amount)
+      }
+      byItem.set(line.depositItemId, entry)
+    })
+  })
+
+  const items = Array.from(byItem.values())
+    .map(entry => ({
+      ...entry,
+      outstandingQuantity: entry.issued - entry.returned,
+      outstanding: roundMoney(entry.collected - entry.refunded)
+    }))
+    .sort((a, b) => b.outstanding - a.outstanding)
+
+  const collected = roundMoney(items.reduce((sum, i) => sum + i.collected, 0))
+  const refunded = roundMoney(items.reduce((sum, i) => sum + i.refunded, 0))
+
+  return { collected, refunded, outstanding: roundMoney(collected - refunded), items }
+}
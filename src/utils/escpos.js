@@ -0,0 +1,364 @@
+/**
+ * ESC/POS documents for thermal receipt printers
+ *
+ * createEscPosDocument() records a receipt as a list of layout operations
+ * (text, two-column rows, bold, double height, QR codes, cut, drawer kick).
+ * The same list renders two ways:
+ *   - toBytes(): the byte stream sent to the printer
+ *   - toText():  a plain-text picture of the slip, used in tests and for previews
+ * Line wrapping and column padding are done here rather than by the printer so
+ * both renderings break lines in the same places.
+ *
+ * Printers are driven in their default code page (PC437), so text is reduced to
+ * printable ASCII before encoding.
+ */
+
+import { getTenderLabel } from './tenders'
+import { isCreditNote } from './returns'
+import { isDepositRefund } from './deposits'
+
+export const PAPER_WIDTHS = {
+  '58mm': { columns: 32 },
+  '80mm': { columns: 48 }
+}
+
+const ESC = 0x1b
+const GS = 0x1d
+const LF = 0x0a
+
+const ALIGN_CODES = { left: 0, center: 1, right: 2 }
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 }
+
+const ASCII_REPLACEMENTS = {
+  '×': 'x',
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+  '•': '*'
+}
+
+/**
+ * Reduce text to printable ASCII (accents stripped, typographic punctuation replaced)
+ * @param {string} text
+ * @returns {string}
+ */
+export const toPrintableAscii = (text) => {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[×–—‘’“”…•]/g, ch => ASCII_REPLACEMENTS[ch])
+    .replace(/[^\x20-\x7e]/g, '?')
+}
+
+/**
+ * Word-wrap a line to a column width, hard-breaking words longer than a line
+ * @param {string} text
+ * @param {number} width
+ * @returns {Array<string>}
+ */
+const wrapText = (text, width) => {
+  if (text.length <= width) return [text]
+  const lines = []
+  let current = ''
+  text.split(' ').forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current)
+        current = ''
+      }
+      lines.push(word.slice(0, width))
+      word = word.slice(width)
+    }
+    if (!current) {
+      current = word
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`
+    } else {
+      lines.push(current)
+      current = word
+    }
+  })
+  if (current) lines.push(current)
+  return lines
+}
+
+/**
+ * Two-column line: left text with the right text flush right.
+ * When both don't fit, the left text wraps and the right text gets its own line.
+ * @returns {Array<string>}
+ */
+const layoutRow = (left, right, width) => {
+  if (left.length + right.length + 1 <= width) {
+    return [left + ' '.repeat(width - left.length - right.length) + right]
+  }
+  const lines = wrapText(left, width)
+  const last = lines[lines.length - 1]
+  if (last.length + right.length + 1 <= width) {
+    lines[lines.length - 1] = last + ' '.repeat(width - last.length - right.length) + right
+  } else {
+    lines.push(right.padStart(width))
+  }
+  return lines
+}
+
+const alignLine = (line, align, width) => {
+  if (align === 'center') {
+    const left = Math.floor((width - line.length) / 2)
+    return ' '.repeat(left) + line
+  }
+  if (align === 'right') return line.padStart(width)
+  return line
+}
+
+const encodeAscii = (text) => Array.from(toPrintableAscii(text), ch => ch.charCodeAt(0))
+
+/**
+ * Start a new ESC/POS document
+ * @param {Object} [options]
+ * @param {string} [options.paperWidth] - '58mm' or '80mm'
+ * @returns {Object} Chainable builder
+ */
+export const createEscPosDocument = ({ paperWidth = '80mm' } = {}) => {
+  const columns = (PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS['80mm']).columns
+  const ops = []
+  const add = (op) => {
+    ops.push(op)
+    return doc
+  }
+
+  const doc = {
+    columns,
+    paperWidth,
+    align: (value = 'left') => add({ op: 'align', value }),
+    bold: (on = true) => add({ op: 'bold', on }),
+    // Double width halves the characters per line
+    size: ({ doubleHeight = false, doubleWidth = false } = {}) => add({ op: 'size', doubleHeight, doubleWidth }),
+    line: (text = '') => add({ op: 'line', text: toPrintableAscii(text) }),
+    row: (left, right = '') => add({ op: 'row', left: toPrintableAscii(left), right: toPrintableAscii(right) }),
+    rule: (char = '-') => add({ op: 'rule', char }),
+    feed: (lines = 1) => add({ op: 'feed', lines }),
+    qr: (data, { moduleSize = 6, errorCorrection = 'M' } = {}) => add({ op: 'qr', data: String(data), moduleSize, errorCorrection }),
+    cut: () => add({ op: 'cut' }),
+    openDrawer: () => add({ op: 'drawer' }),
+
+    /**
+     * Plain-text rendering of the slip
+     * @returns {string}
+     */
+    toText() {
+      const out = []
+      let align = 'left'
+      let width = columns
+      ops.forEach(o => {
+        switch (o.op) {
+          case 'align':
+            align = o.value
+            break
+          case 'size':
+            width = o.doubleWidth ? Math.floor(columns / 2) : columns
+            break
+          case 'line':
+            wrapText(o.text, width).forEach(l => out.push(alignLine(l, align, width)))
+            break
+          case 'row':
+            layoutRow(o.left, o.right, width).forEach(l => out.push(l))
+            break
+          case 'rule':
+            out.push(o.char.repeat(width))
+            break
+          case 'feed':
+            for (let i = 0; i < o.lines; i++) out.push('')
+            break
+          case 'qr':
+            out.push(alignLine(`[QR ${o.data.length > width - 5 ? `${o.data.slice(0, width - 8)}...` : o.data}]`, align, width))
+            break
+          case 'cut':
+            out.push('[CUT]')
+            break
+          case 'drawer':
+            out.push('[OPEN DRAWER]')
+            break
+          default:
+            break
+        }
+      })
+      return out.map(l => l.replace(/\s+$/, '')).join('\n')
+    },
+
+    /**
+     * Byte stream for the printer
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+      // Initialise, then select code page 0 (PC437)
+      const bytes = [ESC, 0x40, ESC, 0x74, 0]
+      let width = columns
+      const pushLines = (lines) => lines.forEach(l => bytes.push(...encodeAscii(l), LF))
+      ops.forEach(o => {
+        switch (o.op) {
+          case 'align':
+            bytes.push(ESC, 0x61, ALIGN_CODES[o.value] ?? 0)
+            break
+          case 'bold':
+            bytes.push(ESC, 0x45, o.on ? 1 : 0)
+            break
+          case 'size':
+            width = o.doubleWidth ? Math.floor(columns / 2) : columns
+            bytes.push(GS, 0x21, (o.doubleWidth ? 0x10 : 0) | (o.doubleHeight ? 0x01 : 0))
+            break
+          case 'line':
+            pushLines(wrapText(o.text, width))
+            break
+          case 'row':
+            pushLines(layoutRow(o.left, o.right, width))
+            break
+          case 'rule':
+            pushLines([o.char.repeat(width)])
+            break
+          case 'feed':
+            bytes.push(ESC, 0x64, o.lines)
+            break
+          case 'qr': {
+            const data = encodeAscii(o.data)
+            const length = data.length + 3
+            bytes.push(
+              GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0, // model 2
+              GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, o.moduleSize,
+              GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, QR_ERROR_LEVELS[o.errorCorrection] ?? QR_ERROR_LEVELS.M,
+              GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30, ...data,
+              GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30,
+              LF
+            )
+            break
+          }
+          case 'cut':
+            // Feed to the cutter, then partial cut
+            bytes.push(GS, 0x56, 0x42, 3)
+            break
+          case 'drawer':
+            // Pulse drawer pin 2: 50ms on, 500ms off
+            bytes.push(ESC, 0x70, 0, 0x19, 0xfa)
+            break
+          default:
+            break
+        }
+      })
+      return Uint8Array.from(bytes)
+    }
+  }
+
+  return doc
+}
+
+const formatAmount = (amount) => {
+  const value = Math.round((Number(amount) || 0) * 100) / 100
+  const [whole, cents] = Math.abs(value).toFixed(2).split('.')
+  return `${value < 0 ? '-' : ''}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`
+}
+
+// Receipts show Nairobi time whatever the terminal's clock zone is set to
+const formatReceiptDate = (timestamp) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'Africa/Nairobi',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value])
+  )
+  return `${parts.day}/${parts.month}/${parts.year} ${parts.hour}:${parts.minute}`
+}
+
+/**
+ * Lay out a sale or credit note as an ESC/POS receipt
+ * @param {Object} transaction - Saved transaction (or the receipt modal's equivalent)
+ * @param {Object} [options]
+ * @param {string} [options.paperWidth] - '58mm' or '80mm'
+ * @param {boolean} [options.openDrawer] - Kick the cash drawer after printing
+ * @param {Array<string>} [options.footerLines]
+ * @returns {Object} ESC/POS document
+ */
+export const buildReceiptDocument = (transaction, { paperWidth = '80mm', openDrawer = false, footerLines = ['Contact: 0723037017', 'Thank you for shopping with us!'] } = {}) => {
+  const creditNote = isCreditNote(transaction)
+  const depositRefund = isDepositRefund(transaction)
+  const doc = createEscPosDocument({ paperWidth })
+  const payments = transaction.payments || []
+
+  doc.align('center')
+    .bold().size({ doubleHeight: true, doubleWidth: true }).line('WHISKEY BALLET')
+    .size().bold(false).line('WINES & SPIRITS')
+    .bold().line(creditNote ? 'CREDIT NOTE' : depositRefund ? 'EMPTIES RETURN' : 'RECEIPT').bold(false)
+    .align('left')
+    .rule()
+
+  if (creditNote) {
+    doc.row('Credit Note:', transaction.creditNoteNumber || '')
+    doc.row('Original Receipt:', transaction.originalReceiptNumber || '')
+  } else if (depositRefund) {
+    doc.row('Return No:', transaction.depositRefundNumber || '')
+  } else {
+    doc.row('Receipt No:', transaction.receiptNumber || 'N/A')
+  }
+  doc.row('Date:', formatReceiptDate(transaction.timestamp || Date.now()))
+  if (transaction.cashier) doc.row('Cashier:', transaction.cashier)
+  if (transaction.customerName) doc.row('Customer:', transaction.customerName)
+  doc.rule()
+
+  const items = transaction.items || []
+  items.forEach(item => {
+    const quantity = Math.abs(item.quantity)
+    doc.row(`${quantity}x ${item.name}`, formatAmount(item.price * quantity))
+    if (item.priceOverride) {
+      doc.line(`  was ${formatAmount(item.priceOverride.originalPrice)} each`)
+    }
+  })
+  const promotions = transaction.promotions || []
+  promotions.forEach(promotion => {
+    doc.row(`PROMO ${promotion.name}`, `-${formatAmount(promotion.discount)}`)
+  })
+  if (transaction.discountAmount > 0) {
+    doc.row(`Discount (${transaction.discount}%)`, `-${formatAmount(transaction.discountAmount)}`)
+  }
+  const deposits = transaction.deposits || []
+  deposits.forEach(deposit => {
+    doc.row(`${Math.abs(deposit.quantity)}x ${deposit.name}`, formatAmount(Math.abs(deposit.amount)))
+  })
+
+  doc.rule()
+    .row('VAT (16%):', formatAmount(Math.abs(transaction.vatAmount || 0)))
+    .bold().size({ doubleHeight: true })
+    .row(creditNote || depositRefund ? 'REFUND:' : 'TOTAL:', `KES ${formatAmount(Math.abs(transaction.total || 0))}`)
+    .size().bold(false)
+
+  payments.forEach(payment => {
+    const label = `${getTenderLabel(payment.method)}${payment.reference ? ` (${payment.reference})` : ''}:`
+    doc.row(label, formatAmount(Math.abs(payment.tendered ?? payment.amount)))
+  })
+  const change = payments.reduce((sum, p) => sum + (p.tendered ? p.tendered - p.amount : 0), 0)
+  if (change > 0) doc.row('CHANGE:', formatAmount(change))
+
+  const fiscal = transaction.fiscal
+  if (fiscal?.status === 'signed') {
+    doc.rule()
+      .row('CU Serial No:', fiscal.cuSerialNumber || '')
+      .row('CU Invoice No:', fiscal.cuInvoiceNumber || '')
+    if (fiscal.internalData) doc.row('Internal Data:', fiscal.internalData)
+    if (fiscal.qrPayload) doc.align('center').qr(fiscal.qrPayload).align('left')
+  } else if (fiscal) {
+    doc.rule().align('center').line('FISCAL SIGNATURE PENDING').align('left')
+  }
+
+  doc.rule().align('center')
+  footerLines.forEach(line => doc.line(line))
+  doc.align('left').feed(3).cut()
+  if (openDrawer) doc.openDrawer()
+
+  return doc
+}
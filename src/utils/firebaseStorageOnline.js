@@ -96,7 +96,14 @@ export async function writeSharedDataOnline(data, adminId, options = {}) {
     { name: STORES.SUPPLIER_PAYMENTS, items: data.supplierPayments || [] },
     { name: STORES.STOCK_ADJUSTMENTS, items: data.stockAdjustments || [] },
     { name: STORES.CUSTOMERS, items: data.customers || [] },
-    { name: STORES.EXPENSES, items: data.expenses || [] }
+    { name: STORES.EXPENSES, items: data.expenses || [] },
+    { name: STORES.PROMOTIONS, items: data.promotions || [] },
+    { name: STORES.SHIFTS, items: data.shifts || [] },
+    { name: STORES.TABS, items: data.tabs || [] },
+    { name: STORES.VOUCHERS, items: data.vouchers || [] },
+    { name: STORES.QUOTES, items: data.quotes || [] },
+    { name: STORES.STOCK_TRANSFERS, items: data.stockTransfers || [] },
+    { name: STORES.STOCK_MOVEMENTS, items: data.stockMovements || [] }
   ]
   const stores = Array.isArray(writeOnlyStores) && writeOnlyStores.length > 0
     ? allStores.filter((s) => writeOnlyStores.includes(s.name))
@@ -246,7 +253,14 @@ async function cacheToIndexedDB(data, adminId, writeOnlyStores) {
       { name: STORES.SUPPLIER_PAYMENTS, items: data.supplierPayments || [] },
       { name: STORES.STOCK_ADJUSTMENTS, items: data.stockAdjustments || [] },
       { name: STORES.CUSTOMERS, items: data.customers || [] },
-      { name: STORES.EXPENSES, items: data.expenses || [] }
+      { name: STORES.EXPENSES, items: data.expenses || [] },
+      { name: STORES.PROMOTIONS, items: data.promotions || [] },
+      { name: STORES.SHIFTS, items: data.shifts || [] },
+      { name: STORES.TABS, items: data.tabs || [] },
+      { name: STORES.VOUCHERS, items: data.vouchers || [] },
+      { name: STORES.QUOTES, items: data.quotes || [] },
+      { name: STORES.STOCK_TRANSFERS, items: data.stockTransfers || [] },
+      { name: STORES.STOCK_MOVEMENTS, items: data.stockMovements || [] }
     ]
     const stores = Array.isArray(writeOnlyStores) && writeOnlyStores.length > 0
       ? allStores.filter((s) => writeOnlyStores.includes(s.name))
@@ -278,6 +292,13 @@ function getDefaultSharedDataShape() {
     stockAdjustments: [],
     customers: [],
     expenses: [],
+    promotions: [],
+    shifts: [],
+    tabs: [],
+    vouchers: [],
+    quotes: [],
+    stockTransfers: [],
+    stockMovements: [],
     settings: {
       storeName: 'Whiskey Ballet',
       currency: 'KES',
@@ -314,7 +335,14 @@ export async function readSharedDataOnline(adminId, includeDeleted = false, opti
     { name: STORES.SUPPLIER_PAYMENTS, key: 'supplierPayments' },
     { name: STORES.STOCK_ADJUSTMENTS, key: 'stockAdjustments' },
     { name: STORES.CUSTOMERS, key: 'customers' },
-    { name: STORES.EXPENSES, key: 'expenses' }
+    { name: STORES.EXPENSES, key: 'expenses' },
+    { name: STORES.PROMOTIONS, key: 'promotions' },
+    { name: STORES.SHIFTS, key: 'shifts' },
+    { name: STORES.TABS, key: 'tabs' },
+    { name: STORES.VOUCHERS, key: 'vouchers' },
+    { name: STORES.QUOTES, key: 'quotes' },
+    { name: STORES.STOCK_TRANSFERS, key: 'stockTransfers' },
+    { name: STORES.STOCK_MOVEMENTS, key: 'stockMovements' }
   ]
   const stores = Array.isArray(storesFilter) && storesFilter.length > 0
     ? allStores.filter((s) => storesFilter.includes(s.name))
@@ -389,7 +417,14 @@ export async function readSharedDataOnline(adminId, includeDeleted = false, opti
     [STORES.SUPPLIER_PAYMENTS]: 'supplierPayments',
     [STORES.STOCK_ADJUSTMENTS]: 'stockAdjustments',
     [STORES.CUSTOMERS]: 'customers',
-    [STORES.EXPENSES]: 'expenses'
+    [STORES.EXPENSES]: 'expenses',
+    [STORES.PROMOTIONS]: 'promotions',
+    [STORES.SHIFTS]: 'shifts',
+    [STORES.TABS]: 'tabs',
+    [STORES.VOUCHERS]: 'vouchers',
+    [STORES.QUOTES]: 'quotes',
+    [STORES.STOCK_TRANSFERS]: 'stockTransfers',
+    [STORES.STOCK_MOVEMENTS]: 'stockMovements'
   }
   const toRead = storesFilter?.length > 0 ? storesFilter : Object.keys(storeToKey)
   try {
@@ -0,0 +1,267 @@
+/**
+ * Fiscal invoicing (KRA eTIMS / TIMS)
+ *
+ * After a sale or credit note is saved it is submitted to this terminal's fiscal
+ * device through a pluggable adapter (see ./fiscalAdapters). The control unit's
+ * invoice number, signature and QR payload are stored on the transaction under
+ * `fiscal` and printed on the receipt.
+ *
+ * When the device can't be reached the submission is parked in the fiscalQueue
+ * IndexedDB store (local to this terminal) and retried when the browser comes
+ * back online; the transaction stays `fiscal.status: 'pending'` until then.
+ */
+
+import { getDB, STORES } from './indexedDBStorage'
+import { readSharedData, writeSharedData } from './storage'
+import { getTerminalSettings } from './terminal'
+import { getTenderAmount, TENDER_TYPES } from './tenders'
+import { createMockFiscalAdapter, createEtimsAdapter } from './fiscalAdapters'
+
+export const FISCAL_STATUS = {
+  PENDING: 'pending',
+  SIGNED: 'signed',
+  FAILED: 'failed'
+}
+
+/** Give up retrying automatically after this many failed attempts */
+export const MAX_FISCAL_ATTEMPTS = 10
+
+/** Adapters a terminal can be configured with */
+export const FISCAL_ADAPTERS = {
+  NONE: 'none',
+  MOCK: 'mock',
+  ETIMS: 'etims'
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const isAvailable = () =>
+  typeof window !== 'undefined' && typeof indexedDB !== 'undefined' && indexedDB !== null
+
+/**
+ * Build the adapter configured for this terminal
+ * @param {Object} [fiscalSettings] - Defaults to the terminal's saved settings
+ * @returns {Object|null} Adapter, or null when fiscalisation is switched off
+ */
+export const getFiscalAdapter = (fiscalSettings = getTerminalSettings().fiscal) => {
+  switch (fiscalSettings?.adapter) {
+    case FISCAL_ADAPTERS.MOCK:
+      return createMockFiscalAdapter()
+    case FISCAL_ADAPTERS.ETIMS:
+      return createEtimsAdapter(fiscalSettings)
+    default:
+      return null
+  }
+}
+
+/**
+ * eTIMS payment type code for a transaction's tenders
+ * 01 cash, 02 credit, 03 cash/credit, 06 mobile money, 07 other
+ * @param {Object} transaction
+ * @returns {string}
+ */
+const getPaymentTypeCode = (transaction) => {
+  const cash = getTenderAmount(transaction, TENDER_TYPES.CASH) !== 0
+  const credit = getTenderAmount(transaction, TENDER_TYPES.CREDIT) !== 0
+  const mpesa = getTenderAmount(transaction, TENDER_TYPES.MPESA) !== 0
+  if (cash && credit) return '03'
+  if (credit) return '02'
+  if (mpesa && !cash) return '06'
+  if (cash && !mpesa) return '01'
+  return '07'
+}
+
+/**
+ * Turn a saved sale or credit note into the fiscal invoice an adapter submits.
+ * Amounts are always positive; credit notes are marked with receiptType 'R'.
+ * @param {Object} transaction - Saved transaction (items carry the VAT breakdown from calculateItemVAT)
+ * @returns {Object}
+ */
+export const buildFiscalInvoice = (transaction) => {
+  const isCreditNote = transaction.type === 'credit_note'
+  const invoiceNumber = isCreditNote ? transaction.creditNoteNumber : transaction.receiptNumber
+  const sequenceOf = (number) => Number.parseInt(String(number || '').split('-').pop(), 10) || 0
+  const discountRate = transaction.discount || 0
+
+  const items = (transaction.items || []).map((item, index) => {
+    const quantity = Math.abs(item.quantity || 0)
+    const grossAmount = roundMoney((item.price || 0) * quantity)
+    const totalAmount = roundMoney(Math.abs(item.itemTotal ?? grossAmount))
+    return {
+      sequence: index + 1,
+      code: item.sku || String(item.id),
+      name: item.name,
+      quantity,
+      unitPrice: item.price || 0,
+      grossAmount,
+      discountRate,
+      discountAmount: roundMoney(grossAmount - totalAmount),
+      taxTypeCode: 'B', // Standard rated 16%
+      taxableAmount: roundMoney(Math.abs(item.itemPriceBeforeVAT ?? totalAmount)),
+      taxAmount: roundMoney(Math.abs(item.itemVAT ?? 0)),
+      totalAmount
+    }
+  })
+
+  return {
+    transactionId: transaction.id,
+    invoiceNumber,
+    sequence: sequenceOf(invoiceNumber),
+    receiptType: isCreditNote ? 'R' : 'S',
+    originalInvoiceNumber: isCreditNote ? transaction.originalReceiptNumber : null,
+    originalSequence: isCreditNote ? sequenceOf(transaction.originalReceiptNumber) : null,
+    issuedAt: transaction.timestamp,
+    branchId: transaction.branchId || null,
+    cashierId: transaction.cashierId || transaction.userId || null,
+    cashierName: transaction.cashier || null,
+    customerName: transaction.customerName || null,
+    customerPin: transaction.customerPin || null,
+    sellerPin: getTerminalSettings().fiscal?.tin || null,
+    paymentTypeCode: getPaymentTypeCode(transaction),
+    items,
+    totals: {
+      taxableAmount: roundMoney(Math.abs(transaction.priceBeforeVAT ?? 0)),
+      taxAmount: roundMoney(Math.abs(transaction.vatAmount ?? 0)),
+      // Bottle deposits are refundable, not a supply, so they stay off the invoice
+      totalAmount: roundMoney(Math.abs((transaction.total ?? 0) - (transaction.depositTotal ?? 0)))
+    }
+  }
+}
+
+/**
+ * Run a request against the fiscalQueue store and resolve when the transaction completes
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} work
+ */
+const withFiscalQueueStore = async (mode, work) => {
+  const dbConn = await getDB()
+
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = dbConn.transaction([STORES.FISCAL_QUEUE], mode)
+      const store = tx.objectStore(STORES.FISCAL_QUEUE)
+      const request = work(store)
+
+      tx.oncomplete = () => {
+        dbConn.close()
+        resolve(request ? request.result : undefined)
+      }
+      tx.onerror = () => {
+        console.error('❌ Fiscal queue transaction error:', tx.error)
+        dbConn.close()
+        reject(tx.error)
+      }
+    } catch (error) {
+      dbConn.close()
+      reject(error)
+    }
+  })
+}
+
+/**
+ * Submissions waiting for the fiscal device on this terminal, oldest first
+ * @param {string} adminId
+ * @returns {Promise<Array>}
+ */
+export const getQueuedFiscalInvoices = async (adminId) => {
+  if (!isAvailable()) return []
+  const entries = await withFiscalQueueStore('readonly', (store) => store.index('adminId').getAll(adminId)) || []
+  return entries.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt))
+}
+
+/**
+ * Write the fiscal block onto a saved transaction
+ * @param {string} adminId
+ * @param {string} transactionId
+ * @param {Object} fiscal
+ */
+const saveFiscalResult = async (adminId, transactionId, fiscal) => {
+  // Desktop and offline storage save the object whole, so everything read goes back
+  const sharedData = await readSharedData(adminId)
+  const transactions = (sharedData.transactions || []).map(t =>
+    t.id === transactionId ? { ...t, fiscal } : t
+  )
+  await writeSharedData({ ...sharedData, transactions }, adminId, { writeOnlyStores: ['transactions'] })
+}
+
+/**
+ * Submit one invoice and record the outcome on the transaction.
+ * Failures are queued (or re-queued) for retry instead of thrown.
+ * @param {string} adminId
+ * @param {Object} invoice - From buildFiscalInvoice
+ * @param {Object} adapter
+ * @param {number} [previousAttempts]
+ * @returns {Promise<Object>} The fiscal block now stored on the transaction
+ */
+const submitAndRecord = async (adminId, invoice, adapter, previousAttempts = 0) => {
+  const attempts = previousAttempts + 1
+  try {
+    const result = await adapter.submitInvoice(invoice)
+    const fiscal = { status: FISCAL_STATUS.SIGNED, adapter: adapter.id, attempts, ...result }
+    await saveFiscalResult(adminId, invoice.transactionId, fiscal)
+    if (isAvailable()) {
+      await withFiscalQueueStore('readwrite', (store) => store.delete(invoice.transactionId))
+    }
+    console.log(`🧾 Fiscal invoice ${fiscal.cuInvoiceNumber} signed for ${invoice.invoiceNumber}`)
+    return fiscal
+  } catch (error) {
+    console.warn(`⚠️ Fiscal submission for ${invoice.invoiceNumber} failed (attempt ${attempts}):`, error)
+    const fiscal = {
+      status: attempts >= MAX_FISCAL_ATTEMPTS ? FISCAL_STATUS.FAILED : FISCAL_STATUS.PENDING,
+      adapter: adapter.id,
+      attempts,
+      lastError: error?.message || String(error)
+    }
+    if (isAvailable()) {
+      await withFiscalQueueStore('readwrite', (store) => store.put({
+        transactionId: invoice.transactionId,
+        adminId,
+        invoice,
+        attempts,
+        lastError: fiscal.lastError,
+        queuedAt: new Date().toISOString()
+      }))
+    }
+    await saveFiscalResult(adminId, invoice.transactionId, fiscal)
+    return fiscal
+  }
+}
+
+/**
+ * Fiscalise a transaction that has just been saved
+ * @param {string} adminId
+ * @param {Object} transaction
+ * @returns {Promise<Object|null>} The fiscal block, or null when no fiscal device is configured
+ */
+export const fiscalizeTransaction = async (adminId, transaction) => {
+  const adapter = getFiscalAdapter()
+  if (!adapter) return null
+  return submitAndRecord(adminId, buildFiscalInvoice(transaction), adapter)
+}
+
+/**
+ * Retry queued submissions on this terminal. Entries that have hit
+ * MAX_FISCAL_ATTEMPTS are left for a manual retry.
+ * @param {string} adminId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFailed] - Also retry entries that gave up
+ * @returns {Promise<{signed: number, remaining: number}>}
+ */
+export const retryFiscalQueue = async (adminId, { includeFailed = false } = {}) => {
+  const adapter = getFiscalAdapter()
+  if (!adapter || !isAvailable()) return { signed: 0, remaining: 0 }
+
+  const queued = await getQueuedFiscalInvoices(adminId)
+  let signed = 0
+  for (const entry of queued) {
+    if (!includeFailed && entry.attempts >= MAX_FISCAL_ATTEMPTS) continue
+    const fiscal = await submitAndRecord(adminId, entry.invoice, adapter, entry.attempts >= MAX_FISCAL_ATTEMPTS ? 0 : entry.attempts)
+    if (fiscal.status === FISCAL_STATUS.SIGNED) {
+      signed++
+    } else if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      // No point hammering the rest of the queue while the device is unreachable
+      break
+    }
+  }
+  return { signed, remaining: queued.length - signed }
+}
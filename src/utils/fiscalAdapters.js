@@ -0,0 +1,174 @@
+/**
+ * Fiscal device adapters
+ *
+ * An adapter signs one fiscal invoice (built by buildFiscalInvoice in ./fiscal)
+ * and resolves with what the control unit returned:
+ *   { cuInvoiceNumber, cuSerialNumber, receiptSignature, internalData, qrPayload, signedAt }
+ * It rejects when the device can't be reached so the sale is queued for retry.
+ *
+ * - mock:  local stand-in for a control unit, for development and testing
+ * - etims: KRA eTIMS OSCU/VSCU over HTTP
+ */
+
+const MOCK_COUNTER_KEY = 'whiskeyballet-mock-fiscal-counter'
+const ETIMS_RECEIPT_URL = 'https://etims.kra.go.ke/common/link/etims/receipt/indexEtimsReceiptData?Data='
+const REQUEST_TIMEOUT_MS = 10000
+
+/**
+ * Short deterministic signature for the mock device (FNV-1a, base 36)
+ * @param {string} text
+ * @returns {string}
+ */
+const mockSign = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash.toString(36).toUpperCase().padStart(7, '0') +
+    text.length.toString(36).toUpperCase().padStart(4, '0')
+}
+
+/**
+ * Mock control unit. Numbers invoices from its own counter, signs them locally and
+ * behaves like a network device: it fails while the browser is offline, so the
+ * queue-and-retry path can be exercised without real hardware.
+ * @param {Object} [options]
+ * @param {number} [options.latencyMs] - Simulated round-trip time
+ * @param {number} [options.failureRate] - 0-1 chance of a simulated device error
+ */
+export const createMockFiscalAdapter = ({ latencyMs = 300, failureRate = 0 } = {}) => ({
+  id: 'mock',
+  name: 'Mock Control Unit',
+
+  async submitInvoice(invoice) {
+    await new Promise(resolve => setTimeout(resolve, latencyMs))
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new Error('Fiscal device unreachable (offline)')
+    }
+    if (failureRate > 0 && Math.random() < failureRate) {
+      throw new Error('Mock control unit rejected the invoice')
+    }
+
+    let counter = 0
+    try {
+      counter = (Number.parseInt(localStorage.getItem(MOCK_COUNTER_KEY), 10) || 0) + 1
+      localStorage.setItem(MOCK_COUNTER_KEY, String(counter))
+    } catch {
+      counter = Date.now() % 1000000
+    }
+
+    const cuSerialNumber = 'KRAMW000MOCK0001'
+    const receiptSignature = mockSign(`${invoice.invoiceNumber}|${invoice.totals.totalAmount}|${counter}`)
+    return {
+      cuInvoiceNumber: `${cuSerialNumber}/${String(counter).padStart(8, '0')}`,
+      cuSerialNumber,
+      receiptSignature,
+      internalData: mockSign(JSON.stringify(invoice.items)),
+      qrPayload: `${ETIMS_RECEIPT_URL}${invoice.sellerPin || 'P000000000X'}00${receiptSignature}`,
+      signedAt: new Date().toISOString()
+    }
+  }
+})
+
+/**
+ * eTIMS OSCU/VSCU adapter. Posts the sale to the device's trnsSales/saveSales
+ * endpoint using the communication key issued when the device was initialised.
+ * @param {Object} config
+ * @param {string} config.baseUrl - e.g. http://localhost:8088 for a VSCU on the LAN
+ * @param {string} config.tin - Business KRA PIN
+ * @param {string} config.bhfId - KRA branch ID, "00" for head office
+ * @param {string} config.cmcKey - Communication key from device initialisation
+ */
+export const createEtimsAdapter = ({ baseUrl, tin, bhfId = '00', cmcKey }) => ({
+  id: 'etims',
+  name: 'KRA eTIMS',
+
+  async submitInvoice(invoice) {
+    if (!baseUrl || !tin || !cmcKey) {
+      throw new Error('eTIMS device is not configured (base URL, PIN and communication key are required)')
+    }
+
+    const isCreditNote = invoice.receiptType === 'R'
+    const body = {
+      tin,
+      bhfId,
+      invcNo: invoice.sequence,
+      orgInvcNo: isCreditNote ? invoice.originalSequence || 0 : 0,
+      custTin: invoice.customerPin || null,
+      custNm: invoice.customerName || null,
+      salesTyCd: 'N',
+      rcptTyCd: invoice.receiptType,
+      pmtTyCd: invoice.paymentTypeCode,
+      salesSttsCd: '02',
+      cfmDt: invoice.issuedAt.replace(/\D/g, '').slice(0, 14),
+      salesDt: invoice.issuedAt.replace(/\D/g, '').slice(0, 8),
+      totItemCnt: invoice.items.length,
+      taxblAmtB: invoice.totals.taxableAmount,
+      taxRtB: 16,
+      taxAmtB: invoice.totals.taxAmount,
+      totTaxblAmt: invoice.totals.taxableAmount,
+      totTaxAmt: invoice.totals.taxAmount,
+      totAmt: invoice.totals.totalAmount,
+      regrId: invoice.cashierId || 'POS',
+      regrNm: invoice.cashierName || 'POS',
+      modrId: invoice.cashierId || 'POS',
+      modrNm: invoice.cashierName || 'POS',
+      receipt: {
+        rptNo: invoice.sequence,
+        trdeNm: 'WHISKEY BALLET',
+        topMsg: 'WHISKEY BALLET WINES & SPIRITS',
+        btmMsg: 'Thank you for your business',
+        prchrAcptcYn: 'N'
+      },
+      itemList: invoice.items.map(item => ({
+        itemSeq: item.sequence,
+        itemCd: item.code,
+        itemNm: item.name,
+        pkgUnitCd: 'BT',
+        qtyUnitCd: 'U',
+        qty: item.quantity,
+        prc: item.unitPrice,
+        splyAmt: item.grossAmount,
+        dcRt: item.discountRate,
+        dcAmt: item.discountAmount,
+        taxTyCd: item.taxTypeCode,
+        taxblAmt: item.taxableAmount,
+        taxAmt: item.taxAmount,
+        totAmt: item.totalAmount
+      }))
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS) : null
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/trnsSales/saveSales`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', tin, bhfId, cmcKey },
+        body: JSON.stringify(body),
+        signal: controller?.signal
+      })
+      if (!response.ok) {
+        throw new Error(`eTIMS device responded with HTTP ${response.status}`)
+      }
+
+      const result = await response.json()
+      if (result.resultCd !== '000' || !result.data) {
+        throw new Error(`eTIMS rejected the invoice: ${result.resultMsg || result.resultCd}`)
+      }
+
+      const { rcptNo, intrlData, rcptSign, sdcId, vsdcRcptPbctDate } = result.data
+      return {
+        cuInvoiceNumber: `${sdcId}/${rcptNo}`,
+        cuSerialNumber: sdcId,
+        receiptSignature: rcptSign,
+        internalData: intrlData,
+        qrPayload: `${ETIMS_RECEIPT_URL}${tin}${bhfId}${rcptSign}`,
+        signedAt: vsdcRcptPbctDate || new Date().toISOString()
+      }
+    } finally {
+      if (timer) clearTimeout(timer)
+    }
+  }
+})
@@ -0,0 +1,156 @@
+/**
+ * Held Sales (parked carts)
+ *
+ * Lets a cashier park the current cart - items, selected customer and discount -
+ * under a name and serve the next customer. Held sales live only in this
+ * terminal's IndexedDB (scoped by admin + branch + terminal), survive page
+ * reloads and are purged once they pass their expiry time.
+ */
+
+import { getDB, STORES } from './indexedDBStorage'
+import { getTerminalSettings } from './terminal'
+
+const HOUR_MS = 60 * 60 * 1000
+
+const isAvailable = () =>
+  typeof window !== 'undefined' && typeof indexedDB !== 'undefined' && indexedDB !== null
+
+/**
+ * Run a request against the heldSales store and resolve when the transaction completes
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} work
+ */
+const withHeldSalesStore = async (mode, work) => {
+  const dbConn = await getDB()
+
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = dbConn.transaction([STORES.HELD_SALES], mode)
+      const store = tx.objectStore(STORES.HELD_SALES)
+      const request = work(store)
+
+      tx.oncomplete = () => {
+        dbConn.close()
+        resolve(request ? request.result : undefined)
+      }
+      tx.onerror = () => {
+        console.error('❌ Held sales transaction error:', tx.error)
+        dbConn.close()
+        reject(tx.error)
+      }
+    } catch (error) {
+      dbConn.close()
+      reject(error)
+    }
+  })
+}
+
+/**
+ * Check whether a held sale has passed its expiry time
+ * @param {Object} heldSale
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isHeldSaleExpired = (heldSale, now = Date.now()) => {
+  if (!heldSale?.expiresAt) return false
+  return new Date(heldSale.expiresAt).getTime() <= now
+}
+
+/**
+ * Park a cart on this terminal
+ * @param {Object} params
+ * @param {string} params.adminId - Org/admin ID
+ * @param {string} params.branchId - Branch the cart belongs to
+ * @param {string} params.terminalId - Terminal the cart was parked on
+ * @param {string} params.name - Label shown when recalling (e.g. customer name)
+ * @param {Array} params.cart - Cart items
+ * @param {number} params.discount - Cart discount percentage
+ * @param {Object|null} params.customer - Selected customer
+ * @param {Object} params.heldBy - { id, name } of the cashier
+ * @param {number} [params.expiryHours] - Override the terminal's expiry setting
+ * @returns {Promise<Object>} The stored held sale
+ */
+export const holdSale = async ({ adminId, branchId, terminalId, name, cart, discount = 0, customer = null, heldBy, expiryHours }) => {
+  if (!isAvailable()) {
+    throw new Error('IndexedDB is not available on this device')
+  }
+  if (!Array.isArray(cart) || cart.length === 0) {
+    throw new Error('Cannot hold an empty cart')
+  }
+
+  const hours = Number(expiryHours ?? getTerminalSettings().heldSaleExpiryHours) || 24
+  const heldAt = new Date()
+  const heldSale = {
+    id: `HOLD-${heldAt.getTime()}-${Math.random().toString(36).substring(2, 7)}`,
+    adminId,
+    // Compound index keys cannot contain null, so unassigned branches are stored as ''
+    branchId: branchId || '',
+    terminalId,
+    name: (name || '').trim() || customer?.name || `Sale ${heldAt.toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })}`,
+    cart,
+    discount,
+    customer,
+    itemCount: cart.reduce((sum, item) => sum + (item.quantity || 0), 0),
+    total: cart.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0) * (1 - (discount || 0) / 100),
+    heldBy: heldBy || null,
+    heldAt: heldAt.toISOString(),
+    expiresAt: new Date(heldAt.getTime() + hours * HOUR_MS).toISOString()
+  }
+
+  await withHeldSalesStore('readwrite', (store) => store.put(heldSale))
+  console.log(`⏸️ Held sale "${heldSale.name}" on terminal ${terminalId}`)
+  return heldSale
+}
+
+/**
+ * Remove a held sale (after recall, or when the cashier discards it)
+ * @param {string} id - Held sale ID
+ */
+export const removeHeldSale = async (id) => {
+  if (!isAvailable()) return
+  await withHeldSalesStore('readwrite', (store) => store.delete(id))
+}
+
+/**
+ * List held sales for a branch + terminal, newest first.
+ * Expired held sales are deleted as a side effect.
+ * @param {string} adminId
+ * @param {string} branchId
+ * @param {string} terminalId
+ * @returns {Promise<Array>}
+ */
+export const getHeldSales = async (adminId, branchId, terminalId) => {
+  if (!isAvailable()) return []
+
+  const all = await withHeldSalesStore('readonly', (store) =>
+    store.index('terminal').getAll([adminId, branchId || '', terminalId])
+  ) || []
+
+  const now = Date.now()
+  const expired = all.filter(sale => isHeldSaleExpired(sale, now))
+  if (expired.length > 0) {
+    await withHeldSalesStore('readwrite', (store) => {
+      expired.forEach(sale => store.delete(sale.id))
+    })
+    console.log(`🧹 Purged ${expired.length} expired held sale(s)`)
+  }
+
+  return all
+    .filter(sale => !isHeldSaleExpired(sale, now))
+    .sort((a, b) => new Date(b.heldAt) - new Date(a.heldAt))
+}
+
+/**
+ * Take a held sale off hold: returns it and removes it from storage
+ * @param {string} id - Held sale ID
+ * @returns {Promise<Object|null>} The held sale, or null if it no longer exists or has expired
+ */
+export const recallHeldSale = async (id) => {
+  if (!isAvailable()) return null
+
+  const heldSale = await withHeldSalesStore('readonly', (store) => store.get(id))
+  if (!heldSale) return null
+
+  await removeHeldSale(id)
+  return isHeldSaleExpired(heldSale) ? null : heldSale
+}
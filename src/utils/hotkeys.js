@@ -0,0 +1,179 @@
+/**
+ * Keyboard shortcuts for the POS
+ *
+ * Every POS action that can be run from the keyboard has a default key. A
+ * cashier can rebind them for themselves; their bindings are kept in the shared
+ * settings (`settings.hotkeys`, keyed by user id) so they follow the cashier
+ * to whichever till they sign in on. Keying by user lets the Firestore rules
+ * allow each cashier to change their own entry and nothing else.
+ *
+ * Keys are written the way they are shown, e.g. "F4", "Ctrl+K", "Alt+Shift+H".
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+
+export const HOTKEY_ACTIONS = [
+  { id: 'palette', label: 'Command palette', defaultKey: 'Ctrl+K' },
+  { id: 'search', label: 'Search products', defaultKey: 'F2' },
+  { id: 'customer', label: 'Customer on sale', defaultKey: 'F3' },
+  { id: 'pay_cash', label: 'Pay cash', defaultKey: 'F4' },
+  { id: 'pay_mpesa', label: 'Pay M-Pesa', defaultKey: 'F5' },
+  { id: 'pay_split', label: 'Split payment', defaultKey: 'F6' },
+  { id: 'pay_credit', label: 'Credit sale', defaultKey: 'F7' },
+  { id: 'hold', label: 'Hold sale', defaultKey: 'F8' },
+  { id: 'recall', label: 'Recall held sale', defaultKey: 'F9' },
+  { id: 'discount', label: 'Discount', defaultKey: 'F10' },
+  { id: 'clear_cart', label: 'Clear cart', defaultKey: 'Alt+Delete' }
+]
+
+// Largest quantity accepted from a "3*" prefix, so a mistyped barcode isn't read as one
+export const MAX_QUANTITY_PREFIX = 999
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift']
+
+const KEY_NAMES = {
+  ' ': 'Space',
+  Esc: 'Escape',
+  Del: 'Delete'
+}
+
+/**
+ * Key combination for a keyboard event, e.g. "Ctrl+K". The Mac command key
+ * counts as Ctrl. Returns null for a modifier pressed on its own.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export const getEventHotkey = (event) => {
+  const rawKey = event?.key
+  if (!rawKey || ['Control', 'Alt', 'Shift', 'Meta'].includes(rawKey)) return null
+  const key = KEY_NAMES[rawKey] || (rawKey.length === 1 ? rawKey.toUpperCase() : rawKey)
+  const parts = []
+  if (event.ctrlKey || event.metaKey) parts.push('Ctrl')
+  if (event.altKey) parts.push('Alt')
+  // Shift changes printable characters already ("*", "%"), so it only counts on named keys and letters
+  if (event.shiftKey && (rawKey.length > 1 || /^[a-z]$/i.test(rawKey))) parts.push('Shift')
+  return [...parts, key].join('+')
+}
+
+/**
+ * Tidy a key typed into the settings, e.g. "shift+ctrl+k" -> "Ctrl+Shift+K"
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeHotkey = (value) => {
+  const parts = String(value || '').split('+').map(part => part.trim()).filter(Boolean)
+  if (parts.length === 0) return ''
+  const modifiers = new Set()
+  let key = ''
+  parts.forEach(part => {
+    const lower = part.toLowerCase()
+    if (['ctrl', 'control', 'cmd', 'meta'].includes(lower)) modifiers.add('Ctrl')
+    else if (['alt', 'option'].includes(lower)) modifiers.add('Alt')
+    else if (lower === 'shift') modifiers.add('Shift')
+    else key = KEY_NAMES[part] || (part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1))
+  })
+  if (!key) return ''
+  return [...MODIFIERS.filter(m => modifiers.has(m)), key].join('+')
+}
+
+/**
+ * A user's bindings laid over the defaults
+ * @param {Array<{ action, key }>} [overrides]
+ * @returns {Object<string, string>} action id -> key ('' when unbound)
+ */
+export const getHotkeyBindings = (overrides = []) => {
+  const bindings = Object.fromEntries(HOTKEY_ACTIONS.map(action => [action.id, action.defaultKey]))
+  ;(overrides || []).forEach(({ action, key }) => {
+    if (action in bindings) bindings[action] = normalizeHotkey(key)
+  })
+  return bindings
+}
+
+/**
+ * Which action a key combination runs
+ * @param {string} hotkey - From getEventHotkey
+ * @param {Object<string, string>} bindings - From getHotkeyBindings
+ * @returns {string|null} Action id
+ */
+export const findHotkeyAction = (hotkey, bindings) => {
+  if (!hotkey) return null
+  return Object.keys(bindings).find(action => bindings[action] === hotkey) || null
+}
+
+/**
+ * Check bindings before saving them
+ * @param {Object<string, string>} bindings
+ * @returns {string|null} What is wrong, or null
+ */
+export const validateHotkeyBindings = (bindings) => {
+  const seen = {}
+  for (const action of HOTKEY_ACTIONS) {
+    const key = bindings[action.id]
+    if (!key) continue
+    // Plain letters and digits are typed into the till (and by the scanner), so they need a modifier
+    if (/^[A-Z0-9]$/.test(key)) return `${key} on its own is used for typing. Add Ctrl or Alt to it for "${action.label}".`
+    if (seen[key]) return `${key} is set for both "${seen[key]}" and "${action.label}"`
+    seen[key] = action.label
+  }
+  return null
+}
+
+/**
+ * Split a "3*" quantity prefix off what was typed, e.g. "3*jameson" -> { quantity: 3, text: 'jameson' }
+ * @param {string} input
+ * @returns {{ quantity: number|null, text: string }}
+ */
+export const parseQuantityPrefix = (input) => {
+  const match = /^\s*(\d{1,3})\s*\*\s*(.*)$/.exec(String(input || ''))
+  if (!match) return { quantity: null, text: String(input || '').trim() }
+  const quantity = Number(match[1])
+  if (quantity < 1 || quantity > MAX_QUANTITY_PREFIX) return { quantity: null, text: match[2].trim() }
+  return { quantity, text: match[2].trim() }
+}
+
+/**
+ * Read a sale discount typed into the palette, e.g. "10%" or "12.5 %"
+ * @param {string} input
+ * @returns {number|null} Percentage from 0 to 100, or null if it isn't one
+ */
+export const parseDiscountInput = (input) => {
+  const match = /^\s*(\d{1,3}(?:\.\d+)?)\s*%\s*$/.exec(String(input || ''))
+  if (!match) return null
+  const rate = Number(match[1])
+  return rate <= 100 ? rate : null
+}
+
+/**
+ * A cashier's saved bindings
+ * @param {string} adminId
+ * @param {string} userId
+ * @returns {Promise<Array<{ action, key }>>}
+ */
+export const getUserHotkeys = async (adminId, userId) => {
+  const data = await readSharedData(adminId)
+  return data.settings?.hotkeys?.[userId]?.bindings || []
+}
+
+/**
+ * Save a cashier's bindings. Only keys that differ from the defaults are kept.
+ * @param {string} adminId
+ * @param {string} userId
+ * @param {Object<string, string>} bindings - action id -> key
+ * @returns {Promise<Array<{ action, key }>>} The overrides as saved
+ */
+export const saveUserHotkeys = async (adminId, userId, bindings) => {
+  const normalized = Object.fromEntries(HOTKEY_ACTIONS.map(action => [action.id, normalizeHotkey(bindings[action.id])]))
+  const problem = validateHotkeyBindings(normalized)
+  if (problem) throw new Error(problem)
+
+  const overrides = HOTKEY_ACTIONS
+    .filter(action => normalized[action.id] !== action.defaultKey)
+    .map(action => ({ action: action.id, key: normalized[action.id] }))
+
+  // The desktop file is replaced by whatever is written, so the rest of the data goes back
+  // with the settings; online, only the settings document is touched
+  const data = await readSharedData(adminId, true)
+  const hotkeys = { ...data.settings?.hotkeys, [userId]: { bindings: overrides, updatedAt: new Date().toISOString() } }
+  await writeSharedData({ ...data, settings: { ...data.settings, hotkeys } }, adminId, { writeOnlyStores: ['settings'] })
+  return overrides
+}
@@ -16,7 +16,17 @@ const DB_NAME = 'WhiskeyBalletPOS'
 // v6: Ensures adminId indexes exist (upgrade for older DBs)
 // v7: Added failedSync store for dead-letter sync queue
 // v8: Added syncQueue store (sync queue moved to IndexedDB)
-const DB_VERSION = 8;
+// v9: Added heldSales store (parked POS carts, local to each terminal)
+// v10: Added receiptCounters store (receipt number sequence per branch + terminal)
+// v11: Added fiscalQueue store (fiscal invoices waiting for the control unit)
+// v12: Added promotions store (cart promotion rules)
+// v13: Added shifts store (cashier shifts with float, pay-ins/outs and Z-report counts)
+// v14: Added tabs store (open bar tabs shared by the branch)
+// v15: Added vouchers store (gift vouchers and their remaining balances)
+// v16: Added quotes store (quotations / proforma invoices)
+// v17: Added stockTransfers store (stock moving between branches)
+// v18: Added stockMovements store (ledger of every stock quantity change)
+const DB_VERSION = 18;
 
 // Object store names
 const STORES = {
@@ -33,7 +43,17 @@ const STORES = {
   BRANCHES: 'branches',
   USERS: 'users',
   FAILED_SYNC: 'failedSync',
-  SYNC_QUEUE: 'syncQueue'
+  SYNC_QUEUE: 'syncQueue',
+  HELD_SALES: 'heldSales',
+  RECEIPT_COUNTERS: 'receiptCounters',
+  FISCAL_QUEUE: 'fiscalQueue',
+  PROMOTIONS: 'promotions',
+  SHIFTS: 'shifts',
+  TABS: 'tabs',
+  VOUCHERS: 'vouchers',
+  QUOTES: 'quotes',
+  STOCK_TRANSFERS: 'stockTransfers',
+  STOCK_MOVEMENTS: 'stockMovements'
 }
 
 /**
@@ -211,6 +231,76 @@ const initDB = () => {
           }
         }
 
+        // Held sales store (version 9+) - parked carts, never synced to Firebase
+        if (!db.objectStoreNames.contains(STORES.HELD_SALES)) {
+          const heldSalesStore = db.createObjectStore(STORES.HELD_SALES, { keyPath: 'id' });
+          heldSalesStore.createIndex('adminId', 'adminId', { unique: false });
+          heldSalesStore.createIndex('terminal', ['adminId', 'branchId', 'terminalId'], { unique: false });
+          console.log('✅ Created heldSales store');
+        }
+
+        // Receipt counters store (version 10+) - one row per receipt prefix, never synced to Firebase
+        if (!db.objectStoreNames.contains(STORES.RECEIPT_COUNTERS)) {
+          db.createObjectStore(STORES.RECEIPT_COUNTERS, { keyPath: 'key' });
+          console.log('✅ Created receiptCounters store');
+        }
+
+        // Fiscal queue store (version 11+) - submissions retried from this terminal only
+        if (!db.objectStoreNames.contains(STORES.FISCAL_QUEUE)) {
+          const fiscalQueueStore = db.createObjectStore(STORES.FISCAL_QUEUE, { keyPath: 'transactionId' });
+          fiscalQueueStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created fiscalQueue store');
+        }
+
+        // Promotions store (version 12+) - cart promotion rules, synced like other org data
+        if (!db.objectStoreNames.contains(STORES.PROMOTIONS)) {
+          const promotionsStore = db.createObjectStore(STORES.PROMOTIONS, { keyPath: ['adminId', 'id'] });
+          promotionsStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created promotions store');
+        }
+
+        // Shifts store (version 13+) - till sessions with float, pay-ins/outs and Z-report counts
+        if (!db.objectStoreNames.contains(STORES.SHIFTS)) {
+          const shiftsStore = db.createObjectStore(STORES.SHIFTS, { keyPath: ['adminId', 'id'] });
+          shiftsStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created shifts store');
+        }
+
+        // Tabs store (version 14+) - open bar tabs that collect items until settled
+        if (!db.objectStoreNames.contains(STORES.TABS)) {
+          const tabsStore = db.createObjectStore(STORES.TABS, { keyPath: ['adminId', 'id'] });
+          tabsStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created tabs store');
+        }
+
+        // Vouchers store (version 15+) - gift vouchers, redeemable at any branch
+        if (!db.objectStoreNames.contains(STORES.VOUCHERS)) {
+          const vouchersStore = db.createObjectStore(STORES.VOUCHERS, { keyPath: ['adminId', 'id'] });
+          vouchersStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created vouchers store');
+        }
+
+        // Quotes store (version 16+) - quotations until they are converted into a sale
+        if (!db.objectStoreNames.contains(STORES.QUOTES)) {
+          const quotesStore = db.createObjectStore(STORES.QUOTES, { keyPath: ['adminId', 'id'] });
+          quotesStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created quotes store');
+        }
+
+        // Stock transfers store (version 17+) - transfer documents between branches
+        if (!db.objectStoreNames.contains(STORES.STOCK_TRANSFERS)) {
+          const transfersStore = db.createObjectStore(STORES.STOCK_TRANSFERS, { keyPath: ['adminId', 'id'] });
+          transfersStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created stock transfers store');
+        }
+
+        // Stock movements store (version 18+) - append-only ledger of quantity changes
+        if (!db.objectStoreNames.contains(STORES.STOCK_MOVEMENTS)) {
+          const movementsStore = db.createObjectStore(STORES.STOCK_MOVEMENTS, { keyPath: ['adminId', 'id'] });
+          movementsStore.createIndex('adminId', 'adminId', { unique: false });
+          console.log('✅ Created stock movements store');
+        }
+
         console.log('✅ All IndexedDB stores created successfully');
       };
 
@@ -608,6 +698,13 @@ const getItem = async (storeName, adminId, id) => {
         STORES.STOCK_ADJUSTMENTS,
         STORES.CUSTOMERS,
         STORES.EXPENSES,
+        STORES.PROMOTIONS,
+        STORES.SHIFTS,
+        STORES.TABS,
+        STORES.VOUCHERS,
+        STORES.QUOTES,
+        STORES.STOCK_TRANSFERS,
+        STORES.STOCK_MOVEMENTS,
       ])
 
       if (storeName === STORES.SETTINGS) {
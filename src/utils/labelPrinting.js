@@ -0,0 +1,136 @@
+/**
+ * Shelf labels and sticker sheets
+ *
+ * Labels are laid out in millimetres for a label printer roll (one label per
+ * page) or for A4 sticker sheets, and printed from a hidden frame so the
+ * till's 80mm receipt print styles don't apply to them.
+ */
+
+import { formatKES } from './pricing'
+import { getBarcodeSVG } from './barcodes'
+
+// Sizes in mm. The A4 sheets match the common 24, 40 and 65-up sticker sheets.
+export const LABEL_LAYOUTS = [
+  { id: 'shelf', name: 'Shelf label, 60 × 40 mm roll', pageWidth: 60, pageHeight: 40, columns: 1, rows: 1, labelWidth: 60, labelHeight: 40, marginTop: 0, marginLeft: 0, gapX: 0, gapY: 0 },
+  { id: 'a4-24', name: 'A4 sheet, 24 labels (70 × 37 mm)', pageWidth: 210, pageHeight: 297, columns: 3, rows: 8, labelWidth: 70, labelHeight: 37, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 },
+  { id: 'a4-40', name: 'A4 sheet, 40 labels (52.5 × 29.7 mm)', pageWidth: 210, pageHeight: 297, columns: 4, rows: 10, labelWidth: 52.5, labelHeight: 29.7, marginTop: 0, marginLeft: 0, gapX: 0, gapY: 0 },
+  { id: 'a4-65', name: 'A4 sheet, 65 labels (38.1 × 21.2 mm)', pageWidth: 210, pageHeight: 297, columns: 5, rows: 13, labelWidth: 38.1, labelHeight: 21.2, marginTop: 10.7, marginLeft: 4.7, gapX: 2.5, gapY: 0 }
+]
+
+export const DEFAULT_LABEL_FIELDS = { name: true, price: true, barcode: true, sku: false }
+
+/**
+ * A label layout by id, falling back to the shelf label
+ * @param {string} layoutId
+ * @returns {Object}
+ */
+export const getLabelLayout = (layoutId) => LABEL_LAYOUTS.find(layout => layout.id === layoutId) || LABEL_LAYOUTS[0]
+
+/**
+ * Lay labels out on pages. Skipped positions leave the start of the first
+ * sheet blank, for sheets that are partly used already.
+ * @param {Array} products
+ * @param {Object} [options]
+ * @param {string} [options.layoutId]
+ * @param {number} [options.copies] - Labels per product
+ * @param {number} [options.skip] - Positions to leave empty on the first sheet
+ * @returns {Array<Array<Object|null>>} One array of label positions per page
+ */
+export const getLabelPages = (products = [], { layoutId, copies = 1, skip = 0 } = {}) => {
+  const layout = getLabelLayout(layoutId)
+  const perPage = layout.columns * layout.rows
+  const count = Math.max(1, Math.floor(Number(copies) || 1))
+  const blanks = layout.id === 'shelf' ? 0 : Math.min(Math.max(0, Math.floor(Number(skip) || 0)), perPage - 1)
+  const slots = [...Array(blanks).fill(null), ...products.flatMap(product => Array(count).fill(product))]
+
+  const pages = []
+  for (let i = 0; i < slots.length; i += perPage) {
+    pages.push(slots.slice(i, i + perPage))
+  }
+  return pages
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)))
+
+const renderLabel = (product, fields) => {
+  if (!product) return '<div class="label"></div>'
+  let barcode = ''
+  if (fields.barcode && product.barcode) {
+    try {
+      barcode = `<div class="barcode">${getBarcodeSVG(product.barcode)}</div>`
+    } catch {
+      // Characters a barcode can't hold: print the code as text instead
+      barcode = `<div class="code">${escapeHtml(product.barcode)}</div>`
+    }
+  }
+  return [
+    '<div class="label">',
+    fields.name ? `<div class="name">${escapeHtml(product.name)}</div>` : '',
+    fields.sku && product.sku ? `<div class="code">${escapeHtml(product.sku)}</div>` : '',
+    fields.price ? `<div class="price">${escapeHtml(formatKES(product.price ?? product.sellingPrice ?? 0))}</div>` : '',
+    barcode,
+    '</div>'
+  ].join('')
+}
+
+/**
+ * Printable HTML for a set of labels
+ * @param {Array} products
+ * @param {Object} [options] - As getLabelPages, plus fields ({ name, price, barcode, sku })
+ * @returns {string} A complete HTML document
+ */
+export const buildLabelSheetHTML = (products, { layoutId, copies = 1, skip = 0, fields = DEFAULT_LABEL_FIELDS } = {}) => {
+  const layout = getLabelLayout(layoutId)
+  const pages = getLabelPages(products, { layoutId: layout.id, copies, skip })
+  const nameSize = clamp(layout.labelHeight * 0.25, 6, 11)
+  const priceSize = layout.id === 'shelf' ? 20 : clamp(layout.labelHeight * 0.38, 8, 16)
+
+  const css = `
+    @page { size: ${layout.pageWidth}mm ${layout.pageHeight}mm; margin: 0; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+    .page {
+      width: ${layout.pageWidth}mm; height: ${layout.pageHeight}mm; overflow: hidden;
+      padding: ${layout.marginTop}mm 0 0 ${layout.marginLeft}mm;
+      display: grid; grid-template-columns: repeat(${layout.columns}, ${layout.labelWidth}mm);
+      grid-auto-rows: ${layout.labelHeight}mm; column-gap: ${layout.gapX}mm; row-gap: ${layout.gapY}mm;
+      page-break-after: always; break-after: page;
+    }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .label { overflow: hidden; padding: 1.5mm 2mm; display: flex; flex-direction: column; justify-content: space-between; text-align: center; }
+    .name { font-size: ${nameSize}pt; font-weight: bold; line-height: 1.15; max-height: 2.3em; overflow: hidden; }
+    .code { font-size: ${Math.max(5, nameSize - 2)}pt; font-family: monospace; }
+    .price { font-size: ${priceSize}pt; font-weight: bold; }
+    .barcode { flex: 1; min-height: 0; }
+    .barcode svg { width: 100%; height: 100%; }
+  `
+  const body = pages
+    .map(page => `<div class="page">${page.map(product => renderLabel(product, fields)).join('')}</div>`)
+    .join('')
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Labels</title><style>${css}</style></head><body>${body}</body></html>`
+}
+
+/**
+ * Open the print dialog for a label sheet
+ * @param {string} html - From buildLabelSheetHTML
+ */
+export const printLabelSheet = (html) => {
+  const frame = document.createElement('iframe')
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  frame.onload = () => {
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+    setTimeout(() => frame.remove(), 1000)
+  }
+  frame.srcdoc = html
+  document.body.appendChild(frame)
+}
@@ -0,0 +1,267 @@
+/**
+ * Batch/lot tracking
+ *
+ * Stock of a product is held as lots, one per delivery on a GRN, each with its
+ * own lot number, expiry date and unit cost. Lots live on the inventory item
+ * (`product.lots`, quantities in base units) and `product.quantity` stays the
+ * total, so code that only needs the stock level doesn't have to know about lots.
+ *
+ * The total wins when the two disagree. Stock that isn't in any lot (stock from
+ * before lots were kept, returns, upward counts) goes into one untracked lot,
+ * which takes the product's expiry date when it is first made; when the lots add
+ * up to more than the total (breakage, downward counts) the excess comes off the
+ * first-expiring lots.
+ *
+ * Sales pick lots first-expiry-first-out and record what they took on each
+ * line (`item.lots`), which is what the lot trace reads back. Sold-out lots are
+ * kept at zero (the most recent MAX_EMPTY_LOTS of them) so they can still be traced.
+ */
+
+import { isExpired, isExpiringSoon } from './dateHelpers'
+
+export const UNTRACKED_LOT_ID = 'untracked'
+
+export const MAX_EMPTY_LOTS = 20
+
+const totalOf = (lots) => lots.reduce((sum, lot) => sum + (Number(lot.quantity) || 0), 0)
+
+const expiryTime = (lot) => (lot.expiryDate ? new Date(lot.expiryDate).getTime() : Infinity)
+
+/**
+ * Order lots for picking: lots that can still be sold by earliest expiry (lots
+ * without one last), then expired lots, which should have been written off
+ * @param {Array} lots
+ * @returns {Array} A new array
+ */
+export const sortLotsFEFO = (lots = []) => {
+  return [...lots].sort((a, b) => {
+    const aExpired = isExpired(a.expiryDate)
+    const bExpired = isExpired(b.expiryDate)
+    if (aExpired !== bExpired) return aExpired ? 1 : -1
+    const byExpiry = expiryTime(a) - expiryTime(b)
+    if (byExpiry !== 0) return byExpiry
+    return String(a.receivedAt || '').localeCompare(String(b.receivedAt || ''))
+  })
+}
+
+/**
+ * A product's lots with stock, matched to its quantity and in picking order
+ * @param {Object} product
+ * @returns {Array<{ id, lotNumber, expiryDate, quantity, unitCost?, grnId?, grnNumber?, receivedAt? }>}
+ */
+export const getProductLots = (product) => {
+  const quantity = Math.max(0, Number(product?.quantity) || 0)
+  let lots = sortLotsFEFO((product?.lots || []).filter(lot => lot.quantity > 0))
+  let tracked = totalOf(lots)
+
+  if (tracked > quantity) {
+    let excess = tracked - quantity
+    lots = lots.map(lot => {
+      const taken = Math.min(lot.quantity, excess)
+      excess -= taken
+      return { ...lot, quantity: lot.quantity - taken }
+    }).filter(lot => lot.quantity > 0)
+    tracked = quantity
+  }
+
+  if (tracked < quantity) {
+    const untracked = lots.find(lot => lot.id === UNTRACKED_LOT_ID)
+    lots = untracked
+      ? lots.map(lot => (lot === untracked ? { ...lot, quantity: lot.quantity + quantity - tracked } : lot))
+      : sortLotsFEFO([...lots, { id: UNTRACKED_LOT_ID, lotNumber: '', expiryDate: product.expiryDate || null, quantity: quantity - tracked }])
+  }
+  return lots
+}
+
+/**
+ * Name to show for a lot, or for a lot picked on a sale line
+ * @param {Object} lot
+ * @returns {string}
+ */
+export const getLotLabel = (lot) => ((lot?.id ?? lot?.lotId) === UNTRACKED_LOT_ID ? 'Untracked stock' : lot?.lotNumber || lot?.lotId || '')
+
+// Save the lots with stock plus recent sold-out ones. expiryDate follows the first
+// lot to expire, so screens that show one date stay right.
+const withLots = (product, lots, quantity) => {
+  const live = lots.filter(lot => lot.quantity > 0)
+  const liveIds = new Set(live.map(lot => lot.id))
+  const empty = [...(product.lots || []), ...lots]
+    .filter(lot => !liveIds.has(lot.id) && lot.id !== UNTRACKED_LOT_ID)
+    .filter((lot, index, all) => all.findIndex(other => other.id === lot.id) === index)
+    .map(lot => ({ ...lot, quantity: 0 }))
+    .sort((a, b) => String(b.receivedAt || '').localeCompare(String(a.receivedAt || '')))
+    .slice(0, MAX_EMPTY_LOTS)
+  const earliest = live
+    .filter(lot => lot.expiryDate)
+    .reduce((min, lot) => (!min || expiryTime(lot) < expiryTime(min) ? lot : min), null)
+  return {
+    ...product,
+    quantity,
+    lots: [...live, ...empty],
+    expiryDate: earliest ? earliest.expiryDate : (live.length > 0 ? null : product.expiryDate ?? null)
+  }
+}
+
+/**
+ * Build a lot for stock received on a GRN
+ * @param {Object} params
+ * @param {string} [params.lotNumber] - The supplier's batch number; defaults to one from the GRN
+ * @param {string} [params.expiryDate] - YYYY-MM-DD
+ * @param {number} params.quantity - Base units
+ * @param {number} [params.unitCost] - Cost per base unit
+ * @param {Object} [params.grn] - { id, grnNumber }
+ * @param {number} [params.index] - Line on the GRN, for the default lot number
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildLot = ({ lotNumber, expiryDate, quantity, unitCost = 0, grn = null, index = 0, now = new Date() }) => {
+  if (!(quantity > 0)) throw new Error('A lot needs a quantity')
+  if (expiryDate && Number.isNaN(new Date(expiryDate).getTime())) throw new Error(`"${expiryDate}" is not a valid expiry date`)
+  return {
+    id: `LOT-${now.getTime()}-${Math.random().toString(36).substring(2, 8)}`,
+    lotNumber: (lotNumber || '').trim() || `${grn?.grnNumber || 'LOT'}-${index + 1}`,
+    expiryDate: expiryDate || null,
+    quantity,
+    unitCost: Number(unitCost) || 0,
+    grnId: grn?.id ?? null,
+    grnNumber: grn?.grnNumber || null,
+    receivedAt: now.toISOString()
+  }
+}
+
+/**
+ * Add a received lot to a product's stock
+ * @param {Object} product
+ * @param {Object} lot - From buildLot
+ * @returns {Object} The updated product
+ */
+export const receiveLot = (product, lot) => {
+  const quantity = (Number(product.quantity) || 0) + lot.quantity
+  return withLots(product, [...getProductLots(product), lot], quantity)
+}
+
+/**
+ * Take stock off a product's lots first-expiry-first-out
+ * @param {Object} product
+ * @param {number} quantity - Base units
+ * @returns {{ product: Object, picks: Array<{ lotId, lotNumber, expiryDate, quantity }> }}
+ */
+export const consumeLots = (product, quantity) => {
+  let remaining = quantity
+  const picks = []
+  const lots = getProductLots(product).map(lot => {
+    if (remaining <= 0) return lot
+    const taken = Math.min(lot.quantity, remaining)
+    remaining -= taken
+    picks.push({ lotId: lot.id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate || null, quantity: taken })
+    return { ...lot, quantity: lot.quantity - taken }
+  })
+  return { product: withLots(product, lots, (Number(product.quantity) || 0) - quantity), picks }
+}
+
+/**
+ * Put stock back into the lots it was picked from, e.g. when a sale is cancelled.
+ * Stock from lots that are no longer kept goes back as untracked.
+ * @param {Object} product
+ * @param {Array<{ lotId, quantity }>} picks
+ * @returns {Object} The updated product
+ */
+export const returnToLots = (product, picks = []) => {
+  const returned = picks.reduce((sum, pick) => sum + (Number(pick.quantity) || 0), 0)
+  const lots = (product.lots || []).map(lot => {
+    if (lot.id === UNTRACKED_LOT_ID) return lot
+    const back = picks.filter(pick => pick.lotId === lot.id).reduce((sum, pick) => sum + pick.quantity, 0)
+    return back > 0 ? { ...lot, quantity: lot.quantity + back } : lot
+  })
+  const quantity = (Number(product.quantity) || 0) + returned
+  // Any lot the restored total doesn't cover is trimmed back by getProductLots
+  return withLots(product, getProductLots({ ...product, quantity, lots }), quantity)
+}
+
+/**
+ * A product's lots for display: those with stock in picking order, then sold-out ones
+ * @param {Object} product
+ * @returns {Array}
+ */
+export const getLotHistory = (product) => {
+  const live = getProductLots(product)
+  const liveIds = new Set(live.map(lot => lot.id))
+  return [...live, ...(product?.lots || []).filter(lot => !liveIds.has(lot.id) && lot.id !== UNTRACKED_LOT_ID).map(lot => ({ ...lot, quantity: 0 }))]
+}
+
+/**
+ * Take a sale's lines off stock, picking lots for each line
+ * @param {Array} inventory
+ * @param {Array<{ id, productId?, baseQuantity: number }>} lines - Cart lines with their quantity in base units
+ * @returns {{ inventory: Array, picks: Map<string, Array> }} Updated inventory, and the lots each line took by line id
+ */
+export const pickSaleLots = (inventory, lines) => {
+  const products = new Map(inventory.map(product => [product.id, product]))
+  const picks = new Map()
+  lines.forEach(line => {
+    const productId = line.productId ?? line.id
+    const product = products.get(productId)
+    if (!product || !(line.baseQuantity > 0)) return
+    const result = consumeLots(product, line.baseQuantity)
+    products.set(productId, result.product)
+    picks.set(line.id, result.picks)
+  })
+  return { inventory: inventory.map(product => products.get(product.id)), picks }
+}
+
+// Products out of stock have no lots, so they are judged on their own expiry date
+const expiryDatesOf = (product) => {
+  const lots = getProductLots(product)
+  return lots.length > 0 ? lots.map(lot => lot.expiryDate) : [product?.expiryDate]
+}
+
+/**
+ * Whether any of a product's stock is past its expiry date
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export const hasExpiredStock = (product) => expiryDatesOf(product).some(date => isExpired(date))
+
+/**
+ * Whether any of a product's stock expires within the week
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export const hasStockExpiringSoon = (product) => expiryDatesOf(product).some(date => !isExpired(date) && isExpiringSoon(date))
+
+/**
+ * Whether none of a product's stock is expired or about to be
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export const isStockFresh = (product) => expiryDatesOf(product).every(date => !isExpired(date) && !isExpiringSoon(date))
+
+/**
+ * Sales that took stock from a lot, newest first
+ * @param {Array} transactions
+ * @param {string|number} productId
+ * @param {string} lotId
+ * @returns {Array<{ transactionId, receiptNumber, timestamp, cashier, branchId, quantity, cancelled: boolean }>}
+ */
+export const getLotTrace = (transactions = [], productId, lotId) => {
+  const rows = []
+  transactions.forEach(transaction => {
+    if (transaction.type && transaction.type !== 'sale') return
+    const quantity = (transaction.items || [])
+      .filter(item => String(item.productId ?? item.id) === String(productId))
+      .flatMap(item => item.lots || [])
+      .filter(pick => pick.lotId === lotId)
+      .reduce((sum, pick) => sum + pick.quantity, 0)
+    if (quantity === 0) return
+    rows.push({
+      transactionId: transaction.id,
+      receiptNumber: transaction.receiptNumber || transaction.id,
+      timestamp: transaction.timestamp,
+      cashier: transaction.cashier || '',
+      branchId: transaction.branchId || null,
+      quantity,
+      cancelled: transaction.paymentStatus === 'cancelled'
+    })
+  })
+  return rows.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+}
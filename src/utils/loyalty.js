@@ -0,0 +1,323 @@
+/**
+ * Customer loyalty programme
+ *
+ * Customers earn points on what they spend (a rate per KES 100, optionally
+ * different per category) and can spend them at the till as a 'loyalty_points'
+ * tender line. `customer.loyaltyPoints` is the balance and
+ * `customer.loyaltyLedger` every movement behind it, the same way store credit
+ * is kept.
+ *
+ * Tiers (e.g. Silver, Gold) are not stored on the customer: they are worked
+ * out from what the customer spent over the last `windowDays`, so a tier is
+ * kept by continuing to buy and lapses when they stop. A tier carries a
+ * discount that is applied at the till like a customer's special pricing.
+ *
+ * The programme itself lives in the shared settings (`settings.loyalty`) so
+ * every till and branch works to the same rates.
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+
+export const LOYALTY_ENTRY_TYPES = {
+  EARNED: 'earned',
+  REDEEMED: 'redeemed',
+  REVERSAL: 'reversal',
+  RETURN: 'return'
+}
+
+const ENTRY_LABELS = {
+  earned: 'Earned on sale',
+  redeemed: 'Spent on sale',
+  reversal: 'Sale cancelled',
+  return: 'Items returned'
+}
+
+export const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: false,
+  // Points earned for every KES 100 spent
+  pointsPerHundred: 1,
+  // Categories that earn at their own rate: [{ category: 'Whisky', pointsPerHundred: 2 }]
+  categoryRates: [],
+  // KES a point is worth when spent at the till
+  pointValue: 1,
+  // Balance a customer needs before points can be spent
+  minRedeemPoints: 100,
+  // Spend that counts towards a tier is taken over this many days
+  windowDays: 365,
+  tiers: [
+    { id: 'silver', name: 'Silver', minSpend: 50000, discountRate: 5 },
+    { id: 'gold', name: 'Gold', minSpend: 150000, discountRate: 10 }
+  ]
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const toNonNegative = (value, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : fallback
+}
+
+/**
+ * Loyalty settings with defaults filled in and tiers ordered from lowest to highest
+ * @param {Object} [settings] - settings.loyalty as saved
+ * @returns {Object}
+ */
+export const normalizeLoyaltySettings = (settings = {}) => {
+  const merged = { ...DEFAULT_LOYALTY_SETTINGS, ...(settings || {}) }
+  return {
+    ...merged,
+    enabled: !!merged.enabled,
+    pointsPerHundred: toNonNegative(merged.pointsPerHundred, DEFAULT_LOYALTY_SETTINGS.pointsPerHundred),
+    pointValue: toNonNegative(merged.pointValue, DEFAULT_LOYALTY_SETTINGS.pointValue),
+    minRedeemPoints: toNonNegative(merged.minRedeemPoints, 0),
+    windowDays: Math.max(1, Math.round(toNonNegative(merged.windowDays, DEFAULT_LOYALTY_SETTINGS.windowDays))),
+    categoryRates: (merged.categoryRates || [])
+      .filter(rate => rate?.category)
+      .map(rate => ({ category: rate.category, pointsPerHundred: toNonNegative(rate.pointsPerHundred, 0) })),
+    tiers: (merged.tiers || [])
+      .filter(tier => tier?.name)
+      .map(tier => ({
+        ...tier,
+        minSpend: toNonNegative(tier.minSpend, 0),
+        discountRate: Math.min(100, toNonNegative(tier.discountRate, 0))
+      }))
+      .sort((a, b) => a.minSpend - b.minSpend)
+  }
+}
+
+/**
+ * Points earned per KES 100 on a product of the given category
+ * @param {Object} settings - Normalized loyalty settings
+ * @param {string} [category]
+ * @returns {number}
+ */
+export const getEarnRate = (settings, category) => {
+  const categoryRate = settings.categoryRates.find(rate => rate.category === category)
+  return categoryRate ? categoryRate.pointsPerHundred : settings.pointsPerHundred
+}
+
+/**
+ * Points a sale earns. Lines are counted at what was actually charged (after
+ * promotions and the sale discount); the part of the sale paid with points
+ * earns nothing.
+ * @param {Array} items - Sold lines with price, quantity, category and promotionDiscount
+ * @param {Object} settings - Normalized loyalty settings
+ * @param {Object} [options]
+ * @param {number} [options.discount] - Sale discount (0-100)
+ * @param {number} [options.pointsTender] - KES of the sale paid with points
+ * @returns {number} Whole points
+ */
+export const calculatePointsEarned = (items = [], settings, { discount = 0, pointsTender = 0 } = {}) => {
+  if (!settings?.enabled) return 0
+  const lines = items.map(item => {
+    const lineTotal = (Number(item.price) || 0) * (Number(item.quantity) || 0) - (item.promotionDiscount || 0)
+    return { net: Math.max(0, lineTotal * (1 - (discount || 0) / 100)), rate: getEarnRate(settings, item.category) }
+  })
+  const netTotal = lines.reduce((sum, line) => sum + line.net, 0)
+  if (netTotal <= 0) return 0
+
+  const earningShare = Math.max(0, netTotal - (Number(pointsTender) || 0)) / netTotal
+  const points = lines.reduce((sum, line) => sum + (line.net / 100) * line.rate, 0) * earningShare
+  return Math.floor(points + 1e-9)
+}
+
+/**
+ * Points a customer has to spend
+ * @param {Object} customer
+ * @returns {number}
+ */
+export const getLoyaltyPoints = (customer) => Math.max(0, Math.floor(Number(customer?.loyaltyPoints) || 0))
+
+/**
+ * KES the given points are worth at the till
+ * @param {number} points
+ * @param {Object} settings - Normalized loyalty settings
+ * @returns {number}
+ */
+export const getPointsValue = (points, settings) => roundMoney(points * settings.pointValue)
+
+/**
+ * Points needed to pay the given amount
+ * @param {number} amount - KES
+ * @param {Object} settings - Normalized loyalty settings
+ * @returns {number}
+ */
+export const getPointsForAmount = (amount, settings) => {
+  if (!(settings.pointValue > 0)) return 0
+  return Math.ceil(roundMoney(amount) / settings.pointValue - 1e-9)
+}
+
+/**
+ * Why a customer can't pay the given amount with points
+ * @param {Object|null} customer
+ * @param {number} amount - KES
+ * @param {Object} settings - Normalized loyalty settings
+ * @returns {string|null} Error message, or null when they can
+ */
+export const validatePointsRedemption = (customer, amount, settings) => {
+  if (!settings.enabled || !(settings.pointValue > 0)) return 'The loyalty programme is switched off'
+  if (!customer) return 'Select the customer whose points are being used'
+  if (!(Number(amount) > 0)) return 'Enter an amount greater than zero'
+  const balance = getLoyaltyPoints(customer)
+  if (balance < settings.minRedeemPoints) {
+    return `${customer.name || 'The customer'} needs ${settings.minRedeemPoints.toLocaleString()} points before they can spend them`
+  }
+  if (getPointsForAmount(amount, settings) > balance) {
+    return `${customer.name || 'The customer'} has ${balance.toLocaleString()} points (KES ${getPointsValue(balance, settings).toLocaleString()})`
+  }
+  return null
+}
+
+/**
+ * Human readable label for a ledger entry type
+ * @param {string} type
+ * @returns {string}
+ */
+export const getLoyaltyEntryLabel = (type) => ENTRY_LABELS[type] || type
+
+/**
+ * Add or take points, appending the movement to the customer's ledger
+ * @param {Object} customer
+ * @param {Object} entry
+ * @param {string} entry.type - LOYALTY_ENTRY_TYPES
+ * @param {number} entry.points - Positive earns, negative spends
+ * @param {string} [entry.reference] - Receipt or credit note number
+ * @param {string} [entry.transactionId]
+ * @param {Object} [entry.user]
+ * @returns {Object} The updated customer
+ */
+export const postLoyaltyPoints = (customer, { type, points, reference = null, transactionId = null, user = null }) => {
+  const change = Math.round(Number(points) || 0)
+  const current = getLoyaltyPoints(customer)
+  const balance = current + change
+  if (balance < 0) {
+    throw new Error(`${customer.name || 'The customer'} only has ${current.toLocaleString()} points`)
+  }
+
+  return {
+    ...customer,
+    loyaltyPoints: balance,
+    loyaltyLedger: [
+      ...(customer.loyaltyLedger || []),
+      {
+        id: `LP-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+        type,
+        points: change,
+        balanceAfter: balance,
+        reference,
+        transactionId,
+        at: new Date().toISOString(),
+        by: user?.name || 'Unknown'
+      }
+    ]
+  }
+}
+
+/**
+ * Undo the points side of a sale. A cancelled sale gives back the points spent
+ * on it and takes back what it earned; a return takes back the returned share of
+ * what was earned. Points already spent elsewhere can't be taken back, so the
+ * balance stops at zero.
+ * @param {Object} customer
+ * @param {Object} sale - Transaction with loyaltyPointsEarned / loyaltyPointsRedeemed
+ * @param {Object} entry
+ * @param {string} entry.type - LOYALTY_ENTRY_TYPES.REVERSAL or LOYALTY_ENTRY_TYPES.RETURN
+ * @param {number} [entry.share] - Part of the sale returned (0-1)
+ * @param {string} [entry.reference]
+ * @param {string} [entry.transactionId]
+ * @param {Object} [entry.user]
+ * @returns {Object} The updated customer (unchanged when there is nothing to undo)
+ */
+export const reverseSalePoints = (customer, sale, { type, share = 1, reference = null, transactionId = null, user = null }) => {
+  const restored = type === LOYALTY_ENTRY_TYPES.REVERSAL ? Math.round(Number(sale?.loyaltyPointsRedeemed) || 0) : 0
+  const earned = Math.round((Number(sale?.loyaltyPointsEarned) || 0) * Math.min(1, Math.max(0, share)))
+  const change = restored - Math.min(earned, getLoyaltyPoints(customer) + restored)
+  if (change === 0) return customer
+  return postLoyaltyPoints(customer, { type, points: change, reference, transactionId, user })
+}
+
+/**
+ * What a customer spent on goods over the tier window. Credit notes against
+ * their sales count against it; cancelled sales and deposits don't count.
+ * @param {Array} transactions
+ * @param {string|number} customerId
+ * @param {Object} settings - Normalized loyalty settings
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getRollingSpend = (transactions = [], customerId, settings, now = new Date()) => {
+  if (customerId == null) return 0
+  const since = now.getTime() - settings.windowDays * 24 * 60 * 60 * 1000
+  const spend = transactions
+    .filter(t =>
+      t.customerId === customerId &&
+      (!t.type || t.type === 'credit_note') &&
+      t.paymentStatus !== 'cancelled' &&
+      new Date(t.timestamp).getTime() >= since
+    )
+    .reduce((sum, t) => sum + (Number(t.total) || 0) - (Number(t.depositTotal) || 0), 0)
+  return Math.max(0, roundMoney(spend))
+}
+
+/**
+ * Highest tier the spend reaches
+ * @param {number} spend
+ * @param {Object} settings - Normalized loyalty settings
+ * @returns {Object|null}
+ */
+export const getLoyaltyTier = (spend, settings) => {
+  if (!settings.enabled) return null
+  return [...settings.tiers].reverse().find(tier => spend >= tier.minSpend) || null
+}
+
+/**
+ * The next tier up and how much more spend it takes
+ * @param {number} spend
+ * @param {Object} settings - Normalized loyalty settings
+ * @returns {{ tier: Object, remaining: number }|null}
+ */
+export const getNextLoyaltyTier = (spend, settings) => {
+  if (!settings.enabled) return null
+  const tier = settings.tiers.find(t => t.minSpend > spend)
+  return tier ? { tier, remaining: roundMoney(tier.minSpend - spend) } : null
+}
+
+/**
+ * Discount (0-100) a customer gets at the till: the better of their own
+ * special pricing and their tier's discount
+ * @param {Object|null} customer
+ * @param {Object|null} tier
+ * @returns {number}
+ */
+export const getCustomerDiscountRate = (customer, tier = null) => {
+  if (!customer) return 0
+  const special = customer.specialPricing ? Number(customer.discountRate) || 0 : 0
+  return Math.max(special, Number(tier?.discountRate) || 0)
+}
+
+/**
+ * The loyalty programme as configured for this business
+ * @param {string} adminId
+ * @returns {Promise<Object>} Normalized loyalty settings
+ */
+export const getLoyaltySettings = async (adminId) => {
+  const data = await readSharedData(adminId)
+  return normalizeLoyaltySettings(data.settings?.loyalty)
+}
+
+/**
+ * Save the loyalty programme for every till
+ * @param {string} adminId
+ * @param {Object} settings
+ * @returns {Promise<Object>} The settings as saved
+ */
+export const saveLoyaltySettings = async (adminId, settings) => {
+  const loyalty = normalizeLoyaltySettings(settings)
+  const names = loyalty.tiers.map(tier => tier.name.trim().toLowerCase())
+  if (new Set(names).size !== names.length) throw new Error('Two tiers have the same name')
+
+  // Everything read goes back with the programme; the desktop file keeps only what it is given
+  const data = await readSharedData(adminId, true)
+  await writeSharedData({ ...data, settings: { ...data.settings, loyalty } }, adminId)
+  return loyalty
+}
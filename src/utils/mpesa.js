@@ -0,0 +1,208 @@
+/**
+ * M-Pesa STK Push (Lipa na M-Pesa Online)
+ *
+ * The till sends a payment request to the customer's phone and waits for the
+ * result; a sale paid by M-Pesa is only completed once Safaricom reports success.
+ *
+ * Daraja credentials never reach the browser. The `daraja` adapter talks to a
+ * small proxy (functions/mpesa.js) that holds the consumer key/secret and
+ * passkey, receives Safaricom's callback and answers status queries. The `mock`
+ * adapter simulates the customer's phone for development and testing.
+ */
+
+import { auth } from '../config/firebase'
+import { getTerminalSettings } from './terminal'
+
+export const MPESA_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout'
+}
+
+/** Adapters a terminal can be configured with */
+export const MPESA_ADAPTERS = {
+  MOCK: 'mock',
+  DARAJA: 'daraja'
+}
+
+const POLL_INTERVAL_MS = 3000
+const POLL_TIMEOUT_MS = 90000
+
+/**
+ * Normalise a Kenyan mobile number to the 2547XXXXXXXX / 2541XXXXXXXX form Daraja expects
+ * @param {string} phone - e.g. "0712 345 678", "+254712345678", "712345678"
+ * @returns {string|null} Normalised number, or null if it isn't a valid Safaricom-style mobile number
+ */
+export const normalizeMpesaPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '')
+  let local = null
+  if (/^254[17]\d{8}$/.test(digits)) local = digits.slice(3)
+  else if (/^0[17]\d{8}$/.test(digits)) local = digits.slice(1)
+  else if (/^[17]\d{8}$/.test(digits)) local = digits
+  return local ? `254${local}` : null
+}
+
+/**
+ * Display form of a normalised phone, e.g. "254712345678" -> "0712 345 678"
+ * @param {string} phone
+ * @returns {string}
+ */
+export const formatMpesaPhone = (phone) => {
+  const normalized = normalizeMpesaPhone(phone)
+  if (!normalized) return phone || ''
+  const local = `0${normalized.slice(3)}`
+  return `${local.slice(0, 4)} ${local.slice(4, 7)} ${local.slice(7)}`
+}
+
+/**
+ * STK Push only accepts whole shillings, so part-shilling totals are rounded up
+ * @param {number} total
+ * @returns {number}
+ */
+export const getStkAmount = (total) => Math.max(1, Math.ceil(Number(total) || 0))
+
+/**
+ * Map a Daraja ResultCode to our status
+ * 0 success, 1032 cancelled by user, 1037 phone unreachable / no response, anything else failed
+ * @param {number|string} resultCode
+ * @returns {string}
+ */
+export const getStatusForResultCode = (resultCode) => {
+  const code = Number(resultCode)
+  if (code === 0) return MPESA_STATUS.SUCCESS
+  if (code === 1032) return MPESA_STATUS.CANCELLED
+  if (code === 1037) return MPESA_STATUS.TIMEOUT
+  return MPESA_STATUS.FAILED
+}
+
+/**
+ * Mock STK Push. Simulates the customer's handset:
+ * numbers ending 000 have insufficient funds, 111 cancel, 222 never respond;
+ * anything else pays after a few seconds.
+ * @param {Object} [options]
+ * @param {number} [options.approveAfterMs] - How long the "customer" takes to enter their PIN
+ */
+export const createMockMpesaAdapter = ({ approveAfterMs = 4000 } = {}) => {
+  const requests = new Map()
+
+  return {
+    id: MPESA_ADAPTERS.MOCK,
+    name: 'Mock M-Pesa',
+
+    async requestPayment({ phone, amount }) {
+      const checkoutRequestId = `ws_CO_MOCK_${Date.now()}${Math.random().toString(36).substring(2, 6)}`
+      requests.set(checkoutRequestId, { phone, amount, requestedAt: Date.now() })
+      return { checkoutRequestId, customerMessage: 'Success. Request accepted for processing' }
+    },
+
+    async getPaymentStatus(checkoutRequestId) {
+      const request = requests.get(checkoutRequestId)
+      if (!request) throw new Error('Unknown payment request')
+      if (Date.now() - request.requestedAt < approveAfterMs) {
+        return { status: MPESA_STATUS.PENDING }
+      }
+
+      if (request.phone.endsWith('000')) {
+        return { status: MPESA_STATUS.FAILED, resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' }
+      }
+      if (request.phone.endsWith('111')) {
+        return { status: MPESA_STATUS.CANCELLED, resultCode: 1032, resultDesc: 'Request cancelled by user' }
+      }
+      if (request.phone.endsWith('222')) {
+        return { status: MPESA_STATUS.PENDING }
+      }
+
+      return {
+        status: MPESA_STATUS.SUCCESS,
+        resultCode: 0,
+        resultDesc: 'The service request is processed successfully.',
+        mpesaReceiptNumber: `MCK${checkoutRequestId.slice(-7).toUpperCase()}`,
+        phone: request.phone,
+        amount: request.amount
+      }
+    }
+  }
+}
+
+/**
+ * Daraja adapter. Calls the M-Pesa proxy with the signed-in user's ID token.
+ * @param {Object} config
+ * @param {string} config.proxyUrl - Base URL of the deployed proxy functions
+ */
+export const createDarajaAdapter = ({ proxyUrl }) => {
+  const post = async (path, body) => {
+    if (!proxyUrl) {
+      throw new Error('M-Pesa is not configured on this terminal (proxy URL missing)')
+    }
+    const idToken = await auth?.currentUser?.getIdToken()
+    const response = await fetch(`${proxyUrl.replace(/\/$/, '')}/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(idToken ? { Authorization: `Bearer ${idToken}` } : {})
+      },
+      body: JSON.stringify(body)
+    })
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(result.error || `M-Pesa request failed (HTTP ${response.status})`)
+    }
+    return result
+  }
+
+  return {
+    id: MPESA_ADAPTERS.DARAJA,
+    name: 'M-Pesa (Daraja)',
+
+    requestPayment: ({ phone, amount, accountReference, description }) =>
+      post('mpesaStkPush', { phone, amount, accountReference, description }),
+
+    getPaymentStatus: (checkoutRequestId) =>
+      post('mpesaStkQuery', { checkoutRequestId })
+  }
+}
+
+/**
+ * Build the adapter configured for this terminal
+ * @param {Object} [mpesaSettings] - Defaults to the terminal's saved settings
+ * @returns {Object}
+ */
+export const getMpesaAdapter = (mpesaSettings = getTerminalSettings().mpesa) => {
+  if (mpesaSettings?.adapter === MPESA_ADAPTERS.MOCK) return createMockMpesaAdapter()
+  return createDarajaAdapter(mpesaSettings || {})
+}
+
+/**
+ * Poll a payment request until it leaves the pending state
+ * @param {Object} adapter
+ * @param {string} checkoutRequestId
+ * @param {Object} [options]
+ * @param {() => boolean} [options.isCancelled] - Stop polling when this returns true
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<Object>} Final status ({ status: 'timeout' } if the customer never responded)
+ */
+export const waitForPayment = async (adapter, checkoutRequestId, {
+  isCancelled = () => false,
+  intervalMs = POLL_INTERVAL_MS,
+  timeoutMs = POLL_TIMEOUT_MS
+} = {}) => {
+  const startedAt = Date.now()
+
+  while (Date.now() - startedAt < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+    if (isCancelled()) return { status: MPESA_STATUS.CANCELLED, resultDesc: 'Stopped waiting at the till' }
+
+    try {
+      const result = await adapter.getPaymentStatus(checkoutRequestId)
+      if (result.status !== MPESA_STATUS.PENDING) return result
+    } catch (error) {
+      // A dropped status check shouldn't abandon a payment the customer may already have made
+      console.warn('M-Pesa status check failed, retrying:', error)
+    }
+  }
+
+  return { status: MPESA_STATUS.TIMEOUT, resultDesc: 'No response from the customer\'s phone' }
+}
@@ -0,0 +1,438 @@
+/**
+ * M-Pesa statement import and reconciliation
+ *
+ * Reads the till/paybill statement exported from the M-Pesa org portal (CSV or
+ * XLSX) and matches each money-in line against the M-Pesa part of our sales:
+ *   1. by M-Pesa code: the receipt number captured at the till (STK Push or typed)
+ *   2. otherwise by amount within a time window, nearest first
+ * Sales left over were never paid into the till; statement lines left over
+ * ("orphans") are money we received without a recorded sale.
+ */
+
+import { unzipSync, strFromU8 } from 'fflate'
+import { TENDER_TYPES, getTransactionPayments } from './tenders'
+import { isSaleTransaction } from './returns'
+
+export const RECONCILIATION_STATUS = {
+  MATCHED: 'matched',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  UNMATCHED: 'unmatched'
+}
+
+export const MATCH_TYPES = {
+  CODE: 'code',
+  AMOUNT_TIME: 'amount_time'
+}
+
+/** How far apart a sale and a statement line may be when matching without a code */
+export const DEFAULT_MATCH_WINDOW_MINUTES = 15
+
+// STK Push rounds up to whole shillings, so anything under a shilling is not a mismatch
+const AMOUNT_TOLERANCE = 1
+
+// Header names used by the different portal exports, lower-cased
+const COLUMN_ALIASES = {
+  receiptNumber: ['receipt no.', 'receipt no', 'receipt', 'transaction id', 'trans id', 'mpesa receipt'],
+  completedAt: ['completion time', 'transaction time', 'trans time', 'date', 'initiation time'],
+  paidIn: ['paid in', 'amount', 'credit'],
+  status: ['transaction status', 'status'],
+  details: ['details', 'description'],
+  otherParty: ['other party info', 'other party', 'customer', 'msisdn']
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Local calendar day of a date, e.g. "2026-03-01"
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const getDayKey = (date) => {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^﻿/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(cell => String(cell).trim() !== ''))
+}
+
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+/g, '')
+  let index = 0
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64)
+  }
+  return index - 1
+}
+
+/**
+ * Read the first worksheet of an XLSX file into rows.
+ * Only what statement exports use: shared/inline strings and plain numbers.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<Array<string|number>>}
+ */
+export const parseXlsxRows = (buffer) => {
+  const files = unzipSync(new Uint8Array(buffer))
+  const parser = new DOMParser()
+  const readXml = (path) => files[path] ? parser.parseFromString(strFromU8(files[path]), 'application/xml') : null
+
+  const sharedStrings = []
+  const stringsDoc = readXml('xl/sharedStrings.xml')
+  if (stringsDoc) {
+    Array.from(stringsDoc.getElementsByTagName('si')).forEach(si => {
+      sharedStrings.push(Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+    })
+  }
+
+  const sheetPath = Object.keys(files)
+    .filter(path => /^xl\/worksheets\/sheet\d+\.xml$/.test(path))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10))[0]
+  if (!sheetPath) throw new Error('No worksheet found in the file')
+
+  return Array.from(readXml(sheetPath).getElementsByTagName('row')).map(rowEl => {
+    const row = []
+    Array.from(rowEl.getElementsByTagName('c')).forEach(cell => {
+      const type = cell.getAttribute('t')
+      const valueEl = cell.getElementsByTagName('v')[0]
+      let value = valueEl ? valueEl.textContent : ''
+      if (type === 's') value = sharedStrings[Number(value)] ?? ''
+      else if (type === 'inlineStr') value = Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('')
+      else if (type !== 'str' && type !== 'b' && value !== '') value = Number(value)
+      row[columnIndex(cell.getAttribute('r') || 'A')] = value
+    })
+    return Array.from(row, cell => cell ?? '')
+  }).filter(r => r.some(cell => String(cell).trim() !== ''))
+}
+
+/**
+ * Parse a statement date. Accepts ISO-style "2026-03-01 10:15:32", day-first
+ * "01-03-2026 10:15" / "01/03/2026 10:15" and Excel serial numbers. Times are
+ * read as local (till) time.
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // Excel serial date: days since 1899-12-30, wall-clock time
+    const utc = new Date(Math.round((value - 25569) * 86400000))
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds())
+  }
+
+  const text = String(value || '').trim()
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/)
+  if (match) {
+    const [, y, m, d, h = 0, mi = 0, s = 0] = match
+    return new Date(Number(y), Number(m) - 1, Number(d), Number(h), Number(mi), Number(s))
+  }
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/)
+  if (match) {
+    const [, d, m, y, h = 0, mi = 0, s = 0] = match
+    return new Date(Number(y), Number(m) - 1, Number(d), Number(h), Number(mi), Number(s))
+  }
+  return null
+}
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value
+  const cleaned = String(value || '').replace(/[^0-9.-]/g, '')
+  return cleaned ? Number(cleaned) || 0 : 0
+}
+
+/**
+ * Turn raw statement rows into money-in lines.
+ * The header row is found by name, so the account summary the portal puts above it is skipped.
+ * @param {Array<Array<string|number>>} rows
+ * @returns {Array<{receiptNumber: string, completedAt: string, amount: number, details: string, otherParty: string}>}
+ */
+export const parseStatementRows = (rows) => {
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => COLUMN_ALIASES.receiptNumber.includes(String(cell).trim().toLowerCase()))
+  )
+  if (headerIndex === -1) {
+    throw new Error('Could not find the "Receipt No." column. Is this an M-Pesa statement export?')
+  }
+
+  const headers = rows[headerIndex].map(cell => String(cell).trim().toLowerCase())
+  const columns = {}
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const alias = aliases.find(a => headers.includes(a))
+    columns[key] = alias ? headers.indexOf(alias) : -1
+  })
+  if (columns.completedAt === -1 || columns.paidIn === -1) {
+    throw new Error('The statement needs "Completion Time" and "Paid In" columns')
+  }
+
+  const cell = (row, key) => (columns[key] === -1 ? '' : row[columns[key]] ?? '')
+
+  return rows.slice(headerIndex + 1).reduce((lines, row) => {
+    const receiptNumber = String(cell(row, 'receiptNumber')).trim().toUpperCase()
+    const amount = roundMoney(parseAmount(cell(row, 'paidIn')))
+    const status = String(cell(row, 'status')).trim().toLowerCase()
+    const completedAt = parseStatementDate(cell(row, 'completedAt'))
+
+    // Only completed money-in lines can settle a sale
+    if (!receiptNumber || amount <= 0 || !completedAt) return lines
+    if (status && status !== 'completed') return lines
+
+    lines.push({
+      receiptNumber,
+      completedAt: completedAt.toISOString(),
+      amount,
+      details: String(cell(row, 'details')).trim(),
+      otherParty: String(cell(row, 'otherParty')).trim()
+    })
+    return lines
+  }, [])
+}
+
+/**
+ * Read an uploaded statement file (.csv or .xlsx)
+ * @param {File} file
+ * @returns {Promise<Array>} Statement lines, see parseStatementRows
+ */
+export const readStatementFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    return parseStatementRows(parseXlsxRows(await file.arrayBuffer()))
+  }
+  if (/\.xls$/i.test(file.name)) {
+    throw new Error('Old .xls files are not supported. Export the statement as CSV or XLSX.')
+  }
+  return parseStatementRows(parseCsvRows(await file.text()))
+}
+
+/**
+ * M-Pesa payment lines we expect to find on the statement
+ * @param {Array} transactions
+ * @returns {Array<{transaction: Object, payment: Object, amount: number, codes: Array<string>, time: number}>}
+ */
+export const getExpectedMpesaPayments = (transactions = []) => {
+  const expected = []
+  transactions
+    .filter(t => isSaleTransaction(t) && t.paymentStatus !== 'cancelled')
+    .forEach(transaction => {
+      getTransactionPayments(transaction)
+        .filter(p => p.method === TENDER_TYPES.MPESA)
+        .forEach(payment => {
+          expected.push({
+            transaction,
+            payment,
+            amount: roundMoney(payment.amountCharged || payment.amount),
+            // Merged split lines hold several codes as "A, B"
+            codes: String(payment.reference || '').split(',').map(c => c.trim().toUpperCase()).filter(Boolean),
+            time: new Date(transaction.timestamp).getTime()
+          })
+        })
+    })
+  return expected.sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Match statement lines to M-Pesa sales
+ * @param {Object} params
+ * @param {Array} params.transactions - Sales for the till's branch
+ * @param {Array} params.statementLines - From parseStatementRows
+ * @param {number} [params.windowMinutes] - Allowed time gap for matches without a code
+ * @returns {{matched: Array, unmatchedSales: Array, orphanReceipts: Array, period: {from: string, to: string}|null}}
+ */
+export const reconcileMpesaStatement = ({ transactions = [], statementLines = [], windowMinutes = DEFAULT_MATCH_WINDOW_MINUTES }) => {
+  const windowMs = windowMinutes * 60 * 1000
+  if (statementLines.length === 0) {
+    return { matched: [], unmatchedSales: [], orphanReceipts: [], period: null }
+  }
+
+  const times = statementLines.map(line => new Date(line.completedAt).getTime())
+  const from = Math.min(...times)
+  const to = Math.max(...times)
+
+  // Sales outside the statement period can't be judged against it
+  const expected = getExpectedMpesaPayments(transactions)
+    .filter(e => e.time >= from - windowMs && e.time <= to + windowMs)
+
+  const used = new Set()
+  const byCode = new Map(statementLines.map(line => [line.receiptNumber, line]))
+  const matched = []
+  const pending = []
+
+  const recordMatch = (entry, lines, matchType) => {
+    lines.forEach(line => used.add(line.receiptNumber))
+    const received = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+    const difference = roundMoney(received - entry.amount)
+    matched.push({
+      ...entry,
+      statementLines: lines,
+      matchType,
+      difference,
+      status: Math.abs(difference) < AMOUNT_TOLERANCE ? RECONCILIATION_STATUS.MATCHED : RECONCILIATION_STATUS.AMOUNT_MISMATCH
+    })
+  }
+
+  // Pass 1: M-Pesa code
+  expected.forEach(entry => {
+    const lines = entry.codes.map(code => byCode.get(code)).filter(line => line && !used.has(line.receiptNumber))
+    if (lines.length > 0) recordMatch(entry, lines, MATCH_TYPES.CODE)
+    else pending.push(entry)
+  })
+
+  // Pass 2: same amount, closest in time
+  const unmatchedSales = []
+  pending.forEach(entry => {
+    let best = null
+    statementLines.forEach(line => {
+      if (used.has(line.receiptNumber)) return
+      if (Math.abs(line.amount - entry.amount) >= AMOUNT_TOLERANCE) return
+      const gap = Math.abs(new Date(line.completedAt).getTime() - entry.time)
+      if (gap <= windowMs && (!best || gap < best.gap)) best = { line, gap }
+    })
+    if (best) recordMatch(entry, [best.line], MATCH_TYPES.AMOUNT_TIME)
+    else unmatchedSales.push({ ...entry, status: RECONCILIATION_STATUS.UNMATCHED })
+  })
+
+  return {
+    matched,
+    unmatchedSales,
+    orphanReceipts: statementLines.filter(line => !used.has(line.receiptNumber)),
+    period: { from: new Date(from).toISOString(), to: new Date(to).toISOString() }
+  }
+}
+
+/**
+ * Summarise a reconciliation per branch and day
+ * @param {Object} result - From reconcileMpesaStatement
+ * @param {string} branchId - Branch whose till the statement belongs to (orphan receipts are booked here)
+ * @returns {Array<Object>} Rows sorted by day, then branch
+ */
+export const buildReconciliationReport = (result, branchId = '') => {
+  const rows = new Map()
+  const rowFor = (branch, day) => {
+    const key = `${branch}|${day}`
+    if (!rows.has(key)) {
+      rows.set(key, {
+        branchId: branch,
+        date: day,
+        expectedCount: 0,
+        expectedAmount: 0,
+        receivedAmount: 0,
+        matchedCount: 0,
+        mismatchCount: 0,
+        unmatchedCount: 0,
+        unmatchedAmount: 0,
+        orphanCount: 0,
+        orphanAmount: 0
+      })
+    }
+    return rows.get(key)
+  }
+
+  result.matched.forEach(m => {
+    const row = rowFor(m.transaction.branchId || branchId, getDayKey(m.time))
+    row.expectedCount++
+    row.expectedAmount += m.amount
+    row.receivedAmount += m.statementLines.reduce((sum, line) => sum + line.amount, 0)
+    if (m.status === RECONCILIATION_STATUS.MATCHED) row.matchedCount++
+    else row.mismatchCount++
+  })
+
+  result.unmatchedSales.forEach(u => {
+    const row = rowFor(u.transaction.branchId || branchId, getDayKey(u.time))
+    row.expectedCount++
+    row.expectedAmount += u.amount
+    row.unmatchedCount++
+    row.unmatchedAmount += u.amount
+  })
+
+  result.orphanReceipts.forEach(line => {
+    const row = rowFor(branchId, getDayKey(line.completedAt))
+    row.receivedAmount += line.amount
+    row.orphanCount++
+    row.orphanAmount += line.amount
+  })
+
+  return Array.from(rows.values())
+    .map(row => ({
+      ...row,
+      expectedAmount: roundMoney(row.expectedAmount),
+      receivedAmount: roundMoney(row.receivedAmount),
+      unmatchedAmount: roundMoney(row.unmatchedAmount),
+      orphanAmount: roundMoney(row.orphanAmount),
+      variance: roundMoney(row.receivedAmount - row.expectedAmount)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.branchId.localeCompare(b.branchId))
+}
+
+/**
+ * Reconciliation flag stored on each sale, keyed by transaction id
+ * @param {Object} result - From reconcileMpesaStatement
+ * @param {Object} reconciledBy - User snapshot of who ran the import
+ * @returns {Map<string, Object>}
+ */
+export const getReconciliationFlags = (result, reconciledBy = null) => {
+  const reconciledAt = new Date().toISOString()
+  const flags = new Map()
+  // A split sale can have its M-Pesa lines land in different buckets; the worst one wins
+  const rank = { [RECONCILIATION_STATUS.MATCHED]: 0, [RECONCILIATION_STATUS.AMOUNT_MISMATCH]: 1, [RECONCILIATION_STATUS.UNMATCHED]: 2 }
+
+  const add = (entry, status, extra = {}) => {
+    const existing = flags.get(entry.transaction.id)
+    const statementReceipts = [...(existing?.statementReceipts || []), ...(extra.statementReceipts || [])]
+    const worst = existing && rank[existing.status] > rank[status] ? existing.status : status
+    flags.set(entry.transaction.id, {
+      status: worst,
+      statementReceipts,
+      matchType: extra.matchType || existing?.matchType || null,
+      difference: roundMoney((existing?.difference || 0) + (extra.difference || 0)),
+      reconciledAt,
+      reconciledBy
+    })
+  }
+
+  result.matched.forEach(m => add(m, m.status, {
+    statementReceipts: m.statementLines.map(line => line.receiptNumber),
+    matchType: m.matchType,
+    difference: m.difference
+  }))
+  result.unmatchedSales.forEach(u => add(u, RECONCILIATION_STATUS.UNMATCHED))
+  return flags
+}
@@ -234,9 +234,12 @@ export const getAccessiblePages = (user) => {
     pages.push(
       'admin-dashboard',
       'inventory',
+      'stock-transfers',
       'reports',
       'expenses',
       'transactions-history',
+      'mpesa-reconciliation',
+      'shifts',
       'admin-settings',
       'branch-management'
     )
@@ -247,9 +250,12 @@ export const getAccessiblePages = (user) => {
       'customers',
       'suppliers',
       'purchase-orders',
+      'stock-transfers',
       'supplier-payments',
       'reports',
       'transactions-history',
+      'mpesa-reconciliation',
+      'shifts',
       'branch-staff'
     )
   } else if (user.role === 'cashier') {
@@ -0,0 +1,152 @@
+/**
+ * Line-item price overrides for Whiskey Ballet POS
+ *
+ * Any change to a cart line's price needs a reason code. Discounts beyond the
+ * terminal's thresholds also need a manager (or admin) to approve them at the till
+ * by signing in with their own email and password. The override is stored on the
+ * transaction line so the overrides report can show who changed what and why.
+ */
+
+export const OVERRIDE_REASONS = [
+  { code: 'damaged', label: 'Damaged / dented packaging' },
+  { code: 'price_match', label: 'Price match' },
+  { code: 'wrong_label', label: 'Shelf price different from system' },
+  { code: 'staff', label: 'Staff purchase' },
+  { code: 'vip', label: 'VIP / regular customer' },
+  { code: 'near_expiry', label: 'Near expiry' },
+  { code: 'manager_special', label: 'Manager special' },
+  { code: 'other', label: 'Other (explain)' }
+]
+
+export const DEFAULT_OVERRIDE_THRESHOLDS = {
+  // Discounts at or below both limits go through without a manager
+  maxPercent: 10,
+  maxAmount: 500
+}
+
+// Roles that can approve an override (and so don't need approval for their own)
+export const APPROVER_ROLES = ['admin', 'manager']
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Label for a reason code
+ * @param {string} code
+ * @returns {string}
+ */
+export const getReasonLabel = (code) => {
+  return OVERRIDE_REASONS.find(r => r.code === code)?.label || code || 'Unknown'
+}
+
+/**
+ * Size of an override on a line
+ * @param {number} originalPrice - Unit price before the override
+ * @param {number} newPrice - Unit price after the override
+ * @param {number} [quantity=1]
+ * @returns {{unitDiscount: number, lineDiscount: number, percent: number}} Negative values mean the price went up
+ */
+export const getOverrideDiscount = (originalPrice, newPrice, quantity = 1) => {
+  const original = Number(originalPrice) || 0
+  const unitDiscount = roundMoney(original - (Number(newPrice) || 0))
+  return {
+    unitDiscount,
+    lineDiscount: roundMoney(unitDiscount * (Number(quantity) || 0)),
+    percent: original > 0 ? roundMoney((unitDiscount / original) * 100) : 0
+  }
+}
+
+/**
+ * Whether an override needs a manager's approval
+ * @param {Object} params
+ * @param {number} params.originalPrice
+ * @param {number} params.newPrice
+ * @param {number} params.quantity
+ * @param {string} [params.role] - Role of the user at the till
+ * @param {Object} [params.thresholds] - { maxPercent, maxAmount }
+ * @returns {boolean}
+ */
+export const requiresApproval = ({ originalPrice, newPrice, quantity, role, thresholds = DEFAULT_OVERRIDE_THRESHOLDS }) => {
+  if (APPROVER_ROLES.includes(role)) return false
+  const { lineDiscount, percent } = getOverrideDiscount(originalPrice, newPrice, quantity)
+  if (lineDiscount <= 0) return false
+  const maxPercent = Number(thresholds?.maxPercent ?? DEFAULT_OVERRIDE_THRESHOLDS.maxPercent)
+  const maxAmount = Number(thresholds?.maxAmount ?? DEFAULT_OVERRIDE_THRESHOLDS.maxAmount)
+  return percent > maxPercent || lineDiscount > maxAmount
+}
+
+/**
+ * Check an override request before applying it
+ * @param {Object} params - { originalPrice, newPrice, reasonCode, reasonNote }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateOverride = ({ originalPrice, newPrice, reasonCode, reasonNote }) => {
+  const price = Number(newPrice)
+  if (!Number.isFinite(price) || price < 0) return 'Enter a valid price'
+  if (roundMoney(price) === roundMoney(originalPrice)) return 'The price has not changed'
+  if (!OVERRIDE_REASONS.some(r => r.code === reasonCode)) return 'Choose a reason'
+  if (reasonCode === 'other' && !reasonNote?.trim()) return 'Explain the reason for the override'
+  return null
+}
+
+/**
+ * Build the override record stored on the cart/transaction line
+ * @param {Object} params
+ * @param {number} params.originalPrice
+ * @param {number} params.newPrice
+ * @param {string} params.reasonCode
+ * @param {string} [params.reasonNote]
+ * @param {Object} params.cashier - User at the till
+ * @param {Object} [params.approver] - { id, name, role, method: 'login' }, omitted when no approval was needed
+ * @returns {Object}
+ */
+export const buildPriceOverride = ({ originalPrice, newPrice, reasonCode, reasonNote = '', cashier, approver = null }) => {
+  const { unitDiscount, percent } = getOverrideDiscount(originalPrice, newPrice)
+  return {
+    originalPrice: roundMoney(originalPrice),
+    price: roundMoney(newPrice),
+    unitDiscount,
+    percent,
+    reasonCode,
+    reasonNote: reasonNote.trim(),
+    overriddenBy: { id: cashier?.id || null, name: cashier?.name || 'Unknown' },
+    approvedBy: approver
+      ? { id: approver.id, name: approver.name, role: approver.role, method: approver.method }
+      : null,
+    overriddenAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Rows for the overrides report, one per overridden sale line
+ * @param {Array} transactions - Sales (credit notes and cancelled sales are ignored)
+ * @returns {Array<Object>} Newest first
+ */
+export const getOverridesReport = (transactions = []) => {
+  const rows = []
+  transactions
+    .filter(t => !t.type && t.paymentStatus !== 'cancelled')
+    .forEach(t => {
+      (t.items || []).forEach(item => {
+        const override = item.priceOverride
+        if (!override) return
+        rows.push({
+          transactionId: t.id,
+          receiptNumber: t.receiptNumber || t.id,
+          timestamp: t.timestamp,
+          branchId: t.branchId || null,
+          cashier: override.overriddenBy?.name || t.cashier || 'Unknown',
+          itemName: item.name,
+          quantity: item.quantity,
+          originalPrice: override.originalPrice,
+          price: override.price,
+          lineDiscount: roundMoney(override.unitDiscount * (item.quantity || 0)),
+          percent: override.percent,
+          reason: getReasonLabel(override.reasonCode),
+          reasonNote: override.reasonNote || '',
+          approvedBy: override.approvedBy?.name || '',
+          approvalMethod: override.approvedBy?.method || ''
+        })
+      })
+    })
+  return rows.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+}
@@ -126,6 +126,8 @@ export function formatKES(amount, includeDecimals = true) {
 
 /**
  * Calculate cart totals with VAT breakdown
+ * Promotion discounts carried on the items (promotionDiscount) come off first;
+ * the cart-wide percentage applies to what is left.
  * 
  * @param {Array} cartItems - Array of cart items with price and quantity
  * @param {number} discountPercentage - Discount percentage (0-100)
@@ -138,11 +140,16 @@ export function calculateCartTotals(cartItems, discountPercentage = 0, vatRate =
     return sum + (item.price * item.quantity);
   }, 0);
 
+  // Promotions evaluated for the cart (see utils/promotions.js)
+  const promotionDiscount = cartItems.reduce((sum, item) => {
+    return sum + (item.promotionDiscount || 0);
+  }, 0);
+
   // Calculate discount amount
-  const discountAmount = (subtotal * discountPercentage) / 100;
+  const discountAmount = ((subtotal - promotionDiscount) * discountPercentage) / 100;
 
   // Calculate subtotal after discount
-  const subtotalAfterDiscount = subtotal - discountAmount;
+  const subtotalAfterDiscount = subtotal - promotionDiscount - discountAmount;
 
   // Calculate total VAT amount from discounted subtotal
   const totalVAT = calculateVAT(subtotalAfterDiscount, vatRate);
@@ -155,6 +162,7 @@ export function calculateCartTotals(cartItems, discountPercentage = 0, vatRate =
 
   return {
     subtotal: Math.round(subtotal * 100) / 100,
+    promotionDiscount: Math.round(promotionDiscount * 100) / 100,
     discountPercentage,
     discountAmount: Math.round(discountAmount * 100) / 100,
     subtotalAfterDiscount: Math.round(subtotalAfterDiscount * 100) / 100,
@@ -167,6 +175,7 @@ export function calculateCartTotals(cartItems, discountPercentage = 0, vatRate =
 
 /**
  * Calculate per-item VAT for transaction records
+ * Line totals are net of any promotion discount on the item
  * 
  * @param {Array} cartItems - Array of cart items
  * @param {number} vatRate - VAT rate as decimal (default 0.16)
@@ -174,7 +183,7 @@ export function calculateCartTotals(cartItems, discountPercentage = 0, vatRate =
  */
 export function calculateItemVAT(cartItems, vatRate = 0.16) {
   return cartItems.map(item => {
-    const itemTotal = item.price * item.quantity;
+    const itemTotal = item.price * item.quantity - (item.promotionDiscount || 0);
     const itemVAT = calculateVAT(itemTotal, vatRate);
     const itemPriceBeforeVAT = calculatePriceBeforeVAT(itemTotal, vatRate);
 
@@ -0,0 +1,151 @@
+/**
+ * Receipt printer transports
+ *
+ * A transport delivers an ESC/POS byte stream (see ./escpos) to a printer:
+ *   { id, name, async connect({ prompt }), async write(bytes) }
+ * connect() reuses a device this browser was already given access to; with
+ * `prompt: true` it may ask the user to pick one, which browsers only allow
+ * from a click.
+ *
+ * - webusb:  USB printers through WebUSB (Chrome/Edge)
+ * - serial:  serial/USB-serial and Bluetooth SPP printers through Web Serial (Chrome/Edge)
+ * - network: LAN printers on raw port 9100, through a bridge service running on
+ *            the till. Browsers can't open TCP sockets, so the bridge accepts
+ *            POST /print with the raw bytes and the target in X-Printer-Host and
+ *            X-Printer-Port headers, and forwards them to the printer.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000
+const USB_CHUNK_SIZE = 16384
+
+/**
+ * Bulk OUT endpoint of a USB printer
+ * @param {USBDevice} device
+ * @returns {{ interfaceNumber: number, endpointNumber: number }|null}
+ */
+const findBulkOutEndpoint = (device) => {
+  for (const usbInterface of device.configuration?.interfaces || []) {
+    for (const alternate of usbInterface.alternates) {
+      const endpoint = alternate.endpoints.find(e => e.direction === 'out' && e.type === 'bulk')
+      if (endpoint) {
+        return { interfaceNumber: usbInterface.interfaceNumber, endpointNumber: endpoint.endpointNumber }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * WebUSB transport
+ */
+export const createWebUsbTransport = () => {
+  let device = null
+  let endpoint = null
+
+  return {
+    id: 'webusb',
+    name: 'USB (WebUSB)',
+
+    async connect({ prompt = false } = {}) {
+      if (device?.opened && endpoint) return
+      if (typeof navigator === 'undefined' || !navigator.usb) {
+        throw new Error('This browser does not support USB printers. Use Chrome or Edge.')
+      }
+
+      const paired = await navigator.usb.getDevices()
+      device = paired[0] || (prompt ? await navigator.usb.requestDevice({ filters: [] }) : null)
+      if (!device) throw new Error('No USB printer paired with this terminal')
+
+      await device.open()
+      if (device.configuration === null) await device.selectConfiguration(1)
+      endpoint = findBulkOutEndpoint(device)
+      if (!endpoint) throw new Error(`${device.productName || 'This USB device'} is not a printer`)
+      await device.claimInterface(endpoint.interfaceNumber)
+    },
+
+    async write(bytes) {
+      for (let offset = 0; offset < bytes.length; offset += USB_CHUNK_SIZE) {
+        const result = await device.transferOut(endpoint.endpointNumber, bytes.slice(offset, offset + USB_CHUNK_SIZE))
+        if (result.status !== 'ok') throw new Error(`USB printer rejected the data (${result.status})`)
+      }
+    }
+  }
+}
+
+/**
+ * Web Serial transport
+ * @param {Object} [options]
+ * @param {number} [options.baudRate] - Must match the printer's DIP switch / config page
+ */
+export const createSerialTransport = ({ baudRate = 9600 } = {}) => {
+  let port = null
+
+  return {
+    id: 'serial',
+    name: 'Serial / Bluetooth',
+
+    async connect({ prompt = false } = {}) {
+      if (port?.writable) return
+      if (typeof navigator === 'undefined' || !navigator.serial) {
+        throw new Error('This browser does not support serial printers. Use Chrome or Edge.')
+      }
+
+      const granted = await navigator.serial.getPorts()
+      port = granted[0] || (prompt ? await navigator.serial.requestPort() : null)
+      if (!port) throw new Error('No serial printer paired with this terminal')
+      if (!port.writable) await port.open({ baudRate: Number(baudRate) || 9600 })
+    },
+
+    async write(bytes) {
+      const writer = port.writable.getWriter()
+      try {
+        await writer.write(bytes)
+      } finally {
+        writer.releaseLock()
+      }
+    }
+  }
+}
+
+/**
+ * Network printer through the local print bridge
+ * @param {Object} config
+ * @param {string} config.bridgeUrl - e.g. http://localhost:9101
+ * @param {string} config.host - Printer IP on the LAN
+ * @param {number} [config.port] - Raw printing port, 9100 on almost every model
+ */
+export const createNetworkTransport = ({ bridgeUrl, host, port = 9100 }) => ({
+  id: 'network',
+  name: 'Network (print bridge)',
+
+  async connect() {
+    if (!bridgeUrl || !host) {
+      throw new Error('Network printer is not configured (bridge URL and printer IP are required)')
+    }
+  },
+
+  async write(bytes) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+    try {
+      const response = await fetch(`${bridgeUrl.replace(/\/$/, '')}/print`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Printer-Host': host,
+          'X-Printer-Port': String(port || 9100)
+        },
+        body: bytes,
+        signal: controller.signal
+      })
+      if (!response.ok) {
+        throw new Error(`Print bridge returned HTTP ${response.status}`)
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error('Print bridge did not respond')
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+})
@@ -0,0 +1,340 @@
+/**
+ * Promotions engine for Whiskey Ballet POS
+ *
+ * Promotions are rules the cart evaluates on every change:
+ *   - buy_x_get_y:    buy 2 get 1 free (or at a percentage off), mix-and-match within the rule
+ *   - bundle:         any N eligible units for a fixed price, e.g. any 3 wines for KES 5,000
+ *   - quantity_break: tiered percentage off once enough eligible units are in the cart
+ *   - percent_off:    straight percentage off eligible items (category-wide deals)
+ * Any rule can be limited to products or categories, to branches, to a date range and
+ * to a weekly time window (happy hour).
+ *
+ * Each cart unit is used by at most one promotion. Rules run in priority order
+ * (bundles, then buy X get Y, quantity breaks and finally percentage deals unless a
+ * priority is set), so a bottle already in a bundle is not also discounted by a happy hour.
+ *
+ * The result is recorded on the transaction (`promotions`, plus `promotionDiscount`
+ * on each item) so returns, fiscal invoices and reports see the price actually charged.
+ */
+
+export const PROMOTION_TYPES = {
+  BUY_X_GET_Y: 'buy_x_get_y',
+  BUNDLE: 'bundle',
+  QUANTITY_BREAK: 'quantity_break',
+  PERCENT_OFF: 'percent_off'
+}
+
+export const PROMOTION_TYPE_LABELS = {
+  buy_x_get_y: 'Buy X Get Y',
+  bundle: 'Bundle Price',
+  quantity_break: 'Quantity Break',
+  percent_off: 'Percentage Off'
+}
+
+const DEFAULT_PRIORITY = {
+  bundle: 10,
+  buy_x_get_y: 20,
+  quantity_break: 30,
+  percent_off: 40
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const toMinutes = (time) => {
+  const [h, m] = String(time || '').split(':').map(Number)
+  return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null
+}
+
+const toDayKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Whether a promotion applies at this moment in this branch
+ * @param {Object} promotion
+ * @param {Object} [context]
+ * @param {Date} [context.now]
+ * @param {string} [context.branchId]
+ * @returns {boolean}
+ */
+export const isPromotionActive = (promotion, { now = new Date(), branchId = null } = {}) => {
+  if (!promotion || promotion.active === false || promotion.deletedAt) return false
+
+  const branchIds = promotion.branchIds || []
+  if (branchIds.length > 0 && !branchIds.includes(branchId)) return false
+
+  const today = toDayKey(now)
+  if (promotion.startDate && today < promotion.startDate) return false
+  if (promotion.endDate && today > promotion.endDate) return false
+
+  const schedule = promotion.schedule
+  if (schedule) {
+    const days = schedule.days || []
+    const start = toMinutes(schedule.startTime)
+    const end = toMinutes(schedule.endTime)
+    const minutes = now.getHours() * 60 + now.getMinutes()
+
+    if (start !== null && end !== null && start !== end) {
+      if (start < end) {
+        if (minutes < start || minutes >= end) return false
+        if (days.length > 0 && !days.includes(now.getDay())) return false
+      } else {
+        // Runs past midnight, e.g. 22:00-02:00: the early hours belong to the previous day's window
+        const inLateWindow = minutes >= start
+        const inEarlyWindow = minutes < end
+        if (!inLateWindow && !inEarlyWindow) return false
+        const windowDay = inLateWindow ? now.getDay() : (now.getDay() + 6) % 7
+        if (days.length > 0 && !days.includes(windowDay)) return false
+      }
+    } else if (days.length > 0 && !days.includes(now.getDay())) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Whether a cart item falls under a promotion's product/category filter.
+ * A promotion with neither list applies to everything.
+ * @param {Object} promotion
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export const isItemEligible = (promotion, item) => {
+  const productIds = (promotion.productIds || []).map(String)
+  const categories = (promotion.categories || []).map(c => String(c).toLowerCase())
+  if (productIds.length === 0 && categories.length === 0) return true
+  // Packs sell under a compound line id; promotions are set up against the product
+  if (productIds.includes(String(item.productId ?? item.id))) return true
+  return !!item.category && categories.includes(String(item.category).toLowerCase())
+}
+
+const sortByPriority = (promotions) => [...promotions].sort((a, b) => {
+  const pa = a.priority ?? DEFAULT_PRIORITY[a.type] ?? 50
+  const pb = b.priority ?? DEFAULT_PRIORITY[b.type] ?? 50
+  return pa - pb || String(a.name || '').localeCompare(String(b.name || ''))
+})
+
+// One entry per unit still free to be promoted, most expensive first
+const expandUnits = (promotion, cart, remaining) => {
+  const units = []
+  cart.forEach(item => {
+    if (!isItemEligible(promotion, item)) return
+    for (let i = 0; i < (remaining[item.id] || 0); i++) {
+      units.push({ id: item.id, price: Number(item.price) || 0 })
+    }
+  })
+  return units.sort((a, b) => b.price - a.price)
+}
+
+// Per-unit discounts for one promotion: [{ unit, discount }] for every unit the rule uses
+const RULES = {
+  buy_x_get_y: (promotion, units) => {
+    const buy = Math.max(1, Number(promotion.buyQuantity) || 1)
+    const get = Math.max(1, Number(promotion.getQuantity) || 1)
+    const percent = Math.min(100, Math.max(0, Number(promotion.getDiscountPercent ?? 100)))
+    const groupSize = buy + get
+    const used = []
+    // Highest prices are paid for, the cheapest unit(s) in each group are the reward
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      units.slice(start, start + groupSize).forEach((unit, index) => {
+        used.push({ unit, discount: index >= buy ? unit.price * percent / 100 : 0 })
+      })
+    }
+    return used
+  },
+
+  bundle: (promotion, units) => {
+    const size = Math.max(1, Number(promotion.bundleQuantity) || 1)
+    const price = Number(promotion.bundlePrice) || 0
+    const used = []
+    for (let start = 0; start + size <= units.length; start += size) {
+      const group = units.slice(start, start + size)
+      const normal = group.reduce((sum, unit) => sum + unit.price, 0)
+      if (normal <= price) break
+      // Spread the saving across the bundle in proportion to each unit's price
+      const saving = normal - price
+      group.forEach(unit => used.push({ unit, discount: saving * unit.price / normal }))
+    }
+    return used
+  },
+
+  quantity_break: (promotion, units) => {
+    const tier = [...(promotion.tiers || [])]
+      .filter(t => units.length >= (Number(t.minQuantity) || 0))
+      .sort((a, b) => (Number(b.minQuantity) || 0) - (Number(a.minQuantity) || 0))[0]
+    if (!tier) return []
+    const percent = Math.min(100, Math.max(0, Number(tier.discountPercent) || 0))
+    return units.map(unit => ({ unit, discount: unit.price * percent / 100 }))
+  },
+
+  percent_off: (promotion, units) => {
+    const percent = Math.min(100, Math.max(0, Number(promotion.discountPercent) || 0))
+    return units.map(unit => ({ unit, discount: unit.price * percent / 100 }))
+  }
+}
+
+/**
+ * Work out which promotions apply to a cart
+ * @param {Array} cart - Cart items ({ id, name, price, quantity, category })
+ * @param {Array} promotions - All promotions; inactive ones are skipped
+ * @param {Object} [context] - { now, branchId }, see isPromotionActive
+ * @returns {{applied: Array<{promotionId, name, type, discount, items: Array<{id, name, quantity, discount}>}>, totalDiscount: number, itemDiscounts: Object<string, number>}}
+ */
+export const evaluatePromotions = (cart = [], promotions = [], context = {}) => {
+  const remaining = {}
+  cart.forEach(item => {
+    remaining[item.id] = (remaining[item.id] || 0) + (Number(item.quantity) || 0)
+  })
+
+  const applied = []
+  const itemDiscounts = {}
+
+  sortByPriority(promotions.filter(p => RULES[p.type] && isPromotionActive(p, context))).forEach(promotion => {
+    const used = RULES[promotion.type](promotion, expandUnits(promotion, cart, remaining))
+    if (!used.some(u => u.discount > 0)) return
+
+    const byItem = {}
+    used.forEach(({ unit, discount }) => {
+      remaining[unit.id]--
+      byItem[unit.id] = byItem[unit.id] || { quantity: 0, discount: 0 }
+      byItem[unit.id].quantity++
+      byItem[unit.id].discount += discount
+    })
+
+    const items = Object.entries(byItem).map(([id, line]) => {
+      const item = cart.find(i => String(i.id) === id)
+      const discount = roundMoney(line.discount)
+      itemDiscounts[item.id] = roundMoney((itemDiscounts[item.id] || 0) + discount)
+      return { id: item.id, name: item.name, quantity: line.quantity, discount }
+    })
+
+    applied.push({
+      promotionId: promotion.id,
+      name: promotion.name,
+      type: promotion.type,
+      discount: roundMoney(items.reduce((sum, i) => sum + i.discount, 0)),
+      items
+    })
+  })
+
+  return {
+    applied,
+    totalDiscount: roundMoney(applied.reduce((sum, p) => sum + p.discount, 0)),
+    itemDiscounts
+  }
+}
+
+/**
+ * Copy promotion discounts onto cart items (`promotionDiscount`, KES off the whole line)
+ * @param {Array} cart
+ * @param {Object} evaluation - From evaluatePromotions
+ * @returns {Array}
+ */
+export const applyPromotionsToCart = (cart, evaluation) => {
+  return cart.map(item => {
+    const promotionDiscount = evaluation?.itemDiscounts?.[item.id] || 0
+    if (promotionDiscount > 0) return { ...item, promotionDiscount }
+    if (item.promotionDiscount === undefined) return item
+    const { promotionDiscount: _stale, ...rest } = item
+    return rest
+  })
+}
+
+/**
+ * Short description of a promotion's rule, for lists and receipts
+ * @param {Object} promotion
+ * @returns {string}
+ */
+export const describePromotion = (promotion) => {
+  switch (promotion?.type) {
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      const percent = Number(promotion.getDiscountPercent ?? 100)
+      const reward = percent >= 100 ? 'free' : `${percent}% off`
+      return `Buy ${promotion.buyQuantity || 1}, get ${promotion.getQuantity || 1} ${reward}`
+    }
+    case PROMOTION_TYPES.BUNDLE:
+      return `Any ${promotion.bundleQuantity || 1} for KES ${Number(promotion.bundlePrice || 0).toLocaleString()}`
+    case PROMOTION_TYPES.QUANTITY_BREAK:
+      return (promotion.tiers || [])
+        .map(t => `${t.minQuantity}+ ${t.discountPercent}% off`)
+        .join(', ')
+    case PROMOTION_TYPES.PERCENT_OFF:
+      return `${promotion.discountPercent || 0}% off`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Validate a promotion before saving
+ * @param {Object} promotion
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePromotion = (promotion) => {
+  if (!promotion?.name?.trim()) return 'Give the promotion a name'
+  if (!RULES[promotion.type]) return 'Choose a promotion type'
+  if (promotion.startDate && promotion.endDate && promotion.endDate < promotion.startDate) {
+    return 'End date is before the start date'
+  }
+  switch (promotion.type) {
+    case PROMOTION_TYPES.BUY_X_GET_Y:
+      if (!(promotion.buyQuantity >= 1) || !(promotion.getQuantity >= 1)) return 'Buy and get quantities must be at least 1'
+      break
+    case PROMOTION_TYPES.BUNDLE:
+      if (!(promotion.bundleQuantity >= 2)) return 'A bundle needs at least 2 items'
+      if (!(promotion.bundlePrice > 0)) return 'Enter the bundle price'
+      break
+    case PROMOTION_TYPES.QUANTITY_BREAK:
+      if (!(promotion.tiers || []).length) return 'Add at least one quantity tier'
+      if (promotion.tiers.some(t => !(t.minQuantity >= 1) || !(t.discountPercent > 0 && t.discountPercent <= 100))) {
+        return 'Each tier needs a minimum quantity and a discount between 1 and 100%'
+      }
+      break
+    case PROMOTION_TYPES.PERCENT_OFF:
+      if (!(promotion.discountPercent > 0 && promotion.discountPercent <= 100)) return 'Discount must be between 1 and 100%'
+      break
+    default:
+      break
+  }
+  return null
+}
+
+/**
+ * Promotion effectiveness across sales
+ * @param {Array} transactions - Sales (credit notes and cancelled sales are ignored)
+ * @returns {Array<{promotionId, name, type, uses: number, units: number, discountGiven: number, revenue: number}>} Most used first
+ */
+export const getPromotionPerformance = (transactions = []) => {
+  const stats = {}
+  transactions
+    .filter(t => !t.type && t.paymentStatus !== 'cancelled')
+    .forEach(t => {
+      (t.promotions || []).forEach(p => {
+        const entry = stats[p.promotionId] || (stats[p.promotionId] = {
+          promotionId: p.promotionId,
+          name: p.name,
+          type: p.type,
+          uses: 0,
+          units: 0,
+          discountGiven: 0,
+          revenue: 0
+        })
+        const promotedLines = p.items || []
+        entry.uses++
+        entry.discountGiven += p.discount || 0
+        promotedLines.forEach(i => {
+          entry.units += i.quantity || 0
+          // Revenue from the promoted lines: what the customer paid for those units
+          const sold = (t.items || []).find(item => item.id === i.id)
+          if (sold) entry.revenue += (sold.price || 0) * (i.quantity || 0) - (i.discount || 0)
+        })
+      })
+    })
+
+  return Object.values(stats)
+    .map(s => ({ ...s, discountGiven: roundMoney(s.discountGiven), revenue: roundMoney(s.revenue) }))
+    .sort((a, b) => b.uses - a.uses || b.discountGiven - a.discountGiven)
+}
@@ -0,0 +1,266 @@
+/**
+ * Quotations (proforma invoices)
+ *
+ * A quote is a cart saved for a customer, usually a corporate client pricing an
+ * event order, with a number and a date it is valid until. It can be sent as a
+ * PDF (see utils/quotePdf). Nothing leaves stock while a quote is open: when the
+ * client accepts, the quote's lines are loaded into the POS cart at the quoted
+ * prices and sold as a normal sale or credit sale, and the quote is marked
+ * converted once that sale has been saved. Stock is checked at that point,
+ * not when the quote was written.
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+import { calculateCartTotals } from './pricing'
+import { getBranchCode } from './receiptNumbers'
+import { getBaseQuantities } from './unitsOfMeasure'
+
+export const QUOTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CONVERTED: 'converted'
+}
+
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 14
+
+/**
+ * Default valid-until date for a new quote
+ * @param {Date} [now]
+ * @param {number} [days]
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultValidUntil = (now = new Date(), days = DEFAULT_QUOTE_VALIDITY_DAYS) => {
+  const date = new Date(now)
+  date.setDate(date.getDate() + days)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Whether a quote is past its valid-until date. A quote is good for the whole
+ * of its last day.
+ * @param {Object} quote
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isQuoteExpired = (quote, now = new Date()) => {
+  if (!quote?.validUntil) return false
+  const [year, month, day] = quote.validUntil.split('-').map(Number)
+  return now > new Date(year, month - 1, day, 23, 59, 59, 999)
+}
+
+/**
+ * Status to show for a quote: open and accepted quotes past their date read as expired
+ * @param {Object} quote
+ * @param {Date} [now]
+ * @returns {string} A QUOTE_STATUS value or 'expired'
+ */
+export const getQuoteStatus = (quote, now = new Date()) => {
+  if ([QUOTE_STATUS.OPEN, QUOTE_STATUS.ACCEPTED].includes(quote?.status) && isQuoteExpired(quote, now)) {
+    return 'expired'
+  }
+  return quote?.status
+}
+
+/**
+ * Totals for a quote's lines and discount. Quotes are priced without
+ * promotions; the sale picks up any that are running when it is converted.
+ * @param {Object} quote
+ * @returns {Object} As calculateCartTotals
+ */
+export const getQuoteTotals = (quote) => {
+  const items = (quote?.items || []).map(item => ({ ...item, promotionDiscount: 0 }))
+  return calculateCartTotals(items, quote?.discount || 0)
+}
+
+/**
+ * Next quote number for a branch, e.g. QT-NAK-00012
+ * @param {Array} quotes
+ * @param {string} branchId
+ * @returns {string}
+ */
+export const getNextQuoteNumber = (quotes, branchId) => {
+  const prefix = `QT-${getBranchCode(branchId)}-`
+  const highest = (quotes || [])
+    .filter(q => typeof q.quoteNumber === 'string' && q.quoteNumber.startsWith(prefix))
+    .reduce((max, q) => Math.max(max, parseInt(q.quoteNumber.slice(prefix.length), 10) || 0), 0)
+  return `${prefix}${String(highest + 1).padStart(5, '0')}`
+}
+
+/**
+ * Lines the branch can't cover right now. Pack and single lines for the same
+ * product are added up in base units before comparing with stock.
+ * @param {Array} items - Quote lines
+ * @param {Array} inventory - Branch inventory
+ * @returns {Array<{ productId, name, needed: number, available: number }>} Empty when everything is in stock
+ */
+export const getQuoteShortages = (items = [], inventory = []) => {
+  const shortages = []
+  getBaseQuantities(items).forEach((needed, productId) => {
+    const product = inventory.find(p => p.id === productId && !p.deletedAt)
+    const available = Math.max(0, product?.quantity ?? 0)
+    if (available < needed) {
+      const line = items.find(item => (item.productId ?? item.id) === productId)
+      shortages.push({ productId, name: product?.name || line?.name || 'Unknown product', needed, available })
+    }
+  })
+  return shortages
+}
+
+/**
+ * Build a quote from the cart
+ * @param {Object} params
+ * @param {string} params.quoteNumber
+ * @param {Array} params.cart - Cart lines (promotion discounts are dropped)
+ * @param {number} [params.discount] - Sale discount percentage
+ * @param {Object} params.customer - { id?, name, phone?, email? }
+ * @param {string} params.validUntil - YYYY-MM-DD
+ * @param {string} [params.notes] - Printed on the quote
+ * @param {Object} params.user - Who wrote the quote
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildQuote = ({ quoteNumber, cart, discount = 0, customer, validUntil, notes = '', user, now = new Date() }) => {
+  const items = (cart || []).filter(item => item.quantity > 0)
+  if (items.length === 0) throw new Error('Add the items to quote to the cart first')
+  const customerName = (customer?.name || '').trim()
+  if (!customerName) throw new Error('Enter who the quote is for')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(validUntil || '')) throw new Error('Choose the date the quote is valid until')
+
+  const quote = {
+    id: `QT-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    quoteNumber,
+    status: QUOTE_STATUS.OPEN,
+    branchId: user?.branchId || null,
+    customer: {
+      id: customer.id ?? null,
+      name: customerName,
+      phone: (customer.phone || '').trim(),
+      email: (customer.email || '').trim()
+    },
+    items: items.map(({ promotionDiscount: _promotion, ...item }) => item),
+    discount: Number(discount) || 0,
+    validUntil,
+    notes: notes.trim(),
+    createdAt: now.toISOString(),
+    createdBy: user?.name || 'Unknown',
+    createdById: user?.id || null
+  }
+  if (isQuoteExpired(quote, now)) throw new Error('The valid-until date has already passed')
+  return { ...quote, total: getQuoteTotals(quote).total }
+}
+
+const readQuotes = async (adminId) => {
+  const data = await readSharedData(adminId, false, { stores: ['quotes'] })
+  return data.quotes || []
+}
+
+// Written with the rest of the shared data, since the desktop and
+// localStorage stores replace the whole object with what they are given
+const saveQuote = async (adminId, quote) => {
+  const sharedData = await readSharedData(adminId)
+  const quotes = sharedData.quotes || []
+  const updatedQuotes = quotes.some(q => q.id === quote.id)
+    ? quotes.map(q => (q.id === quote.id ? quote : q))
+    : [...quotes, quote]
+  await writeSharedData({ ...sharedData, quotes: updatedQuotes }, adminId, { writeOnlyStores: ['quotes'] })
+  return quote
+}
+
+const getQuote = async (adminId, quoteId) => {
+  const quote = (await readQuotes(adminId)).find(q => q.id === quoteId)
+  if (!quote) throw new Error('Quote not found')
+  return quote
+}
+
+/**
+ * Quotes for a branch, newest first
+ * @param {string} adminId
+ * @param {string} [branchId]
+ * @returns {Promise<Array>}
+ */
+export const getQuotes = async (adminId, branchId = null) => {
+  return (await readQuotes(adminId))
+    .filter(quote => !branchId || quote.branchId === branchId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+}
+
+/**
+ * Save the cart as a new numbered quote
+ * @param {Object} params - adminId plus everything buildQuote takes except quoteNumber
+ * @returns {Promise<Object>} The new quote
+ */
+export const createQuote = async ({ adminId, ...params }) => {
+  const quoteNumber = getNextQuoteNumber(await readQuotes(adminId), params.user?.branchId)
+  return saveQuote(adminId, buildQuote({ ...params, quoteNumber }))
+}
+
+/**
+ * Record the client's answer to a quote
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.quoteId
+ * @param {string} params.status - QUOTE_STATUS.ACCEPTED or QUOTE_STATUS.DECLINED
+ * @param {Object} params.user
+ * @returns {Promise<Object>} The updated quote
+ */
+export const setQuoteStatus = async ({ adminId, quoteId, status, user }) => {
+  if (![QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.DECLINED].includes(status)) throw new Error('Unknown quote status')
+  const quote = await getQuote(adminId, quoteId)
+  if (quote.status === QUOTE_STATUS.CONVERTED) throw new Error(`${quote.quoteNumber} has already been sold`)
+  if (status === QUOTE_STATUS.ACCEPTED && isQuoteExpired(quote)) {
+    throw new Error(`${quote.quoteNumber} expired on ${quote.validUntil}. Write a new quote at today's prices.`)
+  }
+  return saveQuote(adminId, {
+    ...quote,
+    status,
+    respondedAt: new Date().toISOString(),
+    respondedBy: user?.name || 'Unknown'
+  })
+}
+
+/**
+ * Check a quote can be sold now: it is still live and the branch has the stock
+ * @param {Object} quote
+ * @param {Array} inventory - Branch inventory
+ * @param {Date} [now]
+ * @returns {string|null} Why it can't be converted, or null
+ */
+export const validateQuoteConversion = (quote, inventory = [], now = new Date()) => {
+  if (!quote) return 'Quote not found'
+  if (quote.status === QUOTE_STATUS.CONVERTED) return `${quote.quoteNumber} has already been sold`
+  if (quote.status === QUOTE_STATUS.DECLINED) return `${quote.quoteNumber} was declined`
+  if (isQuoteExpired(quote, now)) return `${quote.quoteNumber} expired on ${quote.validUntil}. Write a new quote at today's prices.`
+
+  const shortages = getQuoteShortages(quote.items, inventory)
+  if (shortages.length > 0) {
+    const detail = shortages.map(s => `${s.name} (need ${s.needed}, have ${s.available})`).join(', ')
+    return `Not enough stock to fill ${quote.quoteNumber}: ${detail}`
+  }
+  return null
+}
+
+/**
+ * Mark a quote as sold once its sale has been saved
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.quoteId
+ * @param {string} params.transactionId
+ * @param {string} params.receiptNumber
+ * @param {Object} params.user
+ * @returns {Promise<Object>} The updated quote
+ */
+export const markQuoteConverted = async ({ adminId, quoteId, transactionId, receiptNumber, user }) => {
+  const quote = await getQuote(adminId, quoteId)
+  const convertedAt = new Date().toISOString()
+  return saveQuote(adminId, {
+    ...quote,
+    status: QUOTE_STATUS.CONVERTED,
+    respondedAt: quote.respondedAt || convertedAt,
+    respondedBy: quote.respondedBy || user?.name || 'Unknown',
+    transactionId,
+    receiptNumber,
+    convertedAt,
+    convertedBy: user?.name || 'Unknown'
+  })
+}
@@ -0,0 +1,107 @@
+/**
+ * PDF of a quotation, to send to the client
+ */
+
+import { jsPDF } from 'jspdf'
+import { autoTable } from 'jspdf-autotable'
+import { getQuoteTotals } from './quotations'
+
+const money = (value) => `KES ${(Number(value) || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (value) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value || '')
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value)
+  return date.toLocaleDateString('en-KE', { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+/**
+ * Build the PDF for a quote
+ * @param {Object} quote
+ * @param {Object} [options]
+ * @param {string} [options.storeName]
+ * @param {string} [options.branchName]
+ * @returns {jsPDF}
+ */
+export const buildQuotePDF = (quote, { storeName = 'Whiskey Ballet', branchName = '' } = {}) => {
+  const doc = new jsPDF()
+  const totals = getQuoteTotals(quote)
+
+  doc.setFontSize(20)
+  doc.text(storeName, 14, 20)
+  doc.setFontSize(10)
+  if (branchName) doc.text(branchName, 14, 26)
+
+  doc.setFontSize(16)
+  doc.text('QUOTATION', 196, 20, { align: 'right' })
+  doc.setFontSize(10)
+  doc.text(quote.quoteNumber, 196, 26, { align: 'right' })
+
+  doc.text(`Date: ${formatDate(quote.createdAt)}`, 14, 40)
+  doc.text(`Valid until: ${formatDate(quote.validUntil)}`, 14, 46)
+  doc.text(`Prepared by: ${quote.createdBy}`, 14, 52)
+
+  doc.text('Quote for:', 120, 40)
+  doc.text(quote.customer.name, 120, 46)
+  const contact = [quote.customer.phone, quote.customer.email].filter(Boolean)
+  contact.forEach((line, index) => doc.text(line, 120, 52 + index * 6))
+
+  autoTable(doc, {
+    startY: 66,
+    head: [['Item', 'Qty', 'Unit Price', 'Amount']],
+    body: quote.items.map(item => [
+      item.unitName ? `${item.name} (${item.unitName})` : item.name,
+      item.quantity,
+      money(item.price),
+      money(item.price * item.quantity)
+    ]),
+    theme: 'grid',
+    headStyles: { fillColor: [107, 15, 26], textColor: 255 },
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } },
+    styles: { fontSize: 9 }
+  })
+
+  const summary = [['Subtotal', money(totals.subtotal)]]
+  if (totals.discountAmount > 0) summary.push([`Discount (${quote.discount}%)`, `- ${money(totals.discountAmount)}`])
+  summary.push(['VAT (16%, included)', money(totals.totalVAT)])
+  summary.push(['Total', money(totals.total)])
+
+  autoTable(doc, {
+    startY: (doc.lastAutoTable?.finalY || 66) + 4,
+    body: summary,
+    theme: 'plain',
+    margin: { left: 110 },
+    columnStyles: { 1: { halign: 'right' } },
+    styles: { fontSize: 10 },
+    didParseCell: (data) => {
+      if (data.row.index === summary.length - 1) data.cell.styles.fontStyle = 'bold'
+    }
+  })
+
+  let y = (doc.lastAutoTable?.finalY || 100) + 10
+  if (quote.notes) {
+    const notes = doc.splitTextToSize(quote.notes, 182)
+    doc.text('Notes:', 14, y)
+    doc.text(notes, 14, y + 6)
+    y += 6 + notes.length * 5
+  }
+
+  doc.setFontSize(8)
+  doc.text(
+    'This is a quotation, not a tax invoice. Prices include VAT and hold until the date above, subject to stock on the day of sale. Bottle deposits are charged on collection where they apply.',
+    14,
+    y + 6,
+    { maxWidth: 182 }
+  )
+
+  return doc
+}
+
+/**
+ * Download the PDF for a quote
+ * @param {Object} quote
+ * @param {Object} [options] - As buildQuotePDF
+ */
+export const downloadQuotePDF = (quote, options = {}) => {
+  buildQuotePDF(quote, options).save(`${quote.quoteNumber}.pdf`)
+}
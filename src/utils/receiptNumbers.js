@@ -0,0 +1,222 @@
+/**
+ * Receipt Numbering
+ *
+ * Every sale gets a receipt number of the form BRANCH-TERMINAL-SEQUENCE,
+ * e.g. "NAK-9F3Q-000124". The branch + terminal prefix keeps tills from ever
+ * handing out the same number, and the sequence is a per-prefix counter kept in
+ * this terminal's IndexedDB so numbering keeps working offline.
+ *
+ * The counter is only advanced by a sale that actually gets saved (a failed save
+ * hands its number back), and it is reconciled against synced transactions so a
+ * cleared browser or reinstalled till continues after the highest number already
+ * issued instead of starting again at 1.
+ *
+ * Credit notes, empties refunds and stock transfers are numbered the same way,
+ * each in its own series with its own counter: "CN-NAK-9F3Q-000012",
+ * "DR-NAK-9F3Q-000003", "TR-KIS-9F3Q-000004".
+ */
+
+import { getDB, STORES } from './indexedDBStorage'
+
+const SEQUENCE_LENGTH = 6
+
+/**
+ * Documents other than sales that take a number per branch + terminal. `code`
+ * leads the number and `field` is where the document keeps it.
+ */
+export const DOCUMENT_SERIES = {
+  CREDIT_NOTE: { code: 'CN', field: 'creditNoteNumber' },
+  DEPOSIT_REFUND: { code: 'DR', field: 'depositRefundNumber' },
+  STOCK_TRANSFER: { code: 'TR', field: 'transferNumber' }
+}
+
+const isAvailable = () =>
+  typeof window !== 'undefined' && typeof indexedDB !== 'undefined' && indexedDB !== null
+
+/**
+ * Short branch code used in document numbers, e.g. "nakuru-town" -> "NAK"
+ * @param {string} branchId
+ * @returns {string}
+ */
+export const getBranchCode = (branchId) => {
+  const code = String(branchId || '').replace(/[^a-z0-9]/gi, '').slice(0, 3).toUpperCase()
+  return code || 'HQ'
+}
+
+/**
+ * Short terminal code: the random suffix of the terminal ID, e.g. "T-LX8K2A-9F3Q" -> "9F3Q"
+ * @param {string} terminalId
+ * @returns {string}
+ */
+export const getTerminalCode = (terminalId) => {
+  const parts = String(terminalId || '').split('-').filter(Boolean)
+  const code = (parts[parts.length - 1] || '').replace(/[^a-z0-9]/gi, '').slice(-4).toUpperCase()
+  return code || 'TILL'
+}
+
+/**
+ * Receipt prefix for a branch + terminal, e.g. "NAK-9F3Q", or "CN-NAK-9F3Q" in a document series
+ * @param {string} branchId
+ * @param {string} terminalId
+ * @param {Object} [series] - One of DOCUMENT_SERIES; receipts when left out
+ * @returns {string}
+ */
+export const getReceiptPrefix = (branchId, terminalId, series = null) => {
+  const prefix = `${getBranchCode(branchId)}-${getTerminalCode(terminalId)}`
+  return series ? `${series.code}-${prefix}` : prefix
+}
+
+/**
+ * @param {string} prefix
+ * @param {number} sequence
+ * @returns {string} e.g. "NAK-9F3Q-000124"
+ */
+export const formatReceiptNumber = (prefix, sequence) =>
+  `${prefix}-${String(sequence).padStart(SEQUENCE_LENGTH, '0')}`
+
+/**
+ * Sequence part of a receipt number, if it belongs to the given prefix
+ * @param {string} receiptNumber
+ * @param {string} prefix
+ * @returns {number|null}
+ */
+export const parseReceiptSequence = (receiptNumber, prefix) => {
+  if (typeof receiptNumber !== 'string' || !receiptNumber.startsWith(`${prefix}-`)) return null
+  const sequence = Number.parseInt(receiptNumber.slice(prefix.length + 1), 10)
+  return Number.isInteger(sequence) && sequence > 0 ? sequence : null
+}
+
+/**
+ * Highest sequence already issued under a prefix
+ * @param {Array} transactions
+ * @param {string} prefix
+ * @param {string} [field] - Where the number is kept
+ * @returns {number} 0 when none
+ */
+export const getHighestReceiptSequence = (transactions, prefix, field = 'receiptNumber') =>
+  (transactions || []).reduce((max, t) => {
+    const sequence = parseReceiptSequence(t?.[field], prefix)
+    return sequence && sequence > max ? sequence : max
+  }, 0)
+
+/**
+ * Document number to show for a transaction: the receipt number for sales, the
+ * credit-note number for returns. Sales saved before numbering existed fall back
+ * to the tail of their transaction ID.
+ * @param {Object} transaction
+ * @returns {string}
+ */
+export const getReceiptNumber = (transaction) => {
+  if (transaction?.receiptNumber) return transaction.receiptNumber
+  if (transaction?.creditNoteNumber) return transaction.creditNoteNumber
+  if (transaction?.depositRefundNumber) return transaction.depositRefundNumber
+  if (transaction?.voucherCode) return transaction.voucherCode
+  return typeof transaction?.id === 'string' ? transaction.id.slice(-8) : 'N/A'
+}
+
+const counterKey = (adminId, prefix) => `${adminId || 'local'}|${prefix}`
+
+/**
+ * Read-modify-write the counter for a prefix inside one IndexedDB transaction
+ * @param {string} key
+ * @param {(current: number) => number} update - Returns the new counter value
+ * @returns {Promise<{previous: number, current: number}>}
+ */
+const updateCounter = async (key, update) => {
+  const dbConn = await getDB()
+
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = dbConn.transaction([STORES.RECEIPT_COUNTERS], 'readwrite')
+      const store = tx.objectStore(STORES.RECEIPT_COUNTERS)
+      let result = null
+
+      const getRequest = store.get(key)
+      getRequest.onsuccess = () => {
+        const previous = getRequest.result?.lastSequence || 0
+        const current = update(previous)
+        result = { previous, current }
+        if (current !== previous) {
+          store.put({ key, lastSequence: current, updatedAt: new Date().toISOString() })
+        }
+      }
+
+      tx.oncomplete = () => {
+        dbConn.close()
+        resolve(result)
+      }
+      tx.onerror = () => {
+        console.error('❌ Receipt counter transaction error:', tx.error)
+        dbConn.close()
+        reject(tx.error)
+      }
+    } catch (error) {
+      dbConn.close()
+      reject(error)
+    }
+  })
+}
+
+/**
+ * Allocate the next receipt number for this branch + terminal
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.branchId
+ * @param {string} params.terminalId
+ * @param {Array} [params.transactions] - Known transactions; the counter never goes below what they already used
+ * @param {Object} [params.series] - One of DOCUMENT_SERIES to number that document instead of a sale
+ * @returns {Promise<string>}
+ */
+export const allocateReceiptNumber = async ({ adminId, branchId, terminalId, transactions = [], series = null }) => {
+  if (!isAvailable()) {
+    throw new Error('IndexedDB is not available on this device')
+  }
+
+  const prefix = getReceiptPrefix(branchId, terminalId, series)
+  const highestSeen = getHighestReceiptSequence(transactions, prefix, series?.field)
+  const { current } = await updateCounter(counterKey(adminId, prefix), (previous) => Math.max(previous, highestSeen) + 1)
+  return formatReceiptNumber(prefix, current)
+}
+
+/**
+ * Hand back a receipt number whose sale failed to save, so the sequence stays gap-free.
+ * Only the most recently allocated number can be released.
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.receiptNumber
+ * @param {string} params.branchId
+ * @param {string} params.terminalId
+ * @param {Object} [params.series] - The DOCUMENT_SERIES the number was allocated in
+ * @returns {Promise<boolean>} Whether the number was released
+ */
+export const releaseReceiptNumber = async ({ adminId, receiptNumber, branchId, terminalId, series = null }) => {
+  if (!isAvailable()) return false
+
+  const prefix = getReceiptPrefix(branchId, terminalId, series)
+  const sequence = parseReceiptSequence(receiptNumber, prefix)
+  if (!sequence) return false
+
+  const { previous, current } = await updateCounter(counterKey(adminId, prefix), (last) => (last === sequence ? last - 1 : last))
+  return current !== previous
+}
+
+/**
+ * Bring this terminal's counter up to the highest number found in synced transactions
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.branchId
+ * @param {string} params.terminalId
+ * @param {Array} params.transactions
+ * @returns {Promise<number>} The counter after reconciling
+ */
+export const reconcileReceiptCounter = async ({ adminId, branchId, terminalId, transactions }) => {
+  if (!isAvailable()) return 0
+
+  const prefix = getReceiptPrefix(branchId, terminalId)
+  const highestSeen = getHighestReceiptSequence(transactions, prefix)
+  const { previous, current } = await updateCounter(counterKey(adminId, prefix), (last) => Math.max(last, highestSeen))
+  if (current !== previous) {
+    console.log(`🧾 Receipt counter for ${prefix} moved from ${previous} to ${current} after sync`)
+  }
+  return current
+}
@@ -0,0 +1,106 @@
+/**
+ * Receipt printing for this terminal
+ *
+ * Picks the transport from the terminal's receiptPrinter settings and sends
+ * ESC/POS documents to it. With the 'browser' transport nothing is sent and the
+ * caller falls back to window.print().
+ */
+
+import { getTerminalSettings } from './terminal'
+import { getTenderAmount, TENDER_TYPES } from './tenders'
+import { createEscPosDocument, buildReceiptDocument } from './escpos'
+import { createWebUsbTransport, createSerialTransport, createNetworkTransport } from './printerTransports'
+
+export const PRINTER_TRANSPORTS = {
+  BROWSER: 'browser',
+  WEBUSB: 'webusb',
+  SERIAL: 'serial',
+  NETWORK: 'network'
+}
+
+// Keep the open USB/serial connection between receipts
+let cachedTransport = null
+let cachedKey = null
+
+/**
+ * Transport configured for this terminal
+ * @param {Object} [settings] - Defaults to the terminal's saved receiptPrinter settings
+ * @returns {Object|null} Transport, or null for browser printing
+ */
+export const getPrinterTransport = (settings = getTerminalSettings().receiptPrinter) => {
+  const key = JSON.stringify(settings)
+  if (cachedTransport && cachedKey === key) return cachedTransport
+
+  let transport = null
+  switch (settings?.transport) {
+    case PRINTER_TRANSPORTS.WEBUSB:
+      transport = createWebUsbTransport()
+      break
+    case PRINTER_TRANSPORTS.SERIAL:
+      transport = createSerialTransport({ baudRate: settings.baudRate })
+      break
+    case PRINTER_TRANSPORTS.NETWORK:
+      transport = createNetworkTransport({ bridgeUrl: settings.bridgeUrl, host: settings.host, port: settings.port })
+      break
+    default:
+      transport = null
+  }
+
+  cachedTransport = transport
+  cachedKey = key
+  return transport
+}
+
+/**
+ * Whether receipts on this terminal go straight to an ESC/POS printer
+ * @returns {boolean}
+ */
+export const usesEscPosPrinter = () => getPrinterTransport() !== null
+
+const send = async (doc, { prompt = false } = {}) => {
+  const transport = getPrinterTransport()
+  if (!transport) throw new Error('No receipt printer is set up on this terminal')
+  await transport.connect({ prompt })
+  await transport.write(doc.toBytes())
+}
+
+/**
+ * Print a sale or credit note, kicking the drawer when cash changed hands
+ * @param {Object} transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.prompt] - Allow the browser's device picker (call from a click)
+ * @param {boolean} [options.reprint] - Reprints never open the drawer
+ * @returns {Promise<void>}
+ */
+export const printReceipt = async (transaction, { prompt = false, reprint = false } = {}) => {
+  const settings = getTerminalSettings().receiptPrinter
+  const openDrawer = !reprint && settings.openDrawerOnCash && getTenderAmount(transaction, TENDER_TYPES.CASH) !== 0
+  await send(buildReceiptDocument(transaction, { paperWidth: settings.paperWidth, openDrawer }), { prompt })
+}
+
+/**
+ * Print a short test slip (also used to pair the printer)
+ * @returns {Promise<void>}
+ */
+export const printTestPage = async () => {
+  const settings = getTerminalSettings().receiptPrinter
+  const doc = createEscPosDocument({ paperWidth: settings.paperWidth })
+  doc.align('center')
+    .bold().size({ doubleHeight: true }).line('PRINTER TEST').size().bold(false)
+    .line(`${doc.paperWidth} paper, ${doc.columns} columns`)
+    .line(new Date().toLocaleString('en-KE'))
+    .align('left')
+    .rule()
+    .row('Left', 'Right')
+    .feed(3)
+    .cut()
+  await send(doc, { prompt: true })
+}
+
+/**
+ * Pulse the cash drawer connected to the receipt printer
+ * @returns {Promise<void>}
+ */
+export const openCashDrawer = async () => {
+  await send(createEscPosDocument().openDrawer(), { prompt: true })
+}
@@ -0,0 +1,213 @@
+/**
+ * Returns & Credit Notes
+ *
+ * A customer return is recorded as a credit-note document in the transactions
+ * collection (type: 'credit_note'). All money and quantity fields on a credit
+ * note are negative, so any report that sums `total`, item quantities or tender
+ * amounts nets the return out of the original sale automatically.
+ */
+
+import { calculateVAT, calculatePriceBeforeVAT } from './pricing'
+import { TENDER_TYPES, getTenderAmount } from './tenders'
+
+export const CREDIT_NOTE_TYPE = 'credit_note'
+
+/** What happens to returned stock */
+export const RETURN_DISPOSITIONS = {
+  RESTOCK: 'restock',
+  DAMAGED: 'damaged'
+}
+
+/** Tenders a refund can be paid out with */
+export const REFUND_METHODS = [
+  TENDER_TYPES.CASH,
+  TENDER_TYPES.MPESA,
+  TENDER_TYPES.STORE_CREDIT,
+  TENDER_TYPES.CREDIT
+]
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Whether a transaction document is a credit note
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isCreditNote = (transaction) => transaction?.type === CREDIT_NOTE_TYPE
+
+/**
+ * Whether a transaction is a normal sale (not a credit note or loan repayment)
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isSaleTransaction = (transaction) => !transaction?.type
+
+/**
+ * Refund methods that make sense for a given original sale.
+ * Putting money back on account only applies when part of the sale was on credit,
+ * and store credit needs a named customer to hold the balance.
+ * @param {Object} original - Original sale
+ * @returns {string[]}
+ */
+export const getAvailableRefundMethods = (original) => {
+  return REFUND_METHODS.filter(method => {
+    if (method === TENDER_TYPES.CREDIT) return getTenderAmount(original, TENDER_TYPES.CREDIT) > 0
+    if (method === TENDER_TYPES.STORE_CREDIT) return !!original?.customerId
+    return true
+  })
+}
+
+/**
+ * Net unit price actually charged for a line, after the sale-level discount.
+ * A promotion discount on the line is spread evenly over its units.
+ * @param {Object} item - Sold line
+ * @param {number} discountPercentage - Sale discount (0-100)
+ * @returns {number}
+ */
+const getNetUnitPrice = (item, discountPercentage = 0) => {
+  const promotionPerUnit = item.quantity ? (item.promotionDiscount || 0) / item.quantity : 0
+  return ((item.price || 0) - promotionPerUnit) * (1 - (discountPercentage || 0) / 100)
+}
+
+/**
+ * Lines of an original sale with what has already been returned against them
+ * @param {Object} original - Original sale
+ * @param {Array} transactions - All transactions (credit notes are picked out by originalTransactionId)
+ * @returns {Array<Object>} Sold lines with returnedQuantity and returnableQuantity
+ */
+export const getReturnableItems = (original, transactions = []) => {
+  const returnedById = {}
+  transactions
+    .filter(t => isCreditNote(t) && t.originalTransactionId === original?.id)
+    .forEach(note => {
+      (note.items || []).forEach(line => {
+        returnedById[line.id] = (returnedById[line.id] || 0) + Math.abs(line.quantity || 0)
+      })
+    })
+
+  return (original?.items || []).map(item => {
+    const returnedQuantity = returnedById[item.id] || 0
+    return {
+      ...item,
+      returnedQuantity,
+      returnableQuantity: Math.max(0, (item.quantity || 0) - returnedQuantity)
+    }
+  })
+}
+
+/**
+ * Refund owed for the selected return lines
+ * @param {Object} original - Original sale
+ * @param {Array<{id, quantity}>} lines - Lines being returned
+ * @returns {number}
+ */
+export const calculateRefundTotal = (original, lines) => {
+  return roundMoney(lines.reduce((sum, line) => {
+    const item = (original?.items || []).find(i => i.id === line.id)
+    if (!item) return sum
+    return sum + getNetUnitPrice(item, original.discount) * (line.quantity || 0)
+  }, 0))
+}
+
+/**
+ * Validate a return request against the original sale
+ * @param {Object} original
+ * @param {Array} transactions - Used to work out what has already been returned
+ * @param {Array<{id, quantity}>} lines
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateReturn = (original, transactions, lines) => {
+  if (!original || !isSaleTransaction(original)) return 'Only sales can be returned'
+  if (original.paymentStatus === 'cancelled') return 'This sale has been cancelled'
+
+  const selected = (lines || []).filter(l => (l.quantity || 0) > 0)
+  if (selected.length === 0) return 'Select at least one item to return'
+
+  const returnable = getReturnableItems(original, transactions)
+  for (const line of selected) {
+    const item = returnable.find(i => i.id === line.id)
+    if (!item) return 'Item is not part of this sale'
+    if (!Number.isInteger(line.quantity)) return `Enter a whole quantity for ${item.name}`
+    if (line.quantity > item.returnableQuantity) {
+      return `Only ${item.returnableQuantity} of ${item.name} can still be returned`
+    }
+  }
+  return null
+}
+
+/**
+ * Build the credit-note document for a return
+ * @param {Object} params
+ * @param {Object} params.original - Original sale
+ * @param {Array<{id, quantity, disposition}>} params.lines - Lines being returned
+ * @param {string} params.refundMethod - cash | mpesa | store_credit | credit
+ * @param {string} [params.reference] - M-Pesa reversal code
+ * @param {string} [params.reason] - Why the goods came back
+ * @param {string} params.creditNoteNumber
+ * @param {Object} params.user - User processing the return
+ * @returns {Object} Credit-note transaction
+ */
+export const buildCreditNote = ({ original, lines, refundMethod, reference, reason, creditNoteNumber, user }) => {
+  const vatRate = original.vatRate ?? 0.16
+  const discount = original.discount || 0
+
+  const items = lines
+    .filter(line => (line.quantity || 0) > 0)
+    .map(line => {
+      const item = original.items.find(i => i.id === line.id)
+      const grossTotal = (item.price || 0) * line.quantity
+      const itemTotal = roundMoney(getNetUnitPrice(item, discount) * line.quantity)
+      return {
+        id: item.id,
+        name: item.name,
+        sku: item.sku,
+        quantity: -line.quantity,
+        price: item.price,
+        grossTotal: -roundMoney(grossTotal),
+        itemTotal: -itemTotal,
+        itemVAT: -calculateVAT(itemTotal, vatRate),
+        itemPriceBeforeVAT: -calculatePriceBeforeVAT(itemTotal, vatRate),
+        vatRate,
+        ...(item.unitId ? { productId: item.productId, unitId: item.unitId, unitName: item.unitName, unitFactor: item.unitFactor } : {}),
+        // What the goods cost when sold, so the return takes back the same cost
+        ...(item.unitCost != null ? { unitCost: item.unitCost } : {}),
+        disposition: line.disposition || RETURN_DISPOSITIONS.RESTOCK
+      }
+    })
+
+  const subtotal = roundMoney(items.reduce((sum, i) => sum + i.grossTotal, 0))
+  const total = roundMoney(items.reduce((sum, i) => sum + i.itemTotal, 0))
+  const timestamp = new Date().toISOString()
+
+  return {
+    id: `CN-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+    type: CREDIT_NOTE_TYPE,
+    creditNoteNumber,
+    originalTransactionId: original.id,
+    originalReceiptNumber: original.receiptNumber || original.id,
+    timestamp,
+    userId: user?.id,
+    cashier: user?.name || 'Unknown',
+    cashierId: user?.id,
+    branchId: original.branchId,
+    customerId: original.customerId || null,
+    customerName: original.customerName || null,
+    items: items.map(({ grossTotal, ...rest }) => rest),
+    subtotal,
+    discount,
+    discountAmount: roundMoney(subtotal - total),
+    priceBeforeVAT: calculatePriceBeforeVAT(Math.abs(total), vatRate) * -1,
+    vatAmount: calculateVAT(Math.abs(total), vatRate) * -1,
+    vatRate,
+    total,
+    paymentMethod: refundMethod,
+    payments: [{
+      method: refundMethod,
+      amount: total,
+      ...(reference ? { reference } : {})
+    }],
+    paymentStatus: 'completed',
+    itemCount: items.reduce((sum, i) => sum + i.quantity, 0),
+    reason: reason || ''
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Cashier shifts (till sessions)
+ *
+ * A shift starts with a counted opening float and belongs to one cashier on one
+ * terminal. Sales and credit notes rung up while it is open carry its `shiftId`;
+ * cash pay-ins and pay-outs (float top-ups, petty cash drops) are recorded on the
+ * shift itself. Closing is a blind count by denomination: the cashier doesn't see
+ * the expected figures until the count is saved, then the Z-report compares
+ * expected and counted cash and M-Pesa and the variances stay on the shift for review.
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+import { getTenderAmount } from './tenders'
+import { isCreditNote } from './returns'
+import { isDepositRefund } from './deposits'
+import { isVoucherSale } from './vouchers'
+
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+}
+
+export const CASH_MOVEMENT_TYPES = {
+  PAY_IN: 'pay_in',
+  PAY_OUT: 'pay_out'
+}
+
+export const REPORT_TYPES = {
+  X: 'X', // Mid-shift snapshot, shift stays open
+  Z: 'Z'  // End of shift, after the closing count
+}
+
+// Kenyan shilling notes and coins, largest first
+export const KES_DENOMINATIONS = [1000, 500, 200, 100, 50, 20, 10, 5, 1]
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Total value of a denomination count
+ * @param {Object<string, number>} counts - { "1000": 3, "50": 4, ... }
+ * @returns {number}
+ */
+export const sumDenominations = (counts = {}) => {
+  return roundMoney(
+    Object.entries(counts).reduce((sum, [value, count]) => sum + Number(value) * (Number(count) || 0), 0)
+  )
+}
+
+/**
+ * Sales and credit notes rung up during a shift (cancelled sales excluded)
+ * @param {Object} shift
+ * @param {Array} transactions
+ * @returns {Array}
+ */
+export const getShiftTransactions = (shift, transactions = []) => {
+  return transactions.filter(t => t.shiftId === shift.id && t.paymentStatus !== 'cancelled')
+}
+
+/**
+ * Running totals for a shift
+ * @param {Object} shift
+ * @param {Array} transactions - All transactions; the shift's are picked out by shiftId
+ * @returns {Object} Counts, tender totals, pay-ins/outs and expected cash/M-Pesa
+ */
+export const calculateShiftTotals = (shift, transactions = []) => {
+  const shiftTransactions = getShiftTransactions(shift, transactions)
+  const sales = shiftTransactions.filter(t => !isCreditNote(t) && !isDepositRefund(t) && !isVoucherSale(t))
+  const creditNotes = shiftTransactions.filter(isCreditNote)
+  const depositRefunds = shiftTransactions.filter(isDepositRefund)
+  const voucherSales = shiftTransactions.filter(isVoucherSale)
+  const sumTender = (list, method) => roundMoney(list.reduce((sum, t) => sum + getTenderAmount(t, method), 0))
+
+  const movements = shift.movements || []
+  const payIns = roundMoney(movements.filter(m => m.type === CASH_MOVEMENT_TYPES.PAY_IN).reduce((sum, m) => sum + m.amount, 0))
+  const payOuts = roundMoney(movements.filter(m => m.type === CASH_MOVEMENT_TYPES.PAY_OUT).reduce((sum, m) => sum + m.amount, 0))
+
+  const cashSales = sumTender(sales, 'cash')
+  // Credit notes carry negative amounts
+  const cashRefunds = sumTender(creditNotes, 'cash')
+  const mpesaSales = sumTender(sales, 'mpesa')
+  const mpesaRefunds = sumTender(creditNotes, 'mpesa')
+  // Empties paid back, also negative
+  const cashDepositRefunds = sumTender(depositRefunds, 'cash')
+  const mpesaDepositRefunds = sumTender(depositRefunds, 'mpesa')
+  // Gift vouchers bought are money in the drawer, just not sales
+  const cashVoucherSales = sumTender(voucherSales, 'cash')
+  const mpesaVoucherSales = sumTender(voucherSales, 'mpesa')
+  const openingFloat = roundMoney(shift.openingFloat)
+
+  return {
+    salesCount: sales.length,
+    returnsCount: creditNotes.length,
+    grossSales: roundMoney(sales.reduce((sum, t) => sum + (t.total || 0), 0)),
+    refunds: roundMoney(creditNotes.reduce((sum, t) => sum + Math.abs(t.total || 0), 0)),
+    cashSales,
+    cashRefunds: Math.abs(cashRefunds),
+    mpesaSales,
+    mpesaRefunds: Math.abs(mpesaRefunds),
+    creditSales: sumTender(sales, 'credit'),
+    depositsCollected: roundMoney(sales.reduce((sum, t) => sum + (t.depositTotal || 0), 0)),
+    depositRefunds: roundMoney(depositRefunds.reduce((sum, t) => sum + Math.abs(t.total || 0), 0)),
+    cashDepositRefunds: Math.abs(cashDepositRefunds),
+    vouchersSold: roundMoney(voucherSales.reduce((sum, t) => sum + (t.total || 0), 0)),
+    cashVoucherSales,
+    voucherRedemptions: sumTender(sales, 'voucher'),
+    storeCreditRedemptions: sumTender(sales, 'store_credit'),
+    loyaltyRedemptions: sumTender(sales, 'loyalty_points'),
+    openingFloat,
+    payIns,
+    payOuts,
+    expectedCash: roundMoney(openingFloat + cashSales + cashRefunds + cashDepositRefunds + cashVoucherSales + payIns - payOuts),
+    expectedMpesa: roundMoney(mpesaSales + mpesaRefunds + mpesaDepositRefunds + mpesaVoucherSales)
+  }
+}
+
+/**
+ * X or Z report for a shift
+ * @param {Object} shift
+ * @param {Array} transactions
+ * @param {string} [type] - REPORT_TYPES.X or REPORT_TYPES.Z; defaults to Z for closed shifts
+ * @returns {Object}
+ */
+export const buildShiftReport = (shift, transactions = [], type) => {
+  const reportType = type || (shift.status === SHIFT_STATUS.CLOSED ? REPORT_TYPES.Z : REPORT_TYPES.X)
+  // A closed shift reports the figures frozen at close so later edits don't move the Z-report
+  const totals = shift.status === SHIFT_STATUS.CLOSED && shift.totals
+    ? shift.totals
+    : calculateShiftTotals(shift, transactions)
+
+  return {
+    type: reportType,
+    shiftId: shift.id,
+    cashierName: shift.cashierName,
+    branchId: shift.branchId,
+    terminalId: shift.terminalId,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt || null,
+    generatedAt: new Date().toISOString(),
+    totals,
+    movements: shift.movements || [],
+    counted: reportType === REPORT_TYPES.Z && shift.closingCount
+      ? {
+          ...shift.closingCount,
+          cashVariance: shift.cashVariance,
+          mpesaVariance: shift.mpesaVariance
+        }
+      : null
+  }
+}
+
+/**
+ * Find the open shift for a cashier (on any terminal)
+ * @param {Array} shifts
+ * @param {string} userId
+ * @returns {Object|null}
+ */
+export const findOpenShift = (shifts = [], userId) => {
+  return shifts.find(s => s.status === SHIFT_STATUS.OPEN && String(s.cashierId) === String(userId)) || null
+}
+
+const readShifts = async (adminId) => {
+  const data = await readSharedData(adminId, false, { stores: ['shifts'] })
+  return data.shifts || []
+}
+
+// Saved into the full shared data: the desktop file and the localStorage
+// fallback store the object exactly as given, other stores included
+const saveShift = async (adminId, shift) => {
+  const sharedData = await readSharedData(adminId)
+  const shifts = sharedData.shifts || []
+  const updatedShifts = shifts.some(s => s.id === shift.id)
+    ? shifts.map(s => (s.id === shift.id ? shift : s))
+    : [...shifts, shift]
+  await writeSharedData({ ...sharedData, shifts: updatedShifts }, adminId, { writeOnlyStores: ['shifts'] })
+  return shift
+}
+
+const getShiftById = async (adminId, shiftId) => {
+  const shift = (await readShifts(adminId)).find(s => s.id === shiftId)
+  if (!shift) throw new Error('Shift not found')
+  return shift
+}
+
+/**
+ * The user's open shift, if any
+ * @param {string} adminId
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+export const getOpenShift = async (adminId, userId) => {
+  return findOpenShift(await readShifts(adminId), userId)
+}
+
+/**
+ * Open a shift with a counted float
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {Object} params.user - Cashier opening the shift
+ * @param {string} params.terminalId
+ * @param {Object<string, number>} [params.denominations] - Float counted by denomination
+ * @param {number} [params.openingFloat] - Float total when not counted by denomination
+ * @returns {Promise<Object>} The new shift
+ */
+export const openShift = async ({ adminId, user, terminalId, denominations = null, openingFloat = 0 }) => {
+  const existing = await getOpenShift(adminId, user.id)
+  if (existing) {
+    throw new Error(`You already have a shift open on terminal ${existing.terminalId}`)
+  }
+
+  const float = denominations ? sumDenominations(denominations) : roundMoney(openingFloat)
+  if (float < 0) throw new Error('Opening float cannot be negative')
+
+  return saveShift(adminId, {
+    id: `SHIFT-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    status: SHIFT_STATUS.OPEN,
+    cashierId: user.id,
+    cashierName: user.name || 'Unknown',
+    branchId: user.branchId || null,
+    terminalId,
+    openedAt: new Date().toISOString(),
+    openingFloat: float,
+    openingDenominations: denominations,
+    movements: []
+  })
+}
+
+/**
+ * Record a cash pay-in or pay-out on an open shift
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.shiftId
+ * @param {string} params.type - CASH_MOVEMENT_TYPES
+ * @param {number} params.amount
+ * @param {string} params.reason
+ * @param {Object} params.user
+ * @returns {Promise<Object>} The updated shift
+ */
+export const addCashMovement = async ({ adminId, shiftId, type, amount, reason, user }) => {
+  if (!Object.values(CASH_MOVEMENT_TYPES).includes(type)) throw new Error('Unknown cash movement')
+  if (!(Number(amount) > 0)) throw new Error('Enter an amount greater than zero')
+  if (!reason?.trim()) throw new Error('Enter a reason')
+
+  const shift = await getShiftById(adminId, shiftId)
+  if (shift.status !== SHIFT_STATUS.OPEN) throw new Error('This shift is already closed')
+
+  return saveShift(adminId, {
+    ...shift,
+    movements: [
+      ...(shift.movements || []),
+      {
+        id: `MOV-${Date.now()}`,
+        type,
+        amount: roundMoney(amount),
+        reason: reason.trim(),
+        recordedBy: user?.name || 'Unknown',
+        recordedAt: new Date().toISOString()
+      }
+    ]
+  })
+}
+
+/**
+ * Close a shift with a blind cash count and work out the variances
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.shiftId
+ * @param {Object<string, number>} params.denominations - Cash in the drawer by denomination
+ * @param {number} params.countedMpesa - M-Pesa received per the till statement/SMS
+ * @param {string} [params.notes]
+ * @param {Array} params.transactions - Transactions to total the shift from
+ * @param {Object} params.user
+ * @returns {Promise<Object>} The closed shift
+ */
+export const closeShift = async ({ adminId, shiftId, denominations, countedMpesa, notes = '', transactions, user }) => {
+  const shift = await getShiftById(adminId, shiftId)
+  if (shift.status !== SHIFT_STATUS.OPEN) throw new Error('This shift is already closed')
+
+  const totals = calculateShiftTotals(shift, transactions)
+  const countedCash = sumDenominations(denominations)
+  const mpesa = roundMoney(countedMpesa)
+
+  return saveShift(adminId, {
+    ...shift,
+    status: SHIFT_STATUS.CLOSED,
+    closedAt: new Date().toISOString(),
+    closedBy: user?.name || 'Unknown',
+    closingCount: {
+      denominations,
+      countedCash,
+      countedMpesa: mpesa,
+      notes: notes.trim()
+    },
+    totals,
+    cashVariance: roundMoney(countedCash - totals.expectedCash),
+    mpesaVariance: roundMoney(mpesa - totals.expectedMpesa)
+  })
+}
+
+/**
+ * Mark a closed shift's variances as reviewed
+ * @param {Object} params - { adminId, shiftId, note, user }
+ * @returns {Promise<Object>} The updated shift
+ */
+export const reviewShift = async ({ adminId, shiftId, note = '', user }) => {
+  const shift = await getShiftById(adminId, shiftId)
+  if (shift.status !== SHIFT_STATUS.CLOSED) throw new Error('Only closed shifts can be reviewed')
+
+  return saveShift(adminId, {
+    ...shift,
+    review: {
+      note: note.trim(),
+      reviewedBy: user?.name || 'Unknown',
+      reviewedById: user?.id || null,
+      reviewedAt: new Date().toISOString()
+    }
+  })
+}
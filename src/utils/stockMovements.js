@@ -0,0 +1,147 @@
+/**
+ * Stock movement ledger
+ *
+ * Every change to a product's quantity is written as a movement: which product
+ * in which branch, how much it changed by, why, the document that caused it
+ * (receipt, GRN, transfer...) and who did it. Movements are only ever added,
+ * never edited, so a product's movements explain how its stock got to where it
+ * is, and the stock on any earlier date is the current stock with the later
+ * movements taken back off.
+ *
+ * Quantities are in base units (bottles, not cases), like inventory.
+ */
+
+import { readSharedData } from './storage'
+import { createUserSnapshot } from './userTracking'
+
+export const MOVEMENT_REASONS = {
+  SALE: 'sale',
+  SALE_CANCELLED: 'sale_cancelled',
+  RETURN: 'return',
+  RETURN_WRITTEN_OFF: 'return_written_off',
+  EMPTIES_RETURNED: 'empties_returned',
+  ADJUSTMENT: 'adjustment',
+  STOCK_COUNT: 'stock_count',
+  GOODS_RECEIVED: 'goods_received',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  TRANSFER_RETURN: 'transfer_return',
+  NEW_PRODUCT: 'new_product',
+  IMPORT: 'import',
+  PRODUCT_EDIT: 'product_edit'
+}
+
+export const MOVEMENT_REASON_LABELS = {
+  [MOVEMENT_REASONS.SALE]: 'Sale',
+  [MOVEMENT_REASONS.SALE_CANCELLED]: 'Sale cancelled',
+  [MOVEMENT_REASONS.RETURN]: 'Customer return',
+  [MOVEMENT_REASONS.RETURN_WRITTEN_OFF]: 'Return written off',
+  [MOVEMENT_REASONS.EMPTIES_RETURNED]: 'Empties returned',
+  [MOVEMENT_REASONS.ADJUSTMENT]: 'Stock adjustment',
+  [MOVEMENT_REASONS.STOCK_COUNT]: 'Stock count',
+  [MOVEMENT_REASONS.GOODS_RECEIVED]: 'Goods received',
+  [MOVEMENT_REASONS.TRANSFER_OUT]: 'Sent to branch',
+  [MOVEMENT_REASONS.TRANSFER_IN]: 'Received from branch',
+  [MOVEMENT_REASONS.TRANSFER_RETURN]: 'Transfer cancelled',
+  [MOVEMENT_REASONS.NEW_PRODUCT]: 'Opening stock',
+  [MOVEMENT_REASONS.IMPORT]: 'CSV import',
+  [MOVEMENT_REASONS.PRODUCT_EDIT]: 'Product edited'
+}
+
+const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+
+const rowKey = (product) => `${normalizeBranchId(product.branchId)}|${product.id}`
+
+/**
+ * A movement for one product
+ * @param {Object} params
+ * @param {Object} params.product - The product as it is after the change
+ * @param {number} params.previousStock
+ * @param {number} params.newStock
+ * @param {string} params.reason - One of MOVEMENT_REASONS
+ * @param {Object} [params.source] - The document behind it: { type, id, number }
+ * @param {string} [params.notes]
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildStockMovement = ({ product, previousStock, newStock, reason, source = {}, notes = '', user, now = new Date() }) => ({
+  id: `MOV-${now.getTime()}-${Math.random().toString(36).substring(2, 11)}`,
+  productId: product.id,
+  productName: product.name,
+  productSku: product.sku || '',
+  branchId: product.branchId || null,
+  delta: newStock - previousStock,
+  previousStock,
+  newStock,
+  reason,
+  sourceType: source.type || null,
+  sourceId: source.id ?? null,
+  sourceNumber: source.number || null,
+  notes,
+  user: createUserSnapshot(user),
+  timestamp: now.toISOString()
+})
+
+/**
+ * Movements for every product whose quantity differs between two copies of
+ * the inventory. Products are matched by branch and id, since ids repeat
+ * across branches; products that are new in `after` start from 0.
+ * @param {Array} before
+ * @param {Array} after
+ * @param {Object} params - reason, source, notes, user and now, as buildStockMovement
+ * @returns {Array}
+ */
+export const getInventoryMovements = (before = [], after = [], params) => {
+  const previous = new Map(before.filter(item => !item.deletedAt).map(item => [rowKey(item), item]))
+  return after
+    .filter(item => !item.deletedAt)
+    .map(item => {
+      const previousStock = previous.get(rowKey(item))?.quantity || 0
+      const newStock = item.quantity || 0
+      return previousStock === newStock ? null : buildStockMovement({ ...params, product: item, previousStock, newStock })
+    })
+    .filter(Boolean)
+}
+
+/**
+ * A product's movements in its own branch, newest first
+ * @param {Array} movements
+ * @param {Object} product
+ * @returns {Array}
+ */
+export const getProductMovements = (movements = [], product) => {
+  const branch = normalizeBranchId(product.branchId)
+  return movements
+    .filter(m => String(m.productId) === String(product.id) && normalizeBranchId(m.branchId) === branch)
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+}
+
+/**
+ * A product's stock at a point in time: its stock now, less everything that
+ * moved after then. Dates before the ledger began give the stock at the start
+ * of the ledger.
+ * @param {Object} product
+ * @param {Array} movements - Any movements; the product's own are picked out
+ * @param {Date|string} asOf
+ * @returns {number}
+ */
+export const getStockAsOf = (product, movements = [], asOf) => {
+  const cutoff = new Date(asOf).toISOString()
+  return getProductMovements(movements, product)
+    .filter(m => m.timestamp > cutoff)
+    .reduce((stock, m) => stock - (m.delta || 0), product.quantity || 0)
+}
+
+/**
+ * Read the ledger, optionally for one branch
+ * @param {string} adminId
+ * @param {string} [branchId]
+ * @returns {Promise<Array>} Newest first
+ */
+export const getStockMovements = async (adminId, branchId = null) => {
+  const data = await readSharedData(adminId, false, { stores: ['stockMovements'] })
+  return (data.stockMovements || [])
+    .filter(m => !branchId || normalizeBranchId(m.branchId) === normalizeBranchId(branchId))
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+}
@@ -0,0 +1,543 @@
+/**
+ * Stock transfers between branches
+ *
+ * A transfer is how stock moves from one branch to another. The branch that is
+ * short requests products from its own inventory list; the sending branch
+ * dispatches what it can spare, which takes it off their shelf straight away;
+ * the van collects it (in transit); and the receiving branch counts what
+ * arrived, which puts it on their shelf. Until then the stock lives on the
+ * transfer and belongs to neither branch. Anything that arrives short or over
+ * is recorded on the transfer as a discrepancy.
+ *
+ * Branches hold their own copy of each product, so the sending branch's
+ * product is found by SKU, then barcode, then name. Lots travel with the stock:
+ * the lots picked at dispatch are the lots that arrive. Each movement is also
+ * written to stockAdjustments and the stock movement ledger for the branch it
+ * happened in.
+ *
+ * Quantities are in base units (bottles, not cases).
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+import { allocateReceiptNumber, releaseReceiptNumber, DOCUMENT_SERIES } from './receiptNumbers'
+import { getTerminalId } from './terminal'
+import { createUserSnapshot } from './userTracking'
+import { UNTRACKED_LOT_ID, getProductLots, consumeLots, receiveLot, returnToLots } from './lots'
+import { buildStockMovement } from './stockMovements'
+
+export const TRANSFER_STATUS = {
+  REQUESTED: 'requested',
+  DISPATCHED: 'dispatched',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+}
+
+// Stock has left the sending branch but not reached the other one
+const IN_TRANSIT_STATUSES = [TRANSFER_STATUS.DISPATCHED, TRANSFER_STATUS.IN_TRANSIT]
+
+const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase()
+
+const isBranchProduct = (item, branchId) => !item.deletedAt && normalizeBranchId(item.branchId) === normalizeBranchId(branchId)
+
+/**
+ * Whether a branch is the sender or receiver of a transfer
+ * @param {Object} transfer
+ * @param {string} branchId
+ * @returns {'source'|'destination'|null}
+ */
+export const getTransferSide = (transfer, branchId) => {
+  if (!branchId) return null
+  if (normalizeBranchId(transfer?.fromBranchId) === normalizeBranchId(branchId)) return 'source'
+  if (normalizeBranchId(transfer?.toBranchId) === normalizeBranchId(branchId)) return 'destination'
+  return null
+}
+
+/**
+ * A branch's copy of a product, matched by SKU, then barcode, then name
+ * @param {Array} inventory - Inventory of every branch
+ * @param {string} branchId
+ * @param {Object} product - { sku?, barcode?, name }
+ * @returns {Object|undefined}
+ */
+export const findBranchProduct = (inventory = [], branchId, product) => {
+  const items = inventory.filter(item => isBranchProduct(item, branchId))
+  const sku = normalizeText(product?.sku)
+  const barcode = normalizeText(product?.barcode)
+  const name = normalizeText(product?.name)
+  return (sku && items.find(item => normalizeText(item.sku) === sku)) ||
+    (barcode && items.find(item => normalizeText(item.barcode) === barcode)) ||
+    (name && items.find(item => normalizeText(item.name) === name)) ||
+    undefined
+}
+
+/**
+ * Units on the road to and from a branch
+ * @param {Array} transfers
+ * @param {string} branchId
+ * @returns {{ incomingUnits: number, incomingCount: number, outgoingUnits: number, outgoingCount: number }}
+ */
+export const getInTransitSummary = (transfers = [], branchId) => {
+  const summary = { incomingUnits: 0, incomingCount: 0, outgoingUnits: 0, outgoingCount: 0 }
+  transfers.filter(t => IN_TRANSIT_STATUSES.includes(t.status)).forEach(transfer => {
+    const side = getTransferSide(transfer, branchId)
+    if (!side) return
+    const units = (transfer.items || []).reduce((sum, line) => sum + (line.dispatchedQuantity || 0), 0)
+    const key = side === 'destination' ? 'incoming' : 'outgoing'
+    summary[`${key}Units`] += units
+    summary[`${key}Count`] += 1
+  })
+  return summary
+}
+
+const checkQuantity = (value, name) => {
+  const quantity = Number(value)
+  if (!Number.isInteger(quantity) || quantity < 0) throw new Error(`Enter a whole number of ${name}`)
+  return quantity
+}
+
+const withStatus = (transfer, status, user, now, extra = {}) => ({
+  ...transfer,
+  ...extra,
+  status,
+  updatedAt: now.toISOString(),
+  statusHistory: [
+    ...(transfer.statusHistory || []),
+    { status, timestamp: now.toISOString(), changedBy: createUserSnapshot(user) }
+  ]
+})
+
+// The stockAdjustments record for one side of a movement
+const buildAdjustment = ({ product, quantity, type, transfer, notes, user, now }) => ({
+  id: `${now.getTime()}-${Math.random().toString(36).substring(2, 11)}`,
+  productId: product.id,
+  productName: product.name,
+  productSku: product.sku,
+  branchId: product.branchId || null,
+  adjustmentType: type,
+  quantity,
+  previousStock: (product.quantity || 0) - quantity,
+  newStock: product.quantity || 0,
+  notes,
+  transferId: transfer.id,
+  transferNumber: transfer.transferNumber,
+  timestamp: now.toISOString(),
+  adjustedBy: createUserSnapshot(user)
+})
+
+const replaceProduct = (inventory, previous, updated) => (
+  inventory.includes(previous) ? inventory.map(item => (item === previous ? updated : item)) : [...inventory, updated]
+)
+
+/**
+ * Build a request for stock from another branch
+ * @param {Object} params
+ * @param {string} params.transferNumber
+ * @param {string} params.fromBranchId - Branch asked to send the stock
+ * @param {string} params.toBranchId - Branch asking for it
+ * @param {Object} [params.branchNames] - { from, to } for the paperwork
+ * @param {Array<{ product: Object, quantity: number }>} params.lines - Products from the requesting branch's inventory
+ * @param {string} [params.notes]
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildTransferRequest = ({ transferNumber, fromBranchId, toBranchId, branchNames = {}, lines, notes = '', user, now = new Date() }) => {
+  if (!toBranchId) throw new Error('You must be assigned to a branch to request stock')
+  if (!fromBranchId) throw new Error('Choose the branch to request the stock from')
+  if (normalizeBranchId(fromBranchId) === normalizeBranchId(toBranchId)) throw new Error('Choose a different branch to request the stock from')
+  const items = (lines || []).filter(line => line.product)
+  if (items.length === 0) throw new Error('Add the products you need')
+
+  const transfer = {
+    id: `TR-${now.getTime()}-${Math.random().toString(36).substring(2, 8)}`,
+    transferNumber,
+    status: TRANSFER_STATUS.REQUESTED,
+    fromBranchId,
+    fromBranchName: branchNames.from || fromBranchId,
+    toBranchId,
+    toBranchName: branchNames.to || toBranchId,
+    items: items.map(({ product, quantity }) => {
+      const requestedQuantity = checkQuantity(quantity, product.name)
+      if (requestedQuantity === 0) throw new Error(`Enter how many ${product.name} you need`)
+      return {
+        productId: product.id,
+        name: product.name,
+        sku: product.sku || '',
+        barcode: product.barcode || '',
+        requestedQuantity,
+        dispatchedQuantity: 0,
+        receivedQuantity: 0
+      }
+    }),
+    notes: notes.trim(),
+    discrepancies: [],
+    requestedAt: now.toISOString(),
+    requestedBy: createUserSnapshot(user),
+    statusHistory: []
+  }
+  return withStatus(transfer, TRANSFER_STATUS.REQUESTED, user, now)
+}
+
+/**
+ * Send a requested transfer: take the stock off the sending branch, first
+ * expiry first, and hold it on the transfer
+ * @param {Object} transfer
+ * @param {Array} inventory - Inventory of every branch
+ * @param {Object} params
+ * @param {Array<number>} [params.quantities] - Quantity sent per line; defaults to what was requested
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {{ transfer: Object, inventory: Array, adjustments: Array }}
+ */
+export const dispatchTransfer = (transfer, inventory, { quantities = [], user, now = new Date() }) => {
+  if (transfer.status !== TRANSFER_STATUS.REQUESTED) throw new Error(`${transfer.transferNumber} has already been sent`)
+  let updatedInventory = inventory
+  const adjustments = []
+
+  const items = transfer.items.map((line, index) => {
+    const quantity = checkQuantity(quantities[index] ?? line.requestedQuantity, line.name)
+    if (quantity === 0) return { ...line, dispatchedQuantity: 0, lots: [] }
+    const source = findBranchProduct(updatedInventory, transfer.fromBranchId, line)
+    if (!source) throw new Error(`${line.name} isn't stocked at this branch`)
+    if (quantity > (source.quantity || 0)) throw new Error(`Only ${source.quantity || 0} ${line.name} in stock`)
+
+    const costs = new Map(getProductLots(source).map(lot => [lot.id, lot]))
+    const { product, picks } = consumeLots(source, quantity)
+    updatedInventory = replaceProduct(updatedInventory, source, product)
+    adjustments.push(buildAdjustment({
+      product,
+      quantity: -quantity,
+      type: 'transfer_out',
+      transfer,
+      notes: `Sent to ${transfer.toBranchName || transfer.toBranchId} on ${transfer.transferNumber}`,
+      user,
+      now
+    }))
+    return {
+      ...line,
+      sourceProductId: source.id,
+      dispatchedQuantity: quantity,
+      // Cost and GRN go with the lot so the receiving branch keeps them
+      lots: picks.map(pick => ({
+        ...pick,
+        unitCost: costs.get(pick.lotId)?.unitCost || 0,
+        grnNumber: costs.get(pick.lotId)?.grnNumber || null
+      }))
+    }
+  })
+
+  if (!items.some(line => line.dispatchedQuantity > 0)) throw new Error('Enter how many of at least one product you are sending')
+  return {
+    transfer: withStatus(transfer, TRANSFER_STATUS.DISPATCHED, user, now, {
+      items,
+      dispatchedAt: now.toISOString(),
+      dispatchedBy: createUserSnapshot(user)
+    }),
+    inventory: updatedInventory,
+    adjustments
+  }
+}
+
+/**
+ * Record that a dispatched transfer has been collected
+ * @param {Object} transfer
+ * @param {Object} params
+ * @param {string} [params.carrier] - Driver or vehicle
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const markTransferInTransit = (transfer, { carrier = '', user, now = new Date() }) => {
+  if (transfer.status !== TRANSFER_STATUS.DISPATCHED) throw new Error(`${transfer.transferNumber} is not waiting to be collected`)
+  return withStatus(transfer, TRANSFER_STATUS.IN_TRANSIT, user, now, { carrier: carrier.trim() })
+}
+
+// Split what arrived over the lots that were sent, first lot first; anything
+// more than was sent comes in untracked
+const allocateReceived = (lots, received) => {
+  let remaining = received
+  const arrived = []
+  lots.forEach(lot => {
+    const quantity = Math.min(lot.quantity, remaining)
+    remaining -= quantity
+    if (quantity > 0) arrived.push({ ...lot, quantity })
+  })
+  if (remaining > 0) arrived.push({ lotId: UNTRACKED_LOT_ID, lotNumber: '', expiryDate: null, quantity: remaining })
+  return arrived
+}
+
+const addArrivedLot = (product, pick, transfer, now) => {
+  const known = pick.lotId === UNTRACKED_LOT_ID || (product.lots || []).some(lot => lot.id === pick.lotId)
+  if (known) return returnToLots(product, [pick])
+  return receiveLot(product, {
+    id: pick.lotId,
+    lotNumber: pick.lotNumber,
+    expiryDate: pick.expiryDate || null,
+    quantity: pick.quantity,
+    unitCost: pick.unitCost || 0,
+    grnId: null,
+    grnNumber: pick.grnNumber || null,
+    transferNumber: transfer.transferNumber,
+    receivedAt: now.toISOString()
+  })
+}
+
+// The receiving branch's copy of a line's product, or a new one copied from the sender's
+const getDestinationProduct = (inventory, transfer, line) => {
+  const existing = inventory.find(item => isBranchProduct(item, transfer.toBranchId) && String(item.id) === String(line.productId)) ||
+    findBranchProduct(inventory, transfer.toBranchId, line)
+  if (existing) return existing
+  const source = inventory.find(item => isBranchProduct(item, transfer.fromBranchId) && String(item.id) === String(line.sourceProductId))
+  // Ids are taken across all branches, as when a product is added on the inventory page
+  const nextId = Math.max(0, ...inventory.map(item => Number(item.id) || 0)) + 1
+  return {
+    ...(source || { name: line.name, sku: line.sku, barcode: line.barcode }),
+    id: nextId,
+    branchId: transfer.toBranchId,
+    quantity: 0,
+    lots: []
+  }
+}
+
+/**
+ * Count a transfer in at the receiving branch. Lines that don't match what was
+ * sent are recorded as discrepancies, which need a note.
+ * @param {Object} transfer
+ * @param {Array} inventory - Inventory of every branch
+ * @param {Object} params
+ * @param {Array<number>} [params.quantities] - Quantity that arrived per line; defaults to what was sent
+ * @param {string} [params.notes] - What happened to anything short or over
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {{ transfer: Object, inventory: Array, adjustments: Array }}
+ */
+export const receiveTransfer = (transfer, inventory, { quantities = [], notes = '', user, now = new Date() }) => {
+  if (!IN_TRANSIT_STATUSES.includes(transfer.status)) throw new Error(`${transfer.transferNumber} is not on its way`)
+  let updatedInventory = inventory
+  const adjustments = []
+  const discrepancies = []
+
+  const items = transfer.items.map((line, index) => {
+    const received = checkQuantity(quantities[index] ?? line.dispatchedQuantity, line.name)
+    if (received !== line.dispatchedQuantity) {
+      discrepancies.push({
+        productId: line.productId,
+        name: line.name,
+        dispatched: line.dispatchedQuantity,
+        received,
+        difference: received - line.dispatchedQuantity
+      })
+    }
+    if (received === 0) return { ...line, receivedQuantity: 0 }
+
+    const destination = getDestinationProduct(updatedInventory, transfer, line)
+    const product = allocateReceived(line.lots || [], received)
+      .reduce((current, pick) => addArrivedLot(current, pick, transfer, now), destination)
+    updatedInventory = replaceProduct(updatedInventory, destination, product)
+    adjustments.push(buildAdjustment({
+      product,
+      quantity: received,
+      type: 'transfer_in',
+      transfer,
+      notes: `Received from ${transfer.fromBranchName || transfer.fromBranchId} on ${transfer.transferNumber}`,
+      user,
+      now
+    }))
+    return { ...line, receivedQuantity: received, destinationProductId: product.id }
+  })
+
+  if (discrepancies.length > 0 && !notes.trim()) throw new Error('Add a note saying why the delivery is short or over')
+  return {
+    transfer: withStatus(transfer, TRANSFER_STATUS.RECEIVED, user, now, {
+      items,
+      discrepancies,
+      receiptNotes: notes.trim(),
+      receivedAt: now.toISOString(),
+      receivedBy: createUserSnapshot(user)
+    }),
+    inventory: updatedInventory,
+    adjustments
+  }
+}
+
+/**
+ * Cancel a transfer that hasn't been received. Stock already sent goes back
+ * into the lots it was picked from at the sending branch.
+ * @param {Object} transfer
+ * @param {Array} inventory - Inventory of every branch
+ * @param {Object} params
+ * @param {string} [params.reason]
+ * @param {Object} params.user
+ * @param {Date} [params.now]
+ * @returns {{ transfer: Object, inventory: Array, adjustments: Array }}
+ */
+export const cancelTransfer = (transfer, inventory, { reason = '', user, now = new Date() }) => {
+  if (transfer.status === TRANSFER_STATUS.RECEIVED) throw new Error(`${transfer.transferNumber} has already been received`)
+  if (transfer.status === TRANSFER_STATUS.CANCELLED) throw new Error(`${transfer.transferNumber} is already cancelled`)
+  let updatedInventory = inventory
+  const adjustments = []
+
+  if (IN_TRANSIT_STATUSES.includes(transfer.status)) {
+    transfer.items.filter(line => line.dispatchedQuantity > 0).forEach(line => {
+      const source = updatedInventory.find(item => isBranchProduct(item, transfer.fromBranchId) && String(item.id) === String(line.sourceProductId))
+      if (!source) throw new Error(`${line.name} is no longer stocked at ${transfer.fromBranchName || transfer.fromBranchId}, so it can't go back`)
+      const product = returnToLots(source, line.lots || [])
+      updatedInventory = replaceProduct(updatedInventory, source, product)
+      adjustments.push(buildAdjustment({
+        product,
+        quantity: line.dispatchedQuantity,
+        type: 'transfer_return',
+        transfer,
+        notes: `Returned to stock when ${transfer.transferNumber} was cancelled`,
+        user,
+        now
+      }))
+    })
+  }
+
+  return {
+    transfer: withStatus(transfer, TRANSFER_STATUS.CANCELLED, user, now, {
+      cancelReason: reason.trim(),
+      cancelledAt: now.toISOString(),
+      cancelledBy: createUserSnapshot(user)
+    }),
+    inventory: updatedInventory,
+    adjustments
+  }
+}
+
+const readTransfers = async (adminId) => {
+  const data = await readSharedData(adminId, false, { stores: ['stockTransfers'] })
+  return data.stockTransfers || []
+}
+
+const findTransfer = (transfers = [], transferId) => {
+  const transfer = transfers.find(t => t.id === transferId)
+  if (!transfer) throw new Error('Transfer not found')
+  return transfer
+}
+
+// The saved list with this transfer added or replaced
+const withTransfer = (transfers = [], transfer) => (
+  transfers.some(t => t.id === transfer.id)
+    ? transfers.map(t => (t.id === transfer.id ? transfer : t))
+    : [...transfers, transfer]
+)
+
+// Desktop and offline installs keep the shared data as one object and save
+// whatever they are given, so every store read goes back with the change
+const saveTransfer = async (adminId, transfer) => {
+  const sharedData = await readSharedData(adminId, true)
+  await writeSharedData(
+    { ...sharedData, stockTransfers: withTransfer(sharedData.stockTransfers, transfer) },
+    adminId,
+    { writeOnlyStores: ['stockTransfers'] }
+  )
+}
+
+// Ledger entries for the adjustments, which carry the same before and after stock
+const toLedger = (adjustments, transfer) => adjustments.map(adjustment => buildStockMovement({
+  product: { id: adjustment.productId, name: adjustment.productName, sku: adjustment.productSku, branchId: adjustment.branchId },
+  previousStock: adjustment.previousStock,
+  newStock: adjustment.newStock,
+  reason: adjustment.adjustmentType,
+  source: { type: 'stock_transfer', id: transfer.id, number: transfer.transferNumber },
+  notes: adjustment.notes,
+  user: adjustment.adjustedBy,
+  now: new Date(adjustment.timestamp)
+}))
+
+// Run a stock movement against the latest saved transfer and inventory, and
+// save it with everything else that was read (see saveTransfer). Deleted
+// products are read too so they stay in the bin; inventory has to go back
+// whole anyway, as the online store drops a branch's products that are
+// missing from the list it is given.
+const moveStock = async (adminId, transferId, move) => {
+  const sharedData = await readSharedData(adminId, true)
+  const { transfer, inventory, adjustments } = move(findTransfer(sharedData.stockTransfers, transferId), sharedData.inventory || [])
+  await writeSharedData(
+    {
+      ...sharedData,
+      stockTransfers: withTransfer(sharedData.stockTransfers, transfer),
+      inventory,
+      stockAdjustments: [...(sharedData.stockAdjustments || []), ...adjustments],
+      stockMovements: [...(sharedData.stockMovements || []), ...toLedger(adjustments, transfer)]
+    },
+    adminId,
+    { writeOnlyStores: ['stockTransfers', 'inventory', 'stockAdjustments', 'stockMovements'] }
+  )
+  return { transfer, inventory }
+}
+
+/**
+ * Transfers to or from a branch (every transfer when no branch is given), newest first
+ * @param {string} adminId
+ * @param {string} [branchId]
+ * @returns {Promise<Array>}
+ */
+export const getStockTransfers = async (adminId, branchId = null) => {
+  return (await readTransfers(adminId))
+    .filter(transfer => !branchId || getTransferSide(transfer, branchId))
+    .sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)))
+}
+
+/**
+ * Save a new numbered request for stock from another branch
+ * @param {Object} params - adminId plus everything buildTransferRequest takes except transferNumber
+ * @returns {Promise<Object>} The new transfer
+ */
+export const createTransferRequest = async ({ adminId, ...params }) => {
+  // Numbered by the requesting branch and this till, so two tills working offline can't issue the same number
+  const numbering = { adminId, branchId: params.toBranchId, terminalId: getTerminalId(), series: DOCUMENT_SERIES.STOCK_TRANSFER }
+  const transferNumber = await allocateReceiptNumber({ ...numbering, transactions: await readTransfers(adminId) })
+  try {
+    const transfer = buildTransferRequest({ ...params, transferNumber })
+    await saveTransfer(adminId, transfer)
+    return transfer
+  } catch (error) {
+    releaseReceiptNumber({ ...numbering, receiptNumber: transferNumber })
+      .catch(releaseError => console.error('Error releasing transfer number:', releaseError))
+    throw error
+  }
+}
+
+/**
+ * Dispatch a transfer and save it with the sending branch's stock
+ * @param {Object} params - { adminId, transferId, quantities?, user }
+ * @returns {Promise<{ transfer: Object, inventory: Array }>}
+ */
+export const saveDispatch = async ({ adminId, transferId, ...params }) => {
+  return moveStock(adminId, transferId, (transfer, inventory) => dispatchTransfer(transfer, inventory, params))
+}
+
+/**
+ * Mark a dispatched transfer as collected
+ * @param {Object} params - { adminId, transferId, carrier?, user }
+ * @returns {Promise<Object>} The updated transfer
+ */
+export const saveInTransit = async ({ adminId, transferId, ...params }) => {
+  const transfer = markTransferInTransit(findTransfer(await readTransfers(adminId), transferId), params)
+  await saveTransfer(adminId, transfer)
+  return transfer
+}
+
+/**
+ * Receive a transfer and save it with the receiving branch's stock
+ * @param {Object} params - { adminId, transferId, quantities?, notes?, user }
+ * @returns {Promise<{ transfer: Object, inventory: Array }>}
+ */
+export const saveReceipt = async ({ adminId, transferId, ...params }) => {
+  return moveStock(adminId, transferId, (transfer, inventory) => receiveTransfer(transfer, inventory, params))
+}
+
+/**
+ * Cancel a transfer, returning anything already sent to the sending branch
+ * @param {Object} params - { adminId, transferId, reason?, user }
+ * @returns {Promise<{ transfer: Object, inventory: Array }>}
+ */
+export const saveCancellation = async ({ adminId, transferId, ...params }) => {
+  return moveStock(adminId, transferId, (transfer, inventory) => cancelTransfer(transfer, inventory, params))
+}
@@ -170,6 +170,13 @@ const getDefaultData = () => ({
   stockAdjustments: [], // New field for stock adjustments
   customers: [], // New field for customer management
   expenses: [], // New field for expense tracking
+  promotions: [],
+  shifts: [],
+  tabs: [],
+  vouchers: [],
+  quotes: [],
+  stockTransfers: [],
+  stockMovements: [],
   settings: {
     storeName: 'Whiskey Ballet',
     currency: 'KES',
@@ -404,7 +411,7 @@ export const readSharedData = async (adminId = null, includeDeleted = false, opt
       if (!includeDeleted && data) {
         const storesToFilter = ['inventory', 'transactions', 'suppliers', 'purchaseOrders', 
                                'goodsReceivedNotes', 'supplierPayments', 'stockAdjustments', 
-                               'customers', 'expenses']
+                               'customers', 'expenses', 'promotions', 'shifts', 'tabs', 'vouchers', 'quotes', 'stockTransfers', 'stockMovements']
         storesToFilter.forEach(store => {
           if (Array.isArray(data[store])) {
             data[store] = data[store].filter(item => !item.deletedAt)
@@ -438,6 +445,13 @@ export const readSharedData = async (adminId = null, includeDeleted = false, opt
           stockAdjustments: await getAllItems(STORES.STOCK_ADJUSTMENTS, adminId, includeDeleted),
           customers: await getAllItems(STORES.CUSTOMERS, adminId, includeDeleted),
           expenses: await getAllItems(STORES.EXPENSES, adminId, includeDeleted),
+          promotions: await getAllItems(STORES.PROMOTIONS, adminId, includeDeleted),
+          shifts: await getAllItems(STORES.SHIFTS, adminId, includeDeleted),
+          tabs: await getAllItems(STORES.TABS, adminId, includeDeleted),
+          vouchers: await getAllItems(STORES.VOUCHERS, adminId, includeDeleted),
+          quotes: await getAllItems(STORES.QUOTES, adminId, includeDeleted),
+          stockTransfers: await getAllItems(STORES.STOCK_TRANSFERS, adminId, includeDeleted),
+          stockMovements: await getAllItems(STORES.STOCK_MOVEMENTS, adminId, includeDeleted),
           settings: await getIndexedDBItem(STORES.SETTINGS, adminId, adminId) || getDefaultData().settings,
           lastSync: null
         }
@@ -472,7 +486,7 @@ export const readSharedData = async (adminId = null, includeDeleted = false, opt
         if (!includeDeleted && data) {
           const storesToFilter = ['inventory', 'transactions', 'suppliers', 'purchaseOrders', 
                                  'goodsReceivedNotes', 'supplierPayments', 'stockAdjustments', 
-                                 'customers', 'expenses']
+                                 'customers', 'expenses', 'promotions', 'shifts', 'tabs', 'vouchers', 'quotes', 'stockTransfers', 'stockMovements']
           storesToFilter.forEach(store => {
             if (Array.isArray(data[store])) {
               data[store] = data[store].filter(item => !item.deletedAt)
@@ -490,7 +504,7 @@ export const readSharedData = async (adminId = null, includeDeleted = false, opt
         if (!includeDeleted && data) {
           const storesToFilter = ['inventory', 'transactions', 'suppliers', 'purchaseOrders', 
                                  'goodsReceivedNotes', 'supplierPayments', 'stockAdjustments', 
-                                 'customers', 'expenses']
+                                 'customers', 'expenses', 'promotions', 'shifts', 'tabs', 'vouchers', 'quotes', 'stockTransfers', 'stockMovements']
           storesToFilter.forEach(store => {
             if (Array.isArray(data[store])) {
               data[store] = data[store].filter(item => !item.deletedAt)
@@ -597,6 +611,34 @@ export const writeSharedData = async (data, adminId = null, options = null) => {
         if (data.expenses && Array.isArray(data.expenses)) {
           writePromises.push(putBatch(STORES.EXPENSES, adminId, data.expenses))
         }
+
+        if (data.promotions && Array.isArray(data.promotions)) {
+          writePromises.push(putBatch(STORES.PROMOTIONS, adminId, data.promotions))
+        }
+
+        if (data.shifts && Array.isArray(data.shifts)) {
+          writePromises.push(putBatch(STORES.SHIFTS, adminId, data.shifts))
+        }
+
+        if (data.tabs && Array.isArray(data.tabs)) {
+          writePromises.push(putBatch(STORES.TABS, adminId, data.tabs))
+        }
+
+        if (data.vouchers && Array.isArray(data.vouchers)) {
+          writePromises.push(putBatch(STORES.VOUCHERS, adminId, data.vouchers))
+        }
+
+        if (data.quotes && Array.isArray(data.quotes)) {
+          writePromises.push(putBatch(STORES.QUOTES, adminId, data.quotes))
+        }
+
+        if (data.stockTransfers && Array.isArray(data.stockTransfers)) {
+          writePromises.push(putBatch(STORES.STOCK_TRANSFERS, adminId, data.stockTransfers))
+        }
+
+        if (data.stockMovements && Array.isArray(data.stockMovements)) {
+          writePromises.push(putBatch(STORES.STOCK_MOVEMENTS, adminId, data.stockMovements))
+        }
         
         if (data.settings) {
           writePromises.push(putItem(STORES.SETTINGS, adminId, data.settings))
@@ -0,0 +1,90 @@
+/**
+ * Customer store credit
+ *
+ * `customer.storeCredit` is the balance a customer can spend at the till, and
+ * `customer.storeCreditLedger` records every movement behind it: returns refunded
+ * to store credit, sales paid with it, and cancelled sales giving it back. The
+ * balance is never changed without a ledger entry, so the two always agree.
+ */
+
+export const STORE_CREDIT_ENTRY_TYPES = {
+  OPENING: 'opening',
+  REFUND: 'refund',
+  REDEMPTION: 'redemption',
+  REVERSAL: 'reversal'
+}
+
+const ENTRY_LABELS = {
+  opening: 'Opening balance',
+  refund: 'Return refunded',
+  redemption: 'Spent on sale',
+  reversal: 'Sale cancelled'
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Store credit a customer has to spend
+ * @param {Object} customer
+ * @returns {number}
+ */
+export const getStoreCreditBalance = (customer) => Math.max(0, roundMoney(customer?.storeCredit))
+
+/**
+ * Human readable label for a ledger entry type
+ * @param {string} type
+ * @returns {string}
+ */
+export const getStoreCreditEntryLabel = (type) => ENTRY_LABELS[type] || type
+
+/**
+ * Add or take store credit, appending the movement to the customer's ledger.
+ * Credit held before the ledger existed is carried in as an opening entry.
+ * @param {Object} customer
+ * @param {Object} entry
+ * @param {string} entry.type - STORE_CREDIT_ENTRY_TYPES
+ * @param {number} entry.amount - Positive adds credit, negative spends it
+ * @param {string} [entry.reference] - Receipt or credit note number
+ * @param {string} [entry.transactionId]
+ * @param {Object} [entry.user]
+ * @returns {Object} The updated customer
+ */
+export const postStoreCredit = (customer, { type, amount, reference = null, transactionId = null, user = null }) => {
+  const change = roundMoney(amount)
+  const current = roundMoney(customer.storeCredit)
+  const balance = roundMoney(current + change)
+  if (balance < 0) {
+    throw new Error(`${customer.name || 'The customer'} only has KES ${current.toLocaleString()} store credit`)
+  }
+
+  const at = new Date().toISOString()
+  const ledger = [...(customer.storeCreditLedger || [])]
+  if (ledger.length === 0 && current > 0) {
+    ledger.push({ id: `SC-${Date.now()}-0`, type: STORE_CREDIT_ENTRY_TYPES.OPENING, amount: current, balanceAfter: current, at })
+  }
+  ledger.push({
+    id: `SC-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    type,
+    amount: change,
+    balanceAfter: balance,
+    reference,
+    transactionId,
+    at,
+    by: user?.name || 'Unknown'
+  })
+
+  return { ...customer, storeCredit: balance, storeCreditLedger: ledger }
+}
+
+/**
+ * Store credit owed to customers
+ * @param {Array} customers
+ * @returns {{ total: number, count: number }}
+ */
+export const getStoreCreditLiability = (customers = []) => {
+  const holders = customers.filter(c => !c.deletedAt && getStoreCreditBalance(c) > 0)
+  return {
+    total: roundMoney(holders.reduce((sum, c) => sum + getStoreCreditBalance(c), 0)),
+    count: holders.length
+  }
+}
@@ -594,6 +594,13 @@ class SyncManager {
         STORES.SUPPLIER_PAYMENTS,
         STORES.CUSTOMERS,
         STORES.EXPENSES,
+        STORES.PROMOTIONS,
+        STORES.SHIFTS,
+        STORES.TABS,
+        STORES.VOUCHERS,
+        STORES.QUOTES,
+        STORES.STOCK_TRANSFERS,
+        STORES.STOCK_MOVEMENTS,
         STORES.BRANCHES
       ]
 
@@ -0,0 +1,284 @@
+/**
+ * Bar tabs (open tickets)
+ *
+ * A tab is opened under a name (a guest, a table, a tasting group) and collects
+ * cart lines over the evening without taking payment. Tabs are shared by the
+ * branch, so any till can add to them, and each has an owning cashier who can
+ * hand it over at the end of their shift. Nothing leaves stock until the tab is
+ * settled: the lines being paid for are loaded into the POS cart and sold as a
+ * normal transaction, either all at once, item by item, or as one sale split
+ * evenly between guests.
+ */
+
+import { readSharedData, writeSharedData } from './storage'
+
+export const TAB_STATUS = {
+  OPEN: 'open',
+  SETTLED: 'settled'
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Amount owed on a tab's lines
+ * @param {Object} tab
+ * @returns {number}
+ */
+export const getTabTotal = (tab) => {
+  return roundMoney((tab?.items || []).reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0))
+}
+
+/**
+ * Number of units on a tab
+ * @param {Object} tab
+ * @returns {number}
+ */
+export const getTabItemCount = (tab) => (tab?.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0)
+
+/**
+ * Open tabs, optionally for one branch and/or one cashier, oldest first
+ * @param {Array} tabs
+ * @param {Object} [filters]
+ * @param {string} [filters.branchId]
+ * @param {string} [filters.cashierId]
+ * @returns {Array}
+ */
+export const getOpenTabs = (tabs = [], { branchId = null, cashierId = null } = {}) => {
+  return tabs
+    .filter(tab => tab.status === TAB_STATUS.OPEN && !tab.deletedAt)
+    .filter(tab => !branchId || tab.branchId === branchId)
+    .filter(tab => !cashierId || String(tab.cashierId) === String(cashierId))
+    .sort((a, b) => new Date(a.openedAt) - new Date(b.openedAt))
+}
+
+/**
+ * Count and value of open tabs
+ * @param {Array} tabs
+ * @param {Object} [filters] - As for getOpenTabs
+ * @returns {{ count: number, total: number }}
+ */
+export const getOutstandingTabs = (tabs = [], filters = {}) => {
+  const open = getOpenTabs(tabs, filters)
+  return {
+    count: open.length,
+    total: roundMoney(open.reduce((sum, tab) => sum + getTabTotal(tab), 0))
+  }
+}
+
+/**
+ * Add cart lines to a tab's lines. A line for the same product at the same price
+ * is topped up; anything else (a different price, an override) gets its own line.
+ * @param {Array} items - Lines already on the tab
+ * @param {Array} lines - Cart lines being added
+ * @param {Object} [user] - Who rang them up
+ * @returns {Array}
+ */
+export const mergeTabItems = (items = [], lines = [], user = null) => {
+  const merged = items.map(item => ({ ...item }))
+  const addedAt = new Date().toISOString()
+  lines.forEach(line => {
+    if (!(line.quantity > 0)) return
+    const existing = merged.find(item => item.id === line.id && item.price === line.price && !item.priceOverride && !line.priceOverride)
+    if (existing) {
+      existing.quantity += line.quantity
+      return
+    }
+    merged.push({
+      ...line,
+      tabLineId: `TL-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 7)}`,
+      addedAt,
+      addedBy: user?.name || null
+    })
+  })
+  return merged
+}
+
+/**
+ * Split a tab's lines into the part being paid now and the part left on the tab
+ * @param {Array} items - Tab lines
+ * @param {Object<string, number>} selection - tabLineId -> quantity being paid
+ * @returns {{ selected: Array, remaining: Array }}
+ */
+export const splitTabItems = (items = [], selection = {}) => {
+  const selected = []
+  const remaining = []
+  items.forEach(item => {
+    const quantity = Math.min(item.quantity, Math.max(0, Math.floor(Number(selection[item.tabLineId]) || 0)))
+    if (quantity > 0) selected.push({ ...item, quantity })
+    if (item.quantity - quantity > 0) remaining.push({ ...item, quantity: item.quantity - quantity })
+  })
+  return { selected, remaining }
+}
+
+/**
+ * Share a bill evenly between guests to the cent; the first guests pick up any odd cents
+ * @param {number} total
+ * @param {number} guests
+ * @returns {Array<number>}
+ */
+export const splitEvenly = (total, guests) => {
+  const count = Math.max(1, Math.floor(Number(guests) || 1))
+  const cents = Math.round((Number(total) || 0) * 100)
+  const share = Math.floor(cents / count)
+  const extra = cents - share * count
+  return Array.from({ length: count }, (_, index) => (share + (index < extra ? 1 : 0)) / 100)
+}
+
+const readTabs = async (adminId) => {
+  const data = await readSharedData(adminId, false, { stores: ['tabs'] })
+  return data.tabs || []
+}
+
+// The tab goes back into everything that was read, not on its own: desktop
+// and localStorage installs overwrite the whole shared object on every write
+const saveTab = async (adminId, tab) => {
+  const sharedData = await readSharedData(adminId)
+  const tabs = sharedData.tabs || []
+  const updatedTabs = tabs.some(t => t.id === tab.id)
+    ? tabs.map(t => (t.id === tab.id ? tab : t))
+    : [...tabs, tab]
+  await writeSharedData({ ...sharedData, tabs: updatedTabs }, adminId, { writeOnlyStores: ['tabs'] })
+  return tab
+}
+
+const getOpenTab = async (adminId, tabId) => {
+  const tab = (await readTabs(adminId)).find(t => t.id === tabId)
+  if (!tab) throw new Error('Tab not found')
+  if (tab.status !== TAB_STATUS.OPEN) throw new Error(`Tab "${tab.name}" has already been settled`)
+  return tab
+}
+
+/**
+ * All tabs for a branch (open and settled)
+ * @param {string} adminId
+ * @param {string} [branchId]
+ * @returns {Promise<Array>}
+ */
+export const getTabs = async (adminId, branchId = null) => {
+  return (await readTabs(adminId)).filter(tab => !branchId || tab.branchId === branchId)
+}
+
+/**
+ * Open a named tab owned by the cashier opening it
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.name - Guest, table or group name
+ * @param {Object} params.user - Cashier opening the tab
+ * @param {Object|null} [params.customer] - Customer the tab is for, if known
+ * @param {Array} [params.lines] - Cart lines to start the tab with
+ * @returns {Promise<Object>} The new tab
+ */
+export const openTab = async ({ adminId, name, user, customer = null, lines = [] }) => {
+  const tabName = (name || '').trim() || customer?.name || ''
+  if (!tabName) throw new Error('Give the tab a name')
+
+  const branchId = user?.branchId || null
+  const clash = getOpenTabs(await readTabs(adminId), { branchId })
+    .find(tab => tab.name.toLowerCase() === tabName.toLowerCase())
+  if (clash) throw new Error(`There is already an open tab called "${clash.name}"`)
+
+  return saveTab(adminId, {
+    id: `TAB-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    name: tabName,
+    status: TAB_STATUS.OPEN,
+    branchId,
+    customer,
+    cashierId: user.id,
+    cashierName: user.name || 'Unknown',
+    openedBy: user.name || 'Unknown',
+    openedAt: new Date().toISOString(),
+    items: mergeTabItems([], lines, user),
+    transfers: [],
+    transactionIds: []
+  })
+}
+
+/**
+ * Put cart lines on an open tab
+ * @param {Object} params - { adminId, tabId, lines, user }
+ * @returns {Promise<Object>} The updated tab
+ */
+export const addToTab = async ({ adminId, tabId, lines, user }) => {
+  if (!Array.isArray(lines) || lines.length === 0) throw new Error('The cart is empty')
+  const tab = await getOpenTab(adminId, tabId)
+  return saveTab(adminId, {
+    ...tab,
+    items: mergeTabItems(tab.items, lines, user),
+    updatedAt: new Date().toISOString()
+  })
+}
+
+/**
+ * Hand a tab over to another cashier
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.tabId
+ * @param {Object} params.toUser - Cashier taking the tab over
+ * @param {Object} params.user - Who made the transfer
+ * @returns {Promise<Object>} The updated tab
+ */
+export const transferTab = async ({ adminId, tabId, toUser, user }) => {
+  const tab = await getOpenTab(adminId, tabId)
+  if (!toUser?.id) throw new Error('Choose who takes the tab over')
+  if (String(toUser.id) === String(tab.cashierId)) throw new Error(`${tab.cashierName} already has this tab`)
+
+  return saveTab(adminId, {
+    ...tab,
+    cashierId: toUser.id,
+    cashierName: toUser.name || 'Unknown',
+    transfers: [
+      ...(tab.transfers || []),
+      {
+        fromId: tab.cashierId,
+        fromName: tab.cashierName,
+        toId: toUser.id,
+        toName: toUser.name || 'Unknown',
+        transferredBy: user?.name || 'Unknown',
+        transferredAt: new Date().toISOString()
+      }
+    ]
+  })
+}
+
+/**
+ * Take paid lines off a tab once their sale has been saved. The tab is settled
+ * when nothing is left on it.
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.tabId
+ * @param {Object<string, number>} params.selection - tabLineId -> quantity paid
+ * @param {string} params.transactionId - Sale that paid for them
+ * @param {Object} params.user
+ * @returns {Promise<Object>} The updated tab
+ */
+export const settleTabLines = async ({ adminId, tabId, selection, transactionId, user }) => {
+  const tab = await getOpenTab(adminId, tabId)
+  const { remaining } = splitTabItems(tab.items, selection)
+  const settled = remaining.length === 0
+
+  return saveTab(adminId, {
+    ...tab,
+    items: remaining,
+    transactionIds: [...(tab.transactionIds || []), transactionId],
+    updatedAt: new Date().toISOString(),
+    ...(settled
+      ? { status: TAB_STATUS.SETTLED, settledAt: new Date().toISOString(), settledBy: user?.name || 'Unknown' }
+      : {})
+  })
+}
+
+/**
+ * Close a tab that has nothing on it (opened by mistake, or the guests left without ordering)
+ * @param {Object} params - { adminId, tabId, user }
+ * @returns {Promise<Object>} The closed tab
+ */
+export const closeEmptyTab = async ({ adminId, tabId, user }) => {
+  const tab = await getOpenTab(adminId, tabId)
+  if (getTabItemCount(tab) > 0) throw new Error('Settle what is on the tab before closing it')
+  return saveTab(adminId, {
+    ...tab,
+    status: TAB_STATUS.SETTLED,
+    settledAt: new Date().toISOString(),
+    settledBy: user?.name || 'Unknown'
+  })
+}
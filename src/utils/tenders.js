@@ -0,0 +1,251 @@
+/**
+ * Tender (payment line) helpers for Whiskey Ballet POS
+ *
+ * A sale can be settled with more than one tender, e.g. KES 3,000 cash and the
+ * rest via M-Pesa. Such sales store a `payments` array on the transaction:
+ *   [{ method: 'cash', amount: 3000 }, { method: 'mpesa', amount: 1500, reference: 'QGH7...' }]
+ *
+ * Older transactions only have `paymentMethod` + `total`. Every reader should go
+ * through getTransactionPayments() so both shapes are attributed the same way.
+ */
+
+export const TENDER_TYPES = {
+  CASH: 'cash',
+  MPESA: 'mpesa',
+  CREDIT: 'credit',
+  STORE_CREDIT: 'store_credit',
+  VOUCHER: 'voucher',
+  LOYALTY_POINTS: 'loyalty_points'
+}
+
+/** paymentMethod value stored on a transaction paid with more than one tender */
+export const SPLIT_PAYMENT_METHOD = 'split'
+
+const TENDER_LABELS = {
+  cash: 'Cash',
+  mpesa: 'M-Pesa',
+  credit: 'Credit',
+  store_credit: 'Store Credit',
+  voucher: 'Gift Voucher',
+  loyalty_points: 'Loyalty Points',
+  split: 'Split'
+}
+
+const TENDER_ICONS = {
+  cash: '💵',
+  mpesa: '📱',
+  credit: '📝',
+  store_credit: '🎟️',
+  voucher: '🎁',
+  loyalty_points: '⭐',
+  split: '🔀'
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Human readable label for a tender/payment method
+ * @param {string} method - cash | mpesa | credit | store_credit | voucher | loyalty_points | split
+ * @returns {string}
+ */
+export const getTenderLabel = (method) => TENDER_LABELS[method] || TENDER_LABELS.cash
+
+/**
+ * Emoji icon for a tender/payment method (used in badges)
+ * @param {string} method
+ * @returns {string}
+ */
+export const getTenderIcon = (method) => TENDER_ICONS[method] || TENDER_ICONS.cash
+
+/**
+ * Get the payment lines for a transaction.
+ * Legacy single-method transactions are returned as one line covering the total.
+ * @param {Object} transaction
+ * @returns {Array<{method: string, amount: number, reference?: string}>}
+ */
+export const getTransactionPayments = (transaction) => {
+  if (!transaction) return []
+  if (Array.isArray(transaction.payments) && transaction.payments.length > 0) {
+    return transaction.payments
+  }
+  return [{
+    method: transaction.paymentMethod || TENDER_TYPES.CASH,
+    amount: Number(transaction.total) || 0
+  }]
+}
+
+/**
+ * Amount of a transaction that was paid with the given tender
+ * @param {Object} transaction
+ * @param {string} method - cash | mpesa | credit
+ * @returns {number}
+ */
+export const getTenderAmount = (transaction, method) => {
+  return roundMoney(
+    getTransactionPayments(transaction)
+      .filter(p => p.method === method)
+      .reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+  )
+}
+
+/**
+ * Whether any part of the transaction was paid with the given tender.
+ * 'split' matches transactions settled with more than one tender.
+ * @param {Object} transaction
+ * @param {string} method
+ * @returns {boolean}
+ */
+export const transactionUsesTender = (transaction, method) => {
+  if (method === SPLIT_PAYMENT_METHOD) return isSplitTender(transaction)
+  return getTransactionPayments(transaction).some(p => p.method === method)
+}
+
+/**
+ * Whether the transaction was settled with more than one tender
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isSplitTender = (transaction) => {
+  const methods = new Set(getTransactionPayments(transaction).map(p => p.method))
+  return methods.size > 1
+}
+
+/**
+ * Sum revenue per tender across transactions
+ * @param {Array} transactions
+ * @returns {{cash: number, mpesa: number, credit: number}}
+ */
+export const sumByTender = (transactions = []) => {
+  const totals = { cash: 0, mpesa: 0, credit: 0 }
+  transactions.forEach(t => {
+    getTransactionPayments(t).forEach(p => {
+      const method = p.method || TENDER_TYPES.CASH
+      totals[method] = (totals[method] || 0) + (Number(p.amount) || 0)
+    })
+  })
+  Object.keys(totals).forEach(key => {
+    totals[key] = roundMoney(totals[key])
+  })
+  return totals
+}
+
+/**
+ * Sum of the payment lines entered so far
+ * @param {Array} payments
+ * @returns {number}
+ */
+export const getTenderedTotal = (payments = []) => {
+  return roundMoney(payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0))
+}
+
+/**
+ * Amount still owed after the given payment lines (never negative)
+ * @param {Array} payments
+ * @param {number} total - Sale total
+ * @returns {number}
+ */
+export const getRemainingBalance = (payments, total) => {
+  return Math.max(0, roundMoney(total - getTenderedTotal(payments)))
+}
+
+/**
+ * Change due to the customer. Only cash can be over-tendered; M-Pesa and
+ * credit lines must never exceed what is owed.
+ * @param {Array} payments
+ * @param {number} total
+ * @returns {number}
+ */
+export const getChangeDue = (payments, total) => {
+  return Math.max(0, roundMoney(getTenderedTotal(payments) - total))
+}
+
+/**
+ * Validate tender lines for a sale.
+ * @param {Array} payments
+ * @param {number} total
+ * @returns {string|null} Error message, or null when the tenders settle the sale
+ */
+export const validatePayments = (payments, total) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return 'Add at least one payment'
+  }
+  if (payments.some(p => !(Number(p.amount) > 0))) {
+    return 'Every payment line needs an amount greater than zero'
+  }
+  if (payments.some(p => !TENDER_LABELS[p.method] || p.method === SPLIT_PAYMENT_METHOD)) {
+    return 'Unknown payment method'
+  }
+  const nonCash = payments
+    .filter(p => p.method !== TENDER_TYPES.CASH)
+    .reduce((sum, p) => sum + Number(p.amount), 0)
+  if (roundMoney(nonCash) > roundMoney(total)) {
+    return 'Only cash can be over-tendered; other payments cannot exceed the sale total'
+  }
+  if (getRemainingBalance(payments, total) > 0) {
+    return `KES ${getRemainingBalance(payments, total).toLocaleString()} is still outstanding`
+  }
+  return null
+}
+
+/**
+ * Turn tender lines entered at the till into the payments stored on a transaction.
+ * Lines of the same method are merged and cash is reduced by the change handed back,
+ * so the stored amounts always add up to the sale total. Voucher lines stay one per
+ * voucher code so each can be taken off its own balance.
+ * @param {Array} payments
+ * @param {number} total
+ * @returns {{payments: Array, paymentMethod: string, amountTendered: number, changeDue: number}}
+ */
+export const finalizePayments = (payments, total) => {
+  const changeDue = getChangeDue(payments, total)
+  const amountTendered = getTenderedTotal(payments)
+  const merged = []
+
+  payments.forEach(p => {
+    const existing = merged.find(m => m.method === p.method && (p.method !== TENDER_TYPES.VOUCHER || m.reference === p.reference))
+    if (existing) {
+      existing.amount += Number(p.amount) || 0
+      if (p.reference) {
+        existing.reference = existing.reference ? `${existing.reference}, ${p.reference}` : p.reference
+      }
+    } else {
+      merged.push({
+        method: p.method,
+        amount: Number(p.amount) || 0,
+        ...(p.reference ? { reference: p.reference } : {}),
+        // STK Push details for M-Pesa lines
+        ...(p.phone ? { phone: p.phone } : {}),
+        ...(p.checkoutRequestId ? { checkoutRequestId: p.checkoutRequestId } : {}),
+        ...(p.amountCharged ? { amountCharged: p.amountCharged } : {})
+      })
+    }
+  })
+
+  const cashLine = merged.find(m => m.method === TENDER_TYPES.CASH)
+  if (cashLine && changeDue > 0) {
+    cashLine.tendered = roundMoney(cashLine.amount)
+    cashLine.amount = cashLine.amount - changeDue
+  }
+
+  const finalPayments = merged
+    .map(m => ({ ...m, amount: roundMoney(m.amount) }))
+    .filter(m => m.amount > 0)
+  const methods = new Set(finalPayments.map(m => m.method))
+
+  return {
+    payments: finalPayments,
+    paymentMethod: methods.size > 1 ? SPLIT_PAYMENT_METHOD : (finalPayments[0]?.method || TENDER_TYPES.CASH),
+    amountTendered,
+    changeDue
+  }
+}
+
+/**
+ * Short description of how a transaction was paid, e.g. "Cash + M-Pesa"
+ * @param {Object} transaction
+ * @returns {string}
+ */
+export const describePayments = (transaction) => {
+  const methods = [...new Set(getTransactionPayments(transaction).map(p => p.method))]
+  return methods.map(getTenderLabel).join(' + ')
+}
@@ -0,0 +1,91 @@
+/**
+ * POS terminal identity and per-terminal settings
+ *
+ * Each browser/device running the POS gets a stable terminal ID the first time it
+ * is used. Data that belongs to a physical till (held sales, terminal preferences)
+ * is scoped by branch + terminal ID rather than by user.
+ */
+
+import { DEFAULT_OVERRIDE_THRESHOLDS } from './priceOverrides'
+
+const TERMINAL_ID_KEY = 'whiskeyballet-terminal-id'
+const TERMINAL_SETTINGS_KEY = 'whiskeyballet-terminal-settings'
+
+export const DEFAULT_TERMINAL_SETTINGS = {
+  heldSaleExpiryHours: 24,
+  // Fiscal device for this till: 'none' | 'mock' | 'etims' (eTIMS needs baseUrl, tin, bhfId, cmcKey)
+  fiscal: {
+    adapter: process.env.NODE_ENV === 'production' ? 'none' : 'mock',
+    baseUrl: '',
+    tin: '',
+    bhfId: '00',
+    cmcKey: ''
+  },
+  // M-Pesa STK Push: 'mock' simulates the customer's phone, 'daraja' goes through the proxy functions
+  mpesa: {
+    adapter: process.env.NODE_ENV === 'production' ? 'daraja' : 'mock',
+    proxyUrl: process.env.NEXT_PUBLIC_MPESA_PROXY_URL || ''
+  },
+  // Line discounts above either limit need a manager's approval at this till
+  priceOverrides: { ...DEFAULT_OVERRIDE_THRESHOLDS },
+  // Receipt printer: 'browser' prints the receipt page; 'webusb' | 'serial' | 'network' send ESC/POS
+  receiptPrinter: {
+    transport: 'browser',
+    paperWidth: '80mm',
+    baudRate: 9600,
+    bridgeUrl: 'http://localhost:9101',
+    host: '',
+    port: 9100,
+    openDrawerOnCash: true
+  }
+}
+
+/**
+ * Get (or create) the ID of this POS terminal
+ * @returns {string} Terminal ID, e.g. "T-LX8K2A-9F3Q"
+ */
+export const getTerminalId = () => {
+  if (typeof window === 'undefined') return 'server'
+  try {
+    let terminalId = localStorage.getItem(TERMINAL_ID_KEY)
+    if (!terminalId) {
+      terminalId = `T-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+      localStorage.setItem(TERMINAL_ID_KEY, terminalId)
+      console.log('🖥️ Registered new POS terminal:', terminalId)
+    }
+    return terminalId
+  } catch (error) {
+    console.warn('Could not read terminal ID from localStorage:', error)
+    return 'T-UNKNOWN'
+  }
+}
+
+/**
+ * Read settings stored on this terminal (merged over defaults)
+ * @returns {Object}
+ */
+export const getTerminalSettings = () => {
+  if (typeof window === 'undefined') return { ...DEFAULT_TERMINAL_SETTINGS }
+  try {
+    const stored = localStorage.getItem(TERMINAL_SETTINGS_KEY)
+    return { ...DEFAULT_TERMINAL_SETTINGS, ...(stored ? JSON.parse(stored) : {}) }
+  } catch (error) {
+    console.warn('Could not read terminal settings:', error)
+    return { ...DEFAULT_TERMINAL_SETTINGS }
+  }
+}
+
+/**
+ * Update settings stored on this terminal
+ * @param {Object} updates - Partial settings to merge
+ * @returns {Object} The saved settings
+ */
+export const updateTerminalSettings = (updates) => {
+  const settings = { ...getTerminalSettings(), ...updates }
+  try {
+    localStorage.setItem(TERMINAL_SETTINGS_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Could not save terminal settings:', error)
+  }
+  return settings
+}
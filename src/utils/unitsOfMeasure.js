@@ -0,0 +1,202 @@
+/**
+ * Units of measure
+ *
+ * Stock is always held in a product's base unit (`quantity` counts bottles).
+ * A product can also be bought and sold in packs listed in `packUnits`:
+ *   { id, name, factor, barcode, price, costPrice }
+ * where `factor` is how many base units the pack holds. A pack's own price and
+ * cost are optional and default to the base price/cost times the factor.
+ *
+ * Cart and transaction lines sold in a pack carry `productId`, `unitId`,
+ * `unitName` and `unitFactor`, and use `${productId}:${unitId}` as their id so a
+ * single and a case of the same product are separate lines. Anything that moves
+ * stock converts with getLineBaseQuantity / getBaseQuantities.
+ */
+
+export const DEFAULT_BASE_UNIT = 'bottle'
+
+/** Common packs offered when setting a product up */
+export const PACK_PRESETS = [
+  { name: '6-pack', factor: 6 },
+  { name: '12-case', factor: 12 },
+  { name: '24-case', factor: 24 }
+]
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Name of the unit stock is counted in
+ * @param {Object} product
+ * @returns {string}
+ */
+export const getBaseUnitName = (product) => product?.baseUnit || product?.inventoryUnits || DEFAULT_BASE_UNIT
+
+/**
+ * Packs a product can be bought or sold in
+ * @param {Object} product
+ * @returns {Array}
+ */
+export const getPackUnits = (product) => (product?.packUnits || []).filter(unit => unit && Number(unit.factor) > 1)
+
+/**
+ * Find one of a product's packs
+ * @param {Object} product
+ * @param {string} unitId
+ * @returns {Object|null}
+ */
+export const findPackUnit = (product, unitId) => getPackUnits(product).find(unit => unit.id === unitId) || null
+
+/**
+ * Selling price of a pack
+ * @param {Object} product
+ * @param {Object} pack
+ * @returns {number}
+ */
+export const getPackPrice = (product, pack) => {
+  if (Number(pack?.price) > 0) return roundMoney(pack.price)
+  return roundMoney((product?.price ?? product?.sellingPrice ?? 0) * (Number(pack?.factor) || 1))
+}
+
+/**
+ * Purchase cost of a pack
+ * @param {Object} product
+ * @param {Object} pack
+ * @returns {number}
+ */
+export const getPackCost = (product, pack) => {
+  if (Number(pack?.costPrice) > 0) return roundMoney(pack.costPrice)
+  return roundMoney((product?.costPrice ?? 0) * (Number(pack?.factor) || 1))
+}
+
+/**
+ * Inventory product a cart/transaction/PO line belongs to
+ * @param {Object} line
+ * @returns {*}
+ */
+export const getLineProductId = (line) => line?.productId ?? line?.id
+
+/**
+ * Quantity of a line in base units (negative lines stay negative)
+ * @param {Object} line - { quantity, unitFactor? }
+ * @returns {number}
+ */
+export const getLineBaseQuantity = (line) => (Number(line?.quantity) || 0) * (Number(line?.unitFactor) || 1)
+
+/**
+ * Base-unit quantities per product across a set of lines
+ * @param {Array} lines
+ * @returns {Map} productId -> base quantity
+ */
+export const getBaseQuantities = (lines = []) => {
+  const totals = new Map()
+  lines.forEach(line => {
+    const productId = getLineProductId(line)
+    totals.set(productId, (totals.get(productId) || 0) + getLineBaseQuantity(line))
+  })
+  return totals
+}
+
+/**
+ * Cart line for a product sold in one of its packs
+ * @param {Object} product
+ * @param {Object} pack
+ * @param {number} [price] - Defaults to the pack price
+ * @returns {Object}
+ */
+export const toPackLine = (product, pack, price = getPackPrice(product, pack)) => ({
+  ...product,
+  id: `${product.id}:${pack.id}`,
+  productId: product.id,
+  unitId: pack.id,
+  unitName: pack.name,
+  unitFactor: Number(pack.factor),
+  name: `${product.name} (${pack.name})`,
+  barcode: pack.barcode || product.barcode,
+  price,
+  costPrice: getPackCost(product, pack),
+  // A case of returnable bottles carries a deposit for every bottle in it
+  ...(product.depositItemId != null ? { depositUnits: (Number(product.depositUnits) || 1) * Number(pack.factor) } : {})
+})
+
+/**
+ * Look a scanned code up against product barcodes/SKUs and pack barcodes
+ * @param {Array} inventory
+ * @param {string} code
+ * @returns {{ product: Object, pack: Object|null }|null}
+ */
+export const findByBarcode = (inventory = [], code) => {
+  const trimmed = String(code || '').trim()
+  if (!trimmed) return null
+  for (const product of inventory) {
+    if (product.deletedAt) continue
+    const pack = getPackUnits(product).find(unit => unit.barcode && unit.barcode === trimmed)
+    if (pack) return { product, pack }
+  }
+  const product = inventory.find(p => !p.deletedAt && (p.barcode === trimmed || p.sku?.toLowerCase() === trimmed.toLowerCase()))
+  return product ? { product, pack: null } : null
+}
+
+/**
+ * Stock in the largest pack plus loose units, e.g. "4 × 12-case + 3 bottle"
+ * @param {number} quantity - Base units
+ * @param {Object} product
+ * @returns {string}
+ */
+export const describeStock = (quantity, product) => {
+  const base = getBaseUnitName(product)
+  const largest = getPackUnits(product).reduce((max, unit) => (!max || unit.factor > max.factor ? unit : max), null)
+  if (!largest || quantity < largest.factor) return `${quantity} ${base}`
+  const packs = Math.floor(quantity / largest.factor)
+  const loose = quantity % largest.factor
+  return `${packs} × ${largest.name}${loose > 0 ? ` + ${loose} ${base}` : ''}`
+}
+
+/**
+ * New pack unit with a unique id
+ * @param {Object} [values]
+ * @returns {Object}
+ */
+export const createPackUnit = (values = {}) => ({
+  id: `pk-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`,
+  name: '',
+  factor: 6,
+  barcode: '',
+  price: 0,
+  costPrice: 0,
+  ...values
+})
+
+/**
+ * Problems with a product's pack setup
+ * @param {Array} packUnits
+ * @param {Object} [options]
+ * @param {Array} [options.inventory] - Other products, to catch barcodes already in use
+ * @param {*} [options.productId] - The product being edited
+ * @returns {Array<string>} Empty when valid
+ */
+export const validatePackUnits = (packUnits = [], { inventory = [], productId = null } = {}) => {
+  const errors = []
+  const names = new Set()
+  const barcodes = new Set()
+  const usedElsewhere = new Set()
+  inventory.forEach(product => {
+    if (product.id === productId || product.deletedAt) return
+    if (product.barcode) usedElsewhere.add(product.barcode)
+    getPackUnits(product).forEach(unit => unit.barcode && usedElsewhere.add(unit.barcode))
+  })
+
+  packUnits.forEach(unit => {
+    const name = String(unit.name || '').trim()
+    const factor = Number(unit.factor)
+    if (!name) errors.push('Every pack needs a name')
+    else if (names.has(name.toLowerCase())) errors.push(`"${name}" is listed twice`)
+    names.add(name.toLowerCase())
+    if (!Number.isInteger(factor) || factor < 2) errors.push(`${name || 'A pack'} must hold 2 or more units`)
+    if (unit.barcode) {
+      if (barcodes.has(unit.barcode)) errors.push(`Barcode ${unit.barcode} is used by two packs`)
+      else if (usedElsewhere.has(unit.barcode)) errors.push(`Barcode ${unit.barcode} already belongs to another product`)
+      barcodes.add(unit.barcode)
+    }
+  })
+  return errors
+}
@@ -0,0 +1,293 @@
+/**
+ * Gift vouchers
+ *
+ * A voucher is bought at the till for a face value and carries a unique code
+ * (WB-XXXX-XXXX, printed with a QR of the same code). Until it is spent the
+ * money is owed to whoever holds it, so the purchase is saved as a
+ * 'voucher_sale' transaction: it goes through the drawer and the shift like
+ * any other takings, but reports keep it out of revenue and carry the unspent
+ * balances as a liability instead. Redeeming is a 'voucher' tender line on a
+ * sale with the code as its reference; a voucher can be spent over several
+ * sales until its balance runs out or it expires.
+ */
+
+import { readSharedData } from './storage'
+import { TENDER_TYPES } from './tenders'
+
+export const VOUCHER_SALE_TYPE = 'voucher_sale'
+
+export const VOUCHER_STATUS = {
+  ACTIVE: 'active',
+  REDEEMED: 'redeemed',
+  EXPIRED: 'expired'
+}
+
+/** Tenders a voucher can be bought with */
+export const VOUCHER_PURCHASE_METHODS = [TENDER_TYPES.CASH, TENDER_TYPES.MPESA]
+
+export const DEFAULT_VOUCHER_VALIDITY_MONTHS = 12
+
+// No 0/O or 1/I, so codes read back over the phone don't get mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Whether a transaction document is the purchase of a gift voucher
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isVoucherSale = (transaction) => transaction?.type === VOUCHER_SALE_TYPE
+
+/**
+ * Code with spaces, dashes and case stripped, for comparing what was typed or scanned
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeVoucherCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+/**
+ * New voucher code that isn't already in use
+ * @param {Array} vouchers - Existing vouchers
+ * @returns {string} e.g. WB-7KQD-M2XA
+ */
+export const generateVoucherCode = (vouchers = []) => {
+  const taken = new Set(vouchers.map(v => normalizeVoucherCode(v.code)))
+  const block = () => Array.from({ length: 4 }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('')
+  let code
+  do {
+    code = `WB-${block()}-${block()}`
+  } while (taken.has(normalizeVoucherCode(code)))
+  return code
+}
+
+/**
+ * Find a voucher by its code
+ * @param {Array} vouchers
+ * @param {string} code
+ * @returns {Object|null}
+ */
+export const findVoucher = (vouchers = [], code) => {
+  const wanted = normalizeVoucherCode(code)
+  if (!wanted) return null
+  return vouchers.find(v => !v.deletedAt && normalizeVoucherCode(v.code) === wanted) || null
+}
+
+/**
+ * Where a voucher stands right now
+ * @param {Object} voucher
+ * @param {Date} [now]
+ * @returns {string} VOUCHER_STATUS
+ */
+export const getVoucherStatus = (voucher, now = new Date()) => {
+  if (!(roundMoney(voucher?.balance) > 0)) return VOUCHER_STATUS.REDEEMED
+  if (voucher.expiresAt && new Date(voucher.expiresAt) < now) return VOUCHER_STATUS.EXPIRED
+  return VOUCHER_STATUS.ACTIVE
+}
+
+/**
+ * Why a voucher can't pay the given amount
+ * @param {Object|null} voucher
+ * @param {number} amount
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null when it can
+ */
+export const validateVoucherRedemption = (voucher, amount, now = new Date()) => {
+  if (!voucher) return 'Voucher not found'
+  const status = getVoucherStatus(voucher, now)
+  if (status === VOUCHER_STATUS.REDEEMED) return `Voucher ${voucher.code} has been used up`
+  if (status === VOUCHER_STATUS.EXPIRED) return `Voucher ${voucher.code} expired on ${new Date(voucher.expiresAt).toLocaleDateString()}`
+  if (!(Number(amount) > 0)) return 'Enter an amount greater than zero'
+  if (roundMoney(amount) > roundMoney(voucher.balance)) {
+    return `Voucher ${voucher.code} only has KES ${roundMoney(voucher.balance).toLocaleString()} left`
+  }
+  return null
+}
+
+/**
+ * Expiry date for a voucher issued now
+ * @param {number} [months]
+ * @param {Date} [from]
+ * @returns {string} ISO date, end of that day
+ */
+export const getVoucherExpiry = (months = DEFAULT_VOUCHER_VALIDITY_MONTHS, from = new Date()) => {
+  const expiry = new Date(from)
+  expiry.setMonth(expiry.getMonth() + months)
+  expiry.setHours(23, 59, 59, 999)
+  return expiry.toISOString()
+}
+
+/**
+ * Build a new voucher and the transaction that sells it
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {number} params.value - Face value
+ * @param {string} params.expiresAt
+ * @param {string} params.method - VOUCHER_PURCHASE_METHODS
+ * @param {string} [params.reference] - M-Pesa transaction code
+ * @param {string} [params.recipientName] - Name printed on the voucher
+ * @param {Object} [params.customer] - Customer buying it, if known
+ * @param {Object} params.user - Cashier selling it
+ * @param {string} params.branchId
+ * @param {string} [params.shiftId]
+ * @param {string} [params.terminalId]
+ * @returns {{ voucher: Object, transaction: Object }}
+ */
+export const buildVoucherSale = ({
+  code,
+  value,
+  expiresAt,
+  method,
+  reference,
+  recipientName = '',
+  customer = null,
+  user,
+  branchId,
+  shiftId = null,
+  terminalId = null
+}) => {
+  const amount = roundMoney(value)
+  if (!(amount > 0)) throw new Error('Enter the voucher value')
+  if (!VOUCHER_PURCHASE_METHODS.includes(method)) throw new Error('Vouchers can only be bought with cash or M-Pesa')
+
+  const issuedAt = new Date().toISOString()
+  const voucherId = `VCH-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`
+  const transactionId = `VS-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
+
+  const voucher = {
+    id: voucherId,
+    code,
+    initialValue: amount,
+    balance: amount,
+    recipientName: recipientName.trim(),
+    customerId: customer?.id || null,
+    customerName: customer?.name || null,
+    branchId,
+    issuedAt,
+    issuedBy: user?.name || 'Unknown',
+    expiresAt,
+    saleTransactionId: transactionId,
+    redemptions: []
+  }
+
+  const transaction = {
+    id: transactionId,
+    type: VOUCHER_SALE_TYPE,
+    voucherId,
+    voucherCode: code,
+    terminalId,
+    shiftId,
+    timestamp: issuedAt,
+    userId: user?.id,
+    cashier: user?.name || 'Unknown',
+    cashierId: user?.id,
+    branchId,
+    customerId: customer?.id || null,
+    customerName: customer?.name || null,
+    items: [],
+    subtotal: 0,
+    vatAmount: 0,
+    total: amount,
+    paymentMethod: method,
+    payments: [{ method, amount, ...(reference ? { reference } : {}) }],
+    paymentStatus: 'completed'
+  }
+
+  return { voucher, transaction }
+}
+
+/**
+ * Take the voucher tender lines of a sale off the vouchers they name. Every line
+ * is checked against the voucher as it stands now, so a voucher spent on another
+ * till since it was looked up is caught before the sale is saved.
+ * @param {Array} vouchers - All vouchers
+ * @param {Array} payments - The sale's tender lines
+ * @param {Object} params
+ * @param {string} params.transactionId
+ * @param {Object} params.user
+ * @param {string} [params.branchId]
+ * @returns {Array} The vouchers that changed
+ */
+export const applyVoucherRedemptions = (vouchers = [], payments = [], { transactionId, user, branchId = null }) => {
+  const changed = new Map()
+  const redeemedAt = new Date().toISOString()
+
+  payments.filter(p => p.method === TENDER_TYPES.VOUCHER).forEach(p => {
+    const found = findVoucher(vouchers, p.reference)
+    const voucher = found && (changed.get(found.id) || found)
+    const error = validateVoucherRedemption(voucher, p.amount)
+    if (error) throw new Error(error)
+
+    const amount = roundMoney(p.amount)
+    changed.set(voucher.id, {
+      ...voucher,
+      balance: roundMoney(voucher.balance - amount),
+      redemptions: [
+        ...(voucher.redemptions || []),
+        { transactionId, amount, branchId, redeemedAt, redeemedBy: user?.name || 'Unknown' }
+      ]
+    })
+  })
+
+  return Array.from(changed.values())
+}
+
+/**
+ * Put back what a cancelled sale took off its vouchers
+ * @param {Array} vouchers - All vouchers
+ * @param {string} transactionId - The cancelled sale
+ * @returns {Array} The vouchers that changed
+ */
+export const reverseVoucherRedemptions = (vouchers = [], transactionId) => {
+  return vouchers
+    .filter(v => (v.redemptions || []).some(r => r.transactionId === transactionId && !r.reversedAt))
+    .map(v => {
+      const reversedAt = new Date().toISOString()
+      const restored = v.redemptions
+        .filter(r => r.transactionId === transactionId && !r.reversedAt)
+        .reduce((sum, r) => sum + r.amount, 0)
+      return {
+        ...v,
+        balance: roundMoney(v.balance + restored),
+        redemptions: v.redemptions.map(r =>
+          r.transactionId === transactionId && !r.reversedAt ? { ...r, reversedAt } : r
+        )
+      }
+    })
+}
+
+/**
+ * Unspent voucher value. Expired balances are shown separately: they are no
+ * longer redeemable but stay on the books until written off.
+ * @param {Array} vouchers
+ * @param {Object} [options]
+ * @param {string} [options.branchId] - Only vouchers sold at this branch
+ * @param {Date} [options.now]
+ * @returns {{ outstanding: number, outstandingCount: number, expired: number, expiredCount: number }}
+ */
+export const getVoucherLiability = (vouchers = [], { branchId = null, now = new Date() } = {}) => {
+  const totals = { outstanding: 0, outstandingCount: 0, expired: 0, expiredCount: 0 }
+  vouchers
+    .filter(v => !v.deletedAt && (!branchId || v.branchId === branchId))
+    .forEach(v => {
+      const status = getVoucherStatus(v, now)
+      if (status === VOUCHER_STATUS.ACTIVE) {
+        totals.outstanding += v.balance
+        totals.outstandingCount += 1
+      } else if (status === VOUCHER_STATUS.EXPIRED) {
+        totals.expired += v.balance
+        totals.expiredCount += 1
+      }
+    })
+  return { ...totals, outstanding: roundMoney(totals.outstanding), expired: roundMoney(totals.expired) }
+}
+
+/**
+ * All gift vouchers (they can be redeemed at any branch)
+ * @param {string} adminId
+ * @returns {Promise<Array>}
+ */
+export const getVouchers = async (adminId) => {
+  const data = await readSharedData(adminId, false, { stores: ['vouchers'] })
+  return data.vouchers || []
+}
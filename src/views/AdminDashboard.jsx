@@ -27,6 +27,7 @@ import { checkIfMigrationNeeded, migrateDataToBranchIsolation } from "../utils/d
 import { getAllBranches } from "../services/branchService"
 import { readSharedData } from "../utils/storage"
 import { getAccessiblePages } from "../utils/permissions"
+import { getTenderAmount } from "../utils/tenders"
 
 export default function AdminDashboard({ currentUser, onPageChange }) {
   const isAdminView = currentUser?.role === 'admin'
@@ -224,14 +225,16 @@ export default function AdminDashboard({ currentUser, onPageChange }) {
       return status === 'completed' || !status
     }
     const getAmount = (t) => (t.total != null ? t.total : t.amount) ?? 0
+    // Split-tender sales are counted per payment line
+    const getCollected = (t, method) => getTenderAmount({ ...t, total: getAmount(t) }, method)
 
     const cashCollected = rangeTransactions
-      .filter(t => t.paymentMethod === 'cash' && isCompletedSale(t))
-      .reduce((sum, t) => sum + getAmount(t), 0)
+      .filter(t => isCompletedSale(t))
+      .reduce((sum, t) => sum + getCollected(t, 'cash'), 0)
 
     const mpesaCollected = rangeTransactions
-      .filter(t => t.paymentMethod === 'mpesa' && isCompletedSale(t))
-      .reduce((sum, t) => sum + getAmount(t), 0)
+      .filter(t => isCompletedSale(t))
+      .reduce((sum, t) => sum + getCollected(t, 'mpesa'), 0)
       
     const expectedTotal = cashCollected + mpesaCollected
 
@@ -4,6 +4,12 @@ import { useState, useEffect } from "react"
 import { Eye, EyeOff } from "lucide-react"
 import TopBar from "../components/TopBar"
 import PWAInstallPrompt from "../components/PWAInstallPrompt"
+import FiscalDeviceSettings from "../components/FiscalDeviceSettings"
+import PromotionsManager from "../components/PromotionsManager"
+import LoyaltySettings from "../components/LoyaltySettings"
+import CostingSettings from "../components/CostingSettings"
+import PriceOverrideSettings from "../components/PriceOverrideSettings"
+import ReceiptPrinterSettings from "../components/ReceiptPrinterSettings"
 import { getAllUsers, updateUserPassword, deactivateUser, registerUser, updateUserBranch } from "../utils/auth"
 import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
 import { getAllBranches } from "../services/branchService"
@@ -456,6 +462,24 @@ export default function AdminSettingsPage({ currentUser, inventory = [] }) {
             <PWAInstallPrompt showButton={true} />
           </div>
 
+          {/* Fiscal Device Section */}
+          <FiscalDeviceSettings adminId={getAdminIdForStorage(currentUser)} />
+
+          {/* Receipt Printer Section */}
+          <ReceiptPrinterSettings />
+
+          {/* Price Override Approval Section */}
+          <PriceOverrideSettings />
+
+          {/* Promotions Section */}
+          <PromotionsManager adminId={getAdminIdForStorage(currentUser)} inventory={inventory} branches={branches} />
+
+          {/* Loyalty Programme Section */}
+          <LoyaltySettings adminId={getAdminIdForStorage(currentUser)} inventory={inventory} />
+
+          {/* Stock Costing Section */}
+          <CostingSettings adminId={getAdminIdForStorage(currentUser)} />
+
           {/* User Management Section */}
           <div className="bg-card rounded-xl shadow-sm border border-border overflow-hidden">
             <div className="p-6 border-b border-border flex justify-between items-center">
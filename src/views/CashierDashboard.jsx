@@ -5,10 +5,15 @@ import TopBar from "../components/TopBar"
 import DashboardCard from "../components/DashboardCard"
 import RecentTransactions from "../components/RecentTransactions"
 import AccountabilityModal from "../components/AccountabilityModal"
+import ShiftControls from "../components/ShiftControls"
 import { readSharedData } from "../utils/storage"
 import { getAdminIdForStorage } from "../utils/auth"
 import { subscribeToTransactions, subscribeToTransactionsByBranch } from "../services/realtimeListeners"
+import { subscribeToTabsByBranch } from "../services/realtimeExtraListeners"
 import { formatTimeAgo, isWithinLastMs } from "../utils/dateUtils"
+import { formatKES } from "../utils/pricing"
+import { getTabs, getOpenTabs, getOutstandingTabs, getTabTotal } from "../utils/tabs"
+import { useOpenShift } from "../hooks/useOpenShift"
 
 export default function CashierDashboard({ currentUser }) {
   const [dashboardData, setDashboardData] = useState({
@@ -20,6 +25,8 @@ export default function CashierDashboard({ currentUser }) {
   })
   const [showAccountabilityModal, setShowAccountabilityModal] = useState(false)
   const [accountabilityType, setAccountabilityType] = useState(null)
+  const { shift, setShift, loading: shiftLoading } = useOpenShift(currentUser)
+  const [tabs, setTabs] = useState([])
 
   useEffect(() => {
     const loadDashboardData = async () => {
@@ -141,9 +148,38 @@ export default function CashierDashboard({ currentUser }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentUser?.id, currentUser?.branchId])
 
+  // Open tabs in the branch, so the cashier can see what is still owed before handing over
+  useEffect(() => {
+    if (!currentUser?.id) return
+    const adminId = getAdminIdForStorage(currentUser)
+    const branchId = currentUser?.branchId
+    const onError = (error) => console.error('Error loading tabs:', error)
+
+    if (typeof navigator !== "undefined" && !navigator.onLine) {
+      const loadTabs = () => getTabs(adminId, branchId).then(setTabs).catch(onError)
+      loadTabs()
+      const interval = setInterval(loadTabs, 30000)
+      return () => clearInterval(interval)
+    }
+
+    const unsub = subscribeToTabsByBranch(adminId, branchId, (data) => setTabs(data || []), onError)
+    return () => unsub && unsub()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id, currentUser?.branchId])
+
+  const branchTabs = getOutstandingTabs(tabs, { branchId: currentUser?.branchId })
+  const myTabs = getOutstandingTabs(tabs, { branchId: currentUser?.branchId, cashierId: currentUser?.id })
+  const openTabs = getOpenTabs(tabs, { branchId: currentUser?.branchId })
+
   return (
     <div className="flex flex-col h-full">
-      <TopBar title="Cashier Dashboard" subtitle="Your daily sales summary" />
+      <TopBar
+        title="Cashier Dashboard"
+        subtitle="Your daily sales summary"
+        actions={shiftLoading ? null : (
+          <ShiftControls currentUser={currentUser} shift={shift} onShiftChange={setShift} />
+        )}
+      />
 
       <div className="p-6 flex-1">
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
@@ -179,6 +215,41 @@ export default function CashierDashboard({ currentUser }) {
           />
         </div>
 
+        {branchTabs.count > 0 && (
+          <div className="mb-8">
+            <h2 className="text-lg font-bold text-foreground mb-3">🍷 Open Tabs</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
+              <DashboardCard
+                title="My Open Tabs"
+                value={formatKES(myTabs.total)}
+                subtitle={`${myTabs.count} tab${myTabs.count === 1 ? "" : "s"} to settle or hand over`}
+                icon="🍷"
+                variant="accent"
+              />
+              <DashboardCard
+                title="Branch Open Tabs"
+                value={formatKES(branchTabs.total)}
+                subtitle={`${branchTabs.count} tab${branchTabs.count === 1 ? "" : "s"} outstanding`}
+                icon="🧾"
+                variant="secondary"
+              />
+            </div>
+            <div className="bg-card rounded-xl border-2 border-border divide-y divide-border">
+              {openTabs.map(tab => (
+                <div key={tab.id} className="flex items-center justify-between px-4 py-3">
+                  <div className="min-w-0">
+                    <p className="font-semibold text-foreground truncate">{tab.name}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {String(tab.cashierId) === String(currentUser?.id) ? "Yours" : tab.cashierName} · opened {formatTimeAgo(tab.openedAt)}
+                    </p>
+                  </div>
+                  <span className="font-bold text-foreground whitespace-nowrap">{formatKES(getTabTotal(tab))}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <RecentTransactions 
           transactions={dashboardData.recentTransactions} 
           fullTransactions={dashboardData.fullTransactions}
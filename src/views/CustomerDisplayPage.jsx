@@ -0,0 +1,161 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { formatKES } from "../utils/pricing"
+import { DISPLAY_MESSAGES, DISPLAY_MODES, openDisplayChannel } from "../utils/customerDisplay"
+
+const IDLE_ROTATE_MS = 8000
+
+const DEFAULT_BRANDING = {
+  businessName: "Whiskey Ballet",
+  tagline: "Wines & Spirits"
+}
+
+/**
+ * Full-screen customer display, driven entirely by the till over BroadcastChannel
+ */
+export default function CustomerDisplayPage() {
+  const [state, setState] = useState(null)
+  const [connected, setConnected] = useState(true)
+  const [idleIndex, setIdleIndex] = useState(0)
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    const channel = openDisplayChannel((message) => {
+      if (message?.type === DISPLAY_MESSAGES.STATE) setState(message.state)
+    })
+    if (!channel) {
+      setConnected(false)
+      return
+    }
+    channel.postMessage({ type: DISPLAY_MESSAGES.REQUEST_STATE })
+    return () => channel.close()
+  }, [])
+
+  const mode = state?.mode || DISPLAY_MODES.IDLE
+  const branding = { ...DEFAULT_BRANDING, ...(state?.branding || {}) }
+  const idleMessages = state?.idleMessages || []
+
+  useEffect(() => {
+    if (mode !== DISPLAY_MODES.IDLE || idleMessages.length < 2) return
+    const timer = setInterval(() => setIdleIndex(i => (i + 1) % idleMessages.length), IDLE_ROTATE_MS)
+    return () => clearInterval(timer)
+  }, [mode, idleMessages.length])
+
+  // Keep the newest line in view as items are scanned
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight
+  }, [state?.items?.length])
+
+  if (mode === DISPLAY_MODES.IDLE) {
+    const message = idleMessages[idleIndex % Math.max(idleMessages.length, 1)]
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-[#1a0f0a] via-[#2C1810] to-[#6B0F1A] text-[#F5F5DC] p-12 text-center">
+        <h1 className="font-heading text-6xl font-semibold tracking-tight">{branding.businessName}</h1>
+        <p className="mt-3 text-2xl text-[#D4AF37] uppercase tracking-[0.3em]">{branding.tagline}</p>
+        {branding.branchName && <p className="mt-2 text-lg opacity-70">{branding.branchName}</p>}
+        {message && (
+          <div key={message} className="mt-16 px-10 py-8 rounded-2xl border border-[#D4AF37]/40 bg-black/20 max-w-3xl animate-in fade-in duration-700">
+            <p className="text-sm uppercase tracking-widest text-[#D4AF37] mb-2">Today&apos;s offer</p>
+            <p className="text-4xl font-semibold">{message}</p>
+          </div>
+        )}
+        {!connected && (
+          <p className="mt-12 text-sm opacity-60">This browser can&apos;t link to the till. Open the display from the POS screen in Chrome, Edge or Firefox.</p>
+        )}
+      </div>
+    )
+  }
+
+  const { items = [], promotions = [], deposits = [], totals = {}, amountDue = 0, amountTendered, changeDue } = state
+
+  return (
+    <div className="min-h-screen flex flex-col lg:flex-row bg-[#F5F1E8] text-[#2C1810]">
+      <div className="flex-1 flex flex-col p-8 min-h-0">
+        <div className="flex items-baseline justify-between border-b-2 border-[#D4AF37]/50 pb-4 mb-4">
+          <h1 className="font-heading text-3xl font-semibold">{branding.businessName}</h1>
+          {branding.branchName && <span className="text-lg text-[#6B0F1A]/70">{branding.branchName}</span>}
+        </div>
+
+        <div ref={listRef} className="flex-1 overflow-y-auto space-y-3 text-2xl">
+          {items.map(item => (
+            <div key={item.id} className="flex justify-between gap-6">
+              <div className="min-w-0">
+                <p className="font-semibold truncate">{item.name}</p>
+                <p className="text-lg text-[#6B0F1A]/70">
+                  {item.quantity} × {formatKES(item.price)}
+                  {item.promotionDiscount > 0 && <span className="ml-3 text-green-700">Promo -{formatKES(item.promotionDiscount)}</span>}
+                </p>
+              </div>
+              <span className="font-mono whitespace-nowrap">{formatKES(item.lineTotal)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="lg:w-[420px] bg-[#2C1810] text-[#F5F5DC] p-8 flex flex-col justify-between">
+        <div className="space-y-2 text-lg">
+          <div className="flex justify-between">
+            <span>Subtotal</span>
+            <span className="font-mono">{formatKES(totals.subtotal)}</span>
+          </div>
+          {promotions.map(p => (
+            <div key={p.name} className="flex justify-between text-[#D4AF37]">
+              <span className="truncate pr-4">{p.name}</span>
+              <span className="font-mono">-{formatKES(p.discount)}</span>
+            </div>
+          ))}
+          {totals.discountAmount > 0 && (
+            <div className="flex justify-between text-[#D4AF37]">
+              <span>Discount ({totals.discountPercentage}%)</span>
+              <span className="font-mono">-{formatKES(totals.discountAmount)}</span>
+            </div>
+          )}
+          <div className="flex justify-between text-sm opacity-70 pt-2 border-t border-white/20">
+            <span>Price before VAT</span>
+            <span className="font-mono">{formatKES(totals.priceBeforeVAT)}</span>
+          </div>
+          <div className="flex justify-between text-sm opacity-70">
+            <span>VAT ({Math.round((totals.vatRate || 0) * 100)}%)</span>
+            <span className="font-mono">{formatKES(totals.totalVAT)}</span>
+          </div>
+          {deposits.map(d => (
+            <div key={d.name} className="flex justify-between pt-2 border-t border-white/20">
+              <span className="truncate pr-4">{d.quantity}x {d.name}</span>
+              <span className="font-mono">{formatKES(d.amount)}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-8">
+          {mode === DISPLAY_MODES.COMPLETE ? (
+            <div className="text-center space-y-3">
+              <p className="text-3xl font-semibold text-[#D4AF37]">Thank you!</p>
+              <p className="text-xl">Paid {formatKES(amountTendered ?? amountDue)}</p>
+              {changeDue > 0 && <p className="text-4xl font-bold">Change {formatKES(changeDue)}</p>}
+            </div>
+          ) : (
+            <>
+              <p className="text-sm uppercase tracking-widest opacity-70">{mode === DISPLAY_MODES.PAYMENT ? "Amount due" : "Total"}</p>
+              <p className="text-5xl font-bold font-mono">{formatKES(amountDue)}</p>
+              {mode === DISPLAY_MODES.PAYMENT && amountTendered !== null && (
+                <div className="mt-4 space-y-1 text-xl">
+                  <div className="flex justify-between">
+                    <span>Cash received</span>
+                    <span className="font-mono">{formatKES(amountTendered)}</span>
+                  </div>
+                  {changeDue !== null && (
+                    <div className="flex justify-between text-[#D4AF37] font-bold text-2xl">
+                      <span>Change</span>
+                      <span className="font-mono">{formatKES(changeDue)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -8,6 +8,16 @@ import { subscribeToCustomers, subscribeToCustomersByBranch } from "../services/
 import { parseFormValue } from "../utils/dateHelpers"
 import { exportCustomersToCSV } from "../utils/csvExport"
 import { readData, writeData, readSharedData, writeSharedData } from "../utils/storage"
+import { getStoreCreditBalance, getStoreCreditEntryLabel } from "../utils/storeCredit"
+import {
+  normalizeLoyaltySettings,
+  getLoyaltyPoints,
+  getPointsValue,
+  getLoyaltyEntryLabel,
+  getRollingSpend,
+  getLoyaltyTier,
+  getNextLoyaltyTier
+} from "../utils/loyalty"
 
 export default function CustomersPage({ currentUser }) {
   const [customers, setCustomers] = useState([])
@@ -286,6 +296,16 @@ export default function CustomersPage({ currentUser }) {
                           Taken: {new Date(customer.loanDate).toLocaleDateString()}
                         </div>
                       )}
+                      {getStoreCreditBalance(customer) > 0 && (
+                        <div className="text-xs text-success font-semibold">
+                          🎟️ KES {getStoreCreditBalance(customer).toLocaleString()} store credit
+                        </div>
+                      )}
+                      {getLoyaltyPoints(customer) > 0 && (
+                        <div className="text-xs text-amber-700 dark:text-amber-400 font-semibold">
+                          ⭐ {getLoyaltyPoints(customer).toLocaleString()} points
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-right text-sm">
                       {customer.loanDueDate && customer.loanAmount > 0 ? (
@@ -759,6 +779,7 @@ function EditCustomerModal({ customer, onSave, onClose }) {
 // Customer Details Modal Component
 function CustomerDetailsModal({ customer, currentUser, onClose, onBalanceUpdate }) {
   const [transactions, setTransactions] = useState([])
+  const [loyaltySettings, setLoyaltySettings] = useState(() => normalizeLoyaltySettings())
   const [showPaymentModal, setShowPaymentModal] = useState(false)
 
   useEffect(() => {
@@ -775,6 +796,7 @@ function CustomerDetailsModal({ customer, currentUser, onClose, onBalanceUpdate
           t => t.customerId === customer.id
         )
         setTransactions(customerTransactions)
+        setLoyaltySettings(normalizeLoyaltySettings(sharedData.settings?.loyalty))
       } catch (error) {
         console.error('Error loading customer transactions:', error)
       }
@@ -909,6 +931,10 @@ function CustomerDetailsModal({ customer, currentUser, onClose, onBalanceUpdate
 
   const creditTransactions = transactions.filter(t => t.paymentMethod === 'credit')
   const totalCreditSales = creditTransactions.reduce((sum, t) => sum + (t.total || 0), 0)
+  const loyaltyPoints = getLoyaltyPoints(customer)
+  const rollingSpend = getRollingSpend(transactions, customer.id, loyaltySettings)
+  const loyaltyTier = getLoyaltyTier(rollingSpend, loyaltySettings)
+  const nextTier = getNextLoyaltyTier(rollingSpend, loyaltySettings)
 
   return (
     <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 backdrop-blur-sm overflow-y-auto">
@@ -1010,6 +1036,90 @@ function CustomerDetailsModal({ customer, currentUser, onClose, onBalanceUpdate
           )}
         </div>
 
+        {/* Store Credit */}
+        {(getStoreCreditBalance(customer) > 0 || customer.storeCreditLedger?.length > 0) && (
+          <div className="mb-6">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-lg font-semibold text-foreground">🎟️ Store Credit</h3>
+              <span className="font-bold text-lg text-success">KES {getStoreCreditBalance(customer).toLocaleString()}</span>
+            </div>
+            {customer.storeCreditLedger?.length > 0 && (
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {[...customer.storeCreditLedger].reverse().map(entry => (
+                  <div key={entry.id} className="flex justify-between items-center bg-muted/30 rounded-lg px-3 py-2 text-sm">
+                    <div>
+                      <div className="font-medium text-foreground">
+                        {getStoreCreditEntryLabel(entry.type)}{entry.reference ? ` · ${entry.reference}` : ''}
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {new Date(entry.at).toLocaleString()}{entry.by ? ` · ${entry.by}` : ''}
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className={`font-bold ${entry.amount < 0 ? 'text-destructive' : 'text-success'}`}>
+                        {entry.amount < 0 ? '-' : '+'}KES {Math.abs(entry.amount).toLocaleString()}
+                      </div>
+                      <div className="text-xs text-muted-foreground">Balance KES {entry.balanceAfter.toLocaleString()}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Loyalty */}
+        {(loyaltySettings.enabled || customer.loyaltyLedger?.length > 0) && (
+          <div className="mb-6">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-lg font-semibold text-foreground">⭐ Loyalty</h3>
+              {loyaltyTier ? (
+                <span className="px-3 py-1 rounded-full text-xs font-bold bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">
+                  {loyaltyTier.name} · {loyaltyTier.discountRate}% off
+                </span>
+              ) : (
+                <span className="text-xs text-muted-foreground">No tier yet</span>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-3 mb-3">
+              <div className="bg-muted/30 rounded-lg p-3">
+                <div className="text-xs text-muted-foreground">Points</div>
+                <div className="font-bold text-lg text-foreground">{loyaltyPoints.toLocaleString()}</div>
+                <div className="text-xs text-muted-foreground">Worth KES {getPointsValue(loyaltyPoints, loyaltySettings).toLocaleString()}</div>
+              </div>
+              <div className="bg-muted/30 rounded-lg p-3">
+                <div className="text-xs text-muted-foreground">Spend, last {loyaltySettings.windowDays} days</div>
+                <div className="font-bold text-lg text-foreground">KES {rollingSpend.toLocaleString()}</div>
+                {nextTier && (
+                  <div className="text-xs text-muted-foreground">KES {nextTier.remaining.toLocaleString()} more for {nextTier.tier.name}</div>
+                )}
+              </div>
+            </div>
+            {customer.loyaltyLedger?.length > 0 && (
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {[...customer.loyaltyLedger].reverse().map(entry => (
+                  <div key={entry.id} className="flex justify-between items-center bg-muted/30 rounded-lg px-3 py-2 text-sm">
+                    <div>
+                      <div className="font-medium text-foreground">
+                        {getLoyaltyEntryLabel(entry.type)}{entry.reference ? ` · ${entry.reference}` : ''}
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {new Date(entry.at).toLocaleString()}{entry.by ? ` · ${entry.by}` : ''}
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className={`font-bold ${entry.points < 0 ? 'text-destructive' : 'text-success'}`}>
+                        {entry.points < 0 ? '' : '+'}{entry.points.toLocaleString()} pts
+                      </div>
+                      <div className="text-xs text-muted-foreground">Balance {entry.balanceAfter.toLocaleString()}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Payment Button */}
         {(customer.loanAmount ?? customer.balance ?? 0) > 0 && (
           <button
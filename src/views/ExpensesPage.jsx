@@ -8,6 +8,7 @@ import { getAdminIdForStorage } from "../utils/auth"
 import { readData, writeData, readSharedData, writeSharedData } from "../utils/storage"
 import { subscribeToExpenses, subscribeToExpensesByBranch, subscribeToTransactions, subscribeToTransactionsByBranch } from "../services/realtimeListeners"
 import { exportExpensesToCSV } from "../utils/csvExport"
+import { getTenderAmount } from "../utils/tenders"
 
 export default function ExpensesPage({ currentUser }) {
   const [expenses, setExpenses] = useState([])
@@ -146,11 +147,9 @@ export default function ExpensesPage({ currentUser }) {
         // Calculate income from sales AND loan repayments
         const salesIncome = filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.total) || 0), 0)
         const salesCashIncome = filteredTransactions
-          .filter(t => t.paymentMethod === 'cash')
-          .reduce((sum, t) => sum + (parseFloat(t.total) || 0), 0)
+          .reduce((sum, t) => sum + getTenderAmount(t, 'cash'), 0)
         const salesMpesaIncome = filteredTransactions
-          .filter(t => t.paymentMethod === 'mpesa')
-          .reduce((sum, t) => sum + (parseFloat(t.total) || 0), 0)
+          .reduce((sum, t) => sum + getTenderAmount(t, 'mpesa'), 0)
 
         // Helper function for expense branch filtering
         const expenseMatchesBranch = (exp) => {
@@ -4,8 +4,14 @@ import { useState, useEffect } from "react"
 import TopBar from "../components/TopBar"
 import { getAdminIdForStorage } from "../utils/auth"
 import { subscribeToGoodsReceivedNotes, subscribeToPurchaseOrders } from "../services/realtimeExtraListeners"
+import { subscribeToSuppliers, subscribeToInventory } from "../services/realtimeListeners"
 import { createUserSnapshot, formatReceivedBy, getReceivedByName, getReceivedByRole } from "../utils/userTracking"
 import { readData, writeData, readSharedData, writeSharedData } from "../utils/storage"
+import { getLineBaseQuantity } from "../utils/unitsOfMeasure"
+import { buildLot, receiveLot } from "../utils/lots"
+import { getNextInternalBarcode } from "../utils/barcodes"
+import { normalizeCostingSettings, receiveCost } from "../utils/costing"
+import { MOVEMENT_REASONS, getInventoryMovements } from "../utils/stockMovements"
 
 export default function GoodsReceivedPage({ currentUser }) {
   const [grns, setGrns] = useState([])
@@ -62,7 +68,7 @@ export default function GoodsReceivedPage({ currentUser }) {
   }, [currentUser]);
 
   // Save GRN and update inventory
-  const saveGRN = async (newGRN) => {
+  const saveGRN = async (receivedGRN) => {
     try {
       const userId = currentUser?.id
       if (!userId) return
@@ -70,6 +76,20 @@ export default function GoodsReceivedPage({ currentUser }) {
       const userData = await readData(userId)
       const adminId = getAdminIdForStorage(currentUser)
       const sharedData = await readSharedData(adminId)
+
+      // Each line goes into stock as its own lot; the GRN keeps the lot it made for tracing
+      const lots = receivedGRN.items.map((item, index) => buildLot({
+        lotNumber: item.lotNumber,
+        expiryDate: item.expiryDate,
+        quantity: getLineBaseQuantity({ quantity: item.receivedQuantity, unitFactor: item.unitFactor }),
+        unitCost: item.unitPrice / (Number(item.unitFactor) || 1),
+        grn: receivedGRN,
+        index
+      }))
+      const newGRN = {
+        ...receivedGRN,
+        items: receivedGRN.items.map((item, index) => ({ ...item, lotId: lots[index].id, lotNumber: lots[index].lotNumber, expiryDate: lots[index].expiryDate }))
+      }
       
       // Add new GRN (to shared storage)
       const updatedGRNs = [...(sharedData.goodsReceivedNotes || []), newGRN]
@@ -103,32 +123,33 @@ export default function GoodsReceivedPage({ currentUser }) {
       }
       const updatedExpenses = [...expenses, newExpense]
       
-      // Update inventory based on received items (in SHARED storage for POS access)
+      // Update inventory based on received items (in SHARED storage for POS access); each lot's
+      // cost goes into the product's cost under the organisation's costing method
       const updatedInventory = [...(sharedData.inventory || [])]
-      newGRN.items.forEach(item => {
+      const costing = { method: normalizeCostingSettings(sharedData.settings?.costing).method, reference: newGRN.grnNumber }
+      const withCost = (product, lot) => receiveCost(product, lot.quantity, lot.unitCost, costing)
+      newGRN.items.forEach((item, index) => {
         const inventoryIndex = updatedInventory.findIndex(p => p.id === item.productId)
         if (inventoryIndex !== -1) {
-          updatedInventory[inventoryIndex].quantity += item.receivedQuantity
+          // Received quantities are in the unit ordered; lots and stock are counted in base units
+          updatedInventory[inventoryIndex] = receiveLot(withCost(updatedInventory[inventoryIndex], lots[index]), lots[index])
         } else if (item.isNewProduct) {
           // Add new product to inventory if it doesn't exist
           const maxId = Math.max(...updatedInventory.map(p => p.id), 0)
-          // Generate a more unique barcode using timestamp and random number
-          const timestamp = Date.now().toString().slice(-8)
-          const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0')
-          const generatedBarcode = `${timestamp}${random}`
+          const generatedBarcode = getNextInternalBarcode(updatedInventory)
           
-          updatedInventory.push({
+          updatedInventory.push(receiveLot(withCost({
             id: maxId + 1,
             name: item.productName,
             sku: item.sku,
             category: item.category || "Other",
-            quantity: item.receivedQuantity,
+            quantity: 0,
             reorderLevel: item.reorderLevel || 10,
             costPrice: item.costPrice || item.unitPrice,
             sellingPrice: item.sellingPrice || item.unitPrice * 1.3,
             price: item.sellingPrice || item.unitPrice * 1.3,
             barcode: generatedBarcode,
-          })
+          }, lots[index]), lots[index]))
         }
       })
       
@@ -165,14 +186,25 @@ export default function GoodsReceivedPage({ currentUser }) {
         ...sharedData,
         goodsReceivedNotes: updatedGRNs,
         purchaseOrders: updatedPOs,
-        inventory: updatedInventory
+        inventory: updatedInventory,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(sharedData.inventory, updatedInventory, {
+            reason: MOVEMENT_REASONS.GOODS_RECEIVED,
+            source: { type: 'goods_received_note', id: newGRN.id, number: newGRN.grnNumber },
+            user: currentUser
+          })
+        ]
       }, adminId)
       
       setGrns(updatedGRNs)
       setInventory(updatedInventory)
       setPurchaseOrders(updatedPOs)
+      return true
     } catch (error) {
       console.error("Error saving GRN:", error)
+      alert(`Failed to save GRN: ${error.message}`)
+      return false
     }
   }
 
@@ -186,7 +218,7 @@ export default function GoodsReceivedPage({ currentUser }) {
       receivedDate: new Date().toISOString(),
       receivedBy: createUserSnapshot(currentUser)
     }
-    await saveGRN(grnToAdd)
+    if (!(await saveGRN(grnToAdd))) return
     setShowCreateModal(false)
     alert(`✅ Goods Received Note ${grnNumber} created successfully!`)
   }
@@ -346,6 +378,7 @@ function CreateGRNModal({ purchaseOrders, suppliers, onClose, onCreate }) {
         orderedQuantity: item.quantity,
         receivedQuantity: item.quantity,
         unitPrice: item.unitPrice,
+        ...(item.unitId ? { unitId: item.unitId, unitName: item.unitName, unitFactor: item.unitFactor } : {}),
         isNewProduct: item.isNewProduct,
         costPrice: item.costPrice,
         sellingPrice: item.sellingPrice,
@@ -362,6 +395,12 @@ function CreateGRNModal({ purchaseOrders, suppliers, onClose, onCreate }) {
     ))
   }
 
+  const handleLotChange = (productId, field, value) => {
+    setReceivedItems(receivedItems.map(item =>
+      item.productId === productId ? { ...item, [field]: value } : item
+    ))
+  }
+
   const handleSubmit = (e) => {
     e.preventDefault()
     if (!selectedPOId) {
@@ -439,7 +478,7 @@ function CreateGRNModal({ purchaseOrders, suppliers, onClose, onCreate }) {
                         <p className="font-semibold text-foreground">{item.productName}</p>
                         <p className="text-sm text-muted-foreground">SKU: {item.sku}</p>
                         <p className="text-sm text-muted-foreground">
-                          Unit Price: KES {item.unitPrice.toFixed(2)}
+                          {item.unitName ? `Price per ${item.unitName} (${item.unitFactor} units)` : "Unit Price"}: KES {item.unitPrice.toFixed(2)}
                         </p>
                       </div>
                     </div>
@@ -470,6 +509,31 @@ function CreateGRNModal({ purchaseOrders, suppliers, onClose, onCreate }) {
                         />
                       </div>
                     </div>
+                    <div className="grid grid-cols-2 gap-4 mt-3">
+                      <div>
+                        <label className="block text-sm font-semibold text-foreground mb-1">
+                          🏷️ Lot / Batch Number
+                        </label>
+                        <input
+                          type="text"
+                          value={item.lotNumber || ""}
+                          onChange={(e) => handleLotChange(item.productId, "lotNumber", e.target.value)}
+                          className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+                          placeholder="As printed on the case (optional)"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-foreground mb-1">
+                          📅 Expiry Date
+                        </label>
+                        <input
+                          type="date"
+                          value={item.expiryDate || ""}
+                          onChange={(e) => handleLotChange(item.productId, "expiryDate", e.target.value)}
+                          className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+                        />
+                      </div>
+                    </div>
                     <p className="text-sm text-muted-foreground mt-2">
                       Subtotal: KES {(item.receivedQuantity * item.unitPrice).toFixed(2)}
                     </p>
@@ -586,6 +650,12 @@ function GRNDetailsModal({ grn, po, supplier, onClose }) {
                   <div>
                     <p className="font-semibold text-foreground">{item.productName}</p>
                     <p className="text-sm text-muted-foreground">SKU: {item.sku}</p>
+                    {item.lotNumber && (
+                      <p className="text-sm text-muted-foreground">
+                        Lot: <span className="font-mono">{item.lotNumber}</span>
+                        {item.expiryDate ? ` · expires ${new Date(item.expiryDate).toLocaleDateString()}` : ""}
+                      </p>
+                    )}
                     {item.orderedQuantity !== item.receivedQuantity && (
                       <p className="text-sm text-orange-600">
                         Ordered: {item.orderedQuantity}, Received: {item.receivedQuantity}
@@ -594,7 +664,7 @@ function GRNDetailsModal({ grn, po, supplier, onClose }) {
                   </div>
                   <div className="text-right">
                     <p className="font-semibold text-foreground">
-                      {item.receivedQuantity} × KES {item.unitPrice.toFixed(2)}
+                      {item.receivedQuantity}{item.unitName ? ` ${item.unitName}` : ""} × KES {item.unitPrice.toFixed(2)}
                     </p>
                     <p className="text-sm text-muted-foreground">
                       KES {(item.receivedQuantity * item.unitPrice).toFixed(2)}
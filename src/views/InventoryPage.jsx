@@ -9,6 +9,9 @@ import EditProductModal from "../components/EditProductModal"
 import AddProductModal from "../components/AddProductModal"
 import StockAdjustmentModal from "../components/StockAdjustmentModal"
 import StockCountModal from "../components/StockCountModal"
+import LotsModal from "../components/LotsModal"
+import StockMovementsModal from "../components/StockMovementsModal"
+import LabelDesignerModal from "../components/LabelDesignerModal"
 import InventoryCSVUpload from "../components/InventoryCSVUpload"
 import Pagination from "../components/Pagination"
 import BranchSelector from "../components/BranchSelector"
@@ -16,6 +19,10 @@ import { getAdminIdForStorage } from "../utils/auth"
 import { subscribeToInventory, subscribeToInventoryByBranch } from "../services/realtimeListeners"
 import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
 import { useDebounce } from "../hooks/useDebounce"
+import { isDepositItem } from "../utils/deposits"
+import { hasExpiredStock, hasStockExpiringSoon, isStockFresh } from "../utils/lots"
+import { assignMissingBarcodes, getNextInternalBarcode, isValidEAN } from "../utils/barcodes"
+import { MOVEMENT_REASONS, buildStockMovement, getInventoryMovements, getStockMovements } from "../utils/stockMovements"
 import { readSharedData, writeSharedData } from "../utils/storage"
 import { inventoryDocId } from "../utils/firebaseStorageOnline"
 import { getAllBranches } from "../services/branchService"
@@ -44,6 +51,7 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
   const branchListCacheRef = useRef({ list: null, at: 0 })
   const BRANCH_CACHE_MS = 60000 // 60s cache for getAllBranches
   const [showBarcodeModal, setShowBarcodeModal] = useState(false)
+  const [labelKeys, setLabelKeys] = useState(null) // Row keys of products in the label designer
   const [showEditModal, setShowEditModal] = useState(false)
   const [showAddModal, setShowAddModal] = useState(false)
   const [showAdjustmentModal, setShowAdjustmentModal] = useState(false)
@@ -54,6 +62,10 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
   // Lock branch when Add Product modal opens so new product is always added to the branch user had selected
   const addProductTargetBranchRef = useRef(null)
   const [selectedProduct, setSelectedProduct] = useState(null)
+  const [lotsProduct, setLotsProduct] = useState(null)
+  const [lotTransactions, setLotTransactions] = useState(null)
+  const [historyProduct, setHistoryProduct] = useState(null)
+  const [productMovements, setProductMovements] = useState(null)
   const [selectedCategory, setSelectedCategory] = useState("All")
   const [selectedExpiryFilter, setSelectedExpiryFilter] = useState("All")
   const [selectedStockFilter, setSelectedStockFilter] = useState("All Stock")
@@ -136,7 +148,8 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
   }
 
   // Save inventory to shared storage
-  const saveInventory = async (updatedInventory) => {
+  // Any quantity the save changes goes in the stock ledger under `movement`
+  const saveInventory = async (updatedInventory, movement = { reason: MOVEMENT_REASONS.PRODUCT_EDIT }) => {
     try {
       isSavingRef.current = true // Set flag to prevent concurrent loads
       
@@ -241,9 +254,16 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
       }
 
       await writeSharedData(
-        { ...sharedData, inventory: allItems },
+        {
+          ...sharedData,
+          inventory: allItems,
+          stockMovements: [
+            ...(sharedData.stockMovements || []),
+            ...getInventoryMovements(allInventoryItems, allItems, { ...movement, user: currentUser })
+          ]
+        },
         adminId,
-        { inventoryIdsToDelete, writeOnlyStores: ['inventory'] }
+        { inventoryIdsToDelete, writeOnlyStores: ['inventory', 'stockMovements'] }
       )
 
       setAllInventory(allItems)
@@ -304,28 +324,11 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
   // Debounce search for better performance
   const debouncedSearch = useDebounce(searchTerm, 300)
 
-  // Helper functions for expiry status
-  const isExpired = (expiryDate) => {
-    if (!expiryDate) return false
-    return new Date(expiryDate) < new Date()
-  }
-
-  const isExpiringSoon = (expiryDate) => {
-    if (!expiryDate) return false
-    const expiry = new Date(expiryDate)
-    const today = new Date()
-    const daysUntilExpiry = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24))
-    return daysUntilExpiry <= 7 && daysUntilExpiry >= 0
-  }
-
-  const isValidProduct = (expiryDate) => {
-    if (!expiryDate) return true // Products without expiry are considered valid
-    return !isExpired(expiryDate) && !isExpiringSoon(expiryDate)
-  }
-
+  // Expiry is checked lot by lot (see utils/lots), so one expired delivery flags the product
   const lowStockItems = inventory.filter((item) => item.quantity <= item.reorderLevel)
-  const expiredItems = inventory.filter((item) => isExpired(item.expiryDate))
-  const expiringSoonItems = inventory.filter((item) => isExpiringSoon(item.expiryDate))
+  const expiredItems = inventory.filter((item) => hasExpiredStock(item))
+  const expiringSoonItems = inventory.filter((item) => hasStockExpiringSoon(item))
+  const missingBarcodeItems = inventory.filter((item) => !String(item.barcode || "").trim())
 
   const filteredInventory = inventory.filter((item) => {
     // Filter out soft-deleted items
@@ -339,11 +342,11 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
     // Apply expiry filter
     let matchesExpiry = true
     if (selectedExpiryFilter === "Expired") {
-      matchesExpiry = isExpired(item.expiryDate)
+      matchesExpiry = hasExpiredStock(item)
     } else if (selectedExpiryFilter === "Expiring Soon (7 days)") {
-      matchesExpiry = isExpiringSoon(item.expiryDate)
+      matchesExpiry = hasStockExpiringSoon(item)
     } else if (selectedExpiryFilter === "Valid") {
-      matchesExpiry = isValidProduct(item.expiryDate)
+      matchesExpiry = isStockFresh(item)
     }
     
     // Apply stock filter
@@ -392,11 +395,71 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
     setShowBarcodeModal(true)
   }
 
+  const handlePrintLabels = (products) => {
+    setLabelKeys(products.map(getItemRowKey))
+    setShowBarcodeModal(false)
+  }
+
+  // Throws so the barcode and label modals can show the message
+  const handleAssignBarcodes = async (products) => {
+    if (isAdminReadOnly) throw new Error('Admin is monitor-only. Assigning barcodes is disabled.')
+    const { products: withBarcodes, assigned } = assignMissingBarcodes(products, allInventory)
+    if (assigned === 0) return
+    const byKey = new Map(withBarcodes.map(p => [getItemRowKey(p), p]))
+    const saved = await saveInventory(inventory.map(item => byKey.get(getItemRowKey(item)) || item))
+    if (!saved) throw new Error('Failed to save barcodes. Please try again.')
+
+    if (selectedProduct && byKey.has(getItemRowKey(selectedProduct))) {
+      setSelectedProduct(byKey.get(getItemRowKey(selectedProduct)))
+    }
+    logActivity(
+      ACTIVITY_TYPES.PRODUCT_UPDATED,
+      `Assigned barcodes to ${assigned} product${assigned === 1 ? '' : 's'}`,
+      { count: assigned, productIds: withBarcodes.map(p => p.id) },
+      currentUser
+    )
+  }
+
+  const handleAssignAllBarcodes = async () => {
+    if (!confirm(`Give ${missingBarcodeItems.length} product(s) without a barcode an internal barcode?`)) return
+    try {
+      await handleAssignBarcodes(missingBarcodeItems)
+      alert('Barcodes assigned. Print labels for them from the barcode button or by selecting them.')
+    } catch (error) {
+      console.error('Error assigning barcodes:', error)
+      alert(error.message)
+    }
+  }
+
   const handleAdjustmentClick = (product) => {
     setSelectedProduct(product)
     setShowAdjustmentModal(true)
   }
 
+  // Sales are only read when someone opens a lot, for the trace
+  const handleLotsClick = async (product) => {
+    setLotsProduct(product)
+    setLotTransactions(null)
+    try {
+      const data = await readSharedData(getAdminIdForStorage(currentUser), false, { stores: ['transactions'] })
+      setLotTransactions(data.transactions || [])
+    } catch (error) {
+      console.error('Error loading sales for lot trace:', error)
+      setLotTransactions([])
+    }
+  }
+
+  const handleHistoryClick = async (product) => {
+    setHistoryProduct(product)
+    setProductMovements(null)
+    try {
+      setProductMovements(await getStockMovements(getAdminIdForStorage(currentUser), product.branchId))
+    } catch (error) {
+      console.error('Error loading stock history:', error)
+      setProductMovements([])
+    }
+  }
+
   const handleSaveAdjustment = async (adjustment) => {
     try {
       if (isAdminReadOnly) {
@@ -425,16 +488,28 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
       // Add adjustment to history
       const stockAdjustments = sharedData.stockAdjustments || []
       stockAdjustments.push(adjustment)
+      const product = inventory.find(item => item.id === adjustment.productId)
 
       // Save everything to shared storage
       await writeSharedData({
         ...sharedData,
         inventory: updatedInventory,
-        stockAdjustments: stockAdjustments
+        stockAdjustments: stockAdjustments,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          buildStockMovement({
+            product,
+            previousStock: adjustment.previousStock,
+            newStock: adjustment.newStock,
+            reason: MOVEMENT_REASONS.ADJUSTMENT,
+            source: { type: 'stock_adjustment', id: adjustment.id },
+            notes: [adjustment.adjustmentType, adjustment.notes].filter(Boolean).join(': '),
+            user: currentUser
+          })
+        ]
       }, adminId)
 
       // Log activity
-      const product = inventory.find(item => item.id === adjustment.productId)
       await logActivity(
         ACTIVITY_TYPES.STOCK_ADJUSTED,
         `Stock adjusted: ${product?.name} from ${adjustment.oldStock} to ${adjustment.newStock}`,
@@ -603,6 +678,10 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
     setSelectedIds([])
   }
 
+  // Deposit links and pack barcodes are checked against the product's own branch
+  const getBranchInventory = (branchId) => allInventory.filter(p => !p.deletedAt && p.branchId === branchId)
+  const getDepositItems = (branchId) => getBranchInventory(branchId).filter(isDepositItem)
+
   const handleAddProduct = async (newProduct) => {
     if (isAdminReadOnly) {
       alert('Admin is monitor-only. Adding products is disabled.')
@@ -621,13 +700,17 @@ export default function InventoryPage({ onInventoryChange, currentUser }) {
     const productToAdd = {
       ...newProduct,
       id: maxId + 1,
-      barcode: `12345678900${maxId + 1}`,
+      // Keep a scanned EAN; otherwise the product gets the next internal barcode
+      barcode: newProduct.barcode || (isValidEAN(newProduct.sku) ? newProduct.sku : getNextInternalBarcode(allInventory)),
       branchId: branchIdForProduct, // Associate product with the chosen/current branch
     }
     
     console.log(`➕ InventoryPage: Adding new product: ${newProduct.name} to branch ${branchIdForProduct}, ID: ${productToAdd.id}`)
     console.log(`   Max ID from ${inventoryToCheck.length} total products: ${maxId}`)
-    const saved = await saveInventory([...inventory, productToAdd])
+    const saved = await saveInventory([...inventory, productToAdd], {
+      reason: MOVEMENT_REASONS.NEW_PRODUCT,
+      source: { type: 'product', id: productToAdd.id }
+    })
     
 if (saved) {
       addProductTargetBranchRef.current = null
@@ -666,7 +749,7 @@ if (saved) {
       }
 
       console.log(`📊 InventoryPage: Saving stock count with ${updatedInventory.length} products`)
-      await saveInventory(updatedInventory)
+      await saveInventory(updatedInventory, { reason: MOVEMENT_REASONS.STOCK_COUNT })
 
       setShowStockCountModal(false)
       alert('Stock count completed successfully!')
@@ -950,6 +1033,20 @@ if (saved) {
                 • {expiringSoonItems.length} expiring soon
               </span>
             )}
+            {missingBarcodeItems.length > 0 && (
+              <span className="text-muted-foreground font-semibold">
+                • {missingBarcodeItems.length} without barcode
+                {!isAdminReadOnly && (
+                  <button
+                    type="button"
+                    onClick={handleAssignAllBarcodes}
+                    className="ml-2 text-primary hover:underline"
+                  >
+                    Assign
+                  </button>
+                )}
+              </span>
+            )}
           </div>
           </div>
         </div>
@@ -969,6 +1066,13 @@ if (saved) {
                 >
                   Deselect all
                 </button>
+                <button
+                  type="button"
+                  onClick={() => handlePrintLabels(inventory.filter(item => selectedIds.includes(getItemRowKey(item))))}
+                  className="px-3 py-1.5 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-muted transition-colors"
+                >
+                  🏷️ Print labels
+                </button>
                 <button
                   type="button"
                   onClick={handleBulkDeleteSelected}
@@ -996,6 +1100,8 @@ if (saved) {
           onEdit={isAdminReadOnly ? null : handleEditClick}
           onBarcode={handleBarcodeClick}
           onAdjust={isAdminReadOnly ? null : handleAdjustmentClick}
+          onLots={handleLotsClick}
+          onHistory={handleHistoryClick}
           branchId={isBranchScopedRole ? currentUser?.branchId : null}
           enableSelection={!isAdminReadOnly}
           selectedIds={selectedIds}
@@ -1018,7 +1124,20 @@ if (saved) {
       </div>
 
       {showBarcodeModal && selectedProduct && (
-        <BarcodeModal product={selectedProduct} onClose={() => setShowBarcodeModal(false)} />
+        <BarcodeModal
+          product={selectedProduct}
+          onAssign={isAdminReadOnly ? null : (product) => handleAssignBarcodes([product])}
+          onPrintLabels={(product) => handlePrintLabels([product])}
+          onClose={() => setShowBarcodeModal(false)}
+        />
+      )}
+
+      {labelKeys && (
+        <LabelDesignerModal
+          products={inventory.filter(item => labelKeys.includes(getItemRowKey(item)))}
+          onAssignBarcodes={isAdminReadOnly ? null : handleAssignBarcodes}
+          onClose={() => setLabelKeys(null)}
+        />
       )}
 
       {!isAdminReadOnly && showEditModal && selectedProduct && (
@@ -1028,6 +1147,24 @@ if (saved) {
           onClose={() => setShowEditModal(false)}
           onDelete={handleDeleteProduct}
           onBarcode={handleBarcodeClick}
+          depositItems={getDepositItems(selectedProduct.branchId)}
+          inventory={getBranchInventory(selectedProduct.branchId)}
+        />
+      )}
+
+      {historyProduct && (
+        <StockMovementsModal
+          product={inventory.find(item => item.id === historyProduct.id && item.branchId === historyProduct.branchId) || historyProduct}
+          movements={productMovements}
+          onClose={() => setHistoryProduct(null)}
+        />
+      )}
+
+      {lotsProduct && (
+        <LotsModal
+          product={inventory.find(item => item.id === lotsProduct.id && item.branchId === lotsProduct.branchId) || lotsProduct}
+          transactions={lotTransactions}
+          onClose={() => setLotsProduct(null)}
         />
       )}
 
@@ -1041,7 +1178,12 @@ if (saved) {
       )}
 
       {!isAdminReadOnly && showAddModal && (
-        <AddProductModal onAdd={handleAddProduct} onClose={() => { addProductTargetBranchRef.current = null; setShowAddModal(false) }} />
+        <AddProductModal
+          onAdd={handleAddProduct}
+          onClose={() => { addProductTargetBranchRef.current = null; setShowAddModal(false) }}
+          depositItems={getDepositItems(currentUser?.role === 'admin' ? selectedBranch : currentUser?.branchId)}
+          inventory={getBranchInventory(currentUser?.role === 'admin' ? selectedBranch : currentUser?.branchId)}
+        />
       )}
 
       {!isAdminReadOnly && showStockCountModal && (
@@ -0,0 +1,373 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import TopBar from "../components/TopBar"
+import BranchSelector from "../components/BranchSelector"
+import { getAdminIdForStorage } from "../utils/auth"
+import { getAllBranches } from "../services/branchService"
+import { readSharedData, writeSharedData } from "../utils/storage"
+import { convertToCSV, downloadCSV } from "../utils/csvExport"
+import { getReceiptNumber } from "../utils/receiptNumbers"
+import { createUserSnapshot } from "../utils/userTracking"
+import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
+import {
+  DEFAULT_MATCH_WINDOW_MINUTES,
+  MATCH_TYPES,
+  RECONCILIATION_STATUS,
+  readStatementFile,
+  reconcileMpesaStatement,
+  buildReconciliationReport,
+  getReconciliationFlags
+} from "../utils/mpesaStatement"
+
+const formatKES = (amount) => `KES ${Number(amount || 0).toLocaleString()}`
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' })
+
+export default function MpesaReconciliationPage({ currentUser }) {
+  const isAdmin = currentUser?.role === 'admin'
+  const [selectedBranch, setSelectedBranch] = useState(() => {
+    if (!isAdmin) return currentUser?.branchId || ''
+    try {
+      return localStorage.getItem('adminSelectedBranch') || ''
+    } catch {
+      return ''
+    }
+  })
+  const [branches, setBranches] = useState([])
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_MATCH_WINDOW_MINUTES)
+  const [fileName, setFileName] = useState('')
+  const [statementLines, setStatementLines] = useState([])
+  const [result, setResult] = useState(null)
+  const [report, setReport] = useState([])
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+
+  useEffect(() => {
+    getAllBranches()
+      .then(list => setBranches(list || []))
+      .catch(error => console.error('Error loading branches:', error))
+  }, [])
+
+  const branchName = (branchId) => branches.find(b => b.id === branchId)?.name || branchId || 'Unassigned'
+
+  const runReconciliation = async (lines, minutes = windowMinutes) => {
+    const adminId = getAdminIdForStorage(currentUser)
+    const sharedData = await readSharedData(adminId, false, { stores: ['transactions'] })
+    const branchTransactions = (sharedData.transactions || []).filter(t => t.branchId === selectedBranch)
+    const reconciliation = reconcileMpesaStatement({
+      transactions: branchTransactions,
+      statementLines: lines,
+      windowMinutes: Number(minutes) || DEFAULT_MATCH_WINDOW_MINUTES
+    })
+    setResult(reconciliation)
+    setReport(buildReconciliationReport(reconciliation, selectedBranch))
+    setSaved(false)
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    if (!selectedBranch) {
+      toast.error('Select the branch this till belongs to first')
+      return
+    }
+
+    setIsProcessing(true)
+    try {
+      const lines = await readStatementFile(file)
+      if (lines.length === 0) {
+        toast.error('No completed payments found in this statement')
+        return
+      }
+      setFileName(file.name)
+      setStatementLines(lines)
+      await runReconciliation(lines)
+      toast.success(`Imported ${lines.length} M-Pesa payment(s)`)
+    } catch (error) {
+      console.error('Error importing M-Pesa statement:', error)
+      toast.error(error.message || 'Could not read the statement')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  const handleRerun = async () => {
+    setIsProcessing(true)
+    try {
+      await runReconciliation(statementLines)
+    } catch (error) {
+      console.error('Error reconciling M-Pesa statement:', error)
+      toast.error('Could not reconcile the statement')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  // Store the outcome on each sale so it shows in the transaction details
+  const handleSaveFlags = async () => {
+    setIsSaving(true)
+    try {
+      const adminId = getAdminIdForStorage(currentUser)
+      const flags = getReconciliationFlags(result, createUserSnapshot(currentUser))
+      // The full read goes back with the flags; a transactions-only object would wipe
+      // every other store on desktop and localStorage installs
+      const sharedData = await readSharedData(adminId, true)
+      const transactions = (sharedData.transactions || []).map(t =>
+        flags.has(t.id) ? { ...t, mpesaReconciliation: flags.get(t.id) } : t
+      )
+      await writeSharedData({ ...sharedData, transactions }, adminId, { writeOnlyStores: ['transactions'] })
+
+      await logActivity(
+        ACTIVITY_TYPES.MPESA_RECONCILED,
+        `M-Pesa statement reconciled for ${branchName(selectedBranch)}: ${result.matched.length} matched, ${result.unmatchedSales.length} unmatched, ${result.orphanReceipts.length} orphan receipt(s)`,
+        {
+          branchId: selectedBranch,
+          fileName,
+          period: result.period,
+          matched: result.matched.length,
+          unmatchedSales: result.unmatchedSales.length,
+          orphanReceipts: result.orphanReceipts.length
+        },
+        currentUser
+      )
+
+      setSaved(true)
+      toast.success(`Reconciliation saved on ${flags.size} sale(s)`)
+    } catch (error) {
+      console.error('Error saving M-Pesa reconciliation:', error)
+      toast.error('Could not save the reconciliation')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleExport = () => {
+    const headers = [
+      { key: 'date', label: 'Date' },
+      { key: 'branch', label: 'Branch' },
+      { key: 'expectedCount', label: 'M-Pesa Sales' },
+      { key: 'expectedAmount', label: 'Expected (KES)' },
+      { key: 'receivedAmount', label: 'Received (KES)' },
+      { key: 'matchedCount', label: 'Matched' },
+      { key: 'mismatchCount', label: 'Amount Mismatch' },
+      { key: 'unmatchedCount', label: 'Unmatched Sales' },
+      { key: 'unmatchedAmount', label: 'Unmatched (KES)' },
+      { key: 'orphanCount', label: 'Orphan Receipts' },
+      { key: 'orphanAmount', label: 'Orphan (KES)' },
+      { key: 'variance', label: 'Variance (KES)' }
+    ]
+    const csv = convertToCSV(report.map(row => ({ ...row, branch: branchName(row.branchId) })), headers)
+    downloadCSV(csv, `mpesa-reconciliation-${selectedBranch}-${new Date().toISOString().split('T')[0]}.csv`)
+  }
+
+  const totals = report.reduce((sum, row) => ({
+    expectedAmount: sum.expectedAmount + row.expectedAmount,
+    receivedAmount: sum.receivedAmount + row.receivedAmount,
+    variance: sum.variance + row.variance
+  }), { expectedAmount: 0, receivedAmount: 0, variance: 0 })
+
+  const problemMatches = result ? result.matched.filter(m => m.status === RECONCILIATION_STATUS.AMOUNT_MISMATCH || m.matchType === MATCH_TYPES.AMOUNT_TIME) : []
+
+  return (
+    <div className="min-h-screen bg-background">
+      <TopBar title="📱 M-Pesa Reconciliation" subtitle="Match the till statement against M-Pesa sales" />
+
+      <div className="p-6 max-w-7xl mx-auto space-y-6">
+        <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+          <div className="grid md:grid-cols-3 gap-4 items-end">
+            {isAdmin ? (
+              <BranchSelector
+                currentUser={currentUser}
+                selectedBranch={selectedBranch}
+                onBranchChange={(branchId) => {
+                  setSelectedBranch(branchId)
+                  setResult(null)
+                  setReport([])
+                  setStatementLines([])
+                  setFileName('')
+                }}
+              />
+            ) : (
+              <div>
+                <p className="text-sm font-medium text-muted-foreground mb-2">Branch</p>
+                <p className="font-semibold text-foreground">{branchName(selectedBranch)}</p>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-muted-foreground mb-2">Match window (minutes)</label>
+              <input
+                type="number"
+                min="1"
+                max="180"
+                value={windowMinutes}
+                onChange={(e) => setWindowMinutes(e.target.value)}
+                className="w-full px-4 py-2 border border-input rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+            </div>
+            <div className="flex gap-2">
+              <label className={`flex-1 text-center px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg transition-colors cursor-pointer ${isProcessing || !selectedBranch ? 'opacity-50 pointer-events-none' : ''}`}>
+                {isProcessing ? 'Reading...' : '📄 Import Statement'}
+                <input type="file" accept=".csv,.xlsx" onChange={handleFile} className="hidden" />
+              </label>
+              {statementLines.length > 0 && (
+                <button
+                  onClick={handleRerun}
+                  disabled={isProcessing}
+                  className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted disabled:opacity-50 transition-colors text-foreground"
+                >
+                  🔁 Re-run
+                </button>
+              )}
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground mt-3">
+            Export the till or paybill statement from the M-Pesa org portal as CSV or Excel (.xlsx). Payments are matched by M-Pesa code first, then by amount within the match window.
+          </p>
+        </div>
+
+        {result && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-card rounded-xl border border-border p-4">
+                <p className="text-sm text-muted-foreground">Expected</p>
+                <p className="text-2xl font-bold text-foreground">{formatKES(totals.expectedAmount)}</p>
+              </div>
+              <div className="bg-card rounded-xl border border-border p-4">
+                <p className="text-sm text-muted-foreground">Received</p>
+                <p className="text-2xl font-bold text-foreground">{formatKES(totals.receivedAmount)}</p>
+              </div>
+              <div className="bg-card rounded-xl border border-border p-4">
+                <p className="text-sm text-muted-foreground">Unmatched sales</p>
+                <p className={`text-2xl font-bold ${result.unmatchedSales.length > 0 ? 'text-destructive' : 'text-success'}`}>{result.unmatchedSales.length}</p>
+              </div>
+              <div className="bg-card rounded-xl border border-border p-4">
+                <p className="text-sm text-muted-foreground">Orphan receipts</p>
+                <p className={`text-2xl font-bold ${result.orphanReceipts.length > 0 ? 'text-orange-600' : 'text-success'}`}>{result.orphanReceipts.length}</p>
+              </div>
+            </div>
+
+            <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div>
+                  <h2 className="text-xl font-bold text-foreground">Daily Report</h2>
+                  <p className="text-sm text-muted-foreground">
+                    {fileName} · {formatTime(result.period.from)} to {formatTime(result.period.to)}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleExport}
+                    className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted transition-colors text-foreground"
+                  >
+                    📥 Export CSV
+                  </button>
+                  <button
+                    onClick={handleSaveFlags}
+                    disabled={isSaving || saved}
+                    className="px-4 py-2 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-lg disabled:opacity-50 transition-colors"
+                  >
+                    {saved ? '✓ Saved' : isSaving ? 'Saving...' : 'Save to Sales'}
+                  </button>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-border text-left text-muted-foreground">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Branch</th>
+                      <th className="py-2 pr-4 text-right">Sales</th>
+                      <th className="py-2 pr-4 text-right">Expected</th>
+                      <th className="py-2 pr-4 text-right">Received</th>
+                      <th className="py-2 pr-4 text-right">Matched</th>
+                      <th className="py-2 pr-4 text-right">Unmatched</th>
+                      <th className="py-2 pr-4 text-right">Orphans</th>
+                      <th className="py-2 text-right">Variance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.map(row => (
+                      <tr key={`${row.branchId}-${row.date}`} className="border-b border-border/50">
+                        <td className="py-2 pr-4 text-foreground">{row.date}</td>
+                        <td className="py-2 pr-4 text-foreground">{branchName(row.branchId)}</td>
+                        <td className="py-2 pr-4 text-right text-foreground">{row.expectedCount}</td>
+                        <td className="py-2 pr-4 text-right text-foreground">{formatKES(row.expectedAmount)}</td>
+                        <td className="py-2 pr-4 text-right text-foreground">{formatKES(row.receivedAmount)}</td>
+                        <td className="py-2 pr-4 text-right text-foreground">
+                          {row.matchedCount}{row.mismatchCount > 0 && <span className="text-orange-600"> (+{row.mismatchCount} ≠)</span>}
+                        </td>
+                        <td className={`py-2 pr-4 text-right ${row.unmatchedCount > 0 ? 'text-destructive font-semibold' : 'text-foreground'}`}>{row.unmatchedCount}</td>
+                        <td className={`py-2 pr-4 text-right ${row.orphanCount > 0 ? 'text-orange-600 font-semibold' : 'text-foreground'}`}>{row.orphanCount}</td>
+                        <td className={`py-2 text-right font-semibold ${row.variance < 0 ? 'text-destructive' : row.variance > 0 ? 'text-orange-600' : 'text-success'}`}>
+                          {formatKES(row.variance)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {result.unmatchedSales.length > 0 && (
+              <div className="bg-card rounded-xl shadow-sm border border-destructive/40 p-6">
+                <h2 className="text-xl font-bold text-foreground mb-1">⚠️ Sales Not On The Statement</h2>
+                <p className="text-sm text-muted-foreground mb-4">Recorded as M-Pesa but no matching payment reached the till.</p>
+                <div className="space-y-2">
+                  {result.unmatchedSales.map(u => (
+                    <div key={`${u.transaction.id}-${u.payment.reference || ''}`} className="flex flex-wrap justify-between gap-2 text-sm border-b border-border/50 pb-2">
+                      <span className="font-mono text-foreground">{getReceiptNumber(u.transaction)}</span>
+                      <span className="text-muted-foreground">{formatTime(u.transaction.timestamp)}</span>
+                      <span className="text-muted-foreground">{u.transaction.cashier || 'Unknown cashier'}</span>
+                      <span className="text-muted-foreground font-mono">{u.payment.reference || 'No code'}</span>
+                      <span className="font-semibold text-destructive">{formatKES(u.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {result.orphanReceipts.length > 0 && (
+              <div className="bg-card rounded-xl shadow-sm border border-orange-500/40 p-6">
+                <h2 className="text-xl font-bold text-foreground mb-1">💸 Orphan Receipts</h2>
+                <p className="text-sm text-muted-foreground mb-4">Money received on the till with no matching sale.</p>
+                <div className="space-y-2">
+                  {result.orphanReceipts.map(line => (
+                    <div key={line.receiptNumber} className="flex flex-wrap justify-between gap-2 text-sm border-b border-border/50 pb-2">
+                      <span className="font-mono text-foreground">{line.receiptNumber}</span>
+                      <span className="text-muted-foreground">{formatTime(line.completedAt)}</span>
+                      <span className="text-muted-foreground truncate max-w-xs">{line.otherParty || line.details}</span>
+                      <span className="font-semibold text-orange-600">{formatKES(line.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {problemMatches.length > 0 && (
+              <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+                <h2 className="text-xl font-bold text-foreground mb-1">🔍 Check These Matches</h2>
+                <p className="text-sm text-muted-foreground mb-4">Matched without the M-Pesa code, or the amount differs.</p>
+                <div className="space-y-2">
+                  {problemMatches.map(m => (
+                    <div key={`${m.transaction.id}-${m.statementLines[0].receiptNumber}`} className="flex flex-wrap justify-between gap-2 text-sm border-b border-border/50 pb-2">
+                      <span className="font-mono text-foreground">{getReceiptNumber(m.transaction)}</span>
+                      <span className="text-muted-foreground">{formatTime(m.transaction.timestamp)}</span>
+                      <span className="font-mono text-muted-foreground">{m.statementLines.map(line => line.receiptNumber).join(', ')}</span>
+                      <span className="text-muted-foreground">{m.matchType === MATCH_TYPES.CODE ? 'By code' : 'By amount & time'}</span>
+                      <span className={`font-semibold ${m.status === RECONCILIATION_STATUS.AMOUNT_MISMATCH ? 'text-orange-600' : 'text-foreground'}`}>
+                        {formatKES(m.amount)}{m.difference !== 0 && ` (${m.difference > 0 ? '+' : ''}${m.difference.toLocaleString()})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
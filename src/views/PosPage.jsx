@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect, useRef } from "react"
+import { useState, useEffect, useRef, useMemo } from "react"
 import { toast } from "sonner"
 import TopBar from "../components/TopBar"
 import ProductGrid from "../components/ProductGrid"
@@ -10,14 +10,60 @@ import MPesaModal from "../components/MPesaModal"
 import CashPaymentModal from "../components/CashPaymentModal"
 import ReceiptModal from "../components/ReceiptModal"
 import CreditSaleModal from "../components/CreditSaleModal"
+import SplitTenderModal from "../components/SplitTenderModal"
+import PriceOverrideModal from "../components/PriceOverrideModal"
+import HeldSalesModal from "../components/HeldSalesModal"
+import ShiftControls from "../components/ShiftControls"
+import EmptiesReturnModal from "../components/EmptiesReturnModal"
+import TabsModal from "../components/TabsModal"
+import VouchersModal from "../components/VouchersModal"
+import CustomerLookupModal from "../components/CustomerLookupModal"
+import AgeVerificationModal from "../components/AgeVerificationModal"
+import QuotesModal from "../components/QuotesModal"
+import CommandPalette from "../components/CommandPalette"
+import HotkeySettingsModal from "../components/HotkeySettingsModal"
 import Pagination from "../components/Pagination"
 import { readData, writeData, readSharedData, writeSharedData } from "../utils/storage"
-import { getAdminIdForStorage } from "../utils/auth"
+import { getAdminIdForStorage, getAllUsers } from "../utils/auth"
 import { subscribeToCustomers, subscribeToCustomersByBranch, subscribeToInventory, subscribeToInventoryByBranch, subscribeToTransactions, subscribeToTransactionsByBranch } from "../services/realtimeListeners"
-import { isExpired, isExpiringSoon } from "../utils/dateHelpers"
+import { subscribeToPromotions } from "../services/realtimeExtraListeners"
+import { getBranch } from "../services/branchService"
 import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
 import { calculateCartTotals, calculateItemVAT } from "../utils/pricing"
+import { TENDER_TYPES, finalizePayments, getTenderAmount, describePayments, getTenderLabel } from "../utils/tenders"
+import { holdSale, getHeldSales, recallHeldSale, removeHeldSale } from "../utils/heldSales"
+import { getTerminalId, getTerminalSettings, updateTerminalSettings } from "../utils/terminal"
+import { allocateReceiptNumber, releaseReceiptNumber, reconcileReceiptCounter, DOCUMENT_SERIES } from "../utils/receiptNumbers"
+import { fiscalizeTransaction, retryFiscalQueue } from "../utils/fiscal"
+import { evaluatePromotions, applyPromotionsToCart, isPromotionActive, describePromotion } from "../utils/promotions"
+import { DISPLAY_MESSAGES, DISPLAY_MODES, buildDisplayState, openDisplayChannel, openCustomerDisplayWindow } from "../utils/customerDisplay"
+import { requiresApproval, getReasonLabel } from "../utils/priceOverrides"
+import { isDepositItem, getDepositLines, getDepositTotal, buildDepositRefund } from "../utils/deposits"
+import { getTabs, getOpenTabs, openTab, addToTab, transferTab, settleTabLines, closeEmptyTab, splitTabItems } from "../utils/tabs"
+import { getVouchers, findVoucher, generateVoucherCode, getVoucherExpiry, buildVoucherSale, applyVoucherRedemptions } from "../utils/vouchers"
+import { STORE_CREDIT_ENTRY_TYPES, getStoreCreditBalance, postStoreCredit } from "../utils/storeCredit"
+import {
+  LOYALTY_ENTRY_TYPES,
+  normalizeLoyaltySettings,
+  getLoyaltySettings,
+  getRollingSpend,
+  getLoyaltyTier,
+  getCustomerDiscountRate,
+  calculatePointsEarned,
+  getPointsForAmount,
+  validatePointsRedemption,
+  postLoyaltyPoints
+} from "../utils/loyalty"
+import { requiresAgeCheck, getIdTypeLabel } from "../utils/ageVerification"
+import { getQuotes, createQuote, setQuoteStatus, validateQuoteConversion, markQuoteConverted } from "../utils/quotations"
+import { downloadQuotePDF } from "../utils/quotePdf"
+import { getEventHotkey, getHotkeyBindings, findHotkeyAction, parseQuantityPrefix, getUserHotkeys, saveUserHotkeys } from "../utils/hotkeys"
+import { findByBarcode, toPackLine, getPackPrice, getLineProductId, getLineBaseQuantity, getBaseQuantities } from "../utils/unitsOfMeasure"
+import { pickSaleLots, hasExpiredStock, hasStockExpiringSoon, isStockFresh } from "../utils/lots"
+import { costSaleLines, normalizeCostingSettings } from "../utils/costing"
+import { MOVEMENT_REASONS, getInventoryMovements } from "../utils/stockMovements"
 import { useDebounce } from "../hooks/useDebounce"
+import { useOpenShift } from "../hooks/useOpenShift"
 
 const CATEGORIES = ["All", "Red Wine", "White Wine", "Rosé Wine", "Sparkling Wine", "Whisky", "Vodka", "Rum", "Gin", "Tequila", "Brandy", "Liqueur", "Beer", "Spirits", "Mixers", "Other"]
 const EXPIRY_FILTERS = ["All", "Fresh", "Expiring Soon", "Expired"]
@@ -35,15 +81,57 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
   const [showCashModal, setShowCashModal] = useState(false)
   const [showReceiptModal, setShowReceiptModal] = useState(false)
   const [showCreditSaleModal, setShowCreditSaleModal] = useState(false)
+  const [showSplitModal, setShowSplitModal] = useState(false)
+  const [showHeldSalesModal, setShowHeldSalesModal] = useState(false)
+  const [showEmptiesModal, setShowEmptiesModal] = useState(false)
+  const [showTabsModal, setShowTabsModal] = useState(false)
+  const [showVouchersModal, setShowVouchersModal] = useState(false)
+  const [showCustomerModal, setShowCustomerModal] = useState(false)
+  const [loyaltySettings, setLoyaltySettings] = useState(() => normalizeLoyaltySettings())
+  // Tier of the customer on the sale: { customerId, spend, tier }
+  const [customerTier, setCustomerTier] = useState(null)
+  const [tabs, setTabs] = useState([])
+  const [tabStaff, setTabStaff] = useState([])
+  // Set while the cart holds lines being paid off a tab: { tabId, tabName, selection, guests }
+  const [tabSettlement, setTabSettlement] = useState(null)
+  const [showQuotesModal, setShowQuotesModal] = useState(false)
+  const [quotes, setQuotes] = useState([])
+  // Set while the cart holds a quote being sold: { quoteId, quoteNumber }
+  const [quoteConversion, setQuoteConversion] = useState(null)
+  const [heldSales, setHeldSales] = useState([])
+  const [heldSaleExpiryHours, setHeldSaleExpiryHours] = useState(() => getTerminalSettings().heldSaleExpiryHours)
   const [pendingPaymentMethod, setPendingPaymentMethod] = useState(null)
   const [pendingCustomer, setPendingCustomer] = useState(null)
+  const [showAgeModal, setShowAgeModal] = useState(false)
+  // ID check for the sale in the cart; see utils/ageVerification
+  const [ageVerification, setAgeVerification] = useState(null)
   const [paymentMethod, setPaymentMethod] = useState(null)
+  const [completedPayments, setCompletedPayments] = useState([])
+  const [completedReceiptNumber, setCompletedReceiptNumber] = useState(null)
+  const [completedFiscal, setCompletedFiscal] = useState(null)
+  const [promotions, setPromotions] = useState([])
+  const [clock, setClock] = useState(() => Date.now())
+  const [priceOverrideItem, setPriceOverrideItem] = useState(null)
+  const [cashTendered, setCashTendered] = useState("")
+  const [branchName, setBranchName] = useState(null)
   const [discount, setDiscount] = useState(0)
   const [selectedCustomer, setSelectedCustomer] = useState(null)
   const [customers, setCustomers] = useState([])
   const [transactions, setTransactions] = useState([])
   const [barcodeBuffer, setBarcodeBuffer] = useState("")
+  const [pendingQuantity, setPendingQuantity] = useState(null)
+  const [paletteMode, setPaletteMode] = useState(null) // null, "all" or "discount"
+  const [showHotkeySettings, setShowHotkeySettings] = useState(false)
+  const [hotkeyOverrides, setHotkeyOverrides] = useState([])
   const barcodeInputRef = useRef(null)
+  const searchInputRef = useRef(null)
+  // Digits typed since the last other key, for "3*" quantities. Kept apart from the
+  // barcode buffer, which is cleared after 100ms because people type slower than scanners.
+  const quantityDigitsRef = useRef("")
+  const hotkeyHandlerRef = useRef(null)
+  const displayChannelRef = useRef(null)
+  const displayStateRef = useRef(null)
+  const { shift, setShift, loading: shiftLoading } = useOpenShift(currentUser)
 
   // Debounce search for better performance
   const debouncedSearch = useDebounce(searchTerm, 300)
@@ -192,6 +280,187 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentUser?.id, currentUser?.role, currentUser?.branchId])
 
+  // Load carts held on this terminal (expired ones are purged on read)
+  const loadHeldSales = async () => {
+    if (!currentUser?.id) return
+    try {
+      const adminId = getAdminIdForStorage(currentUser)
+      setHeldSales(await getHeldSales(adminId, currentUser.branchId, getTerminalId()))
+    } catch (error) {
+      console.error('Error loading held sales:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadHeldSales()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id, currentUser?.branchId])
+
+  const loadTabs = async () => {
+    if (!currentUser?.id) return
+    try {
+      const adminId = getAdminIdForStorage(currentUser)
+      setTabs(getOpenTabs(await getTabs(adminId, currentUser.branchId)))
+    } catch (error) {
+      console.error('Error loading tabs:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadTabs()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id, currentUser?.branchId])
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+    getLoyaltySettings(getAdminIdForStorage(currentUser))
+      .then(setLoyaltySettings)
+      .catch(error => console.error('Error loading loyalty settings:', error))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id])
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+    getUserHotkeys(getAdminIdForStorage(currentUser), currentUser.id)
+      .then(setHotkeyOverrides)
+      .catch(error => console.error('Error loading hotkeys:', error))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id])
+
+  const hotkeyBindings = useMemo(() => getHotkeyBindings(hotkeyOverrides), [hotkeyOverrides])
+
+  // Tiers come from spend at every branch, so read all transactions rather than this till's branch
+  const loadCustomerTier = async (customer) => {
+    if (!customer || !loyaltySettings.enabled) return null
+    const adminId = getAdminIdForStorage(currentUser)
+    const data = await readSharedData(adminId, false, { stores: ['transactions'] })
+    const spend = getRollingSpend(data.transactions || [], customer.id, loyaltySettings)
+    return { customerId: customer.id, spend, tier: getLoyaltyTier(spend, loyaltySettings) }
+  }
+
+  // A customer recalled with a held sale or tab still gets their tier for the lines added after
+  useEffect(() => {
+    if (!selectedCustomer || customerTier?.customerId === selectedCustomer.id) return
+    let cancelled = false
+    loadCustomerTier(selectedCustomer)
+      .then(loaded => { if (!cancelled) setCustomerTier(loaded) })
+      .catch(error => console.error('Error loading customer tier:', error))
+    return () => { cancelled = true }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedCustomer?.id, loyaltySettings])
+
+  const activeTier = selectedCustomer && customerTier?.customerId === selectedCustomer.id ? customerTier.tier : null
+  const customerDiscountRate = getCustomerDiscountRate(selectedCustomer, activeTier)
+
+  // Send fiscal invoices that were queued while the device was unreachable
+  useEffect(() => {
+    if (!currentUser?.id || currentUser.role === 'admin') return
+    const adminId = getAdminIdForStorage(currentUser)
+    const retryQueued = () => {
+      retryFiscalQueue(adminId)
+        .then(({ signed }) => {
+          if (signed > 0) toast.success(`${signed} queued receipt(s) signed by the fiscal device`)
+        })
+        .catch(error => console.error('Error retrying fiscal queue:', error))
+    }
+    retryQueued()
+    window.addEventListener('online', retryQueued)
+    return () => window.removeEventListener('online', retryQueued)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id])
+
+  // Promotions are evaluated against the cart on every change; the clock ticks each
+  // minute so happy hours start and stop without touching the cart
+  useEffect(() => {
+    if (!currentUser?.id) return
+    const unsubscribe = subscribeToPromotions(
+      getAdminIdForStorage(currentUser),
+      (data) => setPromotions(data || []),
+      (error) => console.error('Error loading promotions:', error)
+    )
+    return () => unsubscribe && unsubscribe()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id])
+
+  useEffect(() => {
+    // Hold the clock while a receipt is on screen so its promotion lines don't change under it
+    if (showReceiptModal) return
+    setClock(Date.now())
+    const timer = setInterval(() => setClock(Date.now()), 60000)
+    return () => clearInterval(timer)
+  }, [showReceiptModal])
+
+  // An ID check covers the sale it was made for; once the cart empties the next customer needs their own
+  useEffect(() => {
+    if (cart.length === 0) setAgeVerification(null)
+  }, [cart.length])
+
+  const promotionEvaluation = useMemo(
+    () => evaluatePromotions(cart, promotions, { now: new Date(clock), branchId: currentUser?.branchId }),
+    [cart, promotions, clock, currentUser?.branchId]
+  )
+  const pricedCart = useMemo(() => applyPromotionsToCart(cart, promotionEvaluation), [cart, promotionEvaluation])
+  // Deposit lines follow the cart: they come and go with the products that carry them
+  const depositLines = useMemo(() => getDepositLines(cart, inventory), [cart, inventory])
+  const depositTotal = getDepositTotal(depositLines)
+
+  // Customer display: a second window fed over BroadcastChannel. It asks for the
+  // current state when it opens, and gets every change after that.
+  useEffect(() => {
+    const channel = openDisplayChannel((message) => {
+      if (message?.type === DISPLAY_MESSAGES.REQUEST_STATE && displayStateRef.current) {
+        channel.postMessage({ type: DISPLAY_MESSAGES.STATE, state: displayStateRef.current })
+      }
+    })
+    displayChannelRef.current = channel
+    return () => {
+      displayChannelRef.current = null
+      channel?.close()
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!currentUser?.branchId) return
+    getBranch(currentUser.branchId)
+      .then(branch => setBranchName(branch?.name || null))
+      .catch(error => console.error('Error loading branch for customer display:', error))
+  }, [currentUser?.branchId])
+
+  const displayMode = showReceiptModal
+    ? DISPLAY_MODES.COMPLETE
+    : showCashModal || showMPesaModal || showSplitModal ? DISPLAY_MODES.PAYMENT : null
+  const showsCashTendered = showCashModal || (showReceiptModal && paymentMethod === TENDER_TYPES.CASH)
+
+  const displayState = useMemo(() => buildDisplayState({
+    cart: pricedCart,
+    deposits: depositLines,
+    discount,
+    appliedPromotions: promotionEvaluation.applied,
+    mode: displayMode,
+    amountTendered: showsCashTendered && cashTendered !== "" ? cashTendered : null,
+    branding: { branchName },
+    idleMessages: promotions
+      .filter(p => isPromotionActive(p, { now: new Date(clock), branchId: currentUser?.branchId }))
+      .map(p => `${p.name}: ${describePromotion(p)}`)
+  }), [pricedCart, depositLines, discount, promotionEvaluation, displayMode, showsCashTendered, cashTendered, branchName, promotions, clock, currentUser?.branchId])
+
+  useEffect(() => {
+    displayStateRef.current = displayState
+    displayChannelRef.current?.postMessage({ type: DISPLAY_MESSAGES.STATE, state: displayState })
+  }, [displayState])
+
+  // Keep this till's receipt counter ahead of every number that has synced in
+  useEffect(() => {
+    if (!currentUser?.id || !currentUser?.branchId || transactions.length === 0) return
+    reconcileReceiptCounter({
+      adminId: getAdminIdForStorage(currentUser),
+      branchId: currentUser.branchId,
+      terminalId: getTerminalId(),
+      transactions
+    }).catch(error => console.error('Error reconciling receipt counter:', error))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [transactions, currentUser?.id, currentUser?.branchId])
+
   // Barcode scanner handler - captures barcode scanner input
   useEffect(() => {
     const handleBarcodeInput = (e) => {
@@ -200,8 +469,23 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         return
       }
 
+      // Shortcuts like Ctrl+K are for the hotkey handler, not the scanner
+      if (e.ctrlKey || e.metaKey || e.altKey) return
+
       const key = e.key
 
+      // "3*" sets the quantity for the next scan or product
+      if (key === '*' && /^\d{1,3}$/.test(quantityDigitsRef.current)) {
+        e.preventDefault()
+        const { quantity } = parseQuantityPrefix(`${quantityDigitsRef.current}*`)
+        quantityDigitsRef.current = ""
+        setBarcodeBuffer("")
+        if (quantity) setPendingQuantity(quantity)
+        return
+      }
+      quantityDigitsRef.current = /^\d$/.test(key) ? quantityDigitsRef.current + key : ""
+      if (key === 'Escape') setPendingQuantity(null)
+
       // Build barcode buffer as scanner types
       if (key.length === 1) {
         setBarcodeBuffer(prev => prev + key)
@@ -228,23 +512,22 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       window.removeEventListener('keydown', handleBarcodeInput)
       clearTimeout(clearBuffer)
     }
-  }, [barcodeBuffer, inventory])
+  }, [barcodeBuffer, inventory, pendingQuantity])
 
   const handleBarcodeScanned = (barcode) => {
     const trimmedBarcode = barcode.trim()
 
-    // Find product by barcode or SKU (excluding soft-deleted items)
-    const product = inventory.find(p =>
-      !p.deletedAt && (
-        p.barcode === trimmedBarcode || 
-        p.sku?.toLowerCase() === trimmedBarcode.toLowerCase()
-      )
-    )
+    // Find product by barcode or SKU, or a pack by its own barcode (excluding soft-deleted items)
+    const match = findByBarcode(inventory.filter(p => !isDepositItem(p)), trimmedBarcode)
 
-    if (product) {
-      addToCart(product, 1)
+    if (match) {
+      const { product, pack } = match
+      const quantity = pendingQuantity || 1
+      addToCart(product, quantity, pack)
+      setPendingQuantity(null)
+      const price = pack ? getPackPrice(product, pack) : (product.price ?? 0)
       toast.success('Product added!', {
-        description: `${product.name} - KES ${product.price?.toLocaleString() || 0}`,
+        description: `${quantity > 1 ? `${quantity} × ` : ''}${product.name}${pack ? ` (${pack.name})` : ''} - KES ${price.toLocaleString()}`,
         duration: 2000,
       })
     } else {
@@ -255,25 +538,29 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
     }
   }
 
+  // "3*jameson" in the search box searches for jameson and adds three
+  const { quantity: searchQuantity, text: searchText } = parseQuantityPrefix(debouncedSearch)
+
   const filteredProducts = inventory.filter(
     (p) => {
-      // Filter out soft-deleted items
-      if (p.deletedAt) return false
+      // Filter out soft-deleted items, and deposit items which only go on sale with their products
+      if (p.deletedAt || isDepositItem(p)) return false
 
       const matchesSearch = 
-        p.name.toLowerCase().includes(debouncedSearch.toLowerCase()) || 
-        p.sku.toLowerCase().includes(debouncedSearch.toLowerCase()) ||
-        p.barcode?.includes(debouncedSearch)
+        p.name.toLowerCase().includes(searchText.toLowerCase()) || 
+        p.sku.toLowerCase().includes(searchText.toLowerCase()) ||
+        p.barcode?.includes(searchText)
       const matchesCategory = selectedCategory === "All" || p.category === selectedCategory
 
       // Apply expiry filter
+      // Judged lot by lot: a product with one expired delivery on the shelf shows as expired
       let matchesExpiry = true
       if (expiryFilter === "Expired") {
-        matchesExpiry = isExpired(p.expiryDate)
+        matchesExpiry = hasExpiredStock(p)
       } else if (expiryFilter === "Expiring Soon") {
-        matchesExpiry = isExpiringSoon(p.expiryDate) && !isExpired(p.expiryDate)
+        matchesExpiry = hasStockExpiringSoon(p)
       } else if (expiryFilter === "Fresh") {
-        matchesExpiry = !isExpired(p.expiryDate) && !isExpiringSoon(p.expiryDate)
+        matchesExpiry = isStockFresh(p)
       }
 
       return matchesSearch && matchesCategory && matchesExpiry
@@ -305,56 +592,95 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
     setCurrentPage(1)
   }
 
-  const addToCart = (product, quantityToAdd = 1) => {
+  // Stock is held in base units, so singles and packs of a product share one count
+  const hasStockFor = (productId, extraBaseUnits, cartLines = cart) => {
+    const product = inventory.find((p) => p.id === productId)
+    const inCart = getBaseQuantities(cartLines).get(productId) || 0
+    return inCart + extraBaseUnits <= (product?.quantity ?? 0)
+  }
+
+  const addToCart = (product, quantityToAdd = 1, pack = null) => {
     if (product.quantity <= 0) {
       alert("Product out of stock!")
       return
     }
-    const existing = cart.find((item) => item.id === product.id)
+    const lineId = pack ? `${product.id}:${pack.id}` : product.id
+    const existing = cart.find((item) => item.id === lineId)
 
-    // Apply special customer pricing if applicable
-    const basePrice = product.price ?? product.sellingPrice ?? 0
-    let effectivePrice = basePrice
-    if (selectedCustomer?.specialPricing && selectedCustomer?.discountRate > 0) {
-      const discount = selectedCustomer.discountRate / 100
-      effectivePrice = basePrice * (1 - discount)
-    }
+    // Apply the customer's special pricing or tier discount if applicable
+    const basePrice = pack ? getPackPrice(product, pack) : (product.price ?? product.sellingPrice ?? 0)
+    const effectivePrice = customerDiscountRate > 0 ? basePrice * (1 - customerDiscountRate / 100) : basePrice
 
+    if (!hasStockFor(product.id, quantityToAdd * (pack ? Number(pack.factor) : 1))) {
+      alert("Insufficient stock!")
+      return
+    }
     if (existing) {
-      const newQuantity = existing.quantity + quantityToAdd
-      if (newQuantity > product.quantity) {
-        alert("Insufficient stock!")
-        return
-      }
-      setCart(cart.map((item) => (item.id === product.id ? { ...item, quantity: newQuantity } : item)))
+      setCart(cart.map((item) => (item.id === lineId ? withQuantity(item, existing.quantity + quantityToAdd) : item)))
     } else {
-      if (quantityToAdd > product.quantity) {
-        alert("Insufficient stock!")
-        return
-      }
-      setCart([...cart, { ...product, price: effectivePrice, quantity: quantityToAdd }])
+      const line = pack ? toPackLine(product, pack, effectivePrice) : { ...product, price: effectivePrice }
+      // listPrice lets the line be repriced if a customer is put on the sale later
+      setCart([...cart, { ...line, listPrice: basePrice, quantity: quantityToAdd }])
     }
   }
 
+  // An override that went through without a manager is only good for the quantity it
+  // was made at; if more units push it over the limit, the line goes back to its price
+  const withQuantity = (item, quantity) => {
+    const override = item.priceOverride
+    if (!override || override.approvedBy || !requiresApproval({
+      originalPrice: override.originalPrice,
+      newPrice: override.price,
+      quantity,
+      role: currentUser?.role,
+      thresholds: getTerminalSettings().priceOverrides
+    })) {
+      return { ...item, quantity }
+    }
+    toast.warning(`Price override removed from ${item.name}`, {
+      description: 'The discount on this many units needs a manager. Change the price again to request approval.'
+    })
+    const { priceOverride: _removed, ...rest } = item
+    return { ...rest, price: override.originalPrice, quantity }
+  }
+
   const removeFromCart = (productId) => {
     setCart(cart.filter((item) => item.id !== productId))
   }
 
   const updateQuantity = (productId, quantity) => {
-    const product = inventory.find((p) => p.id === productId)
-    if (quantity > product?.quantity) {
+    const line = cart.find((item) => item.id === productId)
+    const otherLines = cart.filter((item) => item.id !== productId)
+    if (line && !hasStockFor(getLineProductId(line), getLineBaseQuantity({ ...line, quantity }), otherLines)) {
       alert("Insufficient stock!")
       return
     }
     if (quantity <= 0) {
       removeFromCart(productId)
     } else {
-      setCart(cart.map((item) => (item.id === productId ? { ...item, quantity } : item)))
+      setCart(cart.map((item) => (item.id === productId ? withQuantity(item, quantity) : item)))
     }
   }
 
-  const updatePrice = (productId, newPrice) => {
-    setCart(cart.map((item) => (item.id === productId ? { ...item, price: newPrice } : item)))
+  const updatePrice = (productId, newPrice, priceOverride = null) => {
+    setCart(cart.map((item) => {
+      if (item.id !== productId) return item
+      const { priceOverride: _previous, ...rest } = item
+      return priceOverride ? { ...rest, price: newPrice, priceOverride } : { ...rest, price: newPrice }
+    }))
+    setPriceOverrideItem(null)
+    if (priceOverride) {
+      const item = cart.find((i) => i.id === productId)
+      toast.success('Price changed', {
+        description: `${getReasonLabel(priceOverride.reasonCode)}${priceOverride.approvedBy ? ` · approved by ${priceOverride.approvedBy.name}` : ''}`
+      })
+      logActivity(
+        ACTIVITY_TYPES.PRICE_OVERRIDE,
+        `Price of ${item?.name} changed from KES ${priceOverride.originalPrice.toLocaleString()} to KES ${newPrice.toLocaleString()}`,
+        { productId, ...priceOverride },
+        currentUser
+      ).catch(error => console.error('Error logging price override:', error))
+    }
   }
 
   const clearCart = () => {
@@ -362,14 +688,131 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       setCart([])
       setDiscount(0)
       setSelectedCustomer(null)
-      setAgeVerified(false) // Reset age verification for new transaction
+      setTabSettlement(null)
+      setQuoteConversion(null)
       toast.info('Cart Cleared', {
         description: 'Ready for next customer'
       })
     }
   }
 
-  const handleCheckout = async (method, customer = null) => {
+  const handleHoldSale = async (name) => {
+    if (cart.length === 0) return
+    if (tabSettlement) {
+      toast.error(`These items are still on "${tabSettlement.tabName}"`, {
+        description: 'Take payment or clear the cart; the tab keeps them until they are paid.'
+      })
+      return
+    }
+    if (quoteConversion) {
+      toast.error(`${quoteConversion.quoteNumber} is loaded in the till`, {
+        description: 'Take payment, or clear the cart and convert the quote again later.'
+      })
+      return
+    }
+    try {
+      const adminId = getAdminIdForStorage(currentUser)
+      const held = await holdSale({
+        adminId,
+        branchId: currentUser?.branchId,
+        terminalId: getTerminalId(),
+        name,
+        cart,
+        discount,
+        customer: selectedCustomer,
+        heldBy: { id: currentUser?.id, name: currentUser?.name },
+        expiryHours: heldSaleExpiryHours
+      })
+      setCart([])
+      setDiscount(0)
+      setSelectedCustomer(null)
+      setShowHeldSalesModal(false)
+      await loadHeldSales()
+      toast.success('Sale on hold', {
+        description: `"${held.name}" can be recalled from this till`,
+      })
+    } catch (error) {
+      console.error('Error holding sale:', error)
+      toast.error('Failed to hold sale', {
+        description: error.message || 'Please try again.',
+      })
+    }
+  }
+
+  const handleRecallSale = async (heldSale) => {
+    if (cart.length > 0) {
+      toast.error('Hold or clear the current sale before recalling another')
+      return
+    }
+    try {
+      const recalled = await recallHeldSale(heldSale.id)
+      if (!recalled) {
+        toast.error('This held sale has expired')
+        await loadHeldSales()
+        return
+      }
+
+      // Drop items that have since been deleted and cap quantities at current stock
+      const restoredCart = recalled.cart
+        .map(item => {
+          const product = inventory.find(p => p.id === getLineProductId(item) && !p.deletedAt)
+          const available = Math.floor((product?.quantity ?? 0) / (item.unitFactor || 1))
+          if (!product || available <= 0) return null
+          return { ...item, quantity: Math.min(item.quantity, available) }
+        })
+        .filter(Boolean)
+
+      setCart(restoredCart)
+      setDiscount(recalled.discount || 0)
+      setSelectedCustomer(recalled.customer || null)
+      setShowHeldSalesModal(false)
+      await loadHeldSales()
+
+      if (restoredCart.length < recalled.cart.length) {
+        toast.warning('Some items could not be restored', {
+          description: 'They are out of stock or no longer in inventory.',
+        })
+      } else {
+        toast.success(`Recalled "${recalled.name}"`)
+      }
+    } catch (error) {
+      console.error('Error recalling sale:', error)
+      toast.error('Failed to recall sale')
+    }
+  }
+
+  const handleDiscardHeldSale = async (heldSale) => {
+    if (!window.confirm(`Discard held sale "${heldSale.name}"?`)) return
+    try {
+      await removeHeldSale(heldSale.id)
+      await loadHeldSales()
+    } catch (error) {
+      console.error('Error discarding held sale:', error)
+      toast.error('Failed to discard held sale')
+    }
+  }
+
+  const handleHeldSaleExpiryChange = (hours) => {
+    updateTerminalSettings({ heldSaleExpiryHours: hours })
+    setHeldSaleExpiryHours(hours)
+  }
+
+  const handleCheckout = async (method, customer = null, verification = ageVerification) => {
+    if (!shift) {
+      toast.error('Open a shift before taking payment', {
+        description: 'Count your float in with "Open Shift" at the top of the screen.'
+      })
+      return
+    }
+
+    // Alcohol can't be paid for until the customer's ID has been checked
+    if (requiresAgeCheck(cart) && !verification) {
+      setPendingPaymentMethod(method)
+      setPendingCustomer(customer)
+      setShowAgeModal(true)
+      return
+    }
+
     // For credit sales, show the customer selection modal if no customer selected
     if (method === "credit") {
       if (!customer) {
@@ -392,6 +835,12 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       setSelectedCustomer(customer)
     }
 
+    // Split payment: let the cashier build the tender lines first
+    if (method === "split") {
+      setShowSplitModal(true)
+      return
+    }
+
     // Proceed with payment directly
     setPaymentMethod(method)
     if (method === "mpesa") {
@@ -401,15 +850,68 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       setShowCashModal(true)
     } else {
       // For credit payments, save transaction first then show receipt
-      await handleCompletePayment(method, customer)
+      await handleCompletePayment(method, customer, null, verification)
     }
   }
 
-  const handleCompletePayment = async (method = null, customer = null) => {
-    // Use the provided method or fall back to the state
-    const finalPaymentMethod = method || paymentMethod || 'cash'
+  const handleAgeVerified = async (record) => {
+    setAgeVerification(record)
+    setShowAgeModal(false)
+    const method = pendingPaymentMethod
+    const customer = pendingCustomer
+    setPendingPaymentMethod(null)
+    setPendingCustomer(null)
+    if (method) await handleCheckout(method, customer, record)
+  }
+
+  const handleAgeRefused = ({ idType, age, method }) => {
+    setShowAgeModal(false)
+    setPendingPaymentMethod(null)
+    setPendingCustomer(null)
+    logActivity(
+      ACTIVITY_TYPES.AGE_CHECK_REFUSED,
+      age !== null
+        ? `Alcohol sale refused: customer aged ${age} (${getIdTypeLabel(idType)})`
+        : 'Alcohol sale refused: no valid ID shown',
+      { idType, age, method, branchId: currentUser?.branchId || null, terminalId: getTerminalId() },
+      currentUser
+    ).catch(error => console.error('Error logging refused sale:', error))
+    toast.warning('Sale refused', {
+      description: 'Remove the alcohol from the cart or clear it before the next customer'
+    })
+  }
+
+  const handleCompletePayment = async (method = null, customer = null, tenderLines = null, verification = ageVerification) => {
     const finalCustomer = customer || selectedCustomer
 
+    // Every sale stores its tender lines; single-method sales get one line covering the total
+    const settlement = finalizePayments(
+      tenderLines || [{ method: method || paymentMethod || TENDER_TYPES.CASH, amount: total }],
+      total
+    )
+    const finalPaymentMethod = settlement.paymentMethod
+    const payments = settlement.payments
+    const creditAmount = getTenderAmount({ payments }, TENDER_TYPES.CREDIT)
+    const storeCreditAmount = getTenderAmount({ payments }, TENDER_TYPES.STORE_CREDIT)
+    const pointsTenderAmount = getTenderAmount({ payments }, TENDER_TYPES.LOYALTY_POINTS)
+
+    if (creditAmount > 0 && !finalCustomer) {
+      toast.error('Select a customer for the credit part of this sale')
+      return
+    }
+    if (storeCreditAmount > 0 && !finalCustomer) {
+      toast.error('Select the customer whose store credit is being used')
+      return
+    }
+    if (pointsTenderAmount > 0 && !finalCustomer) {
+      toast.error('Select the customer whose loyalty points are being used')
+      return
+    }
+    if (requiresAgeCheck(cart) && !verification) {
+      toast.error("Check the customer's ID before completing this sale")
+      return
+    }
+
     // CRITICAL CHECK: If cashier/manager has no branchId, ABORT
     // Admins should never reach this point as they don't have POS access
     if ((currentUser.role === 'cashier' || currentUser.role === 'manager') && !currentUser.branchId) {
@@ -425,22 +927,9 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       return
     }
 
-    // Calculate updated inventory for CURRENT BRANCH ONLY based on cart
-    const updatedBranchInventory = inventory.map((item) => {
-      const cartItem = cart.find((c) => c.id === item.id)
-      if (cartItem) {
-        return { ...item, quantity: item.quantity - cartItem.quantity }
-      }
-      return item
-    })
-
-    // DEBUG: Log what's in updatedBranchInventory
-    console.log(`🔍 PosPage: updatedBranchInventory has ${updatedBranchInventory.length} items`)
-    updatedBranchInventory.forEach((item, index) => {
-      console.log(`   ${index + 1}. ${item.name} - branchId: ${item.branchId}, id: ${item.id}, qty: ${item.quantity}`)
-    })
-
     // Save transaction AND inventory to SHARED storage atomically
+    let receiptNumber = null
+    let transactionSaved = false
     try {
       const userId = currentUser?.id
       if (!userId) {
@@ -455,12 +944,74 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       // Read from user-specific storage for expenses
       const userData = await readData(userId)
 
+      // Voucher and store credit balances are checked again against what is saved now,
+      // in case another till spent them after they were looked up
+      const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
+      let redeemedVouchers = []
+      try {
+        redeemedVouchers = applyVoucherRedemptions(sharedData.vouchers || [], payments, {
+          transactionId,
+          user: currentUser,
+          branchId: currentUser?.branchId
+        })
+      } catch (voucherError) {
+        toast.error('Voucher payment declined', { description: voucherError.message })
+        return
+      }
+      if (storeCreditAmount > 0) {
+        const holder = (sharedData.customers || []).find(c => c.id === finalCustomer.id)
+        if (getStoreCreditBalance(holder) < storeCreditAmount) {
+          toast.error('Not enough store credit', {
+            description: `${finalCustomer.name} has KES ${getStoreCreditBalance(holder).toLocaleString()} store credit`
+          })
+          return
+        }
+      }
+      // Points are earned and spent at the rates saved now, not the ones loaded when the till opened
+      const loyalty = normalizeLoyaltySettings(sharedData.settings?.loyalty)
+      const loyaltyHolder = finalCustomer && ((sharedData.customers || []).find(c => c.id === finalCustomer.id) || finalCustomer)
+      if (pointsTenderAmount > 0) {
+        const pointsError = validatePointsRedemption(loyaltyHolder, pointsTenderAmount, loyalty)
+        if (pointsError) {
+          toast.error('Loyalty points declined', { description: pointsError })
+          return
+        }
+      }
+      const pointsRedeemed = pointsTenderAmount > 0 ? getPointsForAmount(pointsTenderAmount, loyalty) : 0
+
+      // Calculate updated inventory for CURRENT BRANCH ONLY based on cart: each line is costed
+      // under the organisation's costing method (the cost is frozen on the line, so later cost
+      // changes don't rewrite its profit) and taken from the lots that expire first
+      const costingMethod = normalizeCostingSettings(sharedData.settings?.costing).method
+      const saleLines = cart.map(item => ({ id: item.id, productId: getLineProductId(item), baseQuantity: getLineBaseQuantity(item), unitFactor: item.unitFactor }))
+      const { inventory: costedInventory, costs: lineCosts } = costSaleLines(inventory, saleLines, costingMethod)
+      const { inventory: updatedBranchInventory, picks: lotPicks } = pickSaleLots(costedInventory, saleLines)
+
+      // DEBUG: Log what's in updatedBranchInventory
+      console.log(`🔍 PosPage: updatedBranchInventory has ${updatedBranchInventory.length} items`)
+      updatedBranchInventory.forEach((item, index) => {
+        console.log(`   ${index + 1}. ${item.name} - branchId: ${item.branchId}, id: ${item.id}, qty: ${item.quantity}`)
+      })
+
       // Calculate VAT and per-item breakdown
-      const cartTotals = calculateCartTotals(cart, discount, 0.16)
-      const itemsWithVAT = calculateItemVAT(cart, 0.16)
+      const cartTotals = calculateCartTotals(pricedCart, discount, 0.16)
+      const itemsWithVAT = calculateItemVAT(pricedCart, 0.16)
+      const pointsEarned = finalCustomer
+        ? calculatePointsEarned(pricedCart, loyalty, { discount, pointsTender: pointsTenderAmount })
+        : 0
+
+      receiptNumber = await allocateReceiptNumber({
+        adminId,
+        branchId: currentUser?.branchId,
+        terminalId: getTerminalId(),
+        transactions: sharedData.transactions || []
+      })
 
       const transaction = {
-        id: `TXN-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+        id: transactionId,
+        receiptNumber,
+        terminalId: getTerminalId(),
+        shiftId: shift?.id || null,
         timestamp: new Date().toISOString(),
         userId: userId, // Track which user made the transaction
         cashier: currentUser?.name || 'Unknown',
@@ -474,25 +1025,44 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
           sku: item.sku,
           quantity: item.quantity,
           price: item.price,
+          ...(item.unitId ? { productId: item.productId, unitId: item.unitId, unitName: item.unitName, unitFactor: item.unitFactor } : {}),
+          ...(item.priceOverride ? { originalPrice: item.priceOverride.originalPrice, priceOverride: item.priceOverride } : {}),
+          ...(item.promotionDiscount > 0 ? { promotionDiscount: item.promotionDiscount } : {}),
+          ...(lotPicks.has(item.id) ? { lots: lotPicks.get(item.id) } : {}),
+          ...(lineCosts.has(item.id) ? { unitCost: lineCosts.get(item.id) } : {}),
           itemTotal: item.itemTotal,
           itemVAT: item.itemVAT,
           itemPriceBeforeVAT: item.itemPriceBeforeVAT,
           vatRate: item.vatRate
         })),
+        ...(depositLines.length > 0 ? { deposits: depositLines, depositTotal } : {}),
+        ...(tabSettlement ? { tabId: tabSettlement.tabId, tabName: tabSettlement.tabName } : {}),
+        ...(quoteConversion ? { quoteId: quoteConversion.quoteId, quoteNumber: quoteConversion.quoteNumber } : {}),
         subtotal: cartTotals.subtotal,
+        promotionDiscount: cartTotals.promotionDiscount,
+        promotions: promotionEvaluation.applied,
         discount: discount,
         discountAmount: cartTotals.discountAmount,
         priceBeforeVAT: cartTotals.priceBeforeVAT,
         vatAmount: cartTotals.totalVAT,
         vatRate: 0.16,
-        total: cartTotals.total,
+        costingMethod,
+        // Deposits are collected with the sale but are not revenue; see utils/deposits
+        total: cartTotals.total + depositTotal,
         paymentMethod: finalPaymentMethod,
+        payments,
+        amountTendered: settlement.amountTendered,
+        changeDue: settlement.changeDue,
+        // Split sales are settled at the till; their credit portion is tracked on the customer's balance
         paymentStatus: finalPaymentMethod === 'credit' ? 'pending' : 'completed',
+        ...(creditAmount > 0 && finalPaymentMethod !== 'credit' ? { creditAmount } : {}),
+        ...(pointsRedeemed > 0 ? { loyaltyPointsRedeemed: pointsRedeemed } : {}),
+        ...(pointsEarned > 0 ? { loyaltyPointsEarned: pointsEarned } : {}),
+        ...(activeTier && selectedCustomer?.id === finalCustomer?.id ? { loyaltyTier: activeTier.name } : {}),
         itemCount: cart.reduce((sum, item) => sum + item.quantity, 0),
         // Age verification compliance (Alcoholic Drinks Control Act, 2010)
-        ageVerified: true,
-        ageVerifiedAt: new Date().toISOString(),
-        ageVerifiedBy: currentUser?.name || 'Unknown'
+        ageVerified: !!verification,
+        ...(verification ? { ageVerification: verification } : {})
       }
 
       console.log('💳 Transaction saved with branchId:', transaction.branchId, '(from user:', currentUser?.name, ')')
@@ -504,7 +1074,7 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       let updatedCustomers = sharedData.customers || []
       let updatedExpenses = userData.expenses || []
 
-      if (finalPaymentMethod === 'credit' && finalCustomer) {
+      if (creditAmount > 0 && finalCustomer) {
         const currentDate = new Date().toISOString()
         // Default loan duration in days
         const DEFAULT_LOAN_DURATION_DAYS = 30
@@ -518,8 +1088,8 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
             c.id === finalCustomer.id
               ? {
                   ...c,
-                  balance: (c.balance || 0) + total,
-                  loanAmount: (c.loanAmount || 0) + total,
+                  balance: (c.balance || 0) + creditAmount,
+                  loanAmount: (c.loanAmount || 0) + creditAmount,
                   loanDate: c.loanDate || currentDate,
                   loanDueDate: c.loanDueDate || defaultDueDate
                 }
@@ -531,8 +1101,8 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
             ...existing,
             {
               ...finalCustomer,
-              balance: (finalCustomer.balance || 0) + total,
-              loanAmount: (finalCustomer.loanAmount || 0) + total,
+              balance: (finalCustomer.balance || 0) + creditAmount,
+              loanAmount: (finalCustomer.loanAmount || 0) + creditAmount,
               loanDate: currentDate,
               loanDueDate: defaultDueDate
             }
@@ -545,7 +1115,7 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
           date: currentDate,
           category: 'Credit Sales',
           description: `Credit sale to ${finalCustomer.name} (Transaction: ${transaction.id})`,
-          amount: total,
+          amount: creditAmount,
           paymentMethod: 'Credit',
           notes: `Customer loan - Due: ${new Date(defaultDueDate).toLocaleDateString()}`,
           transactionId: transaction.id,
@@ -556,6 +1126,46 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         updatedExpenses.push(expenseEntry)
       }
 
+      if (storeCreditAmount > 0) {
+        updatedCustomers = updatedCustomers.map(c =>
+          c.id === finalCustomer.id
+            ? postStoreCredit(c, {
+                type: STORE_CREDIT_ENTRY_TYPES.REDEMPTION,
+                amount: -storeCreditAmount,
+                reference: receiptNumber,
+                transactionId,
+                user: currentUser
+              })
+            : c
+        )
+      }
+      if (pointsRedeemed > 0 || pointsEarned > 0) {
+        updatedCustomers = updatedCustomers.map(c => {
+          if (c.id !== finalCustomer.id) return c
+          let updated = c
+          if (pointsRedeemed > 0) {
+            updated = postLoyaltyPoints(updated, {
+              type: LOYALTY_ENTRY_TYPES.REDEEMED,
+              points: -pointsRedeemed,
+              reference: receiptNumber,
+              transactionId,
+              user: currentUser
+            })
+          }
+          if (pointsEarned > 0) {
+            updated = postLoyaltyPoints(updated, {
+              type: LOYALTY_ENTRY_TYPES.EARNED,
+              points: pointsEarned,
+              reference: receiptNumber,
+              transactionId,
+              user: currentUser
+            })
+          }
+          return updated
+        })
+      }
+      const updatedVouchers = (sharedData.vouchers || []).map(v => redeemedVouchers.find(r => r.id === v.id) || v)
+
       // CRITICAL: Merge inventory from all branches to prevent data loss
       const allInventoryItems = sharedData.inventory || []
       const currentBranch = currentUser.branchId
@@ -599,8 +1209,18 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         ...sharedData,
         inventory: mergedInventory,
         transactions: transactions,
-        customers: updatedCustomers
+        customers: updatedCustomers,
+        vouchers: updatedVouchers,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(inventory, updatedBranchInventory, {
+            reason: MOVEMENT_REASONS.SALE,
+            source: { type: 'transaction', id: transaction.id, number: receiptNumber },
+            user: currentUser
+          })
+        ]
       }, adminId)
+      transactionSaved = true
 
       // Save expenses to user-specific storage (only admin can see expenses)
       await writeData({
@@ -608,6 +1228,59 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         expenses: updatedExpenses
       }, userId)
 
+      // The sale is saved, so the lines it paid for come off the tab
+      if (tabSettlement) {
+        try {
+          await settleTabLines({
+            adminId,
+            tabId: tabSettlement.tabId,
+            selection: tabSettlement.selection,
+            transactionId: transaction.id,
+            user: currentUser
+          })
+        } catch (tabError) {
+          console.error('Error updating tab after settlement:', tabError)
+          toast.error(`Sale saved, but "${tabSettlement.tabName}" was not updated`, {
+            description: 'Check the tab before settling it again.'
+          })
+        }
+        setTabSettlement(null)
+        loadTabs()
+      }
+
+      // Likewise a quote only counts as sold once its sale is saved
+      if (quoteConversion) {
+        try {
+          await markQuoteConverted({
+            adminId,
+            quoteId: quoteConversion.quoteId,
+            transactionId: transaction.id,
+            receiptNumber,
+            user: currentUser
+          })
+        } catch (quoteError) {
+          console.error('Error updating quote after sale:', quoteError)
+          toast.error(`Sale saved, but ${quoteConversion.quoteNumber} was not marked as sold`, {
+            description: 'Mark it off before anyone converts it again.'
+          })
+        }
+        setQuoteConversion(null)
+      }
+
+      // Sign with the fiscal device before the receipt prints; if it can't be reached the
+      // invoice is queued and the receipt shows it as pending
+      let fiscal = null
+      try {
+        fiscal = await fiscalizeTransaction(adminId, transaction)
+      } catch (fiscalError) {
+        console.error('Error fiscalising transaction:', fiscalError)
+      }
+      if (fiscal && fiscal.status !== 'signed') {
+        toast.warning('Fiscal device unavailable', {
+          description: `Receipt ${receiptNumber} will be signed automatically when the device is reachable.`
+        })
+      }
+
       // Update local state immediately for instant UI feedback (use branch-specific inventory for UI)
       setInventory(updatedBranchInventory)
       setTransactions(transactions)
@@ -624,9 +1297,11 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         `Transaction completed: ${cart.length} items, Total: KES ${total.toLocaleString()}`,
         {
           transactionId: transaction.id,
+          receiptNumber,
           itemCount: cart.reduce((sum, item) => sum + item.quantity, 0),
           total: total,
           paymentMethod: finalPaymentMethod,
+          payments,
           customerId: finalCustomer?.id,
           customerName: finalCustomer?.name,
           branchId: currentUser?.branchId || null
@@ -635,18 +1310,28 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       )
 
       // Show success message
-      const paymentText = finalPaymentMethod === 'mpesa' ? 'M-Pesa' :
-                          finalPaymentMethod === 'credit' ? 'Credit' : 'Cash'
+      const paymentText = describePayments({ payments })
       toast.success('Transaction completed successfully!', {
         description: finalPaymentMethod === 'credit'
           ? `Credit sale of KES ${total.toLocaleString()} for ${finalCustomer?.name} (tracked as expense)`
           : `Payment of KES ${total.toLocaleString()} received via ${paymentText}`,
         duration: 3000,
       })
+      if (pointsEarned > 0) {
+        const pointsBalance = updatedCustomers.find(c => c.id === finalCustomer.id)?.loyaltyPoints
+        toast.success(`⭐ ${finalCustomer.name} earned ${pointsEarned.toLocaleString()} points`, {
+          description: pointsBalance != null ? `Balance: ${pointsBalance.toLocaleString()} points` : undefined
+        })
+      }
 
       // Close modals and show receipt after a brief delay to let user see the success message
+      setPaymentMethod(finalPaymentMethod)
+      setCompletedPayments(payments)
+      setCompletedReceiptNumber(receiptNumber)
+      setCompletedFiscal(fiscal)
       setShowMPesaModal(false)
       setShowCashModal(false)
+      setShowSplitModal(false)
       setTimeout(() => {
         setShowReceiptModal(true)
       }, 500)
@@ -655,22 +1340,403 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
       toast.error('Failed to save transaction', {
         description: 'Please try again or contact support if the issue persists.',
       })
+      // Hand the number back so the unsaved sale doesn't leave a gap in the sequence
+      if (receiptNumber && !transactionSaved) {
+        releaseReceiptNumber({
+          adminId: getAdminIdForStorage(currentUser),
+          receiptNumber,
+          branchId: currentUser?.branchId,
+          terminalId: getTerminalId()
+        }).catch(releaseError => console.error('Error releasing receipt number:', releaseError))
+      }
       // Don't show receipt if save failed
     }
   }
 
+  // Empties coming back are refunded straight from the drawer (or M-Pesa) and
+  // go back on the shelf as empties waiting for the distributor
+  const handleEmptiesReturn = async ({ lines, refundMethod, reference }) => {
+    if (!shift) throw new Error('Open a shift before refunding deposits')
+    if (refundMethod === TENDER_TYPES.MPESA && !reference) throw new Error('Enter the M-Pesa transaction code')
+
+    const adminId = getAdminIdForStorage(currentUser)
+    const sharedData = await readSharedData(adminId)
+    const allTransactions = sharedData.transactions || []
+    const numbering = {
+      adminId,
+      branchId: currentUser?.branchId,
+      terminalId: getTerminalId(),
+      series: DOCUMENT_SERIES.DEPOSIT_REFUND
+    }
+    const depositRefundNumber = await allocateReceiptNumber({ ...numbering, transactions: allTransactions })
+
+    let refund, returned, updatedTransactions
+    try {
+      refund = buildDepositRefund({
+        lines,
+        refundMethod,
+        reference,
+        depositRefundNumber,
+        user: currentUser,
+        branchId: currentUser?.branchId,
+        shiftId: shift.id,
+        terminalId: getTerminalId()
+      })
+
+      returned = new Map(refund.deposits.map(d => [d.depositItemId, Math.abs(d.quantity)]))
+      const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+      const tillBranch = normalizeBranchId(currentUser?.branchId)
+      const updatedInventory = (sharedData.inventory || []).map(item =>
+        returned.has(item.id) && normalizeBranchId(item.branchId) === tillBranch
+          ? { ...item, quantity: (item.quantity || 0) + returned.get(item.id) }
+          : item
+      )
+      updatedTransactions = [...allTransactions, refund]
+
+      await writeSharedData({
+        ...sharedData,
+        transactions: updatedTransactions,
+        inventory: updatedInventory,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(sharedData.inventory, updatedInventory, {
+            reason: MOVEMENT_REASONS.EMPTIES_RETURNED,
+            source: { type: 'transaction', id: refund.id, number: refund.depositRefundNumber },
+            user: currentUser
+          })
+        ]
+      }, adminId, { writeOnlyStores: ['transactions', 'inventory', 'stockMovements'] })
+    } catch (error) {
+      releaseReceiptNumber({ ...numbering, receiptNumber: depositRefundNumber })
+        .catch(releaseError => console.error('Error releasing deposit refund number:', releaseError))
+      throw error
+    }
+
+    setTransactions(updatedTransactions)
+    setInventory(inventory.map(item => returned.has(item.id) ? { ...item, quantity: (item.quantity || 0) + returned.get(item.id) } : item))
+    setShowEmptiesModal(false)
+
+    logActivity(
+      ACTIVITY_TYPES.DEPOSIT_REFUNDED,
+      `Empties returned: ${refund.depositRefundNumber}, Refund: KES ${Math.abs(refund.total).toLocaleString()}`,
+      { transactionId: refund.id, depositRefundNumber: refund.depositRefundNumber, deposits: refund.deposits, refundMethod },
+      currentUser
+    ).catch(error => console.error('Error logging empties return:', error))
+    toast.success('Deposit refunded', {
+      description: `${refund.depositRefundNumber}: pay out KES ${Math.abs(refund.total).toLocaleString()} via ${getTenderLabel(refundMethod)}`
+    })
+  }
+
+  // A voucher is paid for like a sale but holds the money for whoever spends it; see utils/vouchers
+  const handleSellVoucher = async ({ value, recipientName, validityMonths, method, reference }) => {
+    if (!shift) throw new Error('Open a shift before selling vouchers')
+    if (method === TENDER_TYPES.MPESA && !reference) throw new Error('Enter the M-Pesa transaction code')
+
+    const adminId = getAdminIdForStorage(currentUser)
+    const sharedData = await readSharedData(adminId)
+    const { voucher, transaction } = buildVoucherSale({
+      code: generateVoucherCode(sharedData.vouchers || []),
+      value,
+      expiresAt: getVoucherExpiry(validityMonths),
+      method,
+      reference,
+      recipientName,
+      customer: selectedCustomer,
+      user: currentUser,
+      branchId: currentUser?.branchId,
+      shiftId: shift.id,
+      terminalId: getTerminalId()
+    })
+
+    // Added to the full lists: desktop and offline storage save exactly the object they're given
+    await writeSharedData({
+      ...sharedData,
+      transactions: [...(sharedData.transactions || []), transaction],
+      vouchers: [...(sharedData.vouchers || []), voucher]
+    }, adminId, {
+      writeOnlyStores: ['transactions', 'vouchers']
+    })
+    setTransactions(prev => [...prev, transaction])
+
+    logActivity(
+      ACTIVITY_TYPES.VOUCHER_SOLD,
+      `Gift voucher sold: ${voucher.code}, KES ${voucher.initialValue.toLocaleString()} via ${getTenderLabel(method)}`,
+      { transactionId: transaction.id, voucherId: voucher.id, code: voucher.code, amount: voucher.initialValue, method },
+      currentUser
+    ).catch(error => console.error('Error logging voucher sale:', error))
+    toast.success('Voucher sold', { description: `${voucher.code}: take KES ${voucher.initialValue.toLocaleString()} via ${getTenderLabel(method)}` })
+    return voucher
+  }
+
+  const handleLookupVoucher = async (code) => {
+    return findVoucher(await getVouchers(getAdminIdForStorage(currentUser)), code)
+  }
+
+  const handleShowTabs = async () => {
+    setShowTabsModal(true)
+    loadTabs()
+    try {
+      const adminId = getAdminIdForStorage(currentUser)
+      const users = await getAllUsers(adminId)
+      setTabStaff(users.filter(user => user.branchId === currentUser?.branchId && ['cashier', 'manager'].includes(user.role)))
+    } catch (error) {
+      console.error('Error loading staff for tab transfers:', error)
+    }
+  }
+
+  // A new tab takes the current cart with it, so a round can be rung up first and then named
+  const handleOpenTab = async (name) => {
+    const adminId = getAdminIdForStorage(currentUser)
+    const lines = tabSettlement || quoteConversion ? [] : cart
+    const tab = await openTab({ adminId, name, user: currentUser, customer: selectedCustomer, lines })
+    if (lines.length > 0) {
+      setCart([])
+      setDiscount(0)
+      setSelectedCustomer(null)
+    }
+    await loadTabs()
+    logActivity(ACTIVITY_TYPES.TAB_OPENED, `Tab opened: ${tab.name}`, { tabId: tab.id, branchId: tab.branchId }, currentUser)
+      .catch(error => console.error('Error logging tab:', error))
+    toast.success(`Tab "${tab.name}" opened`)
+  }
+
+  const handleAddCartToTab = async (tab) => {
+    const updated = await addToTab({ adminId: getAdminIdForStorage(currentUser), tabId: tab.id, lines: cart, user: currentUser })
+    setCart([])
+    setDiscount(0)
+    setSelectedCustomer(null)
+    await loadTabs()
+    toast.success(`Added to "${updated.name}"`)
+  }
+
+  const handleTransferTab = async (tab, toUser) => {
+    const updated = await transferTab({ adminId: getAdminIdForStorage(currentUser), tabId: tab.id, toUser, user: currentUser })
+    await loadTabs()
+    logActivity(
+      ACTIVITY_TYPES.TAB_TRANSFERRED,
+      `Tab "${updated.name}" handed from ${tab.cashierName} to ${updated.cashierName}`,
+      { tabId: tab.id, fromId: tab.cashierId, toId: updated.cashierId },
+      currentUser
+    ).catch(error => console.error('Error logging tab transfer:', error))
+    toast.success(`"${updated.name}" is now ${updated.cashierName}'s tab`)
+  }
+
+  // Settling loads the chosen lines into the cart; the tab only changes once the sale is saved
+  const handleSettleTab = async (tab, selection, guests) => {
+    if (cart.length > 0) throw new Error('Finish or hold the current sale first')
+    const { selected } = splitTabItems(tab.items, selection)
+    if (selected.length === 0) throw new Error('Choose something to pay for')
+
+    setCart(selected)
+    setDiscount(0)
+    setSelectedCustomer(tab.customer || null)
+    setTabSettlement({ tabId: tab.id, tabName: tab.name, selection, guests })
+    setShowTabsModal(false)
+    if (guests > 1 && shift) setShowSplitModal(true)
+  }
+
+  const handleCloseEmptyTab = async (tab) => {
+    await closeEmptyTab({ adminId: getAdminIdForStorage(currentUser), tabId: tab.id, user: currentUser })
+    await loadTabs()
+    toast.info(`Tab "${tab.name}" closed`)
+  }
+
+  const loadQuotes = async () => {
+    if (!currentUser?.id) return
+    try {
+      setQuotes(await getQuotes(getAdminIdForStorage(currentUser), currentUser.branchId))
+    } catch (error) {
+      console.error('Error loading quotes:', error)
+    }
+  }
+
+  const handleShowQuotes = () => {
+    setShowQuotesModal(true)
+    loadQuotes()
+  }
+
+  // Quoting takes the cart out of the till; nothing is sold or taken from stock
+  const handleCreateQuote = async ({ customer, validUntil, notes }) => {
+    if (tabSettlement) throw new Error(`These items are still on "${tabSettlement.tabName}"`)
+    const quote = await createQuote({
+      adminId: getAdminIdForStorage(currentUser),
+      cart,
+      discount,
+      customer,
+      validUntil,
+      notes,
+      user: currentUser
+    })
+    setCart([])
+    setDiscount(0)
+    setSelectedCustomer(null)
+    await loadQuotes()
+    toast.success(`Quote ${quote.quoteNumber} saved`, {
+      description: `${quote.customer.name} · KES ${quote.total.toLocaleString()} · valid until ${quote.validUntil}`
+    })
+    return quote
+  }
+
+  const handleSetQuoteStatus = async (quote, status) => {
+    const updated = await setQuoteStatus({ adminId: getAdminIdForStorage(currentUser), quoteId: quote.id, status, user: currentUser })
+    await loadQuotes()
+    toast.info(`${updated.quoteNumber} marked ${status}`)
+  }
+
+  // Converting loads the quote into the cart at the quoted prices; stock is checked now, not when it was quoted
+  const handleConvertQuote = async (quote) => {
+    if (cart.length > 0) throw new Error('Finish or hold the current sale first')
+    const problem = validateQuoteConversion(quote, inventory)
+    if (problem) throw new Error(problem)
+
+    setCart(quote.items.map(item => ({ ...item })))
+    setDiscount(quote.discount || 0)
+    setSelectedCustomer(customers.find(c => quote.customer?.id != null && c.id === quote.customer.id) || null)
+    setQuoteConversion({ quoteId: quote.id, quoteNumber: quote.quoteNumber })
+    setShowQuotesModal(false)
+    toast.info(`${quote.quoteNumber} loaded`, {
+      description: "Take payment, or use Credit to put it on the customer's account."
+    })
+  }
+
+  const handleDownloadQuote = (quote) => {
+    downloadQuotePDF(quote, { branchName })
+  }
+
+  // A "3*" quantity, typed on the till or in the search box, applies to the next product added
+  const handleAddProduct = (product, quantityToAdd = 1, pack = null) => {
+    addToCart(product, searchQuantity || pendingQuantity || quantityToAdd || 1, pack)
+    setPendingQuantity(null)
+    if (searchQuantity) setSearchTerm(searchText)
+  }
+
+  const handlePaletteAddProduct = (product, quantity, pack) => {
+    addToCart(product, quantity || pendingQuantity || 1, pack)
+    setPendingQuantity(null)
+  }
+
+  const handleSaveHotkeys = async (bindings) => {
+    const overrides = await saveUserHotkeys(getAdminIdForStorage(currentUser), currentUser.id, bindings)
+    setHotkeyOverrides(overrides)
+    setShowHotkeySettings(false)
+    toast.success('Keyboard shortcuts saved')
+  }
+
+  const paletteCommands = [
+    { id: 'pay_cash', icon: '💵', label: 'Pay cash', disabled: cart.length === 0 },
+    { id: 'pay_mpesa', icon: '📱', label: 'Pay M-Pesa', disabled: cart.length === 0 },
+    { id: 'pay_split', icon: '🔀', label: 'Split payment', disabled: cart.length === 0 },
+    { id: 'pay_credit', icon: '📒', label: 'Credit sale', disabled: cart.length === 0 },
+    { id: 'hold', icon: '⏸️', label: 'Hold sale', disabled: cart.length === 0 },
+    { id: 'recall', icon: '▶️', label: 'Recall held sale' },
+    { id: 'discount', icon: '🏷️', label: 'Discount', disabled: cart.length === 0 },
+    { id: 'customer', icon: '👤', label: 'Customer on sale' },
+    { id: 'search', icon: '🔍', label: 'Search products' },
+    { id: 'tabs', icon: '🍷', label: 'Open tabs' },
+    { id: 'quotes', icon: '📄', label: 'Quotes' },
+    { id: 'vouchers', icon: '🎁', label: 'Gift vouchers' },
+    { id: 'empties', icon: '♻️', label: 'Refund empties' },
+    { id: 'clear_cart', icon: '🗑️', label: 'Clear cart', disabled: cart.length === 0 },
+    { id: 'hotkeys', icon: '⌨️', label: 'Keyboard shortcuts' }
+  ]
+
+  const runPosAction = (action) => {
+    const needsCart = ['pay_cash', 'pay_mpesa', 'pay_split', 'pay_credit', 'hold', 'discount', 'clear_cart']
+    if (needsCart.includes(action) && cart.length === 0) {
+      toast.info('The cart is empty')
+      return
+    }
+    switch (action) {
+      case 'palette': setPaletteMode('all'); break
+      case 'search': searchInputRef.current?.focus(); searchInputRef.current?.select(); break
+      case 'customer': setShowCustomerModal(true); break
+      case 'pay_cash': handleCheckout('cash'); break
+      case 'pay_mpesa': handleCheckout('mpesa'); break
+      case 'pay_split': handleCheckout('split'); break
+      case 'pay_credit': handleCheckout('credit'); break
+      case 'hold': handleHoldSale(''); break
+      case 'recall':
+        loadHeldSales()
+        setShowHeldSalesModal(true)
+        break
+      case 'discount': setPaletteMode('discount'); break
+      case 'clear_cart': clearCart(); break
+      case 'tabs': handleShowTabs(); break
+      case 'quotes': handleShowQuotes(); break
+      case 'vouchers': setShowVouchersModal(true); break
+      case 'empties': setShowEmptiesModal(true); break
+      case 'hotkeys': setShowHotkeySettings(true); break
+      default: break
+    }
+  }
+
+  const isModalOpen = showMPesaModal || showCashModal || showReceiptModal || showCreditSaleModal || showSplitModal ||
+    showHeldSalesModal || showEmptiesModal || showTabsModal || showVouchersModal || showCustomerModal || showQuotesModal ||
+    showAgeModal || showHotkeySettings || !!paletteMode || !!priceOverrideItem
+
+  // Reassigned every render so the listener below always sees the current cart and modals
+  hotkeyHandlerRef.current = (e) => {
+    const hotkey = getEventHotkey(e)
+    const action = findHotkeyAction(hotkey, hotkeyBindings)
+    if (!action || isModalOpen) return
+    // In a text box only function keys and Ctrl/Alt combinations count, so typing isn't hijacked
+    const target = e.target
+    const isTyping = target?.tagName === 'TEXTAREA' || target?.tagName === 'SELECT' || (target?.tagName === 'INPUT' && target.type !== 'checkbox')
+    if (isTyping && !/^F\d{1,2}$/.test(hotkey) && !e.ctrlKey && !e.metaKey && !e.altKey) return
+    e.preventDefault()
+    runPosAction(action)
+  }
+
+  useEffect(() => {
+    const handleHotkey = (e) => hotkeyHandlerRef.current?.(e)
+    window.addEventListener('keydown', handleHotkey)
+    return () => window.removeEventListener('keydown', handleHotkey)
+  }, [])
+
   const handlePrintReceipt = () => {
     window.print()
   }
 
   const handleNewSale = () => {
     setCart([])
+    setTabSettlement(null)
+    setQuoteConversion(null)
+    setCashTendered("")
     setPaymentMethod(null)
+    setCompletedPayments([])
     setShowReceiptModal(false)
     setDiscount(0)
     setSelectedCustomer(null)
   }
 
+  // Lines already in the cart follow the new customer's pricing; manual price overrides are kept
+  const repriceCart = (rate) => {
+    setCart(cart.map(item => (
+      item.priceOverride || item.listPrice == null
+        ? item
+        : { ...item, price: rate > 0 ? item.listPrice * (1 - rate / 100) : item.listPrice }
+    )))
+  }
+
+  const handleAttachCustomer = async (customer) => {
+    const loaded = await loadCustomerTier(customer)
+    setCustomerTier(loaded)
+    setSelectedCustomer(customer)
+    repriceCart(getCustomerDiscountRate(customer, loaded?.tier))
+    setShowCustomerModal(false)
+    if (loaded?.tier) {
+      toast.success(`${customer.name} is ${loaded.tier.name}`, {
+        description: `${loaded.tier.discountRate}% tier pricing applied`
+      })
+    }
+  }
+
+  const handleDetachCustomer = () => {
+    setSelectedCustomer(null)
+    repriceCart(0)
+    setShowCustomerModal(false)
+  }
+
   const handleCreditCustomerSelect = async (customer) => {
     setSelectedCustomer(customer)
     setShowCreditSaleModal(false)
@@ -736,8 +1802,9 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
   }
 
   const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0)
-  const discountAmount = (subtotal * discount) / 100
-  const total = subtotal - discountAmount
+  const promotionDiscount = promotionEvaluation.totalDiscount
+  const discountAmount = ((subtotal - promotionDiscount) * discount) / 100
+  const total = subtotal - promotionDiscount - discountAmount + depositTotal
 
   return (
     <div className="flex flex-col h-full bg-background">
@@ -745,6 +1812,9 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         title="Point of Sale" 
         subtitle="Process transactions efficiently"
         actions={[
+          !shiftLoading && (
+            <ShiftControls key="shift" currentUser={currentUser} shift={shift} onShiftChange={setShift} />
+          ),
           <div key="view-toggle" className="hidden sm:flex items-center bg-muted/50 rounded-xl p-1 ring-1 ring-border/50 shadow-inner">
             <button
               onClick={() => setViewMode("table")}
@@ -767,6 +1837,69 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
               🔲 Grid
             </button>
           </div>,
+          <button
+            key="tabs"
+            onClick={handleShowTabs}
+            title="Open tabs"
+            className="relative px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            🍷 <span className="hidden lg:inline ml-1">Tabs</span>
+            {tabs.length > 0 && (
+              <span className="absolute -top-2 -right-2 bg-purple-700 text-white text-xs font-black rounded-full w-5 h-5 flex items-center justify-center">
+                {tabs.length}
+              </span>
+            )}
+          </button>,
+          <button
+            key="quotes"
+            onClick={handleShowQuotes}
+            title="Quotations and proforma invoices"
+            className="px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            📄 <span className="hidden lg:inline ml-1">Quotes</span>
+          </button>,
+          <button
+            key="customer"
+            onClick={() => setShowCustomerModal(true)}
+            title="Put a customer on this sale"
+            className={`px-3 sm:px-4 py-2 rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base ${
+              selectedCustomer ? "bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300" : "bg-muted hover:bg-muted/70 text-foreground"
+            }`}
+          >
+            👤 <span className="hidden lg:inline ml-1">{selectedCustomer ? selectedCustomer.name : "Customer"}</span>
+          </button>,
+          <button
+            key="vouchers"
+            onClick={() => setShowVouchersModal(true)}
+            title="Sell or check gift vouchers"
+            className="px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            🎁 <span className="hidden lg:inline ml-1">Vouchers</span>
+          </button>,
+          <button
+            key="empties"
+            onClick={() => setShowEmptiesModal(true)}
+            title="Refund deposits on returned empties"
+            className="px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            ♻️ <span className="hidden lg:inline ml-1">Empties</span>
+          </button>,
+          <button
+            key="keyboard"
+            onClick={() => setPaletteMode('all')}
+            title={`Command palette${hotkeyBindings.palette ? ` (${hotkeyBindings.palette})` : ""}`}
+            className="hidden md:inline-flex px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            ⌨️ <span className="hidden lg:inline ml-1">Commands</span>
+          </button>,
+          <button
+            key="customer-display"
+            onClick={openCustomerDisplayWindow}
+            title="Open the customer-facing display in a new window"
+            className="hidden md:inline-flex px-3 sm:px-4 py-2 bg-muted hover:bg-muted/70 text-foreground rounded-lg font-semibold transition-colors touch-manipulation text-sm sm:text-base"
+          >
+            🖥️ <span className="hidden lg:inline ml-1">Customer Display</span>
+          </button>,
           <button
             key="clear"
             onClick={clearCart}
@@ -786,10 +1919,50 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
             <div className="bg-green-50 dark:bg-green-950/20 border border-green-200 dark:border-green-800 rounded-lg px-3 py-2 flex items-center gap-2">
               <span className="text-lg">📦</span>
               <span className="text-xs text-green-700 dark:text-green-300">
-                <strong>Barcode Scanner Ready:</strong> Just scan any product - it will be added to cart automatically!
+                <strong>Barcode Scanner Ready:</strong> Just scan any product - it will be added to cart automatically! Type 3* first to scan three{hotkeyBindings.palette ? `, or press ${hotkeyBindings.palette} for the command palette` : ""}.
               </span>
             </div>
             
+            {tabSettlement && (
+              <div className="bg-purple-50 dark:bg-purple-950/30 border-2 border-purple-400 dark:border-purple-700 rounded-lg px-4 py-2 flex items-center gap-3">
+                <span className="text-xl">🍷</span>
+                <div className="flex-1 text-sm text-purple-800 dark:text-purple-200">
+                  <strong>Settling tab &quot;{tabSettlement.tabName}&quot;</strong>
+                  {tabSettlement.guests > 1 && ` · split between ${tabSettlement.guests} guests`}
+                </div>
+                <button
+                  onClick={() => {
+                    setCart([])
+                    setSelectedCustomer(null)
+                    setTabSettlement(null)
+                  }}
+                  className="text-xs font-semibold text-purple-800 dark:text-purple-200 hover:underline"
+                >
+                  Leave on tab
+                </button>
+              </div>
+            )}
+
+            {quoteConversion && (
+              <div className="bg-slate-50 dark:bg-slate-900/40 border-2 border-slate-400 dark:border-slate-600 rounded-lg px-4 py-2 flex items-center gap-3">
+                <span className="text-xl">📄</span>
+                <div className="flex-1 text-sm text-slate-800 dark:text-slate-200">
+                  <strong>Selling quote {quoteConversion.quoteNumber}</strong> at the quoted prices
+                </div>
+                <button
+                  onClick={() => {
+                    setCart([])
+                    setDiscount(0)
+                    setSelectedCustomer(null)
+                    setQuoteConversion(null)
+                  }}
+                  className="text-xs font-semibold text-slate-800 dark:text-slate-200 hover:underline"
+                >
+                  Back to quotes
+                </button>
+              </div>
+            )}
+
             {/* Barcode Scanner Indicator */}
             {barcodeBuffer.length > 0 && (
               <div className="bg-blue-50 dark:bg-blue-950/30 border-2 border-blue-400 dark:border-blue-600 rounded-lg px-4 py-2 flex items-center gap-3 animate-pulse">
@@ -800,11 +1973,29 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
                 </div>
               </div>
             )}
+
+            {(pendingQuantity || searchQuantity) && (
+              <div className="bg-amber-50 dark:bg-amber-950/30 border-2 border-amber-400 dark:border-amber-600 rounded-lg px-4 py-2 flex items-center gap-3">
+                <span className="text-2xl font-black text-amber-700 dark:text-amber-300">{pendingQuantity || searchQuantity} ×</span>
+                <div className="flex-1 text-sm font-semibold text-amber-800 dark:text-amber-200">
+                  The next product scanned or picked goes in at this quantity
+                </div>
+                {pendingQuantity && (
+                  <button
+                    onClick={() => setPendingQuantity(null)}
+                    className="text-xs font-semibold text-amber-800 dark:text-amber-200 hover:underline"
+                  >
+                    Cancel (Esc)
+                  </button>
+                )}
+              </div>
+            )}
             
             <div className="flex gap-2 sm:gap-3">
               <input
+                ref={searchInputRef}
                 type="text"
-                placeholder="🔍 Search products or scan barcode..."
+                placeholder={`🔍 Search products or scan barcode... (${hotkeyBindings.search || "3*name adds three"})`}
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="flex-1 px-3 sm:px-4 py-2 sm:py-3 border-2 border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary bg-card text-foreground text-sm sm:text-base"
@@ -835,10 +2026,10 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
                   ))}
                 </select>
               </div>
-              {selectedCustomer?.specialPricing && (
+              {customerDiscountRate > 0 && (
                 <div className="flex items-center bg-green-50 dark:bg-green-950/30 border-2 border-green-200 dark:border-green-800 rounded-lg px-3 sm:px-4 py-2">
                   <span className="text-xs sm:text-sm font-semibold text-green-700 dark:text-green-300">
-                    💰 {selectedCustomer.discountRate}% Special Pricing Active
+                    💰 {customerDiscountRate}% {activeTier && activeTier.discountRate === customerDiscountRate ? `${activeTier.name} Tier` : "Special"} Pricing Active
                   </span>
                 </div>
               )}
@@ -874,15 +2065,15 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
               {viewMode === "table" ? (
                 <ProductTable 
                   products={paginatedProducts} 
-                  onAddProduct={addToCart} 
+                  onAddProduct={handleAddProduct} 
                   cart={cart}
-                  selectedCustomer={selectedCustomer}
+                  customerDiscountRate={customerDiscountRate}
                   branchId={currentUser?.branchId}
                 />
               ) : (
                 <ProductGrid 
                   products={paginatedProducts} 
-                  onAddProduct={addToCart} 
+                  onAddProduct={handleAddProduct} 
                   cart={cart}
                   branchId={currentUser?.branchId}
                 />
@@ -907,41 +2098,197 @@ export default function PosPage({ inventory: initialInventory = [], onInventoryC
         {/* Cart Section */}
         <div className="w-full lg:w-96 flex-shrink-0 order-1 lg:order-2">
           <CartPanel
-            items={cart}
+            items={pricedCart}
+            promotions={promotionEvaluation.applied}
+            deposits={depositLines}
             subtotal={subtotal}
             discount={discount}
             onDiscountChange={setDiscount}
             total={total}
             onRemoveItem={removeFromCart}
             onUpdateQuantity={updateQuantity}
-            onUpdatePrice={updatePrice}
+            onEditPrice={setPriceOverrideItem}
             onCheckout={handleCheckout}
             selectedCustomer={selectedCustomer}
+            heldCount={heldSales.length}
+            onOpenHeldSales={() => {
+              loadHeldSales()
+              setShowHeldSalesModal(true)
+            }}
           />
         </div>
       </div>
 
+      {priceOverrideItem && (
+        <PriceOverrideModal
+          item={priceOverrideItem}
+          currentUser={currentUser}
+          thresholds={getTerminalSettings().priceOverrides}
+          onApply={(newPrice, override) => updatePrice(priceOverrideItem.id, newPrice, override)}
+          onRemove={() => updatePrice(priceOverrideItem.id, priceOverrideItem.priceOverride.originalPrice)}
+          onClose={() => setPriceOverrideItem(null)}
+        />
+      )}
+
       {showMPesaModal && (
-        <MPesaModal total={total} onClose={() => setShowMPesaModal(false)} onComplete={handleCompletePayment} />
+        <MPesaModal
+          total={total}
+          customerPhone={selectedCustomer?.phone || ""}
+          onClose={() => setShowMPesaModal(false)}
+          onComplete={(mpesa) => handleCompletePayment(TENDER_TYPES.MPESA, selectedCustomer, [{
+            method: TENDER_TYPES.MPESA,
+            amount: total,
+            reference: mpesa.receiptNumber,
+            phone: mpesa.phone,
+            checkoutRequestId: mpesa.checkoutRequestId,
+            // STK Push charges whole shillings, so this can be slightly above the sale total
+            ...(mpesa.amount !== total ? { amountCharged: mpesa.amount } : {})
+          }])}
+        />
       )}
 
       {showCashModal && (
-        <CashPaymentModal total={total} onClose={() => setShowCashModal(false)} onComplete={handleCompletePayment} />
+        <CashPaymentModal total={total} onClose={() => setShowCashModal(false)} onComplete={handleCompletePayment} onAmountChange={setCashTendered} />
+      )}
+
+      {showSplitModal && (
+        <SplitTenderModal
+          total={total}
+          selectedCustomer={selectedCustomer}
+          guests={tabSettlement?.guests || 1}
+          loyaltySettings={loyaltySettings}
+          onLookupVoucher={handleLookupVoucher}
+          onClose={() => setShowSplitModal(false)}
+          onComplete={(tenderLines) => handleCompletePayment(null, selectedCustomer, tenderLines)}
+        />
+      )}
+
+      {showHeldSalesModal && (
+        <HeldSalesModal
+          heldSales={heldSales}
+          cartItemCount={cart.reduce((sum, item) => sum + item.quantity, 0)}
+          defaultName={selectedCustomer?.name || ""}
+          expiryHours={heldSaleExpiryHours}
+          onExpiryHoursChange={handleHeldSaleExpiryChange}
+          onHold={handleHoldSale}
+          onRecall={handleRecallSale}
+          onDiscard={handleDiscardHeldSale}
+          onClose={() => setShowHeldSalesModal(false)}
+        />
       )}
 
       {showReceiptModal && (
         <ReceiptModal
-          items={cart}
+          items={pricedCart}
+          promotions={promotionEvaluation.applied}
+          deposits={depositLines}
           subtotal={subtotal}
           discount={discount}
           total={total}
           paymentMethod={paymentMethod}
+          payments={completedPayments}
+          receiptNumber={completedReceiptNumber}
+          fiscal={completedFiscal}
           currentUser={currentUser}
           onClose={() => setShowReceiptModal(false)}
           onNewSale={handleNewSale}
         />
       )}
 
+      {showTabsModal && (
+        <TabsModal
+          tabs={tabs}
+          staff={tabStaff}
+          currentUser={currentUser}
+          cartItemCount={cart.reduce((sum, item) => sum + item.quantity, 0)}
+          isSettling={!!tabSettlement || !!quoteConversion}
+          onOpenTab={handleOpenTab}
+          onAddCart={handleAddCartToTab}
+          onTransfer={handleTransferTab}
+          onSettle={handleSettleTab}
+          onCloseTab={handleCloseEmptyTab}
+          onClose={() => setShowTabsModal(false)}
+        />
+      )}
+
+      {showVouchersModal && (
+        <VouchersModal
+          onSell={handleSellVoucher}
+          onLookup={handleLookupVoucher}
+          onClose={() => setShowVouchersModal(false)}
+        />
+      )}
+
+      {showCustomerModal && (
+        <CustomerLookupModal
+          customers={customers}
+          selectedCustomer={selectedCustomer}
+          loyaltySettings={loyaltySettings}
+          onSelect={handleAttachCustomer}
+          onClear={handleDetachCustomer}
+          onClose={() => setShowCustomerModal(false)}
+        />
+      )}
+
+      {paletteMode && (
+        <CommandPalette
+          mode={paletteMode}
+          products={inventory.filter(p => !p.deletedAt && !isDepositItem(p))}
+          commands={paletteCommands}
+          bindings={hotkeyBindings}
+          discount={discount}
+          pendingQuantity={pendingQuantity}
+          onAddProduct={handlePaletteAddProduct}
+          onSetQuantity={setPendingQuantity}
+          onApplyDiscount={setDiscount}
+          onRunCommand={runPosAction}
+          onClose={() => setPaletteMode(null)}
+        />
+      )}
+
+      {showHotkeySettings && (
+        <HotkeySettingsModal
+          bindings={hotkeyBindings}
+          onSave={handleSaveHotkeys}
+          onClose={() => setShowHotkeySettings(false)}
+        />
+      )}
+
+      {showQuotesModal && (
+        <QuotesModal
+          quotes={quotes}
+          customers={customers}
+          selectedCustomer={selectedCustomer}
+          cartItemCount={cart.reduce((sum, item) => sum + item.quantity, 0)}
+          isConverting={!!quoteConversion}
+          onCreate={handleCreateQuote}
+          onSetStatus={handleSetQuoteStatus}
+          onConvert={handleConvertQuote}
+          onDownload={handleDownloadQuote}
+          onClose={() => setShowQuotesModal(false)}
+        />
+      )}
+
+      <AgeVerificationModal
+        isOpen={showAgeModal}
+        currentUser={currentUser}
+        onConfirm={handleAgeVerified}
+        onRefuse={handleAgeRefused}
+        onCancel={() => {
+          setShowAgeModal(false)
+          setPendingPaymentMethod(null)
+          setPendingCustomer(null)
+        }}
+      />
+
+      {showEmptiesModal && (
+        <EmptiesReturnModal
+          depositItems={inventory.filter(p => isDepositItem(p) && !p.deletedAt)}
+          onSave={handleEmptiesReturn}
+          onClose={() => setShowEmptiesModal(false)}
+        />
+      )}
+
       {showCreditSaleModal && (
         <CreditSaleModal
           customers={customers}
@@ -7,6 +7,10 @@ import { subscribeToPurchaseOrders } from "../services/realtimeExtraListeners"
 import { subscribeToSuppliers, subscribeToInventory } from "../services/realtimeListeners"
 import { createUserSnapshot } from "../utils/userTracking"
 import { readSharedData, writeSharedData } from "../utils/storage"
+import { getPackUnits, findPackUnit, getPackCost, getBaseUnitName, getLineBaseQuantity } from "../utils/unitsOfMeasure"
+import { getNextInternalBarcode } from "../utils/barcodes"
+import { normalizeCostingSettings, receiveCost } from "../utils/costing"
+import { MOVEMENT_REASONS, getInventoryMovements } from "../utils/stockMovements"
 
 const PO_STATUSES = ["draft", "ordered", "partially_received", "received", "cancelled"]
 const STATUS_LABELS = {
@@ -169,19 +173,24 @@ export default function PurchaseOrdersPage({ currentUser, onInventoryChange }) {
         const adminId = getAdminIdForStorage(currentUser)
         const sharedData = await readSharedData(adminId)
         const updatedInventory = [...(sharedData.inventory || [])]
+        const costing = { method: normalizeCostingSettings(sharedData.settings?.costing).method, reference: po.poNumber }
 
         // Update inventory for all items in the PO
         po.items.forEach(item => {
           const inventoryIndex = updatedInventory.findIndex(p => p.id === item.productId)
           if (inventoryIndex !== -1) {
-            // Update existing product quantity
-            updatedInventory[inventoryIndex].quantity += item.quantity
+            // Update existing product quantity (cases ordered arrive as the bottles in them) and
+            // its cost, at the ordered price per bottle
+            const product = updatedInventory[inventoryIndex]
+            const received = getLineBaseQuantity(item)
+            updatedInventory[inventoryIndex] = {
+              ...receiveCost(product, received, item.unitPrice / (Number(item.unitFactor) || 1), costing),
+              quantity: (product.quantity || 0) + received
+            }
           } else if (item.isNewProduct) {
             // Add new product to inventory
             const maxId = Math.max(...updatedInventory.map(p => p.id), 0)
-            const barcodeTimestamp = Date.now().toString().slice(-8)
-            const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0')
-            const generatedBarcode = `${barcodeTimestamp}${random}`
+            const generatedBarcode = getNextInternalBarcode(updatedInventory)
             
             updatedInventory.push({
               id: maxId + 1,
@@ -219,7 +228,15 @@ export default function PurchaseOrdersPage({ currentUser, onInventoryChange }) {
         const dataToSave = {
           ...sharedData,
           inventory: updatedInventory,
-          purchaseOrders: updatedPOs
+          purchaseOrders: updatedPOs,
+          stockMovements: [
+            ...(sharedData.stockMovements || []),
+            ...getInventoryMovements(sharedData.inventory, updatedInventory, {
+              reason: MOVEMENT_REASONS.GOODS_RECEIVED,
+              source: { type: 'purchase_order', id: po.id, number: po.poNumber },
+              user: currentUser
+            })
+          ]
         }
         console.log(`💾 Saving data with ${dataToSave.purchaseOrders.length} POs and ${dataToSave.inventory.length} inventory items`)
         
@@ -460,6 +477,7 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
   })
 
   const [selectedProduct, setSelectedProduct] = useState("")
+  const [selectedUnit, setSelectedUnit] = useState("")
   const [quantity, setQuantity] = useState("")
   const [unitPrice, setUnitPrice] = useState("")
   const [showAddProductForm, setShowAddProductForm] = useState(false)
@@ -474,6 +492,7 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
   // Auto-populate unit price from product's cost price when selecting
   const handleProductSelect = (productId) => {
     setSelectedProduct(productId)
+    setSelectedUnit("")
     if (productId) {
       const product = inventory.find(p => p.id === parseInt(productId))
       if (product) {
@@ -486,6 +505,16 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
     }
   }
 
+  // Ordering by the case prices the line per case
+  const handleUnitSelect = (unitId) => {
+    setSelectedUnit(unitId)
+    const product = inventory.find(p => p.id === parseInt(selectedProduct))
+    if (!product) return
+    const pack = findPackUnit(product, unitId)
+    const cost = pack ? getPackCost(product, pack) : (product.costPrice || product.price || 0)
+    setUnitPrice(cost > 0 ? cost.toString() : "")
+  }
+
   const handleAddItem = () => {
     if (!selectedProduct || !quantity || !unitPrice) {
       alert("Please select a product, enter quantity, and unit price")
@@ -494,13 +523,15 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
 
     const product = inventory.find(p => p.id === parseInt(selectedProduct))
     if (!product) return
+    const pack = findPackUnit(product, selectedUnit)
 
     const newItem = {
       productId: product.id,
       productName: product.name,
       sku: product.sku,
       quantity: parseInt(quantity),
-      unitPrice: parseFloat(unitPrice)
+      unitPrice: parseFloat(unitPrice),
+      ...(pack ? { unitId: pack.id, unitName: pack.name, unitFactor: Number(pack.factor) } : {})
     }
 
     setFormData({
@@ -509,6 +540,7 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
     })
 
     setSelectedProduct("")
+    setSelectedUnit("")
     setQuantity("")
     setUnitPrice("")
   }
@@ -693,7 +725,7 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
             {!showAddProductForm ? (
               <>
                 {/* Existing Product Selection */}
-                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3">
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-3">
                   <div className="md:col-span-2">
                     <label className="block text-sm font-semibold text-foreground mb-2">
                       Select Existing Product
@@ -712,6 +744,28 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
                     </select>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-semibold text-foreground mb-2">
+                      Order In
+                    </label>
+                    {(() => {
+                      const product = inventory.find(p => p.id === parseInt(selectedProduct))
+                      return (
+                        <select
+                          value={selectedUnit}
+                          onChange={(e) => handleUnitSelect(e.target.value)}
+                          disabled={!product}
+                          className="w-full px-4 py-2 border border-border rounded-lg bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50"
+                        >
+                          <option value="">{product ? getBaseUnitName(product) : "Unit"}</option>
+                          {getPackUnits(product).map(pack => (
+                            <option key={pack.id} value={pack.id}>{pack.name} ({pack.factor})</option>
+                          ))}
+                        </select>
+                      )
+                    })()}
+                  </div>
+
                   <div>
                     <label className="block text-sm font-semibold text-foreground mb-2">
                       Quantity
@@ -903,7 +957,7 @@ function CreatePOModal({ suppliers, inventory, currentUser, onClose, onCreate, o
                         )}
                       </p>
                       <p className="text-sm text-muted-foreground">
-                        SKU: {item.sku} • {item.quantity} × KES {item.unitPrice.toFixed(2)} = KES {(item.quantity * item.unitPrice).toFixed(2)}
+                        SKU: {item.sku} • {item.quantity}{item.unitName ? ` ${item.unitName}` : ""} × KES {item.unitPrice.toFixed(2)} = KES {(item.quantity * item.unitPrice).toFixed(2)}
                       </p>
                     </div>
                     <button
@@ -1187,7 +1241,7 @@ function PODetailsModal({ po, supplier, onClose, onUpdateStatus }) {
                   </div>
                   <div className="text-right">
                     <p className="font-semibold text-foreground">
-                      {item.quantity} × KES {item.unitPrice.toFixed(2)}
+                      {item.quantity}{item.unitName ? ` ${item.unitName}` : ""} × KES {item.unitPrice.toFixed(2)}
                     </p>
                     <p className="text-sm text-muted-foreground">
                       KES {(item.quantity * item.unitPrice).toFixed(2)}
@@ -7,12 +7,23 @@ import ReportsFilters from "../components/ReportsFilters"
 import SparklineKpiCard from "../components/SparklineKpiCard"
 import { getAdminIdForStorage } from "../utils/auth"
 import { getTimestampMs } from "../utils/dateUtils"
-import { subscribeToTransactions, subscribeToInventory } from "../services/realtimeListeners"
+import { subscribeToTransactions, subscribeToInventory, subscribeToCustomers } from "../services/realtimeListeners"
+import { subscribeToVouchers } from "../services/realtimeExtraListeners"
 import { convertToCSV, downloadCSV } from "../utils/csvExport"
+import { getTransactionPayments, getTenderAmount, getTenderLabel, transactionUsesTender } from "../utils/tenders"
+import { isCreditNote } from "../utils/returns"
+import { getPromotionPerformance, PROMOTION_TYPE_LABELS } from "../utils/promotions"
+import { getOverridesReport } from "../utils/priceOverrides"
+import { getAgeVerificationLog, LEGAL_DRINKING_AGE } from "../utils/ageVerification"
+import { isDepositRefund, getTransactionDepositAmount, getDepositLiability } from "../utils/deposits"
+import { isVoucherSale, getVoucherLiability } from "../utils/vouchers"
+import { getStoreCreditLiability } from "../utils/storeCredit"
+import { COSTING_METHOD_LABELS, DEFAULT_COSTING_SETTINGS, getCostingSettings, getGrossProfit, getInventoryValuation } from "../utils/costing"
 
 // Load chart (recharts) only on client to avoid ChunkLoadError with Turbopack
 const ReportsChart = dynamic(() => import("../components/ReportsChart"), { ssr: false })
 import BranchSelector from "../components/BranchSelector"
+import { getAllBranches } from "../services/branchService"
 
 // Build 24h hourly buckets for sparklines (last 24 hours)
 function build24hSparkline(filteredTransactions) {
@@ -28,10 +39,10 @@ function build24hSparkline(filteredTransactions) {
     filteredTransactions.forEach((t) => {
       const ms = getTimestampMs(t.timestamp)
       if (Number.isNaN(ms) || ms < start || ms >= end) return
-      total += t.total ?? 0
-      count += 1
-      if (t.paymentMethod === "cash") cash += t.total ?? 0
-      if (t.paymentMethod === "mpesa") mpesa += t.total ?? 0
+      total += (t.total ?? 0) - getTransactionDepositAmount(t)
+      if (!isCreditNote(t) && !isDepositRefund(t)) count += 1
+      cash += getTenderAmount(t, "cash")
+      mpesa += getTenderAmount(t, "mpesa")
     })
     return { total, count, cash, mpesa, avg: count > 0 ? total / count : 0 }
   })
@@ -51,6 +62,19 @@ export default function ReportsPage({ currentUser }) {
     paymentMethodData: [],
     dailySalesData: [],
     topProductsData: [],
+    promotionData: [],
+    overridesData: [],
+    ageVerificationData: [],
+    depositData: { collected: 0, refunded: 0, outstanding: 0, items: [] },
+    storedValueData: {
+      vouchersSold: 0,
+      voucherRedemptions: 0,
+      storeCreditRedemptions: 0,
+      vouchers: { outstanding: 0, outstandingCount: 0, expired: 0, expiredCount: 0 },
+      storeCredit: { total: 0, count: 0 }
+    },
+    grossProfitData: { revenue: 0, cost: 0, grossProfit: 0, margin: 0, estimatedLines: 0, products: [] },
+    valuationData: { method: DEFAULT_COSTING_SETTINGS.method, rows: [], totalValue: 0, totalQuantity: 0 },
     salesSummary: {
       totalSales: 0,
       totalTransactions: 0,
@@ -78,8 +102,13 @@ export default function ReportsPage({ currentUser }) {
     const adminId = getAdminIdForStorage(currentUser);
     let unsubTransactions = null;
     let unsubInventory = null;
+    let unsubCustomers = null;
+    let unsubVouchers = null;
     let transactions = [];
     let inventory = [];
+    let customers = [];
+    let vouchers = [];
+    let costingMethod = DEFAULT_COSTING_SETTINGS.method;
     const updateReport = () => {
       // Filter transactions by date range (same logic as AccountabilityModal: current month = this month)
       const now = new Date();
@@ -101,43 +130,54 @@ export default function ReportsPage({ currentUser }) {
           startDate = new Date(now);
           startDate.setHours(0, 0, 0, 0);
       }
-      const filteredTransactions = transactions.filter(t => {
+      // Branch filter: admin by selectedBranch, manager/cashier by their branch
+      const matchesBranch = (t) => {
+        if (currentUser.role === 'cashier' || currentUser.role === 'manager') {
+          return !currentUser.branchId || t.branchId === currentUser.branchId;
+        }
+        if (currentUser.role === 'admin' && selectedBranch) {
+          return t.branchId === selectedBranch;
+        }
+        return true;
+      };
+      const periodTransactions = transactions.filter(t => {
         const transMs = getTimestampMs(t.timestamp);
         // Only include completed transactions or transactions without status (backward compatibility)
         const dateMatch = !Number.isNaN(transMs) && transMs >= startDate.getTime() && (t.paymentStatus === 'completed' || !t.paymentStatus);
-        // Branch filter: admin by selectedBranch, manager/cashier by their branch
-        let branchMatch = true;
-        if (currentUser.role === 'cashier') {
-          branchMatch = !currentUser.branchId || t.branchId === currentUser.branchId;
-        } else if (currentUser.role === 'manager') {
-          branchMatch = !currentUser.branchId || t.branchId === currentUser.branchId;
-        } else if (currentUser.role === 'admin' && selectedBranch) {
-          branchMatch = t.branchId === selectedBranch;
-        }
+        const branchMatch = matchesBranch(t);
         // Apply payment method filter
         let paymentMatch = true;
         if (paymentMethod !== 'all') {
-          paymentMatch = t.paymentMethod === paymentMethod;
+          paymentMatch = transactionUsesTender(t, paymentMethod);
         }
         return dateMatch && branchMatch && paymentMatch;
       });
+      // Gift vouchers sold are money held for the holder, not sales; they only count once spent
+      const filteredTransactions = periodTransactions.filter(t => !isVoucherSale(t));
       // ...existing code for report calculations...
       // Calculate sales summary
-      const totalSales = filteredTransactions.reduce((sum, t) => sum + (t.total ?? 0), 0);
-      const totalTransactions = filteredTransactions.length;
+      // Credit notes are negative, so totals are net of returns; they don't count as transactions.
+      // Bottle deposits are owed back to customers, so they come out of sales and are reported on their own.
+      const totalSales = filteredTransactions.reduce((sum, t) => sum + (t.total ?? 0) - getTransactionDepositAmount(t), 0);
+      const totalTransactions = filteredTransactions.filter(t => !isCreditNote(t) && !isDepositRefund(t)).length;
       const averageTransaction = totalTransactions > 0 ? totalSales / totalTransactions : 0;
-      const cashSales = filteredTransactions.filter(t => t.paymentMethod === 'cash').reduce((sum, t) => sum + (t.total ?? 0), 0);
-      const mpesaSales = filteredTransactions.filter(t => t.paymentMethod === 'mpesa').reduce((sum, t) => sum + (t.total ?? 0), 0);
+      // Split-tender sales contribute each payment line to its own method
+      const cashSales = filteredTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'cash'), 0);
+      const mpesaSales = filteredTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'mpesa'), 0);
       // Calculate payment method distribution
       const paymentMethodMap = {};
       filteredTransactions.forEach(t => {
-        const method = t.paymentMethod === 'mpesa' ? 'M-Pesa' : 'Cash';
-        paymentMethodMap[method] = (paymentMethodMap[method] || 0) + (t.total ?? 0);
+        getTransactionPayments(t).forEach(p => {
+          const method = getTenderLabel(p.method);
+          paymentMethodMap[method] = (paymentMethodMap[method] || 0) + (p.amount ?? 0);
+        });
       });
-      const paymentMethodData = Object.entries(paymentMethodMap).map(([name, value]) => ({
-        name,
-        value: Math.round(value)
-      }));
+      const paymentMethodData = Object.entries(paymentMethodMap)
+        .map(([name, value]) => ({
+          name,
+          value: Math.round(value)
+        }))
+        .filter(entry => entry.value > 0);
       // Calculate top selling products
       const productSalesMap = {};
       filteredTransactions.forEach(t => {
@@ -150,7 +190,7 @@ export default function ReportsPage({ currentUser }) {
             };
           }
           productSalesMap[productName].quantity += (item.quantity ?? 0);
-          productSalesMap[productName].revenue += ((item.quantity ?? 0) * (item.price ?? 0));
+          productSalesMap[productName].revenue += ((item.quantity ?? 0) * (item.price ?? 0)) - (item.promotionDiscount ?? 0);
         });
       });
       const topProductsData = Object.entries(productSalesMap)
@@ -160,6 +200,32 @@ export default function ReportsPage({ currentUser }) {
           revenue: Math.round(data.revenue)
         }))
         .sort((a, b) => b.revenue - a.revenue);
+      const promotionData = getPromotionPerformance(filteredTransactions);
+      const overridesData = getOverridesReport(filteredTransactions);
+      // Every ID check in the period, whatever the sale was paid with or whether it is still owed
+      const ageVerificationData = getAgeVerificationLog(transactions.filter(t => {
+        const transMs = getTimestampMs(t.timestamp);
+        return !Number.isNaN(transMs) && transMs >= startDate.getTime() && matchesBranch(t);
+      }));
+      // Movements for the period, but the balance still owed is everything not yet refunded
+      const periodDeposits = getDepositLiability(filteredTransactions);
+      const depositData = {
+        ...periodDeposits,
+        outstanding: getDepositLiability(transactions.filter(matchesBranch)).outstanding
+      };
+      const storedValueData = {
+        vouchersSold: Math.round(periodTransactions.filter(isVoucherSale).reduce((sum, t) => sum + (t.total ?? 0), 0)),
+        voucherRedemptions: Math.round(filteredTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'voucher'), 0)),
+        storeCreditRedemptions: Math.round(filteredTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'store_credit'), 0)),
+        vouchers: getVoucherLiability(vouchers.filter(matchesBranch)),
+        storeCredit: getStoreCreditLiability(customers.filter(c => !c.branchId || matchesBranch(c)))
+      };
+      // Profit on the cost each line was sold at, and what the branch's stock is worth today
+      const grossProfitData = getGrossProfit(filteredTransactions, { inventory, method: costingMethod });
+      const valuationData = {
+        method: costingMethod,
+        ...getInventoryValuation(inventory.filter(matchesBranch), costingMethod)
+      };
       // Calculate daily sales for last 7 days
       const dailySalesMap = {};
       const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -174,7 +240,7 @@ export default function ReportsPage({ currentUser }) {
         const transMs = getTimestampMs(t.timestamp);
         if (!Number.isNaN(transMs) && transMs >= sevenDaysAgo) {
           const dayName = days[new Date(transMs).getDay()];
-          dailySalesMap[dayName] = (dailySalesMap[dayName] || 0) + (t.total ?? 0);
+          dailySalesMap[dayName] = (dailySalesMap[dayName] || 0) + (t.total ?? 0) - getTransactionDepositAmount(t);
         }
       });
       const dailySalesData = Object.entries(dailySalesMap).map(([date, sales]) => ({
@@ -190,6 +256,13 @@ export default function ReportsPage({ currentUser }) {
         paymentMethodData,
         dailySalesData,
         topProductsData,
+        promotionData,
+        overridesData,
+        ageVerificationData,
+        depositData,
+        storedValueData,
+        grossProfitData,
+        valuationData,
         sparkline24h,
         salesSummary: {
           totalSales: Math.round(totalSales),
@@ -202,6 +275,12 @@ export default function ReportsPage({ currentUser }) {
       setLoading(false)
       setError(null)
     }
+    getCostingSettings(adminId).then(settings => {
+      costingMethod = settings.method;
+      updateReport();
+    }).catch(err => {
+      console.error('Error loading costing settings:', err);
+    });
     unsubTransactions = subscribeToTransactions(adminId, (data) => {
       transactions = data || []
       updateReport()
@@ -210,14 +289,29 @@ export default function ReportsPage({ currentUser }) {
       setLoading(false)
     })
     unsubInventory = subscribeToInventory(adminId, (data) => {
-      inventory = data
+      inventory = data || []
       updateReport()
     }, (err) => {
       setError(err?.message || "Failed to load inventory")
     })
+    // Voucher and store credit balances for the liability section
+    unsubCustomers = subscribeToCustomers(adminId, (data) => {
+      customers = data || []
+      updateReport()
+    }, (err) => {
+      console.error('Error loading customers for store credit:', err)
+    })
+    unsubVouchers = subscribeToVouchers(adminId, (data) => {
+      vouchers = data || []
+      updateReport()
+    }, (err) => {
+      console.error('Error loading vouchers:', err)
+    })
     return () => {
       if (unsubTransactions) unsubTransactions();
       if (unsubInventory) unsubInventory();
+      if (unsubCustomers) unsubCustomers();
+      if (unsubVouchers) unsubVouchers();
     };
   }, [currentUser, dateRange, paymentMethod, productSortBy, selectedBranch]);
           
@@ -230,6 +324,7 @@ export default function ReportsPage({ currentUser }) {
                       'Last-30-Days'
     const paymentLabel = paymentMethod === 'all' ? 'All-Methods' :
                          paymentMethod === 'cash' ? 'Cash-Only' :
+                         paymentMethod === 'split' ? 'Split-Payments' :
                          'MPesa-Only'
     
     const filename = `sales-report-${dateLabel}-${paymentLabel}-${new Date().toISOString().split('T')[0]}.csv`
@@ -240,6 +335,20 @@ export default function ReportsPage({ currentUser }) {
       { metric: 'Average Transaction', value: `KES ${reportData.salesSummary.averageTransaction.toLocaleString()}` },
       { metric: 'Cash Sales', value: `KES ${reportData.salesSummary.cashSales.toLocaleString()}` },
       { metric: 'M-Pesa Sales', value: `KES ${reportData.salesSummary.mpesaSales.toLocaleString()}` },
+      { metric: 'Net Sales excl. VAT', value: `KES ${reportData.grossProfitData.revenue.toLocaleString()}` },
+      { metric: 'Cost of Goods Sold', value: `KES ${reportData.grossProfitData.cost.toLocaleString()}` },
+      { metric: 'Gross Profit', value: `KES ${reportData.grossProfitData.grossProfit.toLocaleString()}` },
+      { metric: 'Gross Margin', value: `${reportData.grossProfitData.margin}%` },
+      { metric: `Inventory Value (${COSTING_METHOD_LABELS[reportData.valuationData.method]})`, value: `KES ${reportData.valuationData.totalValue.toLocaleString()}` },
+      { metric: 'Deposits Collected', value: `KES ${reportData.depositData.collected.toLocaleString()}` },
+      { metric: 'Deposits Refunded', value: `KES ${reportData.depositData.refunded.toLocaleString()}` },
+      { metric: 'Deposit Liability Outstanding', value: `KES ${reportData.depositData.outstanding.toLocaleString()}` },
+      { metric: 'Gift Vouchers Sold', value: `KES ${reportData.storedValueData.vouchersSold.toLocaleString()}` },
+      { metric: 'Paid by Gift Voucher', value: `KES ${reportData.storedValueData.voucherRedemptions.toLocaleString()}` },
+      { metric: 'Paid by Store Credit', value: `KES ${reportData.storedValueData.storeCreditRedemptions.toLocaleString()}` },
+      { metric: 'Voucher Liability Outstanding', value: `KES ${reportData.storedValueData.vouchers.outstanding.toLocaleString()}` },
+      { metric: 'Expired Voucher Balances', value: `KES ${reportData.storedValueData.vouchers.expired.toLocaleString()}` },
+      { metric: 'Store Credit Liability Outstanding', value: `KES ${reportData.storedValueData.storeCredit.total.toLocaleString()}` },
     ]
     
     const headers = [
@@ -275,6 +384,140 @@ export default function ReportsPage({ currentUser }) {
     downloadCSV(csv, filename)
   }
 
+  const exportGrossProfit = () => {
+    const dateLabel = dateRange === 'today' ? 'Today' : 
+                      dateRange === 'week' ? 'Last-7-Days' : 
+                      'Last-30-Days'
+    const filename = `gross-profit-${dateLabel}-${new Date().toISOString().split('T')[0]}.csv`
+
+    const headers = [
+      { key: 'name', label: 'Product Name' },
+      { key: 'quantity', label: 'Units Sold' },
+      { key: 'revenue', label: 'Net Sales excl. VAT (KES)' },
+      { key: 'cost', label: 'Cost of Goods Sold (KES)' },
+      { key: 'grossProfit', label: 'Gross Profit (KES)' },
+      { key: 'margin', label: 'Margin (%)' }
+    ]
+
+    const formattedData = reportData.grossProfitData.products.map(product => ({
+      ...product,
+      margin: product.revenue !== 0 ? ((product.grossProfit / product.revenue) * 100).toFixed(1) : '0.0'
+    }))
+
+    const csv = convertToCSV(formattedData, headers)
+    downloadCSV(csv, filename)
+  }
+
+  // Valuation is of stock on hand now, whatever period is selected
+  const exportInventoryValuation = () => {
+    const filename = `inventory-valuation-${reportData.valuationData.method}-${new Date().toISOString().split('T')[0]}.csv`
+
+    const headers = [
+      { key: 'name', label: 'Product Name' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'category', label: 'Category' },
+      { key: 'branchId', label: 'Branch' },
+      { key: 'quantity', label: 'On Hand' },
+      { key: 'unitCost', label: 'Unit Cost (KES)' },
+      { key: 'value', label: 'Value (KES)' }
+    ]
+
+    const csv = convertToCSV(reportData.valuationData.rows, headers)
+    downloadCSV(csv, filename)
+  }
+
+  const exportPromotions = () => {
+    const dateLabel = dateRange === 'today' ? 'Today' : 
+                      dateRange === 'week' ? 'Last-7-Days' : 
+                      'Last-30-Days'
+    const filename = `promotions-${dateLabel}-${new Date().toISOString().split('T')[0]}.csv`
+
+    const headers = [
+      { key: 'name', label: 'Promotion' },
+      { key: 'type', label: 'Type' },
+      { key: 'uses', label: 'Sales' },
+      { key: 'units', label: 'Units' },
+      { key: 'discountGiven', label: 'Discount Given (KES)' },
+      { key: 'revenue', label: 'Promoted Revenue (KES)' }
+    ]
+
+    const formattedData = reportData.promotionData.map(promotion => ({
+      ...promotion,
+      type: PROMOTION_TYPE_LABELS[promotion.type] || promotion.type
+    }))
+
+    const csv = convertToCSV(formattedData, headers)
+    downloadCSV(csv, filename)
+  }
+
+  const exportOverrides = () => {
+    const dateLabel = dateRange === 'today' ? 'Today' : 
+                      dateRange === 'week' ? 'Last-7-Days' : 
+                      'Last-30-Days'
+    const filename = `price-overrides-${dateLabel}-${new Date().toISOString().split('T')[0]}.csv`
+
+    const headers = [
+      { key: 'date', label: 'Date' },
+      { key: 'receiptNumber', label: 'Receipt' },
+      { key: 'cashier', label: 'Cashier' },
+      { key: 'itemName', label: 'Item' },
+      { key: 'quantity', label: 'Qty' },
+      { key: 'originalPrice', label: 'Original Price (KES)' },
+      { key: 'price', label: 'Charged Price (KES)' },
+      { key: 'lineDiscount', label: 'Line Discount (KES)' },
+      { key: 'reason', label: 'Reason' },
+      { key: 'reasonNote', label: 'Note' },
+      { key: 'approvedBy', label: 'Approved By' },
+      { key: 'approvalMethod', label: 'Approval' }
+    ]
+
+    const formattedData = reportData.overridesData.map(row => ({
+      ...row,
+      date: new Date(row.timestamp).toLocaleString('en-KE')
+    }))
+
+    const csv = convertToCSV(formattedData, headers)
+    downloadCSV(csv, filename)
+  }
+
+  // Compliance log for licensing inspections, for the branch in the filter (or every branch)
+  const exportAgeVerificationLog = async () => {
+    const dateLabel = dateRange === 'today' ? 'Today' : 
+                      dateRange === 'week' ? 'Last-7-Days' : 
+                      'Last-30-Days'
+
+    let branches = []
+    try {
+      branches = await getAllBranches()
+    } catch (error) {
+      console.error('Error loading branch names for the compliance log:', error)
+    }
+    const branchNames = new Map(branches.map(branch => [branch.id, branch.name]))
+    const branchId = currentUser?.role === 'admin' ? selectedBranch : currentUser?.branchId
+    const branchLabel = branchId ? (branchNames.get(branchId) || branchId).replace(/\s+/g, '-') : 'All-Branches'
+    const filename = `age-verification-${branchLabel}-${dateLabel}-${new Date().toISOString().split('T')[0]}.csv`
+
+    const headers = [
+      { key: 'date', label: 'Date' },
+      { key: 'branch', label: 'Branch' },
+      { key: 'receiptNumber', label: 'Receipt' },
+      { key: 'idType', label: 'ID Type' },
+      { key: 'method', label: 'How Checked' },
+      { key: 'age', label: 'Age' },
+      { key: 'verifiedBy', label: 'Cashier' },
+      { key: 'total', label: 'Sale Total (KES)' }
+    ]
+
+    const formattedData = reportData.ageVerificationData.map(row => ({
+      ...row,
+      date: new Date(row.timestamp).toLocaleString('en-KE'),
+      branch: branchNames.get(row.branchId) || row.branchId || ''
+    }))
+
+    const csv = convertToCSV(formattedData, headers)
+    downloadCSV(csv, filename)
+  }
+
   return (
     <div className="flex flex-col h-full min-h-0">
       <TopBar
@@ -480,6 +723,420 @@ export default function ReportsPage({ currentUser }) {
             </div>
           )}
         </section>
+
+        {/* Gross profit - on the cost frozen on each line when it was sold */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Gross profit">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Gross profit</h3>
+              <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+                Sales before VAT less what the goods cost when they were sold, net of returns
+              </p>
+            </div>
+            {reportData.grossProfitData.products.length > 0 && (
+              <button
+                onClick={exportGrossProfit}
+                className="px-4 py-2 rounded-lg font-medium bg-[var(--color-surface)] text-[var(--color-text-primary)] border border-[var(--color-border)]/40 hover:border-[var(--color-gold)]/50 transition-all"
+              >
+                Export CSV
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Net sales excl. VAT</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.grossProfitData.revenue.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Cost of goods sold</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.grossProfitData.cost.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-gold)]/50 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Gross profit</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.grossProfitData.grossProfit.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Gross margin</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">{reportData.grossProfitData.margin}%</div>
+            </div>
+          </div>
+          {reportData.grossProfitData.estimatedLines > 0 && (
+            <p className="text-xs text-yellow-600 dark:text-yellow-500 mb-4">
+              {reportData.grossProfitData.estimatedLines} line(s) were sold before costs were recorded and are costed at today&apos;s cost price.
+            </p>
+          )}
+
+          {reportData.grossProfitData.products.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">Product</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Units</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Net sales</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Cost</th>
+                    <th className="py-2 font-semibold text-right">Gross profit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.grossProfitData.products.map(product => (
+                    <tr key={product.name} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)]">
+                      <td className="py-2 pr-4">{product.name}</td>
+                      <td className="py-2 pr-4 text-right">{product.quantity}</td>
+                      <td className="py-2 pr-4 text-right">KES {product.revenue.toLocaleString()}</td>
+                      <td className="py-2 pr-4 text-right">KES {product.cost.toLocaleString()}</td>
+                      <td className={`py-2 text-right font-bold ${product.grossProfit < 0 ? 'text-destructive' : 'text-[var(--color-gold-light)]'}`}>
+                        KES {product.grossProfit.toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No sales in the selected period.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Inventory valuation - stock on hand now, not for the period */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Inventory valuation">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Inventory valuation</h3>
+              <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+                Stock on hand now at cost, valued by {COSTING_METHOD_LABELS[reportData.valuationData.method]}
+              </p>
+            </div>
+            {reportData.valuationData.rows.length > 0 && (
+              <button
+                onClick={exportInventoryValuation}
+                className="px-4 py-2 rounded-lg font-medium bg-[var(--color-surface)] text-[var(--color-text-primary)] border border-[var(--color-border)]/40 hover:border-[var(--color-gold)]/50 transition-all"
+              >
+                Export CSV
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-gold)]/50 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Stock value</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.valuationData.totalValue.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Units on hand</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">{reportData.valuationData.totalQuantity.toLocaleString()}</div>
+            </div>
+          </div>
+
+          {reportData.valuationData.rows.length > 0 ? (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">Product</th>
+                    <th className="py-2 pr-4 font-semibold text-right">On hand</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Unit cost</th>
+                    <th className="py-2 font-semibold text-right">Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.valuationData.rows.map(row => (
+                    <tr key={`${row.branchId}-${row.id}`} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)]">
+                      <td className="py-2 pr-4">
+                        <div className="font-semibold">{row.name}</div>
+                        <div className="text-xs text-[var(--color-text-primary)]/60">{[row.sku, row.branchId].filter(Boolean).join(' · ')}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-right">{row.quantity}</td>
+                      <td className="py-2 pr-4 text-right">KES {row.unitCost.toLocaleString(undefined, { maximumFractionDigits: 2 })}</td>
+                      <td className="py-2 text-right font-bold text-[var(--color-gold-light)]">KES {row.value.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No stock on hand.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Promotion performance */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Promotion performance">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Promotion performance</h3>
+              <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+                Discount given against what the promoted items brought in
+              </p>
+            </div>
+            {reportData.promotionData.length > 0 && (
+              <button
+                onClick={exportPromotions}
+                className="px-4 py-2 rounded-lg font-medium bg-[var(--color-surface)] text-[var(--color-text-primary)] border border-[var(--color-border)]/40 hover:border-[var(--color-gold)]/50 transition-all"
+              >
+                Export CSV
+              </button>
+            )}
+          </div>
+
+          {reportData.promotionData.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">Promotion</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Sales</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Units</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Discount given</th>
+                    <th className="py-2 font-semibold text-right">Promoted revenue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.promotionData.map(promotion => (
+                    <tr key={promotion.promotionId} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)]">
+                      <td className="py-2 pr-4">
+                        <div className="font-semibold">{promotion.name}</div>
+                        <div className="text-xs text-[var(--color-text-primary)]/60">{PROMOTION_TYPE_LABELS[promotion.type] || promotion.type}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-right">{promotion.uses}</td>
+                      <td className="py-2 pr-4 text-right">{promotion.units}</td>
+                      <td className="py-2 pr-4 text-right">KES {promotion.discountGiven.toLocaleString()}</td>
+                      <td className="py-2 text-right font-bold text-[var(--color-gold-light)]">KES {promotion.revenue.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No promotions used in the selected period.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Price overrides */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Price overrides">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Price overrides</h3>
+              <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+                {reportData.overridesData.length > 0
+                  ? `${reportData.overridesData.length} line(s), KES ${reportData.overridesData.reduce((sum, row) => sum + row.lineDiscount, 0).toLocaleString()} given away`
+                  : 'Lines sold at a price other than the system price'}
+              </p>
+            </div>
+            {reportData.overridesData.length > 0 && (
+              <button
+                onClick={exportOverrides}
+                className="px-4 py-2 rounded-lg font-medium bg-[var(--color-surface)] text-[var(--color-text-primary)] border border-[var(--color-border)]/40 hover:border-[var(--color-gold)]/50 transition-all"
+              >
+                Export CSV
+              </button>
+            )}
+          </div>
+
+          {reportData.overridesData.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">When</th>
+                    <th className="py-2 pr-4 font-semibold">Item</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Price</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Discount</th>
+                    <th className="py-2 pr-4 font-semibold">Reason</th>
+                    <th className="py-2 pr-4 font-semibold">Cashier</th>
+                    <th className="py-2 font-semibold">Approved by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.overridesData.map((row, index) => (
+                    <tr key={`${row.transactionId}-${index}`} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)] align-top">
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        <div>{new Date(row.timestamp).toLocaleString('en-KE', { dateStyle: 'short', timeStyle: 'short' })}</div>
+                        <div className="text-xs text-[var(--color-text-primary)]/60 font-mono">{row.receiptNumber}</div>
+                      </td>
+                      <td className="py-2 pr-4">{row.quantity} × {row.itemName}</td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">
+                        <span className="line-through text-[var(--color-text-primary)]/50 mr-1">{row.originalPrice.toLocaleString()}</span>
+                        {row.price.toLocaleString()}
+                      </td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">KES {row.lineDiscount.toLocaleString()} ({row.percent}%)</td>
+                      <td className="py-2 pr-4">
+                        {row.reason}
+                        {row.reasonNote && <div className="text-xs text-[var(--color-text-primary)]/60">{row.reasonNote}</div>}
+                      </td>
+                      <td className="py-2 pr-4">{row.cashier}</td>
+                      <td className="py-2">
+                        {row.approvedBy || <span className="text-[var(--color-text-primary)]/50">Within limit</span>}
+                        {row.approvalMethod && <div className="text-xs text-[var(--color-text-primary)]/60">{row.approvalMethod === 'pin' ? 'PIN' : 'Sign-in'}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No price overrides in the selected period.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Age verification - ID checks on alcohol sales, for inspections */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Age verification">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Age verification</h3>
+              <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+                {reportData.ageVerificationData.length > 0
+                  ? `${reportData.ageVerificationData.length} sale(s) with the customer's ID checked`
+                  : `Sales where the cashier checked the customer was ${LEGAL_DRINKING_AGE} or older`}
+              </p>
+            </div>
+            {reportData.ageVerificationData.length > 0 && (
+              <button
+                onClick={exportAgeVerificationLog}
+                className="px-4 py-2 rounded-lg font-medium bg-[var(--color-surface)] text-[var(--color-text-primary)] border border-[var(--color-border)]/40 hover:border-[var(--color-gold)]/50 transition-all"
+              >
+                Export Compliance Log
+              </button>
+            )}
+          </div>
+
+          {reportData.ageVerificationData.length > 0 ? (
+            <div className="overflow-x-auto max-h-96">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">When</th>
+                    <th className="py-2 pr-4 font-semibold">ID</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Age</th>
+                    <th className="py-2 font-semibold">Cashier</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.ageVerificationData.map(row => (
+                    <tr key={row.transactionId} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)] align-top">
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        <div>{new Date(row.timestamp).toLocaleString('en-KE', { dateStyle: 'short', timeStyle: 'short' })}</div>
+                        <div className="text-xs text-[var(--color-text-primary)]/60 font-mono">{row.receiptNumber}</div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        {row.idType}
+                        <div className="text-xs text-[var(--color-text-primary)]/60">{row.method}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-right">{row.age}</td>
+                      <td className="py-2">{row.verifiedBy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No ID checks recorded in the selected period.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Bottle deposits - a liability, kept out of the sales figures above */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Bottle deposits">
+          <div className="mb-6">
+            <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Bottle deposits</h3>
+            <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+              Deposits are owed back to customers until the empties are returned, so they are not counted as sales
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Collected (period)</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.depositData.collected.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Refunded (period)</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.depositData.refunded.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-gold)]/50 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Outstanding liability</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.depositData.outstanding.toLocaleString()}</div>
+            </div>
+          </div>
+
+          {reportData.depositData.items.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--color-text-primary)]/70 border-b border-[var(--color-border)]/40">
+                    <th className="py-2 pr-4 font-semibold">Deposit</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Issued</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Returned</th>
+                    <th className="py-2 pr-4 font-semibold text-right">Collected</th>
+                    <th className="py-2 font-semibold text-right">Refunded</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reportData.depositData.items.map(item => (
+                    <tr key={item.depositItemId} className="border-b border-[var(--color-border)]/20 text-[var(--color-text-primary)]">
+                      <td className="py-2 pr-4">{item.name}</td>
+                      <td className="py-2 pr-4 text-right">{item.issued}</td>
+                      <td className="py-2 pr-4 text-right">{item.returned}</td>
+                      <td className="py-2 pr-4 text-right">KES {item.collected.toLocaleString()}</td>
+                      <td className="py-2 text-right">KES {item.refunded.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-10 rounded-[12px] bg-muted/30 border border-dashed border-border">
+              <p className="text-muted-foreground">No deposits taken or refunded in the selected period.</p>
+            </div>
+          )}
+        </section>
+
+        {/* Gift vouchers and store credit - owed to holders until spent */}
+        <section className="mt-6 bg-[var(--color-card-bg)] border border-[var(--color-border)]/40 rounded-xl p-6 shadow-lg" aria-label="Vouchers and store credit">
+          <div className="mb-6">
+            <h3 className="text-xl font-bold text-[var(--color-text-primary)]">Vouchers &amp; store credit</h3>
+            <p className="text-sm text-[var(--color-text-primary)]/70 mt-1">
+              Voucher sales count as revenue only when the voucher is spent; unspent balances are a liability
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Vouchers sold (period)</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.vouchersSold.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Paid by voucher (period)</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.voucherRedemptions.toLocaleString()}</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Paid by store credit (period)</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.storeCreditRedemptions.toLocaleString()}</div>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-gold)]/50 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Outstanding vouchers</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.vouchers.outstanding.toLocaleString()}</div>
+              <div className="text-xs text-[var(--color-text-primary)]/60">{reportData.storedValueData.vouchers.outstandingCount} active</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-border)]/40 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Expired, unspent</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.vouchers.expired.toLocaleString()}</div>
+              <div className="text-xs text-[var(--color-text-primary)]/60">{reportData.storedValueData.vouchers.expiredCount} vouchers</div>
+            </div>
+            <div className="rounded-lg bg-[var(--color-surface)] border border-[var(--color-gold)]/50 p-4">
+              <div className="text-xs text-[var(--color-text-primary)]/60 uppercase tracking-wider">Customer store credit</div>
+              <div className="text-2xl font-bold text-[var(--color-text-primary)]">KES {reportData.storedValueData.storeCredit.total.toLocaleString()}</div>
+              <div className="text-xs text-[var(--color-text-primary)]/60">{reportData.storedValueData.storeCredit.count} customers</div>
+            </div>
+          </div>
+        </section>
       </div>
     </div>
   )
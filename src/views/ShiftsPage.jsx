@@ -0,0 +1,257 @@
+"use client"
+
+import { useState, useEffect, useMemo } from "react"
+import { toast } from "sonner"
+import TopBar from "../components/TopBar"
+import BranchSelector from "../components/BranchSelector"
+import ShiftReportModal from "../components/ShiftReportModal"
+import { getAdminIdForStorage } from "../utils/auth"
+import { getAllBranches } from "../services/branchService"
+import { subscribeToShifts, subscribeToShiftsByBranch } from "../services/realtimeExtraListeners"
+import { convertToCSV, downloadCSV } from "../utils/csvExport"
+import { SHIFT_STATUS, REPORT_TYPES, buildShiftReport, reviewShift } from "../utils/shifts"
+
+const formatKES = (amount) => `KES ${Number(amount || 0).toLocaleString()}`
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' }) : '—')
+const varianceClass = (value) => (value < 0 ? 'text-destructive' : value > 0 ? 'text-orange-600' : 'text-success')
+
+const STATUS_FILTERS = [
+  { id: 'to-review', label: 'To review' },
+  { id: 'closed', label: 'All closed' },
+  { id: 'open', label: 'Open now' }
+]
+
+export default function ShiftsPage({ currentUser }) {
+  const isAdmin = currentUser?.role === 'admin'
+  const [selectedBranch, setSelectedBranch] = useState(() => {
+    if (!isAdmin) return currentUser?.branchId || ''
+    try {
+      return localStorage.getItem('adminSelectedBranch') || ''
+    } catch {
+      return ''
+    }
+  })
+  const [branches, setBranches] = useState([])
+  const [shifts, setShifts] = useState([])
+  const [statusFilter, setStatusFilter] = useState('to-review')
+  const [viewing, setViewing] = useState(null)
+
+  useEffect(() => {
+    getAllBranches()
+      .then(list => setBranches(list || []))
+      .catch(error => console.error('Error loading branches:', error))
+  }, [])
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+    const adminId = getAdminIdForStorage(currentUser)
+    const onError = (error) => console.error('Error loading shifts:', error)
+    const unsubscribe = isAdmin
+      ? subscribeToShifts(adminId, (data) => setShifts(data || []), onError)
+      : subscribeToShiftsByBranch(adminId, currentUser.branchId, (data) => setShifts(data || []), onError)
+    return () => unsubscribe && unsubscribe()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id, currentUser?.branchId, isAdmin])
+
+  const branchName = (branchId) => branches.find(b => b.id === branchId)?.name || branchId || 'Unassigned'
+
+  const visibleShifts = useMemo(() => {
+    return shifts
+      .filter(s => !selectedBranch || s.branchId === selectedBranch)
+      .filter(s => {
+        if (statusFilter === 'open') return s.status === SHIFT_STATUS.OPEN
+        if (statusFilter === 'to-review') return s.status === SHIFT_STATUS.CLOSED && !s.review
+        return s.status === SHIFT_STATUS.CLOSED
+      })
+      .sort((a, b) => new Date(b.closedAt || b.openedAt) - new Date(a.closedAt || a.openedAt))
+  }, [shifts, selectedBranch, statusFilter])
+
+  const closedShifts = visibleShifts.filter(s => s.status === SHIFT_STATUS.CLOSED)
+  const summary = {
+    cashVariance: closedShifts.reduce((sum, s) => sum + (s.cashVariance || 0), 0),
+    mpesaVariance: closedShifts.reduce((sum, s) => sum + (s.mpesaVariance || 0), 0),
+    unreviewed: shifts.filter(s => s.status === SHIFT_STATUS.CLOSED && !s.review && (!selectedBranch || s.branchId === selectedBranch)).length
+  }
+
+  const handleReview = async (shift) => {
+    const note = window.prompt(`Review note for ${shift.cashierName}'s shift (optional)`, '')
+    if (note === null) return
+    try {
+      const updated = await reviewShift({ adminId: getAdminIdForStorage(currentUser), shiftId: shift.id, note, user: currentUser })
+      setShifts(prev => prev.map(s => (s.id === updated.id ? updated : s)))
+      toast.success('Shift marked as reviewed')
+    } catch (error) {
+      console.error('Error reviewing shift:', error)
+      toast.error(error.message || 'Failed to review shift')
+    }
+  }
+
+  const handleExport = () => {
+    const headers = [
+      { key: 'cashierName', label: 'Cashier' },
+      { key: 'branch', label: 'Branch' },
+      { key: 'terminalId', label: 'Terminal' },
+      { key: 'openedAt', label: 'Opened' },
+      { key: 'closedAt', label: 'Closed' },
+      { key: 'expectedCash', label: 'Expected Cash (KES)' },
+      { key: 'countedCash', label: 'Counted Cash (KES)' },
+      { key: 'cashVariance', label: 'Cash Variance (KES)' },
+      { key: 'expectedMpesa', label: 'Expected M-Pesa (KES)' },
+      { key: 'countedMpesa', label: 'Counted M-Pesa (KES)' },
+      { key: 'mpesaVariance', label: 'M-Pesa Variance (KES)' },
+      { key: 'reviewedBy', label: 'Reviewed By' },
+      { key: 'reviewNote', label: 'Review Note' }
+    ]
+    const rows = closedShifts.map(s => ({
+      cashierName: s.cashierName,
+      branch: branchName(s.branchId),
+      terminalId: s.terminalId,
+      openedAt: s.openedAt,
+      closedAt: s.closedAt,
+      expectedCash: s.totals?.expectedCash,
+      countedCash: s.closingCount?.countedCash,
+      cashVariance: s.cashVariance,
+      expectedMpesa: s.totals?.expectedMpesa,
+      countedMpesa: s.closingCount?.countedMpesa,
+      mpesaVariance: s.mpesaVariance,
+      reviewedBy: s.review?.reviewedBy || '',
+      reviewNote: s.review?.note || ''
+    }))
+    downloadCSV(convertToCSV(rows, headers), `shifts-${selectedBranch || 'all'}-${new Date().toISOString().split('T')[0]}.csv`)
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <TopBar title="🧾 Cashier Shifts" subtitle="Z-reports and cash variances" />
+
+      <div className="p-6 max-w-7xl mx-auto space-y-6">
+        <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+          <div className="grid md:grid-cols-3 gap-4 items-end">
+            {isAdmin ? (
+              <BranchSelector
+                currentUser={currentUser}
+                selectedBranch={selectedBranch}
+                onBranchChange={setSelectedBranch}
+              />
+            ) : (
+              <div>
+                <p className="text-sm font-medium text-muted-foreground mb-2">Branch</p>
+                <p className="font-semibold text-foreground">{branchName(selectedBranch)}</p>
+              </div>
+            )}
+            <div className="flex gap-2 md:col-span-2 md:justify-end">
+              {STATUS_FILTERS.map(f => (
+                <button
+                  key={f.id}
+                  onClick={() => setStatusFilter(f.id)}
+                  className={`px-4 py-2 rounded-lg font-semibold transition-colors ${statusFilter === f.id ? 'bg-primary text-primary-foreground' : 'border-2 border-border text-foreground hover:bg-muted'}`}
+                >
+                  {f.label}
+                </button>
+              ))}
+              <button
+                onClick={handleExport}
+                disabled={closedShifts.length === 0}
+                className="px-4 py-2 border-2 border-border rounded-lg font-semibold hover:bg-muted disabled:opacity-50 transition-colors text-foreground"
+              >
+                📥 Export CSV
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-card rounded-xl border border-border p-4">
+            <p className="text-sm text-muted-foreground">Cash variance (shown)</p>
+            <p className={`text-2xl font-bold ${varianceClass(summary.cashVariance)}`}>{formatKES(summary.cashVariance)}</p>
+          </div>
+          <div className="bg-card rounded-xl border border-border p-4">
+            <p className="text-sm text-muted-foreground">M-Pesa variance (shown)</p>
+            <p className={`text-2xl font-bold ${varianceClass(summary.mpesaVariance)}`}>{formatKES(summary.mpesaVariance)}</p>
+          </div>
+          <div className="bg-card rounded-xl border border-border p-4">
+            <p className="text-sm text-muted-foreground">Awaiting review</p>
+            <p className={`text-2xl font-bold ${summary.unreviewed > 0 ? 'text-orange-600' : 'text-success'}`}>{summary.unreviewed}</p>
+          </div>
+        </div>
+
+        <div className="bg-card rounded-xl shadow-sm border border-border p-6">
+          {visibleShifts.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">No shifts to show</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-border text-left text-muted-foreground">
+                    <th className="py-2 pr-4">Cashier</th>
+                    {isAdmin && <th className="py-2 pr-4">Branch</th>}
+                    <th className="py-2 pr-4">Opened</th>
+                    <th className="py-2 pr-4">Closed</th>
+                    <th className="py-2 pr-4 text-right">Expected Cash</th>
+                    <th className="py-2 pr-4 text-right">Counted</th>
+                    <th className="py-2 pr-4 text-right">Cash Var.</th>
+                    <th className="py-2 pr-4 text-right">M-Pesa Var.</th>
+                    <th className="py-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleShifts.map(shift => (
+                    <tr key={shift.id} className="border-b border-border/50">
+                      <td className="py-2 pr-4 text-foreground">
+                        {shift.cashierName}
+                        <span className="block text-xs text-muted-foreground">Terminal {shift.terminalId}</span>
+                      </td>
+                      {isAdmin && <td className="py-2 pr-4 text-foreground">{branchName(shift.branchId)}</td>}
+                      <td className="py-2 pr-4 text-muted-foreground">{formatTime(shift.openedAt)}</td>
+                      <td className="py-2 pr-4 text-muted-foreground">{formatTime(shift.closedAt)}</td>
+                      <td className="py-2 pr-4 text-right text-foreground">{shift.totals ? formatKES(shift.totals.expectedCash) : '—'}</td>
+                      <td className="py-2 pr-4 text-right text-foreground">{shift.closingCount ? formatKES(shift.closingCount.countedCash) : '—'}</td>
+                      <td className={`py-2 pr-4 text-right font-semibold ${varianceClass(shift.cashVariance)}`}>
+                        {shift.status === SHIFT_STATUS.CLOSED ? formatKES(shift.cashVariance) : '—'}
+                      </td>
+                      <td className={`py-2 pr-4 text-right font-semibold ${varianceClass(shift.mpesaVariance)}`}>
+                        {shift.status === SHIFT_STATUS.CLOSED ? formatKES(shift.mpesaVariance) : '—'}
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        {shift.status === SHIFT_STATUS.CLOSED && (
+                          <>
+                            <button
+                              onClick={() => setViewing(shift)}
+                              className="px-3 py-1 border border-border rounded-lg text-xs font-semibold hover:bg-muted text-foreground"
+                            >
+                              Z-Report
+                            </button>
+                            {shift.review ? (
+                              <span className="ml-2 text-xs text-success" title={shift.review.note || ''}>
+                                ✓ {shift.review.reviewedBy}
+                              </span>
+                            ) : (
+                              <button
+                                onClick={() => handleReview(shift)}
+                                className="ml-2 px-3 py-1 bg-primary text-primary-foreground rounded-lg text-xs font-semibold hover:bg-primary/90"
+                              >
+                                Mark reviewed
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {viewing && (
+        <ShiftReportModal
+          report={buildShiftReport(viewing, [], REPORT_TYPES.Z)}
+          review={viewing.review}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,279 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { toast } from "sonner"
+import TopBar from "../components/TopBar"
+import TransferRequestModal from "../components/TransferRequestModal"
+import StockTransferModal, { TRANSFER_STATUS_LABELS, TRANSFER_STATUS_COLORS } from "../components/StockTransferModal"
+import { getAdminIdForStorage } from "../utils/auth"
+import { readSharedData } from "../utils/storage"
+import { getAllBranches } from "../services/branchService"
+import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
+import {
+  TRANSFER_STATUS,
+  getTransferSide,
+  findBranchProduct,
+  getInTransitSummary,
+  getStockTransfers,
+  createTransferRequest,
+  saveDispatch,
+  saveInTransit,
+  saveReceipt,
+  saveCancellation
+} from "../utils/stockTransfers"
+
+const STATUS_FILTERS = ["all", ...Object.values(TRANSFER_STATUS)]
+
+export default function StockTransfersPage({ currentUser, onInventoryChange }) {
+  const [transfers, setTransfers] = useState([])
+  const [inventory, setInventory] = useState([])
+  const [branches, setBranches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filterStatus, setFilterStatus] = useState("all")
+  const [direction, setDirection] = useState("all")
+  const [showRequestModal, setShowRequestModal] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+
+  const isAdmin = currentUser?.role === "admin"
+  const branchId = currentUser?.branchId
+  const adminId = getAdminIdForStorage(currentUser)
+
+  const loadData = async () => {
+    try {
+      const [transferList, data] = await Promise.all([
+        getStockTransfers(adminId, isAdmin ? null : branchId),
+        readSharedData(adminId, false, { stores: ["inventory"] })
+      ])
+      setTransfers(transferList)
+      setInventory(data.inventory || [])
+    } catch (error) {
+      console.error("Error loading stock transfers:", error)
+      toast.error("Failed to load stock transfers")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+    if (!isAdmin && !branchId) {
+      setLoading(false)
+      return
+    }
+    loadData()
+    getAllBranches()
+      .then(list => setBranches(list || []))
+      .catch(error => console.error("Error loading branches:", error))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id, branchId])
+
+  const branchName = (id) => branches.find(b => b.id === id)?.name || id
+
+  // Every stock movement re-reads the latest transfer and inventory before saving
+  const applyMovement = async (save, params, message) => {
+    const result = await save({ adminId, transferId: selectedId, user: currentUser, ...params })
+    const transfer = result.transfer || result
+    if (result.inventory && onInventoryChange) {
+      onInventoryChange(result.inventory.filter(item => !item.deletedAt))
+    }
+    await logActivity(
+      ACTIVITY_TYPES.STOCK_TRANSFERRED,
+      `${message}: ${transfer.transferNumber} (${transfer.fromBranchName} → ${transfer.toBranchName})`,
+      { transferId: transfer.id, transferNumber: transfer.transferNumber, status: transfer.status },
+      currentUser
+    )
+    toast.success(`${transfer.transferNumber} ${TRANSFER_STATUS_LABELS[transfer.status].toLowerCase()}`)
+    await loadData()
+  }
+
+  const handleCreate = async ({ fromBranchId, lines, notes }) => {
+    const transfer = await createTransferRequest({
+      adminId,
+      fromBranchId,
+      toBranchId: branchId,
+      branchNames: { from: branchName(fromBranchId), to: branchName(branchId) },
+      lines,
+      notes,
+      user: currentUser
+    })
+    await logActivity(
+      ACTIVITY_TYPES.STOCK_TRANSFERRED,
+      `Stock requested: ${transfer.transferNumber} from ${transfer.fromBranchName}`,
+      { transferId: transfer.id, transferNumber: transfer.transferNumber, status: transfer.status },
+      currentUser
+    )
+    toast.success(`${transfer.transferNumber} sent to ${transfer.fromBranchName}`)
+    setShowRequestModal(false)
+    await loadData()
+  }
+
+  if (!isAdmin && !branchId) {
+    return (
+      <div className="flex flex-col h-full">
+        <TopBar title="Stock Transfers" />
+        <div className="flex-1 flex items-center justify-center p-8">
+          <p className="text-muted-foreground">You must be assigned to a branch to move stock. Please contact your administrator.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const summary = getInTransitSummary(transfers, branchId)
+  const listed = transfers
+    .filter(t => filterStatus === "all" || t.status === filterStatus)
+    .filter(t => direction === "all" || getTransferSide(t, branchId) === (direction === "incoming" ? "destination" : "source"))
+  const selected = transfers.find(t => t.id === selectedId)
+  const ownProducts = inventory.filter(item => item.branchId === branchId)
+  const otherBranches = branches.filter(b => b.id !== branchId)
+
+  return (
+    <div className="flex flex-col h-full">
+      <TopBar
+        title="Stock Transfers"
+        subtitle={isAdmin ? "Stock moving between branches" : `Stock moving to and from ${branchName(branchId)}`}
+        actions={[
+          <button
+            key="refresh"
+            onClick={() => loadData()}
+            className="px-4 py-2.5 bg-secondary hover:bg-secondary/90 text-secondary-foreground rounded-lg font-semibold transition-colors shadow-sm hover:shadow-md flex items-center gap-2"
+          >
+            🔄 Refresh
+          </button>,
+          ...(isAdmin ? [] : [
+            <button
+              key="request"
+              onClick={() => setShowRequestModal(true)}
+              className="px-6 py-2.5 bg-primary hover:bg-primary/90 text-primary-foreground rounded-lg font-semibold transition-colors shadow-md hover:shadow-lg"
+            >
+              + Request Stock
+            </button>
+          ])
+        ]}
+      />
+
+      <div className="flex-1 overflow-auto p-6 space-y-6">
+        {!isAdmin && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="bg-card rounded-xl border border-border p-4">
+              <p className="text-sm text-muted-foreground">On the way to you</p>
+              <p className="text-2xl font-bold text-foreground">{summary.incomingUnits} units</p>
+              <p className="text-xs text-muted-foreground">{summary.incomingCount} transfer{summary.incomingCount === 1 ? "" : "s"} to receive</p>
+            </div>
+            <div className="bg-card rounded-xl border border-border p-4">
+              <p className="text-sm text-muted-foreground">Sent, not yet received</p>
+              <p className="text-2xl font-bold text-foreground">{summary.outgoingUnits} units</p>
+              <p className="text-xs text-muted-foreground">{summary.outgoingCount} transfer{summary.outgoingCount === 1 ? "" : "s"} on the road</p>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2 flex-wrap">
+          {!isAdmin && ["all", "incoming", "outgoing"].map(value => (
+            <button
+              key={value}
+              onClick={() => setDirection(value)}
+              className={`px-4 py-2 rounded-lg font-medium capitalize transition-colors ${
+                direction === value ? "bg-primary text-primary-foreground" : "bg-card border border-border text-foreground hover:bg-accent"
+              }`}
+            >
+              {value === "all" ? "Both ways" : value}
+            </button>
+          ))}
+          {STATUS_FILTERS.map(status => (
+            <button
+              key={status}
+              onClick={() => setFilterStatus(status)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filterStatus === status ? "bg-primary text-primary-foreground" : "bg-card border border-border text-foreground hover:bg-accent"
+              }`}
+            >
+              {status === "all" ? "All" : TRANSFER_STATUS_LABELS[status]}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+          </div>
+        ) : listed.length === 0 ? (
+          <div className="bg-card rounded-xl border border-border p-12 text-center text-muted-foreground">
+            No transfers {filterStatus === "all" ? "yet" : "with this status"}
+          </div>
+        ) : (
+          <div className="bg-card rounded-xl shadow-lg border border-border overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-muted">
+                <tr className="text-left text-xs text-muted-foreground uppercase tracking-wider">
+                  <th className="px-4 py-3">Transfer</th>
+                  <th className="px-4 py-3">From → To</th>
+                  <th className="px-4 py-3">Requested</th>
+                  <th className="px-4 py-3 text-right">Items</th>
+                  <th className="px-4 py-3">Status</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-border">
+                {listed.map(transfer => {
+                  const side = getTransferSide(transfer, branchId)
+                  const units = transfer.items.reduce((sum, line) => sum + (transfer.status === TRANSFER_STATUS.REQUESTED ? line.requestedQuantity : line.dispatchedQuantity), 0)
+                  return (
+                    <tr key={transfer.id} className="hover:bg-muted/50 transition-colors">
+                      <td className="px-4 py-3 font-mono font-semibold text-foreground">
+                        {transfer.transferNumber}
+                        {transfer.discrepancies?.length > 0 && <span className="ml-2" title="Arrived short or over">⚠️</span>}
+                      </td>
+                      <td className="px-4 py-3 text-foreground">
+                        {transfer.fromBranchName} → {transfer.toBranchName}
+                        {side && <span className="ml-2 text-xs text-muted-foreground">({side === "source" ? "outgoing" : "incoming"})</span>}
+                      </td>
+                      <td className="px-4 py-3 text-muted-foreground">{new Date(transfer.requestedAt).toLocaleDateString()} · {transfer.requestedBy?.name}</td>
+                      <td className="px-4 py-3 text-right">{transfer.items.length} lines · {units} units</td>
+                      <td className="px-4 py-3">
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${TRANSFER_STATUS_COLORS[transfer.status]}`}>
+                          {TRANSFER_STATUS_LABELS[transfer.status]}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          onClick={() => setSelectedId(transfer.id)}
+                          className="px-3 py-1 bg-muted hover:bg-muted/70 text-foreground font-semibold rounded-lg text-xs"
+                        >
+                          Open
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showRequestModal && (
+        <TransferRequestModal
+          branches={otherBranches}
+          products={ownProducts}
+          onCreate={handleCreate}
+          onClose={() => setShowRequestModal(false)}
+        />
+      )}
+
+      {selected && (
+        <StockTransferModal
+          key={`${selected.id}-${selected.status}`}
+          transfer={selected}
+          // Admin is monitor-only here as on the inventory page
+          side={isAdmin ? null : getTransferSide(selected, branchId)}
+          available={selected.items.map(line => findBranchProduct(inventory, selected.fromBranchId, line)?.quantity)}
+          onDispatch={(quantities) => applyMovement(saveDispatch, { quantities }, "Stock dispatched")}
+          onMarkInTransit={(carrier) => applyMovement(saveInTransit, { carrier }, "Stock collected")}
+          onReceive={(quantities, notes) => applyMovement(saveReceipt, { quantities, notes }, "Stock received")}
+          onCancel={(reason) => applyMovement(saveCancellation, { reason }, "Transfer cancelled")}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </div>
+  )
+}
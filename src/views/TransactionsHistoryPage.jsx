@@ -5,12 +5,38 @@ import { toast } from "sonner"
 import TopBar from "../components/TopBar"
 import AdminTrashBin from "../components/AdminTrashBin"
 import TransactionDetailsModal from "../components/TransactionDetailsModal"
+import ReturnItemsModal from "../components/ReturnItemsModal"
+import CreditNoteModal from "../components/CreditNoteModal"
 import BranchSelector from "../components/BranchSelector"
 import { getAdminIdForStorage, getAllUsers } from "../utils/auth"
 import { subscribeToTransactions, subscribeToTransactionsByBranch, subscribeToUsersByBranch } from "../services/realtimeListeners"
 import { getAllBranches } from "../services/branchService"
 import { exportTransactionsToCSV } from "../utils/csvExport"
 import { getFirstName } from "../utils/nameHelpers"
+import { getTenderAmount, transactionUsesTender, isSplitTender, describePayments } from "../utils/tenders"
+import { readSharedData, writeSharedData } from "../utils/storage"
+import { getReceiptNumber, allocateReceiptNumber, releaseReceiptNumber, DOCUMENT_SERIES } from "../utils/receiptNumbers"
+import { getTerminalId } from "../utils/terminal"
+import { createUserSnapshot } from "../utils/userTracking"
+import { logActivity, ACTIVITY_TYPES } from "../utils/activityLog"
+import { fiscalizeTransaction } from "../utils/fiscal"
+import { findOpenShift } from "../utils/shifts"
+import {
+  RETURN_DISPOSITIONS,
+  isCreditNote,
+  isSaleTransaction,
+  getReturnableItems,
+  buildCreditNote,
+  validateReturn
+} from "../utils/returns"
+import { isDepositRefund } from "../utils/deposits"
+import { isVoucherSale, reverseVoucherRedemptions } from "../utils/vouchers"
+import { STORE_CREDIT_ENTRY_TYPES, postStoreCredit } from "../utils/storeCredit"
+import { LOYALTY_ENTRY_TYPES, reverseSalePoints } from "../utils/loyalty"
+import { getBaseQuantities, getLineProductId } from "../utils/unitsOfMeasure"
+import { UNTRACKED_LOT_ID, returnToLots } from "../utils/lots"
+import { normalizeCostingSettings, returnCost } from "../utils/costing"
+import { MOVEMENT_REASONS, buildStockMovement, getInventoryMovements } from "../utils/stockMovements"
 
 // Transaction ID display length for UI
 const TRANSACTION_ID_DISPLAY_LENGTH = 8
@@ -19,6 +45,8 @@ export default function TransactionsHistoryPage({ currentUser }) {
   const [transactions, setTransactions] = useState([])
   const [selectedTransaction, setSelectedTransaction] = useState(null)
   const [showTrashBin, setShowTrashBin] = useState(false)
+  const [returningTransaction, setReturningTransaction] = useState(null)
+  const [creditNoteToPrint, setCreditNoteToPrint] = useState(null)
   const [loading, setLoading] = useState(true)
   const [showCancelled, setShowCancelled] = useState(true) // Show cancelled by default
   const [selectedBranch, setSelectedBranch] = useState(() => {
@@ -41,7 +69,7 @@ export default function TransactionsHistoryPage({ currentUser }) {
 
   // Filter states
   const [dateFilter, setDateFilter] = useState('all') // 'today', 'week', 'month', 'all', 'custom'
-  const [paymentFilter, setPaymentFilter] = useState('all') // 'all', 'cash', 'mpesa'
+  const [paymentFilter, setPaymentFilter] = useState('all') // 'all', 'cash', 'mpesa', 'credit', 'split'
   const [monthFilter, setMonthFilter] = useState('') // YYYY-MM format
   const [customStartDate, setCustomStartDate] = useState('')
   const [customEndDate, setCustomEndDate] = useState('')
@@ -158,6 +186,12 @@ export default function TransactionsHistoryPage({ currentUser }) {
         })
         return
       }
+      if (isDepositRefund(transaction)) {
+        toast.error('Cancellation Failed', {
+          description: 'An empties refund can\'t be cancelled'
+        })
+        return
+      }
 
       const adminId = getAdminIdForStorage(currentUser)
       const sharedData = await readSharedData(adminId)
@@ -175,29 +209,72 @@ export default function TransactionsHistoryPage({ currentUser }) {
       )
 
       // Reverse inventory changes - restore quantities that were sold
+      // (packs go back as the base units they hold, into the lots they were picked from)
       const currentInventory = sharedData.inventory || []
+      const soldQuantities = getBaseQuantities(transaction.items || [])
+      const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+      const saleBranch = normalizeBranchId(transaction.branchId)
+      // The stock goes back at what it cost when it was sold
+      const costing = {
+        method: normalizeCostingSettings(sharedData.settings?.costing).method,
+        reference: getReceiptNumber(transaction)
+      }
       const updatedInventory = currentInventory.map(item => {
-        const transactionItem = transaction.items?.find(ti => ti.id === item.id)
-        if (transactionItem && typeof transactionItem.quantity === 'number') {
+        if (saleBranch && item.branchId != null && normalizeBranchId(item.branchId) !== saleBranch) return item
+        if (soldQuantities.has(item.id)) {
           // Validate that we're adding back a positive quantity
-          const quantityToRestore = Math.max(0, transactionItem.quantity)
-          return {
-            ...item,
-            quantity: item.quantity + quantityToRestore
-          }
+          const quantityToRestore = Math.max(0, soldQuantities.get(item.id))
+          const productLines = (transaction.items || []).filter(line => getLineProductId(line) === item.id)
+          const picks = productLines.flatMap(line => line.lots || [])
+          // Sales from before lots were kept go back as untracked stock
+          const picked = picks.reduce((sum, pick) => sum + pick.quantity, 0)
+          return returnToLots(returnCost(item, productLines, costing), picked < quantityToRestore
+            ? [...picks, { lotId: UNTRACKED_LOT_ID, quantity: quantityToRestore - picked }]
+            : picks)
         }
         return item
       })
 
+      // Give back whatever the sale took off gift vouchers, store credit and loyalty points
+      const restoredVouchers = reverseVoucherRedemptions(sharedData.vouchers || [], transaction.id)
+      const storeCreditUsed = getTenderAmount(transaction, 'store_credit')
+      const updatedCustomers = (sharedData.customers || []).map(customer => {
+        if (customer.id !== transaction.customerId) return customer
+        const withCredit = storeCreditUsed > 0
+          ? postStoreCredit(customer, {
+              type: STORE_CREDIT_ENTRY_TYPES.REVERSAL,
+              amount: storeCreditUsed,
+              reference: getReceiptNumber(transaction),
+              transactionId: transaction.id,
+              user: currentUser
+            })
+          : customer
+        return reverseSalePoints(withCredit, transaction, {
+          type: LOYALTY_ENTRY_TYPES.REVERSAL,
+          reference: getReceiptNumber(transaction),
+          transactionId: transaction.id,
+          user: currentUser
+        })
+      })
+
       // Save updated data
       await writeSharedData({
         ...sharedData,
         transactions: updatedTransactions,
-        inventory: updatedInventory
+        inventory: updatedInventory,
+        customers: updatedCustomers,
+        vouchers: (sharedData.vouchers || []).map(v => restoredVouchers.find(r => r.id === v.id) || v),
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(currentInventory, updatedInventory, {
+            reason: MOVEMENT_REASONS.SALE_CANCELLED,
+            source: { type: 'transaction', id: transaction.id, number: getReceiptNumber(transaction) },
+            user: currentUser
+          })
+        ]
       }, adminId)
 
-      // Reload transactions to reflect changes
-      await loadTransactions()
+      // The realtime subscription picks up the cancelled transaction
 
       toast.success('Transaction Cancelled', {
         description: `Transaction ${transaction.id?.slice(-TRANSACTION_ID_DISPLAY_LENGTH) || 'Unknown'} has been cancelled and inventory restored.`,
@@ -213,6 +290,215 @@ export default function TransactionsHistoryPage({ currentUser }) {
     }
   }
 
+  const handleProcessReturn = async (original, { lines, refundMethod, reference, reason }) => {
+    let creditNoteNumber = null
+    let creditNoteSaved = false
+    let numbering = null
+    try {
+      if (!currentUser?.id) {
+        toast.error('Authentication Error', {
+          description: 'You must be logged in to process returns'
+        })
+        return
+      }
+
+      const adminId = getAdminIdForStorage(currentUser)
+      const sharedData = await readSharedData(adminId)
+      const allTransactions = sharedData.transactions || []
+
+      // Re-read the original so two tills can't return the same bottle twice
+      const latestOriginal = allTransactions.find(t => t.id === original.id) || original
+      const invalid = validateReturn(latestOriginal, allTransactions, lines)
+      if (invalid) {
+        toast.error('Return Failed', { description: invalid, duration: 5000 })
+        return
+      }
+
+      // Numbered per branch and till like receipts, so tills working offline never issue the same credit note
+      numbering = {
+        adminId,
+        branchId: latestOriginal.branchId,
+        terminalId: getTerminalId(),
+        series: DOCUMENT_SERIES.CREDIT_NOTE
+      }
+      creditNoteNumber = await allocateReceiptNumber({ ...numbering, transactions: allTransactions })
+      const creditNote = {
+        ...buildCreditNote({
+          original: latestOriginal,
+          lines,
+          refundMethod,
+          reference,
+          reason,
+          creditNoteNumber,
+          user: currentUser
+        }),
+        // Refunds count against the drawer of whoever pays them out
+        shiftId: findOpenShift(sharedData.shifts, currentUser.id)?.id || null
+      }
+      const refundAmount = Math.abs(creditNote.total)
+
+      // Put restocked items back on the shelf of the branch that sold them; log write-offs as damaged stock
+      const normalizeBranchId = (id) => (id != null ? String(id).trim().toLowerCase() : '')
+      const saleBranch = normalizeBranchId(latestOriginal.branchId)
+      const stockAdjustments = [...(sharedData.stockAdjustments || [])]
+      const returnSource = { type: 'credit_note', id: creditNote.id, number: creditNote.creditNoteNumber }
+      const writeOffMovements = []
+      const damagedLines = creditNote.items.filter(l => l.disposition === RETURN_DISPOSITIONS.DAMAGED)
+      const restockedLines = creditNote.items.filter(l => !damagedLines.includes(l))
+      const returnedQuantities = {
+        damaged: getBaseQuantities(damagedLines),
+        restocked: getBaseQuantities(restockedLines)
+      }
+      const costing = {
+        method: normalizeCostingSettings(sharedData.settings?.costing).method,
+        reference: creditNote.creditNoteNumber
+      }
+      const updatedInventory = (sharedData.inventory || []).map(item => {
+        if (saleBranch && normalizeBranchId(item.branchId) !== saleBranch) return item
+
+        const damaged = Math.abs(returnedQuantities.damaged.get(item.id) || 0)
+        if (damaged > 0) {
+          stockAdjustments.push({
+            id: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            productId: item.id,
+            productName: item.name,
+            productSku: item.sku,
+            adjustmentType: 'damaged',
+            // The returned units come in and go straight out again, so shelf stock is unchanged
+            quantity: -damaged,
+            previousStock: (item.quantity || 0) + damaged,
+            newStock: item.quantity || 0,
+            notes: `${damaged} returned on ${creditNote.creditNoteNumber} and written off`,
+            timestamp: creditNote.timestamp,
+            adjustedBy: createUserSnapshot(currentUser)
+          })
+          // In the ledger the units come back and go out again
+          const now = new Date(creditNote.timestamp)
+          writeOffMovements.push(
+            buildStockMovement({ product: item, previousStock: item.quantity || 0, newStock: (item.quantity || 0) + damaged, reason: MOVEMENT_REASONS.RETURN, source: returnSource, user: currentUser, now }),
+            buildStockMovement({ product: item, previousStock: (item.quantity || 0) + damaged, newStock: item.quantity || 0, reason: MOVEMENT_REASONS.RETURN_WRITTEN_OFF, source: returnSource, user: currentUser, now })
+          )
+        }
+        const restocked = Math.abs(returnedQuantities.restocked.get(item.id) || 0)
+        if (restocked === 0) return item
+        // Restocked at the cost it was sold at
+        const productLines = restockedLines.filter(line => getLineProductId(line) === item.id)
+        return { ...returnCost(item, productLines, costing), quantity: (item.quantity || 0) + restocked }
+      })
+
+      // Store credit and account refunds land on the customer record, and the points
+      // earned on the returned goods come back off it
+      const goodsTotal = (latestOriginal.total || 0) - (latestOriginal.depositTotal || 0)
+      const updatedCustomers = (sharedData.customers || []).map(existing => {
+        if (existing.id !== latestOriginal.customerId) return existing
+        const customer = reverseSalePoints(existing, latestOriginal, {
+          type: LOYALTY_ENTRY_TYPES.RETURN,
+          share: goodsTotal > 0 ? refundAmount / goodsTotal : 1,
+          reference: creditNote.creditNoteNumber,
+          transactionId: creditNote.id,
+          user: currentUser
+        })
+        if (refundMethod === 'store_credit') {
+          return postStoreCredit(customer, {
+            type: STORE_CREDIT_ENTRY_TYPES.REFUND,
+            amount: refundAmount,
+            reference: creditNote.creditNoteNumber,
+            transactionId: creditNote.id,
+            user: currentUser
+          })
+        }
+        if (refundMethod === 'credit') {
+          return {
+            ...customer,
+            balance: Math.max(0, (customer.balance || 0) - refundAmount),
+            loanAmount: Math.max(0, (customer.loanAmount || 0) - refundAmount)
+          }
+        }
+        return customer
+      })
+
+      const returns = [
+        ...(latestOriginal.returns || []),
+        {
+          creditNoteId: creditNote.id,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          timestamp: creditNote.timestamp,
+          total: creditNote.total
+        }
+      ]
+      const stillReturnable = getReturnableItems(latestOriginal, [...allTransactions, creditNote])
+        .some(item => item.returnableQuantity > 0)
+      const updatedTransactions = [
+        ...allTransactions.map(t =>
+          t.id === latestOriginal.id
+            ? { ...t, returns, refundStatus: stillReturnable ? 'partial' : 'full' }
+            : t
+        ),
+        creditNote
+      ]
+
+      await writeSharedData({
+        ...sharedData,
+        transactions: updatedTransactions,
+        inventory: updatedInventory,
+        customers: updatedCustomers,
+        stockAdjustments,
+        stockMovements: [
+          ...(sharedData.stockMovements || []),
+          ...getInventoryMovements(sharedData.inventory, updatedInventory, {
+            reason: MOVEMENT_REASONS.RETURN,
+            source: returnSource,
+            user: currentUser,
+            now: new Date(creditNote.timestamp)
+          }),
+          ...writeOffMovements
+        ]
+      }, adminId)
+      creditNoteSaved = true
+
+      await logActivity(
+        ACTIVITY_TYPES.RETURN_PROCESSED,
+        `Return processed: ${creditNote.creditNoteNumber} against ${creditNote.originalReceiptNumber}, Refund: KES ${refundAmount.toLocaleString()}`,
+        {
+          creditNoteId: creditNote.id,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          originalTransactionId: latestOriginal.id,
+          refundMethod,
+          refundAmount,
+          itemCount: Math.abs(creditNote.itemCount),
+          branchId: latestOriginal.branchId || null
+        },
+        currentUser
+      )
+
+      // Credit notes go to the fiscal device like sales; a failure just queues it
+      let fiscal = null
+      try {
+        fiscal = await fiscalizeTransaction(adminId, creditNote)
+      } catch (fiscalError) {
+        console.error('Error fiscalising credit note:', fiscalError)
+      }
+
+      toast.success('Return Processed', {
+        description: `${creditNote.creditNoteNumber} issued for KES ${refundAmount.toLocaleString()}`,
+        duration: 5000
+      })
+      setReturningTransaction(null)
+      setCreditNoteToPrint(fiscal ? { ...creditNote, fiscal } : creditNote)
+    } catch (error) {
+      console.error('Error processing return:', error)
+      toast.error('Return Failed', {
+        description: 'Failed to process the return. Please try again.',
+        duration: 5000
+      })
+      // Hand the number back so the unsaved credit note doesn't leave a gap
+      if (creditNoteNumber && !creditNoteSaved) {
+        releaseReceiptNumber({ ...numbering, receiptNumber: creditNoteNumber })
+          .catch(releaseError => console.error('Error releasing credit note number:', releaseError))
+      }
+    }
+  }
+
   // Apply filters
   const filteredTransactions = useMemo(() => {
     let filtered = [...transactions]
@@ -224,7 +510,7 @@ export default function TransactionsHistoryPage({ currentUser }) {
     
     // Payment method filter
     if (paymentFilter !== 'all') {
-      filtered = filtered.filter(t => t.paymentMethod === paymentFilter)
+      filtered = filtered.filter(t => transactionUsesTender(t, paymentFilter))
     }
     
     // Date filters
@@ -283,20 +569,23 @@ export default function TransactionsHistoryPage({ currentUser }) {
   // Calculate summary statistics (excluding cancelled transactions)
   const summary = useMemo(() => {
     const activeTransactions = filteredTransactions.filter(t => t.paymentStatus !== 'cancelled')
+    // Credit notes carry negative totals, so summing everything gives net sales
     const total = activeTransactions.reduce((sum, t) => sum + (t.total || 0), 0)
-    const cashTotal = activeTransactions
-      .filter(t => t.paymentMethod === 'cash')
-      .reduce((sum, t) => sum + (t.total || 0), 0)
-    const mpesaTotal = activeTransactions
-      .filter(t => t.paymentMethod === 'mpesa')
-      .reduce((sum, t) => sum + (t.total || 0), 0)
+    const saleCount = activeTransactions.filter(isSaleTransaction).length
+    const refundTotal = activeTransactions
+      .filter(isCreditNote)
+      .reduce((sum, t) => sum + Math.abs(t.total || 0), 0)
+    // Attribute each tender line separately so split sales count towards both cash and M-Pesa
+    const cashTotal = activeTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'cash'), 0)
+    const mpesaTotal = activeTransactions.reduce((sum, t) => sum + getTenderAmount(t, 'mpesa'), 0)
     
     return {
       total,
       cashTotal,
       mpesaTotal,
-      count: activeTransactions.length,
-      average: activeTransactions.length > 0 ? total / activeTransactions.length : 0
+      refundTotal,
+      count: saleCount,
+      average: saleCount > 0 ? total / saleCount : 0
     }
   }, [filteredTransactions])
 
@@ -353,6 +642,8 @@ export default function TransactionsHistoryPage({ currentUser }) {
                       monthFilter ? monthFilter : 'All'
     const paymentLabel = paymentFilter === 'all' ? 'All-Methods' :
                          paymentFilter === 'cash' ? 'Cash-Only' :
+                         paymentFilter === 'credit' ? 'Credit-Only' :
+                         paymentFilter === 'split' ? 'Split-Payments' :
                          'MPesa-Only'
     
     const filename = `transactions-${dateLabel}-${paymentLabel}-${new Date().toISOString().split('T')[0]}.csv`
@@ -546,6 +837,8 @@ export default function TransactionsHistoryPage({ currentUser }) {
                 <option value="all">💳 All Methods</option>
                 <option value="cash">💵 Cash Only</option>
                 <option value="mpesa">📱 M-Pesa Only</option>
+                <option value="credit">📝 Credit</option>
+                <option value="split">🔀 Split Payments</option>
               </select>
             </div>
 
@@ -628,6 +921,9 @@ export default function TransactionsHistoryPage({ currentUser }) {
           <div className="bg-card border-2 border-border rounded-lg p-4 shadow-sm">
             <div className="text-sm text-muted-foreground mb-1">Total Sales</div>
             <div className="text-2xl font-bold text-primary">KES {summary.total.toLocaleString()}</div>
+            {summary.refundTotal > 0 && (
+              <div className="text-xs text-orange-600 mt-1">Net of KES {summary.refundTotal.toLocaleString()} refunds</div>
+            )}
           </div>
           <div className="bg-card border-2 border-border rounded-lg p-4 shadow-sm">
             <div className="text-sm text-muted-foreground mb-1">Cash Sales</div>
@@ -672,7 +968,7 @@ export default function TransactionsHistoryPage({ currentUser }) {
                         Date & Time
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-semibold text-foreground uppercase tracking-wider">
-                        Transaction ID
+                        Receipt No
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-semibold text-foreground uppercase tracking-wider">
                         Items
@@ -712,30 +1008,55 @@ export default function TransactionsHistoryPage({ currentUser }) {
                               CANCELLED
                             </div>
                           )}
+                          {transaction.refundStatus && (
+                            <div className="text-xs text-orange-600 font-semibold mt-1">
+                              {transaction.refundStatus === 'full' ? 'RETURNED' : 'PARTLY RETURNED'}
+                            </div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm font-mono text-foreground">
-                            {transaction.id && typeof transaction.id === 'string' 
-                              ? transaction.id.slice(-8) 
-                              : 'N/A'}
+                            {getReceiptNumber(transaction)}
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-foreground">
                             {transaction.items?.length || 0} items
                           </div>
+                          {transaction.tabName && (
+                            <div className="text-xs text-purple-700 dark:text-purple-300">🍷 Tab: {transaction.tabName}</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold ${
-                            transaction.paymentMethod === 'mpesa'
-                              ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400'
-                              : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400'
+                            isCreditNote(transaction)
+                              ? 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400'
+                              : isDepositRefund(transaction)
+                              ? 'bg-teal-100 text-teal-800 dark:bg-teal-900/30 dark:text-teal-400'
+                              : isVoucherSale(transaction)
+                              ? 'bg-rose-100 text-rose-800 dark:bg-rose-900/30 dark:text-rose-400'
+                              : isSplitTender(transaction)
+                              ? 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400'
+                              : transaction.paymentMethod === 'mpesa'
+                                ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400'
+                                : transaction.paymentMethod === 'credit'
+                                  ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400'
+                                  : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400'
                           }`}>
-                            {transaction.paymentMethod === 'mpesa' ? '📱 M-Pesa' : '💵 Cash'}
+                            {isCreditNote(transaction)
+                              ? `↩️ Credit Note (${describePayments(transaction)})`
+                              : isDepositRefund(transaction)
+                              ? `♻️ Empties Return (${describePayments(transaction)})`
+                              : isVoucherSale(transaction)
+                              ? `🎁 Gift Voucher (${describePayments(transaction)})`
+                              : isSplitTender(transaction)
+                              ? `🔀 ${describePayments(transaction)}`
+                              : transaction.paymentMethod === 'mpesa' ? '📱 M-Pesa'
+                              : transaction.paymentMethod === 'credit' ? '📝 Credit' : '💵 Cash'}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-bold text-primary">
+                          <div className={`text-sm font-bold ${isCreditNote(transaction) || isDepositRefund(transaction) ? 'text-orange-600' : 'text-primary'}`}>
                             KES {(transaction.total || 0).toLocaleString()}
                           </div>
                         </td>
@@ -803,6 +1124,14 @@ export default function TransactionsHistoryPage({ currentUser }) {
           currentUser={currentUser}
           onClose={() => setSelectedTransaction(null)}
           onCancel={handleCancelTransaction}
+          onReturn={(transaction) => {
+            setSelectedTransaction(null)
+            setReturningTransaction(transaction)
+          }}
+          onViewCreditNote={(transaction) => {
+            setSelectedTransaction(null)
+            setCreditNoteToPrint(transaction)
+          }}
           cashierName={userMap[selectedTransaction.userId]?.name || selectedTransaction.cashierName || selectedTransaction.cashier}
           cashierRole={userMap[selectedTransaction.userId]?.role}
           branchName={selectedTransaction.branchId
@@ -811,6 +1140,24 @@ export default function TransactionsHistoryPage({ currentUser }) {
         />
       )}
 
+      {/* Return Items Modal */}
+      {returningTransaction && (
+        <ReturnItemsModal
+          transaction={returningTransaction}
+          transactions={transactions}
+          onSubmit={(request) => handleProcessReturn(returningTransaction, request)}
+          onClose={() => setReturningTransaction(null)}
+        />
+      )}
+
+      {/* Credit Note Document */}
+      {creditNoteToPrint && (
+        <CreditNoteModal
+          creditNote={creditNoteToPrint}
+          onClose={() => setCreditNoteToPrint(null)}
+        />
+      )}
+
       {/* Admin Trash Bin Modal */}
       {showTrashBin && (
         <AdminTrashBin